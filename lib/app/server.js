@@ -1,38 +1,571 @@
+/**
+ * Usage
+ *   node server [options]
+ *
+ * Description
+ *   Starts the HTTP parse service, which serves a JSON API for parsing queries and the demo
+ *   page at `/`.
+ *
+ *   Endpoints:
+ *    • `POST /v1/parse` - Parses `{ query, k, complete }` and returns the k-best parse trees, each
+ *      with its semantic tree, matched entities, edits, and display text segments aligned to the
+ *      query's tokens, the explanation of the edits with which its display text corrects the query,
+ *      and its confidence in [0, 1].
+ *    • `POST /v1/parse/batch` - Parses `{ queries, k, complete }` and returns the results of each query.
+ *    • `GET /v1/grammar/info` - Returns statistics of the grammar.
+ *    • `GET /healthz` - Returns the service status.
+ *
+ * Options
+ *   -H, --host           The host on which to listen.                  [string] [default: "0.0.0.0"]
+ *   -p, --port           The port on which to listen.                              [default: 5000]
+ *   -t, --timeout        The request timeout in milliseconds.                      [default: 10000]
+ *   -q, --quiet          Suppress access logs from output.                                [boolean]
+ *   -h, --help           Display this screen.                                             [boolean]
+ */
+
 var http = require('http')
 var fs = require('fs')
-var os = require('os')
 var util = require('../util/util')
+var explainEdits = require('../parse/explainEdits')
+
+/**
+ * The `HTTPError` constructor, for errors with an HTTP status code to send in
+ * response to a request.
+ *
+ * @private
+ * @constructor
+ * @param {number} status The HTTP status code.
+ * @param {string} message The error message.
+ */
+function HTTPError(status, message) {
+	this.status = status
+	this.message = message
+}
+
+/**
+ * Creates the HTTP parse service.
+ *
+ * Parsing is synchronous. Hence, `options.timeout` bounds the time to receive
+ * a request's body and, for batch requests, the time before parsing each
+ * subsequent query. Each parse has the remainder of the timeout as its
+ * `budget.maxDuration`, on exceeding which it returns the parse trees found
+ * so far with `truncated`.
+ *
+ * @static
+ * @param {Object} [options] The options object.
+ * @param {Function} [options.parse=parseExported] The function that parses a
+ * query with the signature of `Parser.prototype.parse()`.
+ * @param {Object} [options.grammar=grammar.json] The grammar `options.parse`
+ * uses, for `/v1/grammar/info`.
+ * @param {number} [options.defaultK=7] The maximum number of parse trees to
+ * find when a request omits `k`.
+ * @param {number} [options.maxK=50] The maximum accepted value of `k`.
+ * @param {number} [options.maxQueryLength=500] The maximum accepted query
+ * length.
+ * @param {number} [options.maxBatchSize=50] The maximum number of queries per
+ * batch request.
+ * @param {number} [options.maxBodySize=65536] The maximum request body size
+ * in bytes.
+ * @param {number} [options.timeout=10000] The request timeout in
+ * milliseconds.
+ * @param {Function|boolean} [options.accessLog] The function invoked with an
+ * access log entry object after each response, or `false` to disable access
+ * logs. Defaults to writing each entry as a JSON line to `stdout`.
+ * @returns {http.Server} Returns the server, which is not yet listening.
+ */
+var serverSchema = {
+	parse: Function,
+	grammar: Object,
+	defaultK: Number,
+	maxK: Number,
+	maxQueryLength: Number,
+	maxBatchSize: Number,
+	maxBodySize: Number,
+	timeout: Number,
+	accessLog: { type: [ Function, Boolean ] },
+}
+
+exports.createServer = function (options) {
+	options = options || {}
+	if (util.illFormedOpts(serverSchema, options)) {
+		throw new Error('Ill-formed server options')
+	}
 
-// Generate state table.
-var parse = require('../parse/parseExported')
+	var config = {
+		parse: options.parse || require('../parse/parseExported'),
+		grammar: options.grammar || require('../grammar.json'),
+		defaultK: options.defaultK || 7,
+		maxK: options.maxK || 50,
+		maxQueryLength: options.maxQueryLength || 500,
+		maxBatchSize: options.maxBatchSize || 50,
+		maxBodySize: options.maxBodySize || 65536,
+		timeout: options.timeout || 10000,
+		accessLog: typeof options.accessLog === 'function' ? options.accessLog : (options.accessLog === false ? undefined : writeAccessLog),
+	}
+
+	// The map of routes to their handlers, keyed by path and method.
+	var routes = {
+		'/': {
+			GET: serveDemoPage,
+		},
+		'/v1/parse': {
+			POST: function (req, res, body, startTime) {
+				var params = checkParams(body, config, { query: true })
+				sendJSON(res, 200, parseQuery(config, params.query, params.k, params.complete, startTime))
+			},
+		},
+		'/v1/parse/batch': {
+			POST: function (req, res, body, startTime) {
+				var params = checkParams(body, config, { queries: true })
+				var results = params.queries.map(function (query) {
+					if (Date.now() - startTime > config.timeout) {
+						throw new HTTPError(503, 'Batch exceeded the request timeout of ' + config.timeout + ' ms')
+					}
+
+					return parseQuery(config, query, params.k, params.complete, startTime)
+				})
+
+				sendJSON(res, 200, { results: results })
+			},
+		},
+		'/v1/grammar/info': {
+			GET: function (req, res) {
+				sendJSON(res, 200, getGrammarInfo(config.grammar))
+			},
+		},
+		'/healthz': {
+			GET: function (req, res) {
+				sendJSON(res, 200, { status: 'ok', uptime: process.uptime() })
+			},
+		},
+	}
 
-http.createServer(function (req, res) {
-	if (req.method === 'GET' && req.url === '/') {
-		// Serve page.
-		fs.readFile(__dirname + '/index.html', function (err, file) {
-			res.end(err ? err + '\n' : file)
+	var server = http.createServer(function (req, res) {
+		var startTime = Date.now()
+
+		res.on('finish', function () {
+			if (config.accessLog) {
+				config.accessLog({
+					time: new Date(startTime).toISOString(),
+					method: req.method,
+					url: req.url,
+					status: res.statusCode,
+					duration: Date.now() - startTime,
+					bytes: Number(res.getHeader('Content-Length')) || 0,
+					remoteAddress: req.socket.remoteAddress,
+				})
+			}
 		})
-	} else if (req.method === 'POST' && req.url === '/parse') {
-		var data = ''
-		req.on('data', function (chunk) {
-			data += chunk
+
+		// Respond with 408 if the request is not received within the timeout.
+		req.setTimeout(config.timeout, function () {
+			if (!res.headersSent) {
+				sendError(res, new HTTPError(408, 'Request timed out'))
+			}
+
+			req.destroy()
 		})
 
-		// Parse query.
-		req.on('end', function () {
-			data = JSON.parse(data)
+		var path = req.url.split('?')[0]
+		var route = routes[path]
+		if (!route) {
+			return sendError(res, new HTTPError(404, 'Not found: ' + path))
+		}
+
+		var handler = route[req.method]
+		if (!handler) {
+			res.setHeader('Allow', Object.keys(route).join(', '))
+			return sendError(res, new HTTPError(405, 'Method not allowed: ' + req.method + ' ' + path))
+		}
+
+		readBody(req, config.maxBodySize, function (err, body) {
+			if (err) {
+				// Respond before discarding the rest of the request body.
+				sendError(res, err)
+				if (err.status === 413) req.resume()
+				return
+			}
 
-			var parseResults = parse(data.query, Number(data.k))
-			res.end(JSON.stringify(parseResults))
+			try {
+				handler(req, res, body, startTime)
+			} catch (e) {
+				sendError(res, e)
+			}
 		})
-	} else {
-		util.logError('Unrecognized request:', util.stylize(req.method + ' ' + req.url))
+	})
+
+	return server
+}
+
+/**
+ * Reads the body of `req` and parses it as JSON, if any.
+ *
+ * @private
+ * @static
+ * @param {http.IncomingMessage} req The request.
+ * @param {number} maxBodySize The maximum body size in bytes.
+ * @param {Function} callback The function invoked with an `HTTPError`, if
+ * any, and the parsed body (`undefined` for an empty body).
+ */
+function readBody(req, maxBodySize, callback) {
+	var chunks = []
+	var size = 0
+	var done = false
+
+	function finish(err, body) {
+		if (!done) {
+			done = true
+			callback(err, body)
+		}
+	}
+
+	if (Number(req.headers['content-length']) > maxBodySize) {
+		return finish(new HTTPError(413, 'Request body exceeds ' + maxBodySize + ' bytes'))
+	}
+
+	req.on('data', function (chunk) {
+		size += chunk.length
+		if (size > maxBodySize) {
+			finish(new HTTPError(413, 'Request body exceeds ' + maxBodySize + ' bytes'))
+		} else {
+			chunks.push(chunk)
+		}
+	})
+
+	req.on('end', function () {
+		if (size === 0) return finish()
+
+		try {
+			var body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+		} catch (e) {
+			return finish(new HTTPError(400, 'Request body is not valid JSON'))
+		}
+
+		finish(undefined, body)
+	})
+
+	req.on('error', function (err) {
+		finish(err)
+	})
+}
+
+/**
+ * Checks the parameters in the request body, `body`, and returns them with
+ * defaults applied. Throws an `HTTPError` with status 400 if ill-formed.
+ *
+ * @private
+ * @static
+ * @param {*} body The parsed request body.
+ * @param {Object} config The server configuration.
+ * @param {Object} required The map of the required query parameter,
+ * `query` or `queries`, to `true`.
+ * @returns {Object} Returns the parameters.
+ */
+function checkParams(body, config, required) {
+	if (!body || typeof body !== 'object' || Array.isArray(body)) {
+		throw new HTTPError(400, 'Request body must be a JSON object')
 	}
-}).listen(5000, function () {
-	// Get server address.
-	var netInterfaces = os.networkInterfaces()
-	// `netInterfaces.en0` exists for OS X, else `netInterfaces.eth0`.
-	var address = (netInterfaces.en0 ? netInterfaces.en0[1] : netInterfaces.eth0[0]).address
 
-	util.log('Server listening at http://' + address + ':' + this.address().port)
-})
\ No newline at end of file
+	var params = { k: config.defaultK, complete: false }
+
+	if (body.k !== undefined) {
+		var k = Number(body.k)
+		if (!Number.isInteger(k) || k < 1 || k > config.maxK) {
+			throw new HTTPError(400, '\'k\' must be an integer between 1 and ' + config.maxK)
+		}
+
+		params.k = k
+	}
+
+	if (body.complete !== undefined) {
+		if (typeof body.complete !== 'boolean') {
+			throw new HTTPError(400, '\'complete\' must be a boolean')
+		}
+
+		params.complete = body.complete
+	}
+
+	if (required.query) {
+		params.query = checkQuery(body.query, config, '\'query\'')
+	}
+
+	if (required.queries) {
+		if (!Array.isArray(body.queries) || body.queries.length === 0) {
+			throw new HTTPError(400, '\'queries\' must be a non-empty array of strings')
+		}
+
+		if (body.queries.length > config.maxBatchSize) {
+			throw new HTTPError(413, '\'queries\' exceeds the maximum batch size of ' + config.maxBatchSize)
+		}
+
+		params.queries = body.queries.map(function (query, i) {
+			return checkQuery(query, config, '\'queries[' + i + ']\'')
+		})
+	}
+
+	return params
+}
+
+/**
+ * Checks `query` is a non-empty string within the maximum query length.
+ * Throws an `HTTPError` with status 400 if not.
+ *
+ * @private
+ * @static
+ * @param {*} query The query to check.
+ * @param {Object} config The server configuration.
+ * @param {string} name The parameter name, for the error message.
+ * @returns {string} Returns `query`.
+ */
+function checkQuery(query, config, name) {
+	if (typeof query !== 'string' || query.trim() === '') {
+		throw new HTTPError(400, name + ' must be a non-empty string')
+	}
+
+	if (query.length > config.maxQueryLength) {
+		throw new HTTPError(400, name + ' exceeds the maximum length of ' + config.maxQueryLength)
+	}
+
+	return query
+}
+
+/**
+ * Parses `query` and converts the parse results to the JSON API format.
+ *
+ * @private
+ * @static
+ * @param {Object} config The server configuration.
+ * @param {string} query The query to parse.
+ * @param {number} k The maximum number of parse trees to find.
+ * @param {boolean} complete Specify completing the last token of `query` as a
+ * prefix.
+ * @param {number} requestStartTime The time the request started, in
+ * milliseconds since the epoch, after `config.timeout` from which to stop the
+ * parse.
+ * @returns {Object} Returns the parse results.
+ */
+function parseQuery(config, query, k, complete, requestStartTime) {
+	var startTime = process.hrtime()
+	var parseResults = config.parse(query, k, {
+		complete: complete,
+		structured: true,
+		budget: { maxDuration: Math.max(0, requestStartTime + config.timeout - Date.now()) },
+	})
+	var durationTuple = process.hrtime(startTime)
+
+	return {
+		query: query,
+		k: k,
+		complete: complete,
+		// `null` if the parse failed to reach the start symbol.
+		trees: parseResults.trees ? parseResults.trees.map(function (tree, t) {
+			// `undefined` if `config.parse` does not support `options.structured`.
+			var structuredTree = parseResults.structuredTrees && parseResults.structuredTrees[t]
+
+			return {
+				text: tree.text,
+				semantic: tree.semanticStr,
+				cost: tree.cost,
+				ambiguousSemantics: tree.ambiguousSemantics,
+				semanticTree: structuredTree && structuredTree.semantic,
+				entities: structuredTree && structuredTree.entities,
+				edits: structuredTree && structuredTree.edits,
+				segments: structuredTree && structuredTree.segments,
+				confidence: structuredTree && structuredTree.confidence,
+				// The edits with which `text` corrects `query`, for "Showing results for `text`" and "Search instead for `query`".
+				explanation: structuredTree && explainEdits(structuredTree, query),
+			}
+		}) : null,
+		failedInitStartSym: parseResults.failedInitStartSym,
+		failedInitLegalTrees: parseResults.failedInitLegalTrees,
+		pathCount: parseResults.pathCount,
+		ambiguousTreeCount: parseResults.ambiguousTreeCount,
+		// Whether the parse exceeded the request timeout and returned only the trees found before stopping.
+		truncated: !!parseResults.truncated,
+		truncatedReason: parseResults.truncatedReason,
+		duration: durationTuple[0] * 1e3 + durationTuple[1] / 1e6,
+	}
+}
+
+/**
+ * Gets the statistics of `grammar` for `/v1/grammar/info`.
+ *
+ * @private
+ * @static
+ * @param {Object} grammar The grammar.
+ * @returns {Object} Returns the grammar statistics.
+ */
+function getGrammarInfo(grammar) {
+	var ruleSets = grammar.ruleSets
+	var ruleCount = 0
+	for (var nontermSym in ruleSets) {
+		ruleCount += ruleSets[nontermSym].length
+	}
+
+	// Count entities by category, irrespective of the number of tokens that map to each.
+	var entityIds = {}
+	var entityCategories = {}
+	for (var token in grammar.entitySets) {
+		grammar.entitySets[token].forEach(function (entity) {
+			if (!entityIds[entity.id]) {
+				entityIds[entity.id] = true
+				entityCategories[entity.category] = (entityCategories[entity.category] || 0) + 1
+			}
+		})
+	}
+
+	return {
+		startSymbol: grammar.startSymbol,
+		nonterminalSymbolCount: Object.keys(ruleSets).length,
+		ruleCount: ruleCount,
+		semanticCount: Object.keys(grammar.semantics).length,
+		entityCount: Object.keys(entityIds).length,
+		entityCategories: entityCategories,
+		intSymbols: grammar.intSymbols,
+		deletableCount: grammar.deletables.length,
+	}
+}
+
+/**
+ * Serves the demo page.
+ *
+ * @private
+ * @static
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ */
+function serveDemoPage(req, res) {
+	fs.readFile(__dirname + '/index.html', function (err, file) {
+		if (err) {
+			return sendError(res, err)
+		}
+
+		res.statusCode = 200
+		res.setHeader('Content-Type', 'text/html; charset=utf-8')
+		res.setHeader('Content-Length', file.length)
+		res.end(file)
+	})
+}
+
+/**
+ * Sends `data` as a JSON response.
+ *
+ * @private
+ * @static
+ * @param {http.ServerResponse} res The response.
+ * @param {number} status The HTTP status code.
+ * @param {Object} data The data to send.
+ */
+function sendJSON(res, status, data) {
+	var body = JSON.stringify(data)
+
+	res.statusCode = status
+	res.setHeader('Content-Type', 'application/json; charset=utf-8')
+	res.setHeader('Content-Length', Buffer.byteLength(body))
+	res.end(body)
+}
+
+/**
+ * Sends `err` as a JSON error response. Sends status 500 and prints the
+ * error if `err` is not an `HTTPError`.
+ *
+ * @private
+ * @static
+ * @param {http.ServerResponse} res The response.
+ * @param {HTTPError|Error} err The error to send.
+ */
+function sendError(res, err) {
+	if (!(err instanceof HTTPError)) {
+		util.logError(err.stack || err)
+		err = new HTTPError(500, 'Internal server error')
+	}
+
+	sendJSON(res, err.status, { error: { status: err.status, message: err.message } })
+}
+
+/**
+ * Writes the access log entry, `entry`, to `stdout` as a JSON line.
+ *
+ * @private
+ * @static
+ * @param {Object} entry The access log entry.
+ */
+function writeAccessLog(entry) {
+	process.stdout.write(JSON.stringify(entry) + '\n')
+}
+
+
+// Start the service if run from the command line.
+if (require.main === module) {
+	var yargs = require('yargs')
+
+	var argv = yargs
+		.usage([
+			util.colors.bold('Usage'),
+			'  node $0 [options]',
+			'',
+			util.colors.bold('Description'),
+			'  Starts the HTTP parse service, which serves a JSON API for parsing queries and the demo page at `/`.',
+			'',
+			'  Endpoints:',
+			'   • `POST /v1/parse` - Parses `{ query, k, complete }` and returns the k-best parse trees.',
+			'   • `POST /v1/parse/batch` - Parses `{ queries, k, complete }` and returns the results of each query.',
+			'   • `GET /v1/grammar/info` - Returns statistics of the grammar.',
+			'   • `GET /healthz` - Returns the service status.',
+		].join('\n'))
+		.updateStrings({
+			'Options:': util.colors.bold('Options'),
+		})
+		.options({
+			'H': {
+				alias: 'host',
+				description: 'The host on which to listen.',
+				requiresArg: true,
+				type: 'string',
+				default: process.env.HOST || '0.0.0.0',
+			},
+			'p': {
+				alias: 'port',
+				description: 'The port on which to listen.',
+				requiresArg: true,
+				default: Number(process.env.PORT) || 5000,
+			},
+			't': {
+				alias: 'timeout',
+				description: 'The request timeout in milliseconds.',
+				requiresArg: true,
+				default: 10000,
+			},
+			'q': {
+				alias: 'quiet',
+				description: 'Suppress access logs from output.',
+				type: 'boolean',
+			},
+		})
+		.help('h', 'Display this screen.').alias('h', 'help')
+		.check(function (argv, options) {
+			if (isNaN(argv.port)) {
+				throw 'TypeError: \'--port\' is not a number: ' + argv.port
+			}
+
+			if (isNaN(argv.timeout)) {
+				throw 'TypeError: \'--timeout\' is not a number: ' + argv.timeout
+			}
+
+			return true
+		})
+		// Fail on unrecognized arguments.
+		.strict()
+		.wrap(Math.min(yargs.terminalWidth(), 100))
+		.argv
+
+	var server = exports.createServer({
+		timeout: Number(argv.timeout),
+		accessLog: !argv.quiet,
+	})
+
+	server.listen(Number(argv.port), argv.host, function () {
+		var address = server.address()
+		util.log('Server listening at http://' + address.address + ':' + address.port)
+	})
+}
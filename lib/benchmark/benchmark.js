@@ -19,13 +19,19 @@
  *   tags  List the tags in the test suite.
  *
  * Options
- *   -k              The maximum number of parse trees to find per parse.         [default: 7]
- *   -n, --num-runs  The number of times to parse the queries in the test suite.  [default: 1]
- *   -h, --help      Display this screen.                                            [boolean]
+ *   -k                 The maximum number of parse trees to find per parse.      [default: 7]
+ *   -n, --num-runs     The number of times to parse the queries in the test suite.
+ *                                                                               [default: 1]
+ *   -i, --incremental  Replay each query character by character, parsing each prefix with a
+ *                      `ParseSession` and from scratch, compare the durations, and check the
+ *                      parse results are identical.                                 [boolean]
+ *   -h, --help         Display this screen.                                         [boolean]
  *
  * Examples
  *   node benchmark -n=5  Benchmark the duration of parsing each query in the test suite 5
  *                        times.
+ *   node benchmark -i    Compare the duration of parsing each query as typed with a
+ *                        `ParseSession` to parsing each prefix from scratch.
  */
 
 var util = require('../util/util')
@@ -67,9 +73,15 @@ var argv = yargs
 			requiresArg: true,
 			default: 1,
 		},
+		'i': {
+			alias: 'incremental',
+			description: 'Replay each query character by character, parsing each prefix with a `ParseSession` and from scratch, compare the durations, and check the parse results are identical.',
+			type: 'boolean',
+		},
 	})
 	.help('h', 'Display this screen.').alias('h', 'help')
 	.example('node $0 -n=5', 'Benchmark the duration of parsing each query in the test suite 5 times.')
+	.example('node $0 -i', 'Compare the duration of parsing each query as typed with a `ParseSession` to parsing each prefix from scratch.')
 	.check(function (argv, options) {
 		if (isNaN(argv.k)) {
 			throw 'TypeError: \'-k\' is not a number: ' + argv.k
@@ -89,8 +101,6 @@ var argv = yargs
 // For each `<tag>` passed as a command line argument, only parse test queries with that tag. If none, parse the entire test suite. If `<tag>` is unrecognized, exit the process with error code `1`.
 tests = filterTestsByTagArgs(argv, tests)
 
-var parse = require('../parse/parseExported')
-
 var k = argv.k
 var numRuns = argv.numRuns
 var testQueries = tests.map(test => test.query)
@@ -102,21 +112,25 @@ if (isDevtool) {
 	console.profile('benchmark')
 }
 
-// Start timer.
-var startTime = process.hrtime()
+if (argv.incremental) {
+	benchmarkIncremental()
+} else {
+	var parse = require('../parse/parseExported')
+
+	// Start timer.
+	var startTime = process.hrtime()
 
-// Cycle through the test suite `--num-runs` times.
-for (var r = 0; r < numRuns; ++r) {
-	// Parse every test query.
-	for (var t = 0; t < testsLen; ++t) {
-		parse(testQueries[t], k)
+	// Cycle through the test suite `--num-runs` times.
+	for (var r = 0; r < numRuns; ++r) {
+		// Parse every test query.
+		for (var t = 0; t < testsLen; ++t) {
+			parse(testQueries[t], k)
+		}
 	}
-}
 
-// End timer.
-var durationTuple = process.hrtime(startTime)
-var duration = durationTuple[0] * 1e3 + durationTuple[1] / 1e6
-util.log('Duration:', util.colors.yellow((duration / numRuns).toFixed(3) + ' ms'))
+	// End timer.
+	util.log('Duration:', util.colors.yellow((getDuration(startTime) / numRuns).toFixed(3) + ' ms'))
+}
 
 // Print values of any counters used during the benchmark.
 util.countEndAll()
@@ -126,6 +140,105 @@ if (isDevtool) {
 	console.profileEnd('benchmark')
 }
 
+/**
+ * Replays each test query character by character, as if typed, and compares the duration of parsing each prefix with a `ParseSession`, which reuses the matching and reduction of the unchanged leading tokens of the previous keystroke, to the duration of parsing each prefix from scratch with `Parser.prototype.parse()`. Both search the entire parse forest, which `ParseSession` does not reuse.
+ *
+ * Checks the parse results of both are identical, and prints the prefixes whose results differ and exits with an error code of `1` if not.
+ *
+ * @private
+ * @static
+ */
+function benchmarkIncremental() {
+	var StateTable = require('../parse/StateTable')
+	var Parser = require('../parse/Parser')
+	var ParseSession = require('../parse/ParseSession')
+
+	var stateTable = new StateTable(require('../grammar.json'))
+	var parser = new Parser(stateTable)
+	var session = new ParseSession(stateTable)
+
+	var sessionDuration = 0
+	var coldDuration = 0
+	var keystrokeCount = 0
+	var reusedTokensCount = 0
+	var mismatchCount = 0
+
+	for (var r = 0; r < numRuns; ++r) {
+		for (var t = 0; t < testsLen; ++t) {
+			var query = testQueries[t]
+			session.reset()
+
+			for (var c = 1, queryLen = query.length; c <= queryLen; ++c) {
+				var prefix = query.slice(0, c)
+
+				var startTime = process.hrtime()
+				var sessionResults = session.parse(prefix, k)
+				sessionDuration += getDuration(startTime)
+				reusedTokensCount += session.reusedTokensLen
+
+				startTime = process.hrtime()
+				var coldResults = parser.parse(prefix, k)
+				coldDuration += getDuration(startTime)
+
+				++keystrokeCount
+
+				var sessionSummary = summarizeParseResults(sessionResults)
+				var coldSummary = summarizeParseResults(coldResults)
+				if (sessionSummary !== coldSummary) {
+					util.logError('Session parse results differ from parsing from scratch:', util.stylize(prefix))
+					util.log('  Session:', sessionSummary)
+					util.log('  Scratch:', coldSummary)
+					++mismatchCount
+				}
+			}
+		}
+	}
+
+	util.log('Keystrokes:', keystrokeCount / numRuns)
+	util.log('Reused tokens per keystroke:', (reusedTokensCount / keystrokeCount).toFixed(2))
+	util.log('Cold duration:', util.colors.yellow((coldDuration / numRuns).toFixed(3) + ' ms'))
+	util.log('Session duration:', util.colors.yellow((sessionDuration / numRuns).toFixed(3) + ' ms'))
+	util.log('Session duration / cold duration:', (sessionDuration / coldDuration).toFixed(2))
+
+	if (mismatchCount) {
+		util.logError('Parse results differ for', mismatchCount, 'of', keystrokeCount, 'keystrokes')
+		process.exitCode = 1
+	} else {
+		util.logSuccess('Parse results identical for', keystrokeCount, 'keystrokes')
+	}
+}
+
+/**
+ * Summarizes the parse trees of `parseResults`, each with its display text, semantic, and cost, and whether the parse reparsed, for comparing the results of two parses.
+ *
+ * @private
+ * @static
+ * @param {ParseResults} parseResults The parse results to summarize.
+ * @returns {string} Returns the summary.
+ */
+function summarizeParseResults(parseResults) {
+	return JSON.stringify({
+		trees: parseResults.trees && parseResults.trees.map(function (tree) {
+			return [ tree.text, tree.semanticStr, tree.cost ]
+		}),
+		failedInitStartSym: parseResults.failedInitStartSym,
+		failedInitLegalTrees: parseResults.failedInitLegalTrees,
+	})
+}
+
+/**
+ * Gets the duration in milliseconds since `startTime`.
+ *
+ * @private
+ * @static
+ * @param {number[]} startTime The tuple returned by `process.hrtime()` at the start.
+ * @returns {number} Returns the duration in milliseconds.
+ */
+function getDuration(startTime) {
+	var durationTuple = process.hrtime(startTime)
+	return durationTuple[0] * 1e3 + durationTuple[1] / 1e6
+}
+
 /**
  * Iterates over tests in `tests`, returning an array of all tests that contain a tag passed as a command line argument, if any. If a command line argument is not recognized as a tag in the test suite, exits the process with error code `1`.
  *
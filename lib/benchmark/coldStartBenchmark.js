@@ -0,0 +1,131 @@
+/**
+ * Usage
+ *   node coldStartBenchmark [options]
+ *
+ * Description
+ *   Benchmarks the cold-start duration of a process that parses with the grammar: loading the
+ *   modules and the grammar and instantiating a `StateTable`. Compares generating the state table
+ *   to restoring it from the state cache, "stateTable.json", which `buildGrammar` writes (and
+ *   this program writes if missing or stale).
+ *
+ *   Measures each cold start in a newly forked child process, alternating between the two.
+ *
+ * Options
+ *   -n, --num-runs  The number of cold starts to measure of each kind.           [default: 5]
+ *   -h, --help      Display this screen.                                         [boolean]
+ */
+
+var util = require('../util/util')
+var yargs = require('yargs')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Benchmarks the cold-start duration of a process that parses with the grammar: loading the modules and the grammar and instantiating a `StateTable`. Compares generating the state table to restoring it from the state cache, "stateTable.json", which `buildGrammar` writes (and this program writes if missing or stale).',
+		'',
+		'  Measures each cold start in a newly forked child process, alternating between the two.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.options({
+		'n': {
+			alias: 'num-runs',
+			description: 'The number of cold starts to measure of each kind.',
+			requiresArg: true,
+			default: 5,
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	.check(function (argv, options) {
+		if (isNaN(argv.numRuns)) {
+			throw 'TypeError: \'--num-runs\' is not a number: ' + argv.numRuns
+		}
+
+		return true
+	})
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+var path = require('path')
+var childProcess = require('child_process')
+var StateTable = require('../parse/StateTable')
+
+// Write the state cache if missing or stale.
+var stateCachePath = path.join(__dirname, '..', 'stateTable.json')
+StateTable.fromStateCache(require('../grammar.json'), stateCachePath)
+
+var forkablePath = path.join(__dirname, 'loadStateTableForkable.js')
+var durations = {
+	generated: [],
+	restored: [],
+}
+var runIndex = 0
+
+// Begin with the first cold start.
+forkColdStart()
+
+/**
+ * Forks a child process that instantiates a `StateTable`, alternately generating it and restoring it from the state cache, receives the duration of the cold start from the child, and recursively repeats until measuring `--num-runs` cold starts of each kind.
+ *
+ * @private
+ * @static
+ */
+function forkColdStart() {
+	var useStateCache = runIndex++ % 2 === 1
+	var fork = childProcess.fork(forkablePath, useStateCache ? [ '--state-cache=' + stateCachePath ] : [])
+
+	// Child completed the cold start and returned its duration.
+	fork.on('message', function (msg) {
+		if (msg.isRestoredFromStateCache !== useStateCache) {
+			util.logError('State cache was not', useStateCache ? 'used:' : 'ignored:', util.stylize(stateCachePath))
+			process.exit(1)
+		}
+
+		durations[useStateCache ? 'restored' : 'generated'].push(msg.duration)
+		fork.disconnect()
+	})
+
+	// Child exited (after sending the duration of the cold start).
+	fork.on('exit', function (code, signal) {
+		if (runIndex < argv.numRuns * 2) {
+			forkColdStart()
+		} else {
+			printResults()
+		}
+	})
+}
+
+/**
+ * Prints the mean duration of each kind of cold start and the speedup from the state cache.
+ *
+ * @private
+ * @static
+ */
+function printResults() {
+	var generatedMean = mean(durations.generated)
+	var restoredMean = mean(durations.restored)
+
+	util.log('Generated state table:', util.colors.yellow(generatedMean.toFixed(1) + ' ms'))
+	util.log('Restored state table:', util.colors.yellow(restoredMean.toFixed(1) + ' ms'))
+	util.log('Speedup:', util.colors.green((generatedMean / restoredMean).toFixed(2) + 'x'))
+}
+
+/**
+ * Gets the arithmetic mean of `numbers`.
+ *
+ * @private
+ * @static
+ * @param {number[]} numbers The numbers of which to get the mean.
+ * @returns {number} Returns the mean.
+ */
+function mean(numbers) {
+	return numbers.reduce(function (sum, number) {
+		return sum + number
+	}, 0) / numbers.length
+}
@@ -0,0 +1,68 @@
+/**
+ * Usage
+ *   node loadStateTableForkable [options]
+ *
+ * Description
+ *   Instantiates a `StateTable` from the grammar, sends the duration of loading the modules,
+ *   the grammar, and the state table to the parent process, and then exits. This program must
+ *   be run as a forked child process, for `coldStartBenchmark`.
+ *
+ * Options
+ *   -s, --state-cache  The path of the state cache from which to restore the state table. If
+ *                      omitted, generates the state table.                           [string]
+ *   -h, --help         Display this screen.                                          [boolean]
+ */
+
+// Start timer before loading any modules.
+var startTime = process.hrtime()
+
+var util = require('../util/util')
+var yargs = require('yargs')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Instantiates a `StateTable` from the grammar, sends the duration of loading the modules, the grammar, and the state table to the parent process, and then exits. This program must be run as a forked child process, for `coldStartBenchmark`.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.options({
+		's': {
+			alias: 'state-cache',
+			description: 'The path of the state cache from which to restore the state table. If omitted, generates the state table.',
+			requiresArg: true,
+			type: 'string',
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	// Check module is not invoked from a command line.
+	.check(function (argv, options) {
+		if (!process.connected) {
+			throw 'Error: ' + argv.$0 + ' not ran as a forked child process'
+		}
+
+		return true
+	})
+	.argv
+
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+
+var stateTable = new StateTable(require('../grammar.json'), argv.stateCache ? { stateCache: StateTable.loadStateCache(argv.stateCache) } : undefined)
+new Parser(stateTable)
+
+// End timer.
+var durationTuple = process.hrtime(startTime)
+var duration = durationTuple[0] * 1e3 + durationTuple[1] / 1e6
+
+// Send benchmark measurement to parent process, and then exit.
+process.send({
+	duration: duration,
+	isRestoredFromStateCache: stateTable.isRestoredFromStateCache,
+})
@@ -0,0 +1,223 @@
+/**
+ * Usage
+ *   node loadTest [options]
+ *
+ * Description
+ *   Load tests `ParserPool` by parsing the queries in the test suite from concurrent clients, at
+ *   each concurrency level, and prints the throughput and latency percentiles of each level.
+ *
+ *   Each client sends its next query once the previous resolves, cycling through the test
+ *   suite. Parses each query with its test's dialogue context, budget, and completion option, if
+ *   any, as does the test suite. Latency is the time from sending a query to receiving its parse results, including
+ *   the time queued for a worker. Queries the pool rejects because its queue is full count as
+ *   rejected, not toward latency.
+ *
+ * Options
+ *   -w, --workers      The number of worker threads in the pool.  [default: the number of CPUs]
+ *   -c, --concurrency  The numbers of concurrent clients to test.   [array] [default: [1,2,4,8,16]]
+ *   -n, --num-queries  The number of queries to parse at each concurrency level.   [default: 200]
+ *   -k                 The maximum number of parse trees to find per parse.          [default: 7]
+ *   -h, --help         Display this screen.                                            [boolean]
+ *
+ * Examples
+ *   node loadTest -w=4 -c=1 -c=32  Load tests a pool of 4 workers with 1 client and then 32
+ *                                  clients.
+ */
+
+var util = require('../util/util')
+var yargs = require('yargs')
+var os = require('os')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Load tests `ParserPool` by parsing the queries in the test suite from concurrent clients, at each concurrency level, and prints the throughput and latency percentiles of each level.',
+		'',
+		'  Each client sends its next query once the previous resolves, cycling through the test suite. Parses each query with its test\'s dialogue context, budget, and completion option, if any, as does the test suite. Latency is the time from sending a query to receiving its parse results, including the time queued for a worker. Queries the pool rejects because its queue is full count as rejected, not toward latency.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+		'Examples:': util.colors.bold('Examples'),
+	})
+	.options({
+		'w': {
+			alias: 'workers',
+			description: 'The number of worker threads in the pool.',
+			requiresArg: true,
+			default: os.cpus().length,
+			defaultDescription: 'the number of CPUs',
+		},
+		'c': {
+			alias: 'concurrency',
+			description: 'The numbers of concurrent clients to test.',
+			requiresArg: true,
+			type: 'array',
+			default: [ 1, 2, 4, 8, 16 ],
+		},
+		'n': {
+			alias: 'num-queries',
+			description: 'The number of queries to parse at each concurrency level.',
+			requiresArg: true,
+			default: 200,
+		},
+		'k': {
+			description: 'The maximum number of parse trees to find per parse.',
+			requiresArg: true,
+			default: 7,
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	.example('node $0 -w=4 -c=1 -c=32', 'Load tests a pool of 4 workers with 1 client and then 32 clients.')
+	.check(function (argv, options) {
+		[ 'workers', 'numQueries', 'k' ].forEach(function (optName) {
+			if (isNaN(argv[optName])) {
+				throw 'TypeError: \'' + optName + '\' is not a number: ' + argv[optName]
+			}
+		})
+
+		argv.concurrency.forEach(function (concurrency) {
+			if (isNaN(concurrency) || concurrency < 1) {
+				throw 'TypeError: \'concurrency\' is not a positive number: ' + concurrency
+			}
+		})
+
+		return true
+	})
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var ParserPool = require('../parse/ParserPool')
+
+// The test queries, each with its parse options. Send each test's previous queries of the dialogue, if any, from which the worker creates the `DialogueContext`, which can not be sent between threads.
+var tests = require('../test/tests.json').map(function (test) {
+	var options = {}
+	if (test.context) options.contextQueries = test.context
+	if (test.budget) options.budget = test.budget
+	if (test.complete) options.complete = test.complete
+
+	return { query: test.query, options: options }
+})
+
+var pool = new ParserPool({ size: Number(argv.workers) })
+
+util.log('Workers:', pool.size)
+util.log('Queries per level:', Number(argv.numQueries))
+
+pool.ready().then(function () {
+	// Test each concurrency level in turn.
+	return argv.concurrency.reduce(function (promise, concurrency) {
+		return promise.then(function () {
+			return runLevel(Number(concurrency))
+		})
+	}, Promise.resolve())
+}).then(function () {
+	return pool.close()
+}).catch(function (err) {
+	util.logError(err.stack || err)
+	process.exit(1)
+})
+
+/**
+ * Parses `--num-queries` queries from `concurrency` concurrent clients and
+ * prints the throughput and latency percentiles.
+ *
+ * @private
+ * @static
+ * @param {number} concurrency The number of concurrent clients.
+ * @returns {Promise} Returns the promise resolved once every query resolves.
+ */
+function runLevel(concurrency) {
+	var numQueries = Number(argv.numQueries)
+	var latencies = []
+	var rejectedCount = 0
+	var sentCount = 0
+	var startTime = process.hrtime()
+
+	/**
+	 * Sends the next query once the previous resolves, until sending
+	 * `numQueries` queries across every client.
+	 *
+	 * @private
+	 * @static
+	 * @returns {Promise} Returns the promise resolved once the client has no
+	 * queries left to send.
+	 */
+	function runClient() {
+		if (sentCount >= numQueries) {
+			return Promise.resolve()
+		}
+
+		var test = tests[sentCount++ % tests.length]
+		var queryStartTime = process.hrtime()
+
+		return pool.parse(test.query, Number(argv.k), test.options).then(function () {
+			latencies.push(getDuration(queryStartTime))
+		}, function (err) {
+			if (err.message !== 'Parser pool queue is full') {
+				throw err
+			}
+
+			++rejectedCount
+		}).then(runClient)
+	}
+
+	var clients = []
+	for (var c = 0; c < concurrency; ++c) {
+		clients.push(runClient())
+	}
+
+	return Promise.all(clients).then(function () {
+		var duration = getDuration(startTime)
+
+		if (latencies.length === 0) {
+			util.log(util.colors.bold('Concurrency ' + concurrency + ':'), 'rejected', rejectedCount)
+			return
+		}
+
+		latencies.sort(function (a, b) {
+			return a - b
+		})
+
+		util.log(util.colors.bold('Concurrency ' + concurrency + ':'),
+			'throughput', util.colors.yellow((latencies.length / duration * 1e3).toFixed(1) + ' queries/s') + ',',
+			'p50', util.colors.yellow(percentile(latencies, 50).toFixed(1) + ' ms') + ',',
+			'p95', util.colors.yellow(percentile(latencies, 95).toFixed(1) + ' ms') + ',',
+			'p99', util.colors.yellow(percentile(latencies, 99).toFixed(1) + ' ms') + ',',
+			'max', util.colors.yellow(latencies[latencies.length - 1].toFixed(1) + ' ms') + ',',
+			'rejected', rejectedCount)
+	})
+}
+
+/**
+ * Gets the `p`th percentile of `sortedValues` by the nearest-rank method.
+ *
+ * @private
+ * @static
+ * @param {number[]} sortedValues The values sorted in increasing order.
+ * @param {number} p The percentile, in (0, 100].
+ * @returns {number} Returns the percentile.
+ */
+function percentile(sortedValues, p) {
+	return sortedValues[Math.max(0, Math.ceil(p / 100 * sortedValues.length) - 1)]
+}
+
+/**
+ * Gets the duration in milliseconds since `startTime`.
+ *
+ * @private
+ * @static
+ * @param {number[]} startTime The tuple returned by `process.hrtime()` at the start.
+ * @returns {number} Returns the duration in milliseconds.
+ */
+function getDuration(startTime) {
+	var durationTuple = process.hrtime(startTime)
+	return durationTuple[0] * 1e3 + durationTuple[1] / 1e6
+}
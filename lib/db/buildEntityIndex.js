@@ -0,0 +1,63 @@
+/**
+ * Usage
+ *   node buildEntityIndex [options]
+ *
+ * Description
+ *   Generates and outputs the embedded entity index of the grammar's entities and terminal symbols,
+ *   which `StateTable` accepts via `EntityIndex.load()`.
+ *
+ * Options
+ *   -g, --grammar  The path of the grammar to index.                  [string] [default: "grammar.json"]
+ *   -o, --output   Write output to a given path/filename.          [string] [default: "entityIndex.json"]
+ *   -h, --help     Display this screen.                                                     [boolean]
+ */
+
+var fs = require('fs')
+var util = require('../util/util')
+var yargs = require('yargs')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Generates and outputs the embedded entity index of the grammar\'s entities and terminal symbols, which `StateTable` accepts via `EntityIndex.load()`.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.options({
+		'g': {
+			alias: 'grammar',
+			description: 'The path of the grammar to index.',
+			requiresArg: true,
+			type: 'string',
+			default: 'grammar.json',
+		},
+		'o': {
+			alias: 'output',
+			description: 'Write output to a given path/filename.',
+			requiresArg: true,
+			type: 'string',
+			default: 'entityIndex.json',
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+var EntityIndex = require('../parse/EntityIndex')
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var grammar = JSON.parse(fs.readFileSync(util.expandHomeDir(argv.grammar), 'utf8'))
+var entityIndex = EntityIndex.fromGrammar(grammar)
+
+util.log('Indexed', entityIndex.entities.length, 'entities and', entityIndex.terminalSymbols.length, 'terminal symbols')
+
+// Write the index to a file.
+entityIndex.save(argv.output)
@@ -1,7 +1,50 @@
-var elasticsearch = require('elasticsearch')
+/**
+ * Usage
+ *   node elasticsearch [options]
+ *
+ * Description
+ *   Exports the entities and terminal symbols of the embedded entity index (see `EntityIndex`) to an
+ *   Elasticsearch index, replacing the existing index. Optional: `Parser` uses the embedded index,
+ *   and this export only serves external services that query Elasticsearch. Requires the
+ *   `elasticsearch` package.
+ *
+ * Options
+ *   -i, --index  The path of the entity index file to export. If omitted, indexes the grammar.  [string]
+ *   -h, --help   Display this screen.                                                            [boolean]
+ */
+
 var util = require('../util/util')
-var grammarUtil = require('../grammar/grammarUtil')
-var grammar = require('../grammar.json')
+var yargs = require('yargs')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Exports the entities and terminal symbols of the embedded entity index (see `EntityIndex`) to an Elasticsearch index, replacing the existing index. Optional: `Parser` uses the embedded index, and this export only serves external services that query Elasticsearch. Requires the `elasticsearch` package.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.options({
+		'i': {
+			alias: 'index',
+			description: 'The path of the entity index file to export. If omitted, indexes the grammar.',
+			requiresArg: true,
+			type: 'string',
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+var elasticsearch = require('elasticsearch')
+var EntityIndex = require('../parse/EntityIndex')
+
+var entityIndex = argv.index ? EntityIndex.load(util.expandHomeDir(argv.index)) : EntityIndex.fromGrammar(require('../grammar.json'))
 
 var client = new elasticsearch.Client({
 	host: 'localhost:9200',
@@ -53,8 +96,8 @@ function createIndex() {
 }
 
 function addTerminalSymbols() {
-	var terminalSymbols = getTerminalSymbols()
-	terminalSymbols.sort().forEach(function (terminalSymbol, id) {
+	// `EntityIndex` sorts terminal symbols alphabetically.
+	entityIndex.terminalSymbols.forEach(function (terminalSymbol, id) {
 		client.index({
 			index: indexName,
 			type: 'terminal_symbol',
@@ -67,8 +110,7 @@ function addTerminalSymbols() {
 }
 
 function addEntities() {
-	var entities = getEntities()
-	entities.forEach(function (entity) {
+	getEntities().forEach(function (entity) {
 		client.index({
 			index: indexName,
 			type: entity.category,
@@ -80,27 +122,17 @@ function addEntities() {
 	})
 }
 
-function getTerminalSymbols() {
-	var terminalSymbols = []
-	grammarUtil.forEachRule(grammar.ruleSets, function (rule) {
-		if (rule.isTerminal) {
-			var terminalSymbol = rule.rhs[0]
-			if (terminalSymbols.indexOf(terminalSymbol) === -1) {
-				terminalSymbols.push(terminalSymbol)
-			}
+function getEntities() {
+	// `EntityIndex` has an entity object for each name of an entity; export one document per entity.
+	var entityTab = {}
+	entityIndex.entities.forEach(function (entity) {
+		var key = entity.category + ' ' + entity.id
+		if (entityTab[key] === undefined) {
+			entityTab[key] = entity
 		}
 	})
-	return terminalSymbols
-}
 
-function getEntities() {
-	var entities = []
-	for (var entToken in grammar.entitySets) {
-		grammar.entitySets[entToken].forEach(function (entity) {
-			if (entities[entity.id] === undefined) {
-				entities[entity.id] = entity
-			}
-		})
-	}
-	return entities
-}
\ No newline at end of file
+	return Object.keys(entityTab).map(function (key) {
+		return entityTab[key]
+	})
+}
@@ -0,0 +1,651 @@
+var util = require('../util/util')
+var semantic = require('../grammar/semantic')
+var argUtil = require('./argUtil')
+
+/**
+ * The `Executor` constructor, which evaluates the semantic trees output by
+ * `pfsearch` against an in-memory dataset.
+ *
+ * Each semantic function is resolved to a handler registered via
+ * `Executor.prototype.addHandler()`, with the exception of the operators
+ * `intersect()`, `union()`, and `not()`, the tense semantics (e.g.,
+ * `present()`), the ordering semantics `order-by()`, `limit()`, and `nth()`, the
+ * aggregate semantics `count-of()`, `sum-of()`, and `avg-of()`, and the
+ * yes/no question semantics `member()` and `exists()`, which the executor
+ * evaluates itself.
+ * Registers the handlers for the semantics of the bundled grammar (defined in
+ * `handlers`) on instantiation.
+ *
+ * @constructor
+ * @param {Object} options The options object.
+ * @param {Object} options.dataset The records to query, with the record
+ * arrays `users`, `repositories`, `pullRequests`, `issues`, and `companies`,
+ * the `id` of the user to which `me` refers, and the `referenceDate` (a
+ * 'YYYY-MM-DD' string) from which relative dates (e.g., "this week") are
+ * computed.
+ * @param {Object} options.entitySets The map of entity tokens to entities
+ * (i.e., `StateTable.prototype.entitySets`) with which to map entity ids in
+ * semantics to their display text.
+ * @param {Date} [options.referenceDate] The date to use instead of
+ * `options.dataset.referenceDate`.
+ */
+var executorSchema = {
+	dataset: { type: Object, required: true },
+	entitySets: { type: Object, required: true },
+	referenceDate: Date,
+}
+
+function Executor(options) {
+	if (util.illFormedOpts(executorSchema, options)) {
+		throw new Error('Ill-formed Executor')
+	}
+
+	this.dataset = options.dataset
+	this.referenceDate = options.referenceDate || argUtil.parseDate(options.dataset.referenceDate)
+
+	// The map of entity ids to entities, for mapping entity ids in semantics
+	// to their display text.
+	this.entities = argUtil.createEntityTab(options.entitySets)
+
+	// The map of record `id`s to records for each category.
+	this.recordTabs = {}
+	for (var category in argUtil.categoryNames) {
+		this.recordTabs[category] = this.getRecords(category).reduce(function (recordTab, record) {
+			recordTab[record.id] = record
+			return recordTab
+		}, {})
+	}
+
+	// The map of semantic function names to handlers.
+	this.handlers = {}
+	require('./handlers')(this)
+}
+
+/**
+ * Registers `handler` as the function that evaluates the semantic function
+ * named `semanticName`. Replaces the existing handler for `semanticName`, if
+ * any, enabling consumers to override the bundled handlers.
+ *
+ * `handler.exec` is invoked with the `Executor` instance as `this` and the
+ * semantic node's child nodes and evaluation environment as arguments, and
+ * evaluates its arguments via `Executor.prototype.evalSet()`,
+ * `Executor.prototype.evalCount()`, `Executor.prototype.evalDate()`,
+ * `Executor.prototype.evalEntityText()`, and
+ * `Executor.prototype.evalArgName()`.
+ *
+ * @memberOf Executor
+ * @param {string} semanticName The name of the semantic function to handle.
+ * @param {Object} handler The handler.
+ * @param {string} handler.category The dataset record category of the
+ * records `handler.exec` returns.
+ * @param {Function} handler.exec The function that returns the records that
+ * satisfy the semantic function.
+ * @param {Function} [handler.getValue] The function that returns the number
+ * or 'YYYY-MM-DD' date string of a record by which `order-by()` orders and
+ * `sum-of()` and `avg-of()` aggregate records, if defined, else `undefined`.
+ * Invoked with the `Executor` instance as `this` and the record as the
+ * argument. Required for the semantic function to be the argument of
+ * `order-by()`, `sum-of()`, or `avg-of()`.
+ * @returns {Executor} Returns the `Executor` instance.
+ */
+var handlerSchema = {
+	category: { values: Object.keys(argUtil.categoryNames), required: true },
+	exec: { type: Function, required: true },
+	getValue: Function,
+}
+
+Executor.prototype.addHandler = function (semanticName, handler) {
+	if (util.illFormedOpts(handlerSchema, handler)) {
+		throw new Error('Ill-formed semantic handler')
+	}
+
+	this.handlers[semanticName] = handler
+
+	return this
+}
+
+/**
+ * Evaluates `semanticArray` against the dataset and returns the matching
+ * records, the number an aggregate semantic (e.g., `count-of()`) represents,
+ * or the answer to a yes/no question semantic (e.g., `member()`).
+ *
+ * @memberOf Executor
+ * @param {Object[]|string} semanticArray The semantic tree to evaluate (e.g.,
+ * `tree.semanticList.semantic` of a parse tree), or its string
+ * representation (i.e., `tree.semanticStr`).
+ * @returns {Object[]|number|boolean|null} Returns the matching records, the
+ * number if `semanticArray` is an aggregate semantic, or the boolean if
+ * `semanticArray` is a yes/no question semantic.
+ */
+Executor.prototype.execute = function (semanticArray) {
+	if (typeof semanticArray === 'string') {
+		semanticArray = semantic.stringToObject(semanticArray)
+	}
+
+	var category = this.getCategory(semanticArray[0])
+	if (!category) {
+		util.logError('Unable to determine the category of semantic:', util.stylize(semantic.toString(semanticArray)))
+		throw new Error('Ill-formed semantic')
+	}
+
+	if (semanticArray.length === 1) {
+		var rootName = semanticArray[0].semantic.name
+
+		if (argUtil.aggregateNames.indexOf(rootName) !== -1) {
+			return this.evalAggregate(semanticArray[0], category)
+		}
+
+		if (argUtil.questionNames.indexOf(rootName) !== -1) {
+			return this.evalQuestion(semanticArray[0], category)
+		}
+	}
+
+	return this.evalSet(semanticArray, category)
+}
+
+/**
+ * Evaluates the yes/no question semantic node `semanticNode` (i.e.,
+ * `member()` and `exists()`) to its answer.
+ *
+ * `member(entity,set)` checks if the records of the semantic argument
+ * `entity` (e.g., `me`) are in `set`. `exists(set)` checks if `set` has any
+ * records.
+ *
+ * @private
+ * @memberOf Executor
+ * @param {Object} semanticNode The yes/no question semantic node to evaluate.
+ * @param {string} category The dataset record category of the records the
+ * question checks.
+ * @returns {boolean} Returns the answer.
+ */
+Executor.prototype.evalQuestion = function (semanticNode, category) {
+	var children = semanticNode.children
+
+	if (semanticNode.semantic.name === 'exists') {
+		return this.evalSet(children, category).length > 0
+	}
+
+	// `semantic.reduce()` sorts semantic arguments before functions.
+	var memberNode = children[0]
+	var setNode = children[1]
+	if (children.length !== 2 || memberNode.children || !setNode.children) {
+		util.logError('Semantic lacks a member and set:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var members = this.evalSet([ memberNode ], category)
+	var set = this.evalSet([ setNode ], category)
+
+	return members.length > 0 && members.every(function (record) {
+		return set.indexOf(record) !== -1
+	})
+}
+
+/**
+ * Evaluates the aggregate semantic node `semanticNode` (i.e., `count-of()`,
+ * `sum-of()`, and `avg-of()`) to the number it represents.
+ *
+ * `count-of(set)` counts the records in `set`. `sum-of(measure(set))` and
+ * `avg-of(measure(set))` sum and average the values that the handler of
+ * `measure` defines with `getValue` for the records in `set`, excluding
+ * records without a value.
+ *
+ * @private
+ * @memberOf Executor
+ * @param {Object} semanticNode The aggregate semantic node to evaluate.
+ * @param {string} category The dataset record category of the records to
+ * aggregate.
+ * @returns {number|null} Returns the number, or `null` for `sum-of()` and
+ * `avg-of()` if no records have values.
+ */
+Executor.prototype.evalAggregate = function (semanticNode, category) {
+	var name = semanticNode.semantic.name
+	var children = semanticNode.children
+
+	if (name === 'count-of') {
+		return this.evalSet(children, category).length
+	}
+
+	var measureNode = children[0]
+	var handler = this.handlers[measureNode.semantic.name]
+	if (children.length !== 1 || !handler || !handler.getValue || handler.category !== category || !measureNode.children) {
+		util.logError('Semantic can not aggregate', argUtil.categoryNames[category], 'records:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var values = this.evalSet(measureNode.children, category).map(handler.getValue, this).filter(function (value) {
+		return value != null
+	})
+
+	if (values.length === 0) {
+		return null
+	}
+
+	var sum = values.reduce(function (a, b) {
+		return a + b
+	})
+
+	return name === 'sum-of' ? sum : sum / values.length
+}
+
+/**
+ * Gets the dataset record category of the records that `semanticNode`
+ * returns.
+ *
+ * @memberOf Executor
+ * @param {Object} semanticNode The semantic node to inspect.
+ * @returns {string|undefined} Returns the dataset record category, if
+ * determinable, else `undefined`.
+ */
+Executor.prototype.getCategory = function (semanticNode) {
+	var name = semanticNode.semantic.name
+
+	if (!semanticNode.children) {
+		if (name === 'me') return 'users'
+
+		var entity = this.entities[name]
+		return entity && argUtil.entityCategories[entity.category]
+	}
+
+	var handler = this.handlers[name]
+	if (handler) {
+		return handler.category
+	}
+
+	// Infer the category of operators and semantics without handlers from
+	// their first argument other than `limit()` and `nth()`, whose integer
+	// arguments are not records.
+	var children = semanticNode.children.filter(function (childNode) {
+		var childName = childNode.semantic.name
+		return childName !== 'limit' && childName !== 'nth'
+	})
+
+	return children.length > 0 ? this.getCategory(children[0]) : undefined
+}
+
+/**
+ * Evaluates `semanticArray` to the set of records in `category` it
+ * represents. If `semanticArray` contains multiple semantic nodes, returns
+ * their intersection.
+ *
+ * If `semanticArray` contains `order-by()`, `limit()`, or `nth()`, orders
+ * and limits the intersection of the other semantic nodes, or all records in
+ * `category` if there are none.
+ *
+ * @memberOf Executor
+ * @param {Object[]} semanticArray The semantic nodes to evaluate.
+ * @param {string} category The dataset record category of the records to
+ * return.
+ * @param {Object} [env] The evaluation environment, passed to handlers.
+ * @param {string} [env.tense] The name of the tense semantic (e.g.,
+ * `present()`) that the evaluated semantic descends, if any.
+ * @returns {Object[]} Returns the matching records.
+ */
+Executor.prototype.evalSet = function (semanticArray, category, env) {
+	var records
+	var orderByNode
+	var limitNode
+	var nthNode
+
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var name = semanticNode.semantic.name
+
+		if (name === 'order-by') {
+			orderByNode = semanticNode
+		} else if (name === 'limit') {
+			limitNode = semanticNode
+		} else if (name === 'nth') {
+			nthNode = semanticNode
+		} else {
+			var nodeRecords = this.evalSetNode(semanticNode, category, env || {})
+			records = records ? intersect(records, nodeRecords) : nodeRecords
+		}
+	}
+
+	if (orderByNode || limitNode || nthNode) {
+		return this.evalOrder(records || this.getRecords(category), category, orderByNode, limitNode, nthNode)
+	}
+
+	return records
+}
+
+/**
+ * Orders `records` by the argument of `orderByNode`, if any, and limits them
+ * to the number of `limitNode`, if any, or to the record at the position of
+ * `nthNode`, if any.
+ *
+ * The argument of `order-by()` is a semantic function with a handler that
+ * defines `getValue`, reduced with the direction `asc` or `desc`; e.g.,
+ * `order-by(repositories-star-count(desc))`. Orders records without a key
+ * last, and records with equal keys by `id`.
+ *
+ * Throws an exception if there is `limitNode` or `nthNode` without
+ * `orderByNode`, because the first `n` or `n`th records are meaningless
+ * without an order. The grammar defines the default order of each category
+ * that accepts "top `<int>`" or the `n`th instance without a superlative.
+ *
+ * @private
+ * @memberOf Executor
+ * @param {Object[]} records The records to order.
+ * @param {string} category The dataset record category of `records`.
+ * @param {Object} [orderByNode] The `order-by()` semantic node.
+ * @param {Object} [limitNode] The `limit()` semantic node.
+ * @param {Object} [nthNode] The `nth()` semantic node.
+ * @returns {Object[]} Returns the ordered records.
+ */
+Executor.prototype.evalOrder = function (records, category, orderByNode, limitNode, nthNode) {
+	if (!orderByNode) {
+		util.logError('Semantic limits unordered', argUtil.categoryNames[category], 'records:', util.stylize(semantic.toString([ limitNode || nthNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var keyNode = orderByNode.children[0]
+	var handler = this.handlers[keyNode.semantic.name]
+	if (!handler || !handler.getValue || handler.category !== category || !keyNode.children) {
+		util.logError('Semantic can not order', argUtil.categoryNames[category], 'records:', util.stylize(semantic.toString([ orderByNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var isDesc = this.evalArgName(keyNode.children[0], [ 'asc', 'desc' ]) === 'desc'
+
+	records = records.map(function (record) {
+		return { record: record, key: handler.getValue.call(this, record) }
+	}, this).sort(function (a, b) {
+		var aHasKey = a.key != null
+		if (aHasKey !== (b.key != null)) {
+			return aHasKey ? -1 : 1
+		}
+
+		if (aHasKey && a.key !== b.key) {
+			return (a.key < b.key) === isDesc ? 1 : -1
+		}
+
+		return a.record.id < b.record.id ? -1 : 1
+	}).map(function (keyedRecord) {
+		return keyedRecord.record
+	})
+
+	if (limitNode) {
+		records = records.slice(0, argUtil.evalInt(limitNode.children[0]))
+	}
+
+	if (nthNode) {
+		var position = argUtil.evalInt(nthNode.children[0])
+		records = records.slice(position - 1, position)
+	}
+
+	return records
+}
+
+/**
+ * Evaluates `semanticNode` to the set of records in `category` it
+ * represents.
+ *
+ * @private
+ * @memberOf Executor
+ * @param {Object} semanticNode The semantic node to evaluate.
+ * @param {string} category The dataset record category of the records to
+ * return.
+ * @param {Object} env The evaluation environment, passed to handlers.
+ * @returns {Object[]} Returns the matching records.
+ */
+Executor.prototype.evalSetNode = function (semanticNode, category, env) {
+	var name = semanticNode.semantic.name
+	var children = semanticNode.children
+
+	// Evaluate semantic arguments (i.e., `me` and entities).
+	if (!children) {
+		return this.evalRecordArg(semanticNode, category)
+	}
+
+	if (name === 'intersect') {
+		return this.evalSet(children, category, env)
+	}
+
+	// Order all records in `category` for `order-by()`, `limit()`, and `nth()`
+	// outside `intersect()` (e.g., as the argument of `union()`).
+	if (name === 'order-by' || name === 'limit' || name === 'nth') {
+		return this.evalSet([ semanticNode ], category, env)
+	}
+
+	if (name === 'union') {
+		return children.map(function (childNode) {
+			return this.evalSetNode(childNode, category, env)
+		}, this).reduce(union)
+	}
+
+	if (name === 'not') {
+		var excluded = this.evalSet(children, category, env)
+		return this.getRecords(category).filter(function (record) {
+			return excluded.indexOf(record) === -1
+		})
+	}
+
+	// Evaluate the tense semantic's argument with the tense in `env`, for
+	// handlers whose records are associated with dates (e.g.,
+	// `companies-worked-at()`).
+	if (argUtil.tenseNames.indexOf(name) !== -1) {
+		return this.evalSet(children, category, Object.assign({}, env, { tense: name }))
+	}
+
+	var handler = this.handlers[name]
+	if (!handler) {
+		util.logError('No handler for semantic function:', util.stylize(name))
+		throw new Error('Unrecognized semantic function')
+	}
+
+	if (handler.category !== category) {
+		util.logError('Semantic function', util.stylize(name), 'returns', argUtil.categoryNames[handler.category], 'records, not', argUtil.categoryNames[category], 'records')
+		throw new Error('Ill-formed semantic')
+	}
+
+	return handler.exec.call(this, children, env)
+}
+
+/**
+ * Evaluates the semantic argument `semanticNode` to the set of records in
+ * `category` it represents: the user `me` refers to or the records whose
+ * `name` matches the entity's display text.
+ *
+ * @private
+ * @memberOf Executor
+ * @param {Object} semanticNode The semantic argument node to evaluate.
+ * @param {string} category The dataset record category of the records to
+ * return.
+ * @returns {Object[]} Returns the matching records.
+ */
+Executor.prototype.evalRecordArg = function (semanticNode, category) {
+	var name = semanticNode.semantic.name
+
+	if (name === 'me' && category === 'users') {
+		return [ this.getRecord('users', this.dataset.me) ]
+	}
+
+	var entity = this.entities[name]
+	if (!entity || argUtil.entityCategories[entity.category] !== category) {
+		util.logError('Semantic argument', util.stylize(name), 'is not a', argUtil.categoryNames[category])
+		throw new Error('Ill-formed semantic')
+	}
+
+	var entityName = argUtil.getEntityRecordName(entity)
+
+	return this.getRecords(category).filter(function (record) {
+		return record.name === entityName
+	})
+}
+
+/**
+ * Evaluates the semantic argument `semanticNode` to the display text of the
+ * entity it represents. For use with entity categories without dataset
+ * records, such as `{language}` and `{city}`.
+ *
+ * @memberOf Executor
+ * @param {Object} semanticNode The entity semantic argument node to
+ * evaluate.
+ * @returns {string} Returns the entity's display text.
+ */
+Executor.prototype.evalEntityText = function (semanticNode) {
+	var entity = this.entities[semanticNode.semantic.name]
+	if (!entity || semanticNode.children) {
+		util.logError('Semantic is not an entity:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return entity.text
+}
+
+/**
+ * Gets the name of the semantic argument `semanticNode` and checks it is one
+ * of `argNames`. For use with enumerated arguments, such as `open` and
+ * `closed`.
+ *
+ * @memberOf Executor
+ * @param {Object} semanticNode The semantic argument node to evaluate.
+ * @param {string[]} argNames The accepted semantic argument names.
+ * @returns {string} Returns the semantic argument name.
+ */
+Executor.prototype.evalArgName = function (semanticNode, argNames) {
+	var name = semanticNode.semantic.name
+	if (semanticNode.children || argNames.indexOf(name) === -1) {
+		util.logError('Expected one of', argNames.map(util.unary(util.stylize)).join(', '), 'but received:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return name
+}
+
+/**
+ * Evaluates the count semantic nodes in `semanticArray` (i.e., `count()`,
+ * `count-over()`, and `count-under()`) to a predicate that checks if a number
+ * satisfies all of the counts.
+ *
+ * `count(n)` matches `n`, `count(n1,n2)` matches the inclusive range
+ * `[n1, n2]`, and `count-over(n)` and `count-under(n)` are exclusive.
+ *
+ * @memberOf Executor
+ * @param {Object[]} semanticArray The count semantic nodes to evaluate.
+ * @returns {Function} Returns the predicate that accepts a number.
+ */
+Executor.prototype.evalCount = function (semanticArray) {
+	var predicates = semanticArray.map(function (semanticNode) {
+		var name = semanticNode.semantic.name
+		var nums = (semanticNode.children || []).map(argUtil.evalNumber).sort(function (a, b) {
+			return a - b
+		})
+
+		if (name === 'count' && nums.length === 1) {
+			return function (n) { return n === nums[0] }
+		}
+
+		if (name === 'count' && nums.length === 2) {
+			return function (n) { return n >= nums[0] && n <= nums[1] }
+		}
+
+		if (name === 'count-over' && nums.length === 1) {
+			return function (n) { return n > nums[0] }
+		}
+
+		if (name === 'count-under' && nums.length === 1) {
+			return function (n) { return n < nums[0] }
+		}
+
+		util.logError('Semantic is not a count:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	})
+
+	return function (n) {
+		return predicates.every(function (predicate) {
+			return predicate(n)
+		})
+	}
+}
+
+/**
+ * Evaluates the date semantic nodes in `semanticArray` (i.e., `date()`,
+ * `date-before()`, `date-after()`, `date-since()`, `date-until()`, and
+ * `date-interval()`) to a predicate that checks if a 'YYYY-MM-DD' date string
+ * satisfies all of the dates.
+ *
+ * `date()`, `date-since()`, `date-until()`, and `date-interval()` are
+ * inclusive, and `date-before()` and `date-after()` are exclusive. Relative
+ * dates (e.g., `this-week`, `days-ago(3)`) are computed from
+ * `Executor.prototype.referenceDate`.
+ *
+ * @memberOf Executor
+ * @param {Object[]} semanticArray The date semantic nodes to evaluate.
+ * @returns {Function} Returns the predicate that accepts a date string.
+ */
+Executor.prototype.evalDate = function (semanticArray) {
+	var predicates = semanticArray.map(function (semanticNode) {
+		var bounds = argUtil.evalDateBounds(semanticNode, this.referenceDate)
+		return function (date) {
+			return (!bounds.start || date >= bounds.start) && (!bounds.end || date < bounds.end)
+		}
+	}, this)
+
+	return function (dateStr) {
+		if (!dateStr) return false
+
+		var date = argUtil.parseDate(dateStr)
+		return predicates.every(function (predicate) {
+			return predicate(date)
+		})
+	}
+}
+
+/**
+ * Gets the records in `category`.
+ *
+ * @memberOf Executor
+ * @param {string} category The dataset record category.
+ * @returns {Object[]} Returns the records in `category`.
+ */
+Executor.prototype.getRecords = function (category) {
+	return this.dataset[category] || []
+}
+
+/**
+ * Gets the record in `category` with `id`.
+ *
+ * @memberOf Executor
+ * @param {string} category The dataset record category.
+ * @param {string} id The record id.
+ * @returns {Object|undefined} Returns the record, if found, else `undefined`.
+ */
+Executor.prototype.getRecord = function (category, id) {
+	return this.recordTabs[category][id]
+}
+
+/**
+ * Gets the records in both `a` and `b`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} a The records to inspect.
+ * @param {Object[]} b The other records to inspect.
+ * @returns {Object[]} Returns the intersecting records.
+ */
+function intersect(a, b) {
+	return a.filter(function (record) {
+		return b.indexOf(record) !== -1
+	})
+}
+
+/**
+ * Gets the records in either `a` or `b`, without duplicates.
+ *
+ * @private
+ * @static
+ * @param {Object[]} a The records to inspect.
+ * @param {Object[]} b The other records to inspect.
+ * @returns {Object[]} Returns the combined records.
+ */
+function union(a, b) {
+	return a.concat(b.filter(function (record) {
+		return a.indexOf(record) === -1
+	}))
+}
+
+// Export `Executor`.
+module.exports = Executor
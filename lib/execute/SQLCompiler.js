@@ -0,0 +1,810 @@
+var util = require('../util/util')
+var semantic = require('../grammar/semantic')
+var argUtil = require('./argUtil')
+
+/**
+ * The `SQLCompiler` constructor, which compiles the semantic trees output by
+ * `pfsearch` to parameterized SQL queries for the schema in `schema.sql`.
+ *
+ * Each semantic function is compiled with the SQL mapping registered via
+ * `SQLCompiler.prototype.addMapping()`. The operators `intersect()`,
+ * `union()`, and `not()` compile to `AND`, `OR`, and `NOT` of the arguments'
+ * subquery predicates, and the tense semantics (e.g., `present()`) restrict
+ * the join table rows of the relations their arguments contain. The ordering
+ * semantics `order-by()`, `limit()`, and `nth()` compile to `ORDER BY`,
+ * `LIMIT`, and `OFFSET` clauses of the subquery of the semantics they
+ * intersect, and the aggregate
+ * semantics `count-of()`, `sum-of()`, and `avg-of()` compile to `COUNT()`,
+ * `SUM()`, and `AVG()`, and the yes/no question semantics `member()` and
+ * `exists()` compile to `EXISTS` subqueries. Registers the mapping of each
+ * semantic function in `options.semantics` that defines one (i.e., the
+ * `sql` option of `g.newSemantic()`) on instantiation.
+ *
+ * @constructor
+ * @param {Object} options The options object.
+ * @param {Object} options.semantics The map of the grammar's semantic names
+ * to semantics (i.e., `grammar.semantics`), whose SQL mappings to register.
+ * @param {Object} options.tables The map of dataset record categories to the
+ * tables that store their records (i.e., `grammar.sqlTables`), which
+ * `Category` defines via `options.sqlTable`.
+ * @param {Object} options.entitySets The map of entity tokens to entities
+ * (i.e., `StateTable.prototype.entitySets`) with which to map entity ids in
+ * semantics to their display text.
+ * @param {string} options.me The `id` of the user to which `me` refers.
+ * @param {Date} options.referenceDate The date from which relative dates
+ * (e.g., "this week") are computed.
+ */
+var sqlCompilerSchema = {
+	semantics: { type: Object, required: true },
+	tables: { type: Object, required: true },
+	entitySets: { type: Object, required: true },
+	me: { type: String, required: true },
+	referenceDate: { type: Date, required: true },
+}
+
+function SQLCompiler(options) {
+	if (util.illFormedOpts(sqlCompilerSchema, options)) {
+		throw new Error('Ill-formed SQLCompiler')
+	}
+
+	this.me = options.me
+	this.referenceDate = options.referenceDate
+
+	// The map of entity ids to entities, for mapping entity ids in semantics
+	// to their display text.
+	this.entities = argUtil.createEntityTab(options.entitySets)
+
+	// The map of dataset record categories to their tables.
+	this.tables = options.tables
+
+	// The `util.illFormedOpts()` schemas of SQL mappings and their relations, which only accept the categories in `this.tables`.
+	this.mappingSchemas = createMappingSchemas(Object.keys(this.tables))
+
+	// The map of semantic function names to SQL mappings.
+	this.mappings = {}
+	for (var semanticName in options.semantics) {
+		var semanticDef = options.semantics[semanticName]
+		if (semanticDef.sql) {
+			this.addMapping(semanticName, semanticDef.sql)
+		}
+	}
+}
+
+/**
+ * The names of the semantic functions `SQLCompiler` compiles without SQL
+ * mappings: the operators, ordering, tense, aggregate, and yes/no question
+ * semantics it compiles itself, and the date, count, and dialogue semantics,
+ * which are only arguments of mapped semantic functions or are resolved
+ * before compilation. `checkSQLMappings` requires every other semantic
+ * function in a grammar built with it to define a mapping.
+ *
+ * @static
+ * @memberOf SQLCompiler
+ * @type {string[]}
+ */
+SQLCompiler.builtInNames = [ 'intersect', 'union', 'not', 'order-by', 'limit', 'nth' ].concat(
+	argUtil.tenseNames,
+	argUtil.aggregateNames,
+	argUtil.questionNames,
+	[ 'date', 'date-before', 'date-after', 'date-interval', 'date-since', 'date-until', 'days-ago', 'weeks-ago', 'months-ago', 'years-ago' ],
+	[ 'count', 'count-over', 'count-under' ],
+	[ 'antecedent-set', 'antecedent-entity', 'ellipsis' ]
+)
+
+/**
+ * The compiled, parameterized SQL query.
+ *
+ * @typedef {Object} CompiledSQL
+ * @property {string} sql The SQL query, which selects the `id` of each
+ * matching row, ordered by `id` unless the semantic defines an order, or the
+ * single value of an aggregate or yes/no question semantic, with a `?`
+ * placeholder for each parameter. SQLite represents the answers of yes/no
+ * questions as 1 and 0.
+ * @property {*[]} params The parameter values, in order of their
+ * placeholders.
+ */
+
+/**
+ * Registers `mapping` as the SQL mapping for the semantic function named
+ * `semanticName`. Replaces the existing mapping for `semanticName`, if any.
+ *
+ * Each mapping defines the dataset record `category` the semantic function
+ * returns and exactly one of the following:
+ * • `relation` - Matches rows whose `id` is in `column` of the join `table`
+ * rows whose `argColumn` is in the set of `argCategory` rows its arguments
+ * represent. An array of relations maps to a different join table depending
+ * on the category of the arguments.
+ * • `reference` - Matches rows whose foreign key `column` is in the set of
+ * `argCategory` rows its arguments represent.
+ * • `argValues` - Matches rows whose `column` equals its semantic argument
+ * name, which must be one of `argNames`.
+ * • `argPredicates` - Matches rows that satisfy the predicate mapped to its
+ * semantic argument name.
+ * • `count` - Matches rows whose number expression satisfies its count
+ * semantic arguments. `order-by()` orders rows by the expression, and
+ * `sum-of()` and `avg-of()` aggregate it.
+ * • `date` - Matches rows whose date column satisfies its date semantic
+ * arguments. `order-by()` orders rows by the column.
+ * • `entity` - Matches rows where any of the columns equals the display text
+ * of its entity arguments.
+ *
+ * @memberOf SQLCompiler
+ * @param {string} semanticName The name of the semantic function.
+ * @param {Object} mapping The SQL mapping.
+ * @returns {SQLCompiler} Returns the `SQLCompiler` instance.
+ */
+SQLCompiler.prototype.addMapping = function (semanticName, mapping) {
+	if (util.illFormedOpts(this.mappingSchemas.mapping, mapping) || isIllFormedMapping(semanticName, mapping, this.mappingSchemas.relation)) {
+		throw new Error('Ill-formed SQL mapping')
+	}
+
+	this.mappings[semanticName] = mapping
+
+	return this
+}
+
+/**
+ * Creates the `util.illFormedOpts()` schemas of SQL mappings and the
+ * relations they define, which accept only `categoryValues` as dataset
+ * record categories.
+ *
+ * @private
+ * @static
+ * @param {string[]} categoryValues The dataset record categories with tables.
+ * @returns {Object} Returns the mapping schema, `mapping`, and relation
+ * schema, `relation`.
+ */
+function createMappingSchemas(categoryValues) {
+	return {
+		mapping: {
+			category: { values: categoryValues, required: true },
+			relation: { type: [ Object, Array ] },
+			reference: { type: Object, schema: {
+				column: { type: String, required: true },
+				argCategory: { values: categoryValues, required: true },
+			} },
+			argValues: { type: Object, schema: {
+				column: { type: String, required: true },
+				argNames: { type: Array, arrayType: String, required: true },
+			} },
+			argPredicates: Object,
+			count: String,
+			date: String,
+			entity: { type: Array, arrayType: String },
+		},
+		relation: {
+			table: { type: String, required: true },
+			column: { type: String, required: true },
+			argColumn: { type: String, required: true },
+			argCategory: { values: categoryValues, required: true },
+			startColumn: String,
+			endColumn: String,
+		},
+	}
+}
+
+/**
+ * Checks if `mapping` does not define exactly one mapping type or has an
+ * ill-formed `relation`. If so, prints an error.
+ *
+ * @private
+ * @static
+ * @param {string} semanticName The name of the semantic function `mapping`
+ * maps.
+ * @param {Object} mapping The SQL mapping to inspect.
+ * @param {Object} relationSchema The `util.illFormedOpts()` schema of
+ * relations.
+ * @returns {boolean} Returns `true` if `mapping` is ill-formed, else `false`.
+ */
+function isIllFormedMapping(semanticName, mapping, relationSchema) {
+	var mappingTypes = Object.keys(mapping).filter(function (prop) {
+		return prop !== 'category'
+	})
+
+	if (mappingTypes.length !== 1) {
+		util.logErrorAndPath('SQL mapping for', util.stylize(semanticName), 'does not define exactly one mapping type:', mappingTypes)
+		return true
+	}
+
+	if (mapping.relation) {
+		return [].concat(mapping.relation).some(function (relation) {
+			return util.illFormedOpts(relationSchema, relation)
+		})
+	}
+
+	return false
+}
+
+/**
+ * Compiles `semanticArray` to a parameterized SQL query that selects the `id`
+ * of each row that satisfies the semantic.
+ *
+ * @memberOf SQLCompiler
+ * @param {Object[]|string} semanticArray The semantic tree to compile (e.g.,
+ * `tree.semanticList.semantic` of a parse tree), or its string
+ * representation (i.e., `tree.semanticStr`).
+ * @returns {CompiledSQL} Returns the compiled SQL query and its parameters.
+ */
+SQLCompiler.prototype.compile = function (semanticArray) {
+	if (typeof semanticArray === 'string') {
+		semanticArray = semantic.stringToObject(semanticArray)
+	}
+
+	var category = this.getCategory(semanticArray[0])
+	if (!category) {
+		util.logError('Unable to determine the category of semantic:', util.stylize(semantic.toString(semanticArray)))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var params = []
+
+	if (semanticArray.length === 1) {
+		var rootName = semanticArray[0].semantic.name
+
+		if (argUtil.aggregateNames.indexOf(rootName) !== -1) {
+			return {
+				sql: this.compileAggregate(semanticArray[0], category, params),
+				params: params,
+			}
+		}
+
+		if (argUtil.questionNames.indexOf(rootName) !== -1) {
+			return {
+				sql: this.compileQuestion(semanticArray[0], category, params),
+				params: params,
+			}
+		}
+	}
+
+	var sql = this.compileSubquery(semanticArray, category, {}, params)
+
+	return {
+		sql: hasOrdering(unwrapIntersect(semanticArray)) ? sql : sql + ' ORDER BY id',
+		params: params,
+	}
+}
+
+/**
+ * Compiles the aggregate semantic node `semanticNode` (i.e., `count-of()`,
+ * `sum-of()`, and `avg-of()`) to a query that selects the single value it
+ * represents.
+ *
+ * `sum-of(measure(set))` and `avg-of(measure(set))` aggregate the `count`
+ * expression of the mapping for `measure` over the rows `set` matches.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The aggregate semantic node to compile.
+ * @param {string} category The dataset record category of the rows to
+ * aggregate.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL query.
+ */
+SQLCompiler.prototype.compileAggregate = function (semanticNode, category, params) {
+	var name = semanticNode.semantic.name
+	var children = semanticNode.children
+
+	if (name === 'count-of') {
+		return 'SELECT COUNT(*) FROM (' + this.compileSubquery(children, category, {}, params) + ')'
+	}
+
+	var measureNode = children[0]
+	var mapping = this.mappings[measureNode.semantic.name]
+	if (children.length !== 1 || !mapping || !mapping.count || mapping.category !== category || !measureNode.children) {
+		util.logError('Semantic can not aggregate', argUtil.categoryNames[category], 'rows:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var func = name === 'sum-of' ? 'SUM' : 'AVG'
+	return 'SELECT ' + func + '(' + mapping.count + ') FROM ' + this.tables[category] + ' WHERE id IN (' + this.compileSubquery(measureNode.children, category, {}, params) + ')'
+}
+
+/**
+ * Compiles the yes/no question semantic node `semanticNode` (i.e.,
+ * `member()` and `exists()`) to a query that selects its answer.
+ *
+ * `member(entity,set)` selects whether the rows of the semantic argument
+ * `entity` exist and none are absent from `set`. `exists(set)` selects
+ * whether `set` has any rows.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The yes/no question semantic node to compile.
+ * @param {string} category The dataset record category of the rows the
+ * question checks.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL query.
+ */
+SQLCompiler.prototype.compileQuestion = function (semanticNode, category, params) {
+	var children = semanticNode.children
+
+	if (semanticNode.semantic.name === 'exists') {
+		return 'SELECT EXISTS (' + this.compileSubquery(children, category, {}, params) + ')'
+	}
+
+	// `semantic.reduce()` sorts semantic arguments before functions.
+	var memberNode = children[0]
+	var setNode = children[1]
+	if (children.length !== 2 || memberNode.children || !setNode.children) {
+		util.logError('Semantic lacks a member and set:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var sql = 'SELECT EXISTS (' + this.compileSubquery([ memberNode ], category, {}, params) + ')'
+	sql += ' AND NOT EXISTS (' + this.compileSubquery([ memberNode ], category, {}, params)
+	return sql + ' EXCEPT ' + this.compileSubquery([ setNode ], category, {}, params) + ')'
+}
+
+/**
+ * Gets the dataset record category of the rows that `semanticNode` matches.
+ *
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The semantic node to inspect.
+ * @returns {string|undefined} Returns the dataset record category, if
+ * determinable, else `undefined`.
+ */
+SQLCompiler.prototype.getCategory = function (semanticNode) {
+	var name = semanticNode.semantic.name
+
+	if (!semanticNode.children) {
+		if (name === 'me') return 'users'
+
+		var entity = this.entities[name]
+		return entity && argUtil.entityCategories[entity.category]
+	}
+
+	var mapping = this.mappings[name]
+	if (mapping) {
+		return mapping.category
+	}
+
+	// Infer the category of operators and tense semantics from their first
+	// argument other than `limit()` and `nth()`, whose integer arguments are
+	// not rows.
+	var children = semanticNode.children.filter(function (childNode) {
+		var childName = childNode.semantic.name
+		return childName !== 'limit' && childName !== 'nth'
+	})
+
+	return children.length > 0 ? this.getCategory(children[0]) : undefined
+}
+
+/**
+ * Compiles `semanticArray` to a subquery that selects the `id` of each row
+ * in the table of `category` that satisfies the semantic.
+ *
+ * If `semanticArray`, or the lone `intersect()` it contains, contains
+ * `order-by()`, `limit()`, or `nth()`, orders and limits the rows that
+ * satisfy the other semantic nodes, or all rows if there are none. Orders rows without a
+ * key last, and rows with equal keys by `id`. Throws an exception if there is
+ * `limit()` or `nth()` without `order-by()`, like
+ * `Executor.prototype.evalOrder()`.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object[]} semanticArray The semantic nodes to compile.
+ * @param {string} category The dataset record category of the rows to match.
+ * @param {Object} env The compilation environment.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL subquery.
+ */
+SQLCompiler.prototype.compileSubquery = function (semanticArray, category, env, params) {
+	var sql = 'SELECT id FROM ' + this.tables[category]
+
+	semanticArray = unwrapIntersect(semanticArray)
+	if (!hasOrdering(semanticArray)) {
+		return sql + ' WHERE ' + this.compilePredicate(semanticArray, category, env, params)
+	}
+
+	var orderByNode
+	var limitNode
+	var nthNode
+	var filterNodes = semanticArray.filter(function (semanticNode) {
+		var name = semanticNode.semantic.name
+		if (name === 'order-by') {
+			orderByNode = semanticNode
+		} else if (name === 'limit') {
+			limitNode = semanticNode
+		} else if (name === 'nth') {
+			nthNode = semanticNode
+		} else {
+			return true
+		}
+	})
+
+	if (!orderByNode) {
+		util.logError('Semantic limits unordered', argUtil.categoryNames[category], 'rows:', util.stylize(semantic.toString([ limitNode || nthNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	if (filterNodes.length > 0) {
+		sql += ' WHERE ' + this.compilePredicate(filterNodes, category, env, params)
+	}
+
+	var keyNode = orderByNode.children[0]
+	var mapping = this.mappings[keyNode.semantic.name]
+	var expr = mapping && (mapping.count || mapping.date)
+	if (!expr || mapping.category !== category || !keyNode.children) {
+		util.logError('Semantic can not order', argUtil.categoryNames[category], 'rows:', util.stylize(semantic.toString([ orderByNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	var direction = this.getArgName(keyNode.children[0], [ 'asc', 'desc' ]).toUpperCase()
+	sql += ' ORDER BY ' + expr + ' IS NULL, ' + expr + ' ' + direction + ', id'
+
+	if (nthNode) {
+		// Select the row at the position within the limit, if any, else none.
+		var position = argUtil.evalInt(nthNode.children[0])
+		params.push(!limitNode || position <= argUtil.evalInt(limitNode.children[0]) ? 1 : 0, position - 1)
+		sql += ' LIMIT ? OFFSET ?'
+	} else if (limitNode) {
+		params.push(argUtil.evalInt(limitNode.children[0]))
+		sql += ' LIMIT ?'
+	}
+
+	return sql
+}
+
+/**
+ * Compiles `semanticArray` to a predicate on the rows of the table of
+ * `category`. If `semanticArray` contains multiple semantic nodes, returns
+ * the conjunction of their predicates.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object[]} semanticArray The semantic nodes to compile.
+ * @param {string} category The dataset record category of the rows to match.
+ * @param {Object} env The compilation environment.
+ * @param {string} [env.tense] The name of the tense semantic (e.g.,
+ * `present()`) that the compiled semantic descends, if any.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL predicate.
+ */
+SQLCompiler.prototype.compilePredicate = function (semanticArray, category, env, params) {
+	var predicates = semanticArray.map(function (semanticNode) {
+		return this.compileNode(semanticNode, category, env, params)
+	}, this)
+
+	return conjoin(predicates)
+}
+
+/**
+ * Compiles `semanticNode` to a predicate on the rows of the table of
+ * `category`.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The semantic node to compile.
+ * @param {string} category The dataset record category of the rows to match.
+ * @param {Object} env The compilation environment.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL predicate.
+ */
+SQLCompiler.prototype.compileNode = function (semanticNode, category, env, params) {
+	var name = semanticNode.semantic.name
+	var children = semanticNode.children
+
+	// Compile semantic arguments (i.e., `me` and entities).
+	if (!children) {
+		return this.compileRecordArg(semanticNode, category, params)
+	}
+
+	// Compile ordered semantics to a subquery, whose `ORDER BY`, `LIMIT`, and
+	// `OFFSET` clauses a predicate can not express.
+	if (name === 'order-by' || name === 'limit' || name === 'nth' || name === 'intersect' && hasOrdering(children)) {
+		return 'id IN (' + this.compileSubquery([ semanticNode ], category, env, params) + ')'
+	}
+
+	if (name === 'intersect' || name === 'union') {
+		return '(' + children.map(function (childNode) {
+			return this.compileNode(childNode, category, env, params)
+		}, this).join(name === 'intersect' ? ' AND ' : ' OR ') + ')'
+	}
+
+	// Use `COALESCE()` to also match rows for which the predicate is `NULL`
+	// (e.g., comparisons to `NULL` columns), which the predicate does not
+	// match.
+	if (name === 'not') {
+		return 'NOT COALESCE(' + this.compilePredicate(children, category, env, params) + ', 0)'
+	}
+
+	if (argUtil.tenseNames.indexOf(name) !== -1) {
+		return this.compilePredicate(children, category, Object.assign({}, env, { tense: name }), params)
+	}
+
+	var mapping = this.mappings[name]
+	if (!mapping) {
+		util.logError('No SQL mapping for semantic function:', util.stylize(name))
+		throw new Error('Unrecognized semantic function')
+	}
+
+	if (mapping.category !== category) {
+		util.logError('Semantic function', util.stylize(name), 'returns', argUtil.categoryNames[mapping.category], 'rows, not', argUtil.categoryNames[category], 'rows')
+		throw new Error('Ill-formed semantic')
+	}
+
+	if (mapping.relation) {
+		return this.compileRelation(mapping.relation, children, env, params)
+	}
+
+	if (mapping.reference) {
+		return mapping.reference.column + ' IN (' + this.compileSubquery(children, mapping.reference.argCategory, env, params) + ')'
+	}
+
+	if (mapping.argValues) {
+		params.push(this.getArgName(children[0], mapping.argValues.argNames))
+		return mapping.argValues.column + ' = ?'
+	}
+
+	if (mapping.argPredicates) {
+		return mapping.argPredicates[this.getArgName(children[0], Object.keys(mapping.argPredicates))]
+	}
+
+	if (mapping.count) {
+		return this.compileCount(mapping.count, children, params)
+	}
+
+	if (mapping.date) {
+		return this.compileDate(mapping.date, children, params)
+	}
+
+	// Match rows where any of the columns equals any of the entities.
+	return '(' + children.map(function (childNode) {
+		var entityText = this.getEntityText(childNode)
+
+		return mapping.entity.map(function (column) {
+			params.push(entityText)
+			return column + ' = ?'
+		}).join(' OR ')
+	}, this).join(' OR ') + ')'
+}
+
+/**
+ * Compiles the semantic argument `semanticNode` to a predicate that matches
+ * the row of the user `me` refers to or the rows whose `name` matches the
+ * entity's display text.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The semantic argument node to compile.
+ * @param {string} category The dataset record category of the rows to match.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL predicate.
+ */
+SQLCompiler.prototype.compileRecordArg = function (semanticNode, category, params) {
+	var name = semanticNode.semantic.name
+
+	if (name === 'me' && category === 'users') {
+		params.push(this.me)
+		return 'id = ?'
+	}
+
+	var entity = this.entities[name]
+	if (!entity || argUtil.entityCategories[entity.category] !== category) {
+		util.logError('Semantic argument', util.stylize(name), 'is not a', argUtil.categoryNames[category])
+		throw new Error('Ill-formed semantic')
+	}
+
+	params.push(argUtil.getEntityRecordName(entity))
+	return 'name = ?'
+}
+
+/**
+ * Compiles a `relation` mapping to a predicate that matches the rows whose
+ * `id` is in `relation.column` of the join table rows whose
+ * `relation.argColumn` is in the rows `children` represents. If `relation` is
+ * an array, uses the relation whose `argCategory` is the category of
+ * `children`.
+ *
+ * If `env.tense` is defined and the relation has employment interval columns,
+ * restricts the join table rows to those in the tense relative to
+ * `SQLCompiler.prototype.referenceDate`.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object|Object[]} relation The relation mapping.
+ * @param {Object[]} children The semantic arguments.
+ * @param {Object} env The compilation environment.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL predicate.
+ */
+SQLCompiler.prototype.compileRelation = function (relation, children, env, params) {
+	if (Array.isArray(relation)) {
+		var argCategory = this.getCategory(children[0])
+		relation = relation.filter(function (rel) {
+			return rel.argCategory === argCategory
+		})[0]
+
+		if (!relation) {
+			util.logError('No SQL relation for arguments of category:', util.stylize(argCategory))
+			throw new Error('Ill-formed semantic')
+		}
+	}
+
+	var sql = 'id IN (SELECT ' + relation.column + ' FROM ' + relation.table + ' WHERE ' + relation.argColumn + ' IN (' + this.compileSubquery(children, relation.argCategory, env, params) + ')'
+
+	if (env.tense && relation.endColumn) {
+		var refDate = argUtil.formatDate(this.referenceDate)
+
+		switch (env.tense) {
+			case 'present':
+				sql += ' AND ' + relation.endColumn + ' IS NULL'
+				break
+			case 'past':
+				sql += ' AND ' + relation.endColumn + ' IS NOT NULL AND ' + relation.endColumn + ' <= ?'
+				params.push(refDate)
+				break
+			case 'ever-past':
+				sql += ' AND ' + relation.startColumn + ' <= ?'
+				params.push(refDate)
+				break
+		}
+	}
+
+	return sql + ')'
+}
+
+/**
+ * Compiles the count semantic nodes in `semanticArray` (i.e., `count()`,
+ * `count-over()`, and `count-under()`) to comparisons of `expr`.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {string} expr The column or SQL expression to compare.
+ * @param {Object[]} semanticArray The count semantic nodes to compile.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL predicate.
+ */
+SQLCompiler.prototype.compileCount = function (expr, semanticArray, params) {
+	return conjoin(semanticArray.map(function (semanticNode) {
+		var name = semanticNode.semantic.name
+		var nums = (semanticNode.children || []).map(argUtil.evalNumber).sort(function (a, b) {
+			return a - b
+		})
+
+		if (name === 'count' && nums.length === 1) {
+			params.push(nums[0])
+			return expr + ' = ?'
+		}
+
+		if (name === 'count' && nums.length === 2) {
+			params.push(nums[0], nums[1])
+			return expr + ' BETWEEN ? AND ?'
+		}
+
+		if (name === 'count-over' && nums.length === 1) {
+			params.push(nums[0])
+			return expr + ' > ?'
+		}
+
+		if (name === 'count-under' && nums.length === 1) {
+			params.push(nums[0])
+			return expr + ' < ?'
+		}
+
+		util.logError('Semantic is not a count:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}))
+}
+
+/**
+ * Compiles the date semantic nodes in `semanticArray` (i.e., `date()`,
+ * `date-before()`, `date-after()`, `date-since()`, `date-until()`, and
+ * `date-interval()`) to comparisons of the 'YYYY-MM-DD' date column, `column`.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {string} column The date column to compare.
+ * @param {Object[]} semanticArray The date semantic nodes to compile.
+ * @param {*[]} params The parameter values to which to append.
+ * @returns {string} Returns the SQL predicate.
+ */
+SQLCompiler.prototype.compileDate = function (column, semanticArray, params) {
+	var refDate = this.referenceDate
+
+	return conjoin(semanticArray.map(function (semanticNode) {
+		var bounds = argUtil.evalDateBounds(semanticNode, refDate)
+		var comparisons = []
+
+		if (bounds.start) {
+			params.push(argUtil.formatDate(bounds.start))
+			comparisons.push(column + ' >= ?')
+		}
+
+		if (bounds.end) {
+			params.push(argUtil.formatDate(bounds.end))
+			comparisons.push(column + ' < ?')
+		}
+
+		// `date-interval(*,*)`, which matches every date.
+		if (comparisons.length === 0) {
+			return column + ' IS NOT NULL'
+		}
+
+		return comparisons.length > 1 ? '(' + comparisons.join(' AND ') + ')' : comparisons[0]
+	}))
+}
+
+/**
+ * Gets the name of the semantic argument `semanticNode` and checks it is one
+ * of `argNames`.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The semantic argument node.
+ * @param {string[]} argNames The accepted semantic argument names.
+ * @returns {string} Returns the semantic argument name.
+ */
+SQLCompiler.prototype.getArgName = function (semanticNode, argNames) {
+	var name = semanticNode.semantic.name
+	if (semanticNode.children || argNames.indexOf(name) === -1) {
+		util.logError('Expected one of', argNames.map(util.unary(util.stylize)).join(', '), 'but received:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return name
+}
+
+/**
+ * Gets the display text of the entity the semantic argument `semanticNode`
+ * represents.
+ *
+ * @private
+ * @memberOf SQLCompiler
+ * @param {Object} semanticNode The entity semantic argument node.
+ * @returns {string} Returns the entity's display text.
+ */
+SQLCompiler.prototype.getEntityText = function (semanticNode) {
+	var entity = this.entities[semanticNode.semantic.name]
+	if (!entity || semanticNode.children) {
+		util.logError('Semantic is not an entity:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return entity.text
+}
+
+/**
+ * Checks if `semanticArray` contains `order-by()`, `limit()`, or `nth()`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic nodes to inspect.
+ * @returns {boolean} Returns `true` if `semanticArray` contains an ordering
+ * semantic, else `false`.
+ */
+function hasOrdering(semanticArray) {
+	return semanticArray.some(function (semanticNode) {
+		var name = semanticNode.semantic.name
+		return name === 'order-by' || name === 'limit' || name === 'nth'
+	})
+}
+
+/**
+ * Gets the arguments of the `intersect()` node if it is the only node in
+ * `semanticArray`, else `semanticArray`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic nodes to inspect.
+ * @returns {Object[]} Returns the intersected semantic nodes.
+ */
+function unwrapIntersect(semanticArray) {
+	return semanticArray.length === 1 && semanticArray[0].semantic.name === 'intersect' ? semanticArray[0].children : semanticArray
+}
+
+/**
+ * Joins `predicates` with `AND`, enclosing the conjunction in parentheses if
+ * there are multiple predicates.
+ *
+ * @private
+ * @static
+ * @param {string[]} predicates The SQL predicates to join.
+ * @returns {string} Returns the SQL predicate.
+ */
+function conjoin(predicates) {
+	return predicates.length === 1 ? predicates[0] : '(' + predicates.join(' AND ') + ')'
+}
+
+// Export `SQLCompiler`.
+module.exports = SQLCompiler
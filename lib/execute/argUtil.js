@@ -0,0 +1,475 @@
+/**
+ * Utility methods, which `Executor` and `SQLCompiler` share, for evaluating semantic arguments: entities, integers, and dates.
+ */
+
+var util = require('../util/util')
+var semantic = require('../grammar/semantic')
+
+
+/**
+ * The map of entity categories to the dataset record categories of the entities.
+ *
+ * @type {Object.<string, string>}
+ */
+exports.entityCategories = {
+	'{user}': 'users',
+	'{user:\'s}': 'users',
+	'{repository}': 'repositories',
+	'{company}': 'companies',
+}
+
+/**
+ * The map of dataset record categories to their display names.
+ *
+ * @type {Object.<string, string>}
+ */
+exports.categoryNames = {
+	users: 'user',
+	repositories: 'repository',
+	pullRequests: 'pull request',
+	issues: 'issue',
+	companies: 'company',
+}
+
+/**
+ * The names of the tense semantic functions defined in `userTense`.
+ *
+ * @type {string[]}
+ */
+exports.tenseNames = [ 'present', 'ever', 'ever-past', 'past' ]
+
+/**
+ * The names of the aggregate semantic functions defined in `aggregate`, which return a number instead of a set.
+ *
+ * @type {string[]}
+ */
+exports.aggregateNames = [ 'count-of', 'sum-of', 'avg-of' ]
+
+/**
+ * The names of the yes/no question semantic functions defined in `question`, which return a boolean instead of a set.
+ *
+ * @type {string[]}
+ */
+exports.questionNames = [ 'member', 'exists' ]
+
+/**
+ * The map of semantic argument names to their relative date interval functions, each of which accepts the reference date and returns the interval's (inclusive) start date and (exclusive) end date.
+ *
+ * @private
+ * @type {Object.<string, Function>}
+ */
+var relativeDates = {
+	'today': function (ref) {
+		return dayInterval(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate(), 1)
+	},
+	'yesterday': function (ref) {
+		return dayInterval(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate() - 1, 1)
+	},
+	'this-week': function (ref) {
+		return dayInterval(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate() - ref.getUTCDay(), 7)
+	},
+	'last-week': function (ref) {
+		return dayInterval(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate() - ref.getUTCDay() - 7, 7)
+	},
+	// The Saturday and Sunday that contain or follow the reference date.
+	'this-weekend': function (ref) {
+		return dayInterval(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate() + daysUntilSaturday(ref), 2)
+	},
+	'last-weekend': function (ref) {
+		return dayInterval(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate() + daysUntilSaturday(ref) - 7, 2)
+	},
+	'this-month': function (ref) {
+		return monthInterval(ref.getUTCFullYear(), ref.getUTCMonth())
+	},
+	'last-month': function (ref) {
+		return monthInterval(ref.getUTCFullYear(), ref.getUTCMonth() - 1)
+	},
+}
+
+/**
+ * The semantic argument names for months, ordered by month index.
+ *
+ * @private
+ * @type {string[]}
+ */
+var monthNames = [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ]
+
+/**
+ * The semantic argument names for quarters, ordered by quarter index.
+ *
+ * @private
+ * @type {string[]}
+ */
+var quarterNames = [ 'q1', 'q2', 'q3', 'q4' ]
+
+/**
+ * The map of relative date offset semantic function names to the number of months (for `months`) or days (for `days`) in a unit of the offset; e.g., `weeks-ago(2)` -> 14 days before the reference date.
+ *
+ * @private
+ * @type {Object.<string, Object>}
+ */
+var dateOffsets = {
+	'days-ago': { days: 1 },
+	'weeks-ago': { days: 7 },
+	'months-ago': { months: 1 },
+	'years-ago': { months: 12 },
+}
+
+/**
+ * The bound of a date interval without limit on that side, in the normalized `date-interval(start,end)` semantic form: `date-interval(2016-03-01,*)`.
+ *
+ * @type {string}
+ */
+exports.UNBOUNDED_DATE = '*'
+
+/**
+ * Creates a map of entity ids to entities from `entitySets`, for mapping entity ids in semantics to their display text.
+ *
+ * @static
+ * @param {Object} entitySets The map of entity tokens to entities (i.e., `StateTable.prototype.entitySets`).
+ * @returns {Object.<string, Object>} Returns the map of entity ids to entities.
+ */
+exports.createEntityTab = function (entitySets) {
+	var entityTab = {}
+
+	for (var token in entitySets) {
+		var entities = entitySets[token]
+		for (var e = 0, entitiesLen = entities.length; e < entitiesLen; ++e) {
+			var entity = entities[e]
+			entityTab[entity.id] = entity
+		}
+	}
+
+	return entityTab
+}
+
+/**
+ * Gets the `name` of the dataset records that `entity` represents. Maps `{user:'s}` entities (e.g., "Danny's") to the user's name.
+ *
+ * @static
+ * @param {Object} entity The entity.
+ * @returns {string} Returns the record name.
+ */
+exports.getEntityRecordName = function (entity) {
+	return entity.category === '{user:\'s}' ? entity.text.replace(/'s$/, '') : entity.text
+}
+
+/**
+ * Evaluates the integer semantic argument `semanticNode` (e.g., the `5` in `count(5)`).
+ *
+ * @static
+ * @param {Object} semanticNode The semantic argument node to evaluate.
+ * @returns {number} Returns the integer.
+ */
+exports.evalInt = function (semanticNode) {
+	var num = Number(semanticNode.semantic.name)
+	if (semanticNode.children || !Number.isInteger(num)) {
+		util.logError('Semantic is not an integer:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return num
+}
+
+/**
+ * Evaluates the number semantic argument `semanticNode`, which can be a non-integer for integer symbols that accept decimals (e.g., the `1.5` in `count(1.5)`).
+ *
+ * @static
+ * @param {Object} semanticNode The semantic argument node to evaluate.
+ * @returns {number} Returns the number.
+ */
+exports.evalNumber = function (semanticNode) {
+	var num = Number(semanticNode.semantic.name)
+	if (semanticNode.children || !Number.isFinite(num)) {
+		util.logError('Semantic is not a number:', util.stylize(semantic.toString([ semanticNode ])))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return num
+}
+
+/**
+ * Evaluates the date semantic arguments in `semanticArray` (i.e., the arguments of `date()`) to the interval they represent.
+ *
+ * Integer arguments greater than 31 are years, and the rest are days. A month, day, or quarter without a year refers to the year of `refDate`. Relative dates (e.g., `this-week`) and offsets (e.g., `days-ago(3)`, the day three days before `refDate`) are computed from `refDate`. Weeks begin on Sunday.
+ *
+ * Throws an exception for a day past the end of its month (e.g., `date(2016,30,feb)`) instead of rolling it over to the next month.
+ *
+ * @static
+ * @param {Object[]} semanticArray The date semantic arguments to evaluate.
+ * @param {Date} refDate The reference date.
+ * @returns {Object} Returns the interval's (inclusive) `start` date and (exclusive) `end` date.
+ */
+exports.evalDateInterval = function (semanticArray, refDate) {
+	var year
+	var month
+	var day
+	var quarter
+
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var name = semanticNode.semantic.name
+
+		if (relativeDates.hasOwnProperty(name)) {
+			return relativeDates[name](refDate)
+		} else if (dateOffsets.hasOwnProperty(name) && semanticNode.children) {
+			return offsetInterval(dateOffsets[name], exports.evalInt(semanticNode.children[0]), refDate)
+		} else if (quarterNames.indexOf(name) !== -1) {
+			quarter = quarterNames.indexOf(name)
+		} else if (name === 'this-year') {
+			year = refDate.getUTCFullYear()
+		} else if (name === 'last-year') {
+			year = refDate.getUTCFullYear() - 1
+		} else if (monthNames.indexOf(name) !== -1) {
+			month = monthNames.indexOf(name)
+		} else {
+			var num = exports.evalInt(semanticNode)
+			if (num > 31) {
+				year = num
+			} else {
+				day = num
+			}
+		}
+	}
+
+	if (year === undefined) {
+		if (month === undefined && day === undefined && quarter === undefined) {
+			util.logError('Date has no arguments:', util.stylize(semantic.toString(semanticArray)))
+			throw new Error('Ill-formed semantic')
+		}
+
+		year = refDate.getUTCFullYear()
+	}
+
+	if (quarter !== undefined) {
+		return { start: new Date(Date.UTC(year, quarter * 3, 1)), end: new Date(Date.UTC(year, quarter * 3 + 3, 1)) }
+	}
+
+	if (month === undefined) {
+		return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) }
+	}
+
+	if (day === undefined) {
+		return monthInterval(year, month)
+	}
+
+	if (day > daysInMonth(year, month)) {
+		util.logError('Date has a day past the end of its month:', util.stylize(semantic.toString(semanticArray)))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return dayInterval(year, month, day, 1)
+}
+
+/**
+ * Checks if the date semantic arguments in `semanticArray` (i.e., the arguments of `date()`) specify a day past the end of their month; e.g., `date(2016,30,feb)`. As does `argUtil.evalDateInterval()`, a date without a year refers to the year of `refDate`. If `refDate` is omitted, checks a date without an integer year against a leap year, whose February has 29 days.
+ *
+ * @static
+ * @param {Object[]} semanticArray The date semantic arguments to inspect.
+ * @param {Date} [refDate] The reference date.
+ * @returns {boolean} Returns `true` if the day does not exist, else `false`.
+ */
+exports.isImpossibleDate = function (semanticArray, refDate) {
+	var year = refDate ? refDate.getUTCFullYear() : 2000
+	var month
+	var day
+
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var name = semanticNode.semantic.name
+
+		if (monthNames.indexOf(name) !== -1) {
+			month = monthNames.indexOf(name)
+		} else if (name === 'last-year' && refDate) {
+			year = refDate.getUTCFullYear() - 1
+		} else if (!semanticNode.children && /^\d+$/.test(name)) {
+			var num = Number(name)
+			if (num > 31) {
+				year = num
+			} else {
+				day = num
+			}
+		}
+	}
+
+	return month !== undefined && day !== undefined && day > daysInMonth(year, month)
+}
+
+/**
+ * Checks if `semanticArray`, the semantic of a parse tree, has a date that specifies a day past the end of its month (e.g., `date(2016,30,feb)`), which `Executor` and `SQLCompiler` reject instead of rolling over to the next month. See `argUtil.isImpossibleDate()`.
+ *
+ * @static
+ * @param {Object[]} semanticArray The semantic to inspect.
+ * @param {Date} [refDate] The date relative to which to resolve dates without years (e.g., "February 29 last year").
+ * @returns {boolean} Returns `true` if `semanticArray` has an impossible date, else `false`.
+ */
+exports.hasImpossibleDate = function (semanticArray, refDate) {
+	return exports.isImpossibleDate(semanticArray, refDate) || semanticArray.some(function (semanticNode) {
+		return semanticNode.children && exports.hasImpossibleDate(semanticNode.children, refDate)
+	})
+}
+
+/**
+ * Evaluates the date semantic node `semanticNode` (i.e., `date()`, `date-before()`, `date-after()`, `date-since()`, `date-until()`, or `date-interval()`) to the bounds of the dates it matches.
+ *
+ * `date()`, `date-since()`, `date-until()`, and `date-interval()` are inclusive, and `date-before()` and `date-after()` are exclusive. Also accepts the normalized form `resolveDates()` outputs, `date-interval(start,end)`, whose arguments are 'YYYY-MM-DD' dates or `argUtil.UNBOUNDED_DATE`.
+ *
+ * @static
+ * @param {Object} semanticNode The date semantic node to evaluate.
+ * @param {Date} refDate The reference date.
+ * @returns {Object} Returns the bounds: the (inclusive) `start` date and (exclusive) `end` date, either of which is `undefined` if unbounded.
+ */
+exports.evalDateBounds = function (semanticNode, refDate) {
+	var name = semanticNode.semantic.name
+	var children = semanticNode.children || []
+
+	switch (name) {
+		case 'date':
+			return exports.evalDateInterval(children, refDate)
+		case 'date-before':
+			return { start: undefined, end: exports.evalDateInterval(children, refDate).start }
+		case 'date-after':
+			return { start: exports.evalDateInterval(children, refDate).end, end: undefined }
+		case 'date-since':
+			return { start: exports.evalDateInterval(children, refDate).start, end: undefined }
+		case 'date-until':
+			return { start: undefined, end: exports.evalDateInterval(children, refDate).end }
+	}
+
+	if (name === 'date-interval' && children.length === 2) {
+		// The normalized form: `date-interval(2016-03-01,*)`.
+		if (!children[0].children && !children[1].children) {
+			return { start: parseBound(children[0]), end: parseBound(children[1]) }
+		}
+
+		return {
+			start: exports.evalDateInterval(children[0].children || [], refDate).start,
+			end: exports.evalDateInterval(children[1].children || [], refDate).end,
+		}
+	}
+
+	util.logError('Semantic is not a date:', util.stylize(semantic.toString([ semanticNode ])))
+	throw new Error('Ill-formed semantic')
+}
+
+/**
+ * Parses the 'YYYY-MM-DD' string `dateStr` as a UTC date.
+ *
+ * @static
+ * @param {string} dateStr The date string to parse.
+ * @returns {Date} Returns the date.
+ */
+exports.parseDate = function (dateStr) {
+	return new Date(dateStr + 'T00:00:00Z')
+}
+
+/**
+ * Formats `date` as a 'YYYY-MM-DD' string, the format of dates in the dataset.
+ *
+ * @static
+ * @param {Date} date The date to format.
+ * @returns {string} Returns the date string.
+ */
+exports.formatDate = function (date) {
+	return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Creates the interval that spans `days` days from the specified day. Out-of-range values for `month` and `day` roll over to adjacent months.
+ *
+ * @private
+ * @static
+ * @param {number} year The year.
+ * @param {number} month The month index (0-11).
+ * @param {number} day The day of the month.
+ * @param {number} days The number of days the interval spans.
+ * @returns {Object} Returns the interval's (inclusive) `start` date and (exclusive) `end` date.
+ */
+function dayInterval(year, month, day, days) {
+	return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + days)) }
+}
+
+/**
+ * Creates the interval that spans the day `count` units of `offset` before `refDate`. Clamps the day of the month for months that lack it: Mar 31 minus one month -> Feb 28.
+ *
+ * @private
+ * @static
+ * @param {Object} offset The offset unit, in `days` or `months`.
+ * @param {number} count The number of units.
+ * @param {Date} refDate The reference date.
+ * @returns {Object} Returns the interval's (inclusive) `start` date and (exclusive) `end` date.
+ */
+function offsetInterval(offset, count, refDate) {
+	var year = refDate.getUTCFullYear()
+	var month = refDate.getUTCMonth()
+	var day = refDate.getUTCDate()
+
+	if (offset.days) {
+		return dayInterval(year, month, day - offset.days * count, 1)
+	}
+
+	month -= offset.months * count
+	return dayInterval(year, month, Math.min(day, daysInMonth(year, month)), 1)
+}
+
+/**
+ * Gets the number of days in the specified month. Out-of-range values for `month` roll over to adjacent years.
+ *
+ * @private
+ * @static
+ * @param {number} year The year.
+ * @param {number} month The month index (0-11).
+ * @returns {number} Returns the number of days.
+ */
+function daysInMonth(year, month) {
+	return new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+}
+
+/**
+ * Gets the number of days from `refDate` to the Saturday of the weekend that contains or follows `refDate`, which is -1 if `refDate` is a Sunday.
+ *
+ * @private
+ * @static
+ * @param {Date} refDate The reference date.
+ * @returns {number} Returns the number of days.
+ */
+function daysUntilSaturday(refDate) {
+	var weekday = refDate.getUTCDay()
+	return weekday === 0 ? -1 : 6 - weekday
+}
+
+/**
+ * Parses the bound of the normalized `date-interval(start,end)` semantic, `semanticNode`.
+ *
+ * @private
+ * @static
+ * @param {Object} semanticNode The semantic argument node of the bound.
+ * @returns {Date|undefined} Returns the date, else `undefined` if unbounded.
+ */
+function parseBound(semanticNode) {
+	var name = semanticNode.semantic.name
+	if (name === exports.UNBOUNDED_DATE) {
+		return
+	}
+
+	var date = exports.parseDate(name)
+	if (isNaN(date)) {
+		util.logError('Semantic is not a date:', util.stylize(name))
+		throw new Error('Ill-formed semantic')
+	}
+
+	return date
+}
+
+/**
+ * Creates the interval that spans the specified month. Out-of-range values for `month` roll over to adjacent years.
+ *
+ * @private
+ * @static
+ * @param {number} year The year.
+ * @param {number} month The month index (0-11).
+ * @returns {Object} Returns the interval's (inclusive) `start` date and (exclusive) `end` date.
+ */
+function monthInterval(year, month) {
+	return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) }
+}
@@ -0,0 +1,114 @@
+/**
+ * Converts `dataset`, structured like `dataset.json`, to the parameterized `INSERT` statements that populate the tables of `schema.sql` with its records.
+ *
+ * @param {Object} dataset The dataset to convert.
+ * @returns {Object[]} Returns the statements, each with the SQL `sql` and its parameter values `params`.
+ */
+module.exports = function (dataset) {
+	var statements = []
+
+	function insert(table, row) {
+		var columns = Object.keys(row)
+		statements.push({
+			sql: 'INSERT INTO ' + table + ' (' + columns.join(', ') + ') VALUES (' + columns.map(function () { return '?' }).join(', ') + ')',
+			params: columns.map(function (column) {
+				// Convert `undefined` to `null`, which SQL drivers bind as `NULL`.
+				return row[column] === undefined ? null : row[column]
+			}),
+		})
+	}
+
+	function insertJoinRows(table, column, id, userIds) {
+		userIds.forEach(function (userId) {
+			var row = { user_id: userId }
+			row[column] = id
+			insert(table, row)
+		})
+	}
+
+	dataset.users.forEach(function (user) {
+		insert('users', { id: user.id, name: user.name, gender: user.gender })
+	})
+
+	dataset.users.forEach(function (user) {
+		user.follows.forEach(function (followedId) {
+			insert('follows', { follower_id: user.id, followed_id: followedId })
+		})
+	})
+
+	dataset.repositories.forEach(function (repo) {
+		insert('repositories', {
+			id: repo.id,
+			name: repo.name,
+			creator_id: repo.creator,
+			created: repo.created,
+			pushed: repo.pushed,
+			language: repo.language,
+			fork_of: repo.forkOf,
+			visibility: repo.visibility,
+			size: repo.size,
+		})
+
+		insertJoinRows('repository_likers', 'repository_id', repo.id, repo.likers)
+		insertJoinRows('repository_contributors', 'repository_id', repo.id, repo.contributors)
+	})
+
+	dataset.pullRequests.forEach(function (pullRequest) {
+		insert('pull_requests', {
+			id: pullRequest.id,
+			title: pullRequest.title,
+			repository_id: pullRequest.repository,
+			creator_id: pullRequest.creator,
+			created: pullRequest.created,
+			state: pullRequest.state,
+			comments: pullRequest.comments,
+		})
+
+		insertJoinRows('pull_request_assignees', 'pull_request_id', pullRequest.id, pullRequest.assignees)
+		insertJoinRows('pull_request_mentions', 'pull_request_id', pullRequest.id, pullRequest.mentions)
+	})
+
+	dataset.issues.forEach(function (issue) {
+		insert('issues', {
+			id: issue.id,
+			title: issue.title,
+			repository_id: issue.repository,
+			opener_id: issue.opener,
+			opened: issue.opened,
+			state: issue.state,
+			comments: issue.comments,
+			updated: issue.updated,
+		})
+
+		insertJoinRows('issue_assignees', 'issue_id', issue.id, issue.assignees)
+		insertJoinRows('issue_mentions', 'issue_id', issue.id, issue.mentions)
+	})
+
+	dataset.companies.forEach(function (company) {
+		insert('companies', {
+			id: company.id,
+			name: company.name,
+			founded: company.founded,
+			employee_count: company.employeeCount,
+			funding: company.funding,
+			city: company.city,
+			region: company.region,
+			country: company.country,
+		})
+
+		insertJoinRows('company_founders', 'company_id', company.id, company.founders)
+		insertJoinRows('company_investors', 'company_id', company.id, company.investors)
+		insertJoinRows('company_board_members', 'company_id', company.id, company.boardMembers)
+
+		company.employees.forEach(function (employment) {
+			insert('company_employees', {
+				company_id: company.id,
+				user_id: employment.user,
+				start_date: employment.start,
+				end_date: employment.end,
+			})
+		})
+	})
+
+	return statements
+}
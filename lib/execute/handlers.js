@@ -0,0 +1,441 @@
+var argUtil = require('./argUtil')
+
+
+/**
+ * Registers the handlers for the semantic functions of the bundled user, GitHub, and company grammars with an `Executor` instance.
+ *
+ * @param {Executor} executor The `Executor` instance with which to register the handlers.
+ */
+module.exports = function (executor) {
+	// USERS:
+	// (people who follow) `[obj-users+]`
+	executor.addHandler('followers', {
+		category: 'users',
+		exec: function (children, env) {
+			var userIds = getIds(this.evalSet(children, 'users', env))
+			return this.getRecords('users').filter(function (user) {
+				return containsAny(user.follows, userIds)
+			})
+		},
+	})
+
+	// (people) `[nom-users+]` follow(s)
+	executor.addHandler('users-followed', {
+		category: 'users',
+		exec: function (children, env) {
+			return getReferencedRecords(this, this.evalSet(children, 'users', env), 'follows', 'users')
+		},
+	})
+
+	// (people with) `<int>` followers
+	addComputedCountHandler(executor, 'users-follower-count', 'users', function (user) {
+		return this.getRecords('users').filter(function (follower) {
+			return follower.follows.indexOf(user.id) !== -1
+		}).length
+	})
+
+	// female/male (people)
+	executor.addHandler('users-gender', {
+		category: 'users',
+		exec: function (children, env) {
+			var gender = this.evalArgName(children[0], [ 'female', 'male' ])
+			return this.getRecords('users').filter(function (user) {
+				return user.gender === gender
+			})
+		},
+	})
+
+	// (people) mentioned in `[issues+]`/`[pull-requests+]`
+	addUsersReferencedInIssuesHandler(executor, 'users-mentioned', 'mentions')
+	// (people) assigned to `[issues+]`/`[pull-requests+]`
+	addUsersReferencedInIssuesHandler(executor, 'users-assigned', 'assignees')
+
+	// (people who created) `[repositories+]`
+	addUsersReferencedHandler(executor, 'repository-creators', 'repositories', 'creator')
+	// (people who like) `[repositories+]`
+	addUsersReferencedHandler(executor, 'repository-likers', 'repositories', 'likers')
+	// (people who contributed to) `[repositories+]`
+	addUsersReferencedHandler(executor, 'repository-contributors', 'repositories', 'contributors')
+	// (people who created) `[pull-requests+]`
+	addUsersReferencedHandler(executor, 'pull-request-creators', 'pullRequests', 'creator')
+	// (people who opened) `[issues+]`
+	addUsersReferencedHandler(executor, 'issue-openers', 'issues', 'opener')
+	// (people who founded) `[companies+]`
+	addUsersReferencedHandler(executor, 'company-founders', 'companies', 'founders')
+	// (people who invested in) `[companies+]`
+	addUsersReferencedHandler(executor, 'company-investors', 'companies', 'investors')
+	// (board members of) `[companies+]`
+	addUsersReferencedHandler(executor, 'company-board-members', 'companies', 'boardMembers')
+
+
+	// REPOSITORIES:
+	// (repos) `[nom-users+]` created
+	addRecordsReferencingUsersHandler(executor, 'repositories-created', 'repositories', 'creator')
+	// (repos) `[nom-users+]` like(s)
+	addRecordsReferencingUsersHandler(executor, 'repositories-liked', 'repositories', 'likers')
+	// (repos) `[nom-users+]` contributed to
+	addRecordsReferencingUsersHandler(executor, 'repositories-contributed', 'repositories', 'contributors')
+
+	// (forks of) `[repositories+]`
+	executor.addHandler('repository-forks', {
+		category: 'repositories',
+		exec: function (children, env) {
+			var repoIds = getIds(this.evalSet(children, 'repositories', env))
+			return this.getRecords('repositories').filter(function (repo) {
+				return containsAny(repo.forkOf, repoIds)
+			})
+		},
+	})
+
+	// (repos) `[nom-users+]` forked
+	executor.addHandler('repositories-forked', {
+		category: 'repositories',
+		exec: function (children, env) {
+			var forks = getRecordsReferencing(this, 'repositories', 'creator', this.evalSet(children, 'users', env))
+			return getReferencedRecords(this, forks, 'forkOf', 'repositories')
+		},
+	})
+
+	// source/fork (repos)
+	executor.addHandler('repositories-type', {
+		category: 'repositories',
+		exec: function (children, env) {
+			var isFork = this.evalArgName(children[0], [ 'source', 'fork' ]) === 'fork'
+			return this.getRecords('repositories').filter(function (repo) {
+				return !!repo.forkOf === isFork
+			})
+		},
+	})
+
+	// (repos with) `<int>` forks
+	addComputedCountHandler(executor, 'repositories-fork-count', 'repositories', function (repo) {
+		return this.getRecords('repositories').filter(function (fork) {
+			return fork.forkOf === repo.id
+		}).length
+	})
+
+	// public/private (repos)
+	addArgNameHandler(executor, 'repositories-visibility', 'repositories', 'visibility', [ 'public', 'private' ])
+
+	// `{language}` (repos); (repos written in) `{language}`
+	executor.addHandler('repositories-language', {
+		category: 'repositories',
+		exec: function (children, env) {
+			var languages = children.map(this.evalEntityText, this)
+			return this.getRecords('repositories').filter(function (repo) {
+				return containsAny(repo.language, languages)
+			})
+		},
+	})
+
+	// (repos with) `<int>` stars
+	addComputedCountHandler(executor, 'repositories-star-count', 'repositories', function (repo) {
+		return repo.likers.length
+	})
+
+	// (repos that are) `<int>` KB
+	addCountHandler(executor, 'repositories-size', 'repositories', 'size')
+	// (repos) created `[date]`
+	addDateHandler(executor, 'repositories-created-date', 'repositories', 'created')
+	// (repos) pushed `[date]`
+	addDateHandler(executor, 'repositories-pushed-date', 'repositories', 'pushed')
+
+
+	// PULL REQUESTS:
+	// (pull requests) `[nom-users+]` created
+	addRecordsReferencingUsersHandler(executor, 'pull-requests-created', 'pullRequests', 'creator')
+	// (pull requests that mention) `[obj-users+]`
+	addRecordsReferencingUsersHandler(executor, 'pull-requests-mentioned', 'pullRequests', 'mentions')
+	// (pull requests assigned to) `[obj-users+]`
+	addRecordsReferencingUsersHandler(executor, 'pull-requests-assigned', 'pullRequests', 'assignees')
+	// open/closed (pull requests)
+	addArgNameHandler(executor, 'pull-requests-state', 'pullRequests', 'state', [ 'open', 'closed' ])
+	// (pull requests with) `<int>` comments
+	addCountHandler(executor, 'pull-requests-comment-count', 'pullRequests', 'comments')
+	// (pull requests) created `[date]`
+	addDateHandler(executor, 'pull-requests-created-date', 'pullRequests', 'created')
+
+
+	// ISSUES:
+	// (issues) `[nom-users+]` opened
+	addRecordsReferencingUsersHandler(executor, 'issues-opened', 'issues', 'opener')
+	// (issues that mention) `[obj-users+]`
+	addRecordsReferencingUsersHandler(executor, 'issues-mentioned', 'issues', 'mentions')
+	// (issues assigned to) `[obj-users+]`
+	addRecordsReferencingUsersHandler(executor, 'issues-assigned', 'issues', 'assignees')
+	// open/closed (issues)
+	addArgNameHandler(executor, 'issues-state', 'issues', 'state', [ 'open', 'closed' ])
+	// (issues with) `<int>` comments
+	addCountHandler(executor, 'issues-comment-count', 'issues', 'comments')
+	// (issues) opened `[date]`
+	addDateHandler(executor, 'issues-opened-date', 'issues', 'opened')
+	// (issues) updated `[date]`
+	addDateHandler(executor, 'issues-updated-date', 'issues', 'updated')
+
+
+	// COMPANIES:
+	// (companies that raised) `<int>` in funding
+	addCountHandler(executor, 'companies-funding-count', 'companies', 'funding')
+	// (companies with) `<int>` employees
+	addCountHandler(executor, 'companies-employee-count', 'companies', 'employeeCount')
+	// (companies) `[nom-users+]` founded
+	addRecordsReferencingUsersHandler(executor, 'companies-founded', 'companies', 'founders')
+	// (companies) founded `[date]`
+	addDateHandler(executor, 'companies-founded-date', 'companies', 'founded')
+	// (companies) `[nom-users+]` invested in
+	addRecordsReferencingUsersHandler(executor, 'companies-invested', 'companies', 'investors')
+
+	// (companies) `[nom-users+]` work(s)/worked/have worked at
+	// Filters employment by the tense semantic that `companies-worked-at()` descends, if any.
+	executor.addHandler('companies-worked-at', {
+		category: 'companies',
+		exec: function (children, env) {
+			var userIds = getIds(this.evalSet(children, 'users', env))
+			var refDate = argUtil.formatDate(this.referenceDate)
+
+			return this.getRecords('companies').filter(function (company) {
+				return company.employees.some(function (employment) {
+					if (userIds.indexOf(employment.user) === -1) return false
+
+					switch (env.tense) {
+						case 'present':
+							return !employment.end
+						case 'past':
+							return !!employment.end && employment.end <= refDate
+						case 'ever-past':
+							return employment.start <= refDate
+						default:
+							return true
+					}
+				})
+			})
+		},
+	})
+
+	// (companies) in `{city}`/`{region}`/`{country}`
+	executor.addHandler('companies-in', {
+		category: 'companies',
+		exec: function (children, env) {
+			var locations = children.map(this.evalEntityText, this)
+			return this.getRecords('companies').filter(function (company) {
+				return containsAny([ company.city, company.region, company.country ], locations)
+			})
+		},
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the records in `category` whose user reference property, `userProp`, references any of the users its arguments represent.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} category The dataset record category the handler returns.
+ * @param {string} userProp The name of the record property with the user `id` or `id`s.
+ */
+function addRecordsReferencingUsersHandler(executor, semanticName, category, userProp) {
+	executor.addHandler(semanticName, {
+		category: category,
+		exec: function (children, env) {
+			return getRecordsReferencing(this, category, userProp, this.evalSet(children, 'users', env))
+		},
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the users that the user reference property, `userProp`, of the records in `category` its arguments represent references.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} category The dataset record category of the handler's arguments.
+ * @param {string} userProp The name of the record property with the user `id` or `id`s.
+ */
+function addUsersReferencedHandler(executor, semanticName, category, userProp) {
+	executor.addHandler(semanticName, {
+		category: 'users',
+		exec: function (children, env) {
+			return getReferencedRecords(this, this.evalSet(children, category, env), userProp, 'users')
+		},
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the users that the user reference property, `userProp`, of the issues or pull requests its arguments represent references. The category of the arguments is inferred from the first argument.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} userProp The name of the record property with the user `id`s.
+ */
+function addUsersReferencedInIssuesHandler(executor, semanticName, userProp) {
+	executor.addHandler(semanticName, {
+		category: 'users',
+		exec: function (children, env) {
+			var category = this.getCategory(children[0]) === 'issues' ? 'issues' : 'pullRequests'
+			return getReferencedRecords(this, this.evalSet(children, category, env), userProp, 'users')
+		},
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the records in `category` whose property `prop` equals the name of its semantic argument, which must be one of `argNames`.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} category The dataset record category the handler returns.
+ * @param {string} prop The name of the record property to compare.
+ * @param {string[]} argNames The accepted semantic argument names.
+ */
+function addArgNameHandler(executor, semanticName, category, prop, argNames) {
+	executor.addHandler(semanticName, {
+		category: category,
+		exec: function (children, env) {
+			var argName = this.evalArgName(children[0], argNames)
+			return this.getRecords(category).filter(function (record) {
+				return record[prop] === argName
+			})
+		},
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the records in `category` whose number property, `prop`, satisfies its count semantic arguments, and that orders and aggregates records by `prop`.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} category The dataset record category the handler returns.
+ * @param {string} prop The name of the record property to compare.
+ */
+function addCountHandler(executor, semanticName, category, prop) {
+	addComputedCountHandler(executor, semanticName, category, function (record) {
+		return record[prop]
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the records in `category` whose number `getCount` computes satisfies its count semantic arguments, and that orders and aggregates records by that number.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} category The dataset record category the handler returns.
+ * @param {Function} getCount The function that returns the number of a record, invoked with the `Executor` instance as `this`.
+ */
+function addComputedCountHandler(executor, semanticName, category, getCount) {
+	executor.addHandler(semanticName, {
+		category: category,
+		exec: function (children, env) {
+			var isMatch = this.evalCount(children)
+			return this.getRecords(category).filter(function (record) {
+				return isMatch(getCount.call(this, record))
+			}, this)
+		},
+		getValue: getCount,
+	})
+}
+
+/**
+ * Registers a handler for `semanticName` that returns the records in `category` whose date property, `prop`, satisfies its date semantic arguments, and that orders records by `prop`.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance with which to register the handler.
+ * @param {string} semanticName The semantic function name.
+ * @param {string} category The dataset record category the handler returns.
+ * @param {string} prop The name of the record property to compare.
+ */
+function addDateHandler(executor, semanticName, category, prop) {
+	executor.addHandler(semanticName, {
+		category: category,
+		exec: function (children, env) {
+			var isMatch = this.evalDate(children)
+			return this.getRecords(category).filter(function (record) {
+				return isMatch(record[prop])
+			})
+		},
+		getValue: function (record) {
+			return record[prop]
+		},
+	})
+}
+
+/**
+ * Gets the records in `category` whose property `prop` references any of `referencedRecords`.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance.
+ * @param {string} category The dataset record category of the records to return.
+ * @param {string} prop The name of the record property with the `id` or `id`s.
+ * @param {Object[]} referencedRecords The records to find references to.
+ * @returns {Object[]} Returns the referencing records.
+ */
+function getRecordsReferencing(executor, category, prop, referencedRecords) {
+	var ids = getIds(referencedRecords)
+	return executor.getRecords(category).filter(function (record) {
+		return containsAny(record[prop], ids)
+	})
+}
+
+/**
+ * Gets the records in `category` that the property `prop` of `records` references.
+ *
+ * @private
+ * @static
+ * @param {Executor} executor The `Executor` instance.
+ * @param {Object[]} records The records whose references to get.
+ * @param {string} prop The name of the record property with the `id` or `id`s.
+ * @param {string} category The dataset record category of the referenced records.
+ * @returns {Object[]} Returns the referenced records, without duplicates.
+ */
+function getReferencedRecords(executor, records, prop, category) {
+	var ids = records.reduce(function (ids, record) {
+		return ids.concat(record[prop])
+	}, [])
+
+	return executor.getRecords(category).filter(function (record) {
+		return ids.indexOf(record.id) !== -1
+	})
+}
+
+/**
+ * Gets the `id`s of `records`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} records The records.
+ * @returns {string[]} Returns the record `id`s.
+ */
+function getIds(records) {
+	return records.map(function (record) {
+		return record.id
+	})
+}
+
+/**
+ * Checks if `value`, or any element of `value` if it is an array, is in `values`.
+ *
+ * @private
+ * @static
+ * @param {*|*[]} value The value or values to check.
+ * @param {*[]} values The values to search.
+ * @returns {boolean} Returns `true` if `value` contains any of `values`, else `false`.
+ */
+function containsAny(value, values) {
+	if (Array.isArray(value)) {
+		return value.some(function (el) {
+			return values.indexOf(el) !== -1
+		})
+	}
+
+	return values.indexOf(value) !== -1
+}
@@ -0,0 +1,118 @@
+-- The SQLite-compatible schema for the records of the bundled user, GitHub, and company grammars, which `SQLCompiler` targets. Mirrors the structure of `dataset.json`, with one join table for each record property that holds multiple user `id`s.
+
+CREATE TABLE users (
+	id TEXT PRIMARY KEY,
+	name TEXT NOT NULL,
+	gender TEXT
+);
+
+CREATE TABLE follows (
+	follower_id TEXT NOT NULL REFERENCES users(id),
+	followed_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (follower_id, followed_id)
+);
+
+CREATE TABLE repositories (
+	id TEXT PRIMARY KEY,
+	name TEXT NOT NULL,
+	creator_id TEXT NOT NULL REFERENCES users(id),
+	created TEXT,
+	pushed TEXT,
+	language TEXT,
+	fork_of TEXT REFERENCES repositories(id),
+	visibility TEXT NOT NULL,
+	size INTEGER NOT NULL
+);
+
+CREATE TABLE repository_likers (
+	repository_id TEXT NOT NULL REFERENCES repositories(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (repository_id, user_id)
+);
+
+CREATE TABLE repository_contributors (
+	repository_id TEXT NOT NULL REFERENCES repositories(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (repository_id, user_id)
+);
+
+CREATE TABLE pull_requests (
+	id TEXT PRIMARY KEY,
+	title TEXT NOT NULL,
+	repository_id TEXT REFERENCES repositories(id),
+	creator_id TEXT NOT NULL REFERENCES users(id),
+	created TEXT,
+	state TEXT NOT NULL,
+	comments INTEGER NOT NULL
+);
+
+CREATE TABLE pull_request_assignees (
+	pull_request_id TEXT NOT NULL REFERENCES pull_requests(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (pull_request_id, user_id)
+);
+
+CREATE TABLE pull_request_mentions (
+	pull_request_id TEXT NOT NULL REFERENCES pull_requests(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (pull_request_id, user_id)
+);
+
+CREATE TABLE issues (
+	id TEXT PRIMARY KEY,
+	title TEXT NOT NULL,
+	repository_id TEXT REFERENCES repositories(id),
+	opener_id TEXT NOT NULL REFERENCES users(id),
+	opened TEXT,
+	state TEXT NOT NULL,
+	comments INTEGER NOT NULL,
+	updated TEXT
+);
+
+CREATE TABLE issue_assignees (
+	issue_id TEXT NOT NULL REFERENCES issues(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (issue_id, user_id)
+);
+
+CREATE TABLE issue_mentions (
+	issue_id TEXT NOT NULL REFERENCES issues(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (issue_id, user_id)
+);
+
+CREATE TABLE companies (
+	id TEXT PRIMARY KEY,
+	name TEXT NOT NULL,
+	founded TEXT,
+	employee_count INTEGER,
+	funding INTEGER,
+	city TEXT,
+	region TEXT,
+	country TEXT
+);
+
+CREATE TABLE company_founders (
+	company_id TEXT NOT NULL REFERENCES companies(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (company_id, user_id)
+);
+
+CREATE TABLE company_investors (
+	company_id TEXT NOT NULL REFERENCES companies(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (company_id, user_id)
+);
+
+CREATE TABLE company_board_members (
+	company_id TEXT NOT NULL REFERENCES companies(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	PRIMARY KEY (company_id, user_id)
+);
+
+CREATE TABLE company_employees (
+	company_id TEXT NOT NULL REFERENCES companies(id),
+	user_id TEXT NOT NULL REFERENCES users(id),
+	start_date TEXT,
+	end_date TEXT
+);
@@ -2,6 +2,7 @@ var util = require('../util/util')
 var g = require('./grammar')
 var grammarUtil = require('./grammarUtil')
 var semantic = require('./semantic')
+var locale = require('./locale/locale')
 
 
 // Instruct `util.getModuleCallerLocation()` to skip the `NSymbol` module when
@@ -9,6 +10,25 @@ var semantic = require('./semantic')
 // error reporting.
 util.skipFileInLocationRetrieval()
 
+/**
+ * The inflection tables of the grammar's locale, which define the accepted
+ * values of the grammatical properties of rules and the properties of
+ * conjugative `text` objects.
+ *
+ * @private
+ * @type {LocaleInflections}
+ */
+var inflections = locale.current.inflections
+
+/**
+ * The map of the locale's aliased grammatical forms to the `text` object
+ * properties they use, if any. E.g., English 'infinitive' -> 'pl'.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+var formAliases = inflections.formAliases || {}
+
 /**
  * The map of the grammar's nonterminal symbols to rule arrays.
  *
@@ -114,7 +134,9 @@ NSymbol.prototype.addRule = function (options) {
  * Both forms are accepted when input, but an insertion for the verb "like"
  * inserts the verb in present tense.
  *
- * The following `grammaticalForm` values are supported:
+ * The following `grammaticalForm` values are supported in the English locale,
+ * and each locale defines its own values in its inflection tables (see
+ * `locale`):
  * • nom - The nominative case form, which conjugates pronouns used as the
  *   subject of a verb, created by `g.newPronoun()`. For example:
  *     "repos `[1-sg]` created" -> "repos I created"
@@ -186,8 +208,8 @@ NSymbol.prototype.addRule = function (options) {
  */
 var rhsSymbolWrapperSchema = {
 	symbol: { type: [ NSymbol, Array ], required: true },
-	acceptedTense: { values: [ 'past' ] },
-	grammaticalForm: { values: [ 'nom', 'obj', 'past', 'infinitive', 'participle' ] },
+	acceptedTense: { values: inflections.acceptedTenses },
+	grammaticalForm: { values: locale.getGrammaticalForms() },
 	noInsert: Boolean,
 	noText: Boolean,
 	isOptional: Boolean,
@@ -228,6 +250,13 @@ var rhsSymbolWrapperSchema = {
  * person-number for anaphoric rules with which to match and copy an
  * antecedent semantic of the same person-number. E.g., "his|her" refers to
  * semantics of third-person-singular representations.
+ * @param {string} [options.anaphoraPronouns] The pronouns of 'threeSg'
+ * anaphoric rules, with which the antecedent's pronouns must agree: 'he' for
+ * "he|him|his", 'she' for "she|her|hers".
+ * @param {string} [options.category] The name of the category of the
+ * instances the parse trees constructed with this rule return, which
+ * `DialogueContext` uses to resolve demonstratives in later queries. For use
+ * with start rules.
  * @param {Object|string|(Object|string)[]} [options.text] The substitution
  * display text that is used in place of any text `options.rhs` and its
  * ancestors generate. For use when every symbol in `options.rhs` is a term
@@ -240,8 +269,10 @@ var nonterminalRuleSchema = {
 	noInsert: Boolean,
 	transpositionCost: Number,
 	semantic: { type: Array, arrayType: Object },
-	personNumber: { values: [ 'oneSg', 'threeSg', 'pl' ] },
-	anaphoraPersonNumber: { values: [ 'threeSg', 'threePl' ] },
+	personNumber: { values: inflections.personNumbers },
+	anaphoraPersonNumber: { values: inflections.anaphoraPersonNumbers },
+	anaphoraPronouns: { values: [ 'he', 'she' ] },
+	category: String,
 	text: [ String, Object, Array ],
 	costPenalty: Number,
 }
@@ -318,6 +349,8 @@ NSymbol.prototype._newNonterminalRule = function (options) {
 		noInsert: options.noInsert,
 		personNumber: options.personNumber,
 		anaphoraPersonNumber: options.anaphoraPersonNumber,
+		anaphoraPronouns: options.anaphoraPronouns,
+		category: options.category,
 	}
 
 	/**
@@ -393,6 +426,11 @@ function isIllFormedNonterminalRuleOptions(ruleOptions) {
 		return true
 	}
 
+	if (ruleOptions.anaphoraPronouns && ruleOptions.anaphoraPersonNumber !== 'threeSg') {
+		util.logErrorAndPath('Nonterminal rule with `anaphoraPronouns` does not have `anaphoraPersonNumber` of \'threeSg\':', ruleOptions)
+		return true
+	}
+
 	return false
 }
 
@@ -666,12 +704,13 @@ function getGramProps(rhs) {
 			}
 
 			if (rhsSym.grammaticalForm) {
-				// Map 'infinitive' -> 'pl' to use the `pl` property on text objects
+				// Map the form to the `text` object property it uses; e.g., English
+				// maps 'infinitive' -> 'pl' to use the `pl` property on text objects
 				// created by `g.newVerb()` or `g.newTenseVerb()`.
-				symGramProps.form = rhsSym.grammaticalForm === 'infinitive' ? 'pl' : rhsSym.grammaticalForm
+				symGramProps.form = getTextForm(rhsSym.grammaticalForm)
 
 				// Check `rhsSym.symbol` produces `text` that `symGramProps.form` can
-				// conjugate. Check after mapping 'infinitive' -> 'pl'.
+				// conjugate. Check after mapping the form.
 				if (isFutileGramProp(rhsSym.symbol.name, symGramProps.form)) {
 					printFutileGramPropError(rhsSym, 'grammaticalForm')
 					throw new Error('Ill-formed nonterminal grammatical property')
@@ -712,10 +751,10 @@ function printFutileGramPropError(rhsSymbolWrapper, gramProp) {
  * term sequences that the RHS symbol (at the property's associated index)
  * immediately produces after term sequence flattening (i.e., its child
  * nodes).
- * • The `grammaticalForm` value 'infinitive' is mapped to 'pl' when
- *   creating the `gramProps` object, before invoking this function, because
- *   it uses the `pl` property on text objects that `g.newVerb()` and
- *   `g.newTenseVerb()` creates.
+ * • The `grammaticalForm` values the locale aliases are mapped when creating
+ *   the `gramProps` object, before invoking this function. E.g., English
+ *   maps 'infinitive' to 'pl' because it uses the `pl` property on text
+ *   objects that `g.newVerb()` and `g.newTenseVerb()` creates.
  *
  * @private
  * @static
@@ -783,22 +822,67 @@ function isFutileGramProp(rhsSym, gramProp) {
  * `false`.
  */
 function isUnrecognizedGramProp(gramProp) {
-	// The value 'infinitive' is used when defining nonterminal rules, but
-	// mapped to 'pl' for the output grammar because it uses the `pl` value on
-	// `text` objects.
-	if (gramProp === 'infinitive') {
-		util.logErrorAndPath('Grammatical form property', util.stylize('infinitive'), 'should have been mapped to', util.stylize('pl') + ':', util.stylize(gramProp))
+	// Aliased values (e.g., English 'infinitive') are used when defining
+	// nonterminal rules, but mapped to the `text` object property they use
+	// (e.g., 'pl') for the output grammar.
+	if (formAliases.hasOwnProperty(gramProp)) {
+		util.logErrorAndPath('Grammatical form property', util.stylize(gramProp), 'should have been mapped to', util.stylize(formAliases[gramProp]) + ':', util.stylize(gramProp))
 		return true
 	}
 
-	if (gramProp !== 'pl' && rhsSymbolWrapperSchema.grammaticalForm.values.indexOf(gramProp) === -1) {
-		util.logErrorAndPath('Unrecognized `gramProps` property:', util.stylize(gramProp), '\n  Acceptable `gramProps` properties:', util.without(rhsSymbolWrapperSchema.grammaticalForm.values, 'infinitive').map(util.unary(util.stylize)).join(', '))
+	if (textForms.indexOf(gramProp) === -1) {
+		util.logErrorAndPath('Unrecognized `gramProps` property:', util.stylize(gramProp), '\n  Acceptable `gramProps` properties:', textForms.map(util.unary(util.stylize)).join(', '))
 		return true
 	}
 
 	return false
 }
 
+/**
+ * The `text` object properties to which `grammaticalForm` values map: the
+ * locale's grammatical forms without its aliased forms, plus the properties
+ * those aliases use.
+ *
+ * @private
+ * @type {string[]}
+ */
+var textForms = rhsSymbolWrapperSchema.grammaticalForm.values.filter(function (form) {
+	return !formAliases.hasOwnProperty(form)
+})
+
+Object.keys(formAliases).forEach(function (form) {
+	var textForm = formAliases[form]
+	if (textForms.indexOf(textForm) === -1) {
+		textForms.push(textForm)
+	}
+})
+
+/**
+ * The recognized conjugative `text` object properties: the locale's
+ * person-numbers and `text` object forms.
+ *
+ * @private
+ * @type {string[]}
+ */
+var textPropNames = nonterminalRuleSchema.personNumber.values.concat(textForms.filter(function (textForm) {
+	return nonterminalRuleSchema.personNumber.values.indexOf(textForm) === -1
+}))
+
+/**
+ * Gets the `text` object property that `grammaticalForm` uses, which is
+ * `grammaticalForm` unless the locale aliases it. E.g., English maps
+ * 'infinitive' -> 'pl' to share the text form with `personNumber` defined as
+ * 'pl'.
+ *
+ * @private
+ * @static
+ * @param {string} grammaticalForm The grammatical form to map.
+ * @returns {string} Returns the `text` object property.
+ */
+function getTextForm(grammaticalForm) {
+	return formAliases[grammaticalForm] || grammaticalForm
+}
+
 /**
  * Generates an array of `rhs` indexes, from `RHSSymbolWrapper` instances in
  * `rhs` with `RHSSymbolWrapper.noInsert`, for which to instruct
@@ -1168,10 +1252,11 @@ function isUnconjugatedVerb(rhsSym) {
 	 * Check if `rhsSym` is an instance of `RHSSymbolWrapper` and has a
 	 * `grammaticalForm` value that will conjugate the `text` object
 	 * `rhsSym.symbol` produces.
-	 * • Map 'infinitive' -> 'pl' as `getGramProps()` does upon creating the
-	 *   `gramProps` object that the output grammar uses.
+	 * • Map aliased forms (e.g., 'infinitive' -> 'pl') as `getGramProps()`
+	 *   does upon creating the `gramProps` object that the output grammar
+	 *   uses.
 	 */
-	var grammaticalForm = rhsSym.grammaticalForm === 'infinitive' ? 'pl' : rhsSym.grammaticalForm
+	var grammaticalForm = rhsSym.grammaticalForm && getTextForm(rhsSym.grammaticalForm)
 	var canConjugateVerb = grammaticalForm && !isFutileGramProp(term.name, grammaticalForm)
 
 	/**
@@ -1672,26 +1757,28 @@ function isIllFormedTextObject(textObject) {
 	// Check for unrecognized `text` object properties.
 	for (var textPropName in textObject) {
 		/**
-		 * Though 'infinitive' is a recognized `grammaticalForm` value, it is
-		 * not used on text objects.
+		 * Though aliased forms (e.g., English 'infinitive') are recognized
+		 * `grammaticalForm` values, they are not used on text objects.
 		 *
-		 * For `grammaticalForm`, `NSymbol` maps 'infinitive' -> 'pl' to share the
-		 * text form with `personNumber` defined as 'pl'`.
+		 * For `grammaticalForm`, `NSymbol` maps aliased forms to the text form
+		 * they share; e.g., 'infinitive' -> 'pl' to share the text form with
+		 * `personNumber` defined as 'pl'`.
 		 */
-		if (textPropName === 'infinitive') {
-			util.logError('Conjugative text object property', util.stylize('infinitive'), 'is forbidden. Use', util.stylize('pl'), 'instead:', textObject)
+		if (formAliases.hasOwnProperty(textPropName)) {
+			util.logError('Conjugative text object property', util.stylize(textPropName), 'is forbidden. Use', util.stylize(formAliases[textPropName]), 'instead:', textObject)
 			return true
 		}
 
 		/**
-		 * Recognize:
+		 * Recognize the locale's person-numbers and `text` object forms. E.g.,
+		 * for English:
 		 * • personNumber: 'oneSg', 'threeSg', 'pl'
 		 * • gramProps: 'nom', 'obj', 'past', 'participle'.
 		 *   ('infinitive' is manually stopped above.)
 		 */
-		if (nonterminalRuleSchema.personNumber.values.indexOf(textPropName) === -1 && rhsSymbolWrapperSchema.grammaticalForm.values.indexOf(textPropName) === -1) {
+		if (textPropNames.indexOf(textPropName) === -1) {
 			util.logError('Unrecognized conjugative `text` object property:', util.stylize(textPropName), textObject)
-			util.log('Acceptable `text` properties:\n ', nonterminalRuleSchema.personNumber.values.concat(util.without(rhsSymbolWrapperSchema.grammaticalForm.values, 'infinitive')).map(util.unary(util.stylize)).join(', '))
+			util.log('Acceptable `text` properties:\n ', textPropNames.map(util.unary(util.stylize)).join(', '))
 			return true
 		}
 	}
@@ -4,10 +4,18 @@
  *
  * Description
  *   Generates and outputs the grammar containing the grammar rules, semantics, entities, and
- *   deletables.
+ *   deletables. Also outputs the grammar's state table cache, "stateTable.json" (or
+ *   "stateTable-<locale>.json") in the directory of the grammar, from which `StateTable` restores
+ *   the parse table instead of generating it.
  *
  * Options
- *   -o, --output       Write output to a given path/filename.       [string] [default: "grammar.json"]
+ *   -l, --locale       The locale of the grammar to build.  [string] [choices: "en", "es"] [default: "en"]
+ *   -o, --output       Write output to a given path/filename. Defaults to "grammar.json" for the default
+ *                      locale, else "grammar-<locale>.json".                                  [string]
+ *   -s, --spec         The path of a JSON grammar spec that defines additional categories to add to the
+ *                      grammar. YAML specs are unsupported.                                   [string]
+ *   -c, --check-sql    Check every semantic function defines an SQL mapping to a category with a
+ *                      table, for grammars whose semantics `SQLCompiler` compiles.           [boolean]
  *   -t, --trees        Include the insertion rules' parse trees in the grammar.              [boolean]
  *   -u, --warn-unused  Print warnings for unused grammar components.                         [boolean]
  *   -q, --quiet        Suppress all non-error messages from output.                          [boolean]
@@ -15,6 +23,7 @@
  */
 
 var util = require('../util/util')
+var locale = require('./locale/locale')
 var yargs = require('yargs')
 
 var argv = yargs
@@ -23,18 +32,36 @@ var argv = yargs
 		'  node $0 [options]',
 		'',
 		util.colors.bold('Description'),
-		'  Generates and outputs the grammar containing the grammar rules, semantics, entities, and deletables.',
+		'  Generates and outputs the grammar containing the grammar rules, semantics, entities, and deletables. Also outputs the grammar\'s state table cache, "stateTable.json" (or "stateTable-<locale>.json") in the directory of the grammar, from which `StateTable` restores the parse table instead of generating it.',
 	].join('\n'))
 	.updateStrings({
 		'Options:': util.colors.bold('Options'),
 	})
 	.options({
+		'l': {
+			alias: 'locale',
+			description: 'The locale of the grammar to build.',
+			requiresArg: true,
+			type: 'string',
+			choices: locale.names,
+			default: locale.DEFAULT,
+		},
 		'o': {
 			alias: 'output',
-			description: 'Write output to a given path/filename.',
+			description: 'Write output to a given path/filename. Defaults to "grammar.json" for the default locale, else "grammar-<locale>.json".',
+			requiresArg: true,
+			type: 'string',
+		},
+		's': {
+			alias: 'spec',
+			description: 'The path of a JSON grammar spec that defines additional categories to add to the grammar. YAML specs are unsupported.',
 			requiresArg: true,
 			type: 'string',
-			default: 'grammar.json',
+		},
+		'c': {
+			alias: 'check-sql',
+			description: 'Check every semantic function defines an SQL mapping to a category with a table, for grammars whose semantics `SQLCompiler` compiles.',
+			type: 'boolean',
 		},
 		't': {
 			alias: 'trees',
@@ -67,34 +94,53 @@ if (isDevtool) {
 // Modify stack trace format to stylize output when printing.
 util.prettifyStackTrace()
 
-util.log('Building grammar' + (argv.trees ? ' with trees' : '') + '...')
+var outputFilePath = argv.output || locale.getFileName('grammar.json', argv.locale)
+
+util.log('Building', util.stylize(argv.locale), 'grammar' + (argv.trees ? ' with trees' : '') + '...')
+
+// Set the grammar's locale before instantiating the grammar, whose modules read the locale's inflection tables when loaded.
+locale.set(argv.locale)
 
 // Instantiate grammar.
 var g = require('./grammar')
 
-// Add rules to grammar.
-require('./rules/user/user')
-require('./rules/github/github')
-require('./rules/company/company')
+// Add the locale's rules to grammar.
+locale.current.loadRules()
+
+// Add the categories the grammar spec defines, if any, to grammar.
+if (argv.spec) {
+	require('./loadGrammarSpec')(argv.spec)
+}
 
 // Add deletables to grammar.
 require('./deletables')
 
 // Compile and check the grammar after adding all non-edit rules.
-g.compileGrammar()
+g.compileGrammar({
+	checkSQLMappings: argv.checkSql,
+})
 
 if (!argv.quiet) {
 	// Print the number of rules and entities in the grammar.
-	g.printStats(argv.output)
+	g.printStats(outputFilePath)
 
 	// Print values of any counters used during grammar generation.
 	util.countEndAll()
 }
 
 // If run via `devtool`, complete CPU profile and print report to the Profiles panel (inside Chrome DevTools).
+// Write the output irrespective of profiling because `console.profile` also exists outside `devtool` on current Node versions.
 if (isDevtool) {
 	console.profileEnd('buildGrammar')
-} else {
-	// Write the grammar to a file.
-	g.writeGrammarToFile(argv.output)
-}
\ No newline at end of file
+}
+
+// Write the grammar to a file.
+g.writeGrammarToFile(outputFilePath)
+
+// Generate the grammar's state table from the written file, whose content hash identifies the cache, and write the state table cache alongside the grammar.
+var path = require('path')
+var StateTable = require('../parse/StateTable')
+var grammarPath = path.resolve(util.expandHomeDir(outputFilePath))
+var stateCachePath = path.join(path.dirname(grammarPath), locale.getFileName('stateTable.json', argv.locale))
+new StateTable(require(grammarPath)).saveStateCache(stateCachePath)
+util.log('File saved:', util.realpathSync(stateCachePath))
\ No newline at end of file
@@ -0,0 +1,39 @@
+var util = require('../util/util')
+var semantic = require('./semantic')
+var SQLCompiler = require('../execute/SQLCompiler')
+
+
+/**
+ * Checks every semantic function in `semantics` defines an SQL mapping (i.e., the `sql` option of `g.newSemantic()`), other than the semantic functions `SQLCompiler` compiles without mappings (i.e., `SQLCompiler.builtInNames`), and that each mapping's category has a table in `tables`. If not, prints an error for each semantic function at fault and throws an exception.
+ *
+ * `grammar.compileGrammar()` invokes this module only if `options.checkSQLMappings` is truthy, because `Category` only requires the table of each category (via `options.sqlTable`) for grammars whose semantics `SQLCompiler` compiles. `SQLCompiler` checks the mappings are well-formed and only reference categories with tables when instantiated.
+ *
+ * @static
+ * @param {Object} semantics The map of the grammar's semantic names to semantics to inspect.
+ * @param {Object} tables The map of dataset record categories to the tables that store their records (i.e., `grammar.sqlTables`).
+ */
+module.exports = function (semantics, tables) {
+	var isMissingMapping = false
+
+	Object.keys(semantics).forEach(function (semanticName) {
+		var semanticDef = semantics[semanticName]
+		if (semanticDef.isArg || SQLCompiler.builtInNames.indexOf(semanticName) !== -1) {
+			return
+		}
+
+		if (!semanticDef.sql) {
+			util.logError('Semantic function lacks an SQL mapping:', util.stylize(semanticName + '()'))
+		} else if (!tables.hasOwnProperty(semanticDef.sql.category)) {
+			util.logError('Semantic function maps to a category without an SQL table:', util.stylize(semanticName + '()'), '->', util.stylize(semanticDef.sql.category))
+		} else {
+			return
+		}
+
+		util.log('  ' + semantic._defLines[semanticName])
+		isMissingMapping = true
+	})
+
+	if (isMissingMapping) {
+		throw new Error('Missing SQL mapping')
+	}
+}
\ No newline at end of file
@@ -94,8 +94,8 @@ function findNonterminalRuleInsertions(ruleSets, insertionSets, stopAmbiguity) {
 					// Create a new insertion by merging `rule` with the insertion (i.e., parse tree) created from `rule.rhs`.
 					var newInsertion = {
 						cost: rule.cost + insertion.cost,
-						// The text array for the insertion created from `rule.rhs`. If `rule` is not a nonterminal substitution, conjugate conjugative text objects in `insertion.text`, if any, according to conjugation properties `rule.gramProps` or `insertion.personNumber`, if defined.
-						text: getInsertionText(rule, insertion.text, insertion.personNumber),
+						// The text array for the insertion created from `rule.rhs`. If `rule` is not a nonterminal substitution, conjugate conjugative text objects in `insertion.text`, if any, according to conjugation properties `rule.gramProps` or the person-number, if defined. As in `pfsearch`, `rule.personNumber` conjugates the verbs within its own subtree (e.g., the Spanish "(personas que) sigo", which omits the subject).
+						text: getInsertionText(rule, insertion.text, rule.personNumber || insertion.personNumber),
 						// The parent person-number property takes precedence.
 						personNumber: rule.personNumber || insertion.personNumber,
 						// The created from `rule.semantic` and/or `insertion.semantic`.
@@ -1,52 +1,12 @@
 var g = require('./grammar')
+var locale = require('./locale/locale')
 
 
 /**
- * Adds deletables to the grammar.
+ * Adds the deletables of the grammar's locale to the grammar.
  *
  * Each deletable is a single-token term that can be deleted when seen in input. A sequence of consecutive deletables can also be deleted.
  *
  * For each token that immediately follows a deletable token, `Parser` creates nodes for each terminal rule that produces the token (as normal) and a second set of nodes for the same terminal rules with a larger `size` value that spans to include the preceding deletable(s) and a cost penalty of 1 per preceding deletable.
  */
-g.deletables.push(
-	'a',
-	'again',
-	'all',
-	'also',
-	'am',
-	'an',
-	'and',
-	'any',
-	'are',
-	'as',
-	'because',
-	'both',
-	'but',
-	'cannot',
-	'did',
-	'do',
-	'does',
-	'doing',
-	'for',
-	'here',
-	'how',
-	'is',
-	'it',
-	'just',
-	'more',
-	'most',
-	'nor',
-	'not',
-	'once',
-	'only',
-	'or',
-	'some',
-	'the',
-	'there',
-	'these',
-	'those',
-	'too',
-	'until',
-	'while',
-	'why'
-)
\ No newline at end of file
+g.deletables.push.apply(g.deletables, locale.current.deletables)
\ No newline at end of file
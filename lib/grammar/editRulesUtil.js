@@ -25,13 +25,13 @@ var MAX_COST = 6
  */
 exports.addRule = function (ruleSets, nontermSym, newRule, stopAmbiguity) {
 	/**
-	 * Discard `newRule` if lacks and can not produce a reduced semantic required for itself or its ancestor rule; i.e., if `newRule` fails to produce semantically legal paths.
+	 * Discard `newRule` if its semantic has contradictory orderings, or if lacks and can not produce a reduced semantic required for itself or its ancestor rule; i.e., if `newRule` fails to produce semantically legal paths.
 	 *
 	 * Do not check transposition rules because if their original rules passed the semantic test, then they will too. All original rules that failed were removed before invoking `createEditRules`.
 	 *
 	 * Perform `semanticChecks.isRuleMissingReducedSemantic()` check before the ambiguity check, which could otherwise throw exceptions for ambiguity with rules that would be discarded anyway for failing to produce a required semantic.
 	 */
-	if (newRule.isTransposition || !semanticChecks.isRuleMissingReducedSemantic(ruleSets, nontermSym, newRule)) {
+	if (newRule.isTransposition || !semanticChecks.hasContradictoryOrderings(ruleSets, nontermSym, newRule) && !semanticChecks.isRuleMissingReducedSemantic(ruleSets, nontermSym, newRule)) {
 		// Add `newRule` if unique and below the complexity cost upper bound.
 		var rules = ruleSets[nontermSym]
 		if (isUniqueRule(rules, nontermSym, newRule, stopAmbiguity) && newRule.cost < MAX_COST) {
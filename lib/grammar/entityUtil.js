@@ -0,0 +1,214 @@
+/**
+ * Utility methods, which `entityCategory` and the runtime entity providers share, for creating the entity objects that `Parser` matches in input.
+ */
+
+/**
+ * Creates the entity objects for an entity with display text `options.displayText` and the names (i.e., synonyms) `options.names`, one object for each name, all of which have the same `id` and display text.
+ *
+ * Does not check `options` for ill-formed names; the caller must do so.
+ *
+ * @static
+ * @memberOf entityUtil
+ * @param {Object} options The options object.
+ * @param {string} options.displayText The entity's display text (with correct capitalization).
+ * @param {string[]} options.names The entity's names to match in input and replace with `displayText` (though may be identical).
+ * @param {string} options.id The unique entity id.
+ * @param {string} options.categoryName The entity category.
+ * @param {boolean} [options.isPerson] Specify the entity represents a person and can serve as the antecedent for an anaphoric expression (of matching grammatical person-number).
+ * @param {string} [options.pronouns] The pronouns of the person the entity represents, with which the pronouns of anaphora must agree: 'he', 'she', or 'they' (singular "they").
+ * @returns {Object[]} Returns the new entity objects, one for each name.
+ */
+exports.createEntities = function (options) {
+	var names = options.names
+	var entities = []
+
+	for (var n = 0, namesLen = names.length; n < namesLen; ++n) {
+		// Tokenize entity name to enable partial entity matches, deletables within entities, and out of order token matches. Sort tokens alphabetically to prevent multiple input matches to the same token index.
+		var nameTokens = exports.tokenizeName(names[n])
+
+		var entity = {
+			// The display text (with correct capitalization).
+			text: options.displayText,
+			// The name tokens (can be different than `text`) sorted alphabetically.
+			tokens: nameTokens,
+			// The number of tokens.
+			size: nameTokens.length,
+			// The entity category.
+			category: options.categoryName,
+			// The unique identifier. Saved as a string for semantic arguments sorting.
+			id: options.id,
+			// Note: It is likely both of the following two properties introduce overhead that should be avoided given the obscurity of the edge cases they prevent, and that it would be better to have `Parser` and `pfsearch` absorb additional load, and allowing `pfsearch` to catch the ambiguity at the end.
+			// Note: Both of the following to properties can be improved by making entity objects unique for each token that maps to it, thereby specifying whether each entity match has the token that will be ambiguous, instead of checking every instance of the entity. This requires removing the operation in `initEntities` that replaces multiple instances of the same object with pointers to the same object, and instead accomplishing the same with the `tokens` array. This additional complexity is excessive for such a rare edge case.
+			// Specify `name` is multi-token and shares a token with another multi-token name for the same `id`. This instructs `matchTerminalRules` to check for multiple matches to the same entity id via different aliases over the same token span, and thereby avoid ambiguity.
+			hasAmbigMultiTokenAlias: hasAmbigMultiTokenAlias(names, n),
+			// The single-token aliases of the same `id` (with a different `name`) that this multi-token `name` contains. This instructs `matchTerminalRules` to not add parse nodes for single-token matches to these tokens for this entity object because there must also be a match to the single-token alias of the same token for the same entity (which has already been added).
+			// `undefined` if none exist to avoid invoking `indexOf()` for every multi-token entity match (on empty arrays), given this is such a rare case.
+			ambigUniTokenAliases: getAmbigUniTokenAliases(names, n),
+		}
+
+		if (options.isPerson) {
+			// The grammatical person-number property to assign to the semantic argument created from this entity (when matched in input), with which to resolve anaphora in `pfsearch`.
+			entity.anaphoraPersonNumber = 'threeSg'
+		}
+
+		if (options.pronouns) {
+			// The pronouns to assign to the semantic argument created from this entity, with which `pfsearch` only resolves anaphora of agreeing pronouns to the entity. E.g., "she" only refers to entities with pronouns of 'she' or without pronouns, and "they" also refers to entities with pronouns of 'they'.
+			entity.pronouns = options.pronouns
+		}
+
+		entities.push(entity)
+	}
+
+	return entities
+}
+
+/**
+ * Maps each token of `entity` to `entity` in `entitySets`.
+ *
+ * @static
+ * @memberOf entityUtil
+ * @param {Object} entitySets The map of entity tokens to entities to modify.
+ * @param {Object} entity The entity to add.
+ */
+exports.addEntity = function (entitySets, entity) {
+	var nameTokens = entity.tokens
+
+	for (var t = 0, nameTokensLen = nameTokens.length; t < nameTokensLen; ++t) {
+		var token = nameTokens[t]
+		var entityInstances = entitySets[token] || (entitySets[token] = [])
+
+		// Avoid duplicates when an entity has multiple instances of the same token. The same token can map to multiple instances of the same entity (id + display text) when those instances have different names/aliases that contain the same token, in which case `matchTerminalRules` keeps the cheapest match.
+		if (entityInstances.indexOf(entity) === -1) {
+			entityInstances.push(entity)
+		}
+	}
+}
+
+/**
+ * Sorts the entity tokens (the keys in `entitySets`) alphabetically and the entities for each token alphabetically.
+ *
+ * Sorts entities for each token alphabetically by display text so that parse trees with entity matches to the same input token and with the same match cost are sorted alphabetically when output.
+ *
+ * @static
+ * @memberOf entityUtil
+ * @param {Object} entitySets The map of entity tokens to entities to sort.
+ */
+exports.sortEntitySets = function (entitySets) {
+	Object.keys(entitySets).sort().forEach(function (entityToken) {
+		// Sort entities with `entityToken` alphabetically by display text and then by name tokens (which can differ).
+		// Sort by display text first so that parse trees with entity matches to the same input token and with the same match cost are sorted alphabetically when output.
+		var entities = entitySets[entityToken].sort(function (entityA, entityB) {
+			// Sort `entityA` before `entityB`.
+			if (entityA.text < entityB.text) return -1
+
+			// Sort `entityA` after `entityB`.
+			if (entityA.text > entityB.text) return 1
+
+			// Sort `entityA` before `entityB`.
+			if (entityA.tokens < entityB.tokens) return -1
+
+			// Sort `entityA` after `entityB`.
+			if (entityA.tokens > entityB.tokens) return 1
+
+			throw new Error('Duplicate entities')
+		})
+
+		// Sort entity tokens alphabetically.
+		delete entitySets[entityToken]
+		entitySets[entityToken] = entities
+	})
+}
+
+/**
+ * Tokenizes `entityName` to enable partial entity matches, deletables within entities, and out of order token matches. Sorts tokens alphabetically to prevent multiple input matches to the same token index.
+ *
+ * @static
+ * @memberOf entityUtil
+ * @param {string} entityName The entity name to tokenize.
+ * @returns {string[]} Returns the array of tokens for `name`.
+ */
+exports.tokenizeName = function (entityName) {
+	return entityName.toLowerCase().split(/\s+/).sort()
+}
+
+/**
+ * Gets the single-token names in `entityNames` that the multi-token name at `entityIdx` contains, if any.
+ *
+ * These tokens instruct `Parser.prototype.addMultiTokenEntityNodes()` in `matchTerminalRules` to avoid adding a parse node for a single-token entity match via a token for which a single-token alias for the same entity exists and a parse node was already added. I.e., avoids multiple matches for the same entity (id and display) via different names/aliases over the same one-token span.
+ *
+ * A single-token match to a multi-token entity name for a token returned by this function will not be added to the parse forest, but only kept for merging with adjacent matches to the same entity name (to form a multi-token match), because the ambiguous single-token alias will be cheapest.
+ *
+ * E.g., a match to "Iroh" can be for either the alias "Iroh" or "General Iroh", both of which map to "Iroh". The single-token match to "Iroh" for the name "General Iroh" must be kept to check for an adjacent match to "General", but no node will added for the match to only "Iroh" for this name's entity object.
+ *
+ * This property supplements `hasAmbigMultiTokenAlias`, which only checks for possible ambiguous matches with other multi-token names because `Parser.prototype.addMultiTokenEntityNodes()` does not have access to the single-token entity matches to check for ambiguity.
+ *
+ * Note: It is likely the overhead from this additional check for this rare edge case is more detrimental to performance than having `Parser` and `pfsearch` absorb additional load, and allowing `pfsearch` to catch the ambiguity at the end.
+ *
+ * @private
+ * @static
+ * @param {string[]} entityNames The entity names to check for potentially ambiguous single-token aliases.
+ * @param {number} entityIdx The index of the name within `entityNames` to compare.
+ * @returns {string[]|undefined} Returns an array the single-token entity names in `entityNames` that the multi-token name at `entityIdx` contains, else `undefined`.
+ */
+function getAmbigUniTokenAliases(entityNames, entityIdx) {
+	var nameTokens = exports.tokenizeName(entityNames[entityIdx])
+	var ambigUniTokenAliases = []
+
+	// Check if the specified entity name is multi-token and contains a token used by a uti-token name within `entityNames`.
+	if (nameTokens.length > 1) {
+		for (var o = 0, entityNamesLen = entityNames.length; o < entityNamesLen; ++o) {
+			if (entityIdx === o) continue
+
+			var otherNameTokens = exports.tokenizeName(entityNames[o])
+			if (otherNameTokens.length === 1) {
+				var uniTokenAlias = otherNameTokens[0]
+				if (nameTokens.indexOf(uniTokenAlias) !== -1) {
+					ambigUniTokenAliases.push(uniTokenAlias)
+				}
+			}
+		}
+	}
+
+	// Return `undefined` if there are no ambiguous single-token aliases to avoid invoking `indexOf()` for every multi-token entity match (on empty arrays), given this is such a rare case.
+	if (ambigUniTokenAliases.length > 0) {
+		return ambigUniTokenAliases
+	}
+}
+
+/**
+ * Checks if the entity name at index `entityIdx` in `entityNames` is multi-token and shares a token with another multi-token name within `entityNames`.
+ *
+ * This value `Parser.prototype.addMultiTokenEntityNodes()` in `matchTerminalRules` to avoid adding multiple parse nodes for entity matches to different entity names/aliases for the same entity (id) over the same token span.
+ *
+ * E.g., a match to "Alan" can be for either the alias "Alan Kay" or "Alan Curtis", both of which map to "Alan Kay".
+ *
+ * This only checks multi-token names because only multi-token names are added in `Parser.prototype.addMultiTokenEntityNodes()`, which does not have access to the single-token entity matches to check for ambiguity.
+ *
+ * Note: It is likely the overhead from this additional check for this rare edge case is more detrimental to performance than having `Parser` and `pfsearch` absorb additional load, and allowing `pfsearch` to catch the ambiguity at the end.
+ *
+ * @private
+ * @static
+ * @param {string[]} entityNames The entity names to check for potentially ambiguous multi-token aliases.
+ * @param {number} entityIdx The index of the name within `entityNames` to compare.
+ * @returns {boolean|undefined} Returns `true` if the name at index `entityIdx` within `entityNames` shares a token with another multi-token name within `entityNames` and can lead to ambiguous, multiple matches for the same entity via aliases, else `undefined`.
+ */
+function hasAmbigMultiTokenAlias(entityNames, entityIdx) {
+	var nameTokens = exports.tokenizeName(entityNames[entityIdx])
+	var nameTokensLen = nameTokens.length
+
+	// Only check multi-token names because only multi-token names are added in `Parser.prototype.addMultiTokenEntityNodes()` and do not have access to the single-token entity matches to check for ambiguity.
+	if (nameTokensLen > 1) {
+		for (var o = 0, entityNamesLen = entityNames.length; o < entityNamesLen; ++o) {
+			if (entityIdx === o) continue
+
+			var otherNameTokens = exports.tokenizeName(entityNames[o])
+			if (otherNameTokens.length > 1) {
+				for (var t = 0; t < nameTokensLen; ++t) {
+					if (otherNameTokens.indexOf(nameTokens[t]) !== -1) {
+						return true
+					}
+				}
+			}
+		}
+	}
+}
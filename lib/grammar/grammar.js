@@ -1,5 +1,6 @@
 var util = require('../util/util')
 var grammarUtil = require('./grammarUtil')
+var locale = require('./locale/locale')
 
 
 var NSymbol = require('./NSymbol')
@@ -65,6 +66,9 @@ exports.newIntSymbol = intSymbol.new
 // Terms that can be deleted when found in input.
 exports.deletables = []
 
+// The map of dataset record categories (i.e., the camel cased plural category names) to the tables of `schema.sql` that store their records, which `Category` adds for categories that define `options.sqlTable` and `SQLCompiler` compiles semantics to.
+exports.sqlTables = {}
+
 // The start symbol of the grammar.
 exports.startSymbol = exports.newSymbol('start')
 
@@ -82,8 +86,13 @@ exports.blankInsertedSymbol = exports.newSymbol(blankSymbol, 'inserted').addRule
 // Concatenates variadic string arguments with dashes. This is useful for hyphenating strings for options objects.
 exports.hyphenate = grammarUtil.hyphenate
 
-// Instantiates a new `Category`, which adds several base symbols and rules for a new database object category to the grammar.
-exports.newCategory = require('./rules/Category')
+// Instantiates a new `Category`, which adds several base symbols and rules for a new database object category to the grammar. Loads `Category` and the English rules it uses when first accessed to exclude them from the grammars of other locales.
+Object.defineProperty(exports, 'newCategory', {
+	get: function () {
+		return require('./rules/Category')
+	},
+	enumerable: true,
+})
 
 /**
  * Compiles and checks the grammar after adding all non-edit rules.
@@ -91,15 +100,28 @@ exports.newCategory = require('./rules/Category')
  * Invokes the following operations in the specified order:
  * 1. Converts the grammar's regex-style terminal symbols into rules that yield only single-token terminal symbols.
  * 2. Removes ill-formed and unused instances of nonterminal symbols, nonterminal rules, entity categories, integer symbols, and semantics from the grammar.
- * 3. Diversifies the costs of the grammar's non-edit rules.
- * 4. Creates grammar edit-rules derived from insertion and transposition costs, and empty strings in existing rules.
- * 5. Checks the grammar's rules for errors after constructing all non-edit and edit rules.
- * 6. Removes the temporary rules and rule properties used internally for grammar generation.
- * 7. Sorts the grammar's components.
+ * 3. Checks the grammar's semantic functions define SQL mappings, if `options.checkSQLMappings` is truthy.
+ * 4. Diversifies the costs of the grammar's non-edit rules.
+ * 5. Creates grammar edit-rules derived from insertion and transposition costs, and empty strings in existing rules.
+ * 6. Checks the grammar's rules for errors after constructing all non-edit and edit rules.
+ * 7. Removes the temporary rules and rule properties used internally for grammar generation.
+ * 8. Sorts the grammar's components.
  *
  * @memberOf grammar
+ * @param {Object} [options] The options object.
+ * @param {boolean} [options.checkSQLMappings] Specify checking the grammar's semantic functions define SQL mappings for `SQLCompiler`, for grammars whose semantics `SQLCompiler` compiles.
  */
-exports.compileGrammar = function () {
+var compileGrammarSchema = {
+	checkSQLMappings: Boolean,
+}
+
+exports.compileGrammar = function (options) {
+	options = options || {}
+
+	if (util.illFormedOpts(compileGrammarSchema, options)) {
+		throw new Error('Ill-formed grammar compilation options')
+	}
+
 	/**
 	 * Convert the grammar's regex-style terminal symbols into rules that yield only single-token terminal symbols. This is necessary to enable partial matches and deletions within what would otherwise be regex-style terminal symbols.
 	 *
@@ -114,6 +136,15 @@ exports.compileGrammar = function () {
 	 */
 	require('./removeUnusedComponents')(NSymbol._ruleSets)
 
+	/**
+	 * Check every semantic function that returns database objects defines an SQL mapping for `SQLCompiler`, and maps to a category with a table, if specified. Other grammars (e.g., those of other locales or of domains without an SQL backend) need not define mappings or tables.
+	 *
+	 * Invoke this module after `removeUnusedComponents` to exclude unused semantics.
+	 */
+	if (options.checkSQLMappings) {
+		require('./checkSQLMappings')(semantic._semantics, exports.sqlTables)
+	}
+
 	/**
 	 * Diversify the costs of the grammar's non-edit rules by incrementing the cost of each nonterminal symbol's rules by an increasing epsilon value.
 	 *
@@ -210,7 +241,7 @@ exports.printStats = function (prevOutputFilePath) {
 }
 
 /**
- * Gets the grammar's rules, semantics, entities, and deletables, returned as a single `Object`.
+ * Gets the grammar's rules, semantics, entities, deletables, SQL tables, and locale, returned as a single `Object`.
  *
  * @memberOf grammar
  * @returns {Object} Returns the grammar.
@@ -220,9 +251,15 @@ exports.getGrammar = function () {
 		ruleSets: NSymbol._ruleSets,
 		semantics: semantic._semantics,
 		entitySets: entityCategory._entitySets,
+		entityCategories: entityCategory._categories,
 		intSymbols: intSymbol._intSymbols,
 		deletables: exports.deletables,
+		sqlTables: exports.sqlTables,
 		startSymbol: exports.startSymbol.name,
+		// The locale name, the tokenization rules with which `Parser` splits input, and the number words `Parser` recognizes.
+		locale: locale.current.name,
+		tokenization: locale.current.tokenization,
+		numerals: locale.current.numerals,
 		// Export `<blank>` instead of `[blank-inserted]` because nonterminal symbols in `StateTable` do not have access to the terminal rules they produce. Ergo, `<blank>` would be inaccessible to create its terminal node.
 		blankSymbol: blankSymbol,
 	}
@@ -20,14 +20,22 @@ exports._defLines = {}
 /**
  * Creates a unique terminal symbol that recognizes integers in input within the specified range.
  *
+ * `Parser` recognizes numbers in digits, with magnitude suffixes and currency symbols, and spelled out: "250", "1.5k", "$2.5M", "two hundred fifty". The symbol accepts decimals and ordinals only if specified: "1.5", "3rd", "third".
+ *
  * @param {Object} options The options object.
  * @param {number} [options.min=0] The minimum value of integers this symbol can accept.
  * @param {number} [options.max=Number.MAX_SAFE_INTEGER] The maximum value of integers this symbol can accept.
+ * @param {boolean} [options.acceptsDecimals] Specify the symbol accepts non-integer numbers; e.g., "1.5", "$2.55". Else, `Parser` rounds non-integer numbers to the nearest integer with a cost penalty.
+ * @param {boolean} [options.acceptsOrdinals] Specify the symbol accepts ordinal numbers; e.g., "3rd", "third".
+ * @param {boolean} [options.requiresOrdinals] Specify the symbol only accepts ordinal numbers, which `Parser` displays as ordinals in digits; e.g., "3rd", "third" -> "3rd", not "3". Requires `options.acceptsOrdinals`.
  * @returns {string} Returns the new terminal symbol.
  */
 var intSymbolSchema = {
 	min: Number,
 	max: Number,
+	acceptsDecimals: Boolean,
+	acceptsOrdinals: Boolean,
+	requiresOrdinals: Boolean,
 }
 
 exports.new = function (options) {
@@ -45,10 +53,10 @@ exports.new = function (options) {
 		options.max = Number.MAX_SAFE_INTEGER
 	}
 
-	// Format the integer symbol name.
-	var symbol = '<int:' + options.min + '-' + options.max + '>'
+	// Format the integer symbol name, which distinguishes symbols of the same range that accept decimals or ordinals, or require ordinals: "<num:0-100>", "<int:1-31:ord>", "<int:1-100:nth>".
+	var symbol = '<' + (options.acceptsDecimals ? 'num' : 'int') + ':' + options.min + '-' + options.max + (options.requiresOrdinals ? ':nth' : options.acceptsOrdinals ? ':ord' : '') + '>'
 
-	// Check if an integer symbol of the same range already exists.
+	// Check if an integer symbol of the same range and options already exists.
 	if (grammarUtil.isDuplicateName(symbol, exports._defLines, 'integer symbol')) {
 		throw new Error('Duplicate integer symbol')
 	}
@@ -56,12 +64,26 @@ exports.new = function (options) {
 	// Save instantiation file path and line number for error reporting.
 	exports._defLines[symbol] = util.getModuleCallerLocation()
 
-	// Save terminal symbol with maximum and minimum properties.
-	exports._intSymbols.push({
+	// Save terminal symbol with maximum and minimum properties. Omit the unspecified options from the output grammar.
+	var intSymbolObj = {
 		name: symbol,
 		min: options.min,
 		max: options.max,
-	})
+	}
+
+	if (options.acceptsDecimals) {
+		intSymbolObj.acceptsDecimals = true
+	}
+
+	if (options.acceptsOrdinals) {
+		intSymbolObj.acceptsOrdinals = true
+	}
+
+	if (options.requiresOrdinals) {
+		intSymbolObj.requiresOrdinals = true
+	}
+
+	exports._intSymbols.push(intSymbolObj)
 
 	return symbol
 }
@@ -86,11 +108,21 @@ function isIllFormedIntSymbolOptions(options) {
 		return true
 	}
 
+	if (options.requiresOrdinals && !options.acceptsOrdinals) {
+		util.logErrorAndPath('Integer symbol requires ordinals without accepting them:', options)
+		return true
+	}
+
+	if (options.requiresOrdinals && options.acceptsDecimals) {
+		util.logErrorAndPath('Integer symbol requires ordinals and accepts decimals:', options)
+		return true
+	}
+
 	return false
 }
 
 /**
- * Sorts integer symbols by increasing minimum value and then by increasing maximum value.
+ * Sorts integer symbols by increasing minimum value, then by increasing maximum value, and then by name for symbols of the same range.
  *
  * `sortGrammar()` in `grammar` invokes this method at the end of grammar generation.
  *
@@ -110,6 +142,10 @@ exports.sortIntSymbols = function () {
 		// Sort `intA` after `intB`.
 		if (intA.max > intB.max) return 1
 
+		// Sort symbols of the same range that differ in whether they accept decimals or ordinals.
+		if (intA.name < intB.name) return -1
+		if (intA.name > intB.name) return 1
+
 		throw new Error('Integer symbols with identical ranges')
 	})
 }
\ No newline at end of file
@@ -0,0 +1,558 @@
+var fs = require('fs')
+var util = require('../util/util')
+var g = require('./grammar')
+var semantic = require('./semantic')
+var locale = require('./locale/locale')
+
+
+/**
+ * The modules of shared terms that grammar specs can reference by name, mapped to the reference prefix. E.g., "verbs.like", "preps.participant".
+ *
+ * @private
+ * @type {Object.<string, Object>}
+ */
+var termModules = {
+	verbs: require('./rules/verbs'),
+	nouns: require('./rules/nouns'),
+	preps: require('./rules/prepositions'),
+	terms: require('./rules/terms'),
+}
+
+/**
+ * The names of the `Category` option properties and rule set option properties whose values are term references.
+ *
+ * @private
+ * @type {string[]}
+ */
+var termPropNames = [ 'headNoun', 'verbTerm', 'itemNoun', 'unitTerm', 'agentNounTerm', 'prepTerm' ]
+
+/**
+ * The spec properties of a category that define its rule sets, mapped to the `Category` method that adds each rule set.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+var ruleSetMethods = {
+	verbRuleSets: 'addVerbRuleSet',
+	countRuleSets: 'addCountRuleSet',
+	dateRuleSets: 'addDateRuleSet',
+	measurementRuleSets: 'addMeasurementRuleSet',
+}
+
+/**
+ * A term definition in a grammar spec, which `loadGrammarSpec()` passes to the term method `kind` defines with the `name` and `kind` properties omitted.
+ *
+ * Later terms and categories in the spec reference the term by `name`. A 'tenseVerb' term also defines the references `name.present`, `name.past`, and `name.noTense`.
+ *
+ * In the `acceptedTerms` and `substitutedTerms` of a 'termSequence' term, a string is a terminal symbol and `{ "ref": "name" }` references a term defined in the spec or a term module (e.g., `{ "ref": "verbs.like" }`).
+ *
+ * @typedef {Object} TermSpec
+ * @property {string} name The unique name with which to reference the term.
+ * @property {string} kind The kind of term, which specifies the method that creates it: 'countNoun', 'massNoun', 'verb', 'tenseVerb', or 'termSequence'.
+ */
+var termSpecSchema = {
+	name: { type: String, required: true },
+	kind: { values: [ 'countNoun', 'massNoun', 'verb', 'tenseVerb', 'termSequence' ], required: true },
+}
+
+var termMethods = {
+	countNoun: g.newCountNoun,
+	massNoun: g.newMassNoun,
+	verb: g.newVerb,
+	tenseVerb: g.newTenseVerb,
+	termSequence: g.newTermSequence,
+}
+
+/**
+ * A grammar spec, which defines categories and their components in JSON for `loadGrammarSpec()` to add to the grammar via the `Category` API.
+ *
+ * Each semantic in `semantics` is the options object for `g.newSemantic()`. Each category in `categories` is the options object for `g.newCategory()`, with the additional properties `verbRuleSets`, `countRuleSets`, `dateRuleSets`, and `measurementRuleSets`, each an array of options objects for the `Category` method that adds that rule set.
+ *
+ * Within categories and rule sets, the values of term properties (e.g., `headNoun`, `verbTerm`) are term references (e.g., "verbs.like"), and the values of semantic properties (e.g., `catVerbSemantic`) are semantic references. A semantic reference is either the name of a semantic in the grammar or spec, or an array of names to reduce in order: `[ "repository-creators", "repository-forks" ]` -> `repository-creators(repository-forks())`.
+ *
+ * @typedef {Object} GrammarSpec
+ * @property {Object[]} [semantics] The semantic options objects.
+ * @property {TermSpec[]} [terms] The term definitions.
+ * @property {Object[]} [categories] The category options objects.
+ */
+var grammarSpecSchema = {
+	semantics: { type: Array, arrayType: Object },
+	terms: { type: Array, arrayType: Object },
+	categories: { type: Array, arrayType: Object },
+}
+
+var ruleSetsSchema = {
+	verbRuleSets: { type: Array, arrayType: Object },
+	countRuleSets: { type: Array, arrayType: Object },
+	dateRuleSets: { type: Array, arrayType: Object },
+	measurementRuleSets: { type: Array, arrayType: Object },
+}
+
+/**
+ * Adds the semantics, terms, and categories the grammar spec at `specFilePath` defines to the grammar, via the existing `Category` API.
+ *
+ * Checks each definition with the `util.illFormedOpts()` schema of the method it invokes. If ill-formed, prints the error message with the path of the key at fault and its file path and line number in the spec, and throws an exception.
+ *
+ * Only JSON specs are supported: the grammar has no YAML parser dependency, and the line numbers in errors come from scanning the JSON text. Throws an exception for a spec with a YAML file extension.
+ *
+ * Invoke this module after loading the locale's rules, which define the semantics and terms specs can reference.
+ *
+ * @static
+ * @param {string} specFilePath The path of the grammar spec JSON file.
+ */
+module.exports = function (specFilePath) {
+	if (locale.current.name !== locale.DEFAULT) {
+		util.logError('Grammar specs require the', util.stylize(locale.DEFAULT), 'locale:', util.stylize(locale.current.name))
+		throw new Error('Unsupported locale')
+	}
+
+	if (/\.ya?ml$/i.test(specFilePath)) {
+		util.logError('YAML grammar specs are unsupported; convert the spec to JSON:', util.stylize(specFilePath))
+		throw new Error('Unsupported grammar spec format')
+	}
+
+	var spec = {
+		filePath: util.realpathSync(specFilePath),
+		// The map of term references to terms the spec defines.
+		terms: {},
+	}
+
+	var specText = fs.readFileSync(spec.filePath, 'utf8')
+	try {
+		var specObj = JSON.parse(specText)
+	} catch (e) {
+		util.logError('Invalid JSON in grammar spec:', e.message)
+		util.log('  ' + spec.filePath)
+		throw new Error('Ill-formed grammar spec')
+	}
+
+	// Map each value's path in `specObj` to its line number in the file.
+	spec.lines = mapValueLines(specText)
+
+	checkSpec(spec, '', function () {
+		return util.illFormedOpts(grammarSpecSchema, specObj)
+	})
+
+	if (specObj.semantics) {
+		specObj.semantics.forEach(function (semanticSpec, i) {
+			var path = 'semantics[' + i + ']'
+			var options = resolveReferences(spec, path, semanticSpec)
+			var newSemantic = callAtPath(spec, path, function () {
+				return g.newSemantic(options)
+			})
+
+			// Report the semantic's definition in the spec in later errors (e.g., a missing SQL mapping), instead of this module.
+			semantic._defLines[newSemantic[0].semantic.name] = getSpecLocation(spec, path)
+		})
+	}
+
+	if (specObj.terms) {
+		specObj.terms.forEach(function (termSpec, i) {
+			addTerm(spec, 'terms[' + i + ']', termSpec)
+		})
+	}
+
+	if (specObj.categories) {
+		specObj.categories.forEach(function (categorySpec, i) {
+			addCategory(spec, 'categories[' + i + ']', categorySpec)
+		})
+	}
+}
+
+/**
+ * Creates the term `termSpec` defines and saves it to `spec.terms` for reference by later definitions.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of `termSpec` in the spec.
+ * @param {TermSpec} termSpec The term definition.
+ */
+function addTerm(spec, path, termSpec) {
+	var termName = termSpec.name
+
+	checkSpec(spec, path, function () {
+		return util.illFormedOpts(termSpecSchema, { name: termName, kind: termSpec.kind })
+	})
+
+	if (spec.terms.hasOwnProperty(termName) || termModules.hasOwnProperty(termName)) {
+		logSpecError(spec, path + '.name', 'Duplicate term name:', util.stylize(termName))
+		throw new Error('Duplicate term name')
+	}
+
+	var options = resolveReferences(spec, path, termSpec)
+	delete options.name
+	delete options.kind
+
+	var term = callAtPath(spec, path, function () {
+		return termMethods[termSpec.kind](options)
+	})
+
+	if (termSpec.kind === 'tenseVerb') {
+		// The object with the `present`, `past`, and `noTense` terms, referenced as "name.present", etc.
+		for (var tense in term) {
+			spec.terms[termName + '.' + tense] = term[tense]
+		}
+	} else {
+		spec.terms[termName] = term
+	}
+}
+
+/**
+ * Creates the `Category` `categorySpec` defines and adds its rule sets.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of `categorySpec` in the spec.
+ * @param {Object} categorySpec The category options object with additional rule set properties.
+ */
+function addCategory(spec, path, categorySpec) {
+	var options = resolveReferences(spec, path, categorySpec)
+	var ruleSets = {}
+
+	for (var propName in ruleSetMethods) {
+		if (options.hasOwnProperty(propName)) {
+			ruleSets[propName] = options[propName]
+			delete options[propName]
+		}
+	}
+
+	checkSpec(spec, path, function () {
+		return util.illFormedOpts(ruleSetsSchema, ruleSets)
+	})
+
+	var category = callAtPath(spec, path, function () {
+		return g.newCategory(options)
+	})
+
+	// (my) gists; gists (of `[poss-users]`)
+	if (category.headPossessable) {
+		category.headPossessable.addRule({ rhs: [ category.headNoun ] })
+	}
+
+	for (propName in ruleSets) {
+		ruleSets[propName].forEach(function (ruleSetOptions, i) {
+			callAtPath(spec, path + '.' + propName + '[' + i + ']', function () {
+				category[ruleSetMethods[propName]](ruleSetOptions)
+			})
+		})
+	}
+}
+
+/**
+ * Creates a copy of `value`, the value at `path` in the spec, with term and semantic references replaced with the terms and semantics they reference.
+ *
+ * Replaces the values of term properties (i.e., `termPropNames`), `{ "ref": "name" }` objects, and the values of semantic properties (i.e., properties whose names end with "Semantic", and `requires`).
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of `value` in the spec.
+ * @param {*} value The value to resolve.
+ * @returns {*} Returns the resolved copy of `value`.
+ */
+function resolveReferences(spec, path, value) {
+	if (Array.isArray(value)) {
+		return value.map(function (item, i) {
+			return resolveReferences(spec, path + '[' + i + ']', item)
+		})
+	}
+
+	if (value === null || typeof value !== 'object') {
+		return value
+	}
+
+	if (Object.keys(value).length === 1 && value.hasOwnProperty('ref')) {
+		return getTerm(spec, path + '.ref', value.ref)
+	}
+
+	var resolved = {}
+	for (var propName in value) {
+		var propPath = path + '.' + propName
+		var propValue = value[propName]
+
+		if (termPropNames.indexOf(propName) !== -1) {
+			resolved[propName] = getTerm(spec, propPath, propValue)
+		} else if (/Semantic$/.test(propName) || propName === 'requires') {
+			resolved[propName] = getSemantic(spec, propPath, propValue)
+		} else {
+			resolved[propName] = resolveReferences(spec, propPath, propValue)
+		}
+	}
+
+	return resolved
+}
+
+/**
+ * Gets the term `termRef` references: a term the spec defines or a term module export (e.g., "verbs.like").
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of `termRef` in the spec.
+ * @param {string} termRef The term reference.
+ * @returns {NSymbol} Returns the referenced term.
+ */
+function getTerm(spec, path, termRef) {
+	if (spec.terms.hasOwnProperty(termRef)) {
+		return spec.terms[termRef]
+	}
+
+	if (typeof termRef === 'string') {
+		var refNames = termRef.split('.')
+		var termModule = termModules[refNames[0]]
+		if (termModule && termModule.hasOwnProperty(refNames[1])) {
+			var term = termModule[refNames[1]]
+
+			// Get a tense of a tense verb: "verbs.work.noTense".
+			if (refNames.length === 3) {
+				term = term[refNames[2]]
+			}
+
+			if (term && refNames.length <= 3) {
+				return term
+			}
+		}
+	}
+
+	logSpecError(spec, path, 'Unrecognized term reference:', util.stylize(termRef))
+	throw new Error('Ill-formed grammar spec')
+}
+
+/**
+ * Gets the semantic `semanticRef` references: the name of a semantic in the grammar, or an array of names to reduce in order.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of `semanticRef` in the spec.
+ * @param {string|string[]} semanticRef The semantic reference.
+ * @returns {Object[]} Returns the referenced semantic.
+ */
+function getSemantic(spec, path, semanticRef) {
+	var semanticNames = Array.isArray(semanticRef) ? semanticRef : [ semanticRef ]
+
+	// Reduce the semantics from the innermost, last semantic.
+	return semanticNames.reduceRight(function (rhsSemantic, semanticName) {
+		var semanticDef = semantic._semantics[semanticName]
+		if (typeof semanticName !== 'string' || !semanticDef) {
+			logSpecError(spec, path, 'Unrecognized semantic reference:', util.stylize(semanticName))
+			throw new Error('Ill-formed grammar spec')
+		}
+
+		var lhsSemantic = semanticDef.isArg ? [ { semantic: semanticDef } ] : [ { semantic: semanticDef, children: [] } ]
+		return rhsSemantic ? callAtPath(spec, path, function () {
+			return g.reduceSemantic(lhsSemantic, rhsSemantic)
+		}) : lhsSemantic
+	}, undefined)
+}
+
+/**
+ * Invokes `func`, which adds the definition at `path` to the grammar, withholding the output it prints. If `func` throws an exception, prints only the first error message in the withheld output, followed by the path and the file path and line number of the spec key at fault, instead of the options object and schema `util.illFormedOpts()` prints, before rethrowing the exception. Else, prints the withheld output (e.g., warnings).
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of the definition in the spec.
+ * @param {Function} func The function to invoke.
+ * @returns {*} Returns the result of `func`.
+ */
+function callAtPath(spec, path, func) {
+	// Redirect `process.stdout` to `output`.
+	var output = ''
+	var origStdoutWrite = process.stdout.write
+	process.stdout.write = function (string) {
+		output += string
+		return true
+	}
+
+	try {
+		var returnVal = func()
+	} catch (e) {
+		// Restore `process.stdout`.
+		process.stdout.write = origStdoutWrite
+
+		logKeyError(spec, path, output)
+		throw e
+	}
+
+	// Restore `process.stdout`.
+	process.stdout.write = origStdoutWrite
+	process.stdout.write(output)
+
+	return returnVal
+}
+
+/**
+ * Invokes `func`, which checks the definition at `path` with `util.illFormedOpts()`. If ill-formed, prints the error message, followed by the path and the file path and line number of the spec key at fault, and throws an exception.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of the definition in the spec.
+ * @param {Function} func The function that returns `true` if the definition is ill-formed.
+ */
+function checkSpec(spec, path, func) {
+	callAtPath(spec, path, function () {
+		if (func()) {
+			throw new Error('Ill-formed grammar spec')
+		}
+	})
+}
+
+/**
+ * Prints the first error message in `output`, the output of adding the definition at `path` to the grammar, followed by the path and the file path and line number of the spec key the message names. If `output` lacks an error message (e.g., for an exception thrown without one), prints only the location of the definition.
+ *
+ * The key is the property the message quotes (e.g., "Missing required property: 'sqlTable'"), within the definition at `path` or any value it nests. If the message quotes no property in the definition, the key is the definition.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of the definition in the spec.
+ * @param {string} output The output of adding the definition.
+ */
+function logKeyError(spec, path, output) {
+	var lines = output.split('\n')
+	var errorLineIdx = lines.findIndex(function (line) {
+		return /^\s*Error\b/.test(util.colors.stripColor(line))
+	})
+
+	if (errorLineIdx === -1) {
+		util.log('  Grammar spec:', getSpecLocation(spec, path))
+		return
+	}
+
+	var errorLine = lines[errorLineIdx]
+	var errorMessage = util.colors.stripColor(errorLine)
+	var keyPath = path
+	var quotedName = /['`]([^'`]+)['`]/.exec(errorMessage)
+	if (quotedName) {
+		var pathPrefix = path ? path + '.' : ''
+		var propPath = pathPrefix + quotedName[1]
+
+		if (spec.lines.hasOwnProperty(propPath) || /^\s*Error: Missing required property/.test(errorMessage)) {
+			keyPath = propPath
+		} else {
+			// Find the property in a value the definition nests (e.g., "semantics[0].sql.relation.table").
+			var nestedPath = Object.keys(spec.lines).find(function (valuePath) {
+				return valuePath.indexOf(pathPrefix) === 0 && valuePath.endsWith('.' + quotedName[1])
+			})
+
+			if (nestedPath) {
+				keyPath = nestedPath
+			}
+		}
+	}
+
+	util.log(errorLine.replace(/^\n+/, ''))
+	if (keyPath) {
+		util.log('  Key:', keyPath)
+	}
+	util.log('  Grammar spec:', getSpecLocation(spec, keyPath))
+}
+
+/**
+ * Prints an error message for the value at `path` in the spec, followed by the file path and line number of the value.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of the value in the spec.
+ * @param {...*} values The values to print following "Error: ".
+ */
+function logSpecError(spec, path) {
+	util.logError.apply(null, Array.prototype.slice.call(arguments, 2))
+	util.log('  ' + getSpecLocation(spec, path))
+}
+
+/**
+ * Gets the file path and line number, in the format `filePath:lineNumber`, of the value at `path` in the spec, or of its nearest ancestor with a known line.
+ *
+ * @private
+ * @static
+ * @param {Object} spec The grammar spec being loaded.
+ * @param {string} path The path of the value in the spec.
+ * @returns {string} Returns the file path and line number.
+ */
+function getSpecLocation(spec, path) {
+	while (path && !spec.lines.hasOwnProperty(path)) {
+		// Remove the last property or index from `path`.
+		path = path.replace(/(^|\.)[^.[]+$|\[\d+\]$/, '')
+	}
+
+	return spec.filePath + ':' + (spec.lines[path] || 1)
+}
+
+/**
+ * Maps the path of each value in the valid JSON `text` to the line number at which the value begins. Paths use property access notation; e.g., "categories[0].verbRuleSets[1]". The path of the root value is the empty string.
+ *
+ * @private
+ * @static
+ * @param {string} text The JSON text.
+ * @returns {Object.<string, number>} Returns the map of value paths to line numbers.
+ */
+function mapValueLines(text) {
+	var lines = {}
+	var pos = 0
+	var line = 1
+
+	function skipWhitespace() {
+		while (/\s/.test(text[pos])) {
+			if (text[pos] === '\n') ++line
+			++pos
+		}
+	}
+
+	function scanString() {
+		var start = pos++
+		while (text[pos] !== '"') {
+			if (text[pos] === '\\') ++pos
+			++pos
+		}
+
+		return JSON.parse(text.slice(start, ++pos))
+	}
+
+	function scanValue(path) {
+		skipWhitespace()
+		lines[path] = line
+
+		var char = text[pos]
+		if (char === '{' || char === '[') {
+			var isObject = char === '{'
+			var closeChar = isObject ? '}' : ']'
+			++pos
+			skipWhitespace()
+
+			for (var i = 0; text[pos] !== closeChar; ++i) {
+				if (isObject) {
+					var key = scanString()
+					skipWhitespace()
+					// Skip ':'.
+					++pos
+					scanValue(path ? path + '.' + key : key)
+				} else {
+					scanValue(path + '[' + i + ']')
+				}
+
+				skipWhitespace()
+				if (text[pos] === ',') {
+					++pos
+					skipWhitespace()
+				}
+			}
+
+			++pos
+		} else if (char === '"') {
+			scanString()
+		} else {
+			// Skip number, boolean, or null.
+			while (pos < text.length && /[^\s,\]}]/.test(text[pos])) ++pos
+		}
+	}
+
+	scanValue('')
+
+	return lines
+}
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * The English locale pack.
+ *
+ * @type {Locale}
+ */
+module.exports = {
+	name: 'en',
+
+	inflections: {
+		personNumbers: [ 'oneSg', 'threeSg', 'pl' ],
+		anaphoraPersonNumbers: [ 'threeSg', 'threePl' ],
+		cases: [ 'nom', 'obj' ],
+		// English nouns lack grammatical gender.
+		genders: [],
+		tenses: [ 'present', 'past' ],
+		acceptedTenses: [ 'past' ],
+		verbForms: [ 'past', 'infinitive', 'participle' ],
+		// The bare infinitive uses the present plural form.
+		formAliases: { infinitive: 'pl' },
+	},
+
+	tokenization: {
+		// Remove commas to equally match "Shanghai China" and "Shanghai, China", and question marks to equally match questions with and without them.
+		removedChars: ',?',
+		// Split on forward slashes to match dates such as "1/28/1993".
+		separatorChars: '/',
+		// Split on hyphens between digits to match ISO dates such as "2016-04-01".
+		digitSeparatorChars: '-',
+	},
+
+	numerals: {
+		words: {
+			zero: 0,
+			one: 1,
+			two: 2,
+			three: 3,
+			four: 4,
+			five: 5,
+			six: 6,
+			seven: 7,
+			eight: 8,
+			nine: 9,
+			ten: 10,
+			eleven: 11,
+			twelve: 12,
+			thirteen: 13,
+			fourteen: 14,
+			fifteen: 15,
+			sixteen: 16,
+			seventeen: 17,
+			eighteen: 18,
+			nineteen: 19,
+			twenty: 20,
+			thirty: 30,
+			forty: 40,
+			fifty: 50,
+			sixty: 60,
+			seventy: 70,
+			eighty: 80,
+			ninety: 90,
+		},
+		scales: {
+			hundred: 100,
+			thousand: 1e3,
+			million: 1e6,
+			billion: 1e9,
+		},
+		ordinalWords: {
+			first: 'one',
+			second: 'two',
+			third: 'three',
+			fourth: 'four',
+			fifth: 'five',
+			sixth: 'six',
+			seventh: 'seven',
+			eighth: 'eight',
+			ninth: 'nine',
+			tenth: 'ten',
+			eleventh: 'eleven',
+			twelfth: 'twelve',
+			thirteenth: 'thirteen',
+			fourteenth: 'fourteen',
+			fifteenth: 'fifteen',
+			sixteenth: 'sixteen',
+			seventeenth: 'seventeen',
+			eighteenth: 'eighteen',
+			nineteenth: 'nineteen',
+			twentieth: 'twenty',
+			thirtieth: 'thirty',
+			fortieth: 'forty',
+			fiftieth: 'fifty',
+			sixtieth: 'sixty',
+			seventieth: 'seventy',
+			eightieth: 'eighty',
+			ninetieth: 'ninety',
+			hundredth: 'hundred',
+			thousandth: 'thousand',
+			millionth: 'million',
+			billionth: 'billion',
+		},
+		// "two hundred and fifty"
+		conjunctions: [ 'and' ],
+		// "1st", "2nd", "3rd", "4th"
+		ordinalSuffixes: [ 'st', 'nd', 'rd', 'th' ],
+		// "1st", "2nd", "3rd", "11th", "21st"
+		ordinalTextSuffixes: {
+			1: 'st',
+			2: 'nd',
+			3: 'rd',
+			11: 'th',
+			12: 'th',
+			13: 'th',
+			'': 'th',
+		},
+		// "1.5k", "$2.5M", "3B"
+		magnitudeSuffixes: {
+			k: 1e3,
+			m: 1e6,
+			b: 1e9,
+		},
+	},
+
+	letters: 'a-zA-Z',
+
+	/**
+	 * Each deletable is a single-token term that can be deleted when seen in input. A sequence of consecutive deletables can also be deleted.
+	 */
+	deletables: [
+		'a',
+		'again',
+		'all',
+		'also',
+		'am',
+		'an',
+		'and',
+		'any',
+		'are',
+		'as',
+		'because',
+		'both',
+		'but',
+		'cannot',
+		'did',
+		'do',
+		'does',
+		'doing',
+		'for',
+		'here',
+		'how',
+		'is',
+		'it',
+		'just',
+		'more',
+		'most',
+		'nor',
+		'not',
+		'once',
+		'only',
+		'or',
+		'some',
+		'the',
+		'there',
+		'these',
+		'those',
+		'too',
+		'until',
+		'while',
+		'why',
+	],
+
+	/**
+	 * Adds the English rules to the grammar.
+	 */
+	loadRules: function () {
+		require('../rules/user/user')
+		require('../rules/github/github')
+		require('../rules/company/company')
+	},
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * The Spanish locale pack.
+ *
+ * @type {Locale}
+ */
+module.exports = {
+	name: 'es',
+
+	inflections: {
+		personNumbers: [ 'oneSg', 'twoSg', 'threeSg', 'onePl', 'twoPl', 'threePl' ],
+		anaphoraPersonNumbers: [ 'threeSg', 'threePl' ],
+		// The prepositional case is the form of pronouns after prepositions; e.g., "por mí".
+		cases: [ 'nom', 'obj', 'prep' ],
+		// Participles agree with the gender and number of the nouns they modify; e.g., "repositorios creados", "incidencias abiertas".
+		genders: [ 'masc', 'fem' ],
+		tenses: [ 'present', 'preterite', 'imperfect', 'future' ],
+		// Each Spanish verb term set is defined in one tense, which `NSymbol` never conjugates to another tense.
+		acceptedTenses: [],
+		verbForms: [ 'infinitive', 'gerund', 'participle' ],
+	},
+
+	tokenization: {
+		// Remove commas and the inverted and closing punctuation of questions and exclamations; e.g., "¿mis repositorios?".
+		removedChars: ',¿?¡!',
+		separatorChars: '/',
+		digitSeparatorChars: '-',
+	},
+
+	numerals: {
+		words: {
+			cero: 0,
+			uno: 1,
+			dos: 2,
+			tres: 3,
+			cuatro: 4,
+			cinco: 5,
+			seis: 6,
+			siete: 7,
+			ocho: 8,
+			nueve: 9,
+			diez: 10,
+			once: 11,
+			doce: 12,
+			trece: 13,
+			catorce: 14,
+			quince: 15,
+			'dieciséis': 16,
+			diecisiete: 17,
+			dieciocho: 18,
+			diecinueve: 19,
+			veinte: 20,
+			treinta: 30,
+			cuarenta: 40,
+			cincuenta: 50,
+			sesenta: 60,
+			setenta: 70,
+			ochenta: 80,
+			noventa: 90,
+			// Spanish forms the hundreds as single words, which do not multiply the preceding number: "doscientos", not "dos cientos".
+			cien: 100,
+			ciento: 100,
+			doscientos: 200,
+			trescientos: 300,
+			cuatrocientos: 400,
+			quinientos: 500,
+			seiscientos: 600,
+			setecientos: 700,
+			ochocientos: 800,
+			novecientos: 900,
+		},
+		scales: {
+			mil: 1e3,
+			'millón': 1e6,
+			millones: 1e6,
+		},
+		ordinalWords: {
+			primero: 'uno',
+			primer: 'uno',
+			segundo: 'dos',
+			tercero: 'tres',
+			tercer: 'tres',
+			cuarto: 'cuatro',
+			quinto: 'cinco',
+			sexto: 'seis',
+			'séptimo': 'siete',
+			octavo: 'ocho',
+			noveno: 'nueve',
+			'décimo': 'diez',
+		},
+		// "treinta y cinco"
+		conjunctions: [ 'y' ],
+		// "1º", "1ª", "1er", "3ro"
+		ordinalSuffixes: [ 'º', 'ª', 'er', 'ro', 'do', 'to', 'vo', 'no', 'mo' ],
+		// "1º", "3º"
+		ordinalTextSuffixes: {
+			'': 'º',
+		},
+		// "1.5k", "2M"
+		magnitudeSuffixes: {
+			k: 1e3,
+			m: 1e6,
+		},
+	},
+
+	letters: 'a-zA-ZáéíóúüñÁÉÍÓÚÜÑ',
+
+	/**
+	 * Each deletable is a single-token term that can be deleted when seen in input. A sequence of consecutive deletables can also be deleted.
+	 */
+	deletables: [
+		'algunas',
+		'algunos',
+		'bueno',
+		'el',
+		'la',
+		'las',
+		'lo',
+		'los',
+		'muy',
+		'pues',
+		'solo',
+		'sólo',
+		'también',
+		'todas',
+		'todos',
+		'un',
+		'una',
+		'unas',
+		'unos',
+		'ya',
+	],
+
+	/**
+	 * Adds the Spanish rules to the grammar.
+	 */
+	loadRules: function () {
+		require('../rules/es/user')
+		require('../rules/es/github')
+	},
+}
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * The locale of the grammar, which defines the grammar's language: the inflection tables with which the grammar's rules conjugate display text, the tokenization rules with which `Parser` splits input, the number words `Parser` recognizes, the deletables, and the rules themselves.
+ *
+ * Invoke `locale.set()` before loading `grammar`, whose modules read the inflection tables of `locale.current` when loaded. If not set, the locale is English.
+ */
+
+var util = require('../../util/util')
+
+
+/**
+ * The names of the supported locales, each of which has a locale pack module in this directory with the same name.
+ *
+ * @type {string[]}
+ */
+exports.names = [ 'en', 'es' ]
+
+/**
+ * The name of the default locale.
+ *
+ * @type {string}
+ */
+exports.DEFAULT = 'en'
+
+/**
+ * The inflection tables of a locale, which define the values the grammar accepts for the grammatical properties of rules and the properties of conjugative `text` objects.
+ *
+ * @typedef {Object} LocaleInflections
+ * @property {string[]} personNumbers The grammatical person-numbers for which rules conjugate verbs (i.e., `personNumber`). E.g., 'oneSg', 'threeSg'.
+ * @property {string[]} anaphoraPersonNumbers The grammatical person-numbers of anaphora antecedents (i.e., `anaphoraPersonNumber`).
+ * @property {string[]} cases The grammatical cases of pronouns. E.g., 'nom', 'obj'.
+ * @property {string[]} genders The grammatical genders of nouns, if any, with which participles and adjectives agree. Each gender combines with 'Sg' and 'Pl' to form the agreement forms; e.g., 'fem' -> 'femSg', 'femPl'.
+ * @property {string[]} tenses The grammatical tenses of verbs.
+ * @property {string[]} acceptedTenses The tenses in which rules accept verbs when input in that tense (i.e., `acceptedTense`), though the tense is not enforced.
+ * @property {string[]} verbForms The non-finite and tense verb forms to which rules conjugate verbs (i.e., `grammaticalForm`). E.g., 'infinitive', 'participle'.
+ * @property {Object.<string, string>} [formAliases] The map of grammatical forms to the `text` object properties they use, for forms that share the inflection of another form. E.g., English 'infinitive' -> 'pl'.
+ */
+var inflectionsSchema = {
+	personNumbers: { type: Array, arrayType: String, required: true },
+	anaphoraPersonNumbers: { type: Array, arrayType: String, required: true },
+	cases: { type: Array, arrayType: String, required: true },
+	genders: { type: Array, arrayType: String, allowEmpty: true, required: true },
+	tenses: { type: Array, arrayType: String, required: true },
+	acceptedTenses: { type: Array, arrayType: String, allowEmpty: true, required: true },
+	verbForms: { type: Array, arrayType: String, required: true },
+	formAliases: Object,
+}
+
+/**
+ * The rules with which `Parser` splits input into tokens. Saved in the output grammar for `StateTable`.
+ *
+ * @typedef {Object} LocaleTokenization
+ * @property {string} removedChars The characters to remove from input. E.g., ',' to equally match "Shanghai China" and "Shanghai, China".
+ * @property {string} separatorChars The characters, in addition to whitespace, that separate tokens. E.g., '/' for "1/28/1993" -> "1" "28" "1993".
+ * @property {string} [digitSeparatorChars] The characters that separate tokens only when between digits. E.g., '-' for "2016-04-01" -> "2016" "04" "01", without splitting "twenty-five".
+ */
+var tokenizationSchema = {
+	removedChars: { type: String, required: true },
+	separatorChars: { type: String, required: true },
+	digitSeparatorChars: String,
+}
+
+/**
+ * The words and affixes with which `Parser` recognizes numbers in input, beyond digits. Saved in the output grammar for `NumberRecognizer`.
+ *
+ * @typedef {Object} LocaleNumerals
+ * @property {Object.<string, number>} words The map of cardinal number words to their values, excluding `scales`. E.g., 'five' -> 5, 'twenty' -> 20.
+ * @property {Object.<string, number>} scales The map of number words that multiply the preceding number to their values. E.g., 'hundred' -> 100, 'million' -> 1000000.
+ * @property {Object.<string, string>} ordinalWords The map of ordinal number words to the cardinal number words (in `words` or `scales`) with the same value. E.g., 'third' -> 'three'.
+ * @property {string[]} conjunctions The words that can join number words within a number. E.g., 'and' in "two hundred and fifty".
+ * @property {string[]} ordinalSuffixes The suffixes that form ordinals from digits. E.g., 'rd' in "3rd".
+ * @property {Object.<string, string>} ordinalTextSuffixes The map of the final digits of ordinals to the suffixes with which to display them, checked from the final two digits to the final digit, and then the empty string for every other ordinal. E.g., '3' -> 'rd' in "23rd", '13' -> 'th' in "13th".
+ * @property {Object.<string, number>} magnitudeSuffixes The map of suffixes that multiply the digits they follow to their values. E.g., 'k' -> 1000 in "1.5k".
+ */
+var numeralsSchema = {
+	words: { type: Object, required: true },
+	scales: { type: Object, required: true },
+	ordinalWords: { type: Object, required: true },
+	conjunctions: { type: Array, arrayType: String, allowEmpty: true, required: true },
+	ordinalSuffixes: { type: Array, arrayType: String, required: true },
+	ordinalTextSuffixes: { type: Object, required: true },
+	magnitudeSuffixes: { type: Object, required: true },
+}
+
+/**
+ * A locale pack, which defines a language of the grammar.
+ *
+ * @typedef {Object} Locale
+ * @property {string} name The locale name (e.g., 'en').
+ * @property {LocaleInflections} inflections The inflection tables.
+ * @property {LocaleTokenization} tokenization The tokenization rules.
+ * @property {LocaleNumerals} numerals The number words and affixes.
+ * @property {string} letters The regular expression character class ranges of the alphabetic characters that terminal symbols can contain. E.g., 'a-zA-Z'.
+ * @property {string[]} deletables The terms that can be deleted when found in input.
+ * @property {Function} loadRules The function that adds the locale's rules to the grammar.
+ */
+var localeSchema = {
+	name: { type: String, required: true },
+	inflections: { type: Object, schema: inflectionsSchema, required: true },
+	tokenization: { type: Object, schema: tokenizationSchema, required: true },
+	numerals: { type: Object, schema: numeralsSchema, required: true },
+	letters: { type: String, required: true },
+	deletables: { type: Array, arrayType: String, required: true },
+	loadRules: { type: Function, required: true },
+}
+
+/**
+ * Sets the locale of the grammar to the locale named `localeName`.
+ *
+ * @static
+ * @memberOf locale
+ * @param {string} localeName The locale name, one of `locale.names`.
+ * @returns {Locale} Returns the locale.
+ */
+exports.set = function (localeName) {
+	return exports.current = load(localeName)
+}
+
+/**
+ * Gets the grammatical forms the current locale accepts for the `grammaticalForm` property of RHS symbols: the cases, the gender-number agreement forms, and the verb forms.
+ *
+ * @static
+ * @memberOf locale
+ * @returns {string[]} Returns the grammatical forms.
+ */
+exports.getGrammaticalForms = function () {
+	var inflections = exports.current.inflections
+	var agreementForms = []
+
+	inflections.genders.forEach(function (gender) {
+		agreementForms.push(gender + 'Sg', gender + 'Pl')
+	})
+
+	return inflections.cases.concat(agreementForms, inflections.verbForms)
+}
+
+/**
+ * Gets the name of the file for the locale named `localeName` that corresponds to `fileName`, the file for the default locale. Appends the locale name to the file name of locales other than the default. E.g., 'tests.json' -> 'tests-es.json'.
+ *
+ * For use with the grammar and test suite, which each have a file per locale.
+ *
+ * @static
+ * @memberOf locale
+ * @param {string} fileName The file name for the default locale.
+ * @param {string} localeName The locale name.
+ * @returns {string} Returns the file name for the locale.
+ */
+exports.getFileName = function (fileName, localeName) {
+	if (localeName === exports.DEFAULT) {
+		return fileName
+	}
+
+	var extIdx = fileName.lastIndexOf('.')
+	return fileName.slice(0, extIdx) + '-' + localeName + fileName.slice(extIdx)
+}
+
+/**
+ * Loads and checks the locale pack named `localeName`. Throws an exception if the locale is unrecognized or ill-formed.
+ *
+ * @private
+ * @static
+ * @param {string} localeName The locale name.
+ * @returns {Locale} Returns the locale.
+ */
+function load(localeName) {
+	if (exports.names.indexOf(localeName) === -1) {
+		util.logError('Unrecognized locale:', util.stylize(localeName))
+		util.log('  Supported locales:', exports.names.map(util.unary(util.stylize)).join(', '))
+		throw new Error('Unrecognized locale')
+	}
+
+	var localePack = require('./' + localeName)
+	if (util.illFormedOpts(localeSchema, localePack)) {
+		throw new Error('Ill-formed locale')
+	}
+
+	return localePack
+}
+
+/**
+ * The current locale of the grammar.
+ *
+ * @type {Locale}
+ */
+exports.current = load(exports.DEFAULT)
\ No newline at end of file
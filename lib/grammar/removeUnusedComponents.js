@@ -73,6 +73,7 @@ function removeUnusedEntityCategories(ruleSets, printWarnings) {
 			}
 
 			// Remove category from list.
+			delete entityCategory._categories[entityCatSymbol]
 			entityCategories.splice(c, 1)
 			--c
 			--entityCategoriesLen
@@ -9,6 +9,11 @@ var stopWords = require('./stopWords')
 var conjunction = require('./conjunction')
 var date = require('./date')
 var count = require('./count')
+var ordering = require('./ordering')
+var aggregate = require('./aggregate')
+var question = require('./question')
+var dialogue = require('./dialogue')
+var beVerb = require('./beVerb')
 var preps = require('./prepositions')
 
 
@@ -30,6 +35,12 @@ var preps = require('./prepositions')
  * create an associated entity category. Defined as either strings or objects
  * with properties `display` (string) and `names` (`string[]`) for entities
  * with multiple names (e.g., "JavaScript", "JS").
+ * @param {boolean} [options.runtimeEntities] Specify creating an associated
+ * entity category without entities, which the entity providers passed to
+ * `Parser` supply at runtime. Can not be used with `options.entities`.
+ * @param {string} [options.sqlTable] The table of `schema.sql` that stores
+ * the category's records, to which `SQLCompiler` compiles the semantics that
+ * return them. Required for grammars built with `checkSQLMappings`.
  */
 var categorySchema = {
 	nameSg: { type: String, required: true },
@@ -38,6 +49,8 @@ var categorySchema = {
 	headNoun: { type: NSymbol, required: true },
 	possSemantic: { type: Array, arrayType: Object },
 	entities: { type: Array, arrayType: [ String, Object ] },
+	runtimeEntities: Boolean,
+	sqlTable: String,
 }
 
 function Category(options) {
@@ -53,33 +66,98 @@ function Category(options) {
 	this.nameSg = options.nameSg
 	this.namePl = options.namePl
 
+	// Map the category's dataset record category (e.g., "pullRequests") to its table for `SQLCompiler`, if any.
+	if (options.sqlTable) {
+		g.sqlTables[util.kebabToCamelCase(this.namePl)] = options.sqlTable
+	}
+
 	// (repos) that I like; (people) who (are followed by me)
 	this.relPronoun = options.isPerson ? relPronouns.who : relPronouns.that
 
-	this.lhs = g.newSymbol(this.nameSg, 'lhs')
-	this.lhs.addRule({ isTerminal: true, rhs: g.emptySymbol })
+	/**
+	 * The modifiers that precede the head noun, other than orderings.
+	 *
+	 * `[cat-lhs]` accepts at most one ordering (i.e., superlative or limit)
+	 * before these modifiers, instead of recursing on orderings, because the
+	 * semantics of multiple orderings are contradictory (e.g., "newest
+	 * oldest") and are only rejected after completing each parse tree, which
+	 * multiplies the parse forest for each ordering in input.
+	 */
+	var lhsNoOrdering = g.newSymbol(this.nameSg, 'lhs', 'no', 'ordering')
+	lhsNoOrdering.addRule({ isTerminal: true, rhs: g.emptySymbol })
 	// (my) public/private (repos); (my) public/private ({language} repos)
 	this.adjective = g.newSymbol(this.nameSg, 'adjective')
-	this.lhs.addRule({ rhs: [ this.adjective, this.lhs ] })
+	lhsNoOrdering.addRule({ rhs: [ this.adjective, lhsNoOrdering ] })
 	// {language} (repos); (repos that are) {language} (repos)
 	this.preModifier = g.newSymbol(this.nameSg, 'pre', 'modifier')
-	// Ensure `[cat-pre-modifier]` is rightmost of every `[cat-lhs]` subtree because `[cat-adjective]` must precede.
+	// Ensure `[cat-pre-modifier]` is rightmost of every `[cat-lhs-no-ordering]` subtree because `[cat-adjective]` must precede.
 	// - Ex: (my public) Java (repos); Not: (my) Java (public repos)
-	this.lhs.addRule({ rhs: [ this.lhs, this.preModifier ], transpositionCost: 0.1 })
+	lhsNoOrdering.addRule({ rhs: [ lhsNoOrdering, this.preModifier ], transpositionCost: 0.1 })
 	// <stop> (repos); <stop> {language} (repos)
-	this.lhs.addRule({ rhs: [ stopWords.left, this.lhs ] })
+	lhsNoOrdering.addRule({ rhs: [ stopWords.left, lhsNoOrdering ] })
 	// [user:'s] public/private repos -> [user:'s] repos
 	this.stopWord = g.newSymbol(this.nameSg, 'stop', 'word')
-	this.lhs.addRule({ rhs: [ this.stopWord, this.lhs ] })
+	lhsNoOrdering.addRule({ rhs: [ this.stopWord, lhsNoOrdering ] })
+
+	this.lhsNoOrdering = lhsNoOrdering
+
+	// The modifiers without a superlative, which a trailing ordering can follow; e.g., "(my) top 5 (repos) sorted by stars".
+	this.lhsNoSuperlative = g.newSymbol(this.nameSg, 'lhs', 'no', 'superlative')
+	this.lhsNoSuperlative.addRule({ rhs: [ lhsNoOrdering ] })
+	// (the) top 5 (repos) sorted by stars
+	this.lhsNoSuperlative.addRule({ rhs: [ { symbol: ordering.topLimit, noInsert: true }, lhsNoOrdering ] })
+
+	// (my) most starred (repos); (the) newest (issues)
+	this.superlative = g.newSymbol(this.nameSg, 'superlative')
+	var superlativePhrase = g.newSymbol(this.nameSg, 'superlative', 'phrase').addRule({
+		rhs: [ this.superlative, lhsNoOrdering ],
+	})
+
+	// The modifiers without a limit that precedes a superlative, which the determiner of the noun phrase precedes: "the" or a possessive determiner.
+	// `Category.prototype.addOrderingRuleSet()` adds "top `<int>`" without a superlative in the category's default order, if any; e.g., "(the) top 5 (repos I like)".
+	this.lhsNoLimit = g.newSymbol(this.nameSg, 'lhs', 'no', 'limit')
+	this.lhsNoLimit.addRule({ rhs: [ lhsNoOrdering ] })
+	this.lhsNoLimit.addRule({ rhs: [ superlativePhrase ] })
+	// (my) top 5 most starred (repos)
+	this.lhsNoLimit.addRule({ rhs: [ { symbol: ordering.topLimit, noInsert: true }, superlativePhrase ] })
+
+	// The modifiers after a possessive determiner.
+	this.lhs = g.newSymbol(this.nameSg, 'lhs')
+	this.lhs.addRule({ rhs: [ this.lhsNoLimit ] })
+	// (my) 5 most starred (repos)
+	this.lhs.addRule({ rhs: [ { symbol: ordering.limit, noInsert: true }, superlativePhrase ] })
+
+	// The modifiers without a possessive determiner, where "the" precedes a limit before a superlative; e.g., "the 5 newest (issues)".
+	var lhsNoPossessive = g.newSymbol(this.nameSg, 'lhs', 'no', 'possessive')
+	lhsNoPossessive.addRule({ rhs: [ this.lhsNoLimit ] })
+	lhsNoPossessive.addRule({
+		rhs: [ { symbol: ordering.theLimit, noInsert: true }, superlativePhrase ],
+	})
+
+	// The modifiers of the singular noun phrases of the `n`th instance.
+	// `Category.prototype.addOrderingRuleSet()` adds the `n`th instance without a superlative in the category's default order, if any; e.g., "(my) 3rd (repo)".
+	// (the) 2nd newest (issue)
+	this.nthLHS = g.newSymbol(this.nameSg, 'nth', 'lhs')
+	this.nthLHS.addRule({ rhs: [ { symbol: ordering.nth, noInsert: true }, superlativePhrase ] })
 
 	// (my) repos; users (I follow)
 	this.headNoun = options.headNoun
 
+	// (my) 3rd repo; (the) 2nd newest issue
+	// Forbid insertion of the singular head noun to restrict ordinals to positions that precede it; e.g., "repos with 3rd stars" is not "repos of the 3rd person".
+	this.nthLHSHeadSg = g.newBinaryRule({
+		rhs: [ this.nthLHS, { symbol: this.headNoun.singular, noInsert: true } ],
+	})
+
 	// repos (of `[poss-users]`); people (I follow)
 	this.head = g.newSymbol(this.nameSg, 'head')
 
 	// `[poss-determiner]` repos
 	this.noRelativePossessive = g.newSymbol(this.nameSg, 'no', 'relative', 'possessive')
+	// `[poss-determiner]` repos (sorted by stars)
+	this.noRelativePossessiveNoSuperlative = g.newSymbol(this.noRelativePossessive.name, 'no', 'superlative')
+	// `[poss-determiner]` 3rd repo
+	this.nthPossessive = g.newSymbol(this.nameSg, 'nth', 'possessive')
 
 	if (options.possSemantic) {
 		// `[poss-determiner]` repos
@@ -160,6 +238,8 @@ function Category(options) {
 	rhs.addRule({ rhs: [ this.reduced, this.rhsExt ], noInsert: true, transpositionCost: 0.1 })
 	// (people) not followed by me
 	rhs.addRule({ rhs: [ auxVerbs.negation, this.reduced ], semantic: auxVerbs.notSemantic })
+	// (repos) sorted by stars
+	this.sortedBy = g.newSymbol(this.nameSg, 'sorted', 'by')
 	// (people) I follow <adverbial-stop-word>
 	rhs.addRule({
 		rhs: [
@@ -176,6 +256,12 @@ function Category(options) {
 		transpositionCost: 0
 	})
 
+	// (repos) sorted by stars; (repos) I like sorted by stars
+	// Only follows noun phrases without a superlative, to allow at most one ordering per noun phrase.
+	var rhsSortedBy = g.newSymbol(this.nameSg, 'rhs', 'sorted', 'by').addRule({
+		rhs: [ rhs, { symbol: this.sortedBy, noInsert: true } ],
+	})
+
 
 	/**
 	 * people I follow
@@ -210,7 +296,7 @@ function Category(options) {
 	var baseNoRelative = g.newSymbol(this.nameSg, 'base', 'no', 'relative').addRule({
 		rhs: [ {
 				symbol: g.newBinaryRule({
-					rhs: [ this.lhs, this.head ],
+					rhs: [ lhsNoPossessive, this.head ],
 					transpositionCost: 1,
 				}),
 				noInsert: true,
@@ -219,6 +305,18 @@ function Category(options) {
 		],
 		transpositionCost: 1,
 	})
+	// repos sorted by stars; top 5 repos I like sorted by stars
+	baseNoRelative.addRule({
+		rhs: [ {
+				symbol: g.newBinaryRule({
+					rhs: [ this.lhsNoSuperlative, this.head ],
+					transpositionCost: 1,
+				}),
+				noInsert: true,
+			},
+			rhsSortedBy,
+		],
+	})
 
 	this.noRelative = g.newSymbol(this.nameSg, 'no', 'relative')
 	// people followed by me
@@ -230,9 +328,49 @@ function Category(options) {
 	// `[poss-determiner]` repos I like
 	// (people who like) `[poss-determiner]` repos;
 	this.noRelative.addRule({ rhs: [ this.noRelativePossessive, rhs ], noInsert: true, transpositionCost: 1 })
+	// `[poss-determiner]` repos sorted by stars
+	this.noRelative.addRule({ rhs: [ this.noRelativePossessiveNoSuperlative, rhsSortedBy ], noInsert: true })
 	// (people) <stop> I follow
 	this.noRelative.addRule({ rhs: [ stopWords.left, this.noRelative ] })
 
+	// The semantic argument that names this category for the semantics of
+	// `dialogue`, which `DialogueContext` resolves to the previous queries of a
+	// dialogue with instances of this category.
+	var categorySemanticArg = g.newSemantic({ isArg: true, name: this.nameSg, cost: 0 })
+
+	// those (repos); those (I like)
+	var demonstrative = g.newSymbol(this.nameSg, 'demonstrative').addRule({
+		rhs: [ dialogue.those ],
+		semantic: g.reduceSemantic(dialogue.antecedentSetSemantic, categorySemanticArg),
+	})
+	// those repos; those repos I like
+	this.noRelative.addRule({ rhs: [ { symbol: demonstrative, noInsert: true }, baseNoRelative ], noInsert: true })
+	// those; those I like; those followed by me
+	this.noRelative.addRule({ rhs: [ { symbol: demonstrative, noInsert: true }, rhs ], noInsert: true })
+	// those sorted by stars
+	this.noRelative.addRule({ rhs: [ { symbol: demonstrative, noInsert: true }, rhsSortedBy ], noInsert: true })
+
+	/**
+	 * The singular noun phrases of the `n`th instance, with the singular head
+	 * noun (without its subcategories; e.g., "forks") and the determiner,
+	 * which is "the" unless possessive.
+	 *
+	 * Excludes relative clauses, whose verbs agree with plural subjects; e.g.,
+	 * "(repos) that are ...".
+	 */
+	var nthNoRelative = g.newSymbol(this.nameSg, 'nth', 'no', 'relative')
+	// the 3rd repo; the 2nd newest issue I opened
+	nthNoRelative.addRule({
+		rhs: [ {
+				symbol: g.newBinaryRule({ rhs: [ ordering.the, this.nthLHSHeadSg ] }),
+				noInsert: true,
+			},
+			rhs,
+		],
+	})
+	// my 3rd repo; my 2nd most starred repo I like
+	nthNoRelative.addRule({ rhs: [ { symbol: this.nthPossessive, noInsert: true }, rhs ], noInsert: true })
+
 
 	// The segment that forms the relative clause.
 	var filter = g.newSymbol(this.nameSg, 'filter')
@@ -302,28 +440,41 @@ function Category(options) {
 	// but prevents a much smaller quantity of unambiguous parses, and hence
 	// remains for now.
 	this.plural.addRule({ rhs: [ this.noRelative, relativeClause ], semantic: conjunction.intersectSemantic })
+	// the 3rd repo; my 2nd newest issue
+	this.plural.addRule({ rhs: [ nthNoRelative ], semantic: conjunction.intersectSemantic })
 
 	this.pl = g.newSymbol(this.namePl)
 	// (people who created) repos...
 	this.pl.addRule({ rhs: [ this.plural ] })
 
 
-	if (options.entities) {
+	if (options.entities || options.runtimeEntities) {
+		var entityCategoryOptions = {
+			name: this.nameSg,
+			isPerson: !!options.isPerson,
+		}
+
+		// Omit `entities` for categories whose entities entity providers supply at runtime.
+		if (options.entities) {
+			entityCategoryOptions.entities = options.entities
+		}
+
 		this.sg = g.newSymbol(this.nameSg)
 		// (people) `{user}` (follows); (people who follow) `{user}`
 		this.sg.addRule({
 			isTerminal: true,
-			rhs: g.newEntityCategory({
-				name: this.nameSg,
-				entities: options.entities,
-				isPerson: !!options.isPerson,
-			}),
+			rhs: g.newEntityCategory(entityCategoryOptions),
 			isPlaceholder: true,
 		})
 
 		// (people who like) `{repo}`
 		// Direct entity suggestion: `{user}`
 		this.pl.addRule({ rhs: [ this.sg ] })
+		// (people who like) that one
+		this.pl.addRule({
+			rhs: [ dialogue.thatOne ],
+			semantic: g.reduceSemantic(dialogue.antecedentEntitySemantic, categorySemanticArg),
+		})
 	}
 
 	// (people who like) my repos and/or `{user}`'s repos
@@ -331,7 +482,208 @@ function Category(options) {
 	// manually defines `[obj-users+]`, `[nom-users+]`, etc.
 	this.plPlus = conjunction.create(this.pl)
 
-	g.startSymbol.addRule({ rhs: [ this.pl ] })
+	// Specify the category of the instances the query returns for
+	// `DialogueContext` to resolve demonstratives in later queries; e.g.,
+	// "repos I like" -> "those Danny created".
+	g.startSymbol.addRule({ rhs: [ this.pl ], category: this.nameSg })
+	// how many (repos I like); number of (people who follow me); count (my open issues)
+	g.startSymbol.addRule({ rhs: [ aggregate.countQuestion, this.pl ], semantic: aggregate.countSemantic })
+
+	if (this.sg) {
+		// and `{user}`; what about `{repo}`
+		g.startSymbol.addRule({
+			rhs: [ { symbol: dialogue.ellipsis, noInsert: true }, this.sg ],
+			noInsert: true,
+			semantic: dialogue.ellipsisSemantic,
+		})
+	}
+
+	/**
+	 * The inverted auxiliary verbs and subjects of yes/no questions, which
+	 * `Category.prototype.addSubjectVerbRuleSet()` completes with its verbs:
+	 * • `do` - does `{user}` (follow me); do people who follow me (follow me)
+	 * • `doPastIfInput` - does/did `{user}` (like `{repo}`)
+	 * • `doPast` - did `{user}` (create `{repo}`)
+	 * • `be` - is `{repo}` (written in `{language}`); was `{repo}` (...)
+	 *
+	 * Forbid insertion of the auxiliary verbs, which would otherwise turn
+	 * statements into questions; e.g., "he likes" -> "do I follow me".
+	 */
+	this.questionSubjects = {
+		do: createQuestionSubjects(this, 'do', { symbol: auxVerbs.do, noInsert: true }),
+		doPastIfInput: createQuestionSubjects(this, g.hyphenate('do', 'past', 'if', 'input'), {
+			symbol: auxVerbs.do,
+			// Accept "did" if input, while defaulting to the subject's person-number.
+			acceptedTense: 'past',
+			noInsert: true,
+		}),
+		doPast: createQuestionSubjects(this, g.hyphenate('do', 'past'), {
+			symbol: auxVerbs.do,
+			// Dictates inflection of `[do]`:
+			//   "`[do]` `{user}` (create `{repo}`)" -> "did `{user}` (create `{repo}`)"
+			grammaticalForm: 'past',
+			noInsert: true,
+		}),
+		be: createQuestionSubjects(this, 'be', { symbol: beVerb.noTense, noInsert: true }),
+	}
+
+	// is `{repo}` written in `{language}`; are my repos written in `{language}`
+	// am I followed by `{user}`; are people who follow me followed by `{user}`
+	this._addQuestionRules(this.questionSubjects.be, this.reduced)
+}
+
+/**
+ * Creates the symbols for the inverted auxiliary verb `auxVerb` and the
+ * subject of yes/no questions about instances of `category`: "does
+ * `{user}`", "do people who follow me".
+ *
+ * Each rule defines the subject's `personNumber`, which dictates the
+ * inflection of `auxVerb`, which precedes the subject within the rule's
+ * subtree:
+ *   "`[do]` `{user}`" -> "does `{user}`"
+ *
+ * @private
+ * @static
+ * @param {Category} category The category of the subject.
+ * @param {string} auxVerbName The name of `auxVerb` for the symbol names.
+ * @param {Object} auxVerb The RHS symbol wrapper of the auxiliary verb.
+ * @returns {Object} Returns the question subjects: `sg` for entity subjects,
+ * if `category` has an associated entity category, `pl` for plural
+ * subjects, and `auxVerb`.
+ */
+function createQuestionSubjects(category, auxVerbName, auxVerb) {
+	var subjects = {
+		auxVerb: auxVerb,
+		// do people who follow me; are my repos
+		pl: g.newSymbol(auxVerbName, category.namePl).addRule({
+			rhs: [ auxVerb, category.plural ],
+			personNumber: 'pl',
+		}),
+	}
+
+	if (category.sg) {
+		// does `{user}`; is `{repo}`
+		subjects.sg = g.newSymbol(auxVerbName, category.nameSg).addRule({
+			rhs: [ auxVerb, category.sg ],
+			personNumber: 'threeSg',
+		})
+	}
+
+	return subjects
+}
+
+/**
+ * Adds a subject to the entity subjects of the yes/no questions about
+ * instances of this `Category`, which
+ * `Category.prototype.addSubjectVerbRuleSet()` and the copula questions use.
+ * For use by subjects other than the associated entity category, which every
+ * question includes: "do I (follow `{user}`)", "am I (followed by
+ * `{user}`)".
+ *
+ * @memberOf Category
+ * @param {Object} options The options object.
+ * @param {Object} options.subject The RHS symbol wrapper of the subject.
+ * @param {string} options.personNumber The grammatical person-number of the
+ * subject, which dictates the inflection of the auxiliary verb.
+ * @param {Object[]} options.semantic The semantic argument the subject
+ * represents.
+ * @returns {Category} Returns this `Category` instance.
+ */
+var questionSubjectSchema = {
+	subject: { type: Object, required: true },
+	personNumber: { values: [ 'oneSg', 'threeSg', 'pl' ], required: true },
+	semantic: { type: Array, arrayType: Object, required: true },
+}
+
+Category.prototype.addQuestionSubject = function (options) {
+	if (util.illFormedOpts(questionSubjectSchema, options)) {
+		throw new Error('Ill-formed question subject')
+	}
+
+	if (!this.sg) {
+		util.logErrorAndPath('Category', util.stylize(this.nameSg), 'lacks entity subjects for questions:', options)
+		throw new Error('Ill-formed question subject')
+	}
+
+	// Forbid insertions of the subject, which would follow the auxiliary verb
+	// its `personNumber` conjugates.
+	var subject = Object.assign({}, options.subject, { noInsert: true })
+
+	for (var auxVerbName in this.questionSubjects) {
+		var subjects = this.questionSubjects[auxVerbName]
+
+		subjects.sg.addRule({
+			rhs: [ subjects.auxVerb, subject ],
+			personNumber: options.personNumber,
+			semantic: options.semantic,
+		})
+	}
+
+	return this
+}
+
+/**
+ * Adds start rules for yes/no questions that complete the copula and the
+ * subjects of this `Category` with `predicate`, which produces a set of
+ * instances of this `Category`: "is `{user}` female", "are my followers
+ * female". For use by predicates other than `[cat-reduced]`, which every
+ * `Category` includes.
+ *
+ * @memberOf Category
+ * @param {NSymbol} predicate The symbol that produces the set the question
+ * checks.
+ * @returns {Category} Returns this `Category` instance.
+ */
+Category.prototype.addCopulaQuestion = function (predicate) {
+	this._addQuestionRules(this.questionSubjects.be, predicate)
+	return this
+}
+
+/**
+ * Adds start rules for yes/no questions that complete the inverted auxiliary
+ * verb and subject in `subjects` with `predicate`, which produces a set of
+ * instances of this `Category`:
+ * 1. `[start]` -> `[do-cat]` `[predicate]`  => does `{user}` follow me
+ *   • Only creates this rule if this `Category` has an associated entity
+ *     category.
+ *   • `member(0,followers(me))`: Checks if the subject is in the set.
+ * 2. `[start]` -> `[do-cats]` `[predicate]` => do my followers follow `{user}`
+ *   • `exists(intersect(followers(0),followers(me)))`: Checks if any
+ *     instances of the subject are in the set.
+ *
+ * @private
+ * @memberOf Category
+ * @param {Object} subjects The inverted auxiliary verb and subject symbols,
+ * created by `createQuestionSubjects()`.
+ * @param {NSymbol} predicate The symbol that produces the set the question
+ * checks.
+ */
+Category.prototype._addQuestionRules = function (subjects, predicate) {
+	if (subjects.sg) {
+		// Intersect the predicate's semantics within the single set argument of
+		// `member()`; e.g., "does Danny follow Aang and me".
+		var predicateSet = g.newSymbol(predicate.name, g.getSemanticName(conjunction.intersectSemantic)).addRule({
+			rhs: [ predicate ],
+			semantic: conjunction.intersectSemantic,
+		})
+
+		g.startSymbol.addRule({
+			rhs: [ subjects.sg, predicateSet ],
+			semantic: question.memberSemantic,
+		})
+	}
+
+	// Intersect the subject and predicate within a single `exists()`, which
+	// otherwise distributes over each.
+	var plQuestion = g.newSymbol(subjects.pl.name, predicate.name, 'question').addRule({
+		rhs: [ subjects.pl, predicate ],
+		semantic: conjunction.intersectSemantic,
+	})
+
+	g.startSymbol.addRule({
+		rhs: [ plQuestion ],
+		semantic: question.existsSemantic,
+	})
 }
 
 /**
@@ -351,6 +703,12 @@ function isIllFormedCategoryOptions(categoryOptions) {
 		return true
 	}
 
+	// Check `categoryOptions` does not define both inline and runtime entities.
+	if (categoryOptions.entities && categoryOptions.runtimeEntities) {
+		util.logErrorAndPath('Category defines both `entities` and `runtimeEntities`:', util.stylize(categoryOptions.nameSg))
+		return true
+	}
+
 	return false
 }
 
@@ -500,18 +858,23 @@ Category.prototype._addPossessiveRules = function (possSemantic) {
 	this.headPossessable = g.newSymbol(this.head.name, 'possessable')
 	this.head.addRule({ rhs: [ this.headPossessable ] })
 
+	// (my) repos; (my) `{language}` repos
+	var lhsHeadPossessable = g.newBinaryRule({
+		rhs: [ this.lhs, this.headPossessable ],
+		transpositionCost: 1,
+	})
+
+	var possDeterminer = g.newSymbol(this.nameSg, user.possDeterminer.name).addRule({
+		rhs: [ user.possDeterminer ],
+		semantic: possSemantic,
+	})
+
 	// `[poss-determiner]` repos
 	// `[poss-determiner]` `{language}` repos
 	this.noRelativePossessive.addRule({
 		rhs: [
-			g.newSymbol(this.nameSg, user.possDeterminer.name).addRule({
-				rhs: [ user.possDeterminer ],
-				semantic: possSemantic,
-			}), {
-				symbol: g.newBinaryRule({
-					rhs: [ this.lhs, this.headPossessable ],
-					transpositionCost: 1,
-				}),
+			possDeterminer, {
+				symbol: lhsHeadPossessable,
 				/**
 				 * For now, prevent this symbol's insertion, which would enable "my"
 				 * -> "my repos", because it halves performance. (Benchmark excludes
@@ -523,6 +886,24 @@ Category.prototype._addPossessiveRules = function (possSemantic) {
 		],
 	})
 
+	// `[poss-determiner]` repos (sorted by stars); `[poss-determiner]` top 5 repos (sorted by stars)
+	this.noRelativePossessiveNoSuperlative.addRule({
+		rhs: [
+			possDeterminer, {
+				symbol: g.newBinaryRule({
+					rhs: [ this.lhsNoSuperlative, this.headPossessable ],
+					transpositionCost: 1,
+				}),
+				noInsert: true,
+			},
+		],
+	})
+
+	// `[poss-determiner]` 3rd repo; `[poss-determiner]` 2nd most starred repo
+	this.nthPossessive.addRule({
+		rhs: [ possDeterminer, { symbol: this.nthLHSHeadSg, noInsert: true } ],
+	})
+
 	// If `possSemantic` is defined with `forbidsMultipleIntersection`, use
 	// `[of-poss-users+-disjunction]` instead of `[of-poss-users+]` to prevent
 	// multiple instances of the semantic function within an `intersect()`.
@@ -554,6 +935,71 @@ Category.prototype._addPossessiveRules = function (possSemantic) {
 		],
 	})
 
+	// how many repos do I have; how many open issues does `{user}` have
+	this.addHaveQuestionRule(lhsHeadPossessable, possSemantic)
+
+	return this
+}
+
+/**
+ * Adds a start rule that counts the instances of this `Category` that the
+ * specified users own/possess, phrased as a question.
+ *
+ * Adds the following rule:
+ * 1. `[start]` -> `[count-question]` `[lhs-head]` `[do]` `[nom-users+]` `[have]`
+ *      => how many repos do I have
+ *      => how many open issues does `{user}` have
+ *
+ * The rule produces `count-of(intersect(lhs-head-semantic,poss-semantic(nom-users+)))`.
+ *
+ * @memberOf Category
+ * @param {NSymbol} lhsHead The symbol that produces the head noun of this
+ * `Category`, with its adjectives and pre-modifiers; e.g., "open issues".
+ * @param {Object[]} possSemantic The semantic that returns instances of
+ * this `Category` that the specified users own/possess.
+ * @returns {Category} Returns this `Category` instance.
+ */
+Category.prototype.addHaveQuestionRule = function (lhsHead, possSemantic) {
+	// Load `user` here, instead of at file top, to avoid cyclical dependence
+	// when instantiating `user` `Category`.
+	var user = require('./user/user')
+	var possSemanticName = g.getSemanticName(possSemantic)
+
+	// (how many repos do) I have; (how many issues does) `{user}` have
+	// Use `[nom-users+-disjunction]` for `possSemantic` with
+	// `forbidsMultipleIntersection`, for the same reason as
+	// `[of-poss-users+-disjunction]` in `Category.prototype._addPossessiveRules()`.
+	var nomUsersHave = g.newSymbol(possSemanticName, 'nom', user.namePl, 'have').addRule({
+		rhs: [
+			semantic.forbidsMultipleIntersection(possSemantic) ? user.nomUsersPlusDisjunction : user.nomUsersPlus,
+			{
+				symbol: auxVerbs.have,
+				// Dictates inflection of `[have]`, which follows its subject in a
+				// question:
+				//   "(how many repos does `{user}`) `[have]`" -> "(how many repos does `{user}`) have"
+				grammaticalForm: 'infinitive',
+			},
+		],
+		semantic: possSemantic,
+	})
+
+	// how many repos do I have; how many open issues does `{user}` have
+	g.startSymbol.addRule({
+		rhs: [
+			aggregate.countQuestion,
+			g.newSymbol(possSemanticName, 'have', 'question').addRule({
+				rhs: [
+					// Prevent insertion of the head noun, which yields meaningless
+					// questions: "how many do I have".
+					{ symbol: lhsHead, noInsert: true },
+					[ aggregate.do, nomUsersHave ],
+				],
+				semantic: conjunction.intersectSemantic,
+			}),
+		],
+		semantic: aggregate.countSemantic,
+	})
+
 	return this
 }
 
@@ -1206,6 +1652,12 @@ Category.prototype.addObjectVerbRuleSet = function (options) {
  * 3. `[cat-subj-filter]` -> `[do-not] `[verb]` `[cats+]`   => (people who) do not like `[repositories+]`
  * 4. `[cat-subj-filter]` -> `[have-not] `[verb]` `[cats+]` => (people who) have not liked `[repositories+]`
  *
+ * Adds yes/no question rules for `options.catVerbSemantic` with the
+ * inverted auxiliary verb `[do]`, conjugated to the subject's person-number
+ * and the verb's tense:
+ * 5. `[start]` -> `[do-cat]` `[verb]` `[cats+]`  => does `{user}` like `[repositories+]`
+ * 6. `[start]` -> `[do-cats]` `[verb]` `[cats+]` => do my followers like `[repositories+]`
+ *
  * If `options.acceptPastTenseIfInput` is `true`, the following present tense
  * rule from above is also accepted as past tense if input is past tense,
  * while still defaulting to present tense when input is not past tense and
@@ -1350,6 +1802,21 @@ Category.prototype.addSubjectVerbRuleSet = function (options) {
 		})
 	}
 
+	// does `{user}` like `[repositories+]`; do my followers like `[repositories+]`
+	// did `{user}` fork `[repositories+]`
+	var questionSubjects = options.onlyPastTense ? this.questionSubjects.doPast : (options.acceptPastTenseIfInput ? this.questionSubjects.doPastIfInput : this.questionSubjects.do)
+	this._addQuestionRules(questionSubjects, g.newSymbol(this.nameSg, options.verbTerm.name, options.objectSym.name).addRule({
+		rhs: [ {
+				symbol: options.verbTerm,
+				// Dictates inflection of `options.verbTerm`, which follows the inverted `[do]`:
+				//   "(does `{user}`) `[verb-like]` (`[repositories+]`)" -> "(does `{user}`) like (`[repositories+]`)"
+				grammaticalForm: 'infinitive',
+			},
+			options.objectSym,
+		],
+		semantic: options.catVerbSemantic,
+	}))
+
 	/**
 	 * Do not assign the present perfect positive rule to verbs that represent
 	 * ongoing present actions or states. For example, avoid the following rule
@@ -1925,22 +2392,36 @@ function isIllFormedAgentNounOptions(agentNounOptions) {
  *                                          (repos not) created `[date]`
  *
  * `[date]` produces the following rules:
- * 1. this/last week/month/year, today, yesterday      => `date(this-year)`
- * 2. in `[year]`                                      => `date(<int:1950-2050>)`
- * 3. in `[month]` `[year]`/`[year-phrase]`            => `date(jan,<int:1950-2050>)`
- * 4. on `[month]` `[day]` `[year]`/`[year-phrase]`    => `date(jan,<int:1-31>,<int:1950-2050>)`
- * 5. before  `[date-value]`                           => `date-before(a,b,c)`
- * 6. after   `[date-value]`                           => `date-after(a,b,c)`
- * 7. before  `[date-value]` and after  `[date-value]` => `date-after(a,b,c),date-before(a,b,c)`
- * 7. after   `[date-value]` and before `[date-value]` => `date-after(a,b,c),date-before(a,b,c)`
- * 8. from    `[date-value]` to         `[date-value]` => `date-interval(date(a,b,c),date(a,b,c))`
- * 9. between `[date-value]` and        `[date-value]` => `date-interval(date(a,b,c),date(a,b,c))`
+ * 1.  this/last week/month/year/weekend, today, yesterday => `date(this-year)`
+ * 2.  `[date-offset]` ago                                 => `date(days-ago(<int:1-1000>))`
+ * 3.  in `[year]`                                         => `date(<int:1950-2050>)`
+ * 4.  in `[month]` `[year]`/`[year-phrase]`               => `date(jan,<int:1950-2050>)`
+ * 5.  on `[month]` `[day]` `[year]`/`[year-phrase]`       => `date(jan,<int:1-31:ord>,<int:1950-2050>)`
+ * 6.  on 2016-04-01                                       => `date(1,2016,apr)`
+ * 7.  in `[quarter]` (`[year]`/`[year-phrase]`)           => `date(q2,<int:1950-2050>)`
+ * 8.  before  `[date-value]`                              => `date-before(a,b,c)`
+ * 9.  after   `[date-value]`                              => `date-after(a,b,c)`
+ * 10. before  `[date-value]` and after  `[date-value]`    => `date-after(a,b,c),date-before(a,b,c)`
+ * 10. after   `[date-value]` and before `[date-value]`    => `date-after(a,b,c),date-before(a,b,c)`
+ * 11. since   `[date-value]`                              => `date-since(a,b,c)`
+ * 12. until   `[date-value]`                              => `date-until(a,b,c)`
+ * 13. in the last|past `[date-offset]`                    => `date-since(days-ago(<int:1-1000>))`
+ * 14. in the last|past day/week/month/year                => `date-since(years-ago(1))`
+ * 15. from    `[date-value]` to         `[date-value]`    => `date-interval(date(a,b,c),date(a,b,c))`
+ * 16. between `[date-value]` and        `[date-value]`    => `date-interval(date(a,b,c),date(a,b,c))`
+ *
+ * `[date-offset]` produces `<int:1-1000>` days/weeks/months/years => `days-ago(<int:1-1000>)`, `weeks-ago()`, `months-ago()`, `years-ago()`.
  *
  * `[date-value]` produces the following rules:
- * 1. this/last week/month/year, today, yesterday => `this-year`
- * 2. `[year]`                                    => `<int:1950-2050>`
- * 3. `[month]` `[year]`/`[year-phrase]`          => `jan,<int:1950-2050>`
- * 4. `[month]` `[day]` `[year]`/`[year-phrase]`  => `jan,<int:1-31>,<int:1950-2050>`
+ * 1. this/last week/month/year/weekend, today, yesterday, `[date-offset]` ago => `this-year`
+ * 2. `[year]`                                        => `<int:1950-2050>`
+ * 3. `[month]` (`[year]`/`[year-phrase]`)            => `jan,<int:1950-2050>`
+ * 4. `[month]` `[day]` `[year]`/`[year-phrase]`      => `jan,<int:1-31:ord>,<int:1950-2050>`
+ * 5. `[quarter]` (`[year]`/`[year-phrase]`)          => `q2,<int:1950-2050>`
+ *
+ * To resolve these semantics relative to a reference date to the normalized
+ * form `date-interval(start,end)`, invoke `Parser.prototype.parse()` with
+ * `options.referenceDate`.
  *
  * @memberOf Category
  * @param {Object} options The options object.
@@ -2022,12 +2503,16 @@ Category.prototype.addDateRuleSet = function (options) {
  * @param {Object[]} options.catCountSemantic The semantic that returns
  * instances of this `Category` with a specified quantity of
  * `options.itemNoun`.
+ * @param {boolean} [options.acceptsDecimals] Specify the quantity can be a
+ * non-integer number; e.g., "$2.5M in funding". Else, the rules only accept
+ * integers.
  * @returns {Category} Returns this `Category` instance.
  */
 var countRuleSetSchema = {
 	itemNoun: { type: NSymbol, required: true },
 	verbTerm: NSymbol,
 	catCountSemantic: { type: Array, arrayType: Object, required: true },
+	acceptsDecimals: Boolean,
 }
 
 Category.prototype.addCountRuleSet = function (options) {
@@ -2043,7 +2528,7 @@ Category.prototype.addCountRuleSet = function (options) {
 	 * gets the existing `NSymbol` instead of throwing an exception for
 	 * duplicity. `
 	 */
-	var itemCount = count.create(options.itemNoun)
+	var itemCount = count.create(options.itemNoun, options.acceptsDecimals)
 
 	// (issues) with `<int>` comments
 	// (issues opened by me) with `<int>` comments
@@ -2135,11 +2620,14 @@ function isIllFormedCountRuleSetOptions(countRuleSetOptions) {
  * @param {Object[]} options.catCountSemantic The semantic that returns
  * instances of this `Category` with a specified measurement of
  * `options.unitTerm`.
+ * @param {boolean} [options.acceptsDecimals] Specify the measurement can be a
+ * non-integer number; e.g., "1.5 KB". Else, the rules only accept integers.
  * @returns {Category} Returns this `Category` instance.
  */
 var measurementRuleSetSchema = {
 	unitTerm: { type: NSymbol, required: true },
 	catMeasurementSemantic: { type: Array, arrayType: Object, required: true },
+	acceptsDecimals: Boolean,
 }
 
 Category.prototype.addMeasurementRuleSet = function (options) {
@@ -2150,13 +2638,239 @@ Category.prototype.addMeasurementRuleSet = function (options) {
 	// (repos that are) `<int>` KB
 	// (repos that are not) `<int>` KB
 	this.postModifer.addRule({
-		rhs: [ count.create(options.unitTerm) ],
+		rhs: [ count.create(options.unitTerm, options.acceptsDecimals) ],
 		semantic: options.catMeasurementSemantic,
 	})
 
 	return this
 }
 
+/**
+ * Adds nonterminal rules to this `Category` that order instances of this
+ * `Category` by `options.catOrderSemantic`, a count, measurement, or date
+ * semantic, and optionally limit the ordered instances to the first `n`.
+ *
+ * Adds the following rules for `options.catOrderSemantic`:
+ * 1. `[cat-superlative]` -> `[desc]`                 => (my) most starred (repos)
+ * 2. `[cat-superlative]` -> `[asc]`                  => (my) least starred (repos)
+ * 3. `[cat-rhs-ext]` -> `[with]` `[the-most]` `[item]`   => (repos) with the most stars
+ * 4. `[cat-rhs-ext]` -> `[with]` `[the-fewest]` `[item]` => (repos) with the fewest stars
+ * 5. `[cat-sorted-by]` -> `[sorted-by]` `[item]`         => (repos I like) sorted by stars
+ *
+ * Each rule produces `order-by(cat-order-semantic(desc|asc))`. The
+ * `Category` constructor adds the following rules for `[cat-superlative]`,
+ * where `[limit]` and `[top-limit]` produce `limit(n)` and `[nth]` produces
+ * `nth(n)`:
+ * 1. `[cat-lhs]` -> `[cat-superlative]` `[cat-lhs]`          => most starred (repos)
+ * 2. `[cat-lhs]` -> `[limit]` `[cat-superlative]` `[cat-lhs]` => 5 most starred (repos)
+ * 3. `[cat-lhs]` -> `[top-limit]` `[cat-superlative]` `[cat-lhs]` => top 5 most starred (repos)
+ * 4. `[cat-nth-lhs]` -> `[nth]` `[cat-superlative]` `[cat-lhs]`  => 2nd most starred (repo)
+ *
+ * If `options.topOrder` or `options.nthOrder` is defined, also adds the
+ * following rules, respectively, that limit or select instances in that order
+ * of `options.catOrderSemantic` without a superlative:
+ * 1. `[cat-lhs]` -> `[top-limit]` `[cat-lhs]` => top 5 (repos I like)
+ * 2. `[cat-nth-lhs]` -> `[nth]` `[cat-lhs]`   => 3rd (repo)
+ *
+ * Else, "top `<int>`" and the `n`th instance require a superlative, because
+ * `limit()` and `nth()` are meaningless without `order-by()`. A category has
+ * at most one default order for each.
+ *
+ * `order-by()` is a 'sort' ordering and `limit()` and `nth()` are
+ * 'selection' orderings, and multiple orderings of the same kind within the
+ * same `intersect()` are rejected as contradictory; e.g., "newest repos with
+ * the most stars".
+ *
+ * @memberOf Category
+ * @param {Object} options The options object.
+ * @param {Object[]} options.catOrderSemantic The count, measurement, or date
+ * semantic by which to order instances of this `Category`, also passed to
+ * `Category.prototype.addCountRuleSet()`,
+ * `Category.prototype.addMeasurementRuleSet()`, or
+ * `Category.prototype.addDateRuleSet()`.
+ * @param {NSymbol} [options.descTerm] The invariable term sequence for the
+ * superlative that orders instances in descending order; e.g., "most
+ * starred", "newest".
+ * @param {NSymbol} [options.ascTerm] The invariable term sequence for the
+ * superlative that orders instances in ascending order; e.g., "least
+ * starred", "oldest".
+ * @param {NSymbol} [options.itemNoun] The term sequence of type 'noun' for
+ * the item `options.catOrderSemantic` counts, for "with the most
+ * `[item]`" and "sorted by `[item]`" rules; e.g., "stars".
+ * @param {string} [options.topOrder] The direction, 'desc' or 'asc', in
+ * which to order instances of this `Category` by `options.catOrderSemantic`
+ * for "top `<int>`" without a superlative; e.g., 'desc' for the star count of
+ * repositories, for which "top 5 repos" are the five most starred.
+ * @param {string} [options.nthOrder] The direction, 'desc' or 'asc', in
+ * which to order instances of this `Category` by `options.catOrderSemantic`
+ * for the `n`th instance without a superlative; e.g., 'asc' for the creation
+ * date of repositories, for which "my 3rd repo" is the third I created.
+ * @returns {Category} Returns this `Category` instance.
+ */
+var orderingRuleSetSchema = {
+	catOrderSemantic: { type: Array, arrayType: Object, required: true },
+	descTerm: NSymbol,
+	ascTerm: NSymbol,
+	itemNoun: NSymbol,
+	topOrder: { values: [ 'desc', 'asc' ] },
+	nthOrder: { values: [ 'desc', 'asc' ] },
+}
+
+Category.prototype.addOrderingRuleSet = function (options) {
+	if (util.illFormedOpts(orderingRuleSetSchema, options) || isIllFormedOrderingRuleSetOptions(options)) {
+		throw new Error('Ill-formed ordering rule set')
+	}
+
+	if (options.topOrder && this.hasTopOrder || options.nthOrder && this.hasNthOrder) {
+		util.logErrorAndPath('Category has multiple default orders:', util.stylize(this.nameSg), options)
+		throw new Error('Ill-formed ordering rule set')
+	}
+
+	var descSemantic = g.reduceSemantic(ordering.orderBySemantic, g.reduceSemantic(options.catOrderSemantic, ordering.descSemanticArg))
+	var ascSemantic = g.reduceSemantic(ordering.orderBySemantic, g.reduceSemantic(options.catOrderSemantic, ordering.ascSemanticArg))
+
+	if (options.descTerm) {
+		// (my) most starred (repos); (the 5) newest (issues)
+		this.superlative.addRule({ rhs: [ options.descTerm ], semantic: descSemantic })
+	}
+
+	if (options.ascTerm) {
+		// (my) least starred (repos); (the 5) oldest (issues)
+		this.superlative.addRule({ rhs: [ options.ascTerm ], semantic: ascSemantic })
+	}
+
+	if (options.itemNoun) {
+		// (repos) with the most stars
+		this.rhsExt.addRule({
+			rhs: [ preps.possessed, [ ordering.theMost, options.itemNoun ] ],
+			semantic: descSemantic,
+		})
+
+		// (repos) with the fewest stars
+		this.rhsExt.addRule({
+			rhs: [ preps.possessed, [ ordering.theFewest, options.itemNoun ] ],
+			semantic: ascSemantic,
+		})
+
+		// (repos I like) sorted by stars
+		this.sortedBy.addRule({
+			rhs: [ ordering.sortedBy, options.itemNoun ],
+			semantic: descSemantic,
+		})
+	}
+
+	if (options.topOrder) {
+		// (the) top 5 (repos I like)
+		this.lhsNoLimit.addRule({
+			rhs: [ { symbol: ordering.topLimit, noInsert: true }, this.lhsNoOrdering ],
+			semantic: options.topOrder === 'desc' ? descSemantic : ascSemantic,
+		})
+
+		this.hasTopOrder = true
+	}
+
+	if (options.nthOrder) {
+		// (my) 3rd (repo)
+		this.nthLHS.addRule({
+			rhs: [ { symbol: ordering.nth, noInsert: true }, this.lhsNoOrdering ],
+			semantic: options.nthOrder === 'desc' ? descSemantic : ascSemantic,
+		})
+
+		this.hasNthOrder = true
+	}
+
+	return this
+}
+
+/**
+ * Checks if `orderingRuleSetOptions`, which was passed to
+ * `Category.prototype.addOrderingRuleSet()`, is ill-formed. If so, prints an
+ * error.
+ *
+ * @private
+ * @static
+ * @param {Object} orderingRuleSetOptions The
+ * `Category.prototype.addOrderingRuleSet()` options object to inspect.
+ * @returns {boolean} Returns `true` if `orderingRuleSetOptions` is
+ * ill-formed, else `false`.
+ */
+function isIllFormedOrderingRuleSetOptions(orderingRuleSetOptions) {
+	// Check for at least one phrasing of the ordering.
+	if (!orderingRuleSetOptions.descTerm && !orderingRuleSetOptions.ascTerm && !orderingRuleSetOptions.itemNoun) {
+		util.logErrorAndPath('Ordering rule set lacks `descTerm`, `ascTerm`, and `itemNoun`:', orderingRuleSetOptions)
+		return true
+	}
+
+	// Check `orderingRuleSetOptions.descTerm` and `orderingRuleSetOptions.ascTerm` are invariable term sequences.
+	if (orderingRuleSetOptions.descTerm && isIllFormedTermSequence(orderingRuleSetOptions, 'descTerm', g.termTypes.INVARIABLE)) {
+		return true
+	}
+
+	if (orderingRuleSetOptions.ascTerm && isIllFormedTermSequence(orderingRuleSetOptions, 'ascTerm', g.termTypes.INVARIABLE)) {
+		return true
+	}
+
+	// Check `orderingRuleSetOptions.itemNoun` is a term sequence of type 'noun'.
+	if (orderingRuleSetOptions.itemNoun && isIllFormedTermSequence(orderingRuleSetOptions, 'itemNoun', g.termTypes.NOUN)) {
+		return true
+	}
+
+	return false
+}
+
+/**
+ * Adds nonterminal rules to this `Category` that sum and average
+ * `options.catMeasureSemantic`, a count or measurement semantic, over
+ * instances of this `Category`.
+ *
+ * Adds the following rules for `options.catMeasureSemantic`:
+ * 1. `[start]` -> `[sum-question]` `[measure]` `[of]` `[cat-pl]` => (the) total size of my repos
+ * 2. `[start]` -> `[avg-question]` `[measure]` `[of]` `[cat-pl]` => (the) average size of my repos
+ *
+ * The rules produce `sum-of(cat-measure-semantic(cat-pl))` and
+ * `avg-of(cat-measure-semantic(cat-pl))`, respectively.
+ *
+ * @memberOf Category
+ * @param {Object} options The options object.
+ * @param {Object[]} options.catMeasureSemantic The count or measurement
+ * semantic to aggregate, also passed to
+ * `Category.prototype.addCountRuleSet()` or
+ * `Category.prototype.addMeasurementRuleSet()`.
+ * @param {NSymbol} options.measureNoun The term sequence of type 'noun' for
+ * what `options.catMeasureSemantic` measures; e.g., "size", "stars".
+ * @returns {Category} Returns this `Category` instance.
+ */
+var aggregateRuleSetSchema = {
+	catMeasureSemantic: { type: Array, arrayType: Object, required: true },
+	measureNoun: { type: NSymbol, required: true },
+}
+
+Category.prototype.addAggregateRuleSet = function (options) {
+	if (util.illFormedOpts(aggregateRuleSetSchema, options) || isIllFormedTermSequence(options, 'measureNoun', g.termTypes.NOUN)) {
+		throw new Error('Ill-formed aggregate rule set')
+	}
+
+	// (the total size) of my repos
+	var ofCatPl = g.newSymbol(g.getSemanticName(options.catMeasureSemantic), 'of', this.namePl).addRule({
+		rhs: [ preps.possessor, this.pl ],
+		semantic: options.catMeasureSemantic,
+	})
+
+	// (the) total size of my repos
+	g.startSymbol.addRule({
+		rhs: [ [ aggregate.sumQuestion, options.measureNoun ], ofCatPl ],
+		semantic: aggregate.sumSemantic,
+	})
+
+	// (the) average size of my repos
+	g.startSymbol.addRule({
+		rhs: [ [ aggregate.avgQuestion, options.measureNoun ], ofCatPl ],
+		semantic: aggregate.avgSemantic,
+	})
+
+	return this
+}
+
 /**
  * Checks if `semanticNodeArray` has a semantic that represents a set of
  * people. If not, prints an error.
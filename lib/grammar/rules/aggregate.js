@@ -0,0 +1,93 @@
+var g = require('../grammar')
+var terms = require('./terms')
+var preps = require('./prepositions')
+
+
+/**
+ * The semantic that counts the instances of a category its argument represents: `count-of(repositories-created(me))`.
+ *
+ * Not named `count()`, which `count` defines for the number arguments of count semantics (e.g., `repositories-star-count(count(5))`).
+ */
+exports.countSemantic = g.newSemantic({
+	name: g.hyphenate('count', 'of'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
+
+/**
+ * The semantic that sums the count or measurement of the instances of a category its argument represents. The argument is the count or measurement semantic reduced with the instances: `sum-of(repositories-size(repositories-created(me)))`.
+ */
+exports.sumSemantic = g.newSemantic({
+	name: g.hyphenate('sum', 'of'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
+
+/**
+ * The semantic that averages the count or measurement of the instances of a category its argument represents, structured the same as `sum-of()`: `avg-of(repositories-size(repositories-created(me)))`.
+ */
+exports.avgSemantic = g.newSemantic({
+	name: g.hyphenate('avg', 'of'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
+
+// (how many repos) do (I have); (how many repos) does (`{user}` have)
+// Invariable instead of a verb because the verb precedes the subject with which it agrees.
+exports.do = g.newTermSequence({
+	symbolName: g.hyphenate('aggregate', 'do'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'do', 'does', 'did' ],
+})
+
+// number of (people who follow me); (the average) number of (stars of my repos)
+var numberOf = g.newTermSequence({
+	symbolName: g.hyphenate('number', 'of'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ [ terms.number, preps.possessor ] ],
+})
+
+// how many (repos do I have); number of (people who follow me); count (my open issues)
+exports.countQuestion = g.newTermSequence({
+	symbolName: g.hyphenate('count', 'question'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [
+		[ terms.how, terms.many ],
+		numberOf,
+		'count',
+	],
+})
+
+// "the" is deletable, hence substitute "total" -> "the total" to correct the display text when input without "the".
+// (the) total (size of my repos)
+var theTotal = g.newTermSequence({
+	symbolName: g.hyphenate('the', 'total'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ [ terms.the, terms.total ] ],
+	substitutedTerms: [ terms.total ],
+})
+
+// (the) total (size of my repos); (the) total number of (stars of my repos)
+exports.sumQuestion = g.newTermSequence({
+	symbolName: g.hyphenate('sum', 'question'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ theTotal, [ theTotal, numberOf ] ],
+})
+
+// (the) average (size of my repos)
+var theAverage = g.newTermSequence({
+	symbolName: g.hyphenate('the', 'average'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ [ terms.the, terms.average ] ],
+	substitutedTerms: [ terms.average ],
+})
+
+// (the) average (size of my repos); (the) average number of (stars of my repos)
+exports.avgQuestion = g.newTermSequence({
+	symbolName: g.hyphenate('avg', 'question'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ theAverage, [ theAverage, numberOf ] ],
+})
\ No newline at end of file
@@ -195,7 +195,8 @@ exports.haveNegationBeen = g.newBinaryRule({
 	],
 })
 
-var doVerb = g.newVerb({
+// (people I) do (not follow); does (`{user}` follow me)
+exports.do = g.newVerb({
 	symbolName: 'do',
 	insertionCost: 0.2,
 	verbFormsTermSet: {
@@ -215,7 +216,7 @@ var doVerb = g.newVerb({
 // (repos/pull-requests I) did not (create)
 exports.doNegation = g.newTermSequenceBinarySymbol({
 	type: g.termTypes.VERB,
-	termPair: [ doVerb, negation.createRuleSet(doVerb) ],
+	termPair: [ exports.do, negation.createRuleSet(exports.do) ],
 })
 
 // (issues that) do not have (`<int>` comments)
@@ -9,6 +9,7 @@ var nouns = require('../nouns')
 var company = g.newCategory({
 	nameSg: 'company',
 	namePl: 'companies',
+	sqlTable: 'companies',
 	headNoun: g.newTermSequence({
 		symbolName: g.hyphenate('company', 'head', 'noun'),
 		type: g.termTypes.NOUN,
@@ -35,6 +36,17 @@ var company = g.newCategory({
 })
 
 // NUM FUNDING:
+var companiesFundingCountSemantic = g.newSemantic({
+	name: g.hyphenate(company.namePl, 'funding', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 2,
+	sql: {
+		category: 'companies',
+		count: 'funding',
+	},
+})
+
 company.addCountRuleSet({
 	// (`<int>) in|of funding
 	itemNoun: g.newTermSequence({
@@ -45,41 +57,105 @@ company.addCountRuleSet({
 		],
 	}),
 	verbTerm: verbs.raise,
+	// Accept amounts such as "$2.5M" and "1.5 million".
+	acceptsDecimals: true,
 	// Count rules for `companies-funding-count()`:
 	//   (companies) with `<int>` in funding
 	//   (companies that) raised `<int>` in funding
 	//   (companies that) have raised `<int>` in funding
 	//   (companies that) did not raise `<int>` in funding
 	//   (companies that) have not raised `<int>` in funding
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(company.namePl, 'funding', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 2,
-	}),
+	catCountSemantic: companiesFundingCountSemantic,
+})
+
+var funded = g.newTermSequence({
+	symbolName: 'funded',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'funded' ],
+})
+
+company.addOrderingRuleSet({
+	catOrderSemantic: companiesFundingCountSemantic,
+	// Ordering rules for `companies-funding-count()`:
+	//   most funded (companies)
+	//   least funded (companies)
+	//   (companies) with the most funding
+	//   (companies) with the least funding
+	descTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.most, funded ] }),
+	ascTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.least, funded ] }),
+	itemNoun: nouns.funding,
+	// (the) top 5 (companies) => (the) top 5 most funded (companies)
+	topOrder: 'desc',
+})
+
+company.addAggregateRuleSet({
+	catMeasureSemantic: companiesFundingCountSemantic,
+	// Aggregate rules for `companies-funding-count()`:
+	//   (the) total funding of companies I invested in
+	//   (the) average funding of companies I invested in
+	measureNoun: nouns.funding,
 })
 
 // NUM EMPLOYEES:
+var companiesEmployeeCountSemantic = g.newSemantic({
+	name: g.hyphenate(company.namePl, 'employee', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'companies',
+		count: 'employee_count',
+	},
+})
+
+var companyEmployees = g.newTermSequence({
+	symbolName: g.hyphenate(company.nameSg, 'employees'),
+	type: g.termTypes.NOUN,
+	acceptedTerms: [ nouns.employees ],
+	substitutedTerms: [ nouns.workers ],
+})
+
 company.addCountRuleSet({
-	itemNoun: g.newTermSequence({
-		symbolName: g.hyphenate(company.nameSg, 'employees'),
-		type: g.termTypes.NOUN,
-		acceptedTerms: [ nouns.employees ],
-		substitutedTerms: [ nouns.workers ],
-	}),
+	itemNoun: companyEmployees,
 	// Count rules for `companies-employee-count()`:
 	//   (companies) with `<int>` employees
 	//   (companies that) have `<int>` employees
 	//   (companies that) do not have `<int>` employees
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(company.namePl, 'employee', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catCountSemantic: companiesEmployeeCountSemantic,
+})
+
+company.addOrderingRuleSet({
+	catOrderSemantic: companiesEmployeeCountSemantic,
+	// Ordering rules for `companies-employee-count()`:
+	//   largest (companies)
+	//   smallest (companies)
+	//   (companies) with the most employees
+	//   (companies) with the fewest employees
+	descTerm: terms.largest,
+	ascTerm: terms.smallest,
+	itemNoun: companyEmployees,
+})
+
+company.addAggregateRuleSet({
+	catMeasureSemantic: companiesEmployeeCountSemantic,
+	// Aggregate rules for `companies-employee-count()`:
+	//   (the) total employees of companies I founded
+	//   (the) average employees of companies I founded
+	measureNoun: companyEmployees,
 })
 
 // FOUND:
+var companiesFoundedDateSemantic = g.newSemantic({
+	name: g.hyphenate(company.namePl, 'founded', 'date'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 2,
+	sql: {
+		category: 'companies',
+		date: 'founded',
+	},
+})
+
 company.addVerbRuleSet({
 	verbTerm: g.newTermSequence({
 		symbolName: g.hyphenate(company.nameSg, 'found'),
@@ -115,6 +191,10 @@ company.addVerbRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'companies',
+			relation: { table: 'company_founders', column: 'company_id', argColumn: 'user_id', argCategory: 'users' },
+		},
 	}),
 	// Verb rules for `company-founders()`:
 	//   (people who) founded `[companies+]`
@@ -127,6 +207,10 @@ company.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people who founded `[companies+]` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'company_founders', column: 'user_id', argColumn: 'company_id', argCategory: 'companies' },
+		},
 	}),
 	// Agent noun rules for `company-founders()`:
 	//   founders of `[companies+]`
@@ -138,12 +222,18 @@ company.addVerbRuleSet({
 	// Date rules for `companies-founded-date()`:
 	//   (companies) founded `[date]`
 	//   (companies not) founded `[date]`
-	catDateSemantic: g.newSemantic({
-		name: g.hyphenate(company.namePl, 'founded', 'date'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 2,
-	}),
+	catDateSemantic: companiesFoundedDateSemantic,
+})
+
+company.addOrderingRuleSet({
+	catOrderSemantic: companiesFoundedDateSemantic,
+	// Ordering rules for `companies-founded-date()`:
+	//   newest (companies)
+	//   oldest (companies)
+	descTerm: terms.newest,
+	ascTerm: terms.oldest,
+	// (the) 2nd (company) => (the) 2nd oldest (company)
+	nthOrder: 'asc',
 })
 
 // INVEST-IN:
@@ -176,6 +266,10 @@ company.addVerbRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'companies',
+			relation: { table: 'company_investors', column: 'company_id', argColumn: 'user_id', argCategory: 'users' },
+		},
 	}),
 	// Verb rules for `company-investors()`:
 	//   (people who) invested in `[companies+]`
@@ -189,6 +283,10 @@ company.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people who invested to `[companies+]` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'company_investors', column: 'user_id', argColumn: 'company_id', argCategory: 'companies' },
+		},
 	}),
 	// Agent noun rules for `company-investors()`:
 	//   investors in `[companies+]`
@@ -213,6 +311,10 @@ company.addAgentNoun({
 		maxParams: 1,
 		// (people who follow) board members of `{company}` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'company_board_members', column: 'user_id', argColumn: 'company_id', argCategory: 'companies' },
+		},
 	}),
 })
 
@@ -285,6 +387,18 @@ company.addTenseVerbRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		// Restricts the join table rows by the tense semantic that `companies-worked-at()` descends, if any, using the employment interval columns.
+		sql: {
+			category: 'companies',
+			relation: {
+				table: 'company_employees',
+				column: 'company_id',
+				argColumn: 'user_id',
+				argCategory: 'users',
+				startColumn: 'start_date',
+				endColumn: 'end_date',
+			},
+		},
 	}),
 })
 
@@ -298,5 +412,9 @@ company.inner.addRule({
 		maxParams: 1,
 		// Companies can only exist in one location, hence an intersection yields an empty set.
 		// forbidsMultipleIntersection: true,
+		sql: {
+			category: 'companies',
+			entity: [ 'city', 'region', 'country' ],
+		},
 	})
 })
\ No newline at end of file
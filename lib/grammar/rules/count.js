@@ -4,7 +4,7 @@ var conjunction = require('./conjunction')
 
 
 /**
- * The map of `NSymbol` names for noun sets to the associated `NSymbol` instance for the count set for that noun, if any already exists. This enables `Category.prototype.addCountRuleSet()` to be invoked for multiple `Category` instances with the same noun set.
+ * The map of the names of the count sets for noun sets to the associated `NSymbol` instance for the count set for that noun, if any already exists. This enables `Category.prototype.addCountRuleSet()` to be invoked for multiple `Category` instances with the same noun set.
  *
  * @type {Object.<string, NSymbol>}
  */
@@ -37,6 +37,13 @@ var number = g.newSymbol('number').addRule({
 	isPlaceholder: true,
 })
 
+// (companies with) $2.5M (in funding); (repos that are) 1.5 (KB)
+var decimalNumber = g.newSymbol('decimal', 'number').addRule({
+	isTerminal: true,
+	rhs: g.newIntSymbol({ min: 0, acceptsDecimals: true }),
+	isPlaceholder: true,
+})
+
 // (issues with over `<int>` comments) and under (`<int>` comments)
 var andUnder = g.newTermSequenceBinarySymbol({
 	termPair: [ conjunction.and, preps.under ],
@@ -62,31 +69,34 @@ var andOver = g.newTermSequenceBinarySymbol({
  *
  * For use by `Category.prototype.addCountRuleSet()`.
  *
- * If this method was already invoked with `itemsSymbol`, returns the previously constructed `NSymbol` (instead of throwing an exception for duplicity).
+ * If this method was already invoked with `itemsSymbol` and `acceptsDecimals`, returns the previously constructed `NSymbol` (instead of throwing an exception for duplicity).
  *
  * @memberOf count
  * @param {NSymbol} itemsSymbol The `NSymbol` for the noun being quantified.
+ * @param {boolean} [acceptsDecimals] Specify the rules accept non-integer numbers; e.g., "$2.5M (in funding)", "1.5 (KB)". Else, the rules only accept integers.
  * @returns {NSymbol} Returns the `NSymbol` that produces rules for number-based expressions.
  */
-exports.create = function (itemsSymbol) {
-	var itemsSymbolName = itemsSymbol.name
+exports.create = function (itemsSymbol, acceptsDecimals) {
+	var itemsCountName = acceptsDecimals ? g.hyphenate(itemsSymbol.name, 'decimal', 'count') : g.hyphenate(itemsSymbol.name, 'count')
 	// Check if a count set for `itemsSymbol` already exists.
-	var existingItemsCount = _countNSymbols[itemsSymbolName]
+	var existingItemsCount = _countNSymbols[itemsCountName]
 	if (existingItemsCount) {
 		return existingItemsCount
 	}
 
-	var itemsCount = g.newSymbol(itemsSymbolName, 'count')
+	var itemsCount = g.newSymbol(itemsCountName)
 	// Save `itemsCount` to enable `Category.prototype.addCountRuleSet()` to be invoked for multiple `Category` instances with the same noun set.
-	_countNSymbols[itemsSymbolName] = itemsCount
+	_countNSymbols[itemsCountName] = itemsCount
+
+	var itemsNumber = acceptsDecimals ? decimalNumber : number
 
 	// (issues with) `<int>` comments
-	var numberItems = g.newBinaryRule({ rhs: [ number, itemsSymbol ] })
+	var numberItems = g.newBinaryRule({ rhs: [ itemsNumber, itemsSymbol ] })
 	// (issues with between) `<int>` /comments/ (and `<int>` comments)
 	var numberItemsOpt = g.newSymbol(numberItems.name, 'opt').addRule({
-		rhs: [ number, itemsSymbol ],
+		rhs: [ itemsNumber, itemsSymbol ],
 	}).addRule({
-		rhs: [ number ],
+		rhs: [ itemsNumber ],
 	})
 
 
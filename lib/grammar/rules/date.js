@@ -60,6 +60,77 @@ datePhrase.addRule({
 	rhs: [ { symbol: yearPhrase, noInsert: true } ],
 })
 
+// (repos created) this weekend
+datePhrase.addRule({
+	rhs: [ terms.thisDate, terms.weekend ],
+	semantic: g.newSemantic({ isArg: true, name: g.hyphenate('this', 'weekend'), cost: 0.5 })
+})
+// (repos created) last weekend
+datePhrase.addRule({
+	rhs: [ terms.lastDate, terms.weekend ],
+	semantic: g.newSemantic({ isArg: true, name: g.hyphenate('last', 'weekend'), cost: 0.5 })
+})
+
+
+// DATE-OFFSET:
+// The semantics of numeric offsets relative to the reference time of the query, each of which takes the number of units as its argument.
+var daysAgoSemantic = g.newSemantic({
+	name: g.hyphenate('days', 'ago'),
+	minParams: 1,
+	maxParams: 1,
+	cost: 0.5,
+})
+var weeksAgoSemantic = g.newSemantic({
+	name: g.hyphenate('weeks', 'ago'),
+	minParams: 1,
+	maxParams: 1,
+	cost: 0.5,
+})
+var monthsAgoSemantic = g.newSemantic({
+	name: g.hyphenate('months', 'ago'),
+	minParams: 1,
+	maxParams: 1,
+	cost: 0.5,
+})
+var yearsAgoSemantic = g.newSemantic({
+	name: g.hyphenate('years', 'ago'),
+	minParams: 1,
+	maxParams: 1,
+	cost: 0.5,
+})
+
+// (repos created) 3 (days ago)
+var offsetCount = g.newSymbol('offset', 'count').addRule({
+	isTerminal: true,
+	rhs: g.newIntSymbol({ min: 1, max: 1000 }),
+	isPlaceholder: true,
+})
+
+var dateOffset = g.newSymbol('date', 'offset')
+// (repos created) `[offset-count]` days (ago)
+dateOffset.addRule({ rhs: [ offsetCount, terms.days ], semantic: daysAgoSemantic })
+// (repos created) `[offset-count]` weeks (ago)
+dateOffset.addRule({ rhs: [ offsetCount, terms.weeks ], semantic: weeksAgoSemantic })
+// (repos created) `[offset-count]` months (ago)
+dateOffset.addRule({ rhs: [ offsetCount, terms.months ], semantic: monthsAgoSemantic })
+// (repos created) `[offset-count]` years (ago)
+dateOffset.addRule({ rhs: [ offsetCount, terms.years ], semantic: yearsAgoSemantic })
+
+// (repos created) `[date-offset]` ago
+datePhrase.addRule({ rhs: [ dateOffset, terms.ago ] })
+
+// The single units that follow "in the past", which imply a count of one: "in the past year" -> `years-ago(1)`.
+var oneSemantic = g.newSemantic({ isArg: true, name: '1', cost: 0 })
+var pastDateUnit = g.newSymbol('past', 'date', 'unit')
+// (repos created in the past) day
+pastDateUnit.addRule({ rhs: [ terms.day ], semantic: g.reduceSemantic(daysAgoSemantic, oneSemantic) })
+// (repos created in the past) week
+pastDateUnit.addRule({ rhs: [ terms.week ], semantic: g.reduceSemantic(weeksAgoSemantic, oneSemantic) })
+// (repos created in the past) month
+pastDateUnit.addRule({ rhs: [ terms.month ], semantic: g.reduceSemantic(monthsAgoSemantic, oneSemantic) })
+// (repos created in the past) year
+pastDateUnit.addRule({ rhs: [ terms.year ], semantic: g.reduceSemantic(yearsAgoSemantic, oneSemantic) })
+
 
 // DATE-VALUE:
 // (repos created in) `[year]`
@@ -177,9 +248,10 @@ var monthYear = g.newSymbol(month.name, year.name).addRule({
 	rhs: [ month, yearPhrase ],
 })
 
+// (repos created on June) 3|3rd|third (2014)
 var day = g.newSymbol('day').addRule({
 	isTerminal: true,
-	rhs: g.newIntSymbol({ min: 1, max: 31 }),
+	rhs: g.newIntSymbol({ min: 1, max: 31, acceptsOrdinals: true }),
 	isPlaceholder: true,
 })
 
@@ -189,6 +261,7 @@ var monthDay = g.newBinaryRule({
 })
 
 // (repos created on) `[month]` `[day]` `[year]`/`[year-phrase]`
+// (repos created on) 2016-04-01 -> April 1 2016, because `Parser` splits hyphens between digits
 var monthDayYear = g.newSymbol(monthDay.name, year.name).addRule({
 	rhs: [ monthDay, year ],
 	transpositionCost: 0.1,
@@ -196,6 +269,47 @@ var monthDayYear = g.newSymbol(monthDay.name, year.name).addRule({
 	rhs: [ monthDay, yearPhrase ],
 })
 
+// (repos created in) Q1|first quarter (2016)
+var quarter = g.newSymbol('quarter')
+// (repos created in the first) quarter of (2016)
+var quarterOf = g.newTermSequence({
+	symbolName: g.hyphenate(terms.quarter.name, preps.of.name),
+	type: g.termTypes.INVARIABLE,
+	// Prevent `[prep-of]` insertion, which would otherwise create ambiguity with the substitution of "quarter" alone.
+	acceptedTerms: [ { term: [ terms.quarter, preps.of ], noInsertionIndexes: [ 1 ] } ],
+})
+var quarterOrdinals = [ [ 'first', '1st' ], [ 'second', '2nd' ], [ 'third', '3rd' ], [ 'fourth', '4th' ] ]
+quarterOrdinals.forEach(function (ordinals, i) {
+	var quarterName = 'q' + (i + 1)
+	var quarterOrdinal = g.newTermSequence({
+		symbolName: g.hyphenate(ordinals[0], 'quarter', 'ordinal'),
+		type: g.termTypes.INVARIABLE,
+		acceptedTerms: ordinals,
+	})
+
+	quarter.addRule({
+		rhs: [ g.newTermSequence({
+			symbolName: quarterName,
+			type: g.termTypes.INVARIABLE,
+			acceptedTerms: [ quarterName.toUpperCase() ],
+			substitutedTerms: [
+				// first|1st quarter (of) -> Q1
+				[ quarterOrdinal, terms.quarter ],
+				[ quarterOrdinal, quarterOf ],
+			],
+		}) ],
+		semantic: g.newSemantic({ isArg: true, name: quarterName, cost: 0.5 }),
+	})
+})
+
+// (repos created in) `[quarter]` `[year]`/`[year-phrase]`
+var quarterYear = g.newSymbol(quarter.name, year.name).addRule({
+	rhs: [ quarter, year ],
+	transpositionCost: 0.1,
+}).addRule({
+	rhs: [ quarter, yearPhrase ],
+})
+
 
 // STRICT
 var dateStrict = g.newSymbol('date', 'strict')
@@ -207,6 +321,9 @@ dateStrict.addRule({ rhs: [ preps.origin, year ] })
 dateStrict.addRule({ rhs: [ preps.origin, monthYear ] })
 // (repos created) on `[month]` `[day]` `[year]`/`[year-phrase]`
 dateStrict.addRule({ rhs: [ preps.day, monthDayYear ] })
+// (repos created) in `[quarter]` (`[year]`/`[year-phrase]`)
+dateStrict.addRule({ rhs: [ preps.origin, quarterYear ] })
+dateStrict.addRule({ rhs: [ preps.origin, quarter ] })
 
 // INTERVAL
 var dateValue = g.newSymbol('date', 'value')
@@ -218,6 +335,11 @@ dateValue.addRule({ rhs: [ year ] })
 dateValue.addRule({ rhs: [ monthYear ] })
 // (repos created before/after) `[month]` `[day]` `[year]`/`[year-phrase]`
 dateValue.addRule({ rhs: [ monthDayYear ] })
+// (repos created before/after) `[quarter]` (`[year]`/`[year-phrase]`)
+dateValue.addRule({ rhs: [ quarterYear ] })
+dateValue.addRule({ rhs: [ quarter ] })
+// (repos created since/until) `[month]`
+dateValue.addRule({ rhs: [ month ] })
 
 
 var dateBeforeSemantic = g.newSemantic({
@@ -241,6 +363,19 @@ var dateIntervalSemantic = g.newSemantic({
 	// No cost.
 	cost: 0,
 })
+// Open-ended intervals, which unlike `date-after()` and `date-before()` include the date: "since March", "until 2016".
+var dateSinceSemantic = g.newSemantic({
+	name: g.hyphenate('date', 'since'),
+	minParams: 1,
+	maxParams: 3,
+	cost: 0.5,
+})
+var dateUntilSemantic = g.newSemantic({
+	name: g.hyphenate('date', 'until'),
+	minParams: 1,
+	maxParams: 3,
+	cost: 0.5,
+})
 var dateSemantic = g.newSemantic({
 	name: 'date',
 	minParams: 1,
@@ -258,11 +393,24 @@ var prepBeforeDatePhraseOrValue = g.newBinaryRule({ rhs: [ prepBefore, dateValue
 var prepAfter = g.newBinaryRule({ rhs: [ dateIntervalStopWord, preps.after ] })
 var prepAfterDatePhraseOrValue = g.newBinaryRule({ rhs: [ prepAfter, dateValue ], semantic: dateAfterSemantic })
 
+// (repos created) <from> since (`[date-value]`)
+var prepSince = g.newBinaryRule({ rhs: [ dateIntervalStopWord, preps.since ] })
+// (repos created) <from> until (`[date-value]`)
+var prepUntil = g.newBinaryRule({ rhs: [ dateIntervalStopWord, preps.until ] })
+
 var dateInterval = g.newSymbol('date', 'interval')
 // (repos created) before `[date-value]`, `date-before(a,b,c)` - exclusive
 dateInterval.addRule({ rhs: [ prepBefore, dateValue ], semantic: dateBeforeSemantic })
 // (repos created) after `[date-value]`, `date-after(a,b,c)` - exclusive
 dateInterval.addRule({ rhs: [ prepAfter, dateValue ], semantic: dateAfterSemantic })
+// (repos created) since `[date-value]`, `date-since(a,b,c)` - inclusive
+dateInterval.addRule({ rhs: [ prepSince, dateValue ], semantic: dateSinceSemantic })
+// (repos created) until `[date-value]`, `date-until(a,b,c)` - inclusive
+dateInterval.addRule({ rhs: [ prepUntil, dateValue ], semantic: dateUntilSemantic })
+// (repos created) in the last|past `[date-offset]`, `date-since(days-ago(n))`
+dateInterval.addRule({ rhs: [ terms.pastDate, dateOffset ], semantic: dateSinceSemantic })
+// (repos created) in the last|past day|week|month|year, `date-since(days-ago(1))`
+dateInterval.addRule({ rhs: [ terms.pastDate, pastDateUnit ], semantic: dateSinceSemantic })
 
 // (repos created) <from> before `[date-value]` and <from>  after `[date-value]`
 // `date-after(a,b,c),date-before(a,b,c)` - exclusive
@@ -297,13 +445,16 @@ dateInterval.addRule({ rhs: [
 
 
 var date = g.newSymbol('date')
-// (repos created) this/last week/month/year, today, yesterday
+// (repos created) this/last week/month/year/weekend, today, yesterday, `[date-offset]` ago
 // (repos created) in [year]
 // (repos created) in `[month]` `[year]`/`[year-phrase]`
 // (repos created) on `[month]` `[day]` `[year]`/`[year-phrase]`
+// (repos created) in `[quarter]` (`[year]`/`[year-phrase]`)
 date.addRule({ rhs: [ dateStrict ], semantic: dateSemantic })
 // (repos created) before/after `[date-value]`
 // (repos created) before/after `[date-value]` and before/after `[date-value]`
+// (repos created) since/until `[date-value]`
+// (repos created) in the last|past `[date-offset]`/day/week/month/year
 // (repos created) from `[date-value]` to `[date-value]`
 // (repos created) between `[date-value]` and `[date-value]`
 date.addRule({ rhs: [ dateInterval ] })
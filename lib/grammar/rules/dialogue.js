@@ -0,0 +1,91 @@
+var g = require('../grammar')
+var terms = require('./terms')
+var conjunction = require('./conjunction')
+
+
+/**
+ * The rules that refer to the previous queries of a dialogue, whose semantics `DialogueContext` resolves to the semantics of those queries when passed to `Parser.prototype.parse()` as `options.context`. Without a context, `pfsearch` discards the parse trees with these semantics.
+ */
+
+/**
+ * The semantic that refers to the set of the most recent previous query of a dialogue that returned instances of the category its semantic argument names: "repos Danny created" -> "those he likes" -> `intersect(antecedent-set(repository),repositories-liked(0))`.
+ */
+exports.antecedentSetSemantic = g.newSemantic({
+	name: g.hyphenate('antecedent', 'set'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
+
+/**
+ * The semantic that refers to the entity of the category its semantic argument names in the most recent previous query of a dialogue that has one: "is lodash written in JavaScript" -> "who created that one" -> `repository-creators(antecedent-entity(repository))`.
+ */
+exports.antecedentEntitySemantic = g.newSemantic({
+	name: g.hyphenate('antecedent', 'entity'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
+
+/**
+ * The semantic of an elliptical follow-up, which repeats the most recent previous query of a dialogue that has an entity of the same category as its semantic argument, with its semantic argument in place of that entity: "repos Danny created" -> "and Aang" -> `ellipsis(1)` -> `repositories-created(1)`.
+ */
+exports.ellipsisSemantic = g.newSemantic({
+	name: 'ellipsis',
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
+
+// Substitute "them" -> "those" to avoid the ambiguity with the anaphor "them", which only refers to people.
+// those (repos); these (I like)
+exports.those = g.newTermSequence({
+	symbolName: 'those',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'those', 'these' ],
+	substitutedTerms: [ 'them' ],
+})
+
+// that (one)
+var that = g.newTermSequence({
+	symbolName: g.hyphenate('demonstrative', 'that'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'that' ],
+	substitutedTerms: [ 'this' ],
+})
+
+// (that) one
+var one = g.newTermSequence({
+	symbolName: g.hyphenate('demonstrative', 'one'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'one' ],
+})
+
+// (who created) that one
+exports.thatOne = g.newTermSequence({
+	symbolName: g.hyphenate('that', 'one'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ [ that, one ] ],
+})
+
+// what (about `{user}`)
+var what = g.newTermSequence({
+	symbolName: g.hyphenate('ellipsis', 'what'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'what' ],
+})
+
+// (what) about (`{user}`)
+var about = g.newTermSequence({
+	symbolName: g.hyphenate('ellipsis', 'about'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'about' ],
+})
+
+// and (`{user}`); what about (`{user}`); how about (`{user}`)
+exports.ellipsis = g.newTermSequence({
+	symbolName: 'ellipsis',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ conjunction.and, [ what, about ] ],
+	substitutedTerms: [ [ terms.how, about ] ],
+})
\ No newline at end of file
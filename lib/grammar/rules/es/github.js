@@ -0,0 +1,216 @@
+var g = require('../../grammar')
+var terms = require('./terms')
+var user = require('./user')
+
+
+// REPOSITORIES:
+var repositoriesCreatedSemantic = g.newSemantic({
+	name: g.hyphenate('repositories', 'created'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	// Specify repos only have one author, so an intersection of repos from different authors returns an empty set.
+	forbidsMultipleIntersection: true,
+	sql: {
+		category: 'repositories',
+		reference: { column: 'creator_id', argCategory: 'users' },
+	},
+})
+
+var repositoriesLikedSemantic = g.newSemantic({
+	name: g.hyphenate('repositories', 'liked'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'repositories',
+		relation: { table: 'repository_likers', column: 'repository_id', argColumn: 'user_id', argCategory: 'users' },
+	},
+})
+
+var repositoryHeads = [ {
+	noun: g.newCountNoun({
+		insertionCost: 3.5,
+		nounFormsSet: { sg: 'repositorio', pl: 'repositorios' },
+	}),
+	gender: 'masc',
+} ]
+var repositories = repositoryHeads[0].noun
+
+var repositoriesPlural = g.newSymbol('repositorios', 'plural')
+g.startSymbol.addRule({ rhs: [ repositoriesPlural ] })
+
+// mis repositorios
+repositoriesPlural.addRule({
+	rhs: [ user.possDet, repositories ],
+	semantic: g.reduceSemantic(repositoriesCreatedSemantic, user.semanticArg),
+})
+// repositorios de `{user}`
+repositoriesPlural.addRule({
+	rhs: [ repositories, user.deObjUsers ],
+	semantic: repositoriesCreatedSemantic,
+})
+
+// CREATE:
+var create = terms.newVerb({
+	symbolName: g.hyphenate('crear', 'preterite'),
+	tense: 'preterite',
+	insertionCost: 1,
+	verbForms: {
+		oneSg: 'creé',
+		twoSg: 'creaste',
+		threeSg: 'creó',
+		onePl: 'creamos',
+		twoPl: 'creasteis',
+		threePl: 'crearon',
+	},
+})
+
+var created = terms.newParticiple({
+	symbolName: g.hyphenate('creado', 'participle'),
+	participleForms: {
+		mascSg: 'creado',
+		mascPl: 'creados',
+		femSg: 'creada',
+		femPl: 'creadas',
+	},
+})
+
+// LIKE:
+var like = terms.newVerb({
+	symbolName: g.hyphenate('gustar', 'present'),
+	tense: 'present',
+	insertionCost: 1,
+	verbForms: {
+		oneSg: 'gusto',
+		twoSg: 'gustas',
+		threeSg: 'gusta',
+		onePl: 'gustamos',
+		twoPl: 'gustáis',
+		threePl: 'gustan',
+	},
+})
+
+// (repositorios que) le (gustan a `{user}`)
+var le = g.newTermSequence({
+	symbolName: 'le',
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'le' ],
+	substitutedTerms: [ 'les' ],
+})
+
+var repositoriesClause = g.newSymbol('repositorios', 'clause')
+// (repositorios que) creé
+repositoriesClause.addRule({
+	rhs: [ create ],
+	// Spanish omits subject pronouns, which the verb inflection implies.
+	personNumber: 'oneSg',
+	semantic: g.reduceSemantic(repositoriesCreatedSemantic, user.semanticArg),
+})
+// (repositorios que) `{user}` creó; (repositorios que) yo creé
+repositoriesClause.addRule({
+	rhs: [ user.nomUsers, create ],
+	semantic: repositoriesCreatedSemantic,
+})
+// (repositorios que) me gustan
+repositoriesClause.addRule({
+	rhs: [ {
+		symbol: user.oneSg,
+		grammaticalForm: 'obj',
+	}, like ],
+	// "Gustar" agrees with the thing liked, the repositories the clause modifies: "(repositorios que me) gustan".
+	personNumber: 'threePl',
+	semantic: g.reduceSemantic(repositoriesLikedSemantic, user.semanticArg),
+})
+// (repositorios que) le gustan a `{user}`
+repositoriesClause.addRule({
+	rhs: [ [ le, like ], user.aObjUsers ],
+	personNumber: 'threePl',
+	semantic: repositoriesLikedSemantic,
+})
+
+user.addRelativeClauseRules(repositoriesPlural, repositoryHeads, repositoriesClause)
+
+// repositorios creados por mí
+user.addParticipleRules(repositoriesPlural, repositoryHeads, created, repositoriesCreatedSemantic)
+
+
+// ISSUES:
+var issuesOpenedSemantic = g.newSemantic({
+	name: g.hyphenate('issues', 'opened'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	forbidsMultipleIntersection: true,
+	sql: {
+		category: 'issues',
+		reference: { column: 'opener_id', argCategory: 'users' },
+	},
+})
+
+var issueHeads = [ {
+	noun: g.newCountNoun({
+		insertionCost: 3.5,
+		nounFormsSet: { sg: 'incidencia', pl: 'incidencias' },
+	}),
+	gender: 'fem',
+} ]
+var issues = issueHeads[0].noun
+
+var issuesPlural = g.newSymbol('incidencias', 'plural')
+g.startSymbol.addRule({ rhs: [ issuesPlural ] })
+
+// mis incidencias
+issuesPlural.addRule({
+	rhs: [ user.possDet, issues ],
+	semantic: g.reduceSemantic(issuesOpenedSemantic, user.semanticArg),
+})
+// incidencias de `{user}`
+issuesPlural.addRule({
+	rhs: [ issues, user.deObjUsers ],
+	semantic: issuesOpenedSemantic,
+})
+
+// OPEN:
+var open = terms.newVerb({
+	symbolName: g.hyphenate('abrir', 'preterite'),
+	tense: 'preterite',
+	insertionCost: 1,
+	verbForms: {
+		oneSg: 'abrí',
+		twoSg: 'abriste',
+		threeSg: 'abrió',
+		onePl: 'abrimos',
+		twoPl: 'abristeis',
+		threePl: 'abrieron',
+	},
+})
+
+var opened = terms.newParticiple({
+	symbolName: g.hyphenate('abierto', 'participle'),
+	participleForms: {
+		mascSg: 'abierto',
+		mascPl: 'abiertos',
+		femSg: 'abierta',
+		femPl: 'abiertas',
+	},
+})
+
+var issuesClause = g.newSymbol('incidencias', 'clause')
+// (incidencias que) abrí
+issuesClause.addRule({
+	rhs: [ open ],
+	personNumber: 'oneSg',
+	semantic: g.reduceSemantic(issuesOpenedSemantic, user.semanticArg),
+})
+// (incidencias que) `{user}` abrió
+issuesClause.addRule({
+	rhs: [ user.nomUsers, open ],
+	semantic: issuesOpenedSemantic,
+})
+
+user.addRelativeClauseRules(issuesPlural, issueHeads, issuesClause)
+
+// incidencias abiertas por `{user}`
+user.addParticipleRules(issuesPlural, issueHeads, opened, issuesOpenedSemantic)
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * Methods that create `NSymbol` instances that produce terminal rule sets for Spanish terms, inflected according to the inflection tables of the Spanish locale, and the terms the Spanish rules share.
+ *
+ * Each rule in a set has a conjugative `text` object with a property for each inflection, which `pfsearch` conjugates according to the `personNumber` and `grammaticalForm` properties of the parent rules.
+ */
+
+var util = require('../../../util/util')
+var g = require('../../grammar')
+var locale = require('../../locale/locale')
+
+
+var inflections = locale.current.inflections
+
+/**
+ * The conjugations of a verb in a single tense, with a property for each person-number of the locale. E.g., "sigo", "sigues", "sigue", "seguimos", "seguís", "siguen".
+ *
+ * @typedef {Object} VerbPersonNumberForms
+ */
+var verbFormsSchema = inflections.personNumbers.reduce(function (schema, personNumber) {
+	schema[personNumber] = { type: String, required: true }
+	return schema
+}, {})
+
+/**
+ * Creates an `NSymbol` that produces a terminal rule set for a verb conjugated in `options.tense`.
+ *
+ * Each rule in the set has a `text` object with the forms in `options.verbForms`, which `pfsearch` conjugates to the person-number of the verb's subject, defined by the `personNumber` property of a preceding rule.
+ *
+ * @static
+ * @memberOf terms
+ * @param {Object} options The options object.
+ * @param {string} options.symbolName The name for the new `NSymbol`.
+ * @param {string} options.tense The grammatical tense of `options.verbForms`, one of the locale's tenses.
+ * @param {number} [options.insertionCost] The insertion cost for the terminal rule set, assigned to the first rule in the set.
+ * @param {VerbPersonNumberForms} options.verbForms The verb forms for each person-number.
+ * @returns {NSymbol} Returns the new `NSymbol` for the verb terminal rule set.
+ */
+var verbSchema = {
+	symbolName: { type: String, required: true },
+	tense: { values: inflections.tenses, required: true },
+	insertionCost: Number,
+	verbForms: { type: Object, schema: verbFormsSchema, required: true },
+}
+
+exports.newVerb = function (options) {
+	if (util.illFormedOpts(verbSchema, options)) {
+		throw new Error('Ill-formed verb')
+	}
+
+	return newInflectedTermSet(options.symbolName, options.verbForms, options.insertionCost)
+}
+
+/**
+ * The forms of a participle for each gender-number agreement form of the locale. E.g., "creado", "creados", "creada", "creadas".
+ *
+ * @typedef {Object} ParticipleAgreementForms
+ */
+var participleFormsSchema = inflections.genders.reduce(function (schema, gender) {
+	schema[gender + 'Sg'] = { type: String, required: true }
+	schema[gender + 'Pl'] = { type: String, required: true }
+	return schema
+}, {})
+
+/**
+ * Creates an `NSymbol` that produces a terminal rule set for a participle that agrees in gender and number with the noun it modifies.
+ *
+ * Each rule in the set has a `text` object with the forms in `options.participleForms`, which `pfsearch` conjugates according to the `grammaticalForm` property of the parent rule (e.g., 'femPl' for "(incidencias) abiertas").
+ *
+ * @static
+ * @memberOf terms
+ * @param {Object} options The options object.
+ * @param {string} options.symbolName The name for the new `NSymbol`.
+ * @param {ParticipleAgreementForms} options.participleForms The participle forms for each gender-number.
+ * @returns {NSymbol} Returns the new `NSymbol` for the participle terminal rule set.
+ */
+var participleSchema = {
+	symbolName: { type: String, required: true },
+	participleForms: { type: Object, schema: participleFormsSchema, required: true },
+}
+
+exports.newParticiple = function (options) {
+	if (util.illFormedOpts(participleSchema, options)) {
+		throw new Error('Ill-formed participle')
+	}
+
+	return newInflectedTermSet(options.symbolName, options.participleForms)
+}
+
+/**
+ * The forms of a personal pronoun for each grammatical case of the locale. E.g., "yo", "me", "mí".
+ *
+ * @typedef {Object} PronounCaseForms
+ */
+var pronounFormsSchema = inflections.cases.reduce(function (schema, gramCase) {
+	schema[gramCase] = { type: String, required: true }
+	return schema
+}, {})
+
+/**
+ * Creates an `NSymbol` that produces a terminal rule set for a personal pronoun.
+ *
+ * Each rule in the set has a `text` object with the forms in `options.pronounForms`, which `pfsearch` conjugates according to the `grammaticalForm` property of the parent rule (e.g., 'prep' for "(por) mí").
+ *
+ * @static
+ * @memberOf terms
+ * @param {Object} options The options object.
+ * @param {string} options.symbolName The name for the new `NSymbol`.
+ * @param {PronounCaseForms} options.pronounForms The pronoun forms for each grammatical case.
+ * @returns {NSymbol} Returns the new `NSymbol` for the pronoun terminal rule set.
+ */
+var pronounSchema = {
+	symbolName: { type: String, required: true },
+	pronounForms: { type: Object, schema: pronounFormsSchema, required: true },
+}
+
+exports.newPronoun = function (options) {
+	if (util.illFormedOpts(pronounSchema, options)) {
+		throw new Error('Ill-formed pronoun')
+	}
+
+	return newInflectedTermSet(options.symbolName, options.pronounForms)
+}
+
+/**
+ * Creates an `NSymbol` that produces a terminal rule for each unique form in `forms` with `forms` as its conjugative `text` object.
+ *
+ * @private
+ * @static
+ * @param {string} symbolName The name for the new `NSymbol`.
+ * @param {Object.<string, string>} forms The map of inflections to term forms.
+ * @param {number} [insertionCost] The insertion cost, assigned to the first rule.
+ * @returns {NSymbol} Returns the new `NSymbol`.
+ */
+function newInflectedTermSet(symbolName, forms, insertionCost) {
+	var termSetSym = g.newSymbol(symbolName)
+
+	// Copy `forms` to exclude any extra properties from the output grammar.
+	var displayText = Object.assign({}, forms)
+
+	var terminalSymbols = []
+	for (var inflection in forms) {
+		var terminalSymbol = forms[inflection]
+		if (terminalSymbols.indexOf(terminalSymbol) !== -1) continue
+
+		// Check `terminalSymbol` lacks whitespace and characters outside the locale's alphabet.
+		if (g.isIllFormedTerminalSymbol(terminalSymbol)) {
+			throw new Error('Ill-formed terminal symbol')
+		}
+
+		var newTerminalRule = {
+			isTerminal: true,
+			rhs: terminalSymbol,
+			text: displayText,
+		}
+
+		// Assign `insertionCost`, if defined, to the first terminal rule in the set.
+		if (insertionCost !== undefined && terminalSymbols.length === 0) {
+			newTerminalRule.insertionCost = insertionCost
+		}
+
+		termSetSym.addRule(newTerminalRule)
+		terminalSymbols.push(terminalSymbol)
+	}
+
+	return termSetSym
+}
+
+// The operator semantic for conjunctions, shared with the English rules.
+exports.intersectSemantic = require('../conjunction').intersectSemantic
+
+// (repositorios que me gustan) y (que creé)
+exports.y = g.newTermSequence({
+	symbolName: 'y',
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 2,
+	acceptedTerms: [ 'y' ],
+	substitutedTerms: [ 'e', 'pero' ],
+})
+
+// (personas) que (me siguen)
+exports.que = g.newTermSequence({
+	symbolName: 'que',
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 0.5,
+	acceptedTerms: [ 'que' ],
+	substitutedTerms: [ 'quienes', 'cuales' ],
+})
+
+// seguidores de (Danny); repositorios de (mí)
+exports.de = g.newTermSequence({
+	symbolName: 'de',
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 0.5,
+	acceptedTerms: [ 'de' ],
+	substitutedTerms: [ 'del' ],
+})
+
+// (repositorios creados) por (mí)
+exports.por = g.newTermSequence({
+	symbolName: 'por',
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 0.5,
+	acceptedTerms: [ 'por' ],
+})
+
+// (personas que siguen) a (Danny)
+exports.a = g.newTermSequence({
+	symbolName: 'a',
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'a' ],
+	substitutedTerms: [ 'al' ],
+})
\ No newline at end of file
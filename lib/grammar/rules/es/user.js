@@ -0,0 +1,266 @@
+var g = require('../../grammar')
+var terms = require('./terms')
+
+
+// The semantic argument for the user issuing the query, shared with the English rules.
+exports.semanticArg = g.newSemantic({
+	isArg: true,
+	name: 'me',
+	cost: 0.2,
+})
+
+// The semantics of following, identical to those of the English rules to produce identical output.
+var followersSemantic = g.newSemantic({
+	name: 'followers',
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	isPeople: true,
+	sql: {
+		category: 'users',
+		relation: { table: 'follows', column: 'follower_id', argColumn: 'followed_id', argCategory: 'users' },
+	},
+})
+
+var usersFollowedSemantic = g.newSemantic({
+	name: g.hyphenate('users', 'followed'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	isPeople: true,
+	sql: {
+		category: 'users',
+		relation: { table: 'follows', column: 'followed_id', argColumn: 'follower_id', argCategory: 'users' },
+	},
+})
+
+/**
+ * The head nouns of the category with their grammatical gender, with which participles agree:
+ *   "usuarios seguidos (por mí)"
+ *   "personas seguidas (por mí)"
+ */
+exports.heads = [ {
+	noun: g.newCountNoun({
+		insertionCost: 2.5,
+		nounFormsSet: { sg: 'persona', pl: 'personas' },
+	}),
+	gender: 'fem',
+}, {
+	noun: g.newCountNoun({
+		nounFormsSet: { sg: 'usuario', pl: 'usuarios' },
+	}),
+	gender: 'masc',
+} ]
+
+// (personas que siguen a) `{user}`
+exports.sg = g.newSymbol('usuario').addRule({
+	isTerminal: true,
+	rhs: g.newEntityCategory({
+		name: 'user',
+		entities: [
+			'Danny',
+			'Aang',
+			'John',
+			'Iroh',
+			'Marvin Minsky',
+			'John McCarthy',
+		],
+		isPerson: true,
+	}),
+	isPlaceholder: true,
+})
+
+// (personas que) yo (sigo); (personas que) me (siguen); (personas seguidas por) mí
+exports.oneSg = terms.newPronoun({
+	symbolName: g.hyphenate(1, 'sg', 'es'),
+	pronounForms: {
+		nom: 'yo',
+		obj: 'me',
+		prep: 'mí',
+	},
+})
+
+// mis (seguidores); mis (repositorios)
+exports.possDet = g.newTermSequence({
+	symbolName: g.hyphenate('mis', 'poss', 'det'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'mis' ],
+	substitutedTerms: [ 'mi' ],
+})
+
+// The person-number property, `personNumber`, exists only for the nominative case to conjugate the verbs that follow.
+exports.nomUsers = g.newSymbol('nom', 'usuarios', 'es')
+// (personas que) `{user}` (sigue)
+exports.nomUsers.addRule({
+	rhs: [ exports.sg ],
+	personNumber: 'threeSg',
+})
+// (personas que) yo (sigo)
+exports.nomUsers.addRule({
+	rhs: [ {
+		symbol: exports.oneSg,
+		grammaticalForm: 'nom',
+	} ],
+	personNumber: 'oneSg',
+	semantic: exports.semanticArg,
+})
+
+// (seguidores de) `{user}`; (repositorios creados por) mí
+exports.objUsers = g.newSymbol('obj', 'usuarios', 'es')
+exports.objUsers.addRule({
+	rhs: [ exports.sg ],
+})
+exports.objUsers.addRule({
+	rhs: [ {
+		symbol: exports.oneSg,
+		grammaticalForm: 'prep',
+	} ],
+	semantic: exports.semanticArg,
+})
+
+// (personas que siguen) a `{user}`
+exports.aObjUsers = g.newBinaryRule({ rhs: [ terms.a, exports.objUsers ] })
+// (repositorios creados) por `{user}`
+exports.porObjUsers = g.newBinaryRule({ rhs: [ terms.por, exports.objUsers ] })
+// (seguidores) de `{user}`
+exports.deObjUsers = g.newBinaryRule({ rhs: [ terms.de, exports.objUsers ] })
+
+// The plural noun phrase of the category, which the start symbol and the rules of other categories produce.
+exports.plural = g.newSymbol('usuarios', 'plural')
+g.startSymbol.addRule({ rhs: [ exports.plural ] })
+
+/**
+ * Adds the rules for a reduced relative clause with `participle` that modify the head nouns in `heads` to `lhsSym`, conjugating `participle` to agree with the gender of each head noun:
+ *   "repositorios creados por mí"
+ *   "incidencias abiertas por `{user}`"
+ *
+ * @param {NSymbol} lhsSym The noun phrase symbol to which to add the rules.
+ * @param {Object[]} heads The head nouns, each with its `noun` term and grammatical `gender`.
+ * @param {NSymbol} participle The participle term set, created by `terms.newParticiple()`.
+ * @param {Object[]} semantic The semantic that takes the agent as its argument.
+ */
+exports.addParticipleRules = function (lhsSym, heads, participle, semantic) {
+	heads.forEach(function (head) {
+		lhsSym.addRule({
+			rhs: [ head.noun, [ {
+				symbol: participle,
+				// Conjugate the participle to agree with the head noun: "personas seguidas", "usuarios seguidos".
+				grammaticalForm: head.gender + 'Pl',
+			}, exports.porObjUsers ] ],
+			semantic: semantic,
+		})
+	})
+}
+
+/**
+ * Adds the rules for the relative clauses `clause` produces that modify the head nouns in `heads` to `lhsSym`, including conjunctions of the clauses:
+ *   "personas que me siguen"
+ *   "repositorios que me gustan y que creé"
+ *
+ * @param {NSymbol} lhsSym The noun phrase symbol to which to add the rules.
+ * @param {Object[]} heads The head nouns, each with its `noun` term.
+ * @param {NSymbol} clause The relative clause symbol, which produces the clause after "que".
+ */
+exports.addRelativeClauseRules = function (lhsSym, heads, clause) {
+	var relativeClause = g.newBinaryRule({ rhs: [ terms.que, clause ] })
+
+	// (repositorios que me gustan) y que (creé)
+	var relativeClausePlus = g.newSymbol(relativeClause.name, 'plus')
+	relativeClausePlus.addRule({ rhs: [ relativeClause ] })
+	var yRelativeClausePlus = g.newBinaryRule({
+		rhs: [
+			terms.y,
+			{ symbol: relativeClausePlus, noInsert: true },
+		],
+	})
+	// Forbid insertions of either clause, which otherwise yield unary recursive rules.
+	relativeClausePlus.addRule({
+		rhs: [
+			{ symbol: relativeClause, noInsert: true },
+			{ symbol: yRelativeClausePlus, noInsert: true },
+		],
+		semantic: terms.intersectSemantic,
+	})
+
+	heads.forEach(function (head) {
+		lhsSym.addRule({ rhs: [ head.noun, relativeClausePlus ] })
+	})
+}
+
+
+// FOLLOW:
+var follow = terms.newVerb({
+	symbolName: g.hyphenate('seguir', 'present'),
+	tense: 'present',
+	insertionCost: 1,
+	verbForms: {
+		oneSg: 'sigo',
+		twoSg: 'sigues',
+		threeSg: 'sigue',
+		onePl: 'seguimos',
+		twoPl: 'seguís',
+		threePl: 'siguen',
+	},
+})
+
+var followed = terms.newParticiple({
+	symbolName: g.hyphenate('seguido', 'participle'),
+	participleForms: {
+		mascSg: 'seguido',
+		mascPl: 'seguidos',
+		femSg: 'seguida',
+		femPl: 'seguidas',
+	},
+})
+
+var followUsersClause = g.newSymbol('usuarios', 'seguir', 'clause')
+// (personas que) me siguen
+followUsersClause.addRule({
+	rhs: [ {
+		symbol: exports.oneSg,
+		grammaticalForm: 'obj',
+	}, follow ],
+	// Conjugate the verb to agree with the subject, the people the clause modifies: "(personas que me) siguen".
+	personNumber: 'threePl',
+	semantic: g.reduceSemantic(followersSemantic, exports.semanticArg),
+})
+// (personas que) siguen a `{user}`
+followUsersClause.addRule({
+	rhs: [ follow, exports.aObjUsers ],
+	personNumber: 'threePl',
+	semantic: followersSemantic,
+})
+// (personas que) `{user}` sigue; (personas que) yo sigo
+followUsersClause.addRule({
+	rhs: [ exports.nomUsers, follow ],
+	semantic: usersFollowedSemantic,
+})
+// (personas que) sigo
+followUsersClause.addRule({
+	rhs: [ follow ],
+	// Spanish omits subject pronouns, which the verb inflection implies: "(personas que) sigo".
+	personNumber: 'oneSg',
+	semantic: g.reduceSemantic(usersFollowedSemantic, exports.semanticArg),
+})
+
+exports.addRelativeClauseRules(exports.plural, exports.heads, followUsersClause)
+
+// personas seguidas por mí; usuarios seguidos por `{user}`
+exports.addParticipleRules(exports.plural, exports.heads, followed, usersFollowedSemantic)
+
+var followers = g.newCountNoun({
+	insertionCost: 2,
+	nounFormsSet: { sg: 'seguidor', pl: 'seguidores' },
+})
+
+// mis seguidores
+exports.plural.addRule({
+	rhs: [ exports.possDet, followers ],
+	semantic: g.reduceSemantic(followersSemantic, exports.semanticArg),
+})
+// seguidores de `{user}`
+exports.plural.addRule({
+	rhs: [ followers, exports.deObjUsers ],
+	semantic: followersSemantic,
+})
\ No newline at end of file
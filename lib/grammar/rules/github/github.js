@@ -4,6 +4,7 @@ var conjunction = require('../conjunction')
 var auxVerbs = require('../auxVerbs')
 var verbs = require('../verbs')
 var preps = require('../prepositions')
+var terms = require('../terms')
 
 
 // (my) |GitHub (repos)
@@ -36,6 +37,14 @@ user.inner.addRule({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		// Maps to a different join table depending on the category of its arguments.
+		sql: {
+			category: 'users',
+			relation: [
+				{ table: 'issue_mentions', column: 'user_id', argColumn: 'issue_id', argCategory: 'issues' },
+				{ table: 'pull_request_mentions', column: 'user_id', argColumn: 'pull_request_id', argCategory: 'pullRequests' },
+			],
+		},
 	})
 })
 
@@ -55,6 +64,13 @@ user.inner.addRule({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'users',
+			relation: [
+				{ table: 'issue_assignees', column: 'user_id', argColumn: 'issue_id', argCategory: 'issues' },
+				{ table: 'pull_request_assignees', column: 'user_id', argColumn: 'pull_request_id', argCategory: 'pullRequests' },
+			],
+		},
 	})
 })
 
@@ -74,6 +90,28 @@ exports.state = g.newSymbol('state').addRule({
 })
 
 
+
+// NUM COMMENTS:
+var commented = g.newTermSequence({
+	symbolName: 'commented',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'commented' ],
+	substitutedTerms: [ 'discussed' ],
+})
+
+// (the) most commented (issues); (my) most commented (pull requests)
+exports.mostCommented = g.newTermSequenceBinarySymbol({
+	type: g.termTypes.INVARIABLE,
+	termPair: [ terms.most, commented ],
+})
+
+// (the) least commented (issues); (my) least commented (pull requests)
+exports.leastCommented = g.newTermSequenceBinarySymbol({
+	type: g.termTypes.INVARIABLE,
+	termPair: [ terms.least, commented ],
+})
+
+
 // Load GitHub-specific rules.
 require('./repository')
 require('./pullRequest')
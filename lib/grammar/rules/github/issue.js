@@ -5,6 +5,7 @@ var auxVerbs = require('../auxVerbs')
 var verbs = require('../verbs')
 var preps = require('../prepositions')
 var nouns = require('../nouns')
+var terms = require('../terms')
 
 
 var issuesOpenedSemantic = g.newSemantic({
@@ -13,11 +14,16 @@ var issuesOpenedSemantic = g.newSemantic({
 	minParams: 1,
 	maxParams: 1,
 	forbidsMultipleIntersection: true,
+	sql: {
+		category: 'issues',
+		reference: { column: 'opener_id', argCategory: 'users' },
+	},
 })
 
 var issue = g.newCategory({
 	nameSg: 'issue',
 	namePl: 'issues',
+	sqlTable: 'issues',
 	headNoun: g.newCountNoun({
 		insertionCost: 3.5,
 		nounFormsSet: { sg: 'issue', pl: 'issues' },
@@ -37,6 +43,17 @@ issue.headPossessable.addRule({
 
 
 // OPEN:
+var issuesOpenedDateSemantic = g.newSemantic({
+	name: g.hyphenate(issue.namePl, 'opened', 'date'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'issues',
+		date: 'opened',
+	},
+})
+
 issue.addVerbRuleSet({
 	verbTerm: g.newTermSequence({
 		symbolName: g.hyphenate(issue.nameSg, 'open'),
@@ -77,6 +94,10 @@ issue.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people who opened `[issues+]` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'issues', column: 'opener_id', argColumn: 'id', argCategory: 'issues' },
+		},
 	}),
 	// Agent noun rule for `issue-openers()`:
 	//   openers of `[issues+]`
@@ -84,6 +105,21 @@ issue.addVerbRuleSet({
 		agentNounTerm: nouns.openers,
 		prepTerm: preps.participant,
 	},
+	// Date rules for `issues-opened-date()`:
+	//   (issues) opened `[date]`
+	//   (issues not) opened `[date]`
+	catDateSemantic: issuesOpenedDateSemantic,
+})
+
+issue.addOrderingRuleSet({
+	catOrderSemantic: issuesOpenedDateSemantic,
+	// Ordering rules for `issues-opened-date()`:
+	//   (the) newest (issues)
+	//   (the) oldest (issues)
+	descTerm: terms.newest,
+	ascTerm: terms.oldest,
+	// (my) 2nd (issue) => (my) 2nd oldest (issue)
+	nthOrder: 'asc',
 })
 
 
@@ -93,6 +129,10 @@ var issuesMentionedSemantic = g.newSemantic({
 	cost: 0.5,
 	minParams: 1,
 	maxParams: 1,
+	sql: {
+		category: 'issues',
+		relation: { table: 'issue_mentions', column: 'issue_id', argColumn: 'user_id', argCategory: 'users' },
+	},
 })
 
 issue.addSubjectVerbRuleSet({
@@ -129,6 +169,10 @@ var issuesAssignedSemantic = g.newSemantic({
 	cost: 0.5,
 	minParams: 1,
 	maxParams: 1,
+	sql: {
+		category: 'issues',
+		relation: { table: 'issue_assignees', column: 'issue_id', argColumn: 'user_id', argCategory: 'users' },
+	},
 })
 // (issues) assigned to me
 issue.inner.addRule({
@@ -160,22 +204,54 @@ issue.adjective.addRule({
 		minParams: 1,
 		maxParams: 1,
 		forbidsMultipleIntersection: true,
+		sql: {
+			category: 'issues',
+			argValues: { column: 'state', argNames: [ 'open', 'closed' ] },
+		},
 	}),
 })
 
 // NUM COMMENTS:
+var issuesCommentCountSemantic = g.newSemantic({
+	name: g.hyphenate(issue.namePl, 'comment', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'issues',
+		count: 'comments',
+	},
+})
+
 issue.addCountRuleSet({
 	itemNoun: nouns.comments,
 	// Count rules for `issues-comment-count()`:
 	//   (issues) with `<int>` comments
 	//   (issues that) have `<int>` comments
 	//   (issues that) do not have `<int>` comments
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(issue.namePl, 'comment', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catCountSemantic: issuesCommentCountSemantic,
+})
+
+issue.addOrderingRuleSet({
+	catOrderSemantic: issuesCommentCountSemantic,
+	// Ordering rules for `issues-comment-count()`:
+	//   (the) most commented (issues)
+	//   (the) least commented (issues)
+	//   (issues) with the most comments
+	//   (issues) with the fewest comments
+	descTerm: github.mostCommented,
+	ascTerm: github.leastCommented,
+	itemNoun: nouns.comments,
+	// (the) top 5 (issues) => (the) top 5 most commented (issues)
+	topOrder: 'desc',
+})
+
+issue.addAggregateRuleSet({
+	catMeasureSemantic: issuesCommentCountSemantic,
+	// Aggregate rules for `issues-comment-count()`:
+	//   (the) total comments of my issues
+	//   (the) average comments of my issues
+	measureNoun: nouns.comments,
 })
 
 // DATE UPDATED:
@@ -189,5 +265,9 @@ issue.addDateRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'issues',
+			date: 'updated',
+		},
 	}),
 })
\ No newline at end of file
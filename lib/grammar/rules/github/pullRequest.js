@@ -5,6 +5,7 @@ var auxVerbs = require('../auxVerbs')
 var preps = require('../prepositions')
 var nouns = require('../nouns')
 var verbs = require('../verbs')
+var terms = require('../terms')
 
 
 var pullRequestsCreatedSemantic = g.newSemantic({
@@ -13,11 +14,16 @@ var pullRequestsCreatedSemantic = g.newSemantic({
 	minParams: 1,
 	maxParams: 1,
 	forbidsMultipleIntersection: true,
+	sql: {
+		category: 'pullRequests',
+		reference: { column: 'creator_id', argCategory: 'users' },
+	},
 })
 
 var pullRequest = g.newCategory({
 	nameSg: 'pull-request',
 	namePl: 'pull-requests',
+	sqlTable: 'pull_requests',
 	// `[poss-determiner]` pull requests
 	// pull requests of `[poss-users]` [or `[poss-users+-disjunction]`]
 	possSemantic: pullRequestsCreatedSemantic,
@@ -57,8 +63,30 @@ pullRequest.headPossessable.addRule({
 
 
 // CREATE:
+var pullRequestsCreatedDateSemantic = g.newSemantic({
+	name: g.hyphenate(pullRequest.namePl, 'created', 'date'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'pullRequests',
+		date: 'created',
+	},
+})
+
 pullRequest.addVerbRuleSet({
-	verbTerm: verbs.createSet,
+	verbTerm: g.newTermSequence({
+		symbolName: g.hyphenate(pullRequest.nameSg, 'create'),
+		type: g.termTypes.VERB,
+		acceptedTerms: [
+			verbs.create,
+			// (pull requests) `[nom-users+-disjunction]` opened
+			verbs.open,
+		],
+		substitutedTerms: [
+			verbs.make,
+		],
+	}),
 	// Prevent present tense descriptions of pull request creation, an action-relationship only represented as a past event:
 	//   Stop: (pull requests) `[nom-users+-disjunction]` create(s)
 	//   Stop: (pull requests) `[nom-users+-disjunction]` do/does not create
@@ -86,6 +114,10 @@ pullRequest.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people who created `[pull-requests+]` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'pull_requests', column: 'creator_id', argColumn: 'id', argCategory: 'pullRequests' },
+		},
 	}),
 	// Agent noun rules for `pull-request-creators()`:
 	//   creators of `[pull-requests+]`
@@ -94,6 +126,21 @@ pullRequest.addVerbRuleSet({
 		agentNounTerm: nouns.creators,
 		prepTerm: preps.participant,
 	},
+	// Date rules for `pull-requests-created-date()`:
+	//   (pull requests) created `[date]`
+	//   (pull requests not) created `[date]`
+	catDateSemantic: pullRequestsCreatedDateSemantic,
+})
+
+pullRequest.addOrderingRuleSet({
+	catOrderSemantic: pullRequestsCreatedDateSemantic,
+	// Ordering rules for `pull-requests-created-date()`:
+	//   (my) newest (pull requests)
+	//   (my) oldest (pull requests)
+	descTerm: terms.newest,
+	ascTerm: terms.oldest,
+	// (my) 2nd (pull request) => (my) 2nd oldest (pull request)
+	nthOrder: 'asc',
 })
 
 
@@ -103,6 +150,10 @@ var pullRequestsMentionedSemantic = g.newSemantic({
 	cost: 0.5,
 	minParams: 1,
 	maxParams: 1,
+	sql: {
+		category: 'pullRequests',
+		relation: { table: 'pull_request_mentions', column: 'pull_request_id', argColumn: 'user_id', argCategory: 'users' },
+	},
 })
 
 pullRequest.addSubjectVerbRuleSet({
@@ -139,6 +190,10 @@ var pullRequestsAssignedSemantic = g.newSemantic({
 	cost: 0.5,
 	minParams: 1,
 	maxParams: 1,
+	sql: {
+		category: 'pullRequests',
+		relation: { table: 'pull_request_assignees', column: 'pull_request_id', argColumn: 'user_id', argCategory: 'users' },
+	},
 })
 // (pull requests) assigned to me
 pullRequest.inner.addRule({
@@ -170,20 +225,52 @@ pullRequest.adjective.addRule({
 		minParams: 1,
 		maxParams: 1,
 		forbidsMultipleIntersection: true,
+		sql: {
+			category: 'pullRequests',
+			argValues: { column: 'state', argNames: [ 'open', 'closed' ] },
+		},
 	}),
 })
 
 // NUM COMMENTS:
+var pullRequestsCommentCountSemantic = g.newSemantic({
+	name: g.hyphenate(pullRequest.namePl, 'comment', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'pullRequests',
+		count: 'comments',
+	},
+})
+
 pullRequest.addCountRuleSet({
 	itemNoun: nouns.comments,
 	// Count rules for `pull-requests-comment-count()`:
 	//   (pull requests) with `<int>` comments
 	//   (pull requests that) have `<int>` comments
 	//   (pull requests that) do not have `<int>` comments
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(pullRequest.namePl, 'comment', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catCountSemantic: pullRequestsCommentCountSemantic,
+})
+
+pullRequest.addOrderingRuleSet({
+	catOrderSemantic: pullRequestsCommentCountSemantic,
+	// Ordering rules for `pull-requests-comment-count()`:
+	//   (my) most commented (pull requests)
+	//   (my) least commented (pull requests)
+	//   (pull requests) with the most comments
+	//   (pull requests) with the fewest comments
+	descTerm: github.mostCommented,
+	ascTerm: github.leastCommented,
+	itemNoun: nouns.comments,
+	// (the) top 5 (pull requests) => (the) top 5 most commented (pull requests)
+	topOrder: 'desc',
+})
+
+pullRequest.addAggregateRuleSet({
+	catMeasureSemantic: pullRequestsCommentCountSemantic,
+	// Aggregate rules for `pull-requests-comment-count()`:
+	//   (the) total comments of my pull requests
+	//   (the) average comments of my pull requests
+	measureNoun: nouns.comments,
 })
\ No newline at end of file
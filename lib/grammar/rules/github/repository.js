@@ -4,6 +4,7 @@ var oneSg = require('../user/oneSg')
 var verbs = require('../verbs')
 var preps = require('../prepositions')
 var nouns = require('../nouns')
+var terms = require('../terms')
 
 
 var repositoriesCreatedSemantic = g.newSemantic({
@@ -13,11 +14,16 @@ var repositoriesCreatedSemantic = g.newSemantic({
 	maxParams: 1,
 	// Specify repos only have one author, so an intersection of repos from different authors returns an empty set.
 	forbidsMultipleIntersection: true,
+	sql: {
+		category: 'repositories',
+		reference: { column: 'creator_id', argCategory: 'users' },
+	},
 })
 
 var repository = g.newCategory({
 	nameSg: 'repository',
 	namePl: 'repositories',
+	sqlTable: 'repositories',
 	headNoun: g.newTermSequence({
 		symbolName: g.hyphenate('repository', 'head', 'noun'),
 		type: g.termTypes.NOUN,
@@ -66,6 +72,21 @@ var repositoryCreatorsSemantic = g.newSemantic({
 	maxParams: 1,
 	// (people who follow) people who created `[repositories+]` (and their followers)
 	isPeople: true,
+	sql: {
+		category: 'users',
+		relation: { table: 'repositories', column: 'creator_id', argColumn: 'id', argCategory: 'repositories' },
+	},
+})
+
+var repositoriesCreatedDateSemantic = g.newSemantic({
+	name: g.hyphenate(repository.namePl, 'created', 'date'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'repositories',
+		date: 'created',
+	},
 })
 
 repository.addVerbRuleSet({
@@ -101,12 +122,18 @@ repository.addVerbRuleSet({
 	// Date rules for `repositories-created-date()`:
 	//   (repos) created `[date]`
 	//   (repos not) created `[date]`
-	catDateSemantic: g.newSemantic({
-		name: g.hyphenate(repository.namePl, 'created', 'date'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catDateSemantic: repositoriesCreatedDateSemantic,
+})
+
+repository.addOrderingRuleSet({
+	catOrderSemantic: repositoriesCreatedDateSemantic,
+	// Ordering rules for `repositories-created-date()`:
+	//   (my) newest (repos)
+	//   (my) oldest (repos)
+	descTerm: terms.newest,
+	ascTerm: terms.oldest,
+	// (my) 3rd (repo) => (my) 3rd oldest (repo)
+	nthOrder: 'asc',
 })
 
 // LIKE:
@@ -139,6 +166,10 @@ repository.addVerbRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'repositories',
+			relation: { table: 'repository_likers', column: 'repository_id', argColumn: 'user_id', argCategory: 'users' },
+		},
 	}),
 	// Verb rules for `repository-likers()`:
 	//   (people who) like/liked `[repositories+]`
@@ -152,6 +183,10 @@ repository.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people who like `[repositories+]` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'repository_likers', column: 'user_id', argColumn: 'repository_id', argCategory: 'repositories' },
+		},
 	}),
 	// Agent noun rules for `repository-likers()`:
 	//   likers of `[repositories+]`
@@ -189,6 +224,10 @@ repository.addVerbRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'repositories',
+			relation: { table: 'repository_contributors', column: 'repository_id', argColumn: 'user_id', argCategory: 'users' },
+		},
 	}),
 	// Verb rules for `repository-contributors()`:
 	//   (people who) contribute/contributed to `[repositories+]`
@@ -202,6 +241,10 @@ repository.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people who contribute to `[repositories+]` (and their followers)
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'repository_contributors', column: 'user_id', argColumn: 'repository_id', argCategory: 'repositories' },
+		},
 	}),
 	// Agent noun rules for `repository-contributors()`:
 	//   contributors of `[repositories+]`
@@ -220,6 +263,10 @@ var repositoryForksSemantic = g.newSemantic({
 	cost: 0.5,
 	minParams: 1,
 	maxParams: 1,
+	sql: {
+		category: 'repositories',
+		reference: { column: 'fork_of', argCategory: 'repositories' },
+	},
 })
 
 repository.addVerbRuleSet({
@@ -241,6 +288,10 @@ repository.addVerbRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 1,
+		sql: {
+			category: 'repositories',
+			relation: { table: 'repositories', column: 'fork_of', argColumn: 'creator_id', argCategory: 'users' },
+		},
 	}),
 	// Verb rules for `repository-creators(repository-forks())`:
 	//   (people who) forked `[repositories+]`
@@ -257,6 +308,10 @@ var repositoriesTypeSemantic = g.newSemantic({
 	minParams: 1,
 	maxParams: 1,
 	forbidsMultipleIntersection: true,
+	sql: {
+		category: 'repositories',
+		argPredicates: { source: 'fork_of IS NULL', fork: 'fork_of IS NOT NULL' },
+	},
 })
 
 // sources (of `[poss-users]`); (`[poss-determiner]`) sources; (repos that are) sources
@@ -299,18 +354,50 @@ repository.headPossessable.addRule({
 })
 
 // NUM FORKS:
+var repositoriesForkCountSemantic = g.newSemantic({
+	name: g.hyphenate(repository.namePl, 'fork', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'repositories',
+		count: '(SELECT COUNT(*) FROM repositories AS forks WHERE forks.fork_of = repositories.id)',
+	},
+})
+
 repository.addCountRuleSet({
 	itemNoun: nouns.forks,
 	// Count rules for `repositories-fork-count()`:
 	//   (repos) with `<int>` forks
 	//   (repos that) have `<int>` forks
 	//   (repos that) do not have `<int>` forks
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(repository.namePl, 'fork', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catCountSemantic: repositoriesForkCountSemantic,
+})
+
+var forkedTerm = g.newTermSequence({
+	symbolName: 'forked',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'forked' ],
+})
+
+repository.addOrderingRuleSet({
+	catOrderSemantic: repositoriesForkCountSemantic,
+	// Ordering rules for `repositories-fork-count()`:
+	//   (my) most forked (repos)
+	//   (my) least forked (repos)
+	//   (repos) with the most forks
+	//   (repos) with the fewest forks
+	descTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.most, forkedTerm ] }),
+	ascTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.least, forkedTerm ] }),
+	itemNoun: nouns.forks,
+})
+
+repository.addAggregateRuleSet({
+	catMeasureSemantic: repositoriesForkCountSemantic,
+	// Aggregate rules for `repositories-fork-count()`:
+	//   (the) total forks of my repos
+	//   (the) average forks of my repos
+	measureNoun: nouns.forks,
 })
 
 // Do not use `[repositories+]` because a repo can not be a fork of multiple other repos.
@@ -339,6 +426,10 @@ var repositoriesVisibilitySemantic = g.newSemantic({
 	forbidsMultipleIntersection: true,
 	// Restrict instances of this semantic to the user; i.e., the `me` semantic.
 	requires: g.reduceSemantic(repositoriesCreatedSemantic, oneSg.semanticArg),
+	sql: {
+		category: 'repositories',
+		argValues: { column: 'visibility', argNames: [ 'public', 'private' ] },
+	},
 })
 
 // public (repos of mine); (my) public (repos); (repos that are) public (and I created)
@@ -409,6 +500,10 @@ var language = g.newSymbol('language').addRule({
 		minParams: 1,
 		maxParams: 1,
 		forbidsMultipleIntersection: true,
+		sql: {
+			category: 'repositories',
+			entity: [ 'language' ],
+		},
 	}),
 })
 
@@ -426,42 +521,104 @@ repository.inner.addRule({ rhs: [ [ written, preps.language ], language ] })
 
 
 // NUM STARS:
+var repositoriesStarCountSemantic = g.newSemantic({
+	name: g.hyphenate(repository.namePl, 'star', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'repositories',
+		count: '(SELECT COUNT(*) FROM repository_likers WHERE repository_likers.repository_id = repositories.id)',
+	},
+})
+
+var repositoryStars = g.newTermSequence({
+	symbolName: g.hyphenate(repository.nameSg, 'stars'),
+	type: g.termTypes.NOUN,
+	acceptedTerms: [ nouns.stars ],
+	substitutedTerms: [ nouns.likes ],
+})
+
 repository.addCountRuleSet({
-	itemNoun: g.newTermSequence({
-		symbolName: g.hyphenate(repository.nameSg, 'stars'),
-		type: g.termTypes.NOUN,
-		acceptedTerms: [ nouns.stars ],
-		substitutedTerms: [ nouns.likes ],
-	}),
+	itemNoun: repositoryStars,
 	// Count rules for `companies-star-count()`:
 	//   (repos) with `<int>` stars
 	//   (repos that) have `<int>` stars
 	//   (repos that) do not have `<int>` stars
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(repository.namePl, 'star', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catCountSemantic: repositoriesStarCountSemantic,
+})
+
+var starredTerm = g.newTermSequence({
+	symbolName: 'starred',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'starred' ],
+	substitutedTerms: [ 'liked', 'popular' ],
+})
+
+repository.addOrderingRuleSet({
+	catOrderSemantic: repositoriesStarCountSemantic,
+	// Ordering rules for `repositories-star-count()`:
+	//   (my) most starred (repos)
+	//   (my) least starred (repos)
+	//   (repos) with the most stars
+	//   (repos) with the fewest stars
+	descTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.most, starredTerm ] }),
+	ascTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.least, starredTerm ] }),
+	itemNoun: repositoryStars,
+	// (the) top 5 (repos I like) => (the) top 5 most starred (repos I like)
+	topOrder: 'desc',
+})
+
+repository.addAggregateRuleSet({
+	catMeasureSemantic: repositoriesStarCountSemantic,
+	// Aggregate rules for `repositories-star-count()`:
+	//   (the) total stars of my repos
+	//   (the) average stars of my repos
+	measureNoun: repositoryStars,
 })
 
 // SIZE:
+var repositoriesSizeSemantic = g.newSemantic({
+	name: g.hyphenate(repository.namePl, 'size'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	sql: {
+		category: 'repositories',
+		count: 'size',
+	},
+})
+
 repository.addMeasurementRuleSet({
 	unitTerm: g.newTermSequence({
 		symbolName: 'size',
 		type: g.termTypes.INVARIABLE,
-		insertionCost: 3.5,
+		// Omit `insertionCost` to forbid insertion of the unit, which would otherwise assign the decimals the other counts reject to size; e.g., "repos with 2.5 stars" -> "repos that are under 2.5 KB and I like".
 		acceptedTerms: [ 'KB' ],
 	}),
+	// (repos that are) 1.5 KB
+	acceptsDecimals: true,
 	// Measurement rules for `repositories-size()`:
 	//   (repos that are) `<int>` KB
 	//   (repos that are not) `<int>` KB
-	catMeasurementSemantic: g.newSemantic({
-		name: g.hyphenate(repository.namePl, 'size'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 1,
-	}),
+	catMeasurementSemantic: repositoriesSizeSemantic,
+})
+
+repository.addOrderingRuleSet({
+	catOrderSemantic: repositoriesSizeSemantic,
+	// Ordering rules for `repositories-size()`:
+	//   (my) largest (repos)
+	//   (my) smallest (repos)
+	descTerm: terms.largest,
+	ascTerm: terms.smallest,
+})
+
+repository.addAggregateRuleSet({
+	catMeasureSemantic: repositoriesSizeSemantic,
+	// Aggregate rules for `repositories-size()`:
+	//   (the) total size of my repos
+	//   (the) average size of my repos
+	measureNoun: nouns.size,
 })
 
 // DATE PUSHED:
@@ -475,5 +632,9 @@ repository.addDateRuleSet({
 		cost: 0.5,
 		minParams: 1,
 		maxParams: 2,
+		sql: {
+			category: 'repositories',
+			date: 'pushed',
+		},
 	}),
 })
\ No newline at end of file
@@ -159,4 +159,9 @@ exports.boardMembers = g.newTermSequence({
 			nounFormsSet: { sg: 'advisor', pl: 'advisors' },
 		}),
 	],
+})
+
+// (the total) size (of my repos)
+exports.size = g.newMassNoun({
+	nounTerm: 'size',
 })
\ No newline at end of file
@@ -0,0 +1,134 @@
+var g = require('../grammar')
+var terms = require('./terms')
+var preps = require('./prepositions')
+
+
+/**
+ * The semantic that orders instances of a category by a count, measurement, or date semantic reduced with the direction `asc` or `desc`: `order-by(repositories-star-count(desc))`.
+ *
+ * A 'sort' ordering because a set has a single order, which rejects contradictory orderings (e.g., "newest repos with the most stars") and orderings whose precedence the semantic can not represent, because semantic arguments are sorted.
+ */
+exports.orderBySemantic = g.newSemantic({
+	name: g.hyphenate('order', 'by'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	ordering: 'sort',
+})
+
+// (repos with the) most (stars); (the) newest (issues)
+exports.descSemanticArg = g.newSemantic({ isArg: true, name: 'desc', cost: 0 })
+// (repos with the) fewest (stars); (the) oldest (issues)
+exports.ascSemanticArg = g.newSemantic({ isArg: true, name: 'asc', cost: 0 })
+
+/**
+ * The semantic that limits the ordered instances of a category to the first `n`: `limit(5)`.
+ *
+ * A 'selection' ordering, which rejects contradictory limits and positions; e.g., "top 5 top 10 repos".
+ */
+var limitSemantic = g.newSemantic({
+	name: 'limit',
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	ordering: 'selection',
+})
+
+// (the) top (5 most starred repos)
+var top = g.newTermSequence({
+	symbolName: 'top',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'top' ],
+})
+
+// (the top) 5 (most starred repos)
+var limitCount = g.newSymbol('limit', 'count').addRule({
+	isTerminal: true,
+	rhs: g.newIntSymbol({ min: 1, max: 100 }),
+	isPlaceholder: true,
+})
+
+// The limit without "top" only precedes a superlative, which defines the order of the instances it limits; i.e., "5 repos" alone is a count, not a limit.
+// (my) 5 (newest repos)
+exports.limit = g.newSymbol('limit').addRule({
+	rhs: [ limitCount ],
+	semantic: limitSemantic,
+})
+
+// The limit with "top" applies to the instances in the order of the superlative that follows, if any, else in the default order of the category, if any (i.e., `Category.prototype.addOrderingRuleSet()` with `topOrder`).
+// (the) top 5 (repos I like); (the) top 5 (most starred repos)
+exports.topLimit = g.newSymbol('top', 'limit').addRule({
+	rhs: [ top, limitCount ],
+	semantic: limitSemantic,
+})
+
+/**
+ * The semantic that selects the `n`th of the ordered instances of a category: `nth(3)`.
+ *
+ * A 'selection' ordering, which rejects contradictory positions and limits; e.g., "2nd 3rd repos".
+ */
+var nthSemantic = g.newSemantic({
+	name: 'nth',
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+	ordering: 'selection',
+})
+
+// (my) 3rd|third (repo); (the) 2nd (newest issue)
+var nthCount = g.newSymbol('nth', 'count').addRule({
+	isTerminal: true,
+	rhs: g.newIntSymbol({ min: 1, max: 100, acceptsOrdinals: true, requiresOrdinals: true }),
+	isPlaceholder: true,
+})
+
+// The position applies to the instances in the order of the superlative that follows, if any, else in the default order of the category, if any. Precedes singular head nouns.
+// (my) 3rd (repo); (my) 3rd (most starred repo)
+exports.nth = g.newSymbol('nth').addRule({
+	rhs: [ nthCount ],
+	semantic: nthSemantic,
+})
+
+// The determiner of the `n`th instance, and of a limit before a superlative, without a possessive determiner. "the" is deletable, hence insert "the" to correct the display text when input without "the".
+// the (3rd repo); the (2nd newest issue); the (5 newest issues)
+exports.the = g.newTermSequence({
+	symbolName: g.hyphenate('ordering', 'the'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 0.1,
+	acceptedTerms: [ 'the' ],
+})
+
+// The limit before a superlative without a possessive determiner, for which to insert "the" when input without "the"; e.g., "5 newest issues" -> "the 5 newest issues".
+// the 5 (newest issues)
+exports.theLimit = g.newBinaryRule({ rhs: [ exports.the, { symbol: exports.limit, noInsert: true } ] })
+
+// (repos) sorted|ordered by (stars)
+exports.sortedBy = g.newTermSequenceBinarySymbol({
+	type: g.termTypes.INVARIABLE,
+	termPair: [
+		g.newTermSequence({
+			symbolName: 'sorted',
+			type: g.termTypes.INVARIABLE,
+			acceptedTerms: [ 'sorted', 'ordered' ],
+			substitutedTerms: [ 'ranked' ],
+		}),
+		preps.agent,
+	],
+})
+
+// "the" is deletable, hence substitute "most" -> "the most" to correct the display text when input without "the".
+// (repos with) the most (stars)
+exports.theMost = g.newTermSequence({
+	symbolName: g.hyphenate('the', 'most'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ [ terms.the, terms.most ] ],
+	substitutedTerms: [ terms.most ],
+})
+
+// (repos with) the fewest (stars)
+exports.theFewest = g.newTermSequence({
+	symbolName: g.hyphenate('the', 'fewest'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ [ terms.the, terms.least ] ],
+	substitutedTerms: [ terms.least ],
+})
\ No newline at end of file
@@ -227,7 +227,6 @@ exports.before = g.newTermSequence({
 	insertionCost: 0.5,
 	acceptedTerms: [
 		'before',
-		'until',
 		// Define these term sets without substitutions, though some are prepositions; otherwise may create ambiguity with the base sequence's substitutions.
 		// No insertion costs for neither `[term-earlier]` nor `[term-prior]`.
 		[ adjectives.earlier, exports.than ],
@@ -251,7 +250,6 @@ exports.after = g.newTermSequence({
 	insertionCost: 1,
 	acceptedTerms: [
 		'after',
-		'since',
 		// Define these term sets without substitutions, though some are prepositions; otherwise may create ambiguity with the base sequence's substitutions.
 		// No insertion costs for neither `[term-later]` nor `[term-subsequent]`.
 		[ adjectives.later, exports.than ],
@@ -267,6 +265,26 @@ exports.after = g.newTermSequence({
 	],
 })
 
+// (repos created) since (`[date-value]`)
+exports.since = g.newTermSequence({
+	symbolName: g.hyphenate(prepSymNamePrefix, 'since'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'since' ],
+	substitutedTerms: [
+		{ term: 'starting', costPenalty: 0.5 },
+	],
+})
+
+// (repos created) until (`[date-value]`)
+exports.until = g.newTermSequence({
+	symbolName: g.hyphenate(prepSymNamePrefix, 'until'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'until' ],
+	substitutedTerms: [ 'till', 'through', 'thru' ],
+})
+
 var prepIntervalSubstitutedPreps = g.newTermSequence({
 	symbolName: g.hyphenate(prepSymNamePrefix, 'start', 'substituted', 'preposition'),
 	type: g.termTypes.INVARIABLE,
@@ -0,0 +1,24 @@
+var g = require('../grammar')
+
+
+/**
+ * The semantic that checks if the instance of a category its semantic argument represents is in the set its other argument represents: "does Danny follow me" -> `member(0,followers(me))`.
+ *
+ * Identifies the member by its semantic argument instead of its position because `semantic.reduce()` sorts arguments, which places semantic arguments before semantic functions.
+ */
+exports.memberSemantic = g.newSemantic({
+	name: 'member',
+	cost: 0.5,
+	minParams: 2,
+	maxParams: 2,
+})
+
+/**
+ * The semantic that checks if the set its argument represents has any instances: "do my followers follow Danny" -> `exists(intersect(followers(0),followers(me)))`.
+ */
+exports.existsSemantic = g.newSemantic({
+	name: 'exists',
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 1,
+})
\ No newline at end of file
@@ -33,11 +33,34 @@ exports.thisDate = g.newTermSequence({
 		// in|within|during this|the
 		// Prevent `[prep-origin]` insertion which would otherwise enable an ambiguous insertion for this substitution: "this" -> "in this" -> "this".
 		{ term: [ preps.origin, termThisSubstituted ], noInsertionIndexes: [ 0 ] },
-		// in|within|during this|the last|past
-		{ term: [ preps.origin, thisLastTermSubstituted ], noInsertionIndexes: [ 0 ] },
 	]
 })
 
+// (repos created) past|in the last (3 days|week)
+exports.pastDate = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'past', 'date'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1.5,
+	acceptedTerms: [
+		'past',
+		// in|within|during|over this|the last|past
+		[
+			g.newTermSequence({
+				symbolName: g.hyphenate(termSymNamePrefix, 'past', 'date', 'preposition'),
+				type: g.termTypes.INVARIABLE,
+				acceptedTerms: [ 'in', 'within', 'during', 'over' ],
+			}),
+			thisLastTermSubstituted,
+		],
+	],
+	substitutedTerms: [
+		// this|the last|past
+		{ term: thisLastTermSubstituted, costPenalty: 0.5 },
+		// last
+		{ term: 'last', costPenalty: 1 },
+	],
+})
+
 // (repos created) last (week|month|year)
 exports.lastDate = g.newTermSequence({
 	symbolName: g.hyphenate(termSymNamePrefix, 'last', 'date'),
@@ -73,4 +96,153 @@ exports.year = g.newTermSequence({
 	type: g.termTypes.INVARIABLE,
 	insertionCost: 0.5,
 	acceptedTerms: [ 'year' ],
+})
+
+// (repos created this) weekend
+exports.weekend = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'weekend'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'weekend' ],
+})
+
+// (repos created in the past) day
+exports.day = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'day'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'day' ],
+})
+
+// (repos created in) Q2|second quarter (2016)
+exports.quarter = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'quarter'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'quarter' ],
+})
+
+// The units of relative dates accept both singular and plural forms, because the count that precedes them is a placeholder: "1 day", "3 days".
+// (repos created 3) days (ago)
+exports.days = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'days'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'days', 'day' ],
+})
+
+// (repos created 2) weeks (ago)
+exports.weeks = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'weeks'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'weeks', 'week' ],
+})
+
+// (repos created 6) months (ago)
+exports.months = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'months'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'months', 'month' ],
+})
+
+// (repos created 2) years (ago)
+exports.years = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'years'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'years', 'year' ],
+})
+
+// (repos created 3 days) ago
+exports.ago = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'ago'),
+	type: g.termTypes.INVARIABLE,
+	insertionCost: 1,
+	acceptedTerms: [ 'ago' ],
+	substitutedTerms: [ 'back' ],
+})
+
+// (repos with) the (most stars)
+exports.the = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'the'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'the' ],
+})
+
+// (repos with the) most (stars); (the) most (starred repos)
+exports.most = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'most'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'most' ],
+})
+
+// (repos with the) fewest (stars); (the) least (starred repos)
+exports.least = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'least'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'least', 'fewest' ],
+})
+
+// (the 5) newest (issues)
+exports.newest = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'newest'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'newest' ],
+	substitutedTerms: [ 'latest', 'youngest' ],
+})
+
+// (the 5) oldest (issues)
+exports.oldest = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'oldest'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'oldest' ],
+	substitutedTerms: [ 'earliest' ],
+})
+
+// (my) largest (repos)
+exports.largest = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'largest'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'largest' ],
+	substitutedTerms: [ 'biggest' ],
+})
+
+// (my) smallest (repos)
+exports.smallest = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'smallest'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'smallest' ],
+})
+
+// how (many repos do I have)
+exports.how = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'how'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'how' ],
+})
+
+// (how) many (repos do I have)
+exports.many = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'many'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'many' ],
+})
+
+// number (of people who follow me)
+exports.number = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'number'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'number' ],
+})
+
+// total (size of my repos)
+exports.total = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'total'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'total' ],
+	substitutedTerms: [ 'sum', 'combined' ],
+})
+
+// average (size of my repos)
+exports.average = g.newTermSequence({
+	symbolName: g.hyphenate(termSymNamePrefix, 'average'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'average' ],
+	substitutedTerms: [ 'avg', 'mean' ],
 })
\ No newline at end of file
@@ -6,45 +6,87 @@ var g = require('../../grammar')
  * Use in conjugation with the nonterminal rule property, `personNumber`, which instructs `pfsearch` to copy the matching antecedent's semantic.
  */
 
-// (repos `{user}` likes that) he|she (contributed to)
-// (`{user:'s}` followers followed by) him|her
+// (repos `{user}` likes that) he (contributed to)
+// (`{user:'s}` followers followed by) him
+exports.threeSgMasculine = g.newPronoun({
+	symbolName: g.hyphenate(3, 'sg', 'masculine'),
+	pronounFormsTermSet: {
+		nom: 'he',
+		obj: 'him',
+	},
+})
+
+// (repos `{user}` likes that) she (contributed to)
+// (`{user:'s}` followers followed by) her
+exports.threeSgFeminine = g.newPronoun({
+	symbolName: g.hyphenate(3, 'sg', 'feminine'),
+	pronounFormsTermSet: {
+		nom: 'she',
+		obj: 'her',
+	},
+})
+
+// he|she, him|her
+// Anaphoric rules use the pronouns of each gender separately, with `anaphoraPronouns`, to only match antecedents of agreeing pronouns.
 exports.threeSg = g.newTermSequence({
 	symbolName: g.hyphenate(3, 'sg'),
 	type: g.termTypes.PRONOUN,
 	acceptedTerms: [
-		g.newPronoun({
-			symbolName: g.hyphenate(3, 'sg', 'masculine'),
-			pronounFormsTermSet: {
-				nom: 'he',
-				obj: 'him',
-			},
-		}),
-		g.newPronoun({
-			symbolName: g.hyphenate(3, 'sg', 'feminine'),
-			pronounFormsTermSet: {
-				nom: 'she',
-				obj: 'her',
-			},
-		}),
+		exports.threeSgMasculine,
+		exports.threeSgFeminine,
 	],
 })
 
-// (people who follow `{user}` and like) his|her (repos)
+// (people who follow `{user}` and like) his (repos)
+exports.threeSgMasculinePossDet = g.newTermSequence({
+	symbolName: g.hyphenate(exports.threeSgMasculine.name, 'poss', 'det'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'his' ],
+})
+
+// (people who follow `{user}` and like) her (repos)
+exports.threeSgFemininePossDet = g.newTermSequence({
+	symbolName: g.hyphenate(exports.threeSgFeminine.name, 'poss', 'det'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'her' ],
+})
+
+// his|her
 exports.threeSgPossDet = g.newTermSequence({
 	symbolName: g.hyphenate(exports.threeSg.name, 'poss', 'det'),
 	type: g.termTypes.INVARIABLE,
-	acceptedTerms: [ 'his', 'her' ],
+	acceptedTerms: [
+		exports.threeSgMasculinePossDet,
+		exports.threeSgFemininePossDet,
+	],
+})
+
+// (people who follow `{user}` and followers of) his
+exports.threeSgMasculinePossPronoun = g.newTermSequence({
+	symbolName: g.hyphenate(exports.threeSgMasculine.name, 'poss', 'pronoun'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'his' ],
+})
+
+// (people who follow `{user}` and followers of) hers
+exports.threeSgFemininePossPronoun = g.newTermSequence({
+	symbolName: g.hyphenate(exports.threeSgFeminine.name, 'poss', 'pronoun'),
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'hers' ],
 })
 
-// (people who follow `{user}` and followers of) his|hers
+// his|hers
 exports.threeSgPossPronoun = g.newTermSequence({
 	symbolName: g.hyphenate(exports.threeSg.name, 'poss', 'pronoun'),
 	type: g.termTypes.INVARIABLE,
-	acceptedTerms: [ 'his', 'hers' ],
+	acceptedTerms: [
+		exports.threeSgMasculinePossPronoun,
+		exports.threeSgFemininePossPronoun,
+	],
 })
 
 
-// (repos my followers like that) they (contributed to)
+// (repos my followers like that) they (contributed to); (repos `{user}` likes that) they (contributed to)
 // (my followers' followers who follow) them; (my followers' repos liked by) them
 exports.threePl = g.newPronoun({
 	symbolName: g.hyphenate(3, 'pl'),
@@ -17,6 +17,10 @@ var followersSemantic = g.newSemantic({
 	maxParams: 1,
 	// (people who follow) my followers and their followers
 	isPeople: true,
+	sql: {
+		category: 'users',
+		relation: { table: 'follows', column: 'follower_id', argColumn: 'followed_id', argCategory: 'users' },
+	},
 })
 
 // Note: Currently unused.
@@ -98,6 +102,10 @@ user.addVerbRuleSet({
 		maxParams: 1,
 		// (people who follow) people I follow and their followers
 		isPeople: true,
+		sql: {
+			category: 'users',
+			relation: { table: 'follows', column: 'followed_id', argColumn: 'follower_id', argCategory: 'users' },
+		},
 	}),
 	// Verb rules for `followers()`:
 	//   (people who) follow `[obj-users+]`
@@ -123,6 +131,12 @@ var userFollowersHead = g.newSymbol(user.nameSg, 'followers', 'head').addRule({
 	rhs: [ followers ],
 })
 
+// (my) followers; (my) female followers
+var userLhsFollowersHead = g.newBinaryRule({
+	rhs: [ user.lhs, userFollowersHead ],
+	transpositionCost: 1,
+})
+
 // (`[poss-determiner]`) followers
 // (`[poss-determiner]`) female followers
 user.noRelativePossessive.addRule({
@@ -131,15 +145,15 @@ user.noRelativePossessive.addRule({
 			rhs: [ user.possDeterminer ],
 			semantic: followersSemantic,
 		}), {
-			symbol: g.newBinaryRule({
-				rhs: [ user.lhs, userFollowersHead ],
-				transpositionCost: 1,
-			}),
+			symbol: userLhsFollowersHead,
 			noInsert: true,
 		},
 	],
 })
 
+// how many followers do I have; how many female followers does `{user}` have
+user.addHaveQuestionRule(userLhsFollowersHead, followersSemantic)
+
 // (followers) of `[poss-users]` [and/or `[poss-users+]`]
 user.head.addRule({
 	rhs: [
@@ -198,20 +212,55 @@ user.objUsers.addRule({
 
 
 // NUM FOLLOWERS:
+var usersFollowerCountSemantic = g.newSemantic({
+	name: g.hyphenate(user.namePl, 'follower', 'count'),
+	cost: 0.5,
+	minParams: 1,
+	maxParams: 2,
+	// (people who follow) people with `<int>` followers (and their followers)
+	isPeople: true,
+	sql: {
+		category: 'users',
+		count: '(SELECT COUNT(*) FROM follows WHERE follows.followed_id = users.id)',
+	},
+})
+
 user.addCountRuleSet({
 	itemNoun: followers,
 	// Count rules for `users-follower-count()`:
 	//   (people) with `<int>` followers
 	//   (people who) have `<int>` followers
 	//   (people who) do not have `<int>` followers
-	catCountSemantic: g.newSemantic({
-		name: g.hyphenate(user.namePl, 'follower', 'count'),
-		cost: 0.5,
-		minParams: 1,
-		maxParams: 2,
-		// (people who follow) people with `<int>` followers (and their followers)
-		isPeople: true,
-	}),
+	catCountSemantic: usersFollowerCountSemantic,
+})
+
+var followed = g.newTermSequence({
+	symbolName: 'followed',
+	type: g.termTypes.INVARIABLE,
+	acceptedTerms: [ 'followed' ],
+	substitutedTerms: [ 'popular' ],
+})
+
+user.addOrderingRuleSet({
+	catOrderSemantic: usersFollowerCountSemantic,
+	// Ordering rules for `users-follower-count()`:
+	//   (the) most followed (people)
+	//   (the) least followed (people)
+	//   (people) with the most followers
+	//   (people) with the fewest followers
+	descTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.most, followed ] }),
+	ascTerm: g.newTermSequenceBinarySymbol({ type: g.termTypes.INVARIABLE, termPair: [ terms.least, followed ] }),
+	itemNoun: followers,
+	// (the) top 5 (people) => (the) top 5 most followed (people)
+	topOrder: 'desc',
+})
+
+user.addAggregateRuleSet({
+	catMeasureSemantic: usersFollowerCountSemantic,
+	// Aggregate rules for `users-follower-count()`:
+	//   (the) total followers of my followers
+	//   (the) average followers of my followers
+	measureNoun: followers,
 })
 
 
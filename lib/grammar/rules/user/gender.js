@@ -10,16 +10,23 @@ var usersGenderSemantic = g.newSemantic({
 	forbidsMultipleIntersection: true,
 	// (repos liked by) men and their followers
 	isPeople: true,
+	sql: {
+		category: 'users',
+		argValues: { column: 'gender', argNames: [ 'female', 'male' ] },
+	},
 })
 var usersGenderFemaleSemantic = g.reduceSemantic(usersGenderSemantic, g.newSemantic({
 	isArg: true,
 	name: 'female',
 	cost: 0,
+	// Evidence of the pronouns of people in the set: "is `{user}` female" -> "repos she likes".
+	pronouns: 'she',
 }))
 var usersGenderMaleSemantic = g.reduceSemantic(usersGenderSemantic, g.newSemantic({
 	isArg: true,
 	name: 'male',
 	cost: 0,
+	pronouns: 'he',
 }))
 
 // female (followers of mine); (people who are) female; (my) female (followers)
@@ -51,4 +58,8 @@ var termMen = g.newTermSequence({
 	acceptedTerms: [ 'men', 'males' ],
 })
 // men (who follow me); (people who are) men; men
-user.head.addRule({ rhs: [ termMen ], semantic: usersGenderMaleSemantic })
\ No newline at end of file
+user.head.addRule({ rhs: [ termMen ], semantic: usersGenderMaleSemantic })
+
+// is `{user}` female; are my followers female
+// is `{user}` male; are my followers male
+user.addCopulaQuestion(user.adjective)
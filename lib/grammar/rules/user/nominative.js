@@ -29,18 +29,29 @@ nomUsers.addRule({
 	personNumber: 'oneSg',
 	semantic: oneSg.semanticArg,
 })
-// (repos `{user}` likes that) he|she (contributed to)
+// (repos `{user}` likes that) he (contributed to)
 nomUsers.addRule({
 	rhs: [ {
-		// Dictates inflection of `[3-sg]`:
-		//   "(repos `{user}` likes that) `[3-sg]` (...)" -> "(repos `{user}` likes that) he|she (...)"
-		symbol: anaphora.threeSg,
+		// Dictates inflection of `[3-sg-masculine]`:
+		//   "(repos `{user}` likes that) `[3-sg-masculine]` (...)" -> "(repos `{user}` likes that) he (...)"
+		symbol: anaphora.threeSgMasculine,
 		grammaticalForm: 'nom',
 	} ],
-	// Dictates inflection of the verb that follows `[3-sg]`:
-	//   "(repos `{user}` likes that) he|she (`[verb-contribute-to]`)" -> "(...) he|she (contributes to)"
+	// Dictates inflection of the verb that follows `[3-sg-masculine]`:
+	//   "(repos `{user}` likes that) he (`[verb-contribute-to]`)" -> "(...) he (contributes to)"
 	personNumber: 'threeSg',
 	anaphoraPersonNumber: 'threeSg',
+	anaphoraPronouns: 'he',
+})
+// (repos `{user}` likes that) she (contributed to)
+nomUsers.addRule({
+	rhs: [ {
+		symbol: anaphora.threeSgFeminine,
+		grammaticalForm: 'nom',
+	} ],
+	personNumber: 'threeSg',
+	anaphoraPersonNumber: 'threeSg',
+	anaphoraPronouns: 'she',
 })
 // (repos) people who follow me (like)
 nomUsers.addRule({
@@ -63,6 +74,20 @@ nomUsers.addRule({
 	anaphoraPersonNumber: 'threePl',
 })
 
+// do I (follow `{user}`); am I (followed by `{user}`)
+user.addQuestionSubject({
+	subject: {
+		symbol: oneSg.pronoun,
+		// Dictates inflection of `[1-sg]`:
+		//   "do `[1-sg]` (follow `{user}`)" -> "do I (follow `{user}`)"
+		grammaticalForm: 'nom',
+	},
+	// Dictates inflection of the inverted auxiliary verb that precedes `[1-sg]`:
+	//   "`[do]` I (follow `{user}`)" -> "do I (follow `{user}`)"
+	personNumber: 'oneSg',
+	semantic: oneSg.semanticArg,
+})
+
 /**
  * Excludes the following user subject because it is nearly semantically useless:
  *   `[nom-users]` -> "people", `all(users)` => "(repos) people (like)"
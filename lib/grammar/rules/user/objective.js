@@ -21,13 +21,23 @@ exports.objUsers.addRule({
 	} ],
 	semantic: oneSg.semanticArg,
 })
-// (`{user:'s}` followers followed by) him|her
+// (`{user:'s}` followers followed by) him
 exports.objUsers.addRule({
 	rhs: [ {
-		symbol: anaphora.threeSg,
+		symbol: anaphora.threeSgMasculine,
 		grammaticalForm: 'obj',
 	} ],
 	anaphoraPersonNumber: 'threeSg',
+	anaphoraPronouns: 'he',
+})
+// (`{user:'s}` followers followed by) her
+exports.objUsers.addRule({
+	rhs: [ {
+		symbol: anaphora.threeSgFeminine,
+		grammaticalForm: 'obj',
+	} ],
+	anaphoraPersonNumber: 'threeSg',
+	anaphoraPronouns: 'she',
 })
 // (people who follow) people who...
 // (people followed by) people who...
@@ -14,8 +14,10 @@ exports.possDeterminerSg = g.newSymbol(possSymNamePrefix, 'determiner', 'sg')
 exports.possDeterminerSg.addRule({ rhs: [ oneSg.possDet ], semantic: oneSg.semanticArg })
 // `{user:'s}` (repositories)
 exports.possDeterminerSg.addRule({ rhs: [ user.sgPossessive ] })
-// (people who follow `{user}` and) his|her (followers)
-exports.possDeterminerSg.addRule({ rhs: [ anaphora.threeSgPossDet ], anaphoraPersonNumber: 'threeSg' })
+// (people who follow `{user}` and) his (followers)
+exports.possDeterminerSg.addRule({ rhs: [ anaphora.threeSgMasculinePossDet ], anaphoraPersonNumber: 'threeSg', anaphoraPronouns: 'he' })
+// (people who follow `{user}` and) her (followers)
+exports.possDeterminerSg.addRule({ rhs: [ anaphora.threeSgFemininePossDet ], anaphoraPersonNumber: 'threeSg', anaphoraPronouns: 'she' })
 
 // my/`{user:'s}` followers' (repos); my/`{user:'s}` female followers' (repos)
 exports.possDeterminerPl = g.newSymbol(possSymNamePrefix, 'determiner', 'pl')
@@ -37,8 +39,10 @@ possUsers.addRule({ rhs: [ user.sg ] })
 possUsers.addRule({ rhs: [ user.sgPossessive ] })
 // (followers of) mine
 possUsers.addRule({ rhs: [ oneSg.possPronoun ], semantic: oneSg.semanticArg })
-// (people who follow `{user}` and followers of) his|hers
-possUsers.addRule({ rhs: [ anaphora.threeSgPossPronoun ], anaphoraPersonNumber: 'threeSg' })
+// (people who follow `{user}` and followers of) his
+possUsers.addRule({ rhs: [ anaphora.threeSgMasculinePossPronoun ], anaphoraPersonNumber: 'threeSg', anaphoraPronouns: 'he' })
+// (people who follow `{user}` and followers of) hers
+possUsers.addRule({ rhs: [ anaphora.threeSgFemininePossPronoun ], anaphoraPersonNumber: 'threeSg', anaphoraPronouns: 'she' })
 // (repos of) people who follow me
 possUsers.addRule({ rhs: [ user.plural ] })
 // (people who follow my followers and followers of) theirs
@@ -5,6 +5,7 @@ var g = require('../../grammar')
 var user = g.newCategory({
 	nameSg: 'user',
 	namePl: 'users',
+	sqlTable: 'users',
 	isPerson: true,
 	headNoun: g.newTermSequence({
 		symbolName: g.hyphenate('user', 'head', 'noun'),
@@ -20,7 +21,8 @@ var user = g.newCategory({
 		],
 	}),
 	entities: [
-		'Danny',
+		// Test anaphora agreement with entity pronouns. E.g., "repos Danny and Elizabeth Cady Stanton like that she created".
+		{ display: 'Danny', names: [ 'Danny' ], pronouns: 'he' },
 		'Aang',
 		'John',
 		// Test ambiguity with entities. E.g., "people who follow John".
@@ -37,7 +39,7 @@ var user = g.newCategory({
 		// Test rejection of incorrect count of token matches. E.g., "Max Max" is accepted and "Max Max Max" is rejected though the same number of tokens.
 		'Max Planck Max',
 		'Richard Feynman',
-		'Elizabeth Cady Stanton',
+		{ display: 'Elizabeth Cady Stanton', names: [ 'Elizabeth Cady Stanton' ], pronouns: 'she' },
 		// Test ambiguity where multi-token names for the same entity contain an identical token. A match to only that token matches both names, which both map to the same entity (id and display text). E.g., "people who follow Alan".
 		{ display: 'Alan Kay', names: [ 'Alan Kay', 'Alan Curtis' ] },
 		// Test ambiguity where a multi-token name contains a token that is also a single-token name for the same entity. A match to only that token matches both names, which both map to the same entity (id and display text). E.g., "people who follow Iroh".
@@ -70,6 +70,10 @@ exports.new = function (options) {
  *
  * `options.forbidsMultipleIntersection` is for use when a database object can only have one value for a specific property (e.g., "repos only created by 1 person"), and must forbid multiple instances of the corresponding semantic function within another semantic's arguments (irrespective of child semantics). Otherwise, an intersection of objects with different values for this property will return an empty set.
  *
+ * `options.sql` maps a semantic function that returns database objects to the tables and columns of `schema.sql`, with which `SQLCompiler` compiles the function to SQL. See `SQLCompiler.prototype.addMapping()` for the mapping types. If built with `checkSQLMappings`, the grammar build fails if a semantic function lacks a mapping, other than the semantics `SQLCompiler` compiles itself (e.g., `intersect()`, `order-by()`).
+ *
+ * `options.ordering` is for semantics that order the set of their `intersect()` instead of filtering it. A set has a single order and a single selection from that order, hence `semantic.reduce()` and `semanticChecks.hasContradictoryOrderings()` reject an `intersect()` with multiple orderings of the same kind (e.g., "newest repos with the most stars"), irrespective of the semantic functions.
+ *
  * @private
  * @static
  * @param {Object} options The options object.
@@ -80,6 +84,8 @@ exports.new = function (options) {
  * @param {boolean} [options.forbidsMultipleIntersection] Specify forbidding multiple instantces of this semantic function in the arguments of an `intersect()`, irrespective of this semantic's arguments.
  * @param {Object[]} [options.requires] A separate semantic that `pfsearch` requires is within the same instance of `intersect()` as this semantic, else rejects the semantic tree.
  * @param {boolean} [options.isPeople] Specify this semantic represents a set of people and can serve as the antecedent for an anaphoric, plural (grammatical number) expression.
+ * @param {string} [options.ordering] The kind of ordering this semantic applies to the instances of its `intersect()`: 'sort', which orders the instances (e.g., `order-by()`), or 'selection', which selects from the ordered instances (e.g., `limit()`, `nth()`).
+ * @param {Object} [options.sql] The SQL mapping of this semantic function, which defines the dataset record `category` the function returns and how to match its rows.
  * @returns {Object[]} Returns the new semantic function.
  */
 var semanticFunctionSchema = {
@@ -90,6 +96,8 @@ var semanticFunctionSchema = {
 	forbidsMultipleIntersection: Boolean,
 	requires: Array,
 	isPeople: Boolean,
+	ordering: { values: [ 'sort', 'selection' ] },
+	sql: Object,
 }
 
 function newSemanticFunction(options) {
@@ -127,7 +135,9 @@ function newSemanticFunction(options) {
 		minParams: options.minParams,
 		maxParams: options.maxParams,
 		forbidsMultipleIntersection: options.forbidsMultipleIntersection,
+		ordering: options.ordering,
 		requires: requiredSemantic,
+		sql: options.sql,
 	}
 
 	if (options.isPeople) {
@@ -155,12 +165,14 @@ function newSemanticFunction(options) {
  * @param {boolean} options.isArg Specify this is a semantic argument.
  * @param {string} options.name The unique semantic name.
  * @param {number} options.cost The cost penalty added to rules that use this semantic.
+ * @param {string} [options.pronouns] The pronouns of the people this semantic argument describes as the argument of a semantic function (e.g., `users-gender(female)`), which `DialogueContext` uses as evidence of the pronouns of entities that a previous query checks are members of that set: "is `{user}` female" -> "repos she likes".
  * @returns {Object[]} Returns the new semantic argument.
  */
 var semanticArgumentSchema = {
 	isArg: { type: Boolean, required: true },
 	name: { type: String, required: true },
 	cost: { type: Number, required: true },
+	pronouns: { values: [ 'he', 'she', 'they' ] },
 }
 
 function newSemanticArgument(options) {
@@ -176,6 +188,10 @@ function newSemanticArgument(options) {
 		cost: options.cost,
 	}
 
+	if (options.pronouns) {
+		semanticDef.pronouns = options.pronouns
+	}
+
 	return [ {
 		semantic: semanticDef,
 	} ]
@@ -282,10 +298,10 @@ exports.isForbiddenMultiple = function (semanticList, newLHSSemanticNodeArray) {
 		// `newLHSSemanticNodeArray` will only ever have one semantic (which has yet to be reduced).
 		var lhsSemantic = newLHSSemanticNodeArray[0].semantic
 
-		// Check if multiple instances of `lhsSemantic` are forbidden within the same set of `intersect()` arguments; e.g., `users-gender()` has only one mode of being.
-		if (lhsSemantic.forbidsMultipleIntersection) {
+		// Check if multiple instances of `lhsSemantic` are forbidden within the same set of `intersect()` arguments; e.g., `users-gender()` has only one mode of being. Also check for orderings of the same kind as `lhsSemantic`, if an ordering.
+		if (lhsSemantic.forbidsMultipleIntersection || lhsSemantic.ordering) {
 			for (var s = 0, rhsLen = rhsSemanticNodeArray.length; s < rhsLen; ++s) {
-				if (rhsSemanticNodeArray[s].semantic === lhsSemantic) {
+				if (isForbiddenPair(rhsSemanticNodeArray[s].semantic, lhsSemantic)) {
 					return true
 				}
 			}
@@ -296,22 +312,22 @@ exports.isForbiddenMultiple = function (semanticList, newLHSSemanticNodeArray) {
 }
 
 /**
- * Checks for multiple instances of the same semantic function marked `forbidsMultipleIntersection` in `rhsSemanticNodeArray`.
+ * Checks for multiple instances of the same semantic function marked `forbidsMultipleIntersection`, or multiple orderings of the same kind, in `rhsSemanticNodeArray`.
  *
  * For use by `semantic.reduce()` when the LHS semantic is `intersect()` and `rhsSemanticNodeArray` is to become its semantic arguments when reduced.
  *
  * @private
  * @static
  * @param {Object[]} rhsSemanticNodeArray The semantic node array to check.
- * @returns {boolean} Returns `true` if `rhsSemanticNodeArray` contains multiple instances of the same semantic function marked `forbidsMultipleIntersection`, else `false`.
+ * @returns {boolean} Returns `true` if `rhsSemanticNodeArray` contains multiple instances of the same semantic function marked `forbidsMultipleIntersection` or multiple orderings of the same kind, else `false`.
  */
 function hasForbiddenMultiple(rhsSemanticNodeArray) {
 	for (var s = 0, rhsLen = rhsSemanticNodeArray.length; s < rhsLen; ++s) {
 		var semanticNode = rhsSemanticNodeArray[s]
 		var semanticDef = semanticNode.semantic
-		if (semanticDef.forbidsMultipleIntersection) {
+		if (semanticDef.forbidsMultipleIntersection || semanticDef.ordering) {
 			for (var j = s + 1; j < rhsLen; ++j) {
-				if (rhsSemanticNodeArray[j].semantic === semanticDef) {
+				if (isForbiddenPair(rhsSemanticNodeArray[j].semantic, semanticDef)) {
 					return true
 				}
 			}
@@ -321,6 +337,53 @@ function hasForbiddenMultiple(rhsSemanticNodeArray) {
 	return false
 }
 
+/**
+ * Checks if `semanticArray` contains multiple orderings of the same kind within the same set of `intersect()` arguments, at any depth; e.g., `intersect(order-by(repositories-created-date(desc)),order-by(repositories-star-count(desc)))`.
+ *
+ * For use by `semanticChecks.hasContradictoryOrderings()` to discard grammar rules with such semantics, which `semantic.reduce()` rejects when parsing.
+ *
+ * @static
+ * @memberOf semantic
+ * @param {Object[]} semanticArray The semantic array to check.
+ * @returns {boolean} Returns `true` if `semanticArray` contains contradictory orderings, else `false`.
+ */
+exports.hasContradictoryOrderings = function (semanticArray) {
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticDef = semanticArray[s].semantic
+		if (semanticDef.ordering) {
+			for (var j = s + 1; j < semanticArrayLen; ++j) {
+				if (semanticArray[j].semantic.ordering === semanticDef.ordering) {
+					return true
+				}
+			}
+		}
+
+		var children = semanticArray[s].children
+		if (children && exports.hasContradictoryOrderings(children)) {
+			return true
+		}
+	}
+
+	return false
+}
+
+/**
+ * Checks if `semanticDefA` and `semanticDefB` are forbidden within the same set of `intersect()` arguments: either the same semantic function marked `forbidsMultipleIntersection`, or orderings of the same kind (e.g., `order-by()` and `order-by()`, `limit()` and `nth()`).
+ *
+ * @private
+ * @static
+ * @param {Object} semanticDefA The semantic definition to compare.
+ * @param {Object} semanticDefB The other semantic definition to compare.
+ * @returns {boolean} Returns `true` if the semantics are forbidden together, else `false`.
+ */
+function isForbiddenPair(semanticDefA, semanticDefB) {
+	if (semanticDefA === semanticDefB && semanticDefA.forbidsMultipleIntersection) {
+		return true
+	}
+
+	return !!semanticDefA.ordering && semanticDefA.ordering === semanticDefB.ordering
+}
+
 /**
  * Performs a deep comparison between two semantic nodes, `a` and `b`, to determine if they are equivalent.
  *
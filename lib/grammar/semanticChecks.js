@@ -1,11 +1,12 @@
 var util = require('../util/util')
 var g = require('./grammar')
 var grammarUtil = require('./grammarUtil')
+var semantic = require('./semantic')
 var semanticPotential = require('./semanticPotential')
 
 
 /**
- * Iterates over rules in `ruleSets`, invoking `semanticChecks.isRuleMissingReducedSemantic()` on each rule, removing non-edit rules that lack and can not produce a reduced semantic if required for themselves or their ancestor rules.
+ * Iterates over rules in `ruleSets`, invoking `semanticChecks.hasContradictoryOrderings()` and `semanticChecks.isRuleMissingReducedSemantic()` on each rule, removing non-edit rules with contradictory orderings or that lack and can not produce a reduced semantic if required for themselves or their ancestor rules.
  *
  * While checking ancestor rules for a non-reduced semantic, if finds a parent rule this method has yet to evaluate, recursively evaluates that rule first and removes it from the grammar if necessary. Must check parent rules first in order to only remove the problematic rules that always fail, and not the descendant rules that only fail sometimes because of the problematic ancestor rule.
  *
@@ -29,7 +30,7 @@ exports.removeRulesMissingRequiredSemantics = function (ruleSets, printWarnings)
 	grammarUtil.forEachRuleSet(ruleSets, function (rules, nontermSym) {
 		// Do not cache `rules.length` because the array can change when removing problematic parent rules (for recursive rules) in recursive `semanticChecks.isRuleMissingReducedSemantic()` invocations. Will never remove rules that precede index `r` because those have already been checked and removed if necessary.
 		for (var r = 0; r < rules.length; ++r) {
-			if (exports.isRuleMissingReducedSemantic(ruleSets, nontermSym, rules[r], printWarnings, true)) {
+			if (exports.hasContradictoryOrderings(ruleSets, nontermSym, rules[r], printWarnings) || exports.isRuleMissingReducedSemantic(ruleSets, nontermSym, rules[r], printWarnings, true)) {
 				// Decrement index after removing `rules[r]`.
 				--r
 			}
@@ -119,6 +120,41 @@ exports.isRuleMissingReducedSemantic = function (ruleSets, nontermSym, rule, pri
 	return false
 }
 
+/**
+ * Checks if `rule` has a semantic with multiple orderings of the same kind within the same set of `intersect()` arguments (e.g., an insertion rule that merges the semantics of "newest" and "with the most stars"), which `semantic.reduce()` would reject in every parse tree that uses `rule`. If so, removes `rule` from the grammar if it exists in `ruleSets` (i.e., `rule` is a non-edit rule).
+ *
+ * Orderings are semantics defined with `options.ordering`, which order the set of their `intersect()` instead of filtering it; e.g., `order-by()`, `limit()`. A set has a single order and a single selection from that order. The grammar accepts at most one ordering per noun phrase, and `semantic.reduce()` rejects the contradictory orderings that parse trees combine across rules.
+ *
+ * @static
+ * @memberOf semanticChecks
+ * @param {Object} ruleSets The map of the grammar's nonterminal symbols to rules.
+ * @param {string} nontermSym The LHS (nonterminal) symbol of the rule to check.
+ * @param {Object} rule The rule `nontermSym` produces to check.
+ * @param {boolean} [printWarnings] Specify printing a warning if `rule` has contradictory orderings.
+ * @returns {boolean} Returns `true` if `rule` has contradictory orderings, else `false`.
+ */
+exports.hasContradictoryOrderings = function (ruleSets, nontermSym, rule, printWarnings) {
+	if (!rule.semantic || !semantic.hasContradictoryOrderings(rule.semantic)) {
+		return false
+	}
+
+	var rules = ruleSets[nontermSym]
+	var ruleIdx = rules.indexOf(rule)
+
+	// Remove problematic rule if already in grammar.
+	if (ruleIdx !== -1) {
+		rules.splice(ruleIdx, 1)
+	}
+
+	if (printWarnings) {
+		util.logWarning((rule.tree || rule.isTransposition ? 'Edit-rule' : 'Rule') + ' has contradictory orderings:')
+		util.log('  ' + grammarUtil.stringifyRule(nontermSym, rule))
+		if (rule.line) util.log('  ' + rule.line)
+	}
+
+	return true
+}
+
 /**
  * Gets parse tree paths that produce `rule` (either with `nontermSym` as a RHS symbol or as a descendant of a RHS symbol), of which every path has a LHS semantic that requires `rule` produce a reduced semantic.
  *
@@ -18,7 +18,7 @@ util.skipFileInLocationRetrieval()
  *
  * Count nouns represent distinct objects, with separate singular and plural forms for modification by numerals or co-occurrence with quantificational determiners (e.g., "every", "each"); e.g., "follower(s)".
  *
- * Each terminal rule in the set has the string `pl` as its `text`. The grammar generator and `pfsearch` do not use `sg` as display text. Rather, its parametrization serves only to enforce complete definition of nouns, and is replaced when input by `pl`.
+ * Each terminal rule in the set has the string `pl` as its `text`. The grammar generator and `pfsearch` do not use `sg` as display text, except in the set's singular counterpart for noun phrases of a single instance (e.g., "(my 3rd) repo"). Otherwise, its parametrization serves only to enforce complete definition of nouns, and is replaced when input by `pl`.
  *
  * Note: Each of the noun forms becomes a terminal symbol and can not contain whitespace.
  *
@@ -36,7 +36,7 @@ var countNounFormsSetSchema = {
  *
  * Count nouns represent distinct objects, with separate singular and plural forms for modification by numerals or co-occurrence with quantificational determiners (e.g., "every", "each"); e.g., "follower(s)". In contrast, mass nouns (created by `nounTermSet.newMassSet()`) do not have separate forms for plurality nor can occur with numerals or quantificational determiners.
  *
- * Each rule in the set, created from the terms in `options.nounFormsSet`, has the string `options.nounFormsSet.pl` as its `text`. The grammar generator and `pfsearch` do not use `options.nounFormsSet.sg` as display text. Rather, its parametrization serves only to enforce complete definition of nouns, and is replaced when input by `options.nounFormsSet.pl`.
+ * Each rule in the set, created from the terms in `options.nounFormsSet`, has the string `options.nounFormsSet.pl` as its `text`. The grammar generator and `pfsearch` do not use `options.nounFormsSet.sg` as display text, except in the set's singular counterpart, `singular`. Otherwise, its parametrization serves only to enforce complete definition of nouns, and is replaced when input by `options.nounFormsSet.pl`.
  *
  * Note: Each noun form in `options.nounFormsSet` becomes a terminal symbol and can not contain whitespace.
  *
@@ -48,6 +48,8 @@ var countNounFormsSetSchema = {
  * • defaultText - The invariable `text` string for the plural noun form, `options.nounFormsSet.pl`, used as
  *   display text for every (terminal) rule this `NSymbol` produces.
  * • insertionCost - `options.insertionCost`, if defined.
+ * • singular - The terminal rule set of the same terms with the singular noun form, `options.nounFormsSet.sg`, as
+ *   display text, for noun phrases of a single instance; e.g., "(my 3rd) repo". Named with the suffix '-sg'.
  *
  * @memberOf nounTermSet
  * @param {Object} options The options object.
@@ -85,12 +87,29 @@ exports.newCountNoun = function (options) {
 	nounSym.addRule(createNounTerminalRule(nounFormsSet.sg, nounDisplayText))
 
 	// Extend `nounSym` with term sequence properties. Enables nesting of `nounSym` in other term sequences with matching term sequence type, and prevents addition of further rules to `nounSym`.
-	return nounSym._toTermSequence({
+	nounSym._toTermSequence({
 		isTermSet: true,
 		type: termSequence.termTypes.NOUN,
 		defaultText: nounDisplayText,
 		insertionCost: options.insertionCost,
 	})
+
+	// Create the singular counterpart of `nounSym`, which accepts the same terms but displays the singular noun form. Define the rules in the same order as `nounSym`, with `options.insertionCost` on the plural form, to keep the insertion costs of each terminal symbol consistent across the grammar.
+	var singularSym = g.newSymbol(g.hyphenate('noun', nounFormsSet.pl, 'sg'))
+	singularSym.addRule(createNounTerminalRule(nounFormsSet.pl, nounFormsSet.sg, options.insertionCost))
+	singularSym.addRule(createNounTerminalRule(nounFormsSet.sg, nounFormsSet.sg))
+	singularSym._toTermSequence({
+		isTermSet: true,
+		type: termSequence.termTypes.NOUN,
+		defaultText: nounFormsSet.sg,
+		insertionCost: options.insertionCost,
+	})
+
+	// A singular noun set is its own singular counterpart, which stops `termSequence.newTermSequence()` from creating singular counterparts of singular sequences.
+	singularSym.singular = singularSym
+	nounSym.singular = singularSym
+
+	return nounSym
 }
 
 /**
@@ -110,6 +129,7 @@ exports.newCountNoun = function (options) {
  * • defaultText - The invariable `text` string for noun term, `options.nounTerm`, used as display text for the
  *   single (terminal) rule this `NSymbol` produces.
  * • insertionCost - `options.insertionCost`, if defined.
+ * • singular - This `NSymbol`, because mass nouns have one form.
  *
  * @memberOf nounTermSet
  * @param {Object} options The options object.
@@ -136,12 +156,17 @@ exports.newMassNoun = function (options) {
 	nounSym.addRule(createNounTerminalRule(nounTerm, nounTerm, options.insertionCost))
 
 	// Extend `nounSym` with term sequence properties. Enables nesting of `nounSym` in other term sequences with matching term sequence type, and prevents addition of further rules to `nounSym`.
-	return nounSym._toTermSequence({
+	nounSym._toTermSequence({
 		isTermSet: true,
 		type: termSequence.termTypes.NOUN,
 		defaultText: nounTerm,
 		insertionCost: options.insertionCost,
 	})
+
+	// Mass nouns have one form, which is also their form in singular noun phrases.
+	nounSym.singular = nounSym
+
+	return nounSym
 }
 
 /**
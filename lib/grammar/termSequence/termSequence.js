@@ -126,6 +126,7 @@ var termWrapperSchema = {
  * • termSequenceType - `options.type`.
  * • defaultText - The `defaultText` value (or merger of `defaultText` values) of the first term sequence (or terminal rule set) in `options.acceptedTerms`. For use when nesting this `NSymbol` in another term sequence.
  * • insertionCost - `options.insertionCost`, if defined.
+ * • singular - If `options.type` is 'noun', the term sequence that accepts the same terms but displays the singular form of each accepted noun, for noun phrases of a single instance; e.g., "(my 3rd) repo". Named `options.symbolName` with the suffix '-sg'. Is this `NSymbol` if its nouns have no other singular form (e.g., mass nouns).
  *
  * @memberOf termSequence
  * @param {Object} options The options object.
@@ -335,9 +336,71 @@ exports.newTermSequence = function (options) {
 		})
 	}
 
+	if (options.type === exports.termTypes.NOUN) {
+		termSeqSym.singular = createSingularTermSequence(termSeqSym, options)
+	}
+
 	return termSeqSym
 }
 
+/**
+ * Creates the singular counterpart of the noun term sequence `termSeqSym`, which accepts the same terms as `termSeqSym` but displays the singular form of each accepted noun. The substituted terms display the singular form of the first accepted term.
+ *
+ * Returns `termSeqSym` if its accepted nouns have no other singular form, which includes the singular counterparts themselves.
+ *
+ * @private
+ * @static
+ * @param {NSymbol} termSeqSym The noun term sequence.
+ * @param {Object} options The `termSequence.newTermSequence()` options object with which `termSeqSym` was created.
+ * @returns {NSymbol} Returns the singular term sequence.
+ */
+function createSingularTermSequence(termSeqSym, options) {
+	var singularAcceptedTerms = options.acceptedTerms.map(getSingularTerm)
+
+	if (singularAcceptedTerms.every((term, i) => term === options.acceptedTerms[i])) {
+		return termSeqSym
+	}
+
+	var singularOptions = {
+		symbolName: g.hyphenate(options.symbolName, 'sg'),
+		type: options.type,
+		acceptedTerms: singularAcceptedTerms,
+	}
+
+	if (options.substitutedTerms) {
+		singularOptions.substitutedTerms = options.substitutedTerms
+	}
+
+	return exports.newTermSequence(singularOptions)
+}
+
+/**
+ * Gets the singular counterpart of `term`, an item of `options.acceptedTerms` of `termSequence.newTermSequence()`: replaces each noun terminal rule set and noun term sequence with its `singular`, if any. Returns `term` if unchanged.
+ *
+ * @private
+ * @static
+ * @param {string|NSymbol|NSymbol[]|TermWrapper} term The term to map.
+ * @returns {string|NSymbol|NSymbol[]|TermWrapper} Returns the singular term.
+ */
+function getSingularTerm(term) {
+	if (term.constructor === Object) {
+		var singularTerm = getSingularTerm(term.term)
+		return singularTerm === term.term ? term : Object.assign({}, term, { term: singularTerm })
+	}
+
+	if (term.constructor === Array) {
+		var singularPair = term.map(getSingularTerm)
+		return singularPair.every((pairTerm, i) => pairTerm === term[i]) ? term : singularPair
+	}
+
+	// Noun term sequence pairs that `termSequence.newTermSequenceBinarySymbol()` creates directly have no singular counterpart.
+	if (term.termSequenceType === exports.termTypes.NOUN && term.singular) {
+		return term.singular
+	}
+
+	return term
+}
+
 /**
  * Checks if `options`, which was passed to `termSequence.newTermSequence()` or `termSequence.newTermSequenceBinarySymbol()`, is ill-formed. If so, prints an error.
  *
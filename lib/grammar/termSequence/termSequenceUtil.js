@@ -1,4 +1,5 @@
 var util = require('../../util/util')
+var locale = require('../locale/locale')
 
 
 /**
@@ -18,8 +19,9 @@ exports.isTermSequenceType = function (term, type) {
  * Checks if `terminalSymbol` is ill-formed. If so, prints an error message.
  *
  * Only the following terminal symbols are permitted:
- * • Contains only alphabetic and/or specified punctuation characters: a-z, A-Z, '
+ * • Contains only alphabetic characters of the grammar's locale (English: a-z, A-Z) and/or specified punctuation characters: '
  * • Integers greater than or equal to 0
+ * • Alphabetic characters of the grammar's locale joined with an integer, on either side: "Q1", "1st"
  * • Exactly: <, >
  *
  * @static
@@ -45,7 +47,7 @@ exports.isIllFormedTerminalSymbol = function (terminalSymbol) {
 
 	/**
 	 * Check if `terminalSymbol` is an integer greater than or equal to 0.
-	 * • Only digit characters (0-9), no decimal points, and no leading zeros. Alphanumeric symbols that contains digits are rejected.
+	 * • Only digit characters (0-9), no decimal points, and no leading zeros. Alphanumeric symbols are checked below.
 	 * • For use by months: "1" -> "January".
 	 */
 	var reInteger = /^(0|[1-9][\d]*)$/
@@ -54,11 +56,20 @@ exports.isIllFormedTerminalSymbol = function (terminalSymbol) {
 	}
 
 	/**
-	 * Check if `terminalSymbol` contains any non-alphabetic or unspecified punctuation character: a-z, A-Z, '
+	 * Check if `terminalSymbol` is alphabetic characters joined with an integer, on either side.
+	 * • For use by quarters and ordinals: "Q1", "1st" -> "first".
+	 */
+	var reAlphanumeric = RegExp('^([' + locale.current.letters + ']+(0|[1-9]\\d*)|(0|[1-9]\\d*)[' + locale.current.letters + ']+)$')
+	if (reAlphanumeric.test(terminalSymbol)) {
+		return false
+	}
+
+	/**
+	 * Check if `terminalSymbol` contains any non-alphabetic or unspecified punctuation character: the locale's letters (English: a-z, A-Z), '
 	 * • apostrophe - for use in "followers'", "i'd" -> "I".
 	 */
 	var permittedPuncMarks = '\''
-	var reForbiddenChar = RegExp('[^a-zA-Z' + permittedPuncMarks + ']')
+	var reForbiddenChar = RegExp('[^' + locale.current.letters + permittedPuncMarks + ']')
 	var forbiddenCharMatch = reForbiddenChar.exec(terminalSymbol)
 	if (forbiddenCharMatch !== null) {
 		util.logErrorAndPath('Terminal symbol', util.stylize(terminalSymbol), 'contains forbidden character:', util.stylize(forbiddenCharMatch[0]))
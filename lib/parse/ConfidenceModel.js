@@ -0,0 +1,413 @@
+var fs = require('fs')
+var util = require('../util/util')
+
+/**
+ * The `ConfidenceModel` constructor.
+ *
+ * Converts the unbounded, additive cost of a parse tree into a confidence in [0, 1] that the tree is the intended interpretation of the input query, for clients to decide whether to act on the top parse tree directly or to ask "did you mean". Scores each tree with a logistic function of its features (see `ConfidenceModel.getFeatures()`).
+ *
+ * Fit the model to the test suite's expected top results with `ConfidenceModel.fit()` (via `calibrate`), persist it with `ConfidenceModel.prototype.save()`, and restore it with `ConfidenceModel.load()`. If the model's parameters are omitted, uses the default parameters, which `calibrate` fit to the English test suite.
+ *
+ * @constructor
+ * @param {Object} [options] The options object.
+ * @param {Object} [options.weights] The weight of each feature, keyed by feature name.
+ * @param {number} [options.bias] The bias (i.e., intercept) of the logistic function.
+ * @param {number} [options.maxCostGap] The maximum cost gap to the next parse tree, to which larger gaps and the gap of the last tree are truncated.
+ */
+var confidenceModelSchema = {
+	weights: { type: Object, schema: {
+		cost: { type: Number, required: true },
+		editCost: { type: Number, required: true },
+		ambiguousTreeCount: { type: Number, required: true },
+		costGap: { type: Number, required: true },
+	} },
+	bias: Number,
+	maxCostGap: Number,
+}
+
+function ConfidenceModel(options) {
+	if (util.illFormedOpts(confidenceModelSchema, options)) {
+		throw new Error('Ill-formed ConfidenceModel')
+	}
+
+	options = options || {}
+	this.weights = options.weights || ConfidenceModel.DEFAULT_WEIGHTS
+	this.bias = options.bias === undefined ? ConfidenceModel.DEFAULT_BIAS : options.bias
+	this.maxCostGap = options.maxCostGap || ConfidenceModel.DEFAULT_MAX_COST_GAP
+}
+
+/**
+ * The version of the file format `ConfidenceModel.prototype.save()` writes. `ConfidenceModel.load()` rejects files of other versions.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @type {number}
+ */
+ConfidenceModel.VERSION = 1
+
+/**
+ * The names of the features `ConfidenceModel.getFeatures()` returns, which the model weighs.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @type {string[]}
+ */
+ConfidenceModel.FEATURE_NAMES = [ 'cost', 'editCost', 'ambiguousTreeCount', 'costGap' ]
+
+/**
+ * The default feature weights, which are not fit to any test suite: each unit of a tree's cost lowers the log-odds of its confidence by 1, and each unit of the cost gap to the next tree raises it by 1. The edit costs and ambiguous trees, which the cost already reflects, have no further weight. `calibrate` fits the weights to a test suite, and writes them to a file that `Parser` loads instead of these defaults.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @type {Object}
+ */
+ConfidenceModel.DEFAULT_WEIGHTS = {
+	cost: -1,
+	editCost: 0,
+	ambiguousTreeCount: 0,
+	costGap: 1,
+}
+
+/**
+ * The default bias, with which a tree whose cost equals its cost gap to the next tree has a confidence of 0.5.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @type {number}
+ */
+ConfidenceModel.DEFAULT_BIAS = 0
+
+/**
+ * The default maximum cost gap.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @type {number}
+ */
+ConfidenceModel.DEFAULT_MAX_COST_GAP = 5
+
+/**
+ * Loads the `ConfidenceModel` that `ConfidenceModel.prototype.save()` wrote to `filePath`.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @param {string} filePath The path of the calibration file.
+ * @returns {ConfidenceModel} Returns the loaded `ConfidenceModel`.
+ */
+ConfidenceModel.load = function (filePath) {
+	var calibrationFile = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+	if (calibrationFile.version !== ConfidenceModel.VERSION) {
+		util.logError('Unsupported calibration version:', util.stylize(calibrationFile.version), '(expected ' + ConfidenceModel.VERSION + ')')
+		throw new Error('Ill-formed calibration file')
+	}
+
+	return new ConfidenceModel({
+		weights: calibrationFile.weights,
+		bias: calibrationFile.bias,
+		maxCostGap: calibrationFile.maxCostGap,
+	})
+}
+
+/**
+ * Loads the `ConfidenceModel` that `calibrate` wrote to `filePath`, if the file exists, else instantiates the model with the default parameters.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @param {string} filePath The path of the calibration file.
+ * @returns {ConfidenceModel} Returns the loaded or default `ConfidenceModel`.
+ */
+ConfidenceModel.fromCalibrationFile = function (filePath) {
+	return util.pathExistsSync(filePath) ? ConfidenceModel.load(filePath) : new ConfidenceModel()
+}
+
+/**
+ * Writes this model's parameters to a JSON file at `filePath`, which `ConfidenceModel.load()` reads.
+ *
+ * @memberOf ConfidenceModel
+ * @param {string} filePath The path of the file to write.
+ */
+ConfidenceModel.prototype.save = function (filePath) {
+	util.writeJSONFile(filePath, this.toJSON())
+}
+
+/**
+ * Gets the serializable representation of this model, which `ConfidenceModel.prototype.save()` writes.
+ *
+ * @memberOf ConfidenceModel
+ * @returns {Object} Returns the serializable model.
+ */
+ConfidenceModel.prototype.toJSON = function () {
+	return {
+		version: ConfidenceModel.VERSION,
+		weights: this.weights,
+		bias: this.bias,
+		maxCostGap: this.maxCostGap,
+	}
+}
+
+/**
+ * Gets the features of the parse tree at index `treeIdx` of `structuredTrees`, which `ConfidenceModel.prototype.score()` weighs:
+ * • cost - The tree's cost.
+ * • editCost - The sum of the costs of the tree's edits (see `structureParseTree()`), which the tree's cost includes.
+ * • ambiguousTreeCount - The number of ambiguous trees `pfsearch` discarded during the parse.
+ * • costGap - The difference between the cost of the next tree and the tree's cost, truncated to `maxCostGap`. `maxCostGap` for the last tree.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @param {StructuredParseTree[]} structuredTrees The structured parse trees of the parse, sorted by cost.
+ * @param {number} treeIdx The index of the tree in `structuredTrees` of which to get the features.
+ * @param {number} ambiguousTreeCount The number of ambiguous trees `pfsearch` discarded.
+ * @param {number} maxCostGap The maximum cost gap.
+ * @returns {Object} Returns the features of the tree, keyed by feature name.
+ */
+ConfidenceModel.getFeatures = function (structuredTrees, treeIdx, ambiguousTreeCount, maxCostGap) {
+	var structuredTree = structuredTrees[treeIdx]
+	var nextTree = structuredTrees[treeIdx + 1]
+
+	return {
+		cost: structuredTree.cost,
+		editCost: structuredTree.edits.reduce(function (editCost, edit) {
+			return editCost + edit.cost
+		}, 0),
+		ambiguousTreeCount: ambiguousTreeCount,
+		costGap: nextTree ? Math.min(nextTree.cost - structuredTree.cost, maxCostGap) : maxCostGap,
+	}
+}
+
+/**
+ * Scores `features`, the features of a parse tree that `ConfidenceModel.getFeatures()` returns, as the confidence that the tree is the intended interpretation of its input query.
+ *
+ * @memberOf ConfidenceModel
+ * @param {Object} features The features of the parse tree.
+ * @returns {number} Returns the confidence in [0, 1].
+ */
+ConfidenceModel.prototype.score = function (features) {
+	return sigmoid(this.bias + dot(this.weights, features))
+}
+
+/**
+ * Fits a `ConfidenceModel` to `samples`, the features of parse trees and whether each tree is the intended interpretation of its query, using L2-regularized logistic regression by Newton's method.
+ *
+ * Iterates until no parameter changes by more than `options.tolerance`, which Newton's method reaches within a few iterations for these few features. Prints a warning if the fit fails to converge within `options.maxIterations`.
+ *
+ * Standardizes the features for the fit, and converts the fitted weights to weights of the unstandardized features.
+ *
+ * @static
+ * @memberOf ConfidenceModel
+ * @param {Object[]} samples The samples, each with `features` and `isCorrect`.
+ * @param {Object} [options] The options object.
+ * @param {number} [options.maxCostGap=ConfidenceModel.DEFAULT_MAX_COST_GAP] The maximum cost gap with which `samples` were created.
+ * @param {number} [options.tolerance=1e-8] The maximum change of every parameter (of the standardized features) in an iteration at which the fit converges.
+ * @param {number} [options.maxIterations=100] The maximum number of iterations.
+ * @param {number} [options.regularization=0.0001] The L2 regularization strength, which prevents the weights from diverging when the samples are separable.
+ * @returns {ConfidenceModel} Returns the fitted `ConfidenceModel`.
+ */
+var fitSchema = {
+	maxCostGap: Number,
+	tolerance: Number,
+	maxIterations: Number,
+	regularization: Number,
+}
+
+ConfidenceModel.fit = function (samples, options) {
+	if (util.illFormedOpts(fitSchema, options)) {
+		throw new Error('Ill-formed fit options')
+	}
+
+	options = options || {}
+	var tolerance = options.tolerance || 1e-8
+	var maxIterations = options.maxIterations || 100
+	var regularization = options.regularization === undefined ? 0.0001 : options.regularization
+	var featureNames = ConfidenceModel.FEATURE_NAMES
+	var featureNamesLen = featureNames.length
+	var samplesLen = samples.length
+
+	// Standardize each feature to zero mean and unit variance. A constant feature keeps a weight of 0.
+	var means = []
+	var deviations = []
+	for (var f = 0; f < featureNamesLen; ++f) {
+		var featureName = featureNames[f]
+		var mean = 0
+		for (var s = 0; s < samplesLen; ++s) {
+			mean += samples[s].features[featureName] / samplesLen
+		}
+
+		var variance = 0
+		for (s = 0; s < samplesLen; ++s) {
+			variance += Math.pow(samples[s].features[featureName] - mean, 2) / samplesLen
+		}
+
+		means.push(mean)
+		deviations.push(Math.sqrt(variance))
+	}
+
+	// Prepend the constant input of the bias to each sample's standardized features, which makes the bias the first parameter.
+	var standardizedSamples = samples.map(function (sample) {
+		return [ 1 ].concat(featureNames.map(function (featureName, f) {
+			return deviations[f] ? (sample.features[featureName] - means[f]) / deviations[f] : 0
+		}))
+	})
+
+	var paramsLen = featureNamesLen + 1
+	var params = []
+	for (var p = 0; p < paramsLen; ++p) {
+		params.push(0)
+	}
+
+	for (var i = 0; i < maxIterations; ++i) {
+		// The gradient and Hessian of the mean log loss with the L2 penalty, which excludes the bias.
+		var gradient = []
+		var hessian = []
+		for (p = 0; p < paramsLen; ++p) {
+			gradient.push(p > 0 && deviations[p - 1] ? regularization * params[p] : 0)
+			hessian.push([])
+			for (var q = 0; q < paramsLen; ++q) {
+				// Keep the Hessian invertible for a constant feature, whose weight remains 0.
+				hessian[p].push(p === q && p > 0 ? (deviations[p - 1] ? regularization : 1) : 0)
+			}
+		}
+
+		for (s = 0; s < samplesLen; ++s) {
+			var x = standardizedSamples[s]
+			var z = 0
+			for (p = 0; p < paramsLen; ++p) {
+				z += params[p] * x[p]
+			}
+
+			var score = sigmoid(z)
+			var error = (score - (samples[s].isCorrect ? 1 : 0)) / samplesLen
+			var curvature = score * (1 - score) / samplesLen
+			for (p = 0; p < paramsLen; ++p) {
+				gradient[p] += error * x[p]
+				for (q = 0; q < paramsLen; ++q) {
+					hessian[p][q] += curvature * x[p] * x[q]
+				}
+			}
+		}
+
+		var step = solveLinearSystem(hessian, gradient)
+		var maxChange = 0
+		for (p = 0; p < paramsLen; ++p) {
+			params[p] -= step[p]
+			maxChange = Math.max(maxChange, Math.abs(step[p]))
+		}
+
+		if (maxChange <= tolerance) break
+	}
+
+	if (i === maxIterations) {
+		util.logWarning('Confidence model fit failed to converge within', maxIterations, 'iterations')
+	}
+
+	// Convert the weights of the standardized features to weights of the features.
+	var bias = params[0]
+	var modelWeights = {}
+	for (f = 0; f < featureNamesLen; ++f) {
+		var weight = deviations[f] ? params[f + 1] / deviations[f] : 0
+		modelWeights[featureNames[f]] = weight
+		bias -= weight * means[f]
+	}
+
+	return new ConfidenceModel({
+		weights: modelWeights,
+		bias: bias,
+		maxCostGap: options.maxCostGap || ConfidenceModel.DEFAULT_MAX_COST_GAP,
+	})
+}
+
+/**
+ * Gets the log loss of this model's scores for `samples`, which `ConfidenceModel.fit()` minimizes, for evaluating a calibration.
+ *
+ * @memberOf ConfidenceModel
+ * @param {Object[]} samples The samples, each with `features` and `isCorrect`.
+ * @returns {number} Returns the mean log loss.
+ */
+ConfidenceModel.prototype.logLoss = function (samples) {
+	var loss = 0
+
+	for (var s = 0, samplesLen = samples.length; s < samplesLen; ++s) {
+		var sample = samples[s]
+		// Bound the score away from 0 and 1 to keep the loss finite.
+		var score = Math.min(Math.max(this.score(sample.features), 1e-12), 1 - 1e-12)
+		loss -= Math.log(sample.isCorrect ? score : 1 - score)
+	}
+
+	return loss / samplesLen
+}
+
+/**
+ * Gets the dot product of `weights` and `features`, both keyed by feature name.
+ *
+ * @private
+ * @static
+ * @param {Object} weights The feature weights.
+ * @param {Object} features The features.
+ * @returns {number} Returns the dot product.
+ */
+function dot(weights, features) {
+	var product = 0
+
+	for (var f = 0, featureNamesLen = ConfidenceModel.FEATURE_NAMES.length; f < featureNamesLen; ++f) {
+		var featureName = ConfidenceModel.FEATURE_NAMES[f]
+		product += weights[featureName] * features[featureName]
+	}
+
+	return product
+}
+
+/**
+ * Solves the linear system `matrix` * x = `vector` by Gaussian elimination with partial pivoting, for the step of Newton's method in `ConfidenceModel.fit()`. Requires `matrix` be invertible, which the Hessian of the regularized log loss is.
+ *
+ * @private
+ * @static
+ * @param {number[][]} matrix The square matrix of coefficients.
+ * @param {number[]} vector The constants.
+ * @returns {number[]} Returns the solution, x.
+ */
+function solveLinearSystem(matrix, vector) {
+	var size = vector.length
+	// Augment a copy of `matrix` with `vector`.
+	var rows = matrix.map(function (row, r) {
+		return row.concat(vector[r])
+	})
+
+	for (var c = 0; c < size; ++c) {
+		// Swap the row with the largest coefficient in column `c` into row `c` for numerical stability.
+		var pivot = c
+		for (var r = c + 1; r < size; ++r) {
+			if (Math.abs(rows[r][c]) > Math.abs(rows[pivot][c])) pivot = r
+		}
+
+		var pivotRow = rows[pivot]
+		rows[pivot] = rows[c]
+		rows[c] = pivotRow
+
+		// Eliminate column `c` from every other row.
+		for (r = 0; r < size; ++r) {
+			if (r === c) continue
+
+			var factor = rows[r][c] / pivotRow[c]
+			for (var k = c; k <= size; ++k) {
+				rows[r][k] -= factor * pivotRow[k]
+			}
+		}
+	}
+
+	return rows.map(function (row, r) {
+		return row[size] / row[r]
+	})
+}
+
+/**
+ * The logistic function, which maps `z` to (0, 1).
+ *
+ * @private
+ * @static
+ * @param {number} z The value to map.
+ * @returns {number} Returns the mapped value.
+ */
+function sigmoid(z) {
+	return 1 / (1 + Math.exp(-z))
+}
+
+module.exports = ConfidenceModel
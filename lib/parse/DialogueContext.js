@@ -0,0 +1,669 @@
+var semantic = require('../grammar/semantic')
+var agreesWithAnaphor = require('./agreesWithAnaphor')
+
+
+/**
+ * The names of the semantics of `dialogue` that refer to previous turns.
+ *
+ * @private
+ * @type {string[]}
+ */
+var referenceSemanticNames = [ 'antecedent-set', 'antecedent-entity', 'ellipsis' ]
+
+/**
+ * The `DialogueContext` constructor.
+ *
+ * Stores the previous queries of a dialogue (i.e., its turns), with which
+ * `Parser.prototype.parse()` resolves references to those queries when passed
+ * as `options.context`:
+ * • Anaphora without an antecedent in the query: "repos Danny created" ->
+ *   "repos he likes" -> `repositories-liked(0)`.
+ * • Demonstratives: "repos Danny created" -> "those Aang likes" ->
+ *   `intersect(repositories-created(0),repositories-liked(1))`; "who created
+ *   that one".
+ * • Elliptical follow-ups: "repos Danny created" -> "and Aang" ->
+ *   `repositories-created(1)`.
+ *
+ * Antecedents are salient by recency: each reference resolves to the most
+ * recent turn with a matching antecedent, and fails if that turn has multiple
+ * matching antecedents.
+ *
+ * Turns also provide gender evidence for entities whose definitions lack
+ * pronouns, with which anaphora only resolve to entities of agreeing
+ * pronouns: "is Aang male" -> "repos Aang and Elizabeth Cady Stanton like
+ * that he created" -> `repositories-created(1)`.
+ *
+ * `Parser.prototype.parse()` does not add turns. Invoke
+ * `DialogueContext.prototype.addTurn()` with the parse tree the user accepts
+ * (e.g., the top tree of a submitted query, not of each keystroke that
+ * `ParseSession` parses).
+ *
+ * @constructor
+ */
+function DialogueContext() {
+	// The turns of the dialogue, in order.
+	this.turns = []
+	// The map of anaphora person-numbers and pronouns to the antecedents found
+	// in `turns`, if any, else `-1`.
+	this.antecedentTab = Object.create(null)
+	// The map of entities (category and id) to the pronouns the gender
+	// evidence in `turns` indicates, with the most recent evidence of each.
+	this.pronounsTab = Object.create(null)
+}
+
+/**
+ * A previous query of a dialogue.
+ *
+ * @typedef {Object} DialogueTurn
+ * @property {string} query The input query.
+ * @property {string} text The display text of the query's parse tree.
+ * @property {Object[]} semantic The semantic tree of the query's parse tree,
+ * with its references to previous turns resolved.
+ * @property {string} semanticStr The representation of `semantic`.
+ * @property {string} [category] The name of the category of the instances
+ * `semantic` returns, if any.
+ */
+
+/**
+ * Adds the parse tree of `query` that the user accepted as a new turn of the
+ * dialogue.
+ *
+ * @memberOf DialogueContext
+ * @param {string} query The input query.
+ * @param {ParseTree} tree The parse tree, which `Parser.prototype.parse()`
+ * returned for `query` with this context.
+ * @returns {number} Returns the index of the new turn in `turns`.
+ */
+DialogueContext.prototype.addTurn = function (query, tree) {
+	// Clear the antecedents, which the new turn can supersede.
+	this.antecedentTab = Object.create(null)
+
+	addPronounsEvidence(tree.semanticList.semantic, this.pronounsTab)
+
+	return this.turns.push({
+		query: query,
+		text: tree.text,
+		semantic: tree.semanticList.semantic,
+		semanticStr: tree.semanticStr,
+		category: tree.category,
+	}) - 1
+}
+
+/**
+ * Removes the turns of the dialogue, such as when the user starts a new
+ * conversation.
+ *
+ * @memberOf DialogueContext
+ */
+DialogueContext.prototype.reset = function () {
+	this.turns = []
+	this.antecedentTab = Object.create(null)
+	this.pronounsTab = Object.create(null)
+}
+
+/**
+ * Gets the antecedent for anaphora of `anaphoraPersonNumber` and
+ * `anaphoraPronouns` in the most recent turn that has one. For use by
+ * `resolveAnaphora()` when the query lacks an antecedent.
+ *
+ * A 'threeSg' antecedent is an entity of a person with agreeing pronouns; a
+ * 'threePl' antecedent is a set of people, including a conjunction of sets:
+ * "my followers Danny follows" ->
+ * `intersect(followers(me),users-followed(0))`, or an entity of a person
+ * with pronouns of 'they'.
+ *
+ * @memberOf DialogueContext
+ * @param {string} anaphoraPersonNumber The person-number of the anaphor.
+ * @param {string} [anaphoraPronouns] The pronouns of the 'threeSg' anaphor.
+ * @returns {Object[]|number} Returns the RHS semantic with the antecedent if
+ * found and unambiguous, else `-1`.
+ */
+DialogueContext.prototype.getAntecedent = function (anaphoraPersonNumber, anaphoraPronouns) {
+	var anaphoraKey = anaphoraPronouns || anaphoraPersonNumber
+	var antecedent = this.antecedentTab[anaphoraKey]
+	if (antecedent !== undefined) {
+		return antecedent === -1 ? -1 : antecedent.semantic
+	}
+
+	antecedent = -1
+
+	for (var t = this.turns.length - 1; t > -1; --t) {
+		var semanticNode = findAntecedent(this.turns[t].semantic, anaphoraPersonNumber, anaphoraPronouns, this)
+		if (semanticNode) {
+			if (semanticNode !== -1) {
+				antecedent = {
+					// Copy the antecedent to identify it in parse trees by reference, because `Parser` reuses semantic argument objects across parses.
+					semantic: [ copyNode(semanticNode) ],
+					turnIdx: t,
+				}
+			}
+
+			break
+		}
+	}
+
+	this.antecedentTab[anaphoraKey] = antecedent
+	return antecedent === -1 ? -1 : antecedent.semantic
+}
+
+/**
+ * Gets the pronouns of the entity `semanticNode` that the gender evidence of
+ * the turns indicates, for entities whose definitions lack pronouns.
+ *
+ * @memberOf DialogueContext
+ * @param {Object} semanticNode The entity semantic node.
+ * @returns {string|undefined} Returns the pronouns if any evidence exists,
+ * else `undefined`.
+ */
+DialogueContext.prototype.getPronouns = function (semanticNode) {
+	return this.pronounsTab[getEntityKey(semanticNode)]
+}
+
+/**
+ * The semantic tree of a parse tree with its references to previous turns
+ * resolved.
+ *
+ * @typedef {Object} ContextResolution
+ * @property {Object[]} semantic The resolved semantic tree.
+ * @property {number[]} turns The indexes of the turns in `turns` from which
+ * the semantic tree resolved anaphora, demonstratives, or ellipsis, if any,
+ * in ascending order.
+ * @property {string} [category] The category of the turn an elliptical
+ * follow-up repeats, if any.
+ */
+
+/**
+ * Resolves the demonstrative and elliptical follow-up semantics of `dialogue`
+ * in `semanticArray` to previous turns, and identifies the turns of the
+ * antecedents `DialogueContext.prototype.getAntecedent()` provided.
+ *
+ * Does not mutate `semanticArray`, whose nodes parse trees share.
+ *
+ * @memberOf DialogueContext
+ * @param {Object[]} semanticArray The completed semantic tree to resolve.
+ * @returns {ContextResolution|number} Returns the resolution if every
+ * reference resolves, else `-1`.
+ */
+DialogueContext.prototype.resolve = function (semanticArray) {
+	var resolution = {
+		semantic: undefined,
+		turns: [],
+		category: undefined,
+	}
+
+	// Elliptical follow-ups are only start rules.
+	if (semanticArray[0].semantic.name === 'ellipsis') {
+		var entityNode = semanticArray[0].children[0]
+		var ellipsisTurnIdx = this.findEntityTurn(entityNode.semantic.category)
+		if (ellipsisTurnIdx === -1) {
+			return -1
+		}
+
+		var ellipsisTurn = this.turns[ellipsisTurnIdx]
+		resolution.semantic = replaceEntity(ellipsisTurn.semantic, entityNode.semantic.category, entityNode)
+		if (resolution.semantic === -1) {
+			return -1
+		}
+
+		resolution.category = ellipsisTurn.category
+		resolution.turns.push(ellipsisTurnIdx)
+		return resolution
+	}
+
+	resolution.semantic = this.resolveNodes(semanticArray, resolution.turns)
+	if (resolution.semantic === -1) {
+		return -1
+	}
+
+	resolution.turns.sort(function (a, b) {
+		return a - b
+	})
+
+	return resolution
+}
+
+/**
+ * The base implementation of `DialogueContext.prototype.resolve()` that
+ * resolves the demonstratives in `semanticArray` and appends the indexes of
+ * the turns they resolve to, and of the turns of any antecedents, to
+ * `turnIdxs`.
+ *
+ * @private
+ * @memberOf DialogueContext
+ * @param {Object[]} semanticArray The semantic node array to resolve.
+ * @param {number[]} turnIdxs The indexes of the turns from which
+ * `semanticArray` resolved references.
+ * @returns {Object[]|number} Returns the resolved semantic node array, else
+ * `semanticArray` if it lacks references, else `-1` if a reference is
+ * unresolvable.
+ */
+DialogueContext.prototype.resolveNodes = function (semanticArray, turnIdxs) {
+	var newSemanticArray = []
+	var isChanged = false
+
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var semanticChildren = semanticNode.children
+		var semanticName = semanticNode.semantic.name
+		var antecedentTurnIdx = this.getAntecedentTurnIdx(semanticNode)
+
+		if (antecedentTurnIdx !== -1) {
+			appendTurnIdx(turnIdxs, antecedentTurnIdx)
+			newSemanticArray.push(semanticNode)
+		} else if (semanticName === 'antecedent-set') {
+			// "those (Danny likes)" -> the set of the most recent turn that returns the same category.
+			var setTurnIdx = this.findSetTurn(semanticChildren[0].semantic.name)
+			if (setTurnIdx === -1) {
+				return -1
+			}
+
+			appendTurnIdx(turnIdxs, setTurnIdx)
+			Array.prototype.push.apply(newSemanticArray, this.turns[setTurnIdx].semantic)
+			isChanged = true
+		} else if (semanticName === 'antecedent-entity') {
+			// "that one" -> the entity of the same category in the most recent turn that has one.
+			// The argument names the `Category`, whose entity category `entityCategory.new()` names with braces.
+			var entityCategory = '{' + semanticChildren[0].semantic.name + '}'
+			var entityTurnIdx = this.findEntityTurn(entityCategory)
+			if (entityTurnIdx === -1) {
+				return -1
+			}
+
+			appendTurnIdx(turnIdxs, entityTurnIdx)
+			newSemanticArray.push(findEntity(this.turns[entityTurnIdx].semantic, entityCategory))
+			isChanged = true
+		} else if (semanticChildren) {
+			var newChildren = this.resolveNodes(semanticChildren, turnIdxs)
+			if (newChildren === -1) {
+				return -1
+			}
+
+			if (newChildren !== semanticChildren) {
+				semanticNode = newConjunctionNode(semanticNode.semantic, newChildren)
+				if (semanticNode === -1) {
+					return -1
+				}
+
+				isChanged = true
+			}
+
+			newSemanticArray.push(semanticNode)
+		} else {
+			newSemanticArray.push(semanticNode)
+		}
+	}
+
+	return isChanged ? removeDuplicates(newSemanticArray).sort(semantic.compare) : semanticArray
+}
+
+/**
+ * Gets the index of the turn of `semanticNode` if it is an antecedent that
+ * `DialogueContext.prototype.getAntecedent()` provided.
+ *
+ * @private
+ * @memberOf DialogueContext
+ * @param {Object} semanticNode The semantic node to check.
+ * @returns {number} Returns the index of the antecedent's turn, else `-1`.
+ */
+DialogueContext.prototype.getAntecedentTurnIdx = function (semanticNode) {
+	for (var anaphoraKey in this.antecedentTab) {
+		var antecedent = this.antecedentTab[anaphoraKey]
+		if (antecedent !== -1 && antecedent.semantic[0] === semanticNode) {
+			return antecedent.turnIdx
+		}
+	}
+
+	return -1
+}
+
+/**
+ * Checks if `semanticArray` has demonstrative or elliptical follow-up
+ * semantics, which require a `DialogueContext` to resolve.
+ *
+ * `semanticArray` can be a rule's semantic, reduced or not (i.e., a semantic
+ * function without its arguments), for `pfsearch` to discard paths with
+ * these semantics before completing their trees.
+ *
+ * @static
+ * @memberOf DialogueContext
+ * @param {Object[]} semanticArray The semantic tree to inspect.
+ * @returns {boolean} Returns `true` if `semanticArray` has references to
+ * previous turns, else `false`.
+ */
+DialogueContext.hasReferences = function (semanticArray) {
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var semanticChildren = semanticNode.children
+
+		if (semanticChildren) {
+			if (referenceSemanticNames.indexOf(semanticNode.semantic.name) !== -1 || DialogueContext.hasReferences(semanticChildren)) {
+				return true
+			}
+		} else if (!semanticNode.semantic.isArg && referenceSemanticNames.indexOf(semanticNode.semantic.name) !== -1) {
+			return true
+		}
+	}
+
+	return false
+}
+
+/**
+ * Gets the index of the most recent turn that returns instances of the
+ * category named `categoryName`.
+ *
+ * @private
+ * @memberOf DialogueContext
+ * @param {string} categoryName The category name.
+ * @returns {number} Returns the index of the turn if found, else `-1`.
+ */
+DialogueContext.prototype.findSetTurn = function (categoryName) {
+	for (var t = this.turns.length - 1; t > -1; --t) {
+		if (this.turns[t].category === categoryName) {
+			return t
+		}
+	}
+
+	return -1
+}
+
+/**
+ * Gets the index of the most recent turn that has an entity of the entity
+ * category named `categoryName` (e.g., '{repository}').
+ *
+ * @private
+ * @memberOf DialogueContext
+ * @param {string} categoryName The entity category name.
+ * @returns {number} Returns the index of the turn if found and the turn's
+ * entity of `categoryName` is unambiguous, else `-1`.
+ */
+DialogueContext.prototype.findEntityTurn = function (categoryName) {
+	for (var t = this.turns.length - 1; t > -1; --t) {
+		var entityNode = findEntity(this.turns[t].semantic, categoryName)
+		if (entityNode) {
+			return entityNode === -1 ? -1 : t
+		}
+	}
+
+	return -1
+}
+
+/**
+ * Finds the antecedent semantic node in `semanticArray` for anaphora of
+ * `anaphoraPersonNumber` and `anaphoraPronouns`, searching breadth-first the
+ * same as `resolveAnaphora()`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic tree to search.
+ * @param {string} anaphoraPersonNumber The person-number of the anaphor.
+ * @param {string} [anaphoraPronouns] The pronouns of the 'threeSg' anaphor.
+ * @param {DialogueContext} context The dialogue context with the gender
+ * evidence of the turns.
+ * @returns {Object|number|undefined} Returns the antecedent semantic node if
+ * found, `-1` if there are multiple, else `undefined`.
+ */
+function findAntecedent(semanticArray, anaphoraPersonNumber, anaphoraPronouns, context) {
+	return findNode(semanticArray, function (semanticNode) {
+		if (agreesWithAnaphor(semanticNode, anaphoraPersonNumber, anaphoraPronouns, context)) {
+			return true
+		}
+
+		// A conjunction of sets of the same category is a set of people if any of its sets is.
+		var semanticName = semanticNode.semantic.name
+		return anaphoraPersonNumber === 'threePl' && (semanticName === 'intersect' || semanticName === 'union') && semanticNode.children.some(function (childNode) {
+			return childNode.semantic.anaphoraPersonNumber === anaphoraPersonNumber
+		})
+	})
+}
+
+/**
+ * Adds to `pronounsTab` the pronouns of the entities whose membership in a
+ * set of people of a gender `semanticArray` checks, which the semantic
+ * argument of the set's semantic defines: "is `{user}` female" ->
+ * `member(0,users-gender(female))` -> 'she'.
+ *
+ * Note: This function mutates `pronounsTab`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic tree to search.
+ * @param {Object} pronounsTab The map of entities to pronouns to modify.
+ */
+function addPronounsEvidence(semanticArray, pronounsTab) {
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var semanticChildren = semanticNode.children
+
+		if (semanticNode.semantic.name === 'member') {
+			var entityNode = semanticChildren.find(function (childNode) {
+				return childNode.semantic.anaphoraPersonNumber === 'threeSg'
+			})
+
+			if (entityNode) {
+				var setNode = semanticChildren[semanticChildren.indexOf(entityNode) === 0 ? 1 : 0]
+				var pronouns = getSetPronouns(setNode)
+				if (pronouns) {
+					pronounsTab[getEntityKey(entityNode)] = pronouns
+				}
+			}
+		} else if (semanticChildren) {
+			addPronounsEvidence(semanticChildren, pronounsTab)
+		}
+	}
+}
+
+/**
+ * Gets the pronouns of the people in the set `setNode` represents, which a
+ * semantic argument defines for its semantic function; e.g.,
+ * `users-gender(female)`, `intersect(followers(me),users-gender(female))`.
+ *
+ * @private
+ * @static
+ * @param {Object} setNode The set semantic node.
+ * @returns {string|undefined} Returns the pronouns if defined, else
+ * `undefined`.
+ */
+function getSetPronouns(setNode) {
+	var semanticChildren = setNode.children
+	if (!semanticChildren) {
+		return
+	}
+
+	if (setNode.semantic.name === 'intersect') {
+		for (var c = 0, semanticChildrenLen = semanticChildren.length; c < semanticChildrenLen; ++c) {
+			var pronouns = getSetPronouns(semanticChildren[c])
+			if (pronouns) {
+				return pronouns
+			}
+		}
+	} else if (semanticChildren.length === 1) {
+		// Exclude entities, whose `pronouns` are their own.
+		var argDef = semanticChildren[0].semantic
+		if (argDef.isArg && argDef.pronouns) {
+			return argDef.pronouns
+		}
+	}
+}
+
+/**
+ * Gets the key of the entity `semanticNode` for `pronounsTab`.
+ *
+ * @private
+ * @static
+ * @param {Object} semanticNode The entity semantic node.
+ * @returns {string} Returns the entity's key.
+ */
+function getEntityKey(semanticNode) {
+	return semanticNode.semantic.category + ' ' + semanticNode.semantic.name
+}
+
+/**
+ * Finds the entity semantic argument of the entity category named
+ * `categoryName` in `semanticArray`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic tree to search.
+ * @param {string} categoryName The entity category name.
+ * @returns {Object|number|undefined} Returns the entity semantic node if
+ * found, `-1` if there are multiple, else `undefined`.
+ */
+function findEntity(semanticArray, categoryName) {
+	return findNode(semanticArray, function (semanticNode) {
+		return semanticNode.semantic.category === categoryName
+	})
+}
+
+/**
+ * Finds the semantic node in `semanticArray` for which `predicate` returns
+ * truthy, searching breadth-first without traversing the matched node.
+ * Compares nodes by their semantics to identify multiple instances of the
+ * same entity as one.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic tree to search.
+ * @param {Function} predicate The function invoked per semantic node.
+ * @returns {Object|number|undefined} Returns the matching semantic node if
+ * found, `-1` if there are multiple distinct matches, else `undefined`.
+ */
+function findNode(semanticArray, predicate) {
+	var match
+	var stack = semanticArray.slice()
+
+	for (var s = 0, stackLen = stack.length; s < stackLen; ++s) {
+		var semanticNode = stack[s]
+		var semanticChildren = semanticNode.children
+
+		if (predicate(semanticNode)) {
+			if (!match) {
+				match = semanticNode
+			} else if (!semantic.nodesEqual(match, semanticNode)) {
+				return -1
+			}
+		} else if (semanticChildren) {
+			Array.prototype.push.apply(stack, semanticChildren)
+			stackLen += semanticChildren.length
+		}
+	}
+
+	return match
+}
+
+/**
+ * Replaces the entity semantic arguments of the entity category named
+ * `categoryName` in `semanticArray` with `entityNode`, for elliptical
+ * follow-ups.
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic tree of the repeated turn.
+ * @param {string} categoryName The entity category name.
+ * @param {Object} entityNode The entity semantic node of the follow-up.
+ * @returns {Object[]|number} Returns the new semantic tree, else `-1` if
+ * semantically illegal.
+ */
+function replaceEntity(semanticArray, categoryName, entityNode) {
+	var newSemanticArray = []
+
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+
+		if (semanticNode.semantic.category === categoryName) {
+			semanticNode = entityNode
+		} else if (semanticNode.children) {
+			var newChildren = replaceEntity(semanticNode.children, categoryName, entityNode)
+			if (newChildren === -1) {
+				return -1
+			}
+
+			semanticNode = newConjunctionNode(semanticNode.semantic, newChildren)
+			if (semanticNode === -1) {
+				return -1
+			}
+		}
+
+		newSemanticArray.push(semanticNode)
+	}
+
+	return removeDuplicates(newSemanticArray).sort(semantic.compare)
+}
+
+/**
+ * Creates a semantic node for `semanticFunc` with `children`. If
+ * `semanticFunc` is `intersect()`, merges the children that are also
+ * `intersect()`, which resolving a demonstrative yields: "those Danny likes"
+ * -> `intersect(intersect(...),repositories-liked(0))`, and reduces it with
+ * `semantic.reduce()` to reject the merged arguments the grammar would reject;
+ * e.g., multiple instances of a semantic marked `forbidsMultipleIntersection`.
+ *
+ * @private
+ * @static
+ * @param {Object} semanticFunc The semantic function.
+ * @param {Object[]} children The semantic children.
+ * @returns {Object|number} Returns the new semantic node, else the only child
+ * of an `intersect()` with one child, else `-1` if semantically illegal.
+ */
+function newConjunctionNode(semanticFunc, children) {
+	if (semanticFunc.name !== 'intersect') {
+		return { semantic: semanticFunc, children: children }
+	}
+
+	var newChildren = []
+	children.forEach(function (childNode) {
+		Array.prototype.push.apply(newChildren, childNode.semantic.name === 'intersect' ? childNode.children : [ childNode ])
+	})
+
+	var newSemanticArray = semantic.reduce([ { semantic: semanticFunc, children: [] } ], removeDuplicates(newChildren))
+	return newSemanticArray === -1 ? -1 : newSemanticArray[0]
+}
+
+/**
+ * Removes the semantic nodes in `semanticArray` that duplicate a preceding
+ * node, which resolving a reference can yield: "repos Danny created" ->
+ * "those Danny created".
+ *
+ * @private
+ * @static
+ * @param {Object[]} semanticArray The semantic node array.
+ * @returns {Object[]} Returns the new semantic node array.
+ */
+function removeDuplicates(semanticArray) {
+	return semanticArray.filter(function (semanticNode, s) {
+		for (var i = 0; i < s; ++i) {
+			if (semantic.nodesEqual(semanticArray[i], semanticNode)) {
+				return false
+			}
+		}
+
+		return true
+	})
+}
+
+/**
+ * Copies `semanticNode` without copying its semantic or children.
+ *
+ * @private
+ * @static
+ * @param {Object} semanticNode The semantic node to copy.
+ * @returns {Object} Returns the new semantic node.
+ */
+function copyNode(semanticNode) {
+	return semanticNode.children ? { semantic: semanticNode.semantic, children: semanticNode.children } : { semantic: semanticNode.semantic }
+}
+
+/**
+ * Appends `turnIdx` to `turnIdxs` if not already included.
+ *
+ * @private
+ * @static
+ * @param {number[]} turnIdxs The turn indexes.
+ * @param {number} turnIdx The turn index to append.
+ */
+function appendTurnIdx(turnIdxs, turnIdx) {
+	if (turnIdxs.indexOf(turnIdx) === -1) {
+		turnIdxs.push(turnIdx)
+	}
+}
+
+module.exports = DialogueContext
\ No newline at end of file
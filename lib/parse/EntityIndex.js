@@ -0,0 +1,463 @@
+var fs = require('fs')
+var util = require('../util/util')
+var Parser = require('./Parser')
+var initEntities = require('./initEntities')
+var grammarUtil = require('../grammar/grammarUtil')
+
+/**
+ * The `EntityIndex` constructor.
+ *
+ * Creates an embedded inverted index of entities and terminal symbols, which `Parser` uses for entity recognition (via `StateTable.prototype.entityIndex`) and which applications can search directly. Indexes entities by their name tokens, the sorted tokens for prefix lookups, and the character n-grams of the entity tokens and terminal symbols for approximate lookups.
+ *
+ * Persist an index with `EntityIndex.prototype.save()` and restore it with `EntityIndex.load()`, which requires neither the grammar's source nor an external search service.
+ *
+ * @constructor
+ * @param {Object} options The options object.
+ * @param {Object} options.entitySets The map of entity tokens to entities (e.g., `grammar.entitySets`), with multiple instances of the same entity replaced with references to the same object (via `initEntities`).
+ * @param {string[]} [options.terminalSymbols] The terminal symbols of the grammar's query language to index for searching.
+ * @param {number} [options.ngramSize=3] The number of characters of the n-grams for approximate lookups.
+ */
+var entityIndexSchema = {
+	entitySets: { type: Object, required: true },
+	terminalSymbols: { type: Array, arrayType: String, allowEmpty: true },
+	ngramSize: Number,
+}
+
+function EntityIndex(options) {
+	if (util.illFormedOpts(entityIndexSchema, options)) {
+		throw new Error('Ill-formed EntityIndex')
+	}
+
+	// The map of entity tokens to the entities that contain them.
+	this.entitySets = options.entitySets
+	// The alphabetically sorted entity tokens for prefix lookups.
+	this.tokens = Object.keys(this.entitySets).sort()
+	// The unique entities, in the order of their first token, for iterating over and persisting the index.
+	this.entities = getUniqueEntities(this.entitySets, this.tokens)
+	// The alphabetically sorted terminal symbols.
+	this.terminalSymbols = (options.terminalSymbols || []).slice().sort()
+	this.terminalSymbolTab = this.terminalSymbols.reduce(function (terminalSymbolTab, terminalSymbol) {
+		terminalSymbolTab[terminalSymbol] = true
+		return terminalSymbolTab
+	}, Object.create(null))
+	// The map of character n-grams to the entity tokens and terminal symbols that contain them.
+	this.ngramSize = options.ngramSize || 3
+	this.ngramSets = Object.create(null)
+	this.tokens.forEach(this.addNgrams, this)
+	this.terminalSymbols.forEach(function (terminalSymbol) {
+		if (!this.entitySets[terminalSymbol]) {
+			this.addNgrams(terminalSymbol)
+		}
+	}, this)
+}
+
+/**
+ * The version of the file format `EntityIndex.prototype.save()` writes. `EntityIndex.load()` rejects files of other versions.
+ *
+ * @static
+ * @memberOf EntityIndex
+ * @type {number}
+ */
+EntityIndex.VERSION = 1
+
+/**
+ * Creates an `EntityIndex` of the entities and terminal symbols in `grammar`.
+ *
+ * @static
+ * @memberOf EntityIndex
+ * @param {Object} grammar The grammar (i.e., the output of `buildGrammar`).
+ * @returns {EntityIndex} Returns the new `EntityIndex`.
+ */
+EntityIndex.fromGrammar = function (grammar) {
+	// Replace multiple instances of the same entity with references to the same object, which `Parser` and `EntityIndex` require.
+	initEntities(grammar.entitySets)
+
+	var terminalSymbols = []
+	grammarUtil.forEachRule(grammar.ruleSets, function (rule) {
+		// Exclude placeholder symbols (e.g., `{user}`, `<int>`), which are not input text.
+		if (rule.isTerminal && !rule.isPlaceholder) {
+			var terminalSymbol = rule.rhs[0]
+			if (terminalSymbols.indexOf(terminalSymbol) === -1) {
+				terminalSymbols.push(terminalSymbol)
+			}
+		}
+	})
+
+	return new EntityIndex({
+		entitySets: grammar.entitySets,
+		terminalSymbols: terminalSymbols,
+	})
+}
+
+/**
+ * Loads the `EntityIndex` that `EntityIndex.prototype.save()` wrote to `filePath`.
+ *
+ * @static
+ * @memberOf EntityIndex
+ * @param {string} filePath The path of the index file.
+ * @returns {EntityIndex} Returns the loaded `EntityIndex`.
+ */
+EntityIndex.load = function (filePath) {
+	var indexFile = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+	if (indexFile.version !== EntityIndex.VERSION) {
+		util.logError('Unsupported entity index version:', util.stylize(indexFile.version), '(expected ' + EntityIndex.VERSION + ')')
+		throw new Error('Ill-formed entity index file')
+	}
+
+	// Map each token to the same entity objects, as `initEntities` does for the grammar's entities, by restoring the entity references from their indexes in `indexFile.entities`.
+	var entitySets = {}
+	for (var token in indexFile.entitySets) {
+		entitySets[token] = indexFile.entitySets[token].map(function (entityIdx) {
+			return indexFile.entities[entityIdx]
+		})
+	}
+
+	return new EntityIndex({
+		entitySets: entitySets,
+		terminalSymbols: indexFile.terminalSymbols,
+		ngramSize: indexFile.ngramSize,
+	})
+}
+
+/**
+ * Writes this index to a JSON file at `filePath`, which `EntityIndex.load()` reads.
+ *
+ * Saves each entity once and maps each token to the indexes of its entities, which preserves the references to the same entity objects when loaded. Excludes the sorted tokens and n-grams, which `EntityIndex.load()` rebuilds.
+ *
+ * @memberOf EntityIndex
+ * @param {string} filePath The path of the file to write.
+ */
+EntityIndex.prototype.save = function (filePath) {
+	util.writeJSONFile(filePath, this.toJSON())
+}
+
+/**
+ * Gets the serializable representation of this index, which `EntityIndex.prototype.save()` writes.
+ *
+ * @memberOf EntityIndex
+ * @returns {Object} Returns the serializable index.
+ */
+EntityIndex.prototype.toJSON = function () {
+	var entityIdxs = new Map()
+	this.entities.forEach(function (entity, entityIdx) {
+		entityIdxs.set(entity, entityIdx)
+	})
+
+	var entitySets = {}
+	for (var t = 0, tokensLen = this.tokens.length; t < tokensLen; ++t) {
+		var token = this.tokens[t]
+		entitySets[token] = this.entitySets[token].map(function (entity) {
+			return entityIdxs.get(entity)
+		})
+	}
+
+	return {
+		version: EntityIndex.VERSION,
+		ngramSize: this.ngramSize,
+		terminalSymbols: this.terminalSymbols,
+		entities: this.entities,
+		entitySets: entitySets,
+	}
+}
+
+/**
+ * Gets the entities that contain `token`.
+ *
+ * @memberOf EntityIndex
+ * @param {string} token The token to look up.
+ * @param {string} [categoryName] The entity category to which to limit the matches (e.g., `{user}`).
+ * @returns {Object[]|undefined} Returns the entities that contain `token`, if any, else `undefined`.
+ */
+EntityIndex.prototype.lookup = function (token, categoryName) {
+	var entities = this.entitySets[token]
+	if (!entities || !categoryName) {
+		return entities
+	}
+
+	var categoryEntities = entities.filter(function (entity) {
+		return entity.category === categoryName
+	})
+
+	if (categoryEntities.length > 0) {
+		return categoryEntities
+	}
+}
+
+/**
+ * Gets the entity tokens that begin with `prefix`, excluding `prefix` itself.
+ *
+ * @memberOf EntityIndex
+ * @param {string} prefix The prefix to match.
+ * @param {string} [categoryName] The entity category to which to limit the matches.
+ * @returns {string[]} Returns the matching entity tokens, sorted alphabetically.
+ */
+EntityIndex.prototype.prefixLookup = function (prefix, categoryName) {
+	var tokens = Parser.getPrefixMatches(this.tokens, prefix)
+	if (!categoryName) {
+		return tokens
+	}
+
+	return tokens.filter(function (token) {
+		return this.lookup(token, categoryName) !== undefined
+	}, this)
+}
+
+/**
+ * Gets the entity tokens and terminal symbols whose character n-grams are similar to those of `token`, excluding `token` itself. Measures similarity with the Dice coefficient of the n-grams: twice the number of shared n-grams divided by the total number of n-grams of both strings.
+ *
+ * Unlike `TypoIndex`, which bounds the edit distance, finds matches of any length; e.g., "repo" -> "repository".
+ *
+ * @memberOf EntityIndex
+ * @param {string} token The token to look up.
+ * @param {number} [minSimilarity=0.5] The minimum similarity, between 0 and 1, of matches.
+ * @returns {Object[]} Returns the matches, each with the `word` and its `similarity` to `token`, sorted by decreasing similarity.
+ */
+EntityIndex.prototype.ngramLookup = function (token, minSimilarity) {
+	if (minSimilarity === undefined) {
+		minSimilarity = 0.5
+	}
+
+	var ngrams = getNgrams(token, this.ngramSize)
+	var ngramsLen = ngrams.length
+
+	// Count the n-grams each word shares with `token`.
+	var sharedCounts = Object.create(null)
+	for (var n = 0; n < ngramsLen; ++n) {
+		var words = this.ngramSets[ngrams[n]]
+		if (!words) continue
+
+		for (var w = 0, wordsLen = words.length; w < wordsLen; ++w) {
+			var word = words[w]
+			sharedCounts[word] = (sharedCounts[word] || 0) + 1
+		}
+	}
+
+	var matches = []
+	for (word in sharedCounts) {
+		if (word === token) continue
+
+		var similarity = 2 * sharedCounts[word] / (ngramsLen + getNgrams(word, this.ngramSize).length)
+		if (similarity >= minSimilarity) {
+			matches.push({
+				word: word,
+				similarity: similarity,
+			})
+		}
+	}
+
+	return matches.sort(function (a, b) {
+		return b.similarity - a.similarity || (a.word < b.word ? -1 : 1)
+	})
+}
+
+/**
+ * Searches this index for the entities and terminal symbols that match `query`, ranked by score.
+ *
+ * Matches each query token to the indexed tokens exactly (score 1), as a prefix (the fraction of the token `query` contains), or by character n-grams (the similarity from `EntityIndex.prototype.ngramLookup()`), using the best match for each query token. A result's score is the sum of its query token scores divided by the greater of the number of query tokens and the number of name tokens, which favors results that match all of `query` and that `query` covers completely. Of entities with multiple names, returns the best-scoring name.
+ *
+ * @memberOf EntityIndex
+ * @param {string} query The text to search for.
+ * @param {Object} [options] The options object.
+ * @param {string} [options.category] The entity category to which to limit the results. Excludes terminal symbols.
+ * @param {number} [options.limit=10] The maximum number of results to return.
+ * @param {number} [options.minSimilarity=0.5] The minimum n-gram similarity of approximate token matches.
+ * @returns {Object[]} Returns the results, each with the `text`, `score`, and, for entities, the `category`, `id`, and matched `entity`, sorted by decreasing score.
+ */
+var searchSchema = {
+	category: String,
+	limit: Number,
+	minSimilarity: Number,
+}
+
+EntityIndex.prototype.search = function (query, options) {
+	if (util.illFormedOpts(searchSchema, options)) {
+		throw new Error('Ill-formed search options')
+	}
+
+	options = options || {}
+	var categoryName = options.category
+	var limit = options.limit === undefined ? 10 : options.limit
+
+	var queryTokens = query.toLowerCase().split(/\s+/).filter(Boolean)
+	var queryTokensLen = queryTokens.length
+
+	// The map of matched entities and terminal symbols to their best score for each query token.
+	var tokenScoresMap = new Map()
+
+	function addTokenScore(match, queryTokenIdx, tokenScore) {
+		var tokenScores = tokenScoresMap.get(match)
+		if (!tokenScores) {
+			tokenScoresMap.set(match, tokenScores = new Array(queryTokensLen).fill(0))
+		}
+
+		if (tokenScore > tokenScores[queryTokenIdx]) {
+			tokenScores[queryTokenIdx] = tokenScore
+		}
+	}
+
+	for (var q = 0; q < queryTokensLen; ++q) {
+		var tokenMatches = this.getTokenMatches(queryTokens[q], options.minSimilarity)
+
+		for (var word in tokenMatches) {
+			var tokenScore = tokenMatches[word]
+
+			var wordEntities = this.lookup(word, categoryName)
+			if (wordEntities) {
+				for (var e = 0, wordEntitiesLen = wordEntities.length; e < wordEntitiesLen; ++e) {
+					addTokenScore(wordEntities[e], q, tokenScore)
+				}
+			}
+
+			if (!categoryName && this.terminalSymbolTab[word]) {
+				addTokenScore(word, q, tokenScore)
+			}
+		}
+	}
+
+	var results = []
+	// The map of entity categories and ids to their best-scoring result, which excludes the results for other names of the same entity.
+	var entityResultTab = Object.create(null)
+	tokenScoresMap.forEach(function (tokenScores, match) {
+		var tokenScoresSum = tokenScores.reduce(function (sum, tokenScore) {
+			return sum + tokenScore
+		}, 0)
+
+		// Terminal symbols are single tokens.
+		if (typeof match === 'string') {
+			results.push({
+				text: match,
+				score: tokenScoresSum / queryTokensLen,
+			})
+			return
+		}
+
+		var score = tokenScoresSum / Math.max(queryTokensLen, match.size)
+		var entityKey = match.category + ' ' + match.id
+		var existingResult = entityResultTab[entityKey]
+
+		if (!existingResult) {
+			results.push(entityResultTab[entityKey] = {
+				text: match.text,
+				score: score,
+				category: match.category,
+				id: match.id,
+				entity: match,
+			})
+		} else if (score > existingResult.score) {
+			existingResult.score = score
+			existingResult.entity = match
+		}
+	})
+
+	return results.sort(function (a, b) {
+		return b.score - a.score || (a.text < b.text ? -1 : a.text > b.text ? 1 : 0)
+	}).slice(0, limit)
+}
+
+/**
+ * Gets the indexed entity tokens and terminal symbols that match `queryToken` exactly, as a prefix, or by character n-grams, for `EntityIndex.prototype.search()`.
+ *
+ * @private
+ * @memberOf EntityIndex
+ * @param {string} queryToken The query token to match.
+ * @param {number} [minSimilarity] The minimum n-gram similarity of approximate matches.
+ * @returns {Object.<string, number>} Returns the map of matched words to their best score, between 0 and 1.
+ */
+EntityIndex.prototype.getTokenMatches = function (queryToken, minSimilarity) {
+	var tokenMatches = Object.create(null)
+
+	function addMatch(word, score) {
+		if (!(tokenMatches[word] >= score)) {
+			tokenMatches[word] = score
+		}
+	}
+
+	if (this.entitySets[queryToken] || this.terminalSymbolTab[queryToken]) {
+		addMatch(queryToken, 1)
+	}
+
+	var prefixMatches = this.prefixLookup(queryToken).concat(Parser.getPrefixMatches(this.terminalSymbols, queryToken))
+	for (var p = 0, prefixMatchesLen = prefixMatches.length; p < prefixMatchesLen; ++p) {
+		var prefixMatch = prefixMatches[p]
+		addMatch(prefixMatch, queryToken.length / prefixMatch.length)
+	}
+
+	var ngramMatches = this.ngramLookup(queryToken, minSimilarity)
+	for (var n = 0, ngramMatchesLen = ngramMatches.length; n < ngramMatchesLen; ++n) {
+		var ngramMatch = ngramMatches[n]
+		addMatch(ngramMatch.word, ngramMatch.similarity)
+	}
+
+	return tokenMatches
+}
+
+/**
+ * Maps each character n-gram of `word` to `word` in `ngramSets`.
+ *
+ * @private
+ * @memberOf EntityIndex
+ * @param {string} word The entity token or terminal symbol to index.
+ */
+EntityIndex.prototype.addNgrams = function (word) {
+	var ngrams = getNgrams(word, this.ngramSize)
+
+	for (var n = 0, ngramsLen = ngrams.length; n < ngramsLen; ++n) {
+		var ngram = ngrams[n]
+		var words = this.ngramSets[ngram] || (this.ngramSets[ngram] = [])
+		words.push(word)
+	}
+}
+
+/**
+ * Gets the unique character n-grams of `word`, padded with a boundary character at each end so that the first and last characters form n-grams and words shorter than `ngramSize` have at least one n-gram. E.g., "repo" -> "$re", "rep", "epo", "po$".
+ *
+ * @private
+ * @static
+ * @param {string} word The word for which to generate n-grams.
+ * @param {number} ngramSize The number of characters of each n-gram.
+ * @returns {string[]} Returns the unique n-grams of `word`.
+ */
+function getNgrams(word, ngramSize) {
+	var padded = '$' + word + '$'
+	var ngrams = []
+
+	for (var i = 0, end = Math.max(padded.length - ngramSize, 0); i <= end; ++i) {
+		var ngram = padded.substr(i, ngramSize)
+		if (ngrams.indexOf(ngram) === -1) {
+			ngrams.push(ngram)
+		}
+	}
+
+	return ngrams
+}
+
+/**
+ * Gets the unique entities in `entitySets` by object reference, in the order of `sortedTokens`.
+ *
+ * @private
+ * @static
+ * @param {Object} entitySets The map of entity tokens to entities.
+ * @param {string[]} sortedTokens The alphabetically sorted keys of `entitySets`.
+ * @returns {Object[]} Returns the unique entities.
+ */
+function getUniqueEntities(entitySets, sortedTokens) {
+	var entities = []
+	var seenEntities = new Set()
+
+	for (var t = 0, tokensLen = sortedTokens.length; t < tokensLen; ++t) {
+		var tokenEntities = entitySets[sortedTokens[t]]
+
+		for (var e = 0, tokenEntitiesLen = tokenEntities.length; e < tokenEntitiesLen; ++e) {
+			var entity = tokenEntities[e]
+			if (!seenEntities.has(entity)) {
+				seenEntities.add(entity)
+				entities.push(entity)
+			}
+		}
+	}
+
+	return entities
+}
+
+// Export EntityIndex.
+module.exports = EntityIndex
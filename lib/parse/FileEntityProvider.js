@@ -0,0 +1,44 @@
+var fs = require('fs')
+var MemoryEntityProvider = require('./MemoryEntityProvider')
+
+/**
+ * The `FileEntityProvider` constructor.
+ *
+ * Creates a `MemoryEntityProvider` that loads its entities from the JSON file at `filePath`, which maps entity category names (e.g., `{user}`) to arrays of `EntityDef` objects. Invoke `FileEntityProvider.prototype.reload()` after the file changes (e.g., after each export from a database) to replace the entities without rebuilding the grammar.
+ *
+ * @constructor
+ * @param {string} filePath The path of the JSON file of entities.
+ */
+function FileEntityProvider(filePath) {
+	this.filePath = filePath
+
+	MemoryEntityProvider.call(this, readEntityFile(filePath))
+}
+
+FileEntityProvider.prototype = Object.create(MemoryEntityProvider.prototype)
+FileEntityProvider.prototype.constructor = FileEntityProvider
+
+/**
+ * Reloads the entities from the file at `filePath`, replacing all existing entities.
+ *
+ * @memberOf FileEntityProvider
+ * @returns {FileEntityProvider} Returns the `FileEntityProvider` instance.
+ */
+FileEntityProvider.prototype.reload = function () {
+	return this.load(readEntityFile(this.filePath))
+}
+
+/**
+ * Reads and parses the JSON file of entities at `filePath`.
+ *
+ * @private
+ * @static
+ * @param {string} filePath The path of the JSON file of entities.
+ * @returns {Object.<string, EntityDef[]>} Returns the map of entity category names to entities.
+ */
+function readEntityFile(filePath) {
+	return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+// Export FileEntityProvider.
+module.exports = FileEntityProvider
@@ -0,0 +1,174 @@
+var util = require('../util/util')
+var Parser = require('./Parser')
+var TypoIndex = require('./TypoIndex')
+var initEntities = require('./initEntities')
+var entityUtil = require('../grammar/entityUtil')
+
+/**
+ * The `MemoryEntityProvider` constructor.
+ *
+ * Creates an entity provider (see `EntityProvider` in `Parser`) that holds entities in memory, indexed by token, for `Parser` to match in input at runtime. Replace the entities of a category with `MemoryEntityProvider.prototype.setEntities()` as their source changes, without rebuilding the grammar.
+ *
+ * Supports completing partially typed input tokens and correcting misspelled input tokens to the entities' tokens.
+ *
+ * @constructor
+ * @param {Object.<string, EntityDef[]>} [categories] The map of entity category names (e.g., `{user}`) to the entities of that category.
+ */
+function MemoryEntityProvider(categories) {
+	this.load(categories || {})
+}
+
+/**
+ * The definition of an entity that entity providers supply at runtime.
+ *
+ * @typedef {Object} EntityDef
+ * @property {string} id The unique entity id, which the entity's semantic argument uses.
+ * @property {string} display The entity's display text.
+ * @property {string[]} [names=[ display ]] The synonyms for the entity to match in input, all of which are substituted with `display` (e.g., "JavaScript", "JS").
+ * @property {string} [pronouns] The pronouns of the person the entity represents, for entities of person categories, with which the pronouns of anaphora must agree: 'he', 'she', or 'they'.
+ */
+var entityDefSchema = {
+	id: { type: String, required: true },
+	display: { type: String, required: true },
+	names: { type: Array, arrayType: String },
+	pronouns: { values: [ 'he', 'she', 'they' ] },
+}
+
+/**
+ * Replaces all entities in this provider with the entities in `categories`.
+ *
+ * @memberOf MemoryEntityProvider
+ * @param {Object.<string, EntityDef[]>} categories The map of entity category names to the entities of that category.
+ * @returns {MemoryEntityProvider} Returns the `MemoryEntityProvider` instance.
+ */
+MemoryEntityProvider.prototype.load = function (categories) {
+	// The map of entity category names to the entity objects of that category, one for each entity name.
+	this.categoryEntities = {}
+
+	for (var categoryName in categories) {
+		this.categoryEntities[categoryName] = createCategoryEntities(categoryName, categories[categoryName])
+	}
+
+	this.index()
+
+	return this
+}
+
+/**
+ * Replaces the entities of the entity category `categoryName` with `entities`.
+ *
+ * @memberOf MemoryEntityProvider
+ * @param {string} categoryName The entity category name (e.g., `{user}`).
+ * @param {EntityDef[]} entities The entities of the category.
+ * @returns {MemoryEntityProvider} Returns the `MemoryEntityProvider` instance.
+ */
+MemoryEntityProvider.prototype.setEntities = function (categoryName, entities) {
+	this.categoryEntities[categoryName] = createCategoryEntities(categoryName, entities)
+
+	this.index()
+
+	return this
+}
+
+/**
+ * Indexes the entities in `categoryEntities` by token for `Parser` to look up, and indexes the tokens for completing and correcting input tokens.
+ *
+ * @private
+ * @memberOf MemoryEntityProvider
+ */
+MemoryEntityProvider.prototype.index = function () {
+	var entitySets = {}
+
+	for (var categoryName in this.categoryEntities) {
+		this.categoryEntities[categoryName].forEach(function (entity) {
+			entityUtil.addEntity(entitySets, entity)
+		})
+	}
+
+	// Sort entities for each token alphabetically by display text, like the grammar's entities, so that parse trees with the same cost are sorted alphabetically when output.
+	entityUtil.sortEntitySets(entitySets)
+
+	// Replace multiple instances of the same entity with references to the same object, like the grammar's entities.
+	initEntities(entitySets)
+
+	// The map of entity tokens to entities, which `Parser` looks up as a preloaded index.
+	this.entitySets = entitySets
+	// The alphabetically sorted entity tokens for completing partially typed input tokens.
+	this.sortedTokens = Object.keys(entitySets).sort()
+	// The symmetric deletion index of the entity tokens for correcting misspelled input tokens.
+	this.typoIndex = new TypoIndex(this.sortedTokens, 2)
+}
+
+/**
+ * Gets the entity tokens that begin with `prefix`, excluding `prefix` itself.
+ *
+ * @memberOf MemoryEntityProvider
+ * @param {string} prefix The partially typed input token.
+ * @returns {string[]} Returns the matching entity tokens.
+ */
+MemoryEntityProvider.prototype.prefixLookup = function (prefix) {
+	return Parser.getPrefixMatches(this.sortedTokens, prefix)
+}
+
+/**
+ * Gets the entity tokens within `maxDistance` edits of `token`, excluding `token` itself.
+ *
+ * @memberOf MemoryEntityProvider
+ * @param {string} token The misspelled input token.
+ * @param {number} maxDistance The maximum edit distance.
+ * @returns {Object[]} Returns the matches, each with the `word` and its edit `distance` from `token`.
+ */
+MemoryEntityProvider.prototype.typoLookup = function (token, maxDistance) {
+	return this.typoIndex.lookup(token, maxDistance)
+}
+
+/**
+ * Creates the entity objects for `entities` of the entity category `categoryName`, one for each entity name. Throws an exception if an entity is ill-formed.
+ *
+ * @private
+ * @static
+ * @param {string} categoryName The entity category name.
+ * @param {EntityDef[]} entities The entities of the category.
+ * @returns {Object[]} Returns the entity objects.
+ */
+function createCategoryEntities(categoryName, entities) {
+	var entityObjs = []
+	var ids = {}
+
+	for (var e = 0, entitiesLen = entities.length; e < entitiesLen; ++e) {
+		var entityDef = entities[e]
+		if (util.illFormedOpts(entityDefSchema, entityDef)) {
+			throw new Error('Ill-formed entity')
+		}
+
+		if (ids[entityDef.id]) {
+			util.logError('Duplicate entity id:', categoryName, '->', util.stylize(entityDef.id))
+			throw new Error('Duplicate entity')
+		}
+		ids[entityDef.id] = true
+
+		var names = entityDef.names || [ entityDef.display ]
+
+		// Check the entity names have forbidden characters, which `Parser` removes from input.
+		var reForbiddenChar = /[,.]/
+		for (var n = 0, namesLen = names.length; n < namesLen; ++n) {
+			if (reForbiddenChar.test(names[n])) {
+				util.logError('Entity name contains forbidden character:', categoryName, '->', util.stylize(names[n]))
+				throw new Error('Ill-formed entity')
+			}
+		}
+
+		Array.prototype.push.apply(entityObjs, entityUtil.createEntities({
+			displayText: entityDef.display,
+			names: names,
+			id: entityDef.id,
+			categoryName: categoryName,
+			pronouns: entityDef.pronouns,
+		}))
+	}
+
+	return entityObjs
+}
+
+// Export MemoryEntityProvider.
+module.exports = MemoryEntityProvider
@@ -0,0 +1,316 @@
+/**
+ * The currency symbols `NumberRecognizer` accepts as prefixes of numbers in input; e.g., "$2.5M". Currency symbols only affect the display text of the number, not its value.
+ *
+ * @private
+ * @type {string}
+ */
+var CURRENCY_SYMBOLS = '$€£¥'
+
+/**
+ * The `NumberRecognizer` constructor.
+ *
+ * Recognizes the numbers in input tokens that `Parser` matches to integer symbols, beyond integer digits:
+ * • Decimals: "1.5"
+ * • Magnitude suffixes: "1.5k" -> 1500, displayed as "1.5K"
+ * • Currency symbols: "$2.5M" -> 2500000, displayed as "$2.5M"
+ * • Ordinals: "3rd", "third" -> 3
+ * • Spelled-out numbers, including numbers that span multiple tokens: "ten", "twenty-five", "two hundred fifty", "1.5 million"
+ *
+ * @constructor
+ * @param {Object} numerals The number words and affixes of the grammar's locale.
+ * @param {Object.<string, number>} numerals.words The map of cardinal number words to their values, excluding `numerals.scales`.
+ * @param {Object.<string, number>} numerals.scales The map of number words that multiply the preceding number to their values.
+ * @param {Object.<string, string>} numerals.ordinalWords The map of ordinal number words to the cardinal number words with the same value.
+ * @param {string[]} numerals.conjunctions The words that can join number words within a number.
+ * @param {string[]} numerals.ordinalSuffixes The suffixes that form ordinals from digits.
+ * @param {Object.<string, string>} numerals.ordinalTextSuffixes The map of the final digits of ordinals to the suffixes with which to display them.
+ * @param {Object.<string, number>} numerals.magnitudeSuffixes The map of suffixes that multiply the digits they follow to their values.
+ */
+function NumberRecognizer(numerals) {
+	// The map of number words, scales, ordinal words, and conjunctions to their properties for spelling out numbers.
+	this.wordTab = Object.create(null)
+
+	var word
+	for (word in numerals.words) {
+		this.wordTab[word] = { value: numerals.words[word] }
+	}
+
+	for (word in numerals.scales) {
+		this.wordTab[word] = { value: numerals.scales[word], isScale: true }
+	}
+
+	for (word in numerals.ordinalWords) {
+		var cardinal = this.wordTab[numerals.ordinalWords[word]]
+		this.wordTab[word] = { value: cardinal.value, isScale: cardinal.isScale, isOrdinal: true }
+	}
+
+	numerals.conjunctions.forEach(function (conjunction) {
+		this.wordTab[conjunction] = { isConjunction: true }
+	}, this)
+
+	this.magnitudeSuffixes = numerals.magnitudeSuffixes
+	this.ordinalTextSuffixes = numerals.ordinalTextSuffixes
+
+	// The regular expression that matches digits with an optional currency symbol prefix and an optional ordinal or magnitude suffix. Captures the currency symbol, the digits, and the suffix.
+	var suffixes = numerals.ordinalSuffixes.concat(Object.keys(numerals.magnitudeSuffixes)).map(function (suffix) {
+		return suffix.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+	})
+	this.affixedDigitsRegex = new RegExp('^([' + CURRENCY_SYMBOLS + ']?)(\\d*\\.?\\d+)(' + suffixes.join('|') + ')?$')
+}
+
+/**
+ * A number `NumberRecognizer` recognized in input.
+ *
+ * @typedef {Object} NumberMatch
+ * @property {number} value The number.
+ * @property {string} text The normalized display text: the number in digits, prefixed with the currency symbol, if any, and followed by the magnitude suffix in uppercase, if any. E.g., "$2.5m" -> "$2.5M", "two hundred fifty" -> "250".
+ * @property {string} currency The currency symbol that prefixed the number, if any, else the empty string.
+ * @property {boolean} isOrdinal Specify the number is an ordinal; e.g., "3rd", "third".
+ * @property {boolean} isNumeral Specify the input token is only digits (i.e., without affixes), which `Parser` also matches to numeric terminal symbols; e.g., "1" -> "January".
+ */
+
+/**
+ * Recognizes the number `token` represents, if any.
+ *
+ * Converts the following forms of numbers:
+ * • Strips leading zeros: "02" -> 2.
+ * • Converts exponential notation: "1e3" -> 1000.
+ * • Converts hexadecimals to decimals: "0x10" -> 16.
+ * • Converts to absolute value: "-20" -> 20. The grammar forbids integer symbols to have negative lower bounds.
+ * • Applies magnitude suffixes to the value, though keeps them in the display text: "1.5k" -> 1500, "1.5K".
+ * • Removes currency symbols from the value, though keeps them in the display text: "$2.5M" -> 2500000, "$2.5M".
+ * • Converts ordinals: "3rd" -> 3.
+ * • Converts spelled-out numbers, including hyphenated compounds: "ten" -> 10, "twenty-five" -> 25, "third" -> 3.
+ *
+ * Does not round decimals, which `Parser` only matches to integer symbols that accept decimals.
+ *
+ * @memberOf NumberRecognizer
+ * @param {string} token The input token.
+ * @returns {NumberMatch|undefined} Returns the number if recognized, else `undefined`.
+ */
+NumberRecognizer.prototype.recognizeToken = function (token) {
+	/**
+	 * Parse numerals with `Number()`, which fails on numbers with trailing or leading non-numeric characters (e.g., "20mb") that the affix matching below handles.
+	 * • `parseInt()` would incorrectly convert "2.7" -> 2 and "1e3" -> 1.
+	 * • `parseFloat()` would incorrectly convert "0x10" -> 0 and strip trailing non-numeric characters: "20mb" -> 20.
+	 */
+	if (!isNaN(token)) {
+		return newNumberMatch(Math.abs(Number(token)), '', false, true)
+	}
+
+	var affixMatch = this.affixedDigitsRegex.exec(token)
+	if (affixMatch) {
+		var currency = affixMatch[1]
+		var value = Number(affixMatch[2])
+		var suffix = affixMatch[3]
+
+		if (suffix) {
+			var magnitude = this.magnitudeSuffixes[suffix]
+			if (magnitude) {
+				// Display the digits with the suffix instead of the product, which is harder to read: "$2.5M", not "$2500000".
+				var match = newNumberMatch(Number((value * magnitude).toPrecision(15)), currency, false, false)
+				match.text = currency + Number(affixMatch[2]) + suffix.toUpperCase()
+				return match
+			} else if (currency || value % 1 !== 0) {
+				// Forbid ordinal suffixes after currency and decimals: "$3rd", "2.5th".
+				return
+			} else {
+				return newNumberMatch(value, '', true, false)
+			}
+		}
+
+		return newNumberMatch(value, currency, false, false)
+	}
+
+	// Spelled-out numbers: "ten", "twenty-five", "third".
+	return this.recognizeWords(token.split('-'))
+}
+
+/**
+ * Recognizes the longest spelled-out number that spans multiple tokens and ends with the token at `endIdx` in `tokens`, if any; e.g., "two hundred fifty", "1.5 million".
+ *
+ * Excludes numbers within the span that end at `endIdx` yet start after the longest number, which `Parser` would otherwise match ambiguously; e.g., "hundred fifty" in "two hundred fifty". `Parser` matches the single-token numbers with `NumberRecognizer.prototype.recognizeToken()`.
+ *
+ * @memberOf NumberRecognizer
+ * @param {string[]} tokens The input tokens.
+ * @param {number} endIdx The index of the last token of the number.
+ * @returns {Object|undefined} Returns the match, with the number `NumberMatch` and its `startIdx` in `tokens`, if any, else `undefined`.
+ */
+NumberRecognizer.prototype.recognizeMultiTokenNumber = function (tokens, endIdx) {
+	if (endIdx === 0 || !this.isNumberWord(tokens[endIdx])) {
+		return
+	}
+
+	// Find the start of the continuous span of number words that ends at `endIdx`.
+	var firstIdx = endIdx
+	while (firstIdx > 0 && this.isNumberWord(tokens[firstIdx - 1])) {
+		--firstIdx
+	}
+
+	// Include digits that precede number words: "1.5 million".
+	if (firstIdx > 0 && /\d/.test(tokens[firstIdx - 1])) {
+		--firstIdx
+	}
+
+	for (var startIdx = firstIdx; startIdx < endIdx; ++startIdx) {
+		var words = []
+		for (var t = startIdx; t <= endIdx; ++t) {
+			Array.prototype.push.apply(words, tokens[t].split('-'))
+		}
+
+		var number = this.recognizeWords(words)
+		if (number) {
+			return {
+				number: number,
+				startIdx: startIdx,
+			}
+		}
+	}
+}
+
+/**
+ * Checks if `token` is a number word, scale, ordinal word, or conjunction of spelled-out numbers, or a hyphenated compound of such; e.g., "fifty", "million", "third", "and", "twenty-five".
+ *
+ * @memberOf NumberRecognizer
+ * @param {string} token The input token.
+ * @returns {boolean} Returns `true` if `token` is a number word, else `false`.
+ */
+NumberRecognizer.prototype.isNumberWord = function (token) {
+	var words = token.split('-')
+	for (var w = 0, wordsLen = words.length; w < wordsLen; ++w) {
+		if (!this.wordTab[words[w]]) return false
+	}
+
+	return true
+}
+
+/**
+ * Recognizes the spelled-out number `words` form, if valid; e.g., [ 'two', 'hundred', 'and', 'fifty' ] -> 250.
+ *
+ * Requires `words` to follow the order of spoken numbers to avoid matching sequences of separate numbers; e.g., fails for "five twenty" and "two three". Accepts digits for the first word when followed by a scale: "1.5 million". Accepts an ordinal word only for the last word: "twenty first".
+ *
+ * @memberOf NumberRecognizer
+ * @param {string[]} words The words to recognize.
+ * @returns {NumberMatch|undefined} Returns the number if valid, else `undefined`.
+ */
+NumberRecognizer.prototype.recognizeWords = function (words) {
+	// The sum of the completed groups of the number, each multiplied by a scale of at least one thousand.
+	var total = 0
+	// The current group of the number, which precedes the next scale; e.g., 250 in "two hundred fifty thousand".
+	var group = 0
+	// The smallest scale of at least one thousand multiplied so far, which the scales that follow must be less than.
+	var prevScale = Infinity
+	var prevWordTab
+	var isAfterConjunction = false
+	var currency = ''
+	var isOrdinal = false
+
+	for (var w = 0, wordsLen = words.length; w < wordsLen; ++w) {
+		var word = words[w]
+		var wordTab = this.wordTab[word]
+		var isLastWord = w === wordsLen - 1
+
+		if (!wordTab) {
+			// Accept digits for the first word when followed by a scale: "1.5 million", "$2 billion".
+			var nextWordTab = this.wordTab[words[w + 1]]
+			if (w > 0 || !nextWordTab || !nextWordTab.isScale) return
+
+			var number = this.recognizeToken(word)
+			if (!number || number.isOrdinal) return
+
+			group = number.value
+			currency = number.currency
+			prevWordTab = {}
+			continue
+		}
+
+		if (wordTab.isConjunction) {
+			// Conjunctions only join number words: "two hundred and fifty".
+			if (w === 0 || isLastWord || isAfterConjunction) return
+			isAfterConjunction = true
+			continue
+		}
+
+		if (wordTab.isOrdinal) {
+			// Ordinal words only end numbers: "twenty first", not "first twenty".
+			if (!isLastWord) return
+			isOrdinal = true
+		}
+
+		var value = wordTab.value
+		if (wordTab.isScale) {
+			if (value < 1000) {
+				// "two hundred", "twelve hundred"; not "hundred hundred".
+				if (group >= 100 || prevWordTab && prevWordTab.isScale) return
+				group = (group || 1) * value
+			} else {
+				// "two thousand", "hundred thousand"; not "thousand million" or "one million thousand".
+				if (value >= prevScale || w > 0 && group === 0) return
+				total += (group || 1) * value
+				group = 0
+				prevScale = value
+			}
+		} else if (value >= 100) {
+			// Hundreds spelled as single words: "doscientos".
+			if (group !== 0) return
+			group = value
+		} else if (value >= 20 && value % 10 === 0) {
+			// Tens must precede units: "twenty five", not "five twenty".
+			if (group % 100 !== 0) return
+			group += value
+		} else if (group % 100 !== 0 && !(prevWordTab && prevWordTab.value % 10 === 0 && prevWordTab.value >= 20 && value > 0 && value < 10)) {
+			// Units must follow tens or begin the group: "twenty five", "one hundred five"; not "two three".
+			return
+		} else {
+			group += value
+		}
+
+		prevWordTab = wordTab
+		isAfterConjunction = false
+	}
+
+	// Remove floating point artifacts of multiplying decimals: 1.1 * 1e6 -> 1100000.0000000002.
+	return newNumberMatch(Number((total + group).toPrecision(15)), currency, isOrdinal, false)
+}
+
+/**
+ * Formats `value` as an ordinal in digits for display text, with the locale's suffix for its final digits; e.g., 3 -> "3rd", 13 -> "13th", 21 -> "21st".
+ *
+ * @memberOf NumberRecognizer
+ * @param {number} value The integer to format.
+ * @returns {string} Returns the ordinal display text.
+ */
+NumberRecognizer.prototype.formatOrdinal = function (value) {
+	var digits = String(value)
+	var suffixes = this.ordinalTextSuffixes
+
+	// Check the final two digits before the final digit: "13th", not "13rd".
+	var suffix = suffixes[digits.slice(-2)]
+	if (suffix === undefined) suffix = suffixes[digits.slice(-1)]
+	if (suffix === undefined) suffix = suffixes['']
+
+	return digits + suffix
+}
+
+/**
+ * Creates a `NumberMatch`.
+ *
+ * @private
+ * @static
+ * @param {number} value The number.
+ * @param {string} currency The currency symbol, if any, else the empty string.
+ * @param {boolean} isOrdinal Specify the number is an ordinal.
+ * @param {boolean} isNumeral Specify the input token is only digits.
+ * @returns {NumberMatch} Returns the new `NumberMatch`.
+ */
+function newNumberMatch(value, currency, isOrdinal, isNumeral) {
+	return {
+		value: value,
+		text: currency + value,
+		currency: currency,
+		isOrdinal: isOrdinal,
+		isNumeral: isNumeral,
+	}
+}
+
+module.exports = NumberRecognizer
\ No newline at end of file
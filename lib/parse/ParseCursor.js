@@ -0,0 +1,99 @@
+var pfsearch = require('./pfsearch')
+
+/**
+ * The `ParseCursor` constructor.
+ *
+ * Retains the parse forest and the `pfsearch` heap of a parse to find more
+ * parse trees from where the search stopped, such as for "more results",
+ * instead of reparsing the query with a larger `k`. `Parser.prototype.parse()`
+ * returns a cursor as `parseResults.cursor` if `options.cursor` is `true`.
+ *
+ * The cursor holds the parse forest, the heap of incomplete paths, and every
+ * tree found, which can be much larger than the trees themselves. Invoke
+ * `ParseCursor.prototype.dispose()` once no more trees are needed to release
+ * them.
+ *
+ * The cursor remains valid after its `Parser` parses other queries, which
+ * build new parse forests.
+ *
+ * @constructor
+ * @param {Parser} parser The `Parser` instance that parsed the query.
+ * @param {Object} searchState The state of the search of the parse,
+ * `PFSearchResults.searchState`.
+ * @param {Object} [options] The options object `Parser.prototype.parse()`
+ * received.
+ */
+function ParseCursor(parser, searchState, options) {
+	this.parser = parser
+	this.searchState = searchState
+	this.options = options
+
+	// The input tokens and deletions of the parse, for the structured
+	// representations of the trees, which the parser's next parse replaces.
+	this.tokens = parser.tokens
+	this.deletions = parser.deletions
+
+	// Indicates `pfsearch` has exhausted the parse forest, and hence no more
+	// trees exist.
+	this.isExhausted = searchState.heap.content.length === 0
+	this.isDisposed = false
+}
+
+/**
+ * Continues the search of the parse from where it stopped and returns the
+ * next `n`-best parse trees, each unique from every tree the parse and the
+ * previous invocations found. Paging with `k` and then `n` finds the same
+ * trees as a single parse with `k + n`.
+ *
+ * If `options.structured` was `true`, the confidences of the structured trees
+ * derive from only the trees of this page.
+ *
+ * @memberOf ParseCursor
+ * @param {number} [n=7] The maximum number of parse trees to find.
+ * @returns {ParseResults} Returns the next `n`-best parse trees, fewer if the
+ * parse forest has no more, and the statistics of their search.
+ */
+ParseCursor.prototype.next = function (n) {
+	if (this.isDisposed) {
+		throw new Error('Parse cursor is disposed')
+	}
+
+	var parseResults = {
+		trees: [],
+		pathCount: 0,
+		ambiguousTreeCount: 0,
+	}
+
+	if (this.isExhausted) {
+		return parseResults
+	}
+
+	var pfsearchResults = pfsearch.resume(this.searchState, n)
+	parseResults.trees = pfsearchResults.trees
+	parseResults.pathCount = pfsearchResults.pathCount
+	parseResults.ambiguousTreeCount = pfsearchResults.ambiguousTreeCount
+	this.parser.addStructuredTrees(parseResults, this.options, this.tokens, this.deletions)
+
+	this.isExhausted = this.searchState.heap.content.length === 0
+
+	return parseResults
+}
+
+/**
+ * Releases the parse forest and the search state, after which
+ * `ParseCursor.prototype.next()` throws an exception.
+ *
+ * @memberOf ParseCursor
+ */
+ParseCursor.prototype.dispose = function () {
+	this.parser = undefined
+	this.searchState = undefined
+	this.options = undefined
+	this.tokens = undefined
+	this.deletions = undefined
+	this.isExhausted = true
+	this.isDisposed = true
+}
+
+// Export ParseCursor.
+module.exports = ParseCursor
@@ -0,0 +1,145 @@
+var Parser = require('./Parser')
+
+/**
+ * The `ParseSession` constructor.
+ *
+ * Parses successive versions of an input query, such as after each keystroke
+ * for autocomplete. Reuses the terminal rule matches, nodes, and vertices of
+ * the previous parse for the leading tokens the two queries share, and only
+ * matches and reduces from the first changed token.
+ *
+ * Only saves the work of matching and reducing the unchanged prefix. Still
+ * searches the parse forest (i.e., `pfsearch`) from the start node, which
+ * spans the entire query, and reparses with every token marked deletable
+ * after a failed parse (e.g., most prefixes that end mid-word), neither of
+ * which depends on the prefix alone. These dominate the duration of most
+ * parses, hence a session parse is only moderately faster than parsing from
+ * scratch; `benchmark -i` reports both durations.
+ *
+ * Each session has its own `Parser` instance, which holds the state of the
+ * previous parse. Multiple sessions can share the same `StateTable` instance.
+ *
+ * @constructor
+ * @param {StateTable} stateTable The `StateTable` instance generated from the
+ * grammar.
+ * @param {Object} [options] The `Parser` options object.
+ * @param {EntityProvider[]} [options.entityProviders] The entity providers
+ * that supply entities at runtime. Invoke `ParseSession.prototype.reset()`
+ * after their entities change to avoid reusing matches to the previous
+ * entities.
+ */
+function ParseSession(stateTable, options) {
+	this.parser = new Parser(stateTable, options)
+
+	// The input query of the previous parse.
+	this.query = ''
+	// The tokens of the previous parse if its state is reusable, else
+	// `undefined`.
+	this.tokens = undefined
+	// The number of leading tokens the previous parse reused.
+	this.reusedTokensLen = 0
+	// Specify the previous parse had a dialogue context, without which its
+	// parse forest omits the rules that refer to previous turns.
+	this.hadContext = false
+}
+
+/**
+ * Parses `query`, reusing the work of the previous parse for the leading
+ * tokens `query` shares with the previous query, and returns the `k`-best
+ * parse trees. The results are identical to those of
+ * `Parser.prototype.parse()`.
+ *
+ * @memberOf ParseSession
+ * @param {string} query The input query to parse.
+ * @param {number} [k=7] The maximum number of parse trees to find.
+ * @param {Object} [options] The `pfsearch` options object.
+ * @param {boolean} [options.buildTrees=false] Specify constructing parse
+ * trees for printing.
+ * @param {boolean} [options.printAmbiguity=false] Specify printing instances
+ * of ambiguity.
+ * @param {boolean} [options.complete=false] Specify completing the last
+ * token of `query` as a prefix.
+ * @param {DialogueContext} [options.context] The previous turns of the
+ * dialogue to which to resolve references in `query`. Parses from the start
+ * if the previous parse had a context and this one lacks it, or vice versa.
+ * @returns {ParseResults} Returns the `k`-best parse trees and associated
+ * parse statistics.
+ */
+ParseSession.prototype.parse = function (query, k, options) {
+	var tokens = Parser.tokenize(query, this.parser.stateTable.tokenization)
+	var hasContext = !!(options && options.context)
+	this.reusedTokensLen = this.tokens && hasContext === this.hadContext ? getReusableTokensLen(this.tokens, tokens) : 0
+
+	var parseResults = this.parser.parseReusing(query, k, options, this.reusedTokensLen)
+
+	/**
+	 * Do not reuse the state of a parse that failed to reach the start symbol
+	 * or to generate legal parse trees. Reparsing with all tokens marked
+	 * deletable adds nodes at every index whose deletion costs depend on the
+	 * length of the query.
+	 *
+	 * Nor reuse the state of a parse that exceeded its budget, which lacks the
+	 * nodes of the tokens beyond `budget.maxTokens` or stopped before
+	 * completing its reductions, or that returned a `ParseCursor`, whose parse
+	 * forest the next parse could otherwise extend by reusing its nodes.
+	 */
+	this.query = query
+	this.hadContext = hasContext
+	this.tokens = parseResults.failedInitStartSym || parseResults.failedInitLegalTrees || parseResults.truncated || parseResults.cursor ? undefined : tokens
+
+	return parseResults
+}
+
+/**
+ * Appends `text` to the previous input query and parses the result.
+ *
+ * @memberOf ParseSession
+ * @param {string} text The text to append.
+ * @param {number} [k=7] The maximum number of parse trees to find.
+ * @param {Object} [options] The `pfsearch` options object.
+ * @returns {ParseResults} Returns the `k`-best parse trees and associated
+ * parse statistics.
+ */
+ParseSession.prototype.append = function (text, k, options) {
+	return this.parse(this.query + text, k, options)
+}
+
+/**
+ * Discards the state of the previous parse, causing the next parse to parse
+ * its query from the start.
+ *
+ * @memberOf ParseSession
+ */
+ParseSession.prototype.reset = function () {
+	this.query = ''
+	this.tokens = undefined
+	this.reusedTokensLen = 0
+}
+
+/**
+ * Gets the number of leading tokens of `tokens` for which to reuse the state
+ * of the previous parse of `prevTokens`.
+ *
+ * Excludes the last token of both queries. The last `nodeTabs` index of the
+ * previous parse includes the nodes for `[blank-inserted]` and for deletions
+ * that extend to the end of input, and the last index of the new parse
+ * requires the same.
+ *
+ * @private
+ * @static
+ * @param {string[]} prevTokens The tokens of the previous parse.
+ * @param {string[]} tokens The tokens of the new parse.
+ * @returns {number} Returns the number of tokens to reuse.
+ */
+function getReusableTokensLen(prevTokens, tokens) {
+	var maxLen = Math.min(prevTokens.length, tokens.length) - 1
+
+	for (var t = 0; t < maxLen; ++t) {
+		if (prevTokens[t] !== tokens[t]) break
+	}
+
+	return t
+}
+
+// Export ParseSession.
+module.exports = ParseSession
@@ -1,5 +1,8 @@
 var util = require('../util/util')
 var pfsearch = require('./pfsearch')
+var structureParseTree = require('./structureParseTree')
+var ConfidenceModel = require('./ConfidenceModel')
+var ParseCursor = require('./ParseCursor')
 
 /**
  * The `Parser` constructor.
@@ -11,9 +14,89 @@ var pfsearch = require('./pfsearch')
  * @constructor
  * @param {StateTable} stateTable The `StateTable` instance generated from the
  * grammar.
+ * @param {Object} [options] The options object.
+ * @param {EntityProvider[]} [options.entityProviders] The entity providers
+ * that supply entities at runtime, in addition to the grammar's entities.
+ * @param {ConfidenceModel} [options.confidenceModel=new ConfidenceModel()]
+ * The model that scores the confidence of each structured parse tree (e.g.,
+ * the calibrated model `calibrate` writes).
  */
-function Parser(stateTable) {
+var parserSchema = {
+	entityProviders: { type: Array, allowEmpty: true },
+	confidenceModel: ConfidenceModel,
+}
+
+function Parser(stateTable, options) {
+	if (util.illFormedOpts(parserSchema, options) || isIllFormedEntityProviders(options)) {
+		throw new Error('Ill-formed Parser')
+	}
+
 	this.stateTable = stateTable
+	this.entityProviders = options && options.entityProviders || []
+	this.confidenceModel = options && options.confidenceModel || new ConfidenceModel()
+}
+
+/**
+ * The source of entities that `Parser` looks up at runtime for input tokens,
+ * instead of building them into the grammar. E.g., user and repository names
+ * that come from a database that changes more often than the grammar is
+ * built.
+ *
+ * A provider defines either `lookup()`, for synchronous lookups by token, or
+ * `entitySets`, a preloaded index of tokens to entities. It returns entity
+ * objects of the same form as the grammar's (see
+ * `entityUtil.createEntities()`), each with an entity category the grammar
+ * defines. Entity ids must be unique across the grammar and all providers.
+ *
+ * `Parser` replaces multiple instances of the same entity (i.e., the same
+ * category, id, and tokens) with the instance it first receives, like
+ * `initEntities` for the grammar's entities, which
+ * `Parser.prototype.mergeEntityMatches()` requires to merge the matches of a
+ * multi-token entity by object reference.
+ *
+ * @typedef {Object} EntityProvider
+ * @property {Function} [lookup] The function that returns the entities that
+ * contain a given input token, if any. Invoked with one argument: (token).
+ * @property {Object.<string, Object[]>} [entitySets] The map of entity tokens
+ * to entities, if `lookup` is not defined.
+ * @property {Function} [prefixLookup] The function that returns the entity
+ * tokens that begin with a given partially typed input token, excluding that
+ * token, for completing queries. Invoked with one argument: (prefix).
+ * @property {Function} [typoLookup] The function that returns the entity
+ * tokens within a given edit distance of a misspelled input token, each as an
+ * object with the `word` and its edit `distance`, for correcting typos.
+ * Invoked with two arguments: (token, maxDistance).
+ */
+
+/**
+ * Checks if an element of `entityProviders` in `options`, which was passed to
+ * `Parser()`, is not an object or defines neither `lookup()` nor
+ * `entitySets`. If so, prints an error.
+ *
+ * Checks the elements here instead of with `util.illFormedOpts()`, which only
+ * accepts `Object` literals for the type `Object`, and hence rejects instances
+ * of provider constructors (e.g., `MemoryEntityProvider`).
+ *
+ * @private
+ * @static
+ * @param {Object} [options] The `Parser()` options object to inspect.
+ * @returns {boolean} Returns `true` if an entity provider is ill-formed, else
+ * `false`.
+ */
+function isIllFormedEntityProviders(options) {
+	var entityProviders = options && options.entityProviders
+	if (entityProviders) {
+		for (var p = 0, entityProvidersLen = entityProviders.length; p < entityProvidersLen; ++p) {
+			var entityProvider = entityProviders[p]
+
+			if (Object(entityProvider) !== entityProvider || (typeof entityProvider.lookup !== 'function' && !entityProvider.entitySets)) {
+				util.logError('Entity provider defines neither `lookup()` nor `entitySets`:', entityProvider)
+				return true
+			}
+		}
+	}
+
+	return false
 }
 
 /**
@@ -34,6 +117,21 @@ function Parser(stateTable) {
  * the first `pfsearch` invocation.)
  * @property {number} ambiguousTreeCount The number of ambiguous parse trees
  * discarded in `pfsearch`.
+ * @property {boolean} hasTypos Indicates the parse matched misspelled input
+ * tokens to terminal symbols or entities by edit distance.
+ * @property {StructuredParseTree[]} [structuredTrees] The structured
+ * representations of `trees`, if `options.structured` is `true` and the parse
+ * reaches the start symbol.
+ * @property {boolean} truncated Indicates the parse exceeded a budget of
+ * `options.budget` and stopped early. If so, `trees` holds the trees found
+ * before the parse stopped, if any.
+ * @property {string} [truncatedReason] If `truncated` is `true`, the name of
+ * the budget that stopped the parse: 'maxNodes', 'maxPaths', or
+ * 'maxDuration'. Else, 'maxTokens' if the parse only parsed the first
+ * `budget.maxTokens` input tokens.
+ * @property {ParseCursor} [cursor] The cursor that finds the parse trees
+ * after `trees`, if `options.cursor` is `true` and the parse reaches the
+ * start symbol.
  */
 
 /**
@@ -44,47 +142,148 @@ function Parser(stateTable) {
  * @memberOf Parser
  * @param {string} query The input query to parse.
  * @param {number} [k=7] The maximum number of parse trees to find.
- * @param {Object} [options] The `pfsearch` options object.
+ * @param {Object} [options] The options object, which `pfsearch` also
+ * receives.
  * @param {boolean} [options.buildTrees=false] Specify constructing parse
  * trees for printing.
  * @param {boolean} [options.printAmbiguity=false] Specify printing instances
  * of ambiguity.
+ * @param {boolean} [options.complete=false] Specify completing the last
+ * token of `query` as a prefix of terminal symbols and entity names, unless
+ * `query` ends with whitespace. E.g., "repos I li" -> "repos I like".
+ * @param {Date} [options.referenceDate] The date relative to which to resolve
+ * the dates of each parse tree's semantic to `date-interval(start,end)`, saved
+ * as `tree.resolvedSemanticStr`. E.g., "repos created in the last 3 days" ->
+ * `repositories-created-date(date-interval(2016-04-07,*))`.
+ * @param {DialogueContext} [options.context] The previous turns of the
+ * dialogue to which to resolve anaphora, demonstratives, and elliptical
+ * follow-ups in `query`. Each parse tree's semantic is resolved, and
+ * `tree.contextTurns` lists the turns it came from. E.g., "repos Danny
+ * created" -> "those he likes" ->
+ * `intersect(repositories-created(0),repositories-liked(0))`. Does not add
+ * `query` as a turn; invoke `DialogueContext.prototype.addTurn()`. If
+ * omitted, the parse forest omits the rules for demonstratives and elliptical
+ * follow-ups.
+ * @param {boolean} [options.structured=false] Specify including
+ * `parseResults.structuredTrees`, the structured representations of the parse
+ * trees with their semantic trees as objects and their display text,
+ * entities, and edits aligned to the input tokens.
+ * @param {ParseBudget} [options.budget] The limits that bound the work of the
+ * parse for long or pathological input. On exceeding one, stops and returns
+ * the trees found so far with `parseResults.truncated`.
+ * @param {boolean} [options.cursor=false] Specify including
+ * `parseResults.cursor`, which retains the parse forest and the search to
+ * find more parse trees without reparsing (see `ParseCursor`). The cursor's
+ * searches ignore `options.budget`.
  * @returns {ParseResults} Returns the `k`-best parse trees and associated
  * parse statistics.
  */
+var budgetSchema = {
+	maxTokens: Number,
+	maxNodes: Number,
+	maxPaths: Number,
+	maxDuration: Number,
+}
+
 Parser.prototype.parse = function (query, k, options) {
+	return this.parseReusing(query, k, options, 0)
+}
+
+/**
+ * Parses `query` like `Parser.prototype.parse()`, but reuses the nodes and
+ * vertices of the previous parse for the first `reuseIdx` tokens of `query`.
+ * For use by `ParseSession`, which determines which tokens are safe to reuse.
+ *
+ * @private
+ * @memberOf Parser
+ * @param {string} query The input query to parse.
+ * @param {number} [k=7] The maximum number of parse trees to find.
+ * @param {Object} [options] The `Parser.prototype.parse()` options object.
+ * @param {number} reuseIdx The number of leading tokens in `query` for which
+ * to reuse the nodes and vertices of the previous parse.
+ * @returns {ParseResults} Returns the `k`-best parse trees and associated
+ * parse statistics.
+ */
+Parser.prototype.parseReusing = function (query, k, options, reuseIdx) {
 	var parseResults = {
 		trees: undefined,
 		pathCount: 0,
 		ambiguousTreeCount: 0,
 		failedInitStartSym: false,
 		failedInitLegalTrees: false,
+		hasTypos: false,
+		truncated: false,
+		truncatedReason: undefined,
+	}
+
+	var budget = options && options.budget
+	if (budget && util.illFormedOpts(budgetSchema, budget)) {
+		throw new Error('Ill-formed parse budget')
 	}
 
-	// The array of arrays for each lexical token index, each of which holds
-	// nodes for terminal rules that produce matched terminal symbols in
-	// `query`.
-	var termRuleMatchTab = this.matchTerminalRules(query)
+	// The budget of this parse, if any, with its deadline and unlimited values
+	// for the omitted limits, which `Parser.prototype.exceedsBudget()` and
+	// `pfsearch` check.
+	this.budget = budget && createParseBudget(budget)
+	// The name of the budget that stopped the parse, else 'maxTokens' if
+	// `Parser.prototype.matchTerminalRules()` truncated the input, if any.
+	this.truncatedReason = undefined
+	// The number of nonterminal nodes this parse created, for
+	// `budget.maxNodes`.
+	this.nodeCount = 0
+	// Specify omitting the rules that refer to previous turns of a dialogue
+	// (i.e., demonstratives and elliptical follow-ups) from the parse forest
+	// when there is no dialogue context to resolve them, instead of `pfsearch`
+	// expanding their paths only to discard their completed trees.
+	this.omitsReferences = !(options && options.context)
+
+	/**
+	 * The array of arrays for each lexical token index, each of which holds
+	 * nodes for terminal rules that produce matched terminal symbols in
+	 * `query`.
+	 *
+	 * If `reuseIdx` is greater than 0, the nodes that end before `reuseIdx`
+	 * keep the `minCost` values and flattened term sequences that
+	 * `calcHeuristicCosts` assigned in the previous parse. They need not be
+	 * reset because both derive only from the nodes' descendants, which are
+	 * unchanged, unless reparsing below adds subnodes with deletions.
+	 */
+	var termRuleMatchTab = this.matchTerminalRules(query, reuseIdx, options && options.complete, this.budget && this.budget.maxTokens)
+	parseResults.hasTypos = this.typoTab.indexOf(true) !== -1
 
 	// Construct a parse forest from the terminal rule matches that spans the
 	// entire input query and reaches the grammar's start symbol.
-	this.startNode = this.shiftReduce(termRuleMatchTab)
+	this.startNode = this.shiftReduce(termRuleMatchTab, reuseIdx)
 
 	if (this.startNode) {
 		// Use A* path search to find the `k`-best parse trees in the parse
 		// forest, along with the trees' associated semantic trees and display
 		// texts.
-		var pfsearchResults = pfsearch(this.startNode, k, options)
+		var pfsearchResults = pfsearch(this.startNode, k, options, this.budget)
 		// Save `pathCount` even if reparsing to determine cumulative measurement.
 		parseResults.pathCount = pfsearchResults.pathCount
 
+		// Return the trees found before exceeding the budget, if any, instead of
+		// reparsing, which would only exceed it further.
+		if (pfsearchResults.truncatedReason) {
+			this.truncatedReason = pfsearchResults.truncatedReason
+			parseResults.trees = pfsearchResults.trees
+			parseResults.ambiguousTreeCount = pfsearchResults.ambiguousTreeCount
+			this.addStructuredTrees(parseResults, options)
+			this.addCursor(parseResults, pfsearchResults, options)
+
+			return this.addTruncation(parseResults)
+		}
+
 		if (pfsearchResults.trees.length > 0) {
 			parseResults.trees = pfsearchResults.trees
 			parseResults.ambiguousTreeCount = pfsearchResults.ambiguousTreeCount
+			this.addStructuredTrees(parseResults, options)
+			this.addCursor(parseResults, pfsearchResults, options)
 
 			// Return trees if `pfsearch` successfully generated legal parse trees
 			// (i.e., without illegal semantics).
-			return parseResults
+			return this.addTruncation(parseResults)
 		} else {
 			/**
 			 * Reset the `minCost` property of all nonterminal subnodes in
@@ -96,8 +295,19 @@ Parser.prototype.parse = function (query, k, options) {
 			this.resetMinCosts()
 			parseResults.failedInitLegalTrees = true
 		}
+	} else if (this.truncatedReason && this.truncatedReason !== 'maxTokens') {
+		// Do not reparse after `Parser.prototype.shiftReduce()` stopped for
+		// exceeding the budget.
+		return this.addTruncation(parseResults)
 	} else {
 		parseResults.failedInitStartSym = true
+
+		// Reset the `minCost` values and flattened term sequences that
+		// `calcHeuristicCosts` assigned to the nodes reused from the previous
+		// parse, if any, to which reparsing adds subnodes with deletions.
+		if (reuseIdx > 0) {
+			this.resetMinCosts()
+		}
 	}
 
 	/**
@@ -106,7 +316,7 @@ Parser.prototype.parse = function (query, k, options) {
 	 * different.)
 	 */
 	if (this.tokensLen === 1 || (this.deletions[0] && this.deletions[0].length === this.tokensLen)) {
-		return parseResults
+		return this.addTruncation(parseResults)
 	}
 
 	/**
@@ -129,20 +339,158 @@ Parser.prototype.parse = function (query, k, options) {
 
 	if (this.startNode) {
 		// After marking all tokens as deletable and generating the expanded parse
-		// forest, again search for the `k`-best parse trees.
-		var pfsearchResults = pfsearch(this.startNode, k, options)
+		// forest, again search for the `k`-best parse trees. Deduct the paths of
+		// the first `pfsearch` invocation, if any, from `budget.maxPaths`.
+		var pfsearchResults = pfsearch(this.startNode, k, options, this.budget && Object.assign({}, this.budget, {
+			maxPaths: this.budget.maxPaths - parseResults.pathCount,
+		}))
 		parseResults.trees = pfsearchResults.trees
+		this.truncatedReason = pfsearchResults.truncatedReason || this.truncatedReason
 
 		// If reparsing after initially failing to generate legal parse trees,
 		// include the `pathCount` from the first `pfsearch` invocation.
 		parseResults.pathCount += pfsearchResults.pathCount
 		parseResults.ambiguousTreeCount = pfsearchResults.ambiguousTreeCount
+		this.addStructuredTrees(parseResults, options)
+		this.addCursor(parseResults, pfsearchResults, options)
 
-		return parseResults
+		return this.addTruncation(parseResults)
 	} else {
 		// Return with `parseResults.trees` as `undefined` to indicate never
 		// reaching the start symbol.
-		return parseResults
+		return this.addTruncation(parseResults)
+	}
+}
+
+/**
+ * The limits that bound the work of a parse, each optional, for
+ * `Parser.prototype.parse()`. Long or garbage input can otherwise take
+ * unbounded time, especially when reparsing with every token marked
+ * deletable.
+ *
+ * @typedef {Object} ParseBudget
+ * @property {number} [maxTokens] The maximum number of input tokens to parse.
+ * Parses only the first `maxTokens` tokens of longer input, and does not
+ * complete the last token.
+ * @property {number} [maxNodes] The maximum number of parse forest nodes to
+ * create. `Parser.prototype.shiftReduce()` stops on exceeding it, yielding no
+ * trees.
+ * @property {number} [maxPaths] The maximum number of paths `pfsearch` creates
+ * (i.e., `parseResults.pathCount`). `pfsearch` stops on exceeding it, yielding
+ * the trees found so far.
+ * @property {number} [maxDuration] The maximum duration of the parse, in
+ * milliseconds, which `Parser.prototype.shiftReduce()` and `pfsearch` check
+ * periodically.
+ */
+
+/**
+ * Creates the budget of a parse from `budget`, the `ParseBudget` passed to
+ * `Parser.prototype.parse()`, with the deadline of `budget.maxDuration` and
+ * `Infinity` for the omitted limits.
+ *
+ * @private
+ * @static
+ * @param {ParseBudget} budget The parse budget.
+ * @returns {Object} Returns the budget with `maxTokens`, `maxNodes`,
+ * `maxPaths`, and `deadline`.
+ */
+function createParseBudget(budget) {
+	return {
+		maxTokens: budget.maxTokens === undefined ? Infinity : budget.maxTokens,
+		maxNodes: budget.maxNodes === undefined ? Infinity : budget.maxNodes,
+		maxPaths: budget.maxPaths === undefined ? Infinity : budget.maxPaths,
+		deadline: budget.maxDuration === undefined ? Infinity : Date.now() + budget.maxDuration,
+	}
+}
+
+/**
+ * Checks if this parse exceeded `budget.maxNodes` or `budget.maxDuration`. If
+ * so, saves the name of the budget as `this.truncatedReason`, which stops the
+ * parse.
+ *
+ * @memberOf Parser
+ * @returns {boolean} Returns `true` if the parse exceeded the budget, else
+ * `false`.
+ */
+Parser.prototype.exceedsBudget = function () {
+	if (this.nodeCount > this.budget.maxNodes) {
+		this.truncatedReason = 'maxNodes'
+		return true
+	}
+
+	if (Date.now() > this.budget.deadline) {
+		this.truncatedReason = 'maxDuration'
+		return true
+	}
+
+	return false
+}
+
+/**
+ * Assigns `parseResults.truncated` and `parseResults.truncatedReason` if this
+ * parse exceeded its budget.
+ *
+ * @private
+ * @memberOf Parser
+ * @param {ParseResults} parseResults The parse results.
+ * @returns {ParseResults} Returns `parseResults`.
+ */
+Parser.prototype.addTruncation = function (parseResults) {
+	if (this.truncatedReason) {
+		parseResults.truncated = true
+		parseResults.truncatedReason = this.truncatedReason
+	}
+
+	return parseResults
+}
+
+/**
+ * Assigns `parseResults.structuredTrees` the structured representations of
+ * `parseResults.trees` if `options.structured` is `true`, each with the
+ * `confidence` `this.confidenceModel` scores.
+ *
+ * @private
+ * @memberOf Parser
+ * @param {ParseResults} parseResults The parse results.
+ * @param {Object} [options] The options object `Parser.prototype.parse()`
+ * received.
+ * @param {string[]} [tokens=this.tokens] The input tokens of the parse of
+ * `parseResults.trees`.
+ * @param {Object[]} [deletions=this.deletions] The deletions of the parse of
+ * `parseResults.trees`.
+ */
+Parser.prototype.addStructuredTrees = function (parseResults, options, tokens, deletions) {
+	if (options && options.structured) {
+		tokens = tokens || this.tokens
+		deletions = deletions || this.deletions
+
+		var structuredTrees = parseResults.structuredTrees = parseResults.trees.map(function (tree) {
+			return structureParseTree(tree, tokens, deletions)
+		})
+
+		var confidenceModel = this.confidenceModel
+		structuredTrees.forEach(function (structuredTree, t) {
+			var features = ConfidenceModel.getFeatures(structuredTrees, t, parseResults.ambiguousTreeCount, confidenceModel.maxCostGap)
+			structuredTree.confidence = confidenceModel.score(features)
+		})
+	}
+}
+
+/**
+ * Assigns `parseResults.cursor` a `ParseCursor` that continues the search of
+ * `pfsearchResults` if `options.cursor` is `true`.
+ *
+ * @private
+ * @memberOf Parser
+ * @param {ParseResults} parseResults The parse results.
+ * @param {PFSearchResults} pfsearchResults The results of the search that
+ * found `parseResults.trees`.
+ * @param {Object} [options] The options object `Parser.prototype.parse()`
+ * received.
+ */
+Parser.prototype.addCursor = function (parseResults, pfsearchResults, options) {
+	if (options && options.cursor) {
+		parseResults.cursor = new ParseCursor(this, pfsearchResults.searchState, options)
 	}
 }
 
@@ -156,15 +504,24 @@ Parser.prototype.parse = function (query, k, options) {
  * nodes, followed by a series of reduce steps to apply completed grammar
  * rules, and repeating for each successive index.
  *
+ * If `reuseIdx` is greater than 0, reuses the vertices of the previous parse
+ * for the first `reuseIdx` tokens, all of whose reductions are complete, and
+ * resumes parsing at the token that follows.
+ *
+ * If the parse has a budget, stops on exceeding `budget.maxNodes` or
+ * `budget.maxDuration` (see `Parser.prototype.exceedsBudget()`).
+ *
  * @memberOf Parser
  * @param {Object[][]} termRuleMatchTab The array of arrays of terminal rule
  * matches.
+ * @param {number} [reuseIdx=0] The number of leading tokens for which to
+ * reuse the vertices of the previous parse.
  * @returns {Object|undefined} Returns the start node of the parse forest if
  * the parse succeeds, else `undefined`.
  */
-Parser.prototype.shiftReduce = function (termRuleMatchTab) {
+Parser.prototype.shiftReduce = function (termRuleMatchTab, reuseIdx) {
 	// The current input query token parse index.
-	this.curIdx = 0
+	this.curIdx = reuseIdx || 0
 
 	// The reductions to apply after each shift.
 	this.reds = []
@@ -173,6 +530,7 @@ Parser.prototype.shiftReduce = function (termRuleMatchTab) {
 	// The vertices for each state and associated nodes at each input query
 	// index. For accessing previous indexes for terminal rule shifting in
 	// `Parser.prototype.shiftTerminalRuleNodes()`.
+	var prevVertTab = this.vertTab
 	this.vertTab = util.new2DArray(termRuleMatchTab.length + 1)
 	this.vertices = this.vertTab[this.curIdx]
 	// The map of state indexes to sets of vertex zNodes (in `this.vertices`)
@@ -180,8 +538,16 @@ Parser.prototype.shiftReduce = function (termRuleMatchTab) {
 	// `Parser.prototype.addVertex()`.
 	this.stateIdxToZNodesMap = []
 
-	// Add the vertex for the first state.
-	this.addVertex(this.stateTable.states[0])
+	if (this.curIdx > 0) {
+		// Reuse the vertices up to and including those at the resumed index,
+		// which only point to the reused nodes.
+		for (var i = 0; i <= this.curIdx; ++i) {
+			this.vertTab[i] = prevVertTab[i]
+		}
+	} else {
+		// Add the vertex for the first state.
+		this.addVertex(this.stateTable.states[0])
+	}
 
 	// Parse entire input and inserted `<blank>` symbol (at index
 	// `this.tokensLen`).
@@ -214,6 +580,16 @@ Parser.prototype.shiftReduce = function (termRuleMatchTab) {
 		while (redsIdx < this.reds.length) {
 			var redObj = this.reds[redsIdx++]
 			this.reduce(redObj.zNode, redObj.reds)
+
+			// Check the budget, if any, every 128 reductions to limit the cost of
+			// checking the time.
+			if (this.budget && (redsIdx & 127) === 0 && this.exceedsBudget()) {
+				return undefined
+			}
+		}
+
+		if (this.budget && this.exceedsBudget()) {
+			return undefined
 		}
 	}
 
@@ -313,6 +689,7 @@ Parser.prototype.addSub = function (nontermSym, sub) {
 
 		// Save new node.
 		this.symIdToNodesMap[nontermSym.id] = [ newNode ]
+		++this.nodeCount
 
 		return newNode
 	}
@@ -394,6 +771,7 @@ Parser.prototype.addSub = function (nontermSym, sub) {
 	}
 
 	// Create and save new node.
+	++this.nodeCount
 	return nodes[nodesLen] = {
 		sym: nontermSym,
 		size: size,
@@ -555,6 +933,15 @@ Parser.prototype.reduce = function (redZNode, reds) {
 
 	for (var r = 0, redsLens = reds.length; r < redsLens; ++r) {
 		var red = reds[r]
+
+		// Skip the rules whose semantics refer to previous turns of a dialogue
+		// when parsing without a `DialogueContext` (see `StateTable`). The
+		// grammar forbids insertions of these rules, hence `ruleProps` arrays
+		// (i.e., insertions) lack `refersToContext`.
+		if (this.omitsReferences && red.ruleProps.refersToContext) {
+			continue
+		}
+
 		var nodeSymId = red.lhs.id
 		var sub = {
 			node: redZNode.node,
@@ -0,0 +1,293 @@
+var os = require('os')
+var path = require('path')
+var workerThreads = require('worker_threads')
+var util = require('../util/util')
+
+/**
+ * The `ParserPool` constructor.
+ *
+ * Parses queries concurrently on a pool of worker threads, each with its own
+ * `Parser` instance for the grammar.
+ * `Parser` stores the state of a parse on the instance, and hence one
+ * instance can not parse concurrently; a pool also keeps a slow query from
+ * blocking the other queries and the main thread.
+ *
+ * Threads can not share objects, so each worker builds its own `StateTable`
+ * from the grammar. To avoid generating the states in every worker, the pool
+ * starts the first worker alone, which restores the states from the state
+ * cache file, or generates them and writes the file if missing or stale, and
+ * sends back the serialized states in a `SharedArrayBuffer`. The pool then
+ * passes that one buffer to every other worker, including replacements, via
+ * `workerData`, from which each restores its states instead of reading the
+ * state cache file or generating them. Each worker still loads and hashes the
+ * grammar and creates its own symbols, rules, and states; the workers share
+ * only the memory of the serialized states.
+ *
+ * Queues queries while every worker is busy. Rejects queries once the queue
+ * holds `options.maxQueueLength` queries, so that clients can shed load
+ * instead of waiting indefinitely.
+ *
+ * @constructor
+ * @param {Object} [options] The options object.
+ * @param {number} [options.size=os.cpus().length] The number of worker
+ * threads.
+ * @param {number} [options.maxQueueLength=100] The maximum number of queries
+ * waiting for a worker.
+ */
+var parserPoolSchema = {
+	size: Number,
+	maxQueueLength: Number,
+}
+
+function ParserPool(options) {
+	if (util.illFormedOpts(parserPoolSchema, options)) {
+		throw new Error('Ill-formed ParserPool')
+	}
+
+	options = options || {}
+	this.size = options.size || os.cpus().length
+	this.maxQueueLength = options.maxQueueLength === undefined ? 100 : options.maxQueueLength
+
+	// The workers, each with its `worker` thread and the `task` it is parsing, if any.
+	this.workers = []
+	// The queries waiting for a worker, each with the `resolve` and `reject` functions of its promise.
+	this.queue = []
+	this.isClosed = false
+	// The serialized state table the first worker shares with the others, once ready.
+	this.stateCacheBuffer = undefined
+
+	// The promise resolved once every worker has loaded the grammar.
+	var self = this
+	this.readyPromise = new Promise(function (resolve, reject) {
+		self.resolveReady = resolve
+		self.rejectReady = reject
+	})
+	// Avoid an unhandled rejection if the client never invokes `ParserPool.prototype.ready()`.
+	this.readyPromise.catch(function () {})
+
+	this.addWorker()
+}
+
+/**
+ * Parses `query` on the next available worker and returns a promise for the
+ * `k`-best parse trees. Rejects if the queue is full, if the pool is closed,
+ * or if the parse throws an exception.
+ *
+ * Excludes `options.context` and `options.cursor` of
+ * `Parser.prototype.parse()`, because neither a `DialogueContext` nor a
+ * `ParseCursor` can be sent between threads. Instead, accepts
+ * `options.contextQueries`, from which the worker creates the
+ * `DialogueContext`.
+ *
+ * @memberOf ParserPool
+ * @param {string} query The input query to parse.
+ * @param {number} [k=7] The maximum number of parse trees to find.
+ * @param {Object} [options] The `Parser.prototype.parse()` options object.
+ * @param {boolean} [options.buildTrees=false] Specify constructing parse
+ * trees for printing.
+ * @param {boolean} [options.complete=false] Specify completing the last
+ * token of `query` as a prefix.
+ * @param {Date} [options.referenceDate] The date relative to which to resolve
+ * the dates of each parse tree's semantic.
+ * @param {boolean} [options.structured=false] Specify including
+ * `parseResults.structuredTrees`.
+ * @param {ParseBudget} [options.budget] The limits that bound the work of the
+ * parse.
+ * @param {string[]} [options.contextQueries] The previous queries of the
+ * dialogue, which the worker parses in order, adding the top parse tree of
+ * each as a turn to the `DialogueContext` with which to parse `query`.
+ * @returns {Promise.<ParseResults>} Returns the promise for the `k`-best parse
+ * trees and associated parse statistics.
+ */
+var parseSchema = {
+	buildTrees: Boolean,
+	complete: Boolean,
+	referenceDate: Date,
+	structured: Boolean,
+	budget: Object,
+	contextQueries: { type: Array, arrayType: String },
+}
+
+ParserPool.prototype.parse = function (query, k, options) {
+	if (util.illFormedOpts(parseSchema, options)) {
+		return Promise.reject(new Error('Ill-formed ParserPool parse options'))
+	}
+
+	if (this.isClosed) {
+		return Promise.reject(new Error('Parser pool is closed'))
+	}
+
+	if (this.queue.length >= this.maxQueueLength) {
+		return Promise.reject(new Error('Parser pool queue is full'))
+	}
+
+	var self = this
+	return new Promise(function (resolve, reject) {
+		self.queue.push({
+			query: query,
+			k: k,
+			options: options,
+			resolve: resolve,
+			reject: reject,
+		})
+
+		self.dispatch()
+	})
+}
+
+/**
+ * Gets a promise resolved once every worker has loaded the grammar, or
+ * rejected if the first worker fails to load it. Queries sent before then
+ * wait in the queue.
+ *
+ * @memberOf ParserPool
+ * @returns {Promise} Returns the promise.
+ */
+ParserPool.prototype.ready = function () {
+	return this.readyPromise
+}
+
+/**
+ * Terminates the workers and rejects the queued and in-progress queries.
+ *
+ * @memberOf ParserPool
+ * @returns {Promise} Returns the promise resolved once every worker has
+ * exited.
+ */
+ParserPool.prototype.close = function () {
+	this.isClosed = true
+	this.rejectReady(new Error('Parser pool is closed'))
+	this.rejectQueue(new Error('Parser pool is closed'))
+
+	return Promise.all(this.workers.map(function (poolWorker) {
+		return poolWorker.worker.terminate()
+	}))
+}
+
+/**
+ * Starts a worker thread and adds it to the pool, passing it the serialized
+ * state table, if any. Once the first worker loads the grammar and shares its
+ * serialized state table, starts the remaining workers.
+ *
+ * @private
+ * @memberOf ParserPool
+ */
+ParserPool.prototype.addWorker = function () {
+	var self = this
+	var poolWorker = {
+		worker: new workerThreads.Worker(path.join(__dirname, 'parserPoolWorker.js'), {
+			workerData: { stateCacheBuffer: this.stateCacheBuffer },
+		}),
+		isReady: false,
+		task: undefined,
+		error: undefined,
+	}
+
+	poolWorker.worker.on('message', function (msg) {
+		if (msg.isReady) {
+			poolWorker.isReady = true
+
+			if (msg.stateCacheBuffer) {
+				self.stateCacheBuffer = msg.stateCacheBuffer
+			}
+
+			if (self.workers.length < self.size) {
+				// Start the remaining workers after the first, from its serialized state table.
+				while (self.workers.length < self.size) {
+					self.addWorker()
+				}
+			} else if (self.workers.every(function (other) { return other.isReady })) {
+				self.resolveReady()
+			}
+		} else {
+			var task = poolWorker.task
+			poolWorker.task = undefined
+
+			if (msg.error) {
+				task.reject(new Error(msg.error))
+			} else {
+				task.resolve(msg.parseResults)
+			}
+		}
+
+		self.dispatch()
+	})
+
+	poolWorker.worker.on('error', function (err) {
+		poolWorker.error = err
+	})
+
+	poolWorker.worker.on('exit', function (code) {
+		self.removeWorker(poolWorker, poolWorker.error || new Error('Parser worker exited with code ' + code))
+	})
+
+	this.workers.push(poolWorker)
+}
+
+/**
+ * Removes `poolWorker`, which exited, from the pool and rejects its query, if
+ * any. Replaces the worker unless the pool is closed. If the worker exited
+ * before loading the grammar, closes the pool instead, because every
+ * replacement would fail the same way.
+ *
+ * @private
+ * @memberOf ParserPool
+ * @param {Object} poolWorker The worker that exited.
+ * @param {Error} err The error that ended the worker.
+ */
+ParserPool.prototype.removeWorker = function (poolWorker, err) {
+	this.workers.splice(this.workers.indexOf(poolWorker), 1)
+
+	if (poolWorker.task) {
+		poolWorker.task.reject(this.isClosed ? new Error('Parser pool is closed') : err)
+	}
+
+	if (this.isClosed) {
+		return
+	}
+
+	if (!poolWorker.isReady) {
+		util.logError('Parser worker failed to load:', err.message)
+		this.rejectReady(err)
+		this.close()
+	} else {
+		this.addWorker()
+	}
+}
+
+/**
+ * Sends the queued queries to the idle workers, in order.
+ *
+ * @private
+ * @memberOf ParserPool
+ */
+ParserPool.prototype.dispatch = function () {
+	for (var w = 0, workersLen = this.workers.length; w < workersLen && this.queue.length > 0; ++w) {
+		var poolWorker = this.workers[w]
+
+		if (poolWorker.isReady && !poolWorker.task) {
+			var task = poolWorker.task = this.queue.shift()
+
+			poolWorker.worker.postMessage({
+				query: task.query,
+				k: task.k,
+				options: task.options,
+			})
+		}
+	}
+}
+
+/**
+ * Rejects every queued query with `err`.
+ *
+ * @private
+ * @memberOf ParserPool
+ * @param {Error} err The rejection error.
+ */
+ParserPool.prototype.rejectQueue = function (err) {
+	while (this.queue.length > 0) {
+		this.queue.shift().reject(err)
+	}
+}
+
+module.exports = ParserPool
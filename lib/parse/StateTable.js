@@ -1,6 +1,12 @@
+var fs = require('fs')
+var crypto = require('crypto')
 var util = require('../util/util')
 var initSemantics = require('./initSemantics')
 var initEntities = require('./initEntities')
+var TypoIndex = require('./TypoIndex')
+var EntityIndex = require('./EntityIndex')
+var NumberRecognizer = require('./NumberRecognizer')
+var DialogueContext = require('./DialogueContext')
 
 /**
  * The `StateTable` constructor, which generates a shift-reduce parse table from `grammar`.
@@ -10,12 +16,34 @@ var initEntities = require('./initEntities')
  * @param {Object} grammar.ruleSets The map of nonterminal symbols to rules.
  * @param {Object} grammar.semantics The map of semantic names to semantics.
  * @param {Object} grammar.entitySets The map of entity tokens to entities.
+ * @param {Object} grammar.entityCategories The map of entity category names to their properties.
  * @param {Object[]} grammar.intSymbols The integer symbols with specified value ranges.
  * @param {string[]} grammar.deletables The terms that can be deleted when found in input.
  * @param {string} grammar.startSymbol The name of the start symbol used in `grammar.ruleSets`.
  * @param {string} grammar.blankSymbol The name of the blank terminal symbol used in `grammar.ruleSets`.
+ * @param {Object} [grammar.tokenization] The tokenization rules of the grammar's locale (`removedChars`, `separatorChars`, `digitSeparatorChars`) with which `Parser` splits input. If omitted, uses the English rules.
+ * @param {Object} [grammar.numerals] The number words and affixes of the grammar's locale with which `Parser` recognizes numbers in input. If omitted, uses the English numerals.
+ * @param {Object} [options] The options object.
+ * @param {number} [options.maxTypoDistance=2] The maximum edit distance at which `Parser` matches misspelled input tokens to terminal symbols and entity tokens. Specify `0` to disable typo matching.
+ * @param {EntityIndex} [options.entityIndex] The entity index with which `Parser` recognizes entities in input (e.g., an index that `EntityIndex.load()` restored from a file). If omitted, indexes `grammar.entitySets`.
+ * @param {Object} [options.costOverrides] The learned rule costs that `StateTable.loadCostOverrides()` restored from a file, which replace the grammar's costs for those rules. See `StateTable.prototype.overrideRuleCosts()`. Ignored with a warning, instead of overriding the costs of rules that changed or no longer exist, if `options.costOverrides` is of another version or grammar (by content hash).
+ * @param {Object} [options.stateCache] The serialized states of a previous `StateTable` instance that `StateTable.loadStateCache()` restored from a file, from which to restore the states instead of generating them. Ignored, and generates the states, if `options.stateCache` is of another version or grammar (by content hash). See `StateTable.prototype.isRestoredFromStateCache`.
  */
-function StateTable(grammar) {
+var stateTableOptionsSchema = {
+	maxTypoDistance: Number,
+	entityIndex: EntityIndex,
+	costOverrides: Object,
+	stateCache: Object,
+}
+
+function StateTable(grammar, options) {
+	if (util.illFormedOpts(stateTableOptionsSchema, options)) {
+		throw new Error('Ill-formed StateTable options')
+	}
+
+	// The content hash of `grammar`, which identifies the grammar of a state cache. Must occur before `initSemantics()` and `initEntities()` modify `grammar`.
+	this.grammarHash = hashGrammar(grammar)
+
 	// Initialize the semantics of rules in `grammar` for parsing by replacing identical semantic functions, semantic nodes, and semantic arrays with references to the same object. Must occur before `StateTable.prototype.addRules()`, which creates new `ruleProps` objects from `grammar.ruleSets`.
 	initSemantics(grammar.ruleSets, grammar.semantics)
 
@@ -33,18 +61,36 @@ function StateTable(grammar) {
 	this.nontermSymbolCount = 0
 	// The states of this `StateTable` instance.
 	this.states = []
+	// The map of rule keys (e.g., "[repositories] -> [forks]") to the `ruleProps` of each grammar rule, for overriding rule costs without rebuilding the grammar.
+	this.rulePropsTab = {}
 
 	// Add the symbols and rules in `ruleSets` to this `StateTable` instance. Invoke this method before `StateTable.prototype.generate()`.
 	this.addRules(grammar.ruleSets)
 
-	// Generate the state table from the grammar's rules.
-	this.generate(this.lookUp(grammar.startSymbol))
+	// Restore the state table from the state cache if of the same grammar, else generate the state table from the grammar's rules, which requires most of the time of instantiation.
+	this.isRestoredFromStateCache = !!(options && options.stateCache && isCurrentStateCache(options.stateCache, this.grammarHash))
+	if (this.isRestoredFromStateCache) {
+		this.restoreStates(options.stateCache.states)
+	} else {
+		this.generate(this.lookUp(grammar.startSymbol))
+	}
 
 	// Generate the `Parser` node set for the `[blank-inserted]` symbol, which `Parser` appends to the end of the array of nodes that produce the input query's matched terminal rules. This enables `Parser` to accept insertion rules that are only recognized at the end of an input query.
 	this.blankNodeArray = this.createBlankInsertedNodeArray(grammar.blankSymbol)
 
 	// The map of tokens to entities for matching input lexical tokens to terminal rules for specified entity categories.
 	this.entitySets = grammar.entitySets
+	// The map of entity category names to their properties (`isPerson`, `isRuntime`), which `Parser` applies to the entities that entity providers supply at runtime.
+	this.entityCategories = grammar.entityCategories
+	// The alphabetically sorted names of the terminal symbols for matching a partially typed input token as a prefix when completing queries.
+	this.sortedTerminalSymNames = Object.keys(this.terminalSymTab).sort()
+	// The inverted index of entity tokens to entities, which `Parser` uses to match input tokens to entities and to complete partially typed input tokens to entity tokens.
+	this.entityIndex = options && options.entityIndex || new EntityIndex({
+		entitySets: this.entitySets,
+		terminalSymbols: this.sortedTerminalSymNames,
+	})
+	// The symmetric deletion index of the terminal symbols and entity tokens for matching misspelled input tokens by edit distance.
+	this.typoIndex = new TypoIndex(this.sortedTerminalSymNames.concat(this.entityIndex.tokens), options && options.maxTypoDistance !== undefined ? options.maxTypoDistance : 2)
 	// The array of integer symbols for matching integers in the input query to terminal rules for integers with specified value bounds.
 	this.intSymbols = grammar.intSymbols
 	// The set of deletables for constructing additional parse trees with the specified input tokens deleted at a cost.
@@ -52,6 +98,226 @@ function StateTable(grammar) {
 		deletablesSet[deletable] = true
 		return deletablesSet
 	}, {})
+	// The regular expressions with which `Parser` splits input into tokens, compiled from the tokenization rules of the grammar's locale.
+	this.tokenization = compileTokenization(grammar.tokenization || defaultTokenization)
+	// The recognizer of numbers in input, beyond integer digits, which `Parser` matches to integer symbols; e.g., "1.5k", "$2.5M", "3rd", "two hundred fifty".
+	this.numberRecognizer = new NumberRecognizer(grammar.numerals || defaultNumerals)
+
+	if (options && options.costOverrides) {
+		if (isCurrentCostOverrides(options.costOverrides, this.grammarHash)) {
+			this.overrideRuleCosts(options.costOverrides.ruleCosts)
+		} else {
+			util.logWarning('Ignoring cost overrides of another grammar or version. Rerun `learnCosts` after rebuilding the grammar.')
+		}
+	}
+}
+
+/**
+ * The version of the cost override file format `StateTable.saveCostOverrides()` writes. `StateTable()` ignores cost overrides of other versions.
+ *
+ * @static
+ * @memberOf StateTable
+ * @type {number}
+ */
+StateTable.COST_OVERRIDES_VERSION = 2
+
+/**
+ * Loads the rule cost overrides that `StateTable.saveCostOverrides()` wrote to `filePath`, for `options.costOverrides` of `StateTable()`.
+ *
+ * @static
+ * @memberOf StateTable
+ * @param {string} filePath The path of the cost override file.
+ * @returns {Object} Returns the cost overrides, with the map of rule keys to costs, `ruleCosts`, and the content hash of the grammar of those rules.
+ */
+StateTable.loadCostOverrides = function (filePath) {
+	return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Writes `ruleCosts`, the map of rule keys to costs, with the content hash of the grammar of those rules (see `StateTable.prototype.grammarHash`), to a JSON file at `filePath`, which `StateTable.loadCostOverrides()` reads.
+ *
+ * @static
+ * @memberOf StateTable
+ * @param {string} filePath The path of the file to write.
+ * @param {Object.<string, number>} ruleCosts The map of rule keys to costs.
+ * @param {string} grammarHash The content hash of the grammar of the rules in `ruleCosts`.
+ */
+StateTable.saveCostOverrides = function (filePath, ruleCosts, grammarHash) {
+	util.writeJSONFile(filePath, {
+		version: StateTable.COST_OVERRIDES_VERSION,
+		grammarHash: grammarHash,
+		ruleCosts: ruleCosts,
+	})
+}
+
+/**
+ * The version of the state cache file format `StateTable.prototype.saveStateCache()` writes. `StateTable()` ignores state caches of other versions. Increment when changing the serialization or `StateTable.prototype.generate()`.
+ *
+ * @static
+ * @memberOf StateTable
+ * @type {number}
+ */
+StateTable.STATE_CACHE_VERSION = 1
+
+/**
+ * Loads the state cache that `StateTable.prototype.saveStateCache()` wrote to `filePath`, for `options.stateCache` of `StateTable()`.
+ *
+ * @static
+ * @memberOf StateTable
+ * @param {string} filePath The path of the state cache file.
+ * @returns {Object} Returns the state cache.
+ */
+StateTable.loadStateCache = function (filePath) {
+	return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Gets the state cache of this `StateTable` instance: its serialized states with the version and content hash of the grammar, for `options.stateCache` of `StateTable()`.
+ *
+ * @memberOf StateTable
+ * @returns {Object} Returns the state cache.
+ */
+StateTable.prototype.toStateCache = function () {
+	return {
+		version: StateTable.STATE_CACHE_VERSION,
+		grammarHash: this.grammarHash,
+		states: this.serializeStates(),
+	}
+}
+
+/**
+ * Writes the state cache of this `StateTable` instance (see `StateTable.prototype.toStateCache()`) to a JSON file at `filePath`, which `StateTable.loadStateCache()` reads.
+ *
+ * Writes to a temporary file and then renames it to `filePath` so that concurrent processes never read a partially written cache. Omits whitespace, unlike other files this module writes, because the cache is large and not for reading.
+ *
+ * @memberOf StateTable
+ * @param {string} filePath The path of the file to write.
+ */
+StateTable.prototype.saveStateCache = function (filePath) {
+	filePath = util.expandHomeDir(filePath)
+
+	var tempFilePath = filePath + '.' + process.pid + '.tmp'
+	fs.writeFileSync(tempFilePath, JSON.stringify(this.toStateCache()))
+	fs.renameSync(tempFilePath, filePath)
+}
+
+/**
+ * Instantiates a `StateTable` from `grammar`, restoring its states from the state cache at `stateCachePath` if it exists and is current for `grammar`, else generating the states and writing them to `stateCachePath` for the next process. Hence, the first process after building the grammar generates the cache, if `buildGrammar` did not.
+ *
+ * Logs a warning instead of throwing an exception if unable to write the state cache (e.g., a read-only file system).
+ *
+ * @static
+ * @memberOf StateTable
+ * @param {Object} grammar The input grammar.
+ * @param {string} stateCachePath The path of the state cache file.
+ * @param {Object} [options] The `StateTable()` options object, excluding `options.stateCache`.
+ * @returns {StateTable} Returns the new `StateTable`.
+ */
+StateTable.fromStateCache = function (grammar, stateCachePath, options) {
+	var stateTableOptions = Object.assign({}, options)
+	if (util.pathExistsSync(stateCachePath)) {
+		stateTableOptions.stateCache = StateTable.loadStateCache(stateCachePath)
+	}
+
+	var stateTable = new StateTable(grammar, stateTableOptions)
+
+	if (!stateTable.isRestoredFromStateCache) {
+		try {
+			stateTable.saveStateCache(stateCachePath)
+		} catch (e) {
+			util.logWarning('Failed to write state cache:', util.stylize(stateCachePath), e.message)
+		}
+	}
+
+	return stateTable
+}
+
+/**
+ * Replaces the costs of the grammar rules in `ruleCosts` with their mapped costs, without rebuilding the grammar.
+ *
+ * A rule's key is its LHS symbol and RHS symbols (e.g., "[repositories] -> [forks]"), followed by its ordinal (e.g., " #2") if the grammar has multiple rules with the same symbols, which are insertions with different display text. See `StateTable.prototype.rulePropsTab`.
+ *
+ * Because a rule's cost includes its semantic's cost and edit cost penalty, the override replaces both.
+ *
+ * @memberOf StateTable
+ * @param {Object.<string, number>} ruleCosts The map of rule keys to costs.
+ */
+StateTable.prototype.overrideRuleCosts = function (ruleCosts) {
+	for (var ruleKey in ruleCosts) {
+		var ruleProps = this.rulePropsTab[ruleKey]
+		if (!ruleProps) {
+			util.logError('Unrecognized rule key:', util.stylize(ruleKey))
+			throw new Error('Unrecognized rule key')
+		}
+
+		var cost = ruleCosts[ruleKey]
+		if (typeof cost !== 'number' || cost < 0) {
+			util.logError('Rule cost is not a nonnegative number:', util.stylize(ruleKey), util.stylize(cost))
+			throw new Error('Ill-formed rule cost')
+		}
+
+		ruleProps.cost = cost
+	}
+
+	// Restore the order of `ruleProps` arrays (i.e., insertions) by increasing cost, and their minimum costs.
+	sortRulePropsArrays(this.nonterminalSymTab)
+	cacheRulePropsArraysMinCost(this.nonterminalSymTab)
+}
+
+/**
+ * The tokenization rules for grammars that predate locales, which are English.
+ *
+ * @private
+ * @type {Object}
+ */
+var defaultTokenization = {
+	removedChars: ',',
+	separatorChars: '/',
+	digitSeparatorChars: '-',
+}
+
+/**
+ * The number words and affixes for grammars that predate locales, which are English.
+ *
+ * @private
+ * @type {Object}
+ */
+var defaultNumerals = require('../grammar/locale/en').numerals
+
+/**
+ * Compiles `tokenization`, the tokenization rules of the grammar's locale, into the regular expressions `Parser.tokenize()` uses.
+ *
+ * @private
+ * @static
+ * @param {Object} tokenization The tokenization rules.
+ * @param {string} tokenization.removedChars The characters to remove from input.
+ * @param {string} tokenization.separatorChars The characters, in addition to whitespace, that separate tokens.
+ * @param {string} [tokenization.digitSeparatorChars] The characters that separate tokens only when between digits.
+ * @returns {Object} Returns the compiled tokenization, with properties `removedCharsRegex` (`undefined` if no characters are removed) and `separatorRegex`.
+ */
+function compileTokenization(tokenization) {
+	var separatorPattern = '[\\s' + escapeCharClass(tokenization.separatorChars) + ']+'
+	if (tokenization.digitSeparatorChars) {
+		// Split "2016-04-01" -> "2016" "04" "01", though not "twenty-five" or "-20".
+		separatorPattern += '|(?<=\\d)[' + escapeCharClass(tokenization.digitSeparatorChars) + '](?=\\d)'
+	}
+
+	return {
+		removedCharsRegex: tokenization.removedChars ? new RegExp('[' + escapeCharClass(tokenization.removedChars) + ']', 'g') : undefined,
+		separatorRegex: new RegExp(separatorPattern),
+	}
+}
+
+/**
+ * Escapes the characters in `chars` that are special within a regular expression character class.
+ *
+ * @private
+ * @static
+ * @param {string} chars The characters to escape.
+ * @returns {string} Returns the escaped characters.
+ */
+function escapeCharClass(chars) {
+	return chars.replace(/[\]\\^-]/g, '\\$&')
 }
 
 /**
@@ -64,13 +330,16 @@ StateTable.prototype.addRules = function (ruleSets) {
 	for (var nontermSym in ruleSets) {
 		var lhsSym = this.lookUp(nontermSym)
 		var lhsSymArray = [ lhsSym ]
+		// The number of rules of `nontermSym` with each RHS, for distinguishing the keys of insertions with the same RHS.
+		var rhsCounts = {}
 
 		var rules = ruleSets[nontermSym]
 		for (var r = 0, rulesLen = rules.length; r < rulesLen; ++r) {
 			var rule = rules[r]
+			var ruleProps
 
 			if (rule.isTerminal) {
-				insertRule(this.lookUp(rule.rhs[0], true, rule.isPlaceholder), lhsSymArray, rule)
+				ruleProps = insertRule(this.lookUp(rule.rhs[0], true, rule.isPlaceholder), lhsSymArray, rule)
 			} else {
 				var newRuleRHS = []
 				var ruleRHS = rule.rhs
@@ -79,8 +348,12 @@ StateTable.prototype.addRules = function (ruleSets) {
 					newRuleRHS[s] = this.lookUp(ruleRHS[s])
 				}
 
-				insertRule(lhsSym, newRuleRHS, rule)
+				ruleProps = insertRule(lhsSym, newRuleRHS, rule)
 			}
+
+			var ruleKey = nontermSym + ' -> ' + rule.rhs.join(' ')
+			var rhsCount = rhsCounts[ruleKey] = (rhsCounts[ruleKey] || 0) + 1
+			this.rulePropsTab[rhsCount > 1 ? ruleKey + ' #' + rhsCount : ruleKey] = ruleProps
 		}
 	}
 }
@@ -133,6 +406,7 @@ StateTable.prototype.newSymbol = function (name, isTerminal) {
  * @param {Object} sym The LHS symbol for nonterminal rules, and the RHS symbol for terminal rules.
  * @param {Object[]} symBuf The RHS symbols for nonterminal rules, and the LHS symbol for terminal rules.
  * @param {Object} origRule The original grammar rule.
+ * @returns {Object} Returns the `ruleProps` created for `origRule`.
  */
 function insertRule(sym, symBuf, origRule) {
 	var symBufLen = symBuf.length
@@ -154,8 +428,9 @@ function insertRule(sym, symBuf, origRule) {
 				// When multiple insertions exist for the same symbol with the same non-inserted RHS symbol, the `ruleProps` for those insertions are stored in an array for a single action in the state table, and hence a single node in the parse forest.
 				// - Assuming grammar rules are sorted by increasing cost.
 				// - Assuming grammar doesn't have duplicates.
-				existingRule.ruleProps = [].concat(existingRule.ruleProps, createRuleProps(origRule))
-				return
+				var ruleProps = createRuleProps(origRule)
+				existingRule.ruleProps = [].concat(existingRule.ruleProps, ruleProps)
+				return ruleProps
 			} else {
 				break
 			}
@@ -164,11 +439,15 @@ function insertRule(sym, symBuf, origRule) {
 		}
 	}
 
-	existingRules.splice(r, 0, {
+	var newRule = {
 		// For terminal symbols, `rhs` is the rule's LHS.
 		rhs: symBuf,
 		ruleProps: createRuleProps(origRule),
-	})
+	}
+
+	existingRules.splice(r, 0, newRule)
+
+	return newRule.ruleProps
 }
 
 /**
@@ -306,11 +585,26 @@ function createRuleProps(rule) {
 		if (rule.anaphoraPersonNumber) {
 			ruleProps.anaphoraPersonNumber = rule.anaphoraPersonNumber
 		}
+
+		// The pronouns of a 'threeSg' anaphoric rule, with which the antecedent's pronouns must agree.
+		if (rule.anaphoraPronouns) {
+			ruleProps.anaphoraPronouns = rule.anaphoraPronouns
+		}
+
+		// The category of the instances the parse trees with this start rule return, for `DialogueContext`.
+		if (rule.category) {
+			ruleProps.category = rule.category
+		}
 	}
 
 	if (rule.semantic !== undefined) {
 		ruleProps.semantic = rule.semantic
 
+		// Specify the semantic refers to previous turns of a dialogue, which requires a `DialogueContext` to resolve, for `Parser.prototype.reduce()` to skip this rule's reductions when parsing without one. Computed once here instead of inspecting the semantic at every reduction.
+		if (DialogueContext.hasReferences(rule.semantic)) {
+			ruleProps.refersToContext = true
+		}
+
 		if (rule.insertedSemantic !== undefined) {
 			ruleProps.insertedSemantic = rule.insertedSemantic
 		}
@@ -586,6 +880,159 @@ function mapShiftsToStates(states) {
 	}
 }
 
+/**
+ * Serializes the states of this `StateTable` instance for `StateTable.prototype.toStateCache()`, referencing symbols by id and rules by index within their symbol's rules, which `StateTable.prototype.addRules()` assigns identically for the same grammar.
+ *
+ * Each serialized state has the following properties:
+ * • reds - The flattened triples of each reduction: `1` if the LHS symbol is a terminal (or placeholder) symbol, else `0`; the LHS symbol's id; and the index of the reduced rule in the LHS symbol's rules.
+ * • shifts - The flattened pairs of each shift: the symbol id and the next state's index.
+ * • isFinal - `true` if the state is the accepting state, else omitted.
+ *
+ * @memberOf StateTable
+ * @returns {Object[]} Returns the serialized states.
+ */
+StateTable.prototype.serializeStates = function () {
+	return this.states.map(function (state) {
+		var reds = []
+		for (var r = 0, redsLen = state.reds.length; r < redsLen; ++r) {
+			var red = state.reds[r]
+			var lhsSym = red.lhs
+
+			var ruleIdx = lhsSym.rules.findIndex(function (rule) {
+				return rule.rhs === red.rhs
+			})
+
+			reds.push(lhsSym.isTerminal ? 1 : 0, lhsSym.id, ruleIdx)
+		}
+
+		var shifts = []
+		var symIds = Object.keys(state.shifts)
+		for (var i = 0, symIdsLen = symIds.length; i < symIdsLen; ++i) {
+			var symId = Number(symIds[i])
+			shifts.push(symId, state.shifts[symId].index)
+		}
+
+		var serializedState = {
+			reds: reds,
+			shifts: shifts,
+		}
+
+		if (state.isFinal) {
+			serializedState.isFinal = true
+		}
+
+		return serializedState
+	})
+}
+
+/**
+ * Restores the states of this `StateTable` instance from `serializedStates`, which `StateTable.prototype.serializeStates()` created for the same grammar, instead of generating them with `StateTable.prototype.generate()`. Invoke this method after `StateTable.prototype.addRules()`.
+ *
+ * @memberOf StateTable
+ * @param {Object[]} serializedStates The serialized states.
+ */
+StateTable.prototype.restoreStates = function (serializedStates) {
+	var nontermSymsById = getSymbolsById([ this.nonterminalSymTab ])
+	var termSymsById = getSymbolsById([ this.terminalSymTab, this.placeholderSymTab ])
+
+	// Create the states before restoring the shifts, which reference later states.
+	for (var s = 0, serializedStatesLen = serializedStates.length; s < serializedStatesLen; ++s) {
+		this.states.push({
+			reds: [],
+			shifts: [],
+			index: s,
+		})
+	}
+
+	for (s = 0; s < serializedStatesLen; ++s) {
+		var serializedState = serializedStates[s]
+		var state = this.states[s]
+
+		var serializedReds = serializedState.reds
+		for (var r = 0, serializedRedsLen = serializedReds.length; r < serializedRedsLen; r += 3) {
+			var lhsSym = serializedReds[r] ? termSymsById[serializedReds[r + 1]] : nontermSymsById[serializedReds[r + 1]]
+			var rule = lhsSym.rules[serializedReds[r + 2]]
+
+			state.reds.push({
+				lhs: lhsSym,
+				rhs: rule.rhs,
+				ruleProps: rule.ruleProps,
+				isBinary: rule.rhs.length === 2,
+			})
+		}
+
+		var serializedShifts = serializedState.shifts
+		for (var i = 0, serializedShiftsLen = serializedShifts.length; i < serializedShiftsLen; i += 2) {
+			state.shifts[serializedShifts[i]] = this.states[serializedShifts[i + 1]]
+		}
+
+		if (serializedState.isFinal) {
+			state.isFinal = true
+		}
+	}
+
+	cacheRulePropsArraysMinCost(this.nonterminalSymTab)
+}
+
+/**
+ * Maps the ids of the symbols in `symTabs` to their symbol object.
+ *
+ * @private
+ * @static
+ * @param {Object[]} symTabs The maps of symbol names to their symbol object, whose symbols share ids.
+ * @returns {Object[]} Returns the symbols indexed by id.
+ */
+function getSymbolsById(symTabs) {
+	var symsById = []
+
+	symTabs.forEach(function (symTab) {
+		for (var symName in symTab) {
+			var sym = symTab[symName]
+			symsById[sym.id] = sym
+		}
+	})
+
+	return symsById
+}
+
+/**
+ * Gets the content hash of `grammar`, which distinguishes state caches of different grammars.
+ *
+ * @private
+ * @static
+ * @param {Object} grammar The input grammar.
+ * @returns {string} Returns the hexadecimal hash.
+ */
+function hashGrammar(grammar) {
+	return crypto.createHash('sha1').update(JSON.stringify(grammar)).digest('hex')
+}
+
+/**
+ * Checks if `costOverrides` is of the current cost override version and of the grammar with content hash `grammarHash`.
+ *
+ * @private
+ * @static
+ * @param {Object} costOverrides The cost overrides to check.
+ * @param {string} grammarHash The content hash of the grammar.
+ * @returns {boolean} Returns `true` if `costOverrides` is current, else `false`.
+ */
+function isCurrentCostOverrides(costOverrides, grammarHash) {
+	return costOverrides.version === StateTable.COST_OVERRIDES_VERSION && costOverrides.grammarHash === grammarHash
+}
+
+/**
+ * Checks if `stateCache` is of the current state cache version and of the grammar with content hash `grammarHash`.
+ *
+ * @private
+ * @static
+ * @param {Object} stateCache The state cache to check.
+ * @param {string} grammarHash The content hash of the grammar.
+ * @returns {boolean} Returns `true` if `stateCache` is current, else `false`.
+ */
+function isCurrentStateCache(stateCache, grammarHash) {
+	return stateCache.version === StateTable.STATE_CACHE_VERSION && stateCache.grammarHash === grammarHash
+}
+
 /**
  * Assigns `cost` to `ruleProps` arrays (i.e., insertions) from its first element (which is the cheapest `ruleProps` because it is sorted in grammar generation) for use as its minimum cost in `calcHeuristicCosts`.
  *
@@ -607,6 +1054,29 @@ function cacheRulePropsArraysMinCost(nonterminalSymTab) {
 	}
 }
 
+/**
+ * Sorts `ruleProps` arrays (i.e., insertions) by increasing cost, which `cacheRulePropsArraysMinCost()` requires, after `StateTable.prototype.overrideRuleCosts()` changes their costs.
+ *
+ * @private
+ * @static
+ * @param {Object} nonterminalSymTab The map of nonterminal symbol names to their symbol object.
+ */
+function sortRulePropsArrays(nonterminalSymTab) {
+	for (var nontermSym in nonterminalSymTab) {
+		var rules = nonterminalSymTab[nontermSym].rules
+
+		for (var r = 0, rulesLen = rules.length; r < rulesLen; ++r) {
+			var ruleProps = rules[r].ruleProps
+
+			if (ruleProps.constructor === Array) {
+				ruleProps.sort(function (a, b) {
+					return a.cost - b.cost
+				})
+			}
+		}
+	}
+}
+
 /**
  * Prints the `StateTable` instance in the following format:
  *   <state>:
@@ -0,0 +1,175 @@
+/**
+ * The `TypoIndex` constructor.
+ *
+ * Creates a symmetric deletion dictionary of `words` for finding the words within a maximum edit distance of a misspelled input token. Maps every string that results from deleting up to `maxDistance` characters from each word to the words that produce it. A lookup generates the same deletions of the input token, collects the words that share a deletion, and checks each candidate's Damerau-Levenshtein distance.
+ *
+ * Performs all deletions when constructed (i.e., when `StateTable` is constructed), which makes lookups fast and independent of the number of words.
+ *
+ * @constructor
+ * @param {string[]} words The words to index.
+ * @param {number} maxDistance The maximum edit distance of lookups.
+ */
+function TypoIndex(words, maxDistance) {
+	this.maxDistance = maxDistance
+	// The map of deletions to the words that produce them.
+	this.deletionsMap = Object.create(null)
+
+	for (var w = 0, wordsLen = words.length; w < wordsLen; ++w) {
+		var word = words[w]
+		var deletions = getDeletions(word, maxDistance)
+
+		for (var d = 0, deletionsLen = deletions.length; d < deletionsLen; ++d) {
+			var deletion = deletions[d]
+			var deletionWords = this.deletionsMap[deletion] || (this.deletionsMap[deletion] = [])
+
+			if (deletionWords.indexOf(word) === -1) {
+				deletionWords.push(word)
+			}
+		}
+	}
+}
+
+/**
+ * Gets the indexed words within `maxDistance` edits of `token`, excluding `token` itself.
+ *
+ * @memberOf TypoIndex
+ * @param {string} token The misspelled token.
+ * @param {number} [maxDistance=this.maxDistance] The maximum edit distance, which can not exceed `this.maxDistance`.
+ * @returns {Object[]} Returns the matches, each with the `word` and its edit `distance` from `token`, sorted by increasing distance.
+ */
+TypoIndex.prototype.lookup = function (token, maxDistance) {
+	if (maxDistance === undefined || maxDistance > this.maxDistance) {
+		maxDistance = this.maxDistance
+	}
+
+	var matches = []
+	if (maxDistance < 1) {
+		return matches
+	}
+
+	var checkedWords = Object.create(null)
+	var deletions = getDeletions(token, maxDistance)
+	for (var d = 0, deletionsLen = deletions.length; d < deletionsLen; ++d) {
+		var deletionWords = this.deletionsMap[deletions[d]]
+		if (!deletionWords) continue
+
+		for (var w = 0, deletionWordsLen = deletionWords.length; w < deletionWordsLen; ++w) {
+			var word = deletionWords[w]
+			if (checkedWords[word]) continue
+			checkedWords[word] = true
+
+			// Sharing a deletion does not guarantee the edit distance is within bounds; e.g., "ab" and "ba" share "a" though their distance is 1, while "abc" and "bca" share "bc" though their distance is 2.
+			var distance = damerauLevenshtein(token, word, maxDistance)
+			if (distance > 0 && distance <= maxDistance) {
+				matches.push({
+					word: word,
+					distance: distance,
+				})
+			}
+		}
+	}
+
+	return matches.sort(function (a, b) {
+		return a.distance - b.distance
+	})
+}
+
+/**
+ * Gets `word` and every string that results from deleting up to `maxDistance` characters from `word`.
+ *
+ * @private
+ * @static
+ * @param {string} word The word for which to generate deletions.
+ * @param {number} maxDistance The maximum number of characters to delete.
+ * @returns {string[]} Returns the unique deletions, including `word`.
+ */
+function getDeletions(word, maxDistance) {
+	var deletions = [ word ]
+	var seen = Object.create(null)
+	seen[word] = true
+
+	// The deletions of the previous distance from which to delete another character.
+	var prevDeletions = deletions
+	for (var distance = 1; distance <= maxDistance; ++distance) {
+		var newDeletions = []
+
+		for (var p = 0, prevDeletionsLen = prevDeletions.length; p < prevDeletionsLen; ++p) {
+			var prevDeletion = prevDeletions[p]
+
+			for (var c = 0, prevDeletionLen = prevDeletion.length; c < prevDeletionLen; ++c) {
+				var deletion = prevDeletion.slice(0, c) + prevDeletion.slice(c + 1)
+
+				if (!seen[deletion]) {
+					seen[deletion] = true
+					newDeletions.push(deletion)
+				}
+			}
+		}
+
+		Array.prototype.push.apply(deletions, newDeletions)
+		prevDeletions = newDeletions
+	}
+
+	return deletions
+}
+
+/**
+ * Calculates the Damerau-Levenshtein distance (optimal string alignment) between `a` and `b`: the minimum number of insertions, deletions, substitutions, and transpositions of adjacent characters that transform `a` into `b`.
+ *
+ * Stops early and returns `maxDistance + 1` if the distance exceeds `maxDistance`.
+ *
+ * @private
+ * @static
+ * @param {string} a The string to compare.
+ * @param {string} b The other string to compare.
+ * @param {number} maxDistance The maximum distance of interest.
+ * @returns {number} Returns the distance, or `maxDistance + 1` if greater than `maxDistance`.
+ */
+function damerauLevenshtein(a, b, maxDistance) {
+	var aLen = a.length
+	var bLen = b.length
+	if (Math.abs(aLen - bLen) > maxDistance) {
+		return maxDistance + 1
+	}
+
+	// The rows of the distance matrix for the two previous characters of `a` and the current character.
+	var prevPrevRow = new Array(bLen + 1)
+	var prevRow = new Array(bLen + 1)
+	var curRow = new Array(bLen + 1)
+	for (var j = 0; j <= bLen; ++j) {
+		prevRow[j] = j
+	}
+
+	for (var i = 1; i <= aLen; ++i) {
+		curRow[0] = i
+		var rowMin = i
+
+		for (j = 1; j <= bLen; ++j) {
+			var cost = a[i - 1] === b[j - 1] ? 0 : 1
+			var distance = Math.min(prevRow[j] + 1, curRow[j - 1] + 1, prevRow[j - 1] + cost)
+
+			// Transposition of adjacent characters.
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distance = Math.min(distance, prevPrevRow[j - 2] + 1)
+			}
+
+			curRow[j] = distance
+			if (distance < rowMin) rowMin = distance
+		}
+
+		// Every path through the rest of the matrix exceeds `maxDistance`.
+		if (rowMin > maxDistance) {
+			return maxDistance + 1
+		}
+
+		var tmpRow = prevPrevRow
+		prevPrevRow = prevRow
+		prevRow = curRow
+		curRow = tmpRow
+	}
+
+	return prevRow[bLen]
+}
+
+// Export TypoIndex.
+module.exports = TypoIndex
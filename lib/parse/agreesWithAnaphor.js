@@ -0,0 +1,31 @@
+/**
+ * Checks if `semanticNode` can serve as the antecedent for an anaphor of `anaphoraPersonNumber`, and of `anaphoraPronouns` if 'threeSg':
+ * • 'threeSg' - An entity of a person whose pronouns, if known, agree with `anaphoraPronouns`: "he" -> 'he', "she" -> 'she'. Excludes entities with pronouns of 'they'.
+ * • 'threePl' - A set of people, or an entity of a person with pronouns of 'they' (i.e., singular "they").
+ *
+ * An entity's pronouns are those its definition specifies, if any, else those the gender evidence in the previous turns of `context` indicates, if any. E.g., "is Aang male" -> "repos Aang and Elizabeth Cady Stanton like that he created".
+ *
+ * @static
+ * @param {Object} semanticNode The semantic node to check.
+ * @param {string} anaphoraPersonNumber The person-number of the anaphor.
+ * @param {string} [anaphoraPronouns] The pronouns of the 'threeSg' anaphor: 'he' or 'she'.
+ * @param {DialogueContext} [context] The dialogue context with the gender evidence of previous turns.
+ * @returns {boolean} Returns `true` if `semanticNode` agrees with the anaphor, else `false`.
+ */
+module.exports = function (semanticNode, anaphoraPersonNumber, anaphoraPronouns, context) {
+	var semanticDef = semanticNode.semantic
+
+	// Sets of people, and semantics that are not people.
+	if (semanticDef.anaphoraPersonNumber !== 'threeSg') {
+		return semanticDef.anaphoraPersonNumber === anaphoraPersonNumber
+	}
+
+	var pronouns = semanticDef.pronouns || (context && context.getPronouns(semanticNode))
+
+	if (anaphoraPersonNumber === 'threePl') {
+		return pronouns === 'they'
+	}
+
+	// Entities without known pronouns agree with either "he" or "she".
+	return pronouns !== 'they' && (!pronouns || !anaphoraPronouns || pronouns === anaphoraPronouns)
+}
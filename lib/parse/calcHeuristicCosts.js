@@ -101,6 +101,8 @@ module.exports = function calcMinCost(parentNode) {
 				 */
 				tense: childSubRuleProps.tense,
 				semantic: childSubRuleProps.semantic,
+				// The rule this `ruleProps` replaces, with which to attribute the subtree's cost to the grammar rule (e.g., when learning rule costs).
+				origRuleProps: childSubRuleProps,
 			}
 		}
 
@@ -130,6 +132,7 @@ module.exports = function calcMinCost(parentNode) {
 		 *    produces can not have semantics.
 		 * 4. text - See `flattenTermSequence`.
 		 * 5. tense - See `flattenTermSequence`.
+		 * 6. origRuleProps - See `flattenTermSequence`.
 		 *
 		 * Note: In the grammar, partial term sequences lack the property
 		 * `isTermSequence` and are instead only distinguished by the property
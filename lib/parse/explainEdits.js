@@ -0,0 +1,99 @@
+var util = require('../util/util')
+
+
+/**
+ * The explanation of how a parse tree's display text corrects the input query, for clients to show "Showing results for `text`" with the corrections highlighted, and "Search instead for `query`".
+ *
+ * @typedef {Object} Explanation
+ * @property {string} query The input query.
+ * @property {string} text The display text, which corrects `query`.
+ * @property {boolean} isCorrected Indicates `text` differs from `query` by at least one edit.
+ * @property {ExplainedEdit[]} edits The edits with which `text` corrects `query`, sorted by input token index.
+ */
+
+/**
+ * The explanation of an edit, whose properties depend on `type`:
+ * • 'substitution' - `from` -> `to`; e.g., "repositries" -> "repositories".
+ * • 'insertion' - `text`; e.g., "that".
+ * • 'deletion' - `text`; e.g., "the".
+ * • 'transposition' - `from` -> `to`; e.g., "followers female" -> "female followers".
+ *
+ * @typedef {Object} ExplainedEdit
+ * @property {string} type The edit type: 'substitution', 'insertion', 'deletion', or 'transposition'.
+ * @property {string} [from] The input text a substitution or transposition replaces.
+ * @property {string} [to] The display text a substitution or transposition produces.
+ * @property {string} [text] The display text an insertion adds, or the input text a deletion removes.
+ * @property {string} [reason] The reason for a substitution: 'spelling' if it completes a partially typed input token or corrects a misspelled input token, else 'phrasing' if the grammar substitutes or conjugates the input (e.g., "I" -> "me", "like" -> "likes").
+ * @property {string} [rule] The name of the grammar symbol whose rule produced the edit, if any.
+ * @property {number} cost The cost of the edit.
+ * @property {number} start The index of the first input token of the edit.
+ * @property {number} end The index after the last input token of the edit, which is `start` for insertions.
+ * @property {number} textStart The index of the first character within the display text to highlight for the edit, which is where the removed text would be for deletions.
+ * @property {number} textEnd The index after the last character within the display text to highlight for the edit.
+ */
+
+/**
+ * Explains the edits with which `structuredTree`, output by `structureParseTree`, corrects `query`.
+ *
+ * @static
+ * @param {StructuredParseTree} structuredTree The structured parse tree to explain.
+ * @param {string} query The input query that produced `structuredTree`.
+ * @returns {Explanation} Returns the explanation of `structuredTree`.
+ */
+module.exports = function explainEdits(structuredTree, query) {
+	var edits = structuredTree.edits.map(explainEdit)
+
+	return {
+		query: query,
+		text: structuredTree.text,
+		isCorrected: edits.length > 0,
+		edits: edits,
+	}
+}
+
+/**
+ * Explains `edit`, an edit of a structured parse tree.
+ *
+ * @private
+ * @static
+ * @param {Edit} edit The edit to explain.
+ * @returns {ExplainedEdit} Returns the explanation of `edit`.
+ */
+function explainEdit(edit) {
+	var explainedEdit = {
+		type: edit.type,
+	}
+
+	switch (edit.type) {
+		case 'substitution':
+			explainedEdit.from = edit.input
+			explainedEdit.to = edit.text
+			explainedEdit.reason = edit.isApproximate ? 'spelling' : 'phrasing'
+			break
+		case 'transposition':
+			explainedEdit.from = edit.input
+			explainedEdit.to = edit.text
+			break
+		case 'insertion':
+			explainedEdit.text = edit.text
+			break
+		case 'deletion':
+			explainedEdit.text = edit.input
+			break
+		default:
+			util.logError('Unrecognized edit type:', util.stylize(edit.type))
+			throw new Error('Unrecognized edit type')
+	}
+
+	if (edit.rule) {
+		explainedEdit.rule = edit.rule
+	}
+
+	explainedEdit.cost = edit.cost
+	explainedEdit.start = edit.start
+	explainedEdit.end = edit.end
+	explainedEdit.textStart = edit.textStart
+	explainedEdit.textEnd = edit.textEnd
+
+	return explainedEdit
+}
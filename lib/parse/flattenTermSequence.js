@@ -13,6 +13,7 @@ var grammarUtil = require('../grammar/grammarUtil')
  * 3. semantic - `subnode.ruleProps.semantic`, if defined. The rules it produces can not have semantics.
  * 4. text - See below.
  * 5. tense - See below.
+ * 6. origRuleProps - `subnode.ruleProps`, the term sequence rule the new `ruleProps` replaces, with which to attribute the flattened subtree's cost to the grammar rule (e.g., when learning rule costs).
  *
  * The new `ruleProps` excludes the following properties which the original `ruleProps` can contain prior to flattening, because all are specific to nonterminal nodes:
  * • isTermSequence - Marks `childNode` that have yet to be flattened.
@@ -72,6 +73,7 @@ module.exports = function (subnode, cost) {
  * 5. tense - The tense of a matched verb terminal rule `subnode` produces, for which the associated text object remains unconjugated, to maintain tense if the parent rule of `subnode` has matching `acceptedTense`.
  * 6. personNumber - The grammatical person-number, if any, with which to conjugate nominative verbs that follow `subnode` within its subtree.
  * 7. anaphoraPersonNumber - The grammatical person-number for anaphoric rules, if any, with which to match and copy an antecedent semantic of the same person-number.
+ * 8. anaphoraPronouns - The pronouns of 'threeSg' anaphoric rules, if any, with which the antecedent's pronouns must agree.
  *
  * @private
  * @static
@@ -87,9 +89,9 @@ function createTermSequenceRuleProps(subnode, cost) {
 	var subnodeRuleProps = subnode.ruleProps
 	var leftSub = getChildSub(subnode)
 
-	// Get the display text `leftSub` produces, and conjugate with the grammatical properties specific to its RHS index, `parentGramProps[0]`, if any.
+	// Get the display text `leftSub` produces, and conjugate with the grammatical properties specific to its RHS index, `parentGramProps[0]`, if any, else with the `personNumber` of `subnode`, if any, which the leading text precedes (e.g., "`[do]` `[1-sg]`" -> "do I").
 	var parentGramProps = subnodeRuleProps.gramProps
-	var text = getSubnodeText(leftSub, parentGramProps && parentGramProps[0])
+	var text = getSubnodeText(leftSub, parentGramProps && parentGramProps[0], subnodeRuleProps.personNumber)
 	/**
 	 * If `text` remains unconjugated, save input tense from `leftSub`, otherwise its `tense` was used in its conjugation.
 	 *
@@ -140,6 +142,8 @@ function createTermSequenceRuleProps(subnode, cost) {
 	return {
 		// The cumulative cost (including any deletion costs) of the subtree `subnode` produces.
 		cost: cost,
+		// The term sequence rule this `ruleProps` replaces.
+		origRuleProps: subnodeRuleProps,
 		text: text,
 		// Save `tense` associated with the conjugative verb text object in `text`, if any. `tense` is assigned above only when its associated verb remains unconjugated, and throws an exception if there are multiple (conflicting) `tense` values.
 		tense: tense,
@@ -162,6 +166,14 @@ function createTermSequenceRuleProps(subnode, cost) {
 		 *                          -> anaphoraPersonNumber: "threePl"
 		 */
 		anaphoraPersonNumber: subnodeRuleProps.anaphoraPersonNumber,
+		/**
+		 * The pronouns of 'threeSg' anaphoric rules with which the antecedent's pronouns must agree.
+		 *
+		 * For example: "(people who follow `{user}` and like) her (repos)"
+		 *   `[poss-determiner-sg]` -> `[3-sg-feminine-poss-det]` -> "her"
+		 *                          -> anaphoraPronouns: "she"
+		 */
+		anaphoraPronouns: subnodeRuleProps.anaphoraPronouns,
 	}
 }
 
@@ -207,12 +219,14 @@ function createPartialTermSequenceRuleProps(subnode) {
 	 *
 	 * Only pass the sequence's `gramProps` after checking here if conjugation will succeed because `conjugateText()` does not support failed conjugation attempts and returning a non-string.
 	 * • If `termSequenceRHSIndex` is 1, conjugation may fail if the text requires a nominative `personNumber` property from the leading, non-sequence branch, which can not be determined until traversed by `pfsearch`. For example, the binary pair: `[nom-users+]` `[like]`.
-	 * • Always attempt conjugation if `termSequenceRHSIndex` is 0 because any preceding `personNumber` property does not apply because it is outside its subtree.
+	 * • Always attempt conjugation if `termSequenceRHSIndex` is 0 because any preceding `personNumber` property does not apply because it is outside its subtree. Conjugate with the `personNumber` of `subnode`, if any, when the sequence is an auxiliary verb that precedes the subject that defines it: `[do]` `[users]`.
 	 */
 	var text
 	var parentGramProps = subnodeRuleProps.gramProps
 	var parentGramPropsTerm = parentGramProps && parentGramProps[termSequenceRHSIndex]
-	if (termSequenceRHSIndex === 0 || (parentGramPropsTerm && (parentGramPropsTerm.form || (parentGramPropsTerm.acceptedTense && parentGramPropsTerm.acceptedTense === childSub.ruleProps.tense)))) {
+	if (termSequenceRHSIndex === 0) {
+		text = getSubnodeText(childSub, parentGramPropsTerm, subnodeRuleProps.personNumber)
+	} else if (parentGramPropsTerm && (parentGramPropsTerm.form || (parentGramPropsTerm.acceptedTense && parentGramPropsTerm.acceptedTense === childSub.ruleProps.tense))) {
 		text = getSubnodeText(childSub, parentGramPropsTerm)
 	} else {
 		text = getSubnodeText(childSub)
@@ -232,7 +246,8 @@ function createPartialTermSequenceRuleProps(subnode) {
 	 *
 	 * Do not change the remaining subnode's `minCost`, because the value excludes the subnode's `ruleProps.cost` itself and is therefore unaffected.
 	 */
-	var newCost = subnodeRuleProps.cost + (termSequenceRHSIndex === 0 ? subnode.node : subnode.next.node).minCost
+	var termSequenceNode = termSequenceRHSIndex === 0 ? subnode.node : subnode.next.node
+	var newCost = subnodeRuleProps.cost + termSequenceNode.minCost
 
 	/**
 	 * If the left child subnode is the term sequence to insert, replace `subnode.node` -> `subnode.next.node` for `pfsearch` to only traverse the right child subnode.
@@ -257,10 +272,14 @@ function createPartialTermSequenceRuleProps(subnode) {
 		isNonterminal: true,
 		// The sum of `subnodeRuleProps.cost` and the (inserted) term sequence subnode's cost (`minCost`).
 		cost: newCost,
+		// The term sequence rule this `ruleProps` replaces.
+		origRuleProps: subnodeRuleProps,
 		// The term sequence insertion text.
 		text: text,
 		// The term sequence's RHS index with which position `text`.
 		insertedSymIdx: termSequenceRHSIndex,
+		// The term sequence node that produces `text`, with whose span of input tokens `pfsearch` aligns `text` because, unlike insertions, `text` is from input.
+		textNode: termSequenceNode,
 		// The semantic properties. `subnodeRuleProps.insertedSemantic` is guaranteed to be `undefined` because the insertion is a term sequence, which always lack semantics.
 		semantic: subnodeRuleProps.semantic,
 		// Likely always `true` because the remaining child subnode is not a term sequence. Can be falsey, however, if produces only terminal rules not yet implemented as term sequences.
@@ -338,6 +357,8 @@ function createTermSequenceSubstitutionRuleProps(subnode, cost) {
 	return {
 		// The cumulative cost (including any deletion costs) of the subtree `subnode` produces.
 		cost: cost,
+		// The term sequence rule this `ruleProps` replaces.
+		origRuleProps: subnodeRuleProps,
 		text: subnodeRuleProps.text,
 		/**
 		 * Save the input tense of any verb terminal rule `subnode` produces to maintain optional tense in substitution `text` if the parent rule of `subnode` has matching `acceptedTense`. For example:
@@ -464,13 +485,15 @@ function createTermSequenceInsertionRuleProps(subnode, cost) {
 	 *     => "have"
 	 */
 	var parentGramProps = subnodeRuleProps.gramProps
-	var insertedPersonNumber = subnodeRuleProps.insertedSymIdx === 0 && subnodeRuleProps.personNumber
-	var childSubText = getSubnodeText(childSub, parentGramProps && parentGramProps[0], insertedPersonNumber)
+	var personNumber = subnodeRuleProps.insertedSymIdx === 0 && subnodeRuleProps.personNumber
+	var childSubText = getSubnodeText(childSub, parentGramProps && parentGramProps[0], personNumber)
 
 	// Excludes `insertedSymIdx` because this flattens the term sequence into a terminal node, removing the need to traverse the node's children.
 	return {
 		// The cumulative cost (including any deletion costs) of the subtree `subnode` produces.
 		cost: cost,
+		// The term sequence rule this `ruleProps` replaces.
+		origRuleProps: subnodeRuleProps,
 		// Merge insertion `text` with matched terminal rule `text` according to `insertedSymIdx`.
 		text: subnodeRuleProps.insertedSymIdx === 1
 			? grammarUtil.mergeTextPair(childSubText, subnodeRuleProps.text)
@@ -484,6 +507,8 @@ function createTermSequenceInsertionRuleProps(subnode, cost) {
 		 * If `childSubText` remains unconjugated, save input tense from `childSub`, otherwise its `tense` was used in its conjugation.
 		 */
 		tense: childSubText.constructor !== String && childSub.ruleProps.tense,
+		// Specify `text` includes inserted text, for use by `structureParseTree` to distinguish the insertion from the matched text.
+		hasInsertion: true,
 		// Exclude `semanticIsReduced` and `secondRHSCanProduceSemantic`, which are specific to nonterminal nodes.
 		semantic: subnodeRuleProps.semantic,
 		/**
@@ -611,6 +636,14 @@ function getCheapestChildSub(subnode) {
 	 *      "mine" and "mine" will obviously be the same terminal rule. With "mine" marked deletable, there will be two subnodes for the same LHS symbol, spanning the last two input tokens: "mine <mine>", "<mine> mine". This is unavoidable in the grammar.
 	 *      A terminal node table in `Parser.prototype.addTermRuleNodes()` could detect these duplicate instances of the same LHS symbol over the same span, similar to the nonterminal node table used in `Parser.prototype.addSub()`, but the overhead is too great for such rarity (even if the table is only used during the second parse).
 	 *
+	 * 3. Completions of a partially typed input token, which `Parser.prototype.prefixLookup()` matches as a prefix of every terminal symbol that begins with it. Consider the following input:
+	 *      "my rep"
+	 *    "rep" completes to both "repo" and "repository", which different terminal rules produce, yet the same term sequence `[repository-head-noun]` produces both. This is unavoidable when completing input.
+	 *
+	 * 4. Corrections of a misspelled input token, which `Parser.prototype.typoLookup()` matches to every terminal symbol within the maximum edit distance. Consider the following input:
+	 *      "my repositries"
+	 *    "repositries" corrects to both "repositories" and "repository", which the same term sequence produces. This is unavoidable when correcting input.
+	 *
 	 *
 	 * `calcHeuristicCosts` must choose the cheapest subnode for ambiguous term sequence matches, as opposed to when `Parser.prototype.addSub()` first adds these subnodes:
 	 * 1. These cost comparisons will not always work in `Parser.prototype.addSub()` because the comparisons require completing all reductions of a subnode to know its cheapest subnode (i.e., a nested term sequence) before reducing with its parent term sequence node. However, `Parser` may reduce a parent node with a given node before reducing all of the latter node's child nodes. Moreover, `Parser` can not determine if all reductions for a node are complete until parsing completes. Hence, a comparison at that state might have an inaccurate minimum cost. For example, consider the term sequence `X`:
@@ -623,13 +656,13 @@ function getCheapestChildSub(subnode) {
 	 */
 
 	 /**
-	  * Check the ambiguous term sequence includes a terminal symbol deletion: spans multiple input tokens and has the minimum deletion cost (1 for grammar-defined deletables).
+	  * Check the ambiguous term sequence includes a terminal symbol deletion, a completion, or a typo correction: spans multiple input tokens and has the minimum deletion cost (1 for grammar-defined deletables).
 	  * • Check every child subnode has the minimum deletion cost, instead of only checking `subnode.node.minCost`, to avoid halting for a grammar-defined stop-word that is ambiguous with a term marked `Parser` marked as deletable on a reparse.
 	  *
 	  * Does not catch all grammar-induced instances of term sequence ambiguity. E.g., a multi-token term sequence with high non-edit rule costs will evade this check. Though, unlikely because term sequences lack semantics.
 	  * • Can be tracked absolutely with `ruleProps.hasDeleltion`, but it is best to avoid the complexity for such a rare error which ideally is caught in grammar generation.
 	  */
-	if (subnode.size === 1 || childSubs.every(childSub => childSub.ruleProps.cost < 1)) {
+	if ((subnode.size === 1 || childSubs.every(childSub => childSub.ruleProps.cost < 1)) && !childSubs.some(childSub => includesApproximateMatch(childSub.node))) {
 		util.logError('Term sequence ambiguity caused by ill-formed grammar (not deletion):', subnode)
 		util.log.apply(null, [ '\nAmbiguous child subnodes:' ].concat(childSubs))
 		throw new Error('Ill-formed term sequence')
@@ -658,6 +691,34 @@ function getCheapestChildSub(subnode) {
 	return cheapestChildSub
 }
 
+/**
+ * Checks if `node` or any of its descendants is a terminal node for the completion of a partially typed input token or the correction of a misspelled input token, which `Parser.prototype.prefixLookup()` and `Parser.prototype.typoLookup()` add.
+ *
+ * For use by `getCheapestChildSub()` to permit the term sequence ambiguity that completions and corrections cause. Only invoked for ambiguous term sequences, which are rare, so the traversal does not affect performance.
+ *
+ * @private
+ * @static
+ * @param {Object} node The node to check.
+ * @returns {boolean} Returns `true` if `node` includes a completion or correction, else `false`.
+ */
+function includesApproximateMatch(node) {
+	if (node.isApproximate) {
+		return true
+	}
+
+	var subs = node.subs
+	if (subs) {
+		for (var s = 0, subsLen = subs.length; s < subsLen; ++s) {
+			var sub = subs[s]
+			if (includesApproximateMatch(sub.node) || (sub.next && includesApproximateMatch(sub.next.node))) {
+				return true
+			}
+		}
+	}
+
+	return false
+}
+
 /**
  * Checks if term sequence child subnode `childSub` has unsupported `ruleProps` properties. If so, prints an error.
  *
@@ -701,12 +762,15 @@ function isIllFormedChildSubnode(childSub, subnode) {
  *     => "created"
  * • `flattenTermSequence` does not check if a parent node has `gramProps` that goes unused, and thus should be checked in grammar generation.
  *
- * Else if `insertedPersonNumber` is defined and `subnode.ruleProps.text` is a conjugative display text object or array, returns the conjugated text string.
+ * Else if `personNumber` is defined and `subnode.ruleProps.text` is a conjugative display text object or array, returns the conjugated text string.
  * • For use by `createTermSequenceInsertionRuleProps()` when the parent node of `subnode` is an insertion with `ruleProps.insertedSymIdx` of 0 and the inserted (leading) text, to which the text this function returns will be appended, was generated from a nominative subject (e.g., "I" -> "oneSg"). For example:
  *   subnode: `[have]`,
  *   personNumber: "oneSg",
  *     => "have"
- * • For use by `createTermSequenceInsertionRuleProps()` when the parent node of `subnode` is an insertion with `ruleProps.insertedSymIdx` of 0, for which the inserted text was generated from a nominative subject.
+ * • For use by `createTermSequenceRuleProps()` and `createPartialTermSequenceRuleProps()` when `subnode` is the leading child of a parent node with `ruleProps.personNumber`; i.e., an auxiliary verb that precedes the subject with which it agrees. For example:
+ *   subnode: `[do]`,
+ *   personNumber: "threeSg",
+ *     => "does"
  *
  * Else if `parentGramProps` is defined and `subnode.ruleProps.text` is a non-conjugative string, then `parentGramProps` is intended for another term within the same term sequence. In the following example, `gramProps.form` is intended for the child node [verb-contribute]`, not `[prep-to]`:
  *   `[contribute-to]`, gramProps.form: "past" -> `[verb-contribute]` `[prep-to]`
@@ -719,19 +783,19 @@ function isIllFormedChildSubnode(childSub, subnode) {
  * @static
  * @param {Object} subnode The term sequence subnode.
  * @param {Object} [parentGramProps] The `ruleProps.gramProps` of the parent subnode that produces `subnode`.
- * @param {string} [insertedPersonNumber] The `ruleProps.personNumber` of the parent insertion subnode that has `ruleProps.insertedSymIdx` of 0. For use by `createTermSequenceInsertionRuleProps()` when the parent subnode's inserted (leading) text was generated from a nominative subject.
+ * @param {string} [personNumber] The `ruleProps.personNumber` of the parent subnode, if the subnode is the leading, non-inserted child of the parent subnode's subject; i.e., the parent subnode is an insertion with `ruleProps.insertedSymIdx` of 0, or the subnode is an auxiliary verb that precedes the subject.
  * @returns {Object|string} Returns the display text `subnode` produces, conjugated if possible.
  */
-function getSubnodeText(subnode, parentGramProps, insertedPersonNumber) {
+function getSubnodeText(subnode, parentGramProps, personNumber) {
 	var text = subnode.ruleProps.text
 	if (text) {
 		/**
-		 * Conjugate `text` if `parentGramProps` or `insertedPersonNumber` is defined and `subnode.ruleProps.text` is a conjugative text object or an array containing a conjugative text object.
+		 * Conjugate `text` if `parentGramProps` or `personNumber` is defined and `subnode.ruleProps.text` is a conjugative text object or an array containing a conjugative text object.
 		 *
 		 * Do not extend this conditional to ignore when `text` is a string, instead of passing to `conjugateText()` which returns it unchanged, because `text` is rarely a string when `parentGramProps` is defined.
 		 */
-		if (parentGramProps || insertedPersonNumber) {
-			return conjugateText(text, parentGramProps, subnode.ruleProps.tense, insertedPersonNumber)
+		if (parentGramProps || personNumber) {
+			return conjugateText(text, parentGramProps, subnode.ruleProps.tense, personNumber)
 		}
 
 		/**
@@ -756,15 +820,15 @@ function getSubnodeText(subnode, parentGramProps, insertedPersonNumber) {
  * @param {Object|string|(Object|string)[]} text The display text invariable string, conjugative text object, or array of invariable strings and conjugative objects to conjugate.
  * @param {Object} [parentGramProps] The `ruleProps.gramProps` of the parent subnode that produces the subnode that owns `text`.
  * @param {string} [inputTense] The term sequence's input tense, defined by a descendant verb terminal symbol's `tense` property, with which to conjugate `text` if matches `parentGramProps.acceptedTense`.
- * @param {string} [insertedPersonNumber] The `ruleProps.personNumber` of the parent subnode if the subnode is an insertion where `ruleProps.insertedSymIdx` is 0.
+ * @param {string} [personNumber] The `ruleProps.personNumber` of the parent subnode if the subnode is an insertion where `ruleProps.insertedSymIdx` is 0, or an auxiliary verb that precedes the subject.
  * @returns {string} Returns the conjugated display text.
  */
-function conjugateText(text, parentGramProps, inputTense, insertedPersonNumber) {
+function conjugateText(text, parentGramProps, inputTense, personNumber) {
 	var textConstructor = text.constructor
 
 	// Conjugate `text` to its correct inflection. 87% of cases.
 	if (textConstructor === Object) {
-		return conjugateTextObject(text, parentGramProps, inputTense, insertedPersonNumber)
+		return conjugateTextObject(text, parentGramProps, inputTense, personNumber)
 	}
 
 	// No conjugation. Occurs when the parent node has a `gramProps` intended to conjugate the text object in the binary node's other branch, or for invariable strings in conjugative text arrays.
@@ -780,23 +844,23 @@ function conjugateText(text, parentGramProps, inputTense, insertedPersonNumber)
 			// Concatenate text items with spaces. Avoid adding leading space.
 			conjugatedText += ' '
 		}
-		conjugatedText += conjugateText(text[t], parentGramProps, inputTense, insertedPersonNumber)
+		conjugatedText += conjugateText(text[t], parentGramProps, inputTense, personNumber)
 	}
 	return conjugatedText
 }
 
 /**
- * Conjugates `textObj` to the term's correct inflection according to the parent subnode's `parentGramProps` or `insertedPersonNumber`.
+ * Conjugates `textObj` to the term's correct inflection according to the parent subnode's `parentGramProps` or `personNumber`.
  *
  * @private
  * @static
  * @param {Object} textObj The child subnode's display text object to conjugate.
  * @param {Object} [parentGramProps] The `ruleProps.gramProps` of the parent subnode that produces the subnode that owns `textObj`.
  * @param {string} [inputTense] The term sequence's input tense, defined by a descendant verb terminal symbol's `tense` property, with which to conjugate `textObj` if matches `parentGramProps.acceptedTense`.
- * @param {string} [insertedPersonNumber] The `ruleProps.personNumber` of the parent subnode if the subnode is an insertion where `ruleProps.insertedSymIdx` is 0.
+ * @param {string} [personNumber] The `ruleProps.personNumber` of the parent subnode if the subnode is an insertion where `ruleProps.insertedSymIdx` is 0, or an auxiliary verb that precedes the subject.
  * @returns {string} Returns the display text `subnode` produces.
  */
-function conjugateTextObject(textObj, parentGramProps, inputTense, insertedPersonNumber) {
+function conjugateTextObject(textObj, parentGramProps, inputTense, personNumber) {
 	if (parentGramProps) {
 		/**
 		 * Conjugate a child subnode within a term sequence if terminal symbol input tense matches optionally accepted tense.
@@ -837,9 +901,11 @@ function conjugateTextObject(textObj, parentGramProps, inputTense, insertedPerso
 	 *   personNumber: "oneSg",
 	 *   text: "I",
 	 *   => "I have"
+	 *
+	 * Also conjugates an auxiliary verb that precedes the subject with which it agrees, where the parent subnode's `personNumber` is that of the subject: `[do]` `[user]` -> "does `{user}`".
 	 */
-	if (insertedPersonNumber && textObj[insertedPersonNumber]) {
-		return textObj[insertedPersonNumber]
+	if (personNumber && textObj[personNumber]) {
+		return textObj[personNumber]
 	}
 
 	/*
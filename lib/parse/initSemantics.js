@@ -1,5 +1,8 @@
 var semantic = require('../grammar/semantic')
 
+// The names of the operator semantics that `semantic` uses: `intersect()`, `union()`, and `not()`.
+var operatorSemanticNames = [ 'intersect', 'union', 'not' ]
+
 /**
  * Initializes the semantics of rules in the grammar for parsing by replacing identical semantic functions, semantic nodes, and semantic arrays with references to a single object. The former enables semantic equality checks by object reference instead of checking their `name` properties. The latter two enables equality checks of entire semantic trees and arrays by object reference instead of having to traverse the objects.
  *
@@ -12,6 +15,13 @@ module.exports = function (ruleSets, semantics) {
 	// The semantic nodes used in `ruleSets`.
 	var semanticNodeTab = []
 
+	// Replace the operator semantics with the instances `semantic` loaded from the default grammar, which `semantic.reduce()` compares by reference. The operators are identical across locales, which enables parsing grammars of other locales.
+	operatorSemanticNames.forEach(function (semanticName) {
+		if (semantics[semanticName] && semantic._semantics[semanticName]) {
+			semantics[semanticName] = semantic._semantics[semanticName]
+		}
+	})
+
 	// Initialize semantics on rules by replacing identical semantics with references to the same object.
 	for (var nontermSym in ruleSets) {
 		var rules = ruleSets[nontermSym]
@@ -6,42 +6,70 @@ var semanticReduce = require('../grammar/semantic').reduce
 /**
  * Searches for terminal rules that match `query`, including symbols in the query language and entities, and constructs the parse nodes accordingly. Determines the start and end indexes within `query` of each matched rule. Handles deletions and partial matches of multi-token entities, and determines the edit cost associated with these matches.
  *
+ * If `reuseIdx` is greater than 0, reuses the nodes, terminal rule matches, and entity matches of the previous parse for the first `reuseIdx` tokens, which must be identical to the previous parse's tokens and exclude its last token, and only matches the tokens that follow. `ParseSession` uses this to parse the query after each keystroke without repeating the work for the unchanged prefix.
+ *
+ * If `completeLastToken` is truthy and `query` does not end with whitespace, also matches the last token as a prefix of terminal symbols and entity tokens to complete a partially typed token.
+ *
+ * Matches unrecognized tokens to terminal symbols and entity tokens within a maximum edit distance to correct misspelled tokens; e.g., "repositries" -> "repositories".
+ *
  * @memberOf Parser
  * @param {string} query The input query.
+ * @param {number} [reuseIdx=0] The number of leading tokens in `query` for which to reuse the previous parse's matches.
+ * @param {boolean} [completeLastToken] Specify matching the last token as a prefix.
+ * @param {number} [maxTokens=Infinity] The maximum number of tokens to match. If `query` has more tokens, only matches the first `maxTokens`, does not complete the last of those, and sets `this.truncatedReason` to 'maxTokens'.
  * @returns {Object[][]} Returns an array of an array of nodes for each terminal rule match at each index of `query`.
  */
-Parser.prototype.matchTerminalRules = function (query) {
+Parser.prototype.matchTerminalRules = function (query, reuseIdx, completeLastToken, maxTokens) {
+	if (reuseIdx === undefined) reuseIdx = 0
+
 	// The input query tokens.
-	this.tokens = tokenize(query)
+	this.tokens = tokenize(query, this.stateTable.tokenization)
+	// Specify matching the last token as a prefix. Whitespace after the last token indicates the user finished typing it.
+	this.completeLastToken = !!completeLastToken && !/\s$/.test(query)
+	// Discard the tokens beyond the budget, if any, for long input. The last remaining token is not partially typed.
+	if (this.tokens.length > maxTokens) {
+		this.tokens.length = maxTokens
+		this.completeLastToken = false
+		this.truncatedReason = 'maxTokens'
+	}
 	// The number of tokens in input.
 	this.tokensLen = this.tokens.length
+	// Specify the current lookups are for approximate matches (i.e., completions and typo corrections), which `Parser.prototype.prefixLookup()` and `Parser.prototype.typoLookup()` set.
+	this.isApproximateMatch = false
 
 	// The array of maps of symbol ids to arrays of nodes of varying size (i.e., its span of the input tokens, depending on the node's height within the tree) at each query index. This enables constructing a parse forest (with packed nodes) of all possible parse trees.
 	// Use a 2D array to enable separation of terminal rule matching, which adds nodes at every index first, from reduction of nonterminal rules, which returns to the first index after terminal rule matching.
-	this.nodeTabs = util.new2DArray(this.tokensLen, this.stateTable.nontermSymbolCount)
+	this.nodeTabs = reuseTab(this.nodeTabs, reuseIdx, util.new2DArray(this.tokensLen, this.stateTable.nontermSymbolCount))
 
 	// The array of arrays of nodes for each terminal rule match, as well each match's start index.
-	this.termRuleMatchTab = util.new2DArray(this.tokensLen + 1)
+	this.termRuleMatchTab = reuseTab(this.termRuleMatchTab, reuseIdx, util.new2DArray(this.tokensLen + 1))
 	// The array of arrays of original terminal symbol and entity matches for each individual input token. Its contents do not change after invoking `Parser.prototype.tokensLookup()` (i.e., does not contain matches with deletions or merged entity matches) to enable `Parser.prototype.addDeletions()` and `Parser.prototype.addDeletablesForAllTokens()` to add deletions to the original matches.
-	this.terminalSymTab = util.new2DArray(this.tokensLen)
+	this.terminalSymTab = reuseTab(this.terminalSymTab, reuseIdx, util.new2DArray(this.tokensLen))
 	// The array of arrays of multi-token entity matches for each index. This includes original matches, matches with deletions, and merges of adjacent matches of the same entity for multi-token entities.
-	this.entityTab = util.new2DArray(this.tokensLen)
-	// The semantic arguments created from input matches to entities and integer symbols. This prevents duplicate semantic arguments in the parse forest to enable equality checks by object reference (as opposed to having to check the semantic `name` property).
-	this.semanticArgTab = Object.create(null)
+	this.entityTab = reuseTab(this.entityTab, reuseIdx, util.new2DArray(this.tokensLen))
+	// The array of booleans for each token index that indicate whether `Parser.prototype.typoLookup()` matched the (misspelled) token by edit distance.
+	this.typoTab = reuseTab(this.typoTab, reuseIdx, new Array(this.tokensLen))
+	// The semantic arguments created from input matches to entities and integer symbols. This prevents duplicate semantic arguments in the parse forest to enable equality checks by object reference (as opposed to having to check the semantic `name` property). Keep the previous parse's semantic arguments when reusing its nodes, which reference them.
+	if (reuseIdx === 0) {
+		this.semanticArgTab = Object.create(null)
+		// The map of the entities that entity providers supplied, keyed by category, id, and tokens, to the instance `Parser` first received. Like the semantic arguments, keep when reusing the previous parse's matches, which reference them.
+		this.providedEntityTab = Object.create(null)
+	}
 	// Perform terminal symbol, integer symbol, and entity lookups for each token in the input query. Add nodes for each single-token terminal rule match, add matches to `terminalSymTab` for use by `Parser.prototype.addDeletions()`, and add multi-token entity matches to `entityTab` for use by `Parser.prototype.mergeEntityMatches()`.
-	this.tokensLookup()
+	this.tokensLookup(reuseIdx)
 
 	// The map of each token index with a deletable to an object with the `cost` of that deletion and the `length` and `followingCost` of the continuous span of deletables that follow.
+	var prevDeletions = this.deletions
 	this.deletions = new Array(this.tokensLen)
 	// Search the input query for grammar-defined deletables and unrecognized tokens, and add them to `deletions`. Invoke this method after `Parser.prototype.tokensLookup()` to determine unrecognized input tokens, and before `Parser.prototype.addDeletions()`, which adds nodes with the deletions and the adjacent terminal symbol matches.
-	this.deletablesLookup()
+	this.deletablesLookup(reuseIdx, prevDeletions)
 	// Add nodes that combine deletables in `deletions` with the single token matches in `terminalSymTab`, with spans and cost penalties that include the adjacent deletables. Invoke this method after `Parser.prototype.deletablesLookup()`, which search the input query tokens for deletables.
-	this.addDeletions()
+	this.addDeletions(false, reuseIdx)
 
 	// Merge adjacent token matches for the same multi-token entity in `entityTab`, including deletions, while avoiding ambiguity.
-	this.mergeEntityMatches()
+	this.mergeEntityMatches(false, reuseIdx)
 	// Add nodes for multi-token entities, including the merged entity matches from `Parser.prototype.mergeEntityMatches()`. Add the merged entity matches separately from `Parser.prototype.mergeEntityMatches()`, which finds and merges all adjacent matches for the same entity and keeps only the cheapest match when there are duplicates (caused by deletions).
-	this.addMultiTokenEntityNodes()
+	this.addMultiTokenEntityNodes(false, reuseIdx)
 
 	// Append to the end of `nodeTabs` an array with the node that produces the `<blank>` symbol to enable insertion rules that are only recognized at the end of `query`.
 	this.addBlankNode()
@@ -49,6 +77,24 @@ Parser.prototype.matchTerminalRules = function (query) {
 	return this.termRuleMatchTab
 }
 
+/**
+ * Copies the first `reuseIdx` rows of `prevTab`, the table of the previous parse, to `newTab`.
+ *
+ * @private
+ * @static
+ * @param {Array[]} prevTab The table of the previous parse.
+ * @param {number} reuseIdx The number of leading rows to copy.
+ * @param {Array[]} newTab The new table.
+ * @returns {Array[]} Returns `newTab`.
+ */
+function reuseTab(prevTab, reuseIdx, newTab) {
+	for (var t = 0; t < reuseIdx; ++t) {
+		newTab[t] = prevTab[t]
+	}
+
+	return newTab
+}
+
 /**
  * After failing to reach the start node or failing to generate legal parse trees (due to contradictory semantics) on the initial parse, as a last resort (and a significant performance hit), reparses the input query with all tokens marked deletable (except those already added to `deletions`) and adds new nodes for terminal rule matches that span and include those deletions.
  *
@@ -73,9 +119,10 @@ Parser.prototype.addDeletablesForAllTokens = function () {
  * Performs terminal symbol, entity, and integer symbol lookups for each token in the input query. Adds nodes for each single-token terminal rule match, adds matches to `terminalSymTab` for use by `Parser.prototype.addDeletions()`, and adds multi-token entity matches to `entityTab` for use by `Parser.prototype.mergeEntityMatches()`.
  *
  * @memberOf Parser
+ * @param {number} [startIdx=0] The index of the first token to look up. The tokens that precede it reuse the lookups of the previous parse.
  */
-Parser.prototype.tokensLookup = function () {
-	for (var curIdx = 0; curIdx < this.tokensLen; ++curIdx) {
+Parser.prototype.tokensLookup = function (startIdx) {
+	for (var curIdx = startIdx || 0; curIdx < this.tokensLen; ++curIdx) {
 		var token = this.tokens[curIdx]
 
 		// Save single-token terminal symbol matches at their index within the input query.
@@ -83,14 +130,26 @@ Parser.prototype.tokensLookup = function () {
 		this.termRuleMatches = this.termRuleMatchTab[curIdx]
 		this.matchedSymbols = this.terminalSymTab[curIdx]
 
-		// Check if `token` is numeric.
-		// • Use `isNaN()` instead of `parseInt()` or `parseFloat()` to fail on numbers with trailing non-numeric characters (e.g., "20mb") until properly implementing prefixes and suffixes.
-		if (isNaN(token)) {
+		// Check if `token` is a number, including decimals, magnitude suffixes, currency, ordinals, and spelled-out numbers; e.g., "2.5", "1.5k", "$2.5M", "3rd", "ten".
+		var number = this.stateTable.numberRecognizer.recognizeToken(token)
+
+		if (number && number.isNumeral) {
+			// Match the number to a non-ranged-based numeric terminal symbol, if any; e.g., "1" -> "January". Use the number (after removing numeric artifacts) instead of `token`: "01" -> "1".
+			this.terminalSymbolLookup(number.text, curIdx)
+
+			// Match the number to integer symbols for which it is within the specified range, if any.
+			this.intSymbolLookup(number, curIdx, curIdx)
+		} else {
+			// Match spelled-out numbers and numbers with affixes to integer symbols, if any, before checking if `token` is unrecognized for typo correction.
+			if (number) {
+				this.intSymbolLookup(number, curIdx, curIdx)
+			}
+
 			/**
 			 * Remove instances of the following characters from non-numeric `token`:
 			 * • period
 			 *   - Equally match "U.S.A." and "USA"
-			 *   - Keep for numbers, such that: 2.0 -> 2, not 20; 2.567 -> 3, not 2567
+			 *   - Keep for numbers, such that: 2.0 -> 2, not 20; 2.5 -> 2.5, not 25
 			 */
 			token = token.replace(/[.]/g, '')
 
@@ -99,18 +158,22 @@ Parser.prototype.tokensLookup = function () {
 
 			// Match `token` to entities that contain the token, if any.
 			this.entityLookup(token, curIdx)
-		} else {
-			// Convert `intToken` to an integer and remove numeric artifacts.
-			var parsedInt = parseIntToken(token)
 
-			// Convert `parsedInt` back to a string (after removing numeric artifacts and rounding, if necessary) for matching terminal symbols and use in display text and as a semantic argument.
-			token = String(parsedInt)
+			// If `token` is unrecognized and not a grammar-defined deletable, match `token` to terminal symbols and entity tokens within the maximum edit distance, if any.
+			if (this.matchedSymbols.length === 0 && !this.stateTable.deletables[token]) {
+				this.typoLookup(token, curIdx)
+			}
 
-			// Match `token` to a non-ranged-based numeric terminal symbol, if any; e.g., "1" -> "January".
-			this.terminalSymbolLookup(token, curIdx)
+			// If completing the last token, match `token` as a prefix of terminal symbols and entity tokens, if any.
+			if (this.completeLastToken && curIdx === this.tokensLen - 1) {
+				this.prefixLookup(token, curIdx)
+			}
+		}
 
-			// Match `token` to integer symbols for which `parsedInt` is within the specified range, if any.
-			this.intSymbolLookup(token, parsedInt, curIdx)
+		// Match spelled-out numbers that span multiple tokens and end with this token to integer symbols, if any; e.g., "two hundred fifty". Add the nodes at this index, the last index of the match.
+		var multiTokenNumber = this.stateTable.numberRecognizer.recognizeMultiTokenNumber(this.tokens, curIdx)
+		if (multiTokenNumber) {
+			this.intSymbolLookup(multiTokenNumber.number, multiTokenNumber.startIdx, curIdx)
 		}
 	}
 }
@@ -121,75 +184,48 @@ Parser.prototype.tokensLookup = function () {
  * Performs the following operations on `query`:
  * 1. Removes leading and trailing whitespace
  * 2. Converts `query` to lowercase
- * 3. Removes instances of specified characters: ,
- * 4. Splits `query` by whitespace into to tokens (i.e., string segments)
+ * 3. Removes instances of the characters the grammar's locale specifies (English: ,)
+ * 4. Splits `query` by whitespace and the separator characters the grammar's locale specifies (English: /) into to tokens (i.e., string segments)
  *
  * @private
  * @static
  * @param {string} query The input query to split.
+ * @param {Object} [tokenization] The compiled tokenization rules of the grammar's locale, `StateTable.prototype.tokenization`. If omitted, uses the English rules.
  * @returns {string[]} Returns the `query` tokens.
  */
-function tokenize(query) {
+function tokenize(query, tokenization) {
 	/**
-	 * Remove instances of the following characters from `query`:
+	 * Remove instances of the following characters from `query` by default:
 	 * • comma
 	 *   - Equally match "Shanghai China" and "Shanghai, China"
 	 *   - Equally match "10,000" and "10000"
 	 *
-	 * Separate `query` by whitespace and the following characters:
+	 * Separate `query` by whitespace and the following characters by default:
 	 * • slash
 	 *   - Recognize date formate: "1/28/1993" -> "1" "28" "1993"
 	 */
-	return query.trim().toLowerCase().replace(/[,]/g, '').split(/[\s/]+/)
+	if (!tokenization) {
+		return query.trim().toLowerCase().replace(/[,]/g, '').split(/[\s/]+/)
+	}
+
+	query = query.trim().toLowerCase()
+	if (tokenization.removedCharsRegex) {
+		query = query.replace(tokenization.removedCharsRegex, '')
+	}
+
+	return query.split(tokenization.separatorRegex)
 }
 
 /**
- * Converts `intToken` to an integer and removes numeric artifacts.
- *
- * For use by `Parser.prototype.tokensLookup()` after `isNaN(intToken)` fails and before matching the returned (cleaned) value to a non-ranged-based numeric terminal symbol, if any, and range-based terminal symbols.
+ * Splits `query` by whitespace and removes artifacts, producing the tokens `Parser.prototype.matchTerminalRules()` matches. For use by `ParseSession` to compare the tokens of successive queries before parsing.
  *
- * Removes the following numeric artifacts from `intToken`:
- * • Strips leading zeros: "02" -> 2.
- * • Converts exponential notation to integers: "1e3" -> 100.
- * • Converts hexadecimals to decimals: "0x10" -> 16.
- * • Rounds parsed floating point numbers: "2.3" -> 2, "2.5" -> 3, "1e-3" -> 0.
- *
- * @private
  * @static
- * @param {string} intToken The input token to convert and clean.
- * @returns {number} Returns the number.
+ * @memberOf Parser
+ * @param {string} query The input query to split.
+ * @param {Object} [tokenization] The compiled tokenization rules of the grammar's locale, `StateTable.prototype.tokenization`. If omitted, uses the English rules.
+ * @returns {string[]} Returns the `query` tokens.
  */
-function parseIntToken(intToken) {
-	/**
-	 * Convert and clean numeric input tokens:
-	 * • Parse numbers and maintain any digits after decimal point with `Number()`: "2.7" -> 2.7
-	 *   - Maintain any digits after decimal point for proper rounding that follows, if necessary.
-	 *   - `parseInt()` would incorrectly convert "2.7" -> 2.
-	 *   - `parseFloat()` would work here (but fails other requirements).
-	 *
-	 * • Strip leading zeros with `Number()`: "02" -> 2.
-	 *   - `parseInt()` or `parseFloat()` would work here (but fail other requirements).
-	 *
-	 * • Convert exponential notation to integers with `Number()`: "1e3" -> 100.
-	 *   - `parseInt()` would incorrectly convert "1e3" -> 1.
-	 *   - `parseFloat()` would work here (but fails other requirements).
-	 *
-	 * • Convert hexadecimals to decimals with `Number()`: "0x10" -> 16.
-	 *   - `parseFloat()` would incorrectly convert "0x10" -> 0.
-	 *   - `parseInt()` would work here (but fails other requirements).
-	 *
-	 * • Round parsed floating point numbers to integers: 2.3 -> 2, 2.5 -> 3, 1e-3 -> 0.
-	 *
-	 * • Convert to absolute value: -20 -> 20.
-	 *   - For now, the grammar forbids range-based integer symbols to have negative lower bounds because it is unlikely any will be defined as such. Otherwise, negative input integers will likely fail to match any integers (because none defined), leading to a reparse with awful suggestions.
-	 *
-	 * • For now, fail on trailing or leading non-numeric characters until properly implementing prefixes (e.g., "$20") and suffixes (e.g., "20mb", "20 MB", "Danny's"), which might integrate editing costs.
-	 *   - Invoke after `isNaN(token)` check in `Parser.prototype.tokensLookup()` prevents such numbers from reaching here.
-	 *   - Use `Number()` to fail on such tokens (even if preceding `isNaN()` check stops them): "20mb" -> NaN.
-	 *     • `parseFloat()` and `parseInt()` would incorrectly strip trailing non-numeric characters: "20mb" -> 20.
-	 */
-	return Math.abs(Math.round(Number(intToken)))
-}
+Parser.tokenize = tokenize
 
 /**
  * Checks if `symToken` is a terminal symbol in the grammar's query language, adds nodes for the rules that produce the matching terminal symbol, if any, and saves the matches to `terminalSymTab` for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
@@ -197,62 +233,75 @@ function parseIntToken(intToken) {
  * @memberOf Parser
  * @param {string} symToken The lexical token to match to a terminal symbol in the query language.
  * @param {number} tokenIdx The index of `symToken` in input.
+ * @param {number} [costPenalty=0] The cost penalty of the match, which is the prefix match cost when `Parser.prototype.prefixLookup()` completes an input token to `symToken`, or the typo cost when `Parser.prototype.typoLookup()` corrects an input token to `symToken`.
  */
-Parser.prototype.terminalSymbolLookup = function (symToken, tokenIdx) {
+Parser.prototype.terminalSymbolLookup = function (symToken, tokenIdx, costPenalty) {
 	var terminalSym = this.stateTable.terminalSymTab[symToken]
 
 	if (terminalSym) {
+		if (costPenalty === undefined) costPenalty = 0
+
 		// Add nodes for the terminal rules that produce `terminalSym` (at this index).
-		this.addTermRuleNodes(terminalSym, tokenIdx, tokenIdx)
+		this.addTermRuleNodes(terminalSym, tokenIdx, tokenIdx, undefined, undefined, costPenalty, this.isApproximateMatch)
 
 		// Save the terminal symbol match for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
 		this.matchedSymbols.push({
 			terminalSym: terminalSym,
 			semanticArg: undefined,
 			text: undefined,
+			costPenalty: costPenalty,
+			isApproximate: this.isApproximateMatch,
 		})
 	}
 }
 
 /**
- * Finds the integer symbols for which `intToken` is within range, adds nodes for those rules with `intToken` as a semantic argument and display text, and saves the matches to `terminalSymTab` for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
+ * Finds the integer symbols that accept `number`, adds nodes for those rules with the number as a semantic argument and its normalized text as display text, and saves the single-token matches to `terminalSymTab` for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
  *
- * Pass `intToken` as an integer after stripping leading zeros, converting from exponential or hexadecimal notation, and/or rounding, if necessary.
- * • For example: "02" -> "2", "1e3" -> "100", "0x10" -> "16", "2.70" -> "3".
+ * An integer symbol accepts `number` if within its range, and if `number` is an ordinal, only if the symbol accepts ordinals. A symbol that requires ordinals only accepts ordinals, and displays them as ordinals in digits: "third" -> "3rd".
  *
- * Pass number `parsedInt` for comparing `intToken` to the numeric min and max value bounds of the range-based integer terminal symbols.
- * • It is faster to compare the numeric bounds to another number than the stringified numeric value, `intToken`, though identical.
+ * If `number` is not an integer, a symbol that only accepts integers (i.e., without `acceptsDecimals`) accepts `number` rounded to the nearest integer, with a cost penalty of 1 and the rounded number as display text; e.g., "repos with 2.5 stars" -> "repos with 3 stars". This favors symbols that accept decimals, and the cost is less than deleting the number in `Parser.prototype.remainingTokensDeletablesLookup()`.
  *
  * @memberOf Parser
- * @param {string} intToken The integer input token to match to range-based integer symbols.
- * @param {number} parsedInt The integer form of `intToken`.
- * @param {number} tokenIdx The index of `intToken` in input.
+ * @param {Object} number The number `NumberRecognizer` recognized in input.
+ * @param {number} startIdx The index of the first token of `number` in input.
+ * @param {number} endIdx The index of the last token of `number` in input, at which to add the nodes.
  */
-Parser.prototype.intSymbolLookup = function (intToken, parsedInt, tokenIdx) {
+Parser.prototype.intSymbolLookup = function (number, startIdx, endIdx) {
+	var isDecimal = number.value % 1 !== 0
+
 	// `intSymbols` is sorted by increasing minimum value and then by increasing maximum value.
 	for (var i = 0, intSymbolsLen = this.stateTable.intSymbols.length; i < intSymbolsLen; ++i) {
 		var intSymbol = this.stateTable.intSymbols[i]
+		var isRounded = isDecimal && !intSymbol.acceptsDecimals
+		var value = isRounded ? Math.round(number.value) : number.value
 
-		// Integer symbols are sorted by increasing minimum value, so all following values are equal to or greater than this value.
-		if (parsedInt < intSymbol.min) {
+		// Integer symbols are sorted by increasing minimum value, so all following values are equal to or greater than this value. Compare the greater of `number` and its rounded value, which following symbols might accept.
+		if (Math.max(number.value, Math.round(number.value)) < intSymbol.min) {
 			return
 		}
 
-		if (parsedInt <= intSymbol.max) {
+		if (value >= intSymbol.min && value <= intSymbol.max && (number.isOrdinal ? intSymbol.acceptsOrdinals : !intSymbol.requiresOrdinals)) {
 			var terminalSym = this.stateTable.placeholderSymTab[intSymbol.name]
+			var text = intSymbol.requiresOrdinals ? this.stateTable.numberRecognizer.formatOrdinal(value) : (isRounded ? number.currency + value : number.text)
+			var costPenalty = isRounded ? 1 : 0
 
-			// Get the semantic argument for `intToken` if it exists, else create a new semantic using the integer (as a string).
-			var semanticArg = this.getSemanticArg(intToken)
+			// Get the semantic argument for the number if it exists, else create a new semantic using the number (as a string), which excludes any currency symbol.
+			var semanticArg = this.getSemanticArg(String(value))
 
-			// Add nodes for the terminal rules that produce `terminalSym` (at this index), with `ruleProps` that includes the integer as the semantic argument and `intToken` as display text.
-			this.addTermRuleNodes(terminalSym, tokenIdx, tokenIdx, semanticArg, intToken)
+			// Add nodes for the terminal rules that produce `terminalSym` (at `endIdx`), with `ruleProps` that includes the number as the semantic argument and its normalized text as display text; e.g., "$2.5m" -> "$2.5M".
+			this.addTermRuleNodes(terminalSym, startIdx, endIdx, semanticArg, text, costPenalty)
 
-			// Save the integer symbol match for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
-			this.matchedSymbols.push({
-				terminalSym: terminalSym,
-				semanticArg: semanticArg,
-				text: intToken,
-			})
+			// Save the single-token integer symbol match for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
+			if (startIdx === endIdx) {
+				this.matchedSymbols.push({
+					terminalSym: terminalSym,
+					semanticArg: semanticArg,
+					text: text,
+					costPenalty: costPenalty,
+					isApproximate: false,
+				})
+			}
 		}
 	}
 }
@@ -263,12 +312,15 @@ Parser.prototype.intSymbolLookup = function (intToken, parsedInt, tokenIdx) {
  * @memberOf Parser
  * @param {string} entToken The lexical token to match to entities.
  * @param {number} tokenIdx The index of `entToken` in input.
+ * @param {number} [costPenalty=0] The cost penalty of the matches, which is the prefix match cost when `Parser.prototype.prefixLookup()` completes an input token to `entToken`, or the typo cost when `Parser.prototype.typoLookup()` corrects an input token to `entToken`.
  */
-Parser.prototype.entityLookup = function (entToken, tokenIdx) {
+Parser.prototype.entityLookup = function (entToken, tokenIdx, costPenalty) {
 	// Entities that contain `entToken`.
-	var entitySet = this.stateTable.entitySets[entToken]
+	var entitySet = this.getEntitySet(entToken)
 
 	if (entitySet) {
+		if (costPenalty === undefined) costPenalty = 0
+
 		var entityMatches = this.entityTab[tokenIdx]
 		// Track the matched tokens to prevent multiple matches of the same entity token index (in `Parser.prototype.mergeEntityMatches()`).
 		var matchedTokens = [ entToken ]
@@ -280,7 +332,7 @@ Parser.prototype.entityLookup = function (entToken, tokenIdx) {
 			var terminalSym = this.stateTable.placeholderSymTab[entity.category]
 
 			// Get the semantic argument for the entity category if it exists, else create a new semantic using the entity id.
-			var semanticArg = this.getSemanticArg(entity.id, entity.anaphoraPersonNumber)
+			var semanticArg = this.getSemanticArg(entity.id, entity.anaphoraPersonNumber, entity.category, entity.pronouns)
 
 			if (entity.size > 1) {
 				var entityMatch = {
@@ -288,8 +340,13 @@ Parser.prototype.entityLookup = function (entToken, tokenIdx) {
 					terminalSym: terminalSym,
 					semanticArg: semanticArg,
 					matchedTokens: matchedTokens,
+					// The indexes of the input tokens the match spans that are not deletions.
+					matchedIdxs: [ tokenIdx ],
 					startIdx: tokenIdx,
-					deletionsCost: 0,
+					// Include the prefix match or typo cost, if any, which merges with adjacent matches the same as deletions.
+					deletionsCost: costPenalty,
+					// Specify the match is a completion or typo correction, for use by `flattenTermSequence`.
+					isApproximate: this.isApproximateMatch,
 					/**
 					 * Specify there exists a single-token alias for the same entity (id and display text) as this multi-token entity object, that is contained within this `entity.name`.
 					 *
@@ -313,31 +370,247 @@ Parser.prototype.entityLookup = function (entToken, tokenIdx) {
 					semanticArg: semanticArg,
 					text: entity.text,
 					entityMatch: entityMatch,
+					costPenalty: costPenalty,
+					isApproximate: this.isApproximateMatch,
 				})
 			} else {
 				// Add nodes for the terminal rules that produce `terminalSym` (at this index), with `ruleProps` that include the entity id as the semantic argument and the display text which `entity` defines.
-				this.addTermRuleNodes(terminalSym, tokenIdx, tokenIdx, semanticArg, entity.text)
+				this.addTermRuleNodes(terminalSym, tokenIdx, tokenIdx, semanticArg, entity.text, costPenalty, this.isApproximateMatch)
 
 				// Save the entity match for adding deletions in `Parser.prototype.addDeleltionToAdjacentSymbolMatches()`.
 				this.matchedSymbols.push({
 					terminalSym: terminalSym,
 					semanticArg: semanticArg,
 					text: entity.text,
+					costPenalty: costPenalty,
+					isApproximate: this.isApproximateMatch,
 				})
 			}
 		}
 	}
 }
 
+/**
+ * Gets the entities that contain `entToken` from `StateTable.prototype.entityIndex` and the entity providers passed to `Parser()`, if any.
+ *
+ * Replaces each provided entity with the first instance of the same entity `Parser` received (via `Parser.prototype.getProvidedEntity()`) so that `Parser.prototype.mergeEntityMatches()` can merge the matches of multi-token entities by object reference.
+ *
+ * @memberOf Parser
+ * @param {string} entToken The lexical token to look up.
+ * @returns {Object[]|undefined} Returns the entities that contain `entToken`, if any, else `undefined`.
+ */
+Parser.prototype.getEntitySet = function (entToken) {
+	var entitySet = this.stateTable.entityIndex.lookup(entToken)
+
+	var entityProvidersLen = this.entityProviders.length
+	if (entityProvidersLen === 0) {
+		return entitySet
+	}
+
+	// Copy the indexed entities to avoid modifying `StateTable.prototype.entityIndex` when appending the provided entities.
+	var entities = entitySet ? entitySet.slice() : []
+	for (var p = 0; p < entityProvidersLen; ++p) {
+		var entityProvider = this.entityProviders[p]
+		var providedEntities = entityProvider.lookup ? entityProvider.lookup(entToken) : entityProvider.entitySets[entToken]
+
+		if (providedEntities) {
+			for (var e = 0, providedEntitiesLen = providedEntities.length; e < providedEntitiesLen; ++e) {
+				entities.push(this.getProvidedEntity(providedEntities[e]))
+			}
+		}
+	}
+
+	if (entities.length > 0) {
+		return entities
+	}
+}
+
+/**
+ * Gets the instance of `entity`, which an entity provider supplied, that `Parser` first received for the same entity (i.e., the same category, id, and tokens). This replaces multiple instances of the same entity with the same object, like `initEntities` for the grammar's entities, which enables equality checks by object reference for multi-token entities.
+ *
+ * Assigns the grammatical person-number for anaphora resolution to entities of person categories, which the entity category defines.
+ *
+ * Throws an exception if the grammar does not define the entity's category.
+ *
+ * @memberOf Parser
+ * @param {Object} entity The provided entity.
+ * @returns {Object} Returns the instance of `entity` to match.
+ */
+Parser.prototype.getProvidedEntity = function (entity) {
+	var key = entity.category + ' ' + entity.id + ' ' + entity.tokens.join(' ')
+	var existingEntity = this.providedEntityTab[key]
+	if (existingEntity) {
+		return existingEntity
+	}
+
+	var entityCategory = this.stateTable.entityCategories[entity.category]
+	if (!entityCategory || !this.stateTable.placeholderSymTab[entity.category]) {
+		util.logError('Entity provider returned entity of unrecognized category:', entity)
+		throw new Error('Unrecognized entity category')
+	}
+
+	if (entityCategory.isPerson && !entity.anaphoraPersonNumber) {
+		// Copy `entity` to avoid modifying the provider's entities.
+		entity = Object.assign({ anaphoraPersonNumber: 'threeSg' }, entity)
+	}
+
+	return this.providedEntityTab[key] = entity
+}
+
+/**
+ * Matches `prefix`, the partially typed last token of the input query, as a prefix of terminal symbols in the grammar's query language and tokens of entity names. Adds nodes for each completion via `Parser.prototype.terminalSymbolLookup()` and `Parser.prototype.entityLookup()`, with a cost penalty that increases with the number of characters the completion adds.
+ *
+ * Excludes exact matches, which `Parser.prototype.tokensLookup()` already matched.
+ *
+ * Also completes `prefix` to the entity tokens of the entity providers that define `prefixLookup()`.
+ *
+ * @memberOf Parser
+ * @param {string} prefix The partially typed token.
+ * @param {number} tokenIdx The index of `prefix` in input.
+ */
+Parser.prototype.prefixLookup = function (prefix, tokenIdx) {
+	// Mark the terminal nodes for completions, which `flattenTermSequence` uses to permit ambiguous term sequences that completions cause. E.g., "rep" -> "repo", "repos", "repository".
+	this.isApproximateMatch = true
+
+	var terminalSymNames = getPrefixMatches(this.stateTable.sortedTerminalSymNames, prefix)
+	for (var s = 0, terminalSymNamesLen = terminalSymNames.length; s < terminalSymNamesLen; ++s) {
+		var terminalSymName = terminalSymNames[s]
+		this.terminalSymbolLookup(terminalSymName, tokenIdx, prefixMatchCost(prefix, terminalSymName))
+	}
+
+	var entTokens = this.stateTable.entityIndex.prefixLookup(prefix)
+	// Include the completions of the entity providers that support them, excluding duplicates of the indexed entity tokens.
+	for (var p = 0, entityProvidersLen = this.entityProviders.length; p < entityProvidersLen; ++p) {
+		var entityProvider = this.entityProviders[p]
+		if (entityProvider.prefixLookup) {
+			entityProvider.prefixLookup(prefix).forEach(function (entToken) {
+				if (entTokens.indexOf(entToken) === -1) {
+					entTokens.push(entToken)
+				}
+			})
+		}
+	}
+
+	for (var e = 0, entTokensLen = entTokens.length; e < entTokensLen; ++e) {
+		var entToken = entTokens[e]
+		this.entityLookup(entToken, tokenIdx, prefixMatchCost(prefix, entToken))
+	}
+
+	this.isApproximateMatch = false
+}
+
+/**
+ * Matches `token`, an unrecognized input token, to terminal symbols in the grammar's query language and tokens of entity names within the maximum edit distance, using the Damerau-Levenshtein distances in `StateTable.prototype.typoIndex`. Adds nodes for each correction via `Parser.prototype.terminalSymbolLookup()` and `Parser.prototype.entityLookup()`, with a cost penalty of 1 per edit.
+ *
+ * The cost per edit is less than the cost of deleting an unrecognized token (3) in `Parser.prototype.deletablesLookup()`, so that a correction within distance 2 is favored over the deletion, which `Parser.prototype.deletablesLookup()` still adds.
+ *
+ * Limits the edit distance to one per four characters of `token` to avoid correcting short tokens to unrelated terms; e.g., "ny" -> "my".
+ *
+ * Also corrects `token` to the entity tokens of the entity providers that define `typoLookup()`.
+ *
+ * @memberOf Parser
+ * @param {string} token The unrecognized token.
+ * @param {number} tokenIdx The index of `token` in input.
+ */
+Parser.prototype.typoLookup = function (token, tokenIdx) {
+	var maxDistance = Math.min(Math.floor(token.length / 4), this.stateTable.typoIndex.maxDistance)
+	var corrections = this.stateTable.typoIndex.lookup(token, maxDistance)
+
+	// Include the corrections of the entity providers that support them, excluding duplicates of the grammar's terminal symbols and entity tokens.
+	for (var p = 0, entityProvidersLen = this.entityProviders.length; p < entityProvidersLen; ++p) {
+		var entityProvider = this.entityProviders[p]
+		if (entityProvider.typoLookup) {
+			entityProvider.typoLookup(token, maxDistance).forEach(function (providedCorrection) {
+				if (!corrections.some(correction => correction.word === providedCorrection.word)) {
+					corrections.push(providedCorrection)
+				}
+			})
+		}
+	}
+
+	if (corrections.length === 0) return
+
+	// Mark the terminal nodes for typo corrections, which `flattenTermSequence` uses to permit ambiguous term sequences that corrections cause. E.g., "repositries" -> "repositories", "repository".
+	this.isApproximateMatch = true
+
+	for (var c = 0, correctionsLen = corrections.length; c < correctionsLen; ++c) {
+		var correction = corrections[c]
+		this.terminalSymbolLookup(correction.word, tokenIdx, correction.distance)
+		this.entityLookup(correction.word, tokenIdx, correction.distance)
+	}
+
+	this.isApproximateMatch = false
+	this.typoTab[tokenIdx] = true
+}
+
+/**
+ * Gets the strings in `sortedStrings` that begin with `prefix`, excluding `prefix` itself.
+ *
+ * @private
+ * @static
+ * @param {string[]} sortedStrings The alphabetically sorted strings to search.
+ * @param {string} prefix The prefix to match.
+ * @returns {string[]} Returns the matching strings.
+ */
+function getPrefixMatches(sortedStrings, prefix) {
+	// Binary search for the first string not less than `prefix`.
+	var low = 0
+	var high = sortedStrings.length
+	while (low < high) {
+		var mid = (low + high) >>> 1
+		if (sortedStrings[mid] < prefix) {
+			low = mid + 1
+		} else {
+			high = mid
+		}
+	}
+
+	var matches = []
+	for (var i = low, stringsLen = sortedStrings.length; i < stringsLen; ++i) {
+		var string = sortedStrings[i]
+		if (string.indexOf(prefix) !== 0) break
+		if (string !== prefix) matches.push(string)
+	}
+
+	return matches
+}
+
+/**
+ * Gets the strings in `sortedStrings` that begin with `prefix`, excluding `prefix` itself. For use by entity providers to implement `prefixLookup()`.
+ *
+ * @static
+ * @memberOf Parser
+ * @param {string[]} sortedStrings The alphabetically sorted strings to search.
+ * @param {string} prefix The prefix to match.
+ * @returns {string[]} Returns the matching strings.
+ */
+Parser.getPrefixMatches = getPrefixMatches
+
+/**
+ * Calculates the cost penalty of completing `prefix` to `completion` in `Parser.prototype.prefixLookup()`.
+ *
+ * Calculates cost using division, like partial matches of multi-token entities in `Parser.prototype.addMultiTokenEntityNodes()`, so that the cost is less than 1 and favors completions that add fewer characters. For example, "li" favors "like" over "liking".
+ *
+ * @private
+ * @static
+ * @param {string} prefix The partially typed token.
+ * @param {string} completion The terminal symbol or entity token that begins with `prefix`.
+ * @returns {number} Returns the cost penalty.
+ */
+function prefixMatchCost(prefix, completion) {
+	return 1 - prefix.length / completion.length
+}
+
 /**
  * Merges adjacent multi-token entity matches for the same entity in `entityTab`, including deletions, while avoiding ambiguity.
  *
  * @memberOf Parser
  * @param {boolean} [onlyNewDeletables] Specify this invocation is after failing the initial parse, and to only add nodes using the new deletables.
+ * @param {number} [startIdx=0] The index of the first token at which to merge matches that end. The matches that end before it were merged in the previous parse.
  */
-Parser.prototype.mergeEntityMatches = function (onlyNewDeletables) {
+Parser.prototype.mergeEntityMatches = function (onlyNewDeletables, startIdx) {
 	// Merge adjacent token matches for the same entity.
-	for (var endIdx = 1; endIdx < this.tokensLen; ++endIdx) {
+	for (var endIdx = Math.max(startIdx || 0, 1); endIdx < this.tokensLen; ++endIdx) {
 		var entityMatches = this.entityTab[endIdx]
 
 		// Add nodes at the last index of the multi-token entity match.
@@ -379,8 +652,10 @@ Parser.prototype.mergeEntityMatches = function (onlyNewDeletables) {
 								terminalSym: entityMatch.terminalSym,
 								semanticArg: entityMatch.semanticArg,
 								matchedTokens: matchedTokens,
+								matchedIdxs: prevEntityMatch.matchedIdxs.concat(entityMatch.matchedIdxs),
 								startIdx: prevEntityMatch.startIdx,
 								deletionsCost: newDeletionsCost,
+								isApproximate: prevEntityMatch.isApproximate || entityMatch.isApproximate,
 								hasNewDeletable: onlyNewDeletables,
 							}
 						}
@@ -459,9 +734,10 @@ function getEntityMatchIndex(entityMatches, entity, startIdx, newDeletionsCost)
  *
  * @memberOf Parser
  * @param {boolean} [onlyNewDeletables] Specify this invocation is after failing the initial parse, and to only add nodes using the new deletables.
+ * @param {number} [startIdx=0] The index of the first token at which to add nodes for matches that end. The nodes for matches that end before it were added in the previous parse.
  */
-Parser.prototype.addMultiTokenEntityNodes = function (onlyNewDeletables) {
-	for (var endIdx = 0; endIdx < this.tokensLen; ++endIdx) {
+Parser.prototype.addMultiTokenEntityNodes = function (onlyNewDeletables, startIdx) {
+	for (var endIdx = startIdx || 0; endIdx < this.tokensLen; ++endIdx) {
 		var entityMatches = this.entityTab[endIdx]
 
 		// Add nodes at the last index of the multi-token entity match.
@@ -502,7 +778,7 @@ Parser.prototype.addMultiTokenEntityNodes = function (onlyNewDeletables) {
 			var costPenalty = 1 - entityMatch.matchedTokens.length / entity.size + entityMatch.deletionsCost
 
 			// Add nodes for the terminal rules that produce `terminalSym` (at this index), with `ruleProps` that include the entity id as the semantic argument and the display text which `entity` defines.
-			this.addTermRuleNodes(entityMatch.terminalSym, entityMatch.startIdx, endIdx, entityMatch.semanticArg, entity.text, costPenalty)
+			this.addTermRuleNodes(entityMatch.terminalSym, entityMatch.startIdx, endIdx, entityMatch.semanticArg, entity.text, costPenalty, entityMatch.isApproximate, getDeletedIdxs(entityMatch.startIdx, endIdx, entityMatch.matchedIdxs))
 		}
 	}
 }
@@ -550,16 +826,24 @@ function isAmbigMultiTokenEntityMatch(entityMatches, matchIdx) {
  * Invoke this method after `Parser.prototype.tokensLookup()` to determine unrecognized input tokens, and before `Parser.prototype.addDeletions()`, which adds nodes with the deletions and the adjacent terminal symbol matches.
  *
  * @memberOf Parser
+ * @param {number} [reuseIdx=0] The number of leading tokens for which to reuse the deletion costs in `prevDeletions`.
+ * @param {Object[]} [prevDeletions] The `deletions` of the previous parse.
  */
-Parser.prototype.deletablesLookup = function () {
+Parser.prototype.deletablesLookup = function (reuseIdx, prevDeletions) {
 	// Look for deletables at each index. Iterate backward to determine the continuous span of deletables that follow each index.
 	for (var t = this.tokensLen - 1; t > -1; --t) {
 		var cost
-		if (this.stateTable.deletables[this.tokens[t]]) {
+		if (t < reuseIdx) {
+			// Reuse the deletion cost from the previous parse, which only depends on the token itself, though not `followingCost` and `length`, which depend on the tokens that follow. Can not check `termRuleMatchTab` and `entityTab` for unrecognized tokens because the reused rows include matches with deletions.
+			var prevDeletion = prevDeletions[t]
+			if (!prevDeletion) continue
+			cost = prevDeletion.cost
+		} else if (this.stateTable.deletables[this.tokens[t]]) {
 			// `token` is a grammar-defined deletable.
 			cost = 1
-		} else if (this.termRuleMatchTab[t].length === 0 && this.entityTab[t].length === 0) {
+		} else if (this.typoTab[t] || (this.termRuleMatchTab[t].length === 0 && this.entityTab[t].length === 0)) {
 			// `token` is neither a recognized token in the query language or the entities, nor is a legal integer symbol (i.e., within the symbols' specified bounds). This implementation will change with the integration of input strings and language models.
+			// Also delete tokens that `Parser.prototype.typoLookup()` corrected, which are otherwise unrecognized, in case the token is not a typo.
 			cost = 3
 		} else {
 			continue
@@ -588,6 +872,8 @@ Parser.prototype.deletablesLookup = function () {
 /**
  * After failing to reach the start node or generate legal parse trees on the initial parse, adds deletables to `deletions` for every input token that `Parser.prototype.deletablesLookup()` did not previously mark as deletable.
  *
+ * Adds a cost penalty to the deletion of numbers, which would otherwise yield parses as cheap as those that keep the constraint the number specifies; e.g., "repos with 2.5 stars" -> "repos I like", instead of "repos with 3 stars".
+ *
  * Invoke this method before `Parser.prototype.addDeletions(true)`, which adds nodes with the new deletables and the adjacent terminal symbol matches.
  *
  * @memberOf Parser
@@ -596,6 +882,7 @@ Parser.prototype.remainingTokensDeletablesLookup = function () {
 	var lastIdx = this.tokensLen - 1
 	for (var t = lastIdx; t > -1; --t) {
 		var thisDeletion = this.deletions[t]
+		var isNumber = !thisDeletion && !!this.stateTable.numberRecognizer.recognizeToken(this.tokens[t])
 
 		if (t < lastIdx) {
 			var nextDeletion = this.deletions[t + 1]
@@ -603,7 +890,7 @@ Parser.prototype.remainingTokensDeletablesLookup = function () {
 			if (!thisDeletion) {
 				this.deletions[t] = {
 					// The cost of deleting this token.
-					cost: remainingTokenDeletableCost(t, lastIdx),
+					cost: remainingTokenDeletableCost(t, lastIdx, isNumber),
 					// The total deletion cost of the continuous span of deletables that follow this deletion.
 					followingCost: nextDeletion.cost + nextDeletion.followingCost,
 					// The length of continuous deletables beginning at this index.
@@ -619,7 +906,7 @@ Parser.prototype.remainingTokensDeletablesLookup = function () {
 			}
 		} else if (!thisDeletion) {
 			this.deletions[t] = {
-				cost: remainingTokenDeletableCost(t, lastIdx),
+				cost: remainingTokenDeletableCost(t, lastIdx, isNumber),
 				followingCost: 0,
 				length: 1,
 				isNew: true,
@@ -640,14 +927,17 @@ Parser.prototype.remainingTokensDeletablesLookup = function () {
  *
  * Without the epsilon value, these suggestions would have identical costs that yield arbitrary, disorienting sorting.
  *
+ * Deleting a number costs 5 more, which favors suggestions that keep the number (e.g., with a decimal rounded for an integer symbol) over those that drop it.
+ *
  * @private
  * @static
  * @param {number} curIdx The index of the token to mark deletable.
  * @param {number} lastIdx The index of the last token in input.
+ * @param {boolean} [isNumber] Specify the token is a number.
  * @returns {number} Returns the deletion cost for the token at `curIdx`.
  */
-function remainingTokenDeletableCost(curIdx, lastIdx) {
-	return 10 + 1e-7 * (lastIdx - curIdx)
+function remainingTokenDeletableCost(curIdx, lastIdx, isNumber) {
+	return (isNumber ? 15 : 10) + 1e-7 * (lastIdx - curIdx)
 }
 
 /**
@@ -657,8 +947,11 @@ function remainingTokenDeletableCost(curIdx, lastIdx) {
  *
  * @memberOf Parser
  * @param {boolean} [onlyNewDeletables] Specify this invocation is after failing the initial parse, and to only add nodes using the new deletables.
+ * @param {number} [startIdx=0] The index of the first token for which to add nodes for preceding deletions. The nodes for the tokens before it were added in the previous parse, though this method still adds their nodes for deletions that extend to the end of input, which changes.
  */
-Parser.prototype.addDeletions = function (onlyNewDeletables) {
+Parser.prototype.addDeletions = function (onlyNewDeletables, startIdx) {
+	if (startIdx === undefined) startIdx = 0
+
 	// Add nodes for every possible continuous span of deletables to the following terminal symbol match.
 	var lastIdx = this.tokensLen - 1
 	for (var curIdx = 0; curIdx < this.tokensLen; ++curIdx) {
@@ -673,8 +966,8 @@ Parser.prototype.addDeletions = function (onlyNewDeletables) {
 		var deletionCost = 0
 		var deletion
 
-		// Step backward checking for continuous spans of deletable tokens that end at the start of this terminal symbol.
-		while (deletion = this.deletions[--delStartIdx]) {
+		// Step backward checking for continuous spans of deletable tokens that end at the start of this terminal symbol. Skip tokens before `startIdx`, for which the previous parse added these nodes.
+		while (curIdx >= startIdx && (deletion = this.deletions[--delStartIdx])) {
 			deletionCost += deletion.cost
 
 			// When parsing after failing the initial parse, only add deletions that contain new deletables (where `cost` is 10) to avoid duplicate deletion spans.
@@ -682,7 +975,7 @@ Parser.prototype.addDeletions = function (onlyNewDeletables) {
 				seenNewDeletable = true
 
 				// Add nodes based on `terminalSymTab` for the span beginning with the deletable(s) at `delStartIdx` and ending with each terminal symbol. Each new node has a cost penalty equal to the sum of deletables.
-				this.addDeleltionToAdjacentSymbolMatches(delStartIdx, curIdx, deletionCost, onlyNewDeletables)
+				this.addDeleltionToAdjacentSymbolMatches(delStartIdx, curIdx, deletionCost, onlyNewDeletables, curIdx)
 			}
 		}
 
@@ -706,7 +999,7 @@ Parser.prototype.addDeletions = function (onlyNewDeletables) {
 				if (seenNewDeletable || deletion.cost >= 10) {
 					seenNewDeletable = true
 
-					this.addDeleltionToAdjacentSymbolMatches(delStartIdx, lastIdx, deletionCost, onlyNewDeletables)
+					this.addDeleltionToAdjacentSymbolMatches(delStartIdx, lastIdx, deletionCost, onlyNewDeletables, curIdx)
 				}
 			} while (deletion = this.deletions[--delStartIdx])
 		}
@@ -721,8 +1014,9 @@ Parser.prototype.addDeletions = function (onlyNewDeletables) {
  * @param {number} delEndIdx The end index within the input query of the deletion and adjacent terminal symbol match.
  * @param {number} deletionCost The cost penalty for the deletion.
  * @param {boolean} [onlyNewDeletables] Specify this invocation is after failing the initial parse, and to mark entities added to `entityTab` as `new` (for use by `Parser.prototype.mergeEntityMatches()`).
+ * @param {number} matchIdx The index within the input query of the terminal symbol match, which is the only token in the span that is not a deletion.
  */
-Parser.prototype.addDeleltionToAdjacentSymbolMatches = function (delStartIdx, delEndIdx, deletionCost, onlyNewDeletables) {
+Parser.prototype.addDeleltionToAdjacentSymbolMatches = function (delStartIdx, delEndIdx, deletionCost, onlyNewDeletables, matchIdx) {
 	// Add nodes for deletables that precede each terminal node and/or follow each terminal node if at the end of input. Traverses `matchedSymbols` instead of `termRuleMatchTab`, because the latter will include the matches with deletions.
 	for (var s = 0, matchedSymbolsLen = this.matchedSymbols.length; s < matchedSymbolsLen; ++s) {
 		var symbolObj = this.matchedSymbols[s]
@@ -740,15 +1034,17 @@ Parser.prototype.addDeleltionToAdjacentSymbolMatches = function (delStartIdx, de
 					terminalSym: symbolObj.terminalSym,
 					semanticArg: symbolObj.semanticArg,
 					matchedTokens: entityMatch.matchedTokens,
+					matchedIdxs: entityMatch.matchedIdxs,
 					startIdx: delStartIdx,
-					deletionsCost: deletionCost,
+					deletionsCost: deletionCost + symbolObj.costPenalty,
+					isApproximate: symbolObj.isApproximate,
 					hasAmbigUniTokenAlias: entityMatch.hasAmbigUniTokenAlias,
 					hasNewDeletable: onlyNewDeletables,
 				}
 			}
 		} else {
 			// Add nodes at `delEndIdx` for the adjacent single-token entity or terminal symbol match, with a span and cost penalty that includes the specified deletion.
-			this.addTermRuleNodes(symbolObj.terminalSym, delStartIdx, delEndIdx, symbolObj.semanticArg, symbolObj.text, deletionCost)
+			this.addTermRuleNodes(symbolObj.terminalSym, delStartIdx, delEndIdx, symbolObj.semanticArg, symbolObj.text, deletionCost + symbolObj.costPenalty, symbolObj.isApproximate, getDeletedIdxs(delStartIdx, delEndIdx, [ matchIdx ]))
 		}
 	}
 }
@@ -763,8 +1059,10 @@ Parser.prototype.addDeleltionToAdjacentSymbolMatches = function (delStartIdx, de
  * @param {Object[]} [semanticArg] The semantic argument of the terminal symbol match for integer symbols and entities, which input determines and grammar does not define.
  * @param {string} [text] The display text of the terminal symbol match for integer symbols and entities, which input determines and grammar does not define.
  * @param {number} [costPenalty] The cost penalty associated with the terminal symbol match. This can be a deletion cost for adjacent symbols, or an insertion cost for a partial match to a multi-token entity.
+ * @param {boolean} [isApproximate] Specify the match completes a partially typed input token or corrects a misspelled input token.
+ * @param {number[]} [deletedIdxs] The indexes of the input tokens within the match's span that are deletions, if any.
  */
-Parser.prototype.addTermRuleNodes = function (terminalSym, startIdx, endIdx, semanticArg, text, costPenalty) {
+Parser.prototype.addTermRuleNodes = function (terminalSym, startIdx, endIdx, semanticArg, text, costPenalty, isApproximate, deletedIdxs) {
 	// The span of the terminal symbol match, including deletions.
 	var wordSize = endIdx - startIdx + 1
 
@@ -787,6 +1085,11 @@ Parser.prototype.addTermRuleNodes = function (terminalSym, startIdx, endIdx, sem
 		minCost: 0,
 	}
 
+	// Specify the match completes a partially typed input token or corrects a misspelled input token, for use by `flattenTermSequence`.
+	if (isApproximate) {
+		terminalNode.isApproximate = true
+	}
+
 	// The terminal rules that produce `terminalSym`.
 	var rules = terminalSym.rules
 	// The parse nodes for `rules`.
@@ -811,8 +1114,11 @@ Parser.prototype.addTermRuleNodes = function (terminalSym, startIdx, endIdx, sem
 				cost: origRuleProps.cost + costPenalty,
 				semantic: origRuleProps.semantic ? semanticReduce(origRuleProps.semantic, semanticArg) : semanticArg,
 				text: text,
+				deletedIdxs: deletedIdxs,
+				// The terminal rule this `ruleProps` extends, with which to attribute the match's cost to the grammar rule (e.g., when learning rule costs).
+				origRuleProps: origRuleProps,
 			}
-		} else if (costPenalty) {
+		} else if (costPenalty || deletedIdxs) {
 			// Create a new `ruleProps` for terminal symbol matches with adjacent deletions.
 			var origRuleProps = rule.ruleProps
 			terminalSub.ruleProps = {
@@ -824,6 +1130,9 @@ Parser.prototype.addTermRuleNodes = function (terminalSym, startIdx, endIdx, sem
 				 *   "repos I do liked" -> "repos I liked"
 				 */
 				tense: origRuleProps.tense,
+				// The indexes of the deleted input tokens within the match's span, with which `structureParseTree` aligns display text to input tokens.
+				deletedIdxs: deletedIdxs,
+				origRuleProps: origRuleProps,
 			}
 		} else {
 			terminalSub.ruleProps = rule.ruleProps
@@ -846,19 +1155,45 @@ Parser.prototype.addTermRuleNodes = function (terminalSym, startIdx, endIdx, sem
 	}
 }
 
+/**
+ * Gets the indexes of the input tokens within the span `startIdx` through `endIdx` (inclusive) of a terminal symbol match that are not in `matchedIdxs`; i.e., the deletions within the span.
+ *
+ * @private
+ * @static
+ * @param {number} startIdx The start index of the match's span.
+ * @param {number} endIdx The end index of the match's span.
+ * @param {number[]} matchedIdxs The indexes of the input tokens the match matched.
+ * @returns {number[]|undefined} Returns the indexes of the deletions, else `undefined` if none.
+ */
+function getDeletedIdxs(startIdx, endIdx, matchedIdxs) {
+	var deletedIdxs = []
+
+	for (var t = startIdx; t <= endIdx; ++t) {
+		if (matchedIdxs.indexOf(t) === -1) {
+			deletedIdxs.push(t)
+		}
+	}
+
+	return deletedIdxs.length > 0 ? deletedIdxs : undefined
+}
+
 /**
  * Gets the semantic argument for `semanticArgName` if it exists, else creates and returns a new semantic argument. This prevents duplicate semantic arguments in the parse forest to enable equality checks by object reference (as opposed to having to check the semantic `name` property).
  *
  * @memberOf Parser
  * @param {string} semanticArgName The semantic argument name.
  * @param {string} [anaphoraPersonNumber] The grammatical person-number with which to resolve anaphora (of matching person-number), where this semantic is the antecedent.
+ * @param {string} [category] The name of the entity category of the semantic argument, with which `DialogueContext` resolves demonstratives and elliptical follow-ups to entities of the same category.
+ * @param {string} [pronouns] The pronouns of the person the semantic argument represents, if known, with which the pronouns of anaphora must agree: 'he', 'she', or 'they'.
  * @returns {Object[]} Returns the semantic argument for `semanticArgName`.
  */
-Parser.prototype.getSemanticArg = function (semanticArgName, anaphoraPersonNumber) {
+Parser.prototype.getSemanticArg = function (semanticArgName, anaphoraPersonNumber, category, pronouns) {
 	return this.semanticArgTab[semanticArgName] || (this.semanticArgTab[semanticArgName] = [ {
 		semantic: {
 			name: semanticArgName,
 			anaphoraPersonNumber: anaphoraPersonNumber,
+			category: category,
+			pronouns: pronouns,
 		}
 	} ])
 }
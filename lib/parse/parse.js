@@ -11,6 +11,7 @@
  *   -b, --benchmark           Benchmark each test's parse duration.                          [boolean]
  *   -c, --costs               Print the parse costs.                                         [boolean]
  *   -a, --ambiguity           Print instances of semantic ambiguity.                         [boolean]
+ *   -e, --explain             Print the corrections of the query in the top parse tree.      [boolean]
  *   -t, --trees               Print the parse trees.                                         [boolean]
  *   -n, --tree-node-costs     Include in parse trees each node's path cost.                  [boolean]
  *   -r, --tree-token-ranges   Include in parse trees each node's token range.                [boolean]
@@ -75,6 +76,11 @@ var argv = yargs
 			description: 'Print instances of semantic ambiguity.',
 			type: 'boolean',
 		},
+		'e': {
+			alias: 'explain',
+			description: 'Print the corrections of the query in the top parse tree.',
+			type: 'boolean',
+		},
 		't': {
 			alias: 'trees',
 			description: 'Print the parse trees.',
@@ -140,8 +146,8 @@ var StateTable = require('./StateTable')
 var Parser = require('./Parser')
 var printParseResults = require('./printParseResults')
 
-// Generate a `StateTable` from the grammar and instantiate a `Parser`.
-var stateTable = new StateTable(require('../grammar.json'))
+// Generate a `StateTable` from the grammar, or restore it from the state cache if current, and instantiate a `Parser`.
+var stateTable = StateTable.fromStateCache(require('../grammar.json'), require('path').join(__dirname, '..', 'stateTable.json'))
 var parser = new Parser(stateTable)
 
 var query = argv._.join(' ')
@@ -153,6 +159,7 @@ if (argv.benchmark) util.time('parse')
 var parseResults = parser.parse(query, argv.k, {
 	buildTrees: argv.trees,
 	printAmbiguity: argv.ambiguity,
+	structured: argv.explain,
 })
 
 if (argv.benchmark) util.timeEnd('parse')
@@ -167,6 +174,7 @@ printParseResults(parseResults, {
 	objectSemantics: argv.objectSemantics,
 	noSemantics: !argv.semantics,
 	diffInputQuery: query,
+	explain: argv.explain,
 })
 
 // Print a graph representation of the parse forest.
@@ -4,10 +4,13 @@ util.prettifyStackTrace()
 
 var StateTable = require('./StateTable')
 var Parser = require('./Parser')
+var ConfidenceModel = require('./ConfidenceModel')
 
-// Generate a `StateTable` from the grammar and instantiate a `Parser`.
-var stateTable = new StateTable(require('../grammar.json'))
-var parser = new Parser(stateTable)
+// Generate a `StateTable` from the grammar, or restore it from the state cache if current, with the learned rule costs if `learnCosts` wrote them, and instantiate a `Parser`, with the calibrated confidence model if `calibrate` wrote one.
+var costOverridesPath = require('path').join(__dirname, '..', 'costOverrides.json')
+var stateCachePath = require('path').join(__dirname, '..', 'stateTable.json')
+var stateTable = StateTable.fromStateCache(require('../grammar.json'), stateCachePath, util.pathExistsSync(costOverridesPath) ? { costOverrides: StateTable.loadCostOverrides(costOverridesPath) } : undefined)
+var parser = new Parser(stateTable, { confidenceModel: ConfidenceModel.fromCalibrationFile(require('path').join(__dirname, '..', 'calibration.json')) })
 
 /**
  * Parses `query` using the state table generated for the grammar and returns the `k`-best parse trees, along with the trees' associated semantic trees and conjugated display texts.
@@ -18,6 +21,8 @@ var parser = new Parser(stateTable)
  * @param {Object} [options] The `pfsearch` options object.
  * @param {boolean} [options.buildTrees=false] Specify constructing parse trees for printing.
  * @param {boolean} [options.printAmbiguity=false] Specify printing instances of ambiguity.
+ * @param {boolean} [options.structured=false] Specify including the structured representations of the parse trees, with their confidences, in `ParseResults.structuredTrees`.
+ * @param {boolean} [options.complete=false] Specify completing the last token of `query` as a prefix of terminal symbols and entity names, unless `query` ends with whitespace.
  * @returns {ParseResults} Returns the `k`-best parse trees and associated parse statistics.
  */
 module.exports = Parser.prototype.parse.bind(parser)
\ No newline at end of file
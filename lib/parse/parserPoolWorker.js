@@ -0,0 +1,102 @@
+/**
+ * The worker thread of `ParserPool`, which parses the queries the pool sends
+ * with its own `Parser` instance, and sends back the parse results.
+ *
+ * Builds its own `StateTable` from the grammar, restoring the states from
+ * the serialized states the pool shares in `workerData.stateCacheBuffer`, if
+ * any, instead of reading the state cache file. Else, restores the states from
+ * the state cache file, or generates them and writes the file if missing or
+ * stale (see `StateTable.fromStateCache()`), and shares the serialized states
+ * with the pool.
+ *
+ * Creates the `DialogueContext` of each query from `options.contextQueries`,
+ * if any, because a `DialogueContext` can not be sent between threads.
+ *
+ * Sends `{ isReady: true }` once it has loaded the grammar, with `{
+ * stateCacheBuffer }` if it created the serialized state table, and then `{
+ * parseResults }` or `{ error }` for each query, in order.
+ */
+
+var path = require('path')
+var workerThreads = require('worker_threads')
+var util = require('../util/util')
+var StateTable = require('./StateTable')
+var Parser = require('./Parser')
+var ConfidenceModel = require('./ConfidenceModel')
+var DialogueContext = require('./DialogueContext')
+
+var parentPort = workerThreads.parentPort
+var stateCacheBuffer = workerThreads.workerData && workerThreads.workerData.stateCacheBuffer
+
+// Restore the `StateTable` with the learned rule costs if `learnCosts` wrote them, and instantiate a `Parser` with the calibrated confidence model if `calibrate` wrote one, as does `parseExported`.
+var grammar = require('../grammar.json')
+var costOverridesPath = path.join(__dirname, '..', 'costOverrides.json')
+var stateTableOptions = util.pathExistsSync(costOverridesPath) ? { costOverrides: StateTable.loadCostOverrides(costOverridesPath) } : {}
+var isSharingStateCache = !stateCacheBuffer
+var stateTable
+
+if (stateCacheBuffer) {
+	stateTableOptions.stateCache = JSON.parse(Buffer.from(stateCacheBuffer).toString('utf8'))
+	stateTable = new StateTable(grammar, stateTableOptions)
+} else {
+	stateTable = StateTable.fromStateCache(grammar, path.join(__dirname, '..', 'stateTable.json'), stateTableOptions)
+	stateCacheBuffer = createSharedBuffer(JSON.stringify(stateTable.toStateCache()))
+}
+
+var parser = new Parser(stateTable, { confidenceModel: ConfidenceModel.fromCalibrationFile(path.join(__dirname, '..', 'calibration.json')) })
+
+parentPort.on('message', function (task) {
+	var options = task.options
+	if (options && options.contextQueries) {
+		options = Object.assign({}, options, { context: createDialogueContext(options.contextQueries) })
+	}
+
+	try {
+		var parseResults = parser.parse(task.query, task.k, options)
+	} catch (e) {
+		return parentPort.postMessage({ error: e.message })
+	}
+
+	parentPort.postMessage({ parseResults: parseResults })
+})
+
+parentPort.postMessage(isSharingStateCache ? { isReady: true, stateCacheBuffer: stateCacheBuffer } : { isReady: true })
+
+/**
+ * Creates a `DialogueContext` from `contextQueries`, parsing each query in
+ * order with the context of the queries that precede it and adding its top
+ * parse tree, if any, as a turn.
+ *
+ * @private
+ * @static
+ * @param {string[]} contextQueries The previous queries of the dialogue.
+ * @returns {DialogueContext} Returns the dialogue context.
+ */
+function createDialogueContext(contextQueries) {
+	var context = new DialogueContext()
+
+	contextQueries.forEach(function (contextQuery) {
+		var parseResults = parser.parse(contextQuery, 1, { context: context })
+		if (parseResults.trees && parseResults.trees.length > 0) {
+			context.addTurn(contextQuery, parseResults.trees[0])
+		}
+	})
+
+	return context
+}
+
+/**
+ * Encodes `string` as UTF-8 in a `SharedArrayBuffer`, which threads share
+ * instead of copying when sent.
+ *
+ * @private
+ * @static
+ * @param {string} string The string to encode.
+ * @returns {SharedArrayBuffer} Returns the shared buffer.
+ */
+function createSharedBuffer(string) {
+	var buffer = Buffer.from(string, 'utf8')
+	var sharedBuffer = new SharedArrayBuffer(buffer.length)
+	buffer.copy(Buffer.from(sharedBuffer))
+	return sharedBuffer
+}
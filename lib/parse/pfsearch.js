@@ -4,6 +4,9 @@ var semantic = require('../grammar/semantic')
 var calcHeuristicCosts = require('./calcHeuristicCosts')
 var conjugateText = require('./conjugateText')
 var resolveAnaphora = require('./resolveAnaphora')
+var resolveDates = require('./resolveDates')
+var argUtil = require('../execute/argUtil')
+var DialogueContext = require('./DialogueContext')
 
 
 /**
@@ -14,7 +17,10 @@ var resolveAnaphora = require('./resolveAnaphora')
  * @typedef {Object} ParseTree
  * @property {string} text The display text.
  * @property {string} semanticStr The lambda calculus semantic representation of `text`.
+ * @property {string} [resolvedSemanticStr] The representation of `semanticStr` with dates resolved to `date-interval(start,end)` relative to `options.referenceDate`, if provided.
  * @property {number} cost The cumulative cost.
+ * @property {string} [category] The name of the category of the instances the tree's semantic returns, if any (i.e., not a question).
+ * @property {number[]} [contextTurns] The indexes of the turns in `options.context` from which `semanticStr` resolved anaphora, demonstratives, or ellipsis, if any.
  */
 
 /**
@@ -24,6 +30,8 @@ var resolveAnaphora = require('./resolveAnaphora')
  * @property {ParseTree[]} trees The `k`-best parse trees.
  * @property {number} pathCount The number of paths created.
  * @property {number} ambiguousTreeCount The number of discarded ambiguous parse trees.
+ * @property {string} [truncatedReason] The name of the budget on exceeding which the search stopped, if any: 'maxPaths' or 'maxDuration'. If so, `trees` holds the trees found before stopping.
+ * @property {Object} searchState The state of the search, with the heap of incomplete paths and every tree found, which `pfsearch.resume()` continues.
  */
 
 /**
@@ -35,9 +43,15 @@ var resolveAnaphora = require('./resolveAnaphora')
  * @param {Object} [options] The options object.
  * @param {boolean} [options.buildTrees=false] Specify constructing parse trees for printing.
  * @param {boolean} [options.printAmbiguity=false] Specify printing instances of ambiguity.
+ * @param {Date} [options.referenceDate] The date relative to which to resolve the dates of each tree's semantic, `resolvedSemanticStr` (e.g., "in the last 3 days"). If omitted, does not resolve dates.
+ * @param {DialogueContext} [options.context] The previous turns of the dialogue to which to resolve anaphora without antecedents in the query, demonstratives, and elliptical follow-ups. If omitted, discards trees with demonstratives and elliptical follow-ups, which `Parser` omits from the parse forest without `context`.
+ * @param {boolean} [options.structured=false] Specify saving each tree's display text segments aligned to input tokens as `tree.segmentList`, for `structureParseTree`.
+ * @param {Object} [budget] The budget of the parse, which `Parser.prototype.parse()` creates from its `ParseBudget`.
+ * @param {number} budget.maxPaths The maximum number of paths to create.
+ * @param {number} budget.deadline The time, in milliseconds since the epoch, after which to stop.
  * @returns {PFSearchResults} Returns the `k`-best parse trees and associated search statistics.
  */
-module.exports = function (startNode, k, options) {
+module.exports = function (startNode, k, options, budget) {
 	// Check arity.
 	if (options === undefined) {
 		options = {}
@@ -49,15 +63,20 @@ module.exports = function (startNode, k, options) {
 	// Calculate the (admissible) heuristic estimates of the minimum costs of a subtree that can be constructed from each node.
 	calcHeuristicCosts(startNode)
 
-	// The array of completed parse trees.
-	var trees = []
-	// The number of trees rejected for containing duplicate semantics or display text.
-	var ambiguousTreeCount = 0
-	// The min-heap of search paths which form parse trees when complete.
-	var heap = new BinaryHeap
+	// The state of the search, which `pfsearch.resume()` can continue from where `search()` stops.
+	var searchState = {
+		// The min-heap of search paths which form parse trees when complete.
+		heap: new BinaryHeap,
+		// The array of completed parse trees, including those of previous invocations of `search()`.
+		trees: [],
+		// The number of trees rejected for containing duplicate semantics or display text.
+		ambiguousTreeCount: 0,
+		// The search options.
+		options: options,
+	}
 
 	// Initialize heap with a path for the parse forest's start node.
-	heap.push({
+	searchState.heap.push({
 		// The previously added node whose subnodes this path can expand from.
 		curNode: startNode,
 		// The linked list of yet-to-parse second nodes of previous binary rules and conjugative text objects of previous insertion rules. When `curNode` is `undefined` after reaching a terminal symbol, inspect `nextItemList` to complete the binary rules and conjugate the text objects.
@@ -66,17 +85,81 @@ module.exports = function (startNode, k, options) {
 		semanticList: undefined,
 		// The path's display text.
 		text: '',
+		// The reverse linked list of display text segments aligned to input tokens.
+		segmentList: undefined,
 		// The reverse linked list of person-number properties to conjugate text objects.
 		personNumberList: undefined,
 		// The grammatical properties to conjugate text of terminal rules in `curNode.subs`.
 		gramProps: undefined,
+		// The category of the instances the path's semantic returns, which the start rule defines, if any.
+		category: undefined,
 		// The cost of the path from the start node.
 		cost: 0,
 		// The cost of the path + heuristic estimate of the minimum cost to complete the parse tree.
 		minCost: 0,
 	})
 
+	return search(searchState, k, budget)
+}
+
+/**
+ * Continues the search of a previous `pfsearch` invocation from where it stopped to find the next `n`-best parse trees, each unique from every tree found before. Invoking `pfsearch` with `k` and then `pfsearch.resume()` with `n` finds the same trees as invoking `pfsearch` with `k + n`.
+ *
+ * Requires the parse forest of `searchState` be unchanged since the previous invocation.
+ *
+ * @static
+ * @param {Object} searchState The state of the search, `PFSearchResults.searchState`, which the previous invocation returned.
+ * @param {number} [n=7] The maximum number of parse trees to find.
+ * @param {Object} [budget] The budget of the search.
+ * @param {number} budget.maxPaths The maximum number of paths to create.
+ * @param {number} budget.deadline The time, in milliseconds since the epoch, after which to stop.
+ * @returns {PFSearchResults} Returns the next `n`-best parse trees and the statistics of this invocation.
+ */
+module.exports.resume = function (searchState, n, budget) {
+	if (isNaN(n) || n < 1) {
+		n = 7
+	}
+
+	return search(searchState, searchState.trees.length + n, budget)
+}
+
+/**
+ * Searches for parse trees with the paths in `searchState.heap` until `searchState.trees` holds `k` trees, the heap is empty, or the search exceeds `budget`.
+ *
+ * @private
+ * @static
+ * @param {Object} searchState The state of the search.
+ * @param {number} k The maximum number of parse trees to find, including those of previous invocations.
+ * @param {Object} [budget] The budget of the search.
+ * @returns {PFSearchResults} Returns the parse trees found in this invocation and its search statistics.
+ */
+function search(searchState, k, budget) {
+	var heap = searchState.heap
+	var trees = searchState.trees
+	var options = searchState.options
+
+	// The number of trees and statistics of previous invocations, which the results exclude.
+	var prevTreesLen = trees.length
+	var prevPathCount = heap.pushCount
+	var prevAmbiguousTreeCount = searchState.ambiguousTreeCount
+
+	// The name of the budget on exceeding which the search stopped, if any.
+	var truncatedReason
+
 	while (heap.content.length > 0) {
+		// Stop on exceeding the budget, if any, and return the trees found so far.
+		if (budget) {
+			if (heap.pushCount > budget.maxPaths) {
+				truncatedReason = 'maxPaths'
+				break
+			}
+
+			if (Date.now() > budget.deadline) {
+				truncatedReason = 'maxDuration'
+				break
+			}
+		}
+
 		// Get path with lowest cost.
 		var path = heap.pop()
 
@@ -84,7 +167,7 @@ module.exports = function (startNode, k, options) {
 		var curNode = path.curNode
 		if (curNode) {
 			// Expand `path`, the cheapest path in `heap`, by creating a new path for each of its subnodes, `subs` (i.e., its neighboring nodes).
-			expandPath(heap, path, curNode.subs, options.buildTrees)
+			expandPath(heap, path, curNode.subs, options.buildTrees, options.context, options.structured)
 		} else {
 			// The most recent yet-to-parse node of a previous binary rule or a conjugative text object of a previous insertion rule.
 			var nextItemList = path.nextItemList
@@ -106,7 +189,11 @@ module.exports = function (startNode, k, options) {
 
 				// Append text from insertions of the second of two RHS nodes, performing any necessary conjugation. Conjugation occurs in the nominative case, which relies on the person-number of the first branch (verb precedes subject).
 				// Do not pass the parent rule's `gramProps` because that conjugation was performed in the compilation of the insertion rule.
-				path.text += conjugateText(text, personNumberList)
+				var conjugatedText = conjugateText(text, personNumberList)
+				path.text += conjugatedText
+				if (options.structured) {
+					path.segmentList = appendInsertionSegment(path.segmentList, conjugatedText, nextItemList.ruleProps, nextItemList.insertionIdx)
+				}
 
 				nextItemList = nextItemList.next
 			}
@@ -122,27 +209,44 @@ module.exports = function (startNode, k, options) {
 				path.gramProps = nextItemList.gramProps
 
 				// Expand the second node of the most recent incomplete binary rule by creating a new path for each of its subnodes, `subs` (i.e., its neighboring nodes).
-				expandPath(heap, path, nextItemList.node.subs, options.buildTrees)
+				expandPath(heap, path, nextItemList.node.subs, options.buildTrees, options.context, options.structured)
 			}
 
 			// No nodes remain; tree construction complete.
+			// Discard tree if it refers to previous turns that `options.context` lacks.
+			else if (!resolveContext(path, options.context)) {
+				continue
+			}
+
+			// Discard tree if it has a date past the end of its month (e.g., "February 30 2016").
+			else if (argUtil.hasImpossibleDate(path.semanticList.semantic, options.referenceDate)) {
+				continue
+			}
+
 			// Save tree if unique: semantically and textually distinguishable from every previous tree.
 			else if (isUniqueTree(trees, path, options.printAmbiguity)) {
+				if (options.referenceDate) {
+					path.resolvedSemanticStr = semantic.toString(resolveDates(path.semanticList.semantic, options.referenceDate))
+				}
+
 				// Add new tree to array. Stop parsing if is k-th tree.
 				if (trees.push(path) === k) {
 					break
 				}
 			} else {
-				++ambiguousTreeCount
+				++searchState.ambiguousTreeCount
 			}
 		}
 	}
 
 	return {
-		trees: trees,
+		// Copy the trees to exclude those of subsequent invocations.
+		trees: trees.slice(prevTreesLen),
 		// Include statistics for benchmarking.
-		pathCount: heap.pushCount,
-		ambiguousTreeCount: ambiguousTreeCount,
+		pathCount: heap.pushCount - prevPathCount,
+		ambiguousTreeCount: searchState.ambiguousTreeCount - prevAmbiguousTreeCount,
+		truncatedReason: truncatedReason,
+		searchState: searchState,
 	}
 }
 
@@ -158,8 +262,10 @@ module.exports = function (startNode, k, options) {
  * @param {Object} path The cheapest path in `heap`.
  * @param {Object[]} subs The subnodes of `paths`'s last node, `path.curNode`, with which to expand `path`.
  * @param {boolean} [buildTrees] Specify constructing parse trees for printing.
+ * @param {DialogueContext} [context] The dialogue context with which to resolve anaphora.
+ * @param {boolean} [structured] Specify aligning display text to input tokens for `structureParseTree`.
  */
-function expandPath(heap, path, subs, buildTrees) {
+function expandPath(heap, path, subs, buildTrees, context, structured) {
 	// Expand `path` by creating new paths from each of its subnodes.
 	for (var s = 0, subsLen = subs.length; s < subsLen; ++s) {
 		var sub = subs[s]
@@ -168,10 +274,10 @@ function expandPath(heap, path, subs, buildTrees) {
 		// Array of multiple insertions - first can be a unary reduction created by an `<empty>`.
 		if (ruleProps.constructor === Array) {
 			for (var r = 0, rulePropsLen = ruleProps.length; r < rulePropsLen; ++r) {
-				baseExpandPath(heap, path, sub, ruleProps[r], buildTrees)
+				baseExpandPath(heap, path, sub, ruleProps[r], buildTrees, context, structured)
 			}
 		} else {
-			baseExpandPath(heap, path, sub, ruleProps, buildTrees)
+			baseExpandPath(heap, path, sub, ruleProps, buildTrees, context, structured)
 		}
 	}
 }
@@ -186,10 +292,12 @@ function expandPath(heap, path, subs, buildTrees) {
  * @param {Object} sub The subnodes of `paths`'s last node, `path.curNode`, with which to expand `path`.
  * @param {Object} ruleProps The rule properties of `sub`.
  * @param {boolean} [buildTrees] Specify constructing parse trees for printing.
+ * @param {DialogueContext} [context] The dialogue context with which to resolve anaphora.
+ * @param {boolean} [structured] Specify aligning display text to input tokens for `structureParseTree`.
  */
-function baseExpandPath(heap, path, sub, ruleProps, buildTrees) {
+function baseExpandPath(heap, path, sub, ruleProps, buildTrees, context, structured) {
 	// Create a new path by expanding `path` with its subnode, `sub`.
-	var newPath = createPath(path, sub, ruleProps)
+	var newPath = createPath(path, sub, ruleProps, context, structured)
 
 	// Discard semantically illegal parse.
 	if (newPath === -1) {
@@ -214,9 +322,11 @@ function baseExpandPath(heap, path, sub, ruleProps, buildTrees) {
  * @param {Object} prevPath The previous path from which to expand.
  * @param {Object} sub The subnode of `prevPath`'s last node.
  * @param {Object} ruleProps The rule properties of `sub`.
+ * @param {DialogueContext} [context] The dialogue context with which to resolve anaphora.
+ * @param {boolean} [structured] Specify aligning display text to input tokens for `structureParseTree`.
  * @returns {Object|number} Returns the new path if semantically legal, else `-1`.
  */
-function createPath(prevPath, sub, ruleProps) {
+function createPath(prevPath, sub, ruleProps, context, structured) {
 	var prevNextItemList = prevPath.nextItemList
 	var newCost = prevPath.cost + ruleProps.cost
 
@@ -229,10 +339,14 @@ function createPath(prevPath, sub, ruleProps) {
 		semanticList: undefined,
 		// The path's display text.
 		text: prevPath.text,
+		// The reverse linked list of display text segments aligned to input tokens.
+		segmentList: prevPath.segmentList,
 		// The reverse linked list of person-number properties to conjugate text objects.
 		personNumberList: prevPath.personNumberList,
 		// The grammatical properties to conjugate text of terminal rules in `curNode.subs`.
 		gramProps: undefined,
+		// The category of the instances the path's semantic returns, which the start rule defines, if any.
+		category: prevPath.category,
 		// The cost of the path from the start node.
 		cost: newCost,
 		// The cost of the path + heuristic estimate of the minimum cost to complete the parse tree.
@@ -242,13 +356,18 @@ function createPath(prevPath, sub, ruleProps) {
 
 	if (ruleProps.isNonterminal) {
 		// Append `sub`'s semantics, if any, to `prevPath.semanticList`.
-		newPath.semanticList = appendSemantic(prevPath.semanticList, prevNextItemList ? prevNextItemList.nodeCount : 0, ruleProps)
+		newPath.semanticList = appendSemantic(prevPath.semanticList, prevNextItemList ? prevNextItemList.nodeCount : 0, ruleProps, context)
 
 		// Discard if semantically illegal parse.
 		if (newPath.semanticList === -1) {
 			return -1
 		}
 
+		// `ruleProps.category` only occurs on start rules.
+		if (ruleProps.category) {
+			newPath.category = ruleProps.category
+		}
+
 		// The next node this path can expand from.
 		// The heuristic estimate of the minimum cost to complete branch that follows this next node.
 		newPath.minCost += (newPath.curNode = sub.node).minCost
@@ -277,6 +396,11 @@ function createPath(prevPath, sub, ruleProps) {
 				// The heuristic estimate of the minimum cost to complete the second branch of this binary rule.
 				newPath.minCost += nextNode.minCost
 
+				// Align the transposition's span of input tokens, where `nextNode` precedes `sub.node`, for `structureParseTree` to explain the swap.
+				if (structured && ruleProps.isTransposition) {
+					newPath.segmentList = appendSegment(prevPath.segmentList, '', nextNode.startIdx, sub.node.startIdx + sub.node.size, ruleProps)
+				}
+
 				if (prevNextItemList) {
 					newPath.nextItemList = {
 						// The second node of this binary rule to parse after completing the first node's branch.
@@ -320,6 +444,9 @@ function createPath(prevPath, sub, ruleProps) {
 					newPath.nextItemList = {
 						// The display text to append after completing the first branch and determining the person-number property for conjugation, if necessary.
 						text: ruleProps.text,
+						// The rule properties of `text` and the index of the input token at which `text` is inserted (i.e., the end of the first branch), for the display text segment.
+						ruleProps: ruleProps,
+						insertionIdx: sub.node.startIdx + sub.node.size,
 						// The total heuristic estimate of the minimum cost to complete all yet-to-parse branches from previous binary rules.
 						minCost: prevNextItemList.minCost,
 						// The number of nodes in the `nextItemList` that can produce a semantic. This excludes other nodes and conjugative text. Used to determine if a RHS semantic is complete (no more semantics will follow it) and can be reduced with the preceding LHS semantic.
@@ -332,6 +459,8 @@ function createPath(prevPath, sub, ruleProps) {
 				} else {
 					newPath.nextItemList = {
 						text: ruleProps.text,
+						ruleProps: ruleProps,
+						insertionIdx: sub.node.startIdx + sub.node.size,
 						minCost: 0,
 						nodeCount: 0,
 						size: 1,
@@ -345,7 +474,12 @@ function createPath(prevPath, sub, ruleProps) {
 				 *
 				 * Do not pass the parent rule's `gramProps` because that conjugation was performed during the insertion rule's compilation.
 				 */
-				newPath.text += conjugateText(ruleProps.text, prevPath.personNumberList)
+				var insertedText = conjugateText(ruleProps.text, prevPath.personNumberList)
+				newPath.text += insertedText
+
+				if (structured) {
+					newPath.segmentList = appendInsertionSegment(prevPath.segmentList, insertedText, ruleProps, sub.node.startIdx)
+				}
 			}
 		}
 	}
@@ -353,7 +487,7 @@ function createPath(prevPath, sub, ruleProps) {
 	// Terminal rule.
 	else {
 		// Append `sub`'s RHS semantics, if any, to `prevPath.semanticList` and then reduce up to the first incompletely reduced node.
-		newPath.semanticList = reduceSemanticTree(prevPath.semanticList, prevNextItemList ? prevNextItemList.nodeCount : 0, ruleProps)
+		newPath.semanticList = reduceSemanticTree(prevPath.semanticList, prevNextItemList ? prevNextItemList.nodeCount : 0, ruleProps, context)
 
 		// Discard if semantically illegal parse.
 		if (newPath.semanticList === -1) {
@@ -363,7 +497,11 @@ function createPath(prevPath, sub, ruleProps) {
 		// Append text, if any, to the previous path's text, performing any necessary conjugation. No text if terminal node is a stop sequence.
 		if (ruleProps.text) {
 			// `prevPath.gramProps` is the grammatical properties map specifically for this node, assigned in accordance with this node's position within the parent node's RHS.
-			newPath.text += conjugateText(ruleProps.text, newPath.personNumberList, prevPath.gramProps, ruleProps.tense)
+			var terminalText = conjugateText(ruleProps.text, newPath.personNumberList, prevPath.gramProps, ruleProps.tense)
+			newPath.text += terminalText
+			if (structured) {
+				newPath.segmentList = appendSegment(prevPath.segmentList, terminalText, sub.node.startIdx, sub.node.startIdx + sub.node.size, ruleProps, sub.node)
+			}
 
 			/**
 			 * Prepend `ruleProps.personNumber` to `prevPath.personNumberList` which conjugates display text of nominative verbs within this subtree that follow `newPath`; i.e., `ruleProps.personNumber` does not conjugate `newPath.text`.
@@ -375,11 +513,60 @@ function createPath(prevPath, sub, ruleProps) {
 				newPath.personNumberList = prependPersonNumber(prevPath, ruleProps.personNumber)
 			}
 		}
+
+		// Align the input tokens of stop sequences with empty text, excluding the `<blank>` symbol, which spans no tokens.
+		else if (structured && sub.node.size > 0) {
+			newPath.segmentList = appendSegment(prevPath.segmentList, '', sub.node.startIdx, sub.node.startIdx + sub.node.size, ruleProps, sub.node)
+		}
 	}
 
 	return newPath
 }
 
+/**
+ * Prepends a display text segment to `segmentList`, the reverse linked list of the segments of a path's display text aligned to input tokens, from which `structureParseTree` creates the segments, entities, and edits of a parse tree.
+ *
+ * @private
+ * @static
+ * @param {Object} [segmentList] The previous path's segment list.
+ * @param {string} text The conjugated display text, with its leading space, or an empty string if the input tokens produce no text.
+ * @param {number} startIdx The index of the first input token `text` aligns with.
+ * @param {number} endIdx The index after the last input token `text` aligns with, which is `startIdx` for insertions.
+ * @param {Object} ruleProps The rule properties that produced `text`.
+ * @param {Object} [node] The terminal or flattened term sequence node that produced `text`, whose descendants can contain deletions.
+ * @returns {Object} Returns the new segment list.
+ */
+function appendSegment(segmentList, text, startIdx, endIdx, ruleProps, node) {
+	return {
+		text: text.slice(1),
+		startIdx: startIdx,
+		endIdx: endIdx,
+		ruleProps: ruleProps,
+		node: node,
+		prev: segmentList,
+	}
+}
+
+/**
+ * Prepends the display text segment of an insertion rule to `segmentList`. Aligns `text` with the span of input tokens of `ruleProps.textNode` if the insertion is a partial term sequence, whose text is from input, else with the empty span at `insertionIdx`.
+ *
+ * @private
+ * @static
+ * @param {Object} [segmentList] The previous path's segment list.
+ * @param {string} text The conjugated display text, with its leading space.
+ * @param {Object} ruleProps The insertion rule's properties.
+ * @param {number} insertionIdx The index of the input token at which `text` is inserted.
+ * @returns {Object} Returns the new segment list.
+ */
+function appendInsertionSegment(segmentList, text, ruleProps, insertionIdx) {
+	var textNode = ruleProps.textNode
+	if (textNode) {
+		return appendSegment(segmentList, text, textNode.startIdx, textNode.startIdx + textNode.size, ruleProps, textNode)
+	}
+
+	return appendSegment(segmentList, text, insertionIdx, insertionIdx, ruleProps)
+}
+
 /**
  * Appends a new nonterminal rule's semantics to the previous path's semantic list.
  *
@@ -399,9 +586,11 @@ function createPath(prevPath, sub, ruleProps) {
  * @param {Object[]} [ruleProps.insertedSemantic] A RHS semantic of an insertion rule which also contains LHS semantic.
  * @param {boolean} [ruleProps.rhsCanProduceSemantic] Specify the new nonterminal rule's RHS symbol can produce a semantic.
  * @param {string} [ruleProps.anaphoraPersonNumber] The person-number of the referent anaphor with which the antecedent semantic must match.
+ * @param {string} [ruleProps.anaphoraPronouns] The pronouns of the referent 'threeSg' anaphor with which the antecedent's pronouns must agree.
+ * @param {DialogueContext} [context] The dialogue context with which to resolve anaphora without an antecedent in `semanticList`.
  * @returns {Object|number} Returns the semantic linked list if appendage is semantically legal, else `-1`.
  */
-function appendSemantic(semanticList, nextNodeCount, ruleProps) {
+function appendSemantic(semanticList, nextNodeCount, ruleProps, context) {
 	// If `ruleProps.insertedSemantic` exists, then it is a RHS semantic and `ruleProps.semantic` also exists and is a LHS semantic.
 	if (ruleProps.insertedSemantic) {
 		/**
@@ -497,7 +686,7 @@ function appendSemantic(semanticList, nextNodeCount, ruleProps) {
 
 	if (ruleProps.anaphoraPersonNumber) {
 		// Resolve anaphora by copying the matching antecedent semantic. Only invoked here (not in `baseReduceSemanticTree()`) because `anaphoraPersonNumber` only occurs on nonterminal rules.
-		var newRHSSemantic = resolveAnaphora(semanticList, ruleProps.anaphoraPersonNumber)
+		var newRHSSemantic = resolveAnaphora(semanticList, ruleProps.anaphoraPersonNumber, ruleProps.anaphoraPronouns, context)
 		if (newRHSSemantic === -1) {
 			return -1
 		}
@@ -524,9 +713,11 @@ function appendSemantic(semanticList, nextNodeCount, ruleProps) {
  * @param {Object} ruleProps The terminal rule's rule properties.
  * @param {Object[]} [ruleProps.rhsSemantic] The rule's RHS semantic.
  * @param {string} [ruleProps.anaphoraPersonNumber] The person-number of the referent anaphor with which the antecedent semantic must match.
+ * @param {string} [ruleProps.anaphoraPronouns] The pronouns of the referent 'threeSg' anaphor with which the antecedent's pronouns must agree.
+ * @param {DialogueContext} [context] The dialogue context with which to resolve anaphora without an antecedent in `semanticList`.
  * @returns {Object|number} Returns the reduced semantic linked list if reduction is semantically legal, else `-1`.
  */
-function reduceSemanticTree(semanticList, nextNodeCount, ruleProps) {
+function reduceSemanticTree(semanticList, nextNodeCount, ruleProps, context) {
 	if (ruleProps.semantic) {
 		// Append `ruleProps.semantic` to `semanticList` and reduce up to the first incompletely reduced node.
 		return baseReduceSemanticTree(semanticList, nextNodeCount, ruleProps.semantic)
@@ -535,7 +726,7 @@ function reduceSemanticTree(semanticList, nextNodeCount, ruleProps) {
 	// `anaphoraPersonNumber` appears on terminal rules following `flattenTermSequence`.
 	if (ruleProps.anaphoraPersonNumber) {
 		// Resolve anaphora by copying the matching antecedent semantic. Only invoked here (not in `baseReduceSemanticTree()`) because `anaphoraPersonNumber` only occurs on nonterminal rules.
-		var newRHSSemantic = resolveAnaphora(semanticList, ruleProps.anaphoraPersonNumber)
+		var newRHSSemantic = resolveAnaphora(semanticList, ruleProps.anaphoraPersonNumber, ruleProps.anaphoraPronouns, context)
 		if (newRHSSemantic === -1) {
 			return -1
 		}
@@ -717,6 +908,47 @@ function unwindPersonNumberList(personNumberList, nextItemListSize) {
 	return personNumberList
 }
 
+/**
+ * Resolves the demonstratives and elliptical follow-ups in the semantic of the completed parse tree, `path`, to the previous turns in `context`, and assigns the indexes of the turns from which the semantic resolved references to `path.contextTurns`. Replaces `path.semanticList` with the resolved semantic, if changed.
+ *
+ * Invoked before `isUniqueTree()` to compare the resolved semantics; e.g., "those Danny created" after "repos Danny created" and "repos Danny created" are semantically identical.
+ *
+ * @private
+ * @static
+ * @param {Object} path The completed parse tree.
+ * @param {DialogueContext} [context] The dialogue context.
+ * @returns {boolean} Returns `true` if `path` lacks references or `context` resolves them, else `false`.
+ */
+function resolveContext(path, context) {
+	var semanticArray = path.semanticList.semantic
+
+	if (!context) {
+		return !DialogueContext.hasReferences(semanticArray)
+	}
+
+	var resolution = context.resolve(semanticArray)
+	if (resolution === -1) {
+		return false
+	}
+
+	if (resolution.semantic !== semanticArray) {
+		path.semanticList = {
+			semantic: resolution.semantic,
+			isRHS: true,
+		}
+	}
+
+	if (resolution.category) {
+		path.category = resolution.category
+	}
+
+	if (resolution.turns.length > 0) {
+		path.contextTurns = resolution.turns
+	}
+
+	return true
+}
+
 /**
  * Checks if a new, completed parse tree has a unique semantic and unique display text.
  *
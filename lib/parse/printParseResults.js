@@ -2,6 +2,7 @@ var util = require('../util/util')
 var semantic = require('../grammar/semantic')
 var checkParseTree = require('./checkParseTree')
 var parseTreeLinkedListToGraph = require('./parseTreeLinkedListToGraph')
+var explainEdits = require('./explainEdits')
 
 
 /**
@@ -18,6 +19,7 @@ var parseTreeLinkedListToGraph = require('./parseTreeLinkedListToGraph')
  * @param {boolean} [options.objectSemantics=false] Specify printing object representations of the semantics of `parseResults.trees`.
  * @param {boolean} [options.noSemantics=false] Specify not printing the semantics of `parseResults.trees`.
  * @param {string} [options.diffInputQuery] The input query that produced `parseResults.trees`, with which to stylize its differences with the top parse tree's display text.
+ * @param {boolean} [options.explain=false] If `options.diffInputQuery` is defined and `parseResults` includes `structuredTrees`, specify printing the edits with which the top parse tree corrects the input query (see `explainEdits()`).
  */
 var printOptionsSchema = {
 	quiet: Boolean,
@@ -28,6 +30,7 @@ var printOptionsSchema = {
 	objectSemantics: Boolean,
 	noSemantics: Boolean,
 	diffInputQuery: String,
+	explain: Boolean,
 }
 
 module.exports = function (parseResults, options) {
@@ -51,6 +54,10 @@ module.exports = function (parseResults, options) {
 		} else if (parseResults.failedInitLegalTrees) {
 			util.logWarning('Failed to find legal parse trees on initial parse.')
 		}
+
+		if (parseResults.truncated) {
+			util.logWarning('Parse exceeded its budget:', util.stylize(parseResults.truncatedReason))
+		}
 	}
 
 	if (!options.quiet) {
@@ -67,6 +74,10 @@ module.exports = function (parseResults, options) {
 		if (!options.quiet) {
 			// Print `tree` display text, semantic representation, and tree graph representation (if `options.trees` is `true`).
 			printParseTree(tree, t, options)
+
+			if (t === 0 && options.explain && options.diffInputQuery !== undefined && parseResults.structuredTrees) {
+				printExplanation(explainEdits(parseResults.structuredTrees[0], options.diffInputQuery))
+			}
 		}
 	}
 }
@@ -108,4 +119,29 @@ function printParseTree(tree, treeIdx, options) {
 	if (options.trees) {
 		util.dir(parseTreeLinkedListToGraph(tree, options))
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * Prints `explanation`, the edits with which a parse tree's display text corrects the input query, output by `explainEdits()`.
+ *
+ * @private
+ * @static
+ * @param {Explanation} explanation The explanation to print.
+ */
+function printExplanation(explanation) {
+	if (!explanation.isCorrected) {
+		return
+	}
+
+	util.log('  Showing results for:', util.stylize(explanation.text))
+	util.log('  Search instead for:', util.stylize(explanation.query))
+
+	explanation.edits.forEach(function (edit) {
+		var description = edit.from !== undefined ? util.stylize(edit.from) + ' -> ' + util.stylize(edit.to) : util.stylize(edit.text)
+		var details = [ edit.reason, edit.rule, edit.cost ].filter(function (detail) {
+			return detail !== undefined
+		})
+
+		util.log('   ', util.colors.yellow(edit.type) + ':', description, util.colors.grey('(' + details.join(', ') + ')'))
+	})
+}
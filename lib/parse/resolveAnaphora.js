@@ -1,16 +1,26 @@
+var agreesWithAnaphor = require('./agreesWithAnaphor')
+
+
 /**
- * Performs anaphora resolution by searching `semanticList` for the antecedent semantic with the referent anaphor's person-number property, `anaphoraPersonNumber`, if any.
+ * Performs anaphora resolution by searching `semanticList` for the antecedent semantic that agrees with the referent anaphor's person-number property, `anaphoraPersonNumber`, and pronouns, `anaphoraPronouns`, if any (see `agreesWithAnaphor()`). If `semanticList` lacks an antecedent, searches the previous turns of `context`, if provided.
+ *
+ * Filters the candidate antecedents by agreement before rejecting multiple antecedents as ambiguous. E.g., "repos Danny and Elizabeth Cady Stanton like that she created" -> `repositories-created(11)`.
  *
  * @static
  * @param {Object} semanticList The semantic linked list to search.
  * @param {string} anaphoraPersonNumber The person-number of the referent anaphor with which the antecedent semantic must match.
+ * @param {string} [anaphoraPronouns] The pronouns of the referent 'threeSg' anaphor with which the antecedent's pronouns must agree.
+ * @param {DialogueContext} [context] The dialogue context to search if `semanticList` lacks an antecedent, and with the gender evidence of previous turns.
  * @returns {Object[]|number} Returns a new RHS semantic with the antecedent semantic if found and legal, else `-1`.
  */
-module.exports = function (semanticList, anaphoraPersonNumber) {
+module.exports = function (semanticList, anaphoraPersonNumber, anaphoraPronouns, context) {
+	// The key for the antecedent of anaphora of the same person-number and pronouns.
+	var anaphoraKey = anaphoraPronouns || anaphoraPersonNumber
+
 	while (semanticList) {
 		if (semanticList.isRHS) {
-			// Check if semantic (of same person-number) previously found.
-			var antecedentSemantic = semanticList[anaphoraPersonNumber]
+			// Check if semantic (of same person-number and pronouns) previously found.
+			var antecedentSemantic = semanticList[anaphoraKey]
 			if (antecedentSemantic) {
 				return antecedentSemantic
 			}
@@ -21,7 +31,7 @@ module.exports = function (semanticList, anaphoraPersonNumber) {
 				var semanticNode = stack[s]
 				var semanticChildren = semanticNode.children
 
-				if (semanticNode.semantic.anaphoraPersonNumber === anaphoraPersonNumber) {
+				if (agreesWithAnaphor(semanticNode, anaphoraPersonNumber, anaphoraPronouns, context)) {
 					if (!antecedentSemantic) {
 						// The antecedent.
 						antecedentSemantic = semanticNode
@@ -38,8 +48,8 @@ module.exports = function (semanticList, anaphoraPersonNumber) {
 			}
 
 			if (antecedentSemantic) {
-				// Save semantic (for this person-number) for future invocations on the same semantic list.
-				return semanticList[anaphoraPersonNumber] = [ antecedentSemantic ]
+				// Save semantic (for this person-number and pronouns) for future invocations on the same semantic list.
+				return semanticList[anaphoraKey] = [ antecedentSemantic ]
 			}
 
 			// Do not return -1 here, because if the previous RHS semantic is `me`, which is not 3-sg, there can still exist an earlier acceptable 3-sg antecedent semantic argument. E.g., "repos Danny likes that he and I contribute to".
@@ -48,6 +58,6 @@ module.exports = function (semanticList, anaphoraPersonNumber) {
 		semanticList = semanticList.prev
 	}
 
-	// No preceding semantic argument exists as a 3-sg antecedent for the anaphor semantic.
-	return -1
-}
\ No newline at end of file
+	// No preceding semantic argument exists as a 3-sg antecedent for the anaphor semantic. Fall back to the previous turns of the dialogue. E.g., "repos Danny created" -> "repos he likes".
+	return context ? context.getAntecedent(anaphoraPersonNumber, anaphoraPronouns) : -1
+}
@@ -0,0 +1,111 @@
+var semantic = require('../grammar/semantic')
+var argUtil = require('../execute/argUtil')
+
+
+/**
+ * The names of the date semantics the rules `Category.prototype.addDateRuleSet()` adds produce, which `resolveDates()` normalizes.
+ *
+ * @private
+ * @type {string[]}
+ */
+var dateSemanticNames = [ 'date', 'date-before', 'date-after', 'date-since', 'date-until', 'date-interval' ]
+
+/**
+ * The semantic function of the normalized date form, `date-interval(start,end)`, which shares the name of the grammar's `date-interval()` it replaces.
+ *
+ * @private
+ * @type {Object}
+ */
+var dateIntervalSemantic = {
+	name: 'date-interval',
+	cost: 0,
+	minParams: 2,
+	maxParams: 2,
+}
+
+/**
+ * Resolves the date semantics in `semanticArray` relative to `referenceDate` and normalizes the date semantics of each semantic function to a single `date-interval(start,end)`. E.g., "repos created in the last 3 days" -> `repositories-created-date(date-interval(2016-04-07,*))`.
+ *
+ * `start` (inclusive) and `end` (exclusive) are 'YYYY-MM-DD' dates, or `argUtil.UNBOUNDED_DATE` if unbounded. Intersects the bounds of multiple date semantics of the same semantic function, if any; if disjoint, `end` precedes `start`. Evaluates dates with `argUtil.evalDateBounds()`, which `Executor` and `SQLCompiler` also use.
+ *
+ * Does not mutate `semanticArray`, whose nodes parse trees share.
+ *
+ * @static
+ * @param {Object[]} semanticArray The semantic tree to resolve.
+ * @param {Date} referenceDate The date relative to which to resolve dates (e.g., "today", "3 days ago").
+ * @returns {Object[]} Returns the semantic tree with resolved dates, else `semanticArray` if it lacks date semantics.
+ */
+module.exports = function resolveDates(semanticArray, referenceDate) {
+	var newSemanticArray = []
+	var dateNodes = []
+	var isChanged = false
+
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+		var semanticChildren = semanticNode.children
+
+		if (semanticChildren && dateSemanticNames.indexOf(semanticNode.semantic.name) !== -1) {
+			dateNodes.push(semanticNode)
+		} else if (semanticChildren) {
+			var newChildren = resolveDates(semanticChildren, referenceDate)
+			if (newChildren !== semanticChildren) {
+				semanticNode = { semantic: semanticNode.semantic, children: newChildren }
+				isChanged = true
+			}
+
+			newSemanticArray.push(semanticNode)
+		} else {
+			newSemanticArray.push(semanticNode)
+		}
+	}
+
+	if (dateNodes.length > 0) {
+		newSemanticArray.push(newDateIntervalNode(intersectDateNodes(dateNodes, referenceDate)))
+		isChanged = true
+	}
+
+	return isChanged ? newSemanticArray.sort(semantic.compare) : semanticArray
+}
+
+/**
+ * Gets the intersection of the bounds of the date semantic nodes in `dateNodes`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} dateNodes The date semantic nodes.
+ * @param {Date} referenceDate The reference date.
+ * @returns {Object} Returns the bounds: the (inclusive) `start` date and (exclusive) `end` date, either of which is `undefined` if unbounded.
+ */
+function intersectDateNodes(dateNodes, referenceDate) {
+	return dateNodes.reduce(function (bounds, dateNode) {
+		var nodeBounds = argUtil.evalDateBounds(dateNode, referenceDate)
+
+		return {
+			start: !bounds.start || nodeBounds.start > bounds.start ? nodeBounds.start || bounds.start : bounds.start,
+			end: !bounds.end || nodeBounds.end < bounds.end ? nodeBounds.end || bounds.end : bounds.end,
+		}
+	}, {})
+}
+
+/**
+ * Creates the normalized `date-interval(start,end)` semantic node for `bounds`. Does not sort the node's arguments, whose order distinguishes `start` from `end`.
+ *
+ * @private
+ * @static
+ * @param {Object} bounds The (inclusive) `start` date and (exclusive) `end` date, either of which is `undefined` if unbounded.
+ * @returns {Object} Returns the new semantic node.
+ */
+function newDateIntervalNode(bounds) {
+	return {
+		semantic: dateIntervalSemantic,
+		children: [ bounds.start, bounds.end ].map(function (date) {
+			return {
+				semantic: {
+					isArg: true,
+					name: date ? argUtil.formatDate(date) : argUtil.UNBOUNDED_DATE,
+					cost: 0,
+				},
+			}
+		}),
+	}
+}
\ No newline at end of file
@@ -0,0 +1,385 @@
+var semantic = require('../grammar/semantic')
+
+
+/**
+ * The structured representation of a parse tree, which aligns the tree's display text, entities, and edits to the input tokens. For clients that highlight entities, show corrections, or otherwise relate the display text to the input.
+ *
+ * @typedef {Object} StructuredParseTree
+ * @property {string} text The display text.
+ * @property {number} cost The cumulative cost.
+ * @property {Object[]} semantic The simple object representation of the tree's semantic (see `semantic.toSimpleObject()`).
+ * @property {string} semanticStr The lambda calculus semantic representation of `text`.
+ * @property {string} [resolvedSemanticStr] The representation of `semanticStr` with resolved dates, if any.
+ * @property {string} [category] The name of the category of the instances the tree's semantic returns, if any.
+ * @property {number[]} [contextTurns] The indexes of the dialogue turns from which the tree's semantic resolved references, if any.
+ * @property {TextSegment[]} segments The segments of `text` aligned to the input tokens, in the order of `text`, which differs from the order of the input tokens for transpositions.
+ * @property {EntitySpan[]} entities The entities the tree matched, in the order of `text`.
+ * @property {Edit[]} edits The deletions, substitutions, insertions, and transpositions with which `text` differs from the input, sorted by input token index.
+ * @property {number} [confidence] The confidence in [0, 1] that the tree is the intended interpretation of the input, which `Parser` assigns with its `ConfidenceModel`.
+ */
+
+/**
+ * The segment of a parse tree's display text aligned to the input tokens that produced it.
+ *
+ * @typedef {Object} TextSegment
+ * @property {string} text The display text of the segment, which is empty if the input tokens produce no text (e.g., deletions).
+ * @property {number} start The index of the first input token of the segment.
+ * @property {number} end The index after the last input token of the segment, which is `start` if the segment's text is an insertion.
+ * @property {string} input The input tokens of the segment, excluding deletions, joined by spaces.
+ * @property {number} textStart The index of the first character of the segment within the display text.
+ * @property {number} textEnd The index after the last character of the segment within the display text.
+ */
+
+/**
+ * The entity a parse tree matched and the span of input tokens it matched.
+ *
+ * @typedef {Object} EntitySpan
+ * @property {string} category The name of the entity category (e.g., '{user}').
+ * @property {string} id The entity id.
+ * @property {string} text The display text of the entity.
+ * @property {number} start The index of the first input token of the entity.
+ * @property {number} end The index after the last input token of the entity.
+ */
+
+/**
+ * The edit with which a parse tree's display text differs from the input tokens.
+ *
+ * @typedef {Object} Edit
+ * @property {string} type The edit type: 'deletion', 'substitution', 'insertion', or 'transposition'.
+ * @property {number} start The index of the first input token of the edit.
+ * @property {number} end The index after the last input token of the edit, which is `start` for insertions.
+ * @property {string} input The input tokens the edit replaces, which is empty for insertions.
+ * @property {string} text The display text the edit produces, which is empty for deletions.
+ * @property {number} textStart The index of the first character of `text` within the display text, which is where the deleted tokens would be for deletions.
+ * @property {number} textEnd The index after the last character of `text` within the display text.
+ * @property {number} cost The cost of the edit.
+ * @property {string} [rule] The name of the grammar symbol whose rule produced the edit, if any (e.g., '[repository-head-noun]').
+ * @property {boolean} [isApproximate] Specify the substitution completes a partially typed input token or corrects a misspelled input token.
+ */
+
+/**
+ * Creates the structured representation of `tree`, which `pfsearch` output, with its semantic tree as a JSON-serializable object and its display text, entities, and edits aligned to `tokens`.
+ *
+ * Derives the alignment from the display text segments `pfsearch` saves as `tree.segmentList`, each with the span of input tokens that produced it, and the deleted token indexes `Parser.prototype.addTermRuleNodes()` saves in the rule properties of terminal symbol matches with deletions.
+ *
+ * @static
+ * @param {Object} tree The parse tree `pfsearch` output.
+ * @param {string[]} tokens The input tokens of the parse.
+ * @param {Object[]} deletions The map of token indexes to deletables of the parse, with which to get the cost of each deletion.
+ * @returns {StructuredParseTree} Returns the structured parse tree.
+ */
+module.exports = function structureParseTree(tree, tokens, deletions) {
+	var structuredTree = {
+		text: tree.text,
+		cost: tree.cost,
+		semantic: semantic.toSimpleObject(tree.semanticList.semantic),
+		semanticStr: tree.semanticStr,
+		resolvedSemanticStr: tree.resolvedSemanticStr,
+		category: tree.category,
+		contextTurns: tree.contextTurns,
+		segments: [],
+		entities: [],
+		edits: [],
+	}
+
+	// The transposition segments, whose edits require the display text of the segments within their spans.
+	var transpositions = []
+	// The index within the display text after the previous segment's text.
+	var textIdx = 0
+
+	var segments = getSegments(tree.segmentList)
+	for (var s = 0, segmentsLen = segments.length; s < segmentsLen; ++s) {
+		var segment = segments[s]
+		var ruleProps = segment.ruleProps
+		var start = segment.startIdx
+		var end = segment.endIdx
+
+		if (ruleProps.isTransposition) {
+			transpositions.push(segment)
+			continue
+		}
+
+		// Include the space that precedes every segment's text except the first.
+		var textStart = segment.text && textIdx > 0 ? textIdx + 1 : textIdx
+		var textEnd = textIdx = textStart + segment.text.length
+		var rule = segment.node && segment.node.sym.name
+
+		// Exclude deletions at the edges of the segment's span, which do not produce its text.
+		var subtree = inspectSubtree(segment)
+		var deletedIdxs = subtree.deletedIdxs
+		while (start < end && deletedIdxs.indexOf(start) !== -1) ++start
+		while (end > start && deletedIdxs.indexOf(end - 1) !== -1) --end
+
+		// Add an edit for each deleted input token within the segment's span, positioned in the display text on the side of the segment's text where the token was.
+		var deletionsCost = 0
+		for (var d = 0, deletedIdxsLen = deletedIdxs.length; d < deletedIdxsLen; ++d) {
+			var deletedIdx = deletedIdxs[d]
+			var deletionCost = deletions[deletedIdx] ? deletions[deletedIdx].cost : 0
+			var deletionTextIdx = deletedIdx < end ? textStart : textEnd
+			deletionsCost += deletionCost
+
+			structuredTree.edits.push(newEdit('deletion', deletedIdx, deletedIdx + 1, tokens[deletedIdx], '', deletionTextIdx, deletionTextIdx, deletionCost))
+		}
+
+		var input = getInput(tokens, start, end, deletedIdxs)
+		structuredTree.segments.push({
+			text: segment.text,
+			start: start,
+			end: end,
+			input: input,
+			textStart: textStart,
+			textEnd: textEnd,
+		})
+
+		if (start === end || ruleProps.hasInsertion) {
+			if (segment.text) {
+				structuredTree.edits.push(newEdit('insertion', start, end, input, segment.text, textStart, textEnd, ruleProps.cost, rule))
+			}
+		} else if (!segment.text) {
+			// Input tokens that produce no text, which stop sequences match.
+			structuredTree.edits.push(newEdit('deletion', start, end, input, '', textStart, textEnd, ruleProps.cost, rule))
+		} else if (normalize(segment.text) !== normalize(input)) {
+			var substitution = newEdit('substitution', start, end, input, segment.text, textStart, textEnd, Math.max(0, ruleProps.cost - deletionsCost), rule)
+			if (subtree.isApproximate) {
+				substitution.isApproximate = true
+			}
+
+			structuredTree.edits.push(substitution)
+		}
+
+		// Add the entities the segment matched.
+		if (ruleProps.semantic && start < end) {
+			addEntities(structuredTree.entities, ruleProps.semantic, segment.text, start, end)
+		}
+	}
+
+	for (var t = 0, transpositionsLen = transpositions.length; t < transpositionsLen; ++t) {
+		structuredTree.edits.push(newTranspositionEdit(transpositions[t], structuredTree))
+	}
+
+	structuredTree.edits.sort(function (a, b) {
+		return a.start - b.start || a.end - b.end
+	})
+
+	return structuredTree
+}
+
+/**
+ * Gets the display text segments in `segmentList`, the reverse linked list of segments that `pfsearch` builds.
+ *
+ * @private
+ * @static
+ * @param {Object} [segmentList] The segment list of the parse tree.
+ * @returns {Object[]} Returns the segments in the order of the display text.
+ */
+function getSegments(segmentList) {
+	var segments = []
+
+	while (segmentList) {
+		segments.unshift(segmentList)
+		segmentList = segmentList.prev
+	}
+
+	return segments
+}
+
+/**
+ * Gets the indexes of the deleted input tokens within `segment`'s span and whether the segment matched input approximately, including within the descendants of flattened term sequences, whose rule properties replace those of their descendants.
+ *
+ * For flattened term sequences, descends the cheapest child subnode of each node, which is the subnode from which `flattenTermSequence` created the node's rule properties.
+ *
+ * @private
+ * @static
+ * @param {Object} segment The display text segment.
+ * @returns {Object} Returns the indexes of the deleted input tokens, `deletedIdxs`, and whether a terminal node completes or corrects an input token, `isApproximate`.
+ */
+function inspectSubtree(segment) {
+	var subtree = {
+		deletedIdxs: [],
+		isApproximate: false,
+	}
+
+	if (segment.ruleProps.deletedIdxs) {
+		Array.prototype.push.apply(subtree.deletedIdxs, segment.ruleProps.deletedIdxs)
+	}
+
+	if (segment.node) {
+		inspectCheapestSubtree(subtree, segment.node)
+	}
+
+	return subtree
+}
+
+/**
+ * Adds the indexes of the deleted input tokens within the cheapest subtree of `node` to `subtree.deletedIdxs`, and marks `subtree.isApproximate` if a terminal node of the subtree completes or corrects an input token.
+ *
+ * @private
+ * @static
+ * @param {Object} subtree The subtree properties to which to add.
+ * @param {Object} node The node whose subtree to inspect.
+ */
+function inspectCheapestSubtree(subtree, node) {
+	if (node.isApproximate) {
+		subtree.isApproximate = true
+	}
+
+	var subs = node.subs
+	if (!subs) {
+		return
+	}
+
+	var minSub
+	var minRuleProps
+	var minCost = Infinity
+
+	for (var s = 0, subsLen = subs.length; s < subsLen; ++s) {
+		var sub = subs[s]
+		var ruleProps = sub.ruleProps.constructor === Array ? sub.ruleProps[0] : sub.ruleProps
+		var cost = ruleProps.cost
+
+		if (sub.node.subs) {
+			cost += sub.node.minCost + (sub.next ? sub.next.node.minCost : 0)
+		}
+
+		if (cost < minCost) {
+			minSub = sub
+			minRuleProps = ruleProps
+			minCost = cost
+		}
+	}
+
+	if (minRuleProps.deletedIdxs) {
+		Array.prototype.push.apply(subtree.deletedIdxs, minRuleProps.deletedIdxs)
+	}
+
+	inspectCheapestSubtree(subtree, minSub.node)
+
+	if (minSub.next) {
+		inspectCheapestSubtree(subtree, minSub.next.node)
+	}
+}
+
+/**
+ * Gets the input tokens from `startIdx` up to `endIdx`, excluding those in `deletedIdxs`, joined by spaces.
+ *
+ * @private
+ * @static
+ * @param {string[]} tokens The input tokens.
+ * @param {number} startIdx The index of the first token.
+ * @param {number} endIdx The index after the last token.
+ * @param {number[]} deletedIdxs The indexes of the tokens to exclude.
+ * @returns {string} Returns the input text.
+ */
+function getInput(tokens, startIdx, endIdx, deletedIdxs) {
+	var inputTokens = []
+
+	for (var t = startIdx; t < endIdx; ++t) {
+		if (deletedIdxs.indexOf(t) === -1) {
+			inputTokens.push(tokens[t])
+		}
+	}
+
+	return inputTokens.join(' ')
+}
+
+/**
+ * Normalizes `text` for comparing display text to input, which `tokenize()` lowercases and strips of commas.
+ *
+ * @private
+ * @static
+ * @param {string} text The text to normalize.
+ * @returns {string} Returns the normalized text.
+ */
+function normalize(text) {
+	return text.toLowerCase().replace(/[\s,]/g, '')
+}
+
+/**
+ * Creates an edit.
+ *
+ * @private
+ * @static
+ * @param {string} type The edit type.
+ * @param {number} start The index of the first input token of the edit.
+ * @param {number} end The index after the last input token of the edit.
+ * @param {string} input The input tokens the edit replaces.
+ * @param {string} text The display text the edit produces.
+ * @param {number} textStart The index of the first character of `text` within the display text.
+ * @param {number} textEnd The index after the last character of `text` within the display text.
+ * @param {number} cost The cost of the edit.
+ * @param {string} [rule] The name of the grammar symbol whose rule produced the edit.
+ * @returns {Edit} Returns the new edit.
+ */
+function newEdit(type, start, end, input, text, textStart, textEnd, cost, rule) {
+	return {
+		type: type,
+		start: start,
+		end: end,
+		input: input,
+		text: text,
+		textStart: textStart,
+		textEnd: textEnd,
+		cost: cost,
+		rule: rule,
+	}
+}
+
+/**
+ * Creates the edit for `transposition`, the segment `pfsearch` adds for a transposition rule, which spans the input tokens of both of the rule's swapped child nodes. Gets the edit's display text from the segments of `structuredTree` within the transposition's span.
+ *
+ * @private
+ * @static
+ * @param {Object} transposition The transposition segment.
+ * @param {StructuredParseTree} structuredTree The structured parse tree with the segments of its display text.
+ * @returns {Edit} Returns the new edit.
+ */
+function newTranspositionEdit(transposition, structuredTree) {
+	var start = transposition.startIdx
+	var end = transposition.endIdx
+	var textStart = Infinity
+	var textEnd = -Infinity
+	var inputs = []
+
+	// Exclude insertions, which do not move input tokens, and deletions, which lack text.
+	var segments = structuredTree.segments
+	for (var s = 0, segmentsLen = segments.length; s < segmentsLen; ++s) {
+		var segment = segments[s]
+		if (segment.start >= start && segment.end <= end && segment.start < segment.end && segment.text) {
+			textStart = Math.min(textStart, segment.textStart)
+			textEnd = Math.max(textEnd, segment.textEnd)
+			inputs[segment.start] = segment.input
+		}
+	}
+
+	var input = inputs.filter(Boolean).join(' ')
+	return newEdit('transposition', start, end, input, structuredTree.text.slice(textStart, textEnd), textStart, textEnd, transposition.ruleProps.cost)
+}
+
+/**
+ * Adds the entities within `semanticArray`, the semantic of a terminal symbol match, to `entities`. Entities are the semantic arguments that `Parser.prototype.getSemanticArg()` created with the entity's category.
+ *
+ * @private
+ * @static
+ * @param {EntitySpan[]} entities The entities to which to add.
+ * @param {Object[]} semanticArray The semantic of the terminal symbol match.
+ * @param {string} text The display text of the terminal symbol match.
+ * @param {number} start The index of the first input token of the match.
+ * @param {number} end The index after the last input token of the match.
+ */
+function addEntities(entities, semanticArray, text, start, end) {
+	for (var s = 0, semanticArrayLen = semanticArray.length; s < semanticArrayLen; ++s) {
+		var semanticNode = semanticArray[s]
+
+		if (semanticNode.children) {
+			addEntities(entities, semanticNode.children, text, start, end)
+		} else if (semanticNode.semantic.category) {
+			entities.push({
+				category: semanticNode.semantic.category,
+				id: semanticNode.semantic.name,
+				text: text,
+				start: start,
+				end: end,
+			})
+		}
+	}
+}
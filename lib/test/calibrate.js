@@ -0,0 +1,159 @@
+/**
+ * Usage
+ *   node calibrate [options]
+ *
+ * Description
+ *   Parses the test suite and fits the `ConfidenceModel` that maps the features of each parse tree
+ *   (its cost, edit costs, the number of ambiguous trees, and the cost gap to the next tree) to the
+ *   probability the tree is the test's expected top result. Writes the fitted parameters alongside
+ *   the grammar, where `Parser` loads them.
+ *
+ *   Evaluates the fit by cross-validation: fits the model to all but each fifth of the tests, and
+ *   compares the log loss of the held-out fifths' parse trees to that of the default model, which is
+ *   not fit to any test. Prints a warning if the fitted models are worse, but still writes the model
+ *   fit to every test, because the test suite is too small to reject a fit on its held-out loss.
+ *
+ * Options
+ *   -l, --locale   The locale of the test suite and grammar.
+ *                                                  [string] [choices: "en", "es"] [default: "en"]
+ *   -k             The maximum number of parse trees to find per test.                 [default: 7]
+ *   -d, --dry-run  Print the fitted model without writing it.                            [boolean]
+ *   -h, --help     Display this screen.                                                 [boolean]
+ *
+ * Examples
+ *   node calibrate        Fits the confidence model to the English test suite and writes it to
+ *                         "calibration.json".
+ *   node calibrate -l=es  Fits the confidence model to the Spanish test suite and writes it to
+ *                         "calibration-es.json".
+ */
+
+var util = require('../util/util')
+var yargs = require('yargs')
+var locale = require('../grammar/locale/locale')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Parses the test suite and fits the `ConfidenceModel` that maps the features of each parse tree (its cost, edit costs, the number of ambiguous trees, and the cost gap to the next tree) to the probability the tree is the test\'s expected top result. Writes the fitted parameters alongside the grammar, where `Parser` loads them.',
+		'',
+		'  Evaluates the fit by cross-validation: fits the model to all but each fifth of the tests, and compares the log loss of the held-out fifths\' parse trees to that of the default model, which is not fit to any test. Prints a warning if the fitted models are worse, but still writes the model fit to every test, because the test suite is too small to reject a fit on its held-out loss.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+		'Examples:': util.colors.bold('Examples'),
+	})
+	.options({
+		'l': {
+			alias: 'locale',
+			description: 'The locale of the test suite and grammar.',
+			requiresArg: true,
+			type: 'string',
+			choices: locale.names,
+			default: locale.DEFAULT,
+		},
+		'k': {
+			description: 'The maximum number of parse trees to find per test.',
+			requiresArg: true,
+			default: 7,
+		},
+		'd': {
+			alias: 'dry-run',
+			description: 'Print the fitted model without writing it.',
+			type: 'boolean',
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	.example('node $0', 'Fits the confidence model to the English test suite and writes it to "calibration.json".')
+	.example('node $0 -l=es', 'Fits the confidence model to the Spanish test suite and writes it to "calibration-es.json".')
+	.check(function (argv, options) {
+		if (isNaN(argv.k)) {
+			throw 'TypeError: \'-k\' is not a number: ' + argv.k
+		}
+
+		return true
+	})
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testsFilePath = require.resolve('./' + locale.getFileName('tests.json', argv.locale))
+
+// Check for ill-formed and duplicate tests in the test suite, and exit process with error code `1` if found.
+require('./validateTests')(testsFilePath)
+
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+var ConfidenceModel = require('../parse/ConfidenceModel')
+var testUtil = require('./testUtil')
+
+// Generate a `StateTable` from the grammar of the test suite's locale and instantiate a `Parser` with the default confidence model, whose maximum cost gap the fitted model keeps.
+var stateTable = new StateTable(require('../' + locale.getFileName('grammar.json', argv.locale)))
+var parser = new Parser(stateTable)
+var maxCostGap = parser.confidenceModel.maxCostGap
+
+// The number of folds of tests for cross-validation, each of which is held out of one fit.
+var FOLDS_LEN = 5
+
+// Label each parse tree of each test correct if it matches the test's expected top result, if any. Assign the trees of every test to one of `FOLDS_LEN` folds.
+var folds = util.new2DArray(FOLDS_LEN)
+var tests = require(testsFilePath)
+tests.forEach(function (test, testIdx) {
+	var context = test.context && testUtil.createDialogueContext(parser.parse.bind(parser), test.context)
+	var parseResults = parser.parse(test.query, argv.k, {
+		context: context,
+		budget: test.budget,
+		complete: test.complete,
+		structured: true,
+	})
+
+	if (parseResults.trees) {
+		var fold = folds[testIdx % FOLDS_LEN]
+		parseResults.structuredTrees.forEach(function (structuredTree, t) {
+			fold.push({
+				features: ConfidenceModel.getFeatures(parseResults.structuredTrees, t, parseResults.ambiguousTreeCount, maxCostGap),
+				isCorrect: !!test.topResult && structuredTree.text === test.topResult.text && structuredTree.semanticStr === test.topResult.semantic,
+			})
+		})
+	}
+})
+
+var samples = Array.prototype.concat.apply([], folds)
+if (folds.some(function (fold) { return fold.length === 0 })) {
+	util.logError('Too few parse trees to fit and evaluate:', util.stylize(testsFilePath))
+	process.exit(1)
+}
+
+// Sum the log loss of each fold's parse trees with the model fit to the other folds.
+var heldOutLoss = folds.reduce(function (loss, fold, f) {
+	var trainingSamples = Array.prototype.concat.apply([], folds.filter(function (otherFold, o) {
+		return o !== f
+	}))
+
+	return loss + ConfidenceModel.fit(trainingSamples, { maxCostGap: maxCostGap }).logLoss(fold) * fold.length
+}, 0) / samples.length
+
+// The default model is not fit to any test, hence its loss on every parse tree is held-out loss.
+var defaultHeldOutLoss = parser.confidenceModel.logLoss(samples)
+
+var confidenceModel = ConfidenceModel.fit(samples, { maxCostGap: maxCostGap })
+
+util.log('Fit', samples.length, 'parse trees of', tests.length, 'tests')
+util.log('Training log loss:', confidenceModel.logLoss(samples).toFixed(4))
+util.log('Held-out log loss (' + FOLDS_LEN + '-fold cross-validation):', defaultHeldOutLoss.toFixed(4), '(default) ->', heldOutLoss.toFixed(4), '(fitted)')
+util.dir(confidenceModel.toJSON())
+
+if (heldOutLoss > defaultHeldOutLoss) {
+	util.logWarning('The fitted models are worse than the default model on the held-out parse trees.')
+}
+
+if (!argv.dryRun) {
+	// Write the fitted parameters alongside the grammar.
+	confidenceModel.save(require('path').join(__dirname, '..', locale.getFileName('calibration.json', argv.locale)))
+}
@@ -0,0 +1,312 @@
+/**
+ * Usage
+ *   node learnCosts [options]
+ *
+ * Description
+ *   Learns the costs of the grammar's rules from a file of queries with expected top semantics, in
+ *   the test suite's format. For each query whose expected semantic does not rank first by
+ *   `--margin`, lowers the costs of the rules in the parse tree with the expected semantic and raises
+ *   the costs of the rules in the cheapest parse tree with another semantic (i.e., a structured
+ *   perceptron). Keeps the costs of the pass that ranks the most expected semantics first, and
+ *   writes those that differ from the grammar's costs to a cost override file, which `StateTable`
+ *   loads without rebuilding the grammar.
+ *
+ * Options
+ *   -l, --locale         The locale of the test suite and grammar.
+ *                                                  [string] [choices: "en", "es"] [default: "en"]
+ *   -t, --tests          The path of the queries to learn from. If omitted, uses the test suite of
+ *                        the locale.                                                     [string]
+ *   -k                   The maximum number of parse trees to find per query.       [default: 30]
+ *   -e, --epochs         The maximum number of passes over the queries.             [default: 10]
+ *   -r, --learning-rate  The cost change per rule per update.                      [default: 0.1]
+ *   -m, --margin         The cost by which the expected semantic must rank first.  [default: 0.1]
+ *   -o, --output         The path of the cost override file to write. If omitted, writes
+ *                        "costOverrides.json" (or "costOverrides-<locale>.json"), which `StateTable`
+ *                        loads for the locale.                                          [string]
+ *   -d, --dry-run        Print the learned costs without writing them.                 [boolean]
+ *   -h, --help           Display this screen.                                          [boolean]
+ *
+ * Examples
+ *   node learnCosts        Learns rule costs from the English test suite and writes them to
+ *                          "costOverrides.json".
+ *   node learnCosts -e=20  Learns rule costs with at most 20 passes over the test suite.
+ */
+
+var util = require('../util/util')
+var yargs = require('yargs')
+var locale = require('../grammar/locale/locale')
+
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Learns the costs of the grammar\'s rules from a file of queries with expected top semantics, in the test suite\'s format. For each query whose expected semantic does not rank first by `--margin`, lowers the costs of the rules in the parse tree with the expected semantic and raises the costs of the rules in the cheapest parse tree with another semantic (i.e., a structured perceptron). Keeps the costs of the pass that ranks the most expected semantics first, and writes those that differ from the grammar\'s costs to a cost override file, which `StateTable` loads without rebuilding the grammar.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+		'Examples:': util.colors.bold('Examples'),
+	})
+	.options({
+		'l': {
+			alias: 'locale',
+			description: 'The locale of the test suite and grammar.',
+			requiresArg: true,
+			type: 'string',
+			choices: locale.names,
+			default: locale.DEFAULT,
+		},
+		't': {
+			alias: 'tests',
+			description: 'The path of the queries to learn from. If omitted, uses the test suite of the locale.',
+			requiresArg: true,
+			type: 'string',
+		},
+		'k': {
+			description: 'The maximum number of parse trees to find per query.',
+			requiresArg: true,
+			default: 30,
+		},
+		'e': {
+			alias: 'epochs',
+			description: 'The maximum number of passes over the queries.',
+			requiresArg: true,
+			default: 10,
+		},
+		'r': {
+			alias: 'learning-rate',
+			description: 'The cost change per rule per update.',
+			requiresArg: true,
+			default: 0.1,
+		},
+		'm': {
+			alias: 'margin',
+			description: 'The cost by which the expected semantic must rank first.',
+			requiresArg: true,
+			default: 0.1,
+		},
+		'o': {
+			alias: 'output',
+			description: 'The path of the cost override file to write. If omitted, writes "costOverrides.json" (or "costOverrides-<locale>.json"), which `StateTable` loads for the locale.',
+			requiresArg: true,
+			type: 'string',
+		},
+		'd': {
+			alias: 'dry-run',
+			description: 'Print the learned costs without writing them.',
+			type: 'boolean',
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	.example('node $0', 'Learns rule costs from the English test suite and writes them to "costOverrides.json".')
+	.example('node $0 -e=20', 'Learns rule costs with at most 20 passes over the test suite.')
+	.check(function (argv, options) {
+		[ 'k', 'epochs', 'learningRate', 'margin' ].forEach(function (optName) {
+			if (isNaN(argv[optName])) {
+				throw 'TypeError: \'' + optName + '\' is not a number: ' + argv[optName]
+			}
+		})
+
+		return true
+	})
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testsFilePath = argv.tests ? util.expandHomeDir(argv.tests) : require.resolve('./' + locale.getFileName('tests.json', argv.locale))
+
+// Check for ill-formed and duplicate tests, and exit process with error code `1` if found.
+require('./validateTests')(testsFilePath)
+
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+var testUtil = require('./testUtil')
+
+// Generate a `StateTable` from the grammar of the locale and instantiate a `Parser`. Learning overrides the costs of the `StateTable` instance's rules in place.
+var stateTable = new StateTable(require('../' + locale.getFileName('grammar.json', argv.locale)))
+var parser = new Parser(stateTable)
+
+// The map of each rule's `ruleProps` to its key, and the grammar's cost for each rule.
+var ruleKeys = new Map()
+var grammarCosts = {}
+for (var ruleKey in stateTable.rulePropsTab) {
+	var ruleProps = stateTable.rulePropsTab[ruleKey]
+	ruleKeys.set(ruleProps, ruleKey)
+	grammarCosts[ruleKey] = ruleProps.cost
+}
+
+// Learn from the tests that define an expected top semantic.
+var allTests = require(testsFilePath)
+var tests = allTests.filter(function (test) {
+	return test.topResult
+})
+
+if (tests.length === 0) {
+	util.logError('No tests with expected top results:', util.stylize(testsFilePath))
+	process.exit(1)
+}
+
+if (tests.length < allTests.length) {
+	util.logWarning('Skipping', allTests.length - tests.length, 'of', allTests.length, 'tests without expected top results')
+}
+
+// The costs of the rules that learning changed, and the costs of the pass that ranked the most expected semantics first.
+var ruleCosts = {}
+var bestRuleCosts = {}
+var bestCorrectCount = countCorrectTests()
+var initCorrectCount = bestCorrectCount
+
+util.log('Pass 0:', bestCorrectCount + '/' + tests.length, 'expected semantics ranked first')
+
+// The queries of the tests whose parse in the last pass lacked the expected semantic within the `k`-best, from which learning can not update costs.
+var unlearnedQueries = []
+
+for (var e = 1; e <= argv.epochs; ++e) {
+	var updateCount = 0
+	unlearnedQueries = []
+
+	tests.forEach(function (test) {
+		var trees = parseTest(test).trees
+		if (!trees) {
+			unlearnedQueries.push(test.query)
+			return
+		}
+
+		var expectedSemantic = test.topResult.semantic
+		var correctTree = trees.find(function (tree) {
+			return tree.semanticStr === expectedSemantic
+		})
+
+		var rivalTree = trees.find(function (tree) {
+			return tree.semanticStr !== expectedSemantic
+		})
+
+		// Skip if the parse lacks the expected semantic within the `k`-best, or it ranks first by the margin.
+		if (!correctTree) {
+			unlearnedQueries.push(test.query)
+			return
+		}
+
+		if (!rivalTree || correctTree.cost + argv.margin <= rivalTree.cost) {
+			return
+		}
+
+		// Lower the costs of the rules only in the correct tree, and raise the costs of the rules only in the rival tree, in proportion to the difference in their counts.
+		var ruleCounts = {}
+		countRules(correctTree, 1, ruleCounts)
+		countRules(rivalTree, -1, ruleCounts)
+
+		var newRuleCosts = {}
+		for (var ruleKey in ruleCounts) {
+			var count = ruleCounts[ruleKey]
+			if (count !== 0) {
+				newRuleCosts[ruleKey] = Math.max(0, stateTable.rulePropsTab[ruleKey].cost - argv.learningRate * count)
+			}
+		}
+
+		stateTable.overrideRuleCosts(newRuleCosts)
+		Object.assign(ruleCosts, newRuleCosts)
+		++updateCount
+	})
+
+	var correctCount = countCorrectTests()
+	util.log('Pass ' + e + ':', correctCount + '/' + tests.length, 'expected semantics ranked first,', updateCount, 'updates')
+
+	if (correctCount > bestCorrectCount) {
+		bestCorrectCount = correctCount
+		bestRuleCosts = Object.assign({}, ruleCosts)
+	}
+
+	// Stop if every expected semantic ranks first by the margin.
+	if (updateCount === 0) {
+		break
+	}
+}
+
+// Get the learned costs that differ from the grammar's costs.
+var costOverrides = {}
+for (var ruleKey in bestRuleCosts) {
+	if (bestRuleCosts[ruleKey] !== grammarCosts[ruleKey]) {
+		costOverrides[ruleKey] = bestRuleCosts[ruleKey]
+	}
+}
+
+util.log('Expected semantics ranked first:', initCorrectCount + '/' + tests.length, '(grammar costs) ->', bestCorrectCount + '/' + tests.length, '(learned costs)')
+util.log('Overridden rules:', Object.keys(costOverrides).length)
+
+if (unlearnedQueries.length > 0) {
+	util.logWarning('Skipped', unlearnedQueries.length, 'tests whose parse lacks the expected semantic within the', argv.k + '-best:')
+	unlearnedQueries.forEach(function (query) {
+		util.log('  ' + query)
+	})
+}
+
+if (argv.dryRun) {
+	util.dir(costOverrides)
+} else {
+	var costOverridesPath = argv.output ? util.expandHomeDir(argv.output) : require('path').join(__dirname, '..', locale.getFileName('costOverrides.json', argv.locale))
+	StateTable.saveCostOverrides(costOverridesPath, costOverrides, stateTable.grammarHash)
+}
+
+/**
+ * Parses `test.query`, with the dialogue context of `test.context` if any, constructing the linked lists of each parse tree's rules. Parses with the test's budget and completion option, if any, as does `test`.
+ *
+ * @private
+ * @static
+ * @param {Object} test The test to parse.
+ * @returns {ParseResults} Returns the parse results.
+ */
+function parseTest(test) {
+	var context = test.context && testUtil.createDialogueContext(parser.parse.bind(parser), test.context)
+
+	return parser.parse(test.query, argv.k, {
+		buildTrees: true,
+		context: context,
+		budget: test.budget,
+		complete: test.complete,
+	})
+}
+
+/**
+ * Counts the tests whose top parse tree has the expected semantic with the current rule costs.
+ *
+ * @private
+ * @static
+ * @returns {number} Returns the number of tests ranked correctly.
+ */
+function countCorrectTests() {
+	return tests.filter(function (test) {
+		var trees = parseTest(test).trees
+		return trees && trees.length > 0 && trees[0].semanticStr === test.topResult.semantic
+	}).length
+}
+
+/**
+ * Adds `sign` to the count in `ruleCounts` of each grammar rule in `tree`, a parse tree `pfsearch` constructed with `buildTrees`.
+ *
+ * Attributes the `ruleProps` that `Parser` creates for a parse (e.g., flattened term sequences and terminal rule matches with deletions) to the grammar rule each replaces (i.e., `ruleProps.origRuleProps`).
+ *
+ * @private
+ * @static
+ * @param {Object} tree The parse tree whose rules to count.
+ * @param {number} sign The amount to add to the count of each rule: `1` or `-1`.
+ * @param {Object} ruleCounts The map of rule keys to counts.
+ */
+function countRules(tree, sign, ruleCounts) {
+	for (var path = tree; path.prev; path = path.prev) {
+		var ruleProps = path.ruleProps
+		while (!ruleKeys.has(ruleProps) && ruleProps.origRuleProps) {
+			ruleProps = ruleProps.origRuleProps
+		}
+
+		var ruleKey = ruleKeys.get(ruleProps)
+		if (ruleKey) {
+			ruleCounts[ruleKey] = (ruleCounts[ruleKey] || 0) + sign
+		}
+	}
+}
@@ -5,6 +5,10 @@
  * Description
  *   Parses the suite of test queries and checks output conforms to the test's expected values.
  *
+ *   Also checks that paging through each test's parse trees, 7 and then 7 more, yields the same
+ *   trees as a single parse for 14, and that parsing each test's query as typed, character by
+ *   character, with a `ParseSession` yields the same results as parsing each prefix from scratch.
+ *
  *   The test suite contains an array of objects with a query to parse and additional properties
  *   defining expected parse results.
  *
@@ -18,6 +22,8 @@
  *   count   Print the number of tests in the test suite.
  *
  * Options
+ *   -l, --locale              The locale of the test suite and grammar.
+ *                                                  [string] [choices: "en", "es"] [default: "en"]
  *   -k                        The maximum number of parse trees to find per test.        [default: 60]
  *   -q, --quiet               Suppress parse results from output.                            [boolean]
  *   -m, --mute                Suppress test results from output.                             [boolean]
@@ -34,6 +40,8 @@
  *   -p, --parse-stack         Print the parse stack.                                         [boolean]
  *   -f, --parse-forest        Print an equational representation of the parse forest.        [boolean]
  *   -g, --parse-forest-graph  Print a graph representation of the parse forest.              [boolean]
+ *   -e, --learned-costs       Parse with the rule costs `learnCosts` wrote instead of the grammar's
+ *                             costs.                                                         [boolean]
  *   -h, --help                Display this screen.                                           [boolean]
  *
  * Examples
@@ -42,6 +50,10 @@
  *                        results.
  *   node test -q         Finds the 60-best parse trees of each query in the test suite, but does not
  *                        print the parse results.
+ *   node test -l=es      Parses the Spanish test suite, "tests-es.json", with the Spanish grammar,
+ *                        "grammar-es.json".
+ *   node test -e         Parses the test suite with the rule costs `learnCosts` wrote to
+ *                        "costOverrides.json".
  */
 
 var util = require('../util/util')
@@ -49,12 +61,17 @@ var util = require('../util/util')
 // Modify stack trace format to stylize output when printing.
 util.prettifyStackTrace()
 
-// The collection of tests, each with a query and expected values for parse results.
-var testsFilePath = require.resolve('./tests.json')
+var yargs = require('yargs')
+var locale = require('../grammar/locale/locale')
+
+// Parse the locale before the commands below, which use the test suite.
+var localeName = yargs(process.argv.slice(2)).alias('l', 'locale').argv.locale || locale.DEFAULT
+
+// The collection of tests, each with a query and expected values for parse results. Each locale has its own test suite.
+var testsFilePath = require.resolve('./' + locale.getFileName('tests.json', localeName))
 var tests = require(testsFilePath)
 var testUtil = require('./testUtil')
 
-var yargs = require('yargs')
 var argv = yargs
 	.usage([
 		util.colors.bold('Usage'),
@@ -63,6 +80,8 @@ var argv = yargs
 		util.colors.bold('Description'),
 		'  Parses the suite of test queries and checks output conforms to the test\'s expected values.',
 		'',
+		'  Also checks that paging through each test\'s parse trees, 7 and then 7 more, yields the same trees as a single parse for 14, and that parsing each test\'s query as typed, character by character, with a `ParseSession` yields the same results as parsing each prefix from scratch.',
+		'',
 		'  The test suite contains an array of objects with a query to parse and additional properties defining expected parse results.',
 		'',
 		'  For each provided <tag>, only runs tests or the provided command with that tag. If none, uses the entire test suite. If <tag> is unrecognized, exits the process.',
@@ -99,6 +118,14 @@ var argv = yargs
 		process.exit()
 	})
 	.options({
+		'l': {
+			alias: 'locale',
+			description: 'The locale of the test suite and grammar.',
+			requiresArg: true,
+			type: 'string',
+			choices: locale.names,
+			default: locale.DEFAULT,
+		},
 		'k': {
 			description: 'The maximum number of parse trees to find per test.',
 			requiresArg: true,
@@ -175,10 +202,17 @@ var argv = yargs
 			description: 'Print a graph representation of the parse forest.',
 			type: 'boolean',
 		},
+		'e': {
+			alias: 'learned-costs',
+			description: 'Parse with the rule costs `learnCosts` wrote instead of the grammar\'s costs.',
+			type: 'boolean',
+		},
 	})
 	.help('h', 'Display this screen.').alias('h', 'help')
 	.example('node $0 -k=30 -cb', 'Finds the 30-best parse trees of each query in the test suite, prints the duration of each parse, and includes the parse tree costs in the parse results.')
 	.example('node $0 -q', 'Finds the 60-best parse trees of each query in the test suite, but does not print the parse results.')
+	.example('node $0 -l=es', 'Parses the Spanish test suite, "tests-es.json", with the Spanish grammar, "grammar-es.json".')
+	.example('node $0 -e', 'Parses the test suite with the rule costs `learnCosts` wrote to "costOverrides.json".')
 	.check(function (argv, options) {
 		if (isNaN(argv.k)) {
 			throw 'TypeError: \'-k\' is not a number: ' + argv.k
@@ -192,18 +226,29 @@ var argv = yargs
 	.argv
 
 // Check for ill-formed and duplicate tests in the test suite, and exit process with error code `1` if found.
-require('./validateTests')
+require('./validateTests')(testsFilePath)
 
 // For each `<tag>` passed as a command line argument, only run tests with that tag. If none, parse the entire test suite. If `<tag>` is unrecognized, exit the process with error code `1`.
 tests = filterTestsByTagArgs(argv, tests)
 
 var StateTable = require('../parse/StateTable')
 var Parser = require('../parse/Parser')
+var ParseSession = require('../parse/ParseSession')
 var printParseResults = require('../parse/printParseResults')
+var explainEdits = require('../parse/explainEdits')
+var Executor = require('../execute/Executor')
 
-// Generate a `StateTable` from the grammar and instantiate a `Parser`.
-var stateTable = new StateTable(require('../grammar.json'))
+// Generate a `StateTable` from the grammar of the test suite's locale, with the learned rule costs if specified to check the costs with which the server parses, and instantiate a `Parser`. Otherwise, uses the grammar's costs, even if `learnCosts` wrote a cost override file, so that the suite's outcome does not depend on that untracked file.
+var stateTable = new StateTable(require('../' + locale.getFileName('grammar.json', localeName)), argv.learnedCosts ? { costOverrides: loadCostOverrides() } : undefined)
 var parser = new Parser(stateTable)
+// Instantiate a `ParseSession` with its own `Parser` to check parsing each test query as typed.
+var session = new ParseSession(stateTable)
+
+// Instantiate an `Executor` for the reference dataset to check tests' expected answers.
+var executor = new Executor({
+	dataset: require('../execute/dataset.json'),
+	entitySets: stateTable.entitySets,
+})
 
 // Specify every test produce output.
 var printEveryQuery = !argv.q || argv.b || argv.a || argv.f || argv.g
@@ -229,6 +274,7 @@ if (!argv.mute) {
 	util.log()
 	if (testsFailed) {
 		util.logError('Failed', testsFailed, 'of', testsLen, 'tests')
+		process.exitCode = 1
 	} else {
 		util.logSuccess('Passed', testsLen, testsLen === 1 ? 'test' : 'tests')
 	}
@@ -252,6 +298,9 @@ function parseTest(test) {
 	// Print the query above the parse results.
 	if (printEveryQuery) printQuery(test.query)
 
+	// Parse the previous queries of the test's dialogue, if any, to create the context for `test.query`.
+	var context = test.context && testUtil.createDialogueContext(parser.parse.bind(parser), test.context)
+
 	// Benchmark the duration of the parse and the parse forest search.
 	if (argv.benchmark) util.time('parse')
 
@@ -259,17 +308,30 @@ function parseTest(test) {
 	var parseResults = parser.parse(test.query, argv.k, {
 		buildTrees: argv.trees,
 		printAmbiguity: argv.ambiguity,
+		context: context,
+		budget: test.budget,
+		complete: test.complete,
+		// Resolve dates relative to the reference dataset's date, which the expected answers also use, for tests of resolved dates.
+		referenceDate: test.topResult && test.topResult.resolvedSemantic ? executor.referenceDate : undefined,
+		// Structure the parse trees for tests of the structured top result or its explanation.
+		structured: !!(test.topResult && (test.topResult.structured || test.topResult.explanation)),
 	})
 
 	if (argv.benchmark) util.timeEnd('parse')
 
-	if (parseResults.trees) {
+	// Check the parse of input the grammar rejects finds no parse trees.
+	if (test.rejected) {
+		if (parseResults.trees && parseResults.trees.length > 0) {
+			printTestFailure(test, parseResults.trees[0].text)
+			++testsFailed
+		}
+	} else if (parseResults.trees) {
 		// Sum the number of paths created from parsing the entire test sutie.
 		pathsCreated += parseResults.pathCount
 
 		if (parseResults.trees.length > 0) {
 			// Check if parse results match the test's expected values.
-			checkTestResults(test, parseResults.trees)
+			checkTestResults(test, parseResults, context)
 
 			// Print the display text and semantics for the k-best parse trees.
 			printParseResults(parseResults, {
@@ -306,14 +368,16 @@ function parseTest(test) {
  * @private
  * @static
  * @param {Object} test The test to check.
- * @param {Object[]} trees The array of parse trees returned by the parse of `test.query`.
+ * @param {ParseResults} parseResults The results of the parse of `test.query`.
+ * @param {DialogueContext} [context] The dialogue context with which `test.query` was parsed.
  */
-function checkTestResults(test, trees) {
+function checkTestResults(test, parseResults, context) {
+	var trees = parseResults.trees
 	var testPassed = false
 
 	if (!argv.mute) {
 		// Compare the top parse result to `test`'s expected display text and semantic.
-		testPassed = checkTestTopResult(test, trees[0])
+		testPassed = checkTestTopResult(test, trees[0], parseResults.structuredTrees && parseResults.structuredTrees[0])
 	}
 
 	// Compare `trees`'s semantic results to `test`'s expected semantics, ignoring order.
@@ -321,6 +385,12 @@ function checkTestResults(test, trees) {
 		testPassed = checkTestSemantics(test, trees) && testPassed
 	}
 
+	// Compare the trees found by paging through the parse forest to those of a single parse. Exclude tests with budgets, which bound each page differently than a single parse.
+	if (!test.budget) {
+		testPassed = checkTestPaging(test, context) && testPassed
+		testPassed = checkTestSession(test, context) && testPassed
+	}
+
 	// Count failrue to pass all checks.
 	if (!testPassed) ++testsFailed
 }
@@ -332,9 +402,10 @@ function checkTestResults(test, trees) {
  * @static
  * @param {Object} test The test to check.
  * @param {Object} actualTopResult The first parse tree returned by the parse of `test.query`.
+ * @param {StructuredParseTree} [structuredTopResult] The structured representation of `actualTopResult`, if `test.topResult` expects one or its explanation.
  * @returns {boolean} Returns `true` if the test passes, else `false`.
  */
-function checkTestTopResult(test, actualTopResult) {
+function checkTestTopResult(test, actualTopResult, structuredTopResult) {
 	var expectedTopResult = test.topResult
 
 	if (expectedTopResult) {
@@ -361,6 +432,56 @@ function checkTestTopResult(test, actualTopResult) {
 			failedTestDiffs.push(diff)
 		}
 
+		// Check if the top parse's semantic with resolved dates matches the expected value.
+		if (expectedTopResult.resolvedSemantic && expectedTopResult.resolvedSemantic !== actualTopResult.resolvedSemanticStr) {
+			failedTestDiffs.push(util.diffStrings(expectedTopResult.resolvedSemantic, actualTopResult.resolvedSemanticStr))
+		}
+
+		// Check if the records the top parse's semantic returns match the expected answer, irrespective of order.
+		if (expectedTopResult.answer) {
+			var expectedAnswer = expectedTopResult.answer.slice().sort()
+			var result = executor.execute(actualTopResult.semanticList.semantic)
+			// Aggregate semantics (e.g., `count-of()`) return a number instead of records, and yes/no question semantics (e.g., `member()`) return a boolean.
+			var actualAnswer = Array.isArray(result) ? result.map(function (record) {
+				return record.id
+			}).sort() : [ result ]
+
+			if (!util.arraysEqual(expectedAnswer, actualAnswer)) {
+				failedTestDiffs.push({
+					expected: 'answer: ' + expectedAnswer.join(', '),
+					actual: 'answer: ' + actualAnswer.join(', '),
+				})
+			}
+		}
+
+		// Check if the structured representation of the top parse matches the expected segments, entities, and edits.
+		if (expectedTopResult.structured) {
+			var actualStructured = {
+				segments: structuredTopResult.segments,
+				entities: structuredTopResult.entities,
+				edits: structuredTopResult.edits,
+			}
+
+			if (!util.isDeepEqual(expectedTopResult.structured, actualStructured)) {
+				failedTestDiffs.push({
+					expected: 'structured: ' + JSON.stringify(expectedTopResult.structured),
+					actual: 'structured: ' + JSON.stringify(actualStructured),
+				})
+			}
+		}
+
+		// Check if the explanation of the top parse's corrections matches the expected edits.
+		if (expectedTopResult.explanation) {
+			var actualExplanation = explainEdits(structuredTopResult, test.query).edits
+
+			if (!util.isDeepEqual(expectedTopResult.explanation, actualExplanation)) {
+				failedTestDiffs.push({
+					expected: 'explanation: ' + JSON.stringify(expectedTopResult.explanation),
+					actual: 'explanation: ' + JSON.stringify(actualExplanation),
+				})
+			}
+		}
+
 		if (failedTestDiffs.length > 0) {
 			printTopResultTestFailure.apply(null, [ test ].concat(failedTestDiffs))
 			return false
@@ -399,6 +520,8 @@ function printTestFailure(test, actual) {
 	if (test.topResult) {
 		// Align semantic with display text.
 		expected = test.topResult.text + '\n                 ' + test.topResult.semantic
+	} else if (test.rejected) {
+		expected = '--rejected--'
 	} else {
 		expected = '--not-input--'
 	}
@@ -468,6 +591,110 @@ function checkTestSemantics(test, trees) {
 	return true
 }
 
+/**
+ * Checks that paging through the parse trees of `test.query` with `ParseCursor`, 7 trees and then 7 more, yields the same trees as a single parse for the 14-best trees, and prints an error if not.
+ *
+ * Parses another query before the second page to check the cursor retains its parse forest after the parser parses again.
+ *
+ * @private
+ * @static
+ * @param {Object} test The test to check.
+ * @param {DialogueContext} [context] The dialogue context with which to parse `test.query`.
+ * @returns {boolean} Returns `true` if the test passes, else `false`.
+ */
+function checkTestPaging(test, context) {
+	var PAGE_SIZE = 7
+
+	var parseResults = parser.parse(test.query, PAGE_SIZE, { context: context, complete: test.complete, cursor: true })
+	var cursor = parseResults.cursor
+	var expectedTrees = parser.parse(test.query, PAGE_SIZE * 2, { context: context, complete: test.complete }).trees
+	var actualTrees = parseResults.trees.concat(cursor.next(PAGE_SIZE).trees)
+	cursor.dispose()
+
+	var treesLen = Math.max(expectedTrees.length, actualTrees.length)
+	for (var t = 0; t < treesLen; ++t) {
+		var expectedTree = expectedTrees[t]
+		var actualTree = actualTrees[t]
+
+		if (!expectedTree || !actualTree || expectedTree.text !== actualTree.text || expectedTree.semanticStr !== actualTree.semanticStr) {
+			// Print query if no other output settings caused it to already print.
+			if (!printEveryQuery) {
+				printQuery(test.query)
+			}
+
+			util.logError('Paged parse trees differ from a single parse at tree ' + (t + 1) + ':')
+			util.log('  Expected:', expectedTree ? expectedTree.text + ' ' + expectedTree.semanticStr : '--none--')
+			util.log('  Actual:  ', actualTree ? actualTree.text + ' ' + actualTree.semanticStr : '--none--')
+
+			return false
+		}
+	}
+
+	return true
+}
+
+/**
+ * Checks that parsing `test.query` as typed, character by character, with `ParseSession`, which reuses the work of the previous parse for the unchanged leading tokens, yields the same parse trees and costs for each prefix as parsing it from scratch, and prints an error if not.
+ *
+ * Compares the trees of equal cost irrespective of order, which depends on the order in which the parse created their nodes, and ignores which of the trees of equal cost with the `k`th tree each parse found.
+ *
+ * @private
+ * @static
+ * @param {Object} test The test to check.
+ * @param {DialogueContext} [context] The dialogue context with which to parse `test.query`.
+ * @returns {boolean} Returns `true` if the test passes, else `false`.
+ */
+function checkTestSession(test, context) {
+	var options = { context: context, complete: test.complete }
+	session.reset()
+
+	for (var c = 1, queryLen = test.query.length; c <= queryLen; ++c) {
+		var prefix = test.query.slice(0, c)
+		var expectedTrees = summarizeTrees(parser.parse(prefix, argv.k, options).trees)
+		var actualTrees = summarizeTrees(session.parse(prefix, argv.k, options).trees)
+
+		if (expectedTrees.join() !== actualTrees.join()) {
+			// Print query if no other output settings caused it to already print.
+			if (!printEveryQuery) {
+				printQuery(test.query)
+			}
+
+			util.logError('Session parse trees differ from parsing from scratch:', util.stylize(prefix))
+			util.log('  Expected:', expectedTrees.length > 0 ? expectedTrees.join('\n            ') : '--none--')
+			util.log('  Actual:  ', actualTrees.length > 0 ? actualTrees.join('\n            ') : '--none--')
+
+			return false
+		}
+	}
+
+	return true
+}
+
+/**
+ * Summarizes `trees` for comparing the results of two parses, each with its cost, display text, and semantic, sorting trees of equal cost and excluding those of equal cost with the last tree if there are `argv.k` trees.
+ *
+ * @private
+ * @static
+ * @param {Object[]} [trees] The parse trees to summarize.
+ * @returns {string[]} Returns the tree summaries.
+ */
+function summarizeTrees(trees) {
+	if (!trees) return []
+
+	if (trees.length === argv.k) {
+		var lastCost = trees[trees.length - 1].cost
+		trees = trees.filter(function (tree) {
+			return tree.cost !== lastCost
+		})
+	}
+
+	return trees.slice().sort(function (a, b) {
+		return a.cost - b.cost || (a.text + a.semanticStr < b.text + b.semanticStr ? -1 : 1)
+	}).map(function (tree) {
+		return [ tree.cost, tree.text, tree.semanticStr ].join(' ')
+	})
+}
+
 /**
  * Compares two sets of semantic strings line by line, ignoring order, and stylizes the differences for printing.
  *
@@ -541,4 +768,21 @@ function filterTestsByTagArgs(argv, tests) {
 	}
 
 	return tests
+}
+
+/**
+ * Loads the rule cost overrides `learnCosts` wrote for the grammar of the test suite's locale. If the file does not exist, exits the process with error code `1`.
+ *
+ * @private
+ * @static
+ * @returns {Object} Returns the cost overrides.
+ */
+function loadCostOverrides() {
+	var costOverridesPath = require('path').join(__dirname, '..', locale.getFileName('costOverrides.json', localeName))
+	if (!util.pathExistsSync(costOverridesPath)) {
+		util.logError('No cost override file:', util.stylize(costOverridesPath), '(run `learnCosts` first)')
+		process.exit(1)
+	}
+
+	return StateTable.loadCostOverrides(costOverridesPath)
 }
\ No newline at end of file
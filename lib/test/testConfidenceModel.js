@@ -0,0 +1,217 @@
+/**
+ * Usage
+ *   node testConfidenceModel [options]
+ *
+ * Description
+ *   Checks the confidences `ConfidenceModel` scores with fixed parameters are in [0, 1] and ordered
+ *   as the costs of the parse trees, that `ConfidenceModel.fit()` orders trees by whether they are
+ *   correct, and that `ConfidenceModel.fromCalibrationFile()` loads a calibration file, or the
+ *   default parameters if the file does not exist.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Checks the confidences `ConfidenceModel` scores with fixed parameters are in [0, 1] and ordered as the costs of the parse trees, that `ConfidenceModel.fit()` orders trees by whether they are correct, and that `ConfidenceModel.fromCalibrationFile()` loads a calibration file, or the default parameters if the file does not exist.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var ConfidenceModel = require('../parse/ConfidenceModel')
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+
+var stateTable = new StateTable(require('../grammar.json'))
+
+// The model with fixed parameters, which weighs only the cost of each tree, and therefore orders confidences as costs.
+var fixedModel = new ConfidenceModel({
+	weights: {
+		cost: -2,
+		editCost: -1,
+		ambiguousTreeCount: -0.5,
+		costGap: 0,
+	},
+	bias: 3,
+	maxCostGap: 4,
+})
+
+// The directory for the calibration files, removed once every check finishes.
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aang-confidence-model-'))
+
+/**
+ * The checks of the confidence model, each with the function that returns an
+ * error message if the model is incorrect, else `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Score features with fixed parameters.',
+		check: function () {
+			return testUtil.checkValue('the score of a tree whose features offset the bias', fixedModel.score({ cost: 1, editCost: 1, ambiguousTreeCount: 0, costGap: 2 }), 0.5)
+				|| testUtil.checkValue('the score of a tree without cost', fixedModel.score({ cost: 0, editCost: 0, ambiguousTreeCount: 0, costGap: 0 }), 1 / (1 + Math.exp(-3)))
+				|| testUtil.checkValue('the score of a tree with ambiguous trees', fixedModel.score({ cost: 1, editCost: 0, ambiguousTreeCount: 4, costGap: 0 }), 1 / (1 + Math.exp(1)))
+		},
+	},
+	{
+		description: 'Bound the scores of extreme features to [0, 1].',
+		check: function () {
+			var scores = [ -1e6, -10, 0, 10, 1e6 ].map(function (cost) {
+				return fixedModel.score({ cost: cost, editCost: 0, ambiguousTreeCount: 0, costGap: 0 })
+			})
+
+			if (!scores.every(isConfidence)) {
+				return 'Expected scores in [0, 1], but received: ' + util.stylize(scores)
+			}
+
+			return testUtil.checkValue('the scores of the lowest and highest costs', [ scores[0], scores[4] ], [ 1, 0 ])
+		},
+	},
+	{
+		description: 'Get the features of a parse tree, truncating the cost gap to the next tree.',
+		check: function () {
+			var structuredTrees = [
+				{ cost: 1, edits: [ { cost: 0.5 }, { cost: 0.25 } ] },
+				{ cost: 1.5, edits: [] },
+				{ cost: 9, edits: [] },
+			]
+
+			return testUtil.checkValue('the features of the first tree', ConfidenceModel.getFeatures(structuredTrees, 0, 2, 4), { cost: 1, editCost: 0.75, ambiguousTreeCount: 2, costGap: 0.5 })
+				|| testUtil.checkValue('the features of the second tree', ConfidenceModel.getFeatures(structuredTrees, 1, 2, 4), { cost: 1.5, editCost: 0, ambiguousTreeCount: 2, costGap: 4 })
+				|| testUtil.checkValue('the features of the last tree', ConfidenceModel.getFeatures(structuredTrees, 2, 2, 4), { cost: 9, editCost: 0, ambiguousTreeCount: 2, costGap: 4 })
+		},
+	},
+	{
+		description: 'Score the confidences of parse trees in [0, 1], ordered as their costs.',
+		check: function () {
+			var parser = new Parser(stateTable, { confidenceModel: fixedModel })
+			var structuredTrees = parser.parse('repos I lik', 10, { structured: true }).structuredTrees
+
+			if (structuredTrees.length < 2) {
+				return 'Expected multiple parse trees, but received: ' + structuredTrees.length
+			}
+
+			for (var t = 0, structuredTreesLen = structuredTrees.length; t < structuredTreesLen; ++t) {
+				var structuredTree = structuredTrees[t]
+				if (!isConfidence(structuredTree.confidence)) {
+					return 'Expected confidence in [0, 1], but received: ' + util.stylize(structuredTree.confidence)
+				}
+
+				var prevTree = structuredTrees[t - 1]
+				if (prevTree && (structuredTree.cost > prevTree.cost ? structuredTree.confidence >= prevTree.confidence : structuredTree.confidence !== prevTree.confidence)) {
+					return 'Expected the confidences to decrease as the costs increase, but received: ' + util.stylize(structuredTrees.map(function (tree) {
+						return [ tree.cost, tree.confidence ]
+					}))
+				}
+			}
+		},
+	},
+	{
+		description: 'Fit a model that scores correct trees above incorrect trees.',
+		check: function () {
+			var samples = [ 0, 0.5, 1, 1.5, 2, 4, 5, 6, 7, 8 ].map(function (cost, i) {
+				return {
+					features: { cost: cost, editCost: 0, ambiguousTreeCount: 0, costGap: 1 },
+					// Overlap the classes to keep the fitted weights finite.
+					isCorrect: i < 5 ? i !== 3 : i === 6,
+				}
+			})
+
+			var fittedModel = ConfidenceModel.fit(samples)
+			var scores = samples.map(function (sample) {
+				return fittedModel.score(sample.features)
+			})
+
+			if (!scores.every(isConfidence)) {
+				return 'Expected scores in [0, 1], but received: ' + util.stylize(scores)
+			}
+
+			if (!(fittedModel.weights.cost < 0) || !(scores[0] > 0.5) || !(scores[9] < 0.5)) {
+				return 'Expected the fitted model to score low-cost trees above 0.5 and high-cost trees below 0.5, but received: ' + util.stylize(scores)
+			}
+
+			if (!(fittedModel.logLoss(samples) < new ConfidenceModel().logLoss(samples))) {
+				return 'Expected the fitted model to have a lower log loss than the default model'
+			}
+		},
+	},
+	{
+		description: 'Load the calibration file that `ConfidenceModel.prototype.save()` wrote.',
+		check: function () {
+			var calibrationPath = path.join(tmpDir, 'calibration.json')
+			fixedModel.save(calibrationPath)
+
+			return testUtil.checkValue('the loaded model', ConfidenceModel.fromCalibrationFile(calibrationPath).toJSON(), fixedModel.toJSON())
+		},
+	},
+	{
+		description: 'Use the default parameters if no calibration file exists.',
+		check: function () {
+			var confidenceModel = ConfidenceModel.fromCalibrationFile(path.join(tmpDir, 'missing-calibration.json'))
+
+			return testUtil.checkValue('the model', confidenceModel.toJSON(), {
+				version: ConfidenceModel.VERSION,
+				weights: ConfidenceModel.DEFAULT_WEIGHTS,
+				bias: ConfidenceModel.DEFAULT_BIAS,
+				maxCostGap: ConfidenceModel.DEFAULT_MAX_COST_GAP,
+			})
+		},
+	},
+	{
+		description: 'Reject a calibration file of another version.',
+		check: function () {
+			var calibrationPath = path.join(tmpDir, 'calibration-v0.json')
+			var calibrationFile = fixedModel.toJSON()
+			calibrationFile.version = ConfidenceModel.VERSION - 1
+			fs.writeFileSync(calibrationPath, JSON.stringify(calibrationFile))
+
+			try {
+				ConfidenceModel.fromCalibrationFile(calibrationPath)
+			} catch (e) {
+				return testUtil.checkValue('the error message', e.message, 'Ill-formed calibration file')
+			}
+
+			return 'Expected an exception for the calibration file of version ' + calibrationFile.version
+		},
+	},
+]
+
+// Remove the calibration files once every check finishes, even if a check throws an exception.
+testUtil.runChecks(checks, function () {
+	fs.rmSync(tmpDir, { recursive: true })
+})
+
+/**
+ * Checks if `value` is a confidence, a number in [0, 1].
+ *
+ * @private
+ * @static
+ * @param {*} value The value to check.
+ * @returns {boolean} Returns `true` if `value` is in [0, 1], else `false`.
+ */
+function isConfidence(value) {
+	return typeof value === 'number' && value >= 0 && value <= 1
+}
\ No newline at end of file
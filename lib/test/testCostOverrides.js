@@ -0,0 +1,228 @@
+/**
+ * Usage
+ *   node testCostOverrides [options]
+ *
+ * Description
+ *   Runs `learnCosts` on a query whose expected semantic the grammar's costs do not rank first, and
+ *   checks the learned costs rank it first. Also checks `StateTable` saves, loads, and applies rule
+ *   cost overrides, and ignores the overrides of another grammar or version.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var childProcess = require('child_process')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Runs `learnCosts` on a query whose expected semantic the grammar\'s costs do not rank first, and checks the learned costs rank it first. Also checks `StateTable` saves, loads, and applies rule cost overrides, and ignores the overrides of another grammar or version.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+
+var grammar = require('../grammar.json')
+var stateTable = new StateTable(grammar)
+
+// The rule whose cost the checks override, and its cost in the grammar.
+var ruleKey = '[start] -> [count-question] [repositories]'
+var grammarCost = stateTable.rulePropsTab[ruleKey].cost
+
+// The directory for the test and cost override files, removed once every check finishes.
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aang-cost-overrides-'))
+
+/**
+ * The checks of learning and overriding rule costs, each with the function
+ * that returns an error message if the costs are incorrect, else `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Learn rule costs that rank an expected semantic first.',
+		check: function () {
+			// The query for which the grammar's costs rank `count-of(repositories-created(me))` first.
+			var query = 'how many repos do I have'
+			var expectedSemantic = 'count-of(repositories-liked(me))'
+
+			var message = testUtil.checkValue('the top semantic with the grammar\'s costs', getTopSemantic(stateTable, query), 'count-of(repositories-created(me))')
+			if (message) return message
+
+			var testsPath = path.join(tmpDir, 'tests.json')
+			var costOverridesPath = path.join(tmpDir, 'costOverrides-learned.json')
+			fs.writeFileSync(testsPath, JSON.stringify([ {
+				query: query,
+				description: 'Check learning the costs that rank the semantic of liked repositories first.',
+				tags: [],
+				topResult: {
+					text: query,
+					semantic: expectedSemantic,
+				},
+				semantics: [],
+			} ]))
+
+			var learnCosts = childProcess.spawnSync(process.execPath, [ require.resolve('./learnCosts'), '--tests=' + testsPath, '--output=' + costOverridesPath ], { encoding: 'utf8' })
+			if (learnCosts.status !== 0) {
+				return 'Expected `learnCosts` to exit with code 0, but received: ' + learnCosts.status + '\n' + learnCosts.stdout + learnCosts.stderr
+			}
+
+			var costOverrides = StateTable.loadCostOverrides(costOverridesPath)
+			if (Object.keys(costOverrides.ruleCosts).length === 0) {
+				return 'Expected `learnCosts` to override rule costs'
+			}
+
+			return testUtil.checkValue('the cost overrides\' version and grammar hash', [ costOverrides.version, costOverrides.grammarHash ], [ StateTable.COST_OVERRIDES_VERSION, stateTable.grammarHash ])
+				|| testUtil.checkValue('the top semantic with the learned costs', getTopSemantic(new StateTable(grammar, { costOverrides: costOverrides }), query), expectedSemantic)
+		},
+	},
+	{
+		description: 'Load the cost overrides `StateTable.saveCostOverrides()` wrote.',
+		check: function () {
+			var costOverridesPath = path.join(tmpDir, 'costOverrides.json')
+			var ruleCosts = createRuleCosts(grammarCost + 1)
+			StateTable.saveCostOverrides(costOverridesPath, ruleCosts, stateTable.grammarHash)
+
+			var costOverrides = StateTable.loadCostOverrides(costOverridesPath)
+
+			return testUtil.checkValue('the loaded cost overrides', costOverrides, {
+				version: StateTable.COST_OVERRIDES_VERSION,
+				grammarHash: stateTable.grammarHash,
+				ruleCosts: ruleCosts,
+			}) || checkRuleCost(new StateTable(grammar, { costOverrides: costOverrides }), grammarCost + 1)
+		},
+	},
+	{
+		description: 'Override rule costs without rebuilding the grammar.',
+		check: function () {
+			stateTable.overrideRuleCosts(createRuleCosts(grammarCost + 2))
+			var message = checkRuleCost(stateTable, grammarCost + 2)
+
+			// Restore the grammar's cost for the other checks.
+			stateTable.overrideRuleCosts(createRuleCosts(grammarCost))
+
+			return message
+		},
+	},
+	{
+		description: 'Reject an unrecognized rule key or a negative cost.',
+		check: function () {
+			return checkOverrideThrows({ '[start] -> [unrecognized]': 1 }, 'Unrecognized rule key')
+				|| checkOverrideThrows(createRuleCosts(-1), 'Ill-formed rule cost')
+		},
+	},
+	{
+		description: 'Ignore the cost overrides of another grammar.',
+		check: function () {
+			return checkRuleCost(new StateTable(grammar, {
+				costOverrides: {
+					version: StateTable.COST_OVERRIDES_VERSION,
+					grammarHash: 'stale',
+					ruleCosts: createRuleCosts(grammarCost + 1),
+				},
+			}), grammarCost)
+		},
+	},
+	{
+		description: 'Ignore the cost overrides of another version.',
+		check: function () {
+			return checkRuleCost(new StateTable(grammar, {
+				costOverrides: {
+					version: StateTable.COST_OVERRIDES_VERSION - 1,
+					grammarHash: stateTable.grammarHash,
+					ruleCosts: createRuleCosts(grammarCost + 1),
+				},
+			}), grammarCost)
+		},
+	},
+]
+
+// Remove the test and cost override files once every check finishes, even if a check throws an exception.
+testUtil.runChecks(checks, function () {
+	fs.rmSync(tmpDir, { recursive: true })
+})
+
+/**
+ * Creates the map of rule keys to costs that overrides the cost of `ruleKey`
+ * with `cost`.
+ *
+ * @private
+ * @static
+ * @param {number} cost The cost of `ruleKey`.
+ * @returns {Object.<string, number>} Returns the map of rule keys to costs.
+ */
+function createRuleCosts(cost) {
+	var ruleCosts = {}
+	ruleCosts[ruleKey] = cost
+	return ruleCosts
+}
+
+/**
+ * Checks the rule `ruleKey` of `stateTable` has the cost, `expectedCost`.
+ *
+ * @private
+ * @static
+ * @param {StateTable} stateTable The state table to check.
+ * @param {number} expectedCost The expected cost.
+ * @returns {string|undefined} Returns an error message if the cost is
+ * incorrect, else `undefined`.
+ */
+function checkRuleCost(stateTable, expectedCost) {
+	return testUtil.checkValue('the cost of ' + util.stylize(ruleKey), stateTable.rulePropsTab[ruleKey].cost, expectedCost)
+}
+
+/**
+ * Checks `StateTable.prototype.overrideRuleCosts()` throws an exception with
+ * the message, `expectedMessage`, for `ruleCosts`.
+ *
+ * @private
+ * @static
+ * @param {Object.<string, number>} ruleCosts The map of rule keys to costs.
+ * @param {string} expectedMessage The expected error message.
+ * @returns {string|undefined} Returns an error message if the method does not
+ * throw the exception, else `undefined`.
+ */
+function checkOverrideThrows(ruleCosts, expectedMessage) {
+	try {
+		stateTable.overrideRuleCosts(ruleCosts)
+	} catch (e) {
+		return testUtil.checkValue('the error message', e.message, expectedMessage)
+	}
+
+	return 'Expected an exception for the cost overrides: ' + util.stylize(ruleCosts)
+}
+
+/**
+ * Gets the semantic of the top parse tree of `query`.
+ *
+ * @private
+ * @static
+ * @param {StateTable} stateTable The state table with which to parse `query`.
+ * @param {string} query The query to parse.
+ * @returns {string|undefined} Returns the semantic of the top tree, if any.
+ */
+function getTopSemantic(stateTable, query) {
+	var trees = new Parser(stateTable).parse(query, 1).trees
+	return trees && trees[0] && trees[0].semanticStr
+}
\ No newline at end of file
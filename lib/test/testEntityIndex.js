@@ -0,0 +1,204 @@
+/**
+ * Usage
+ *   node testEntityIndex [options]
+ *
+ * Description
+ *   Builds the entity index of the grammar with `buildEntityIndex`, restores it with
+ *   `EntityIndex.load()`, and checks its lookups, searches, and entity recognition when parsing.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var childProcess = require('child_process')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Builds the entity index of the grammar with `buildEntityIndex`, restores it with `EntityIndex.load()`, and checks its lookups, searches, and entity recognition when parsing.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var EntityIndex = require('../parse/EntityIndex')
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+
+var grammarPath = require.resolve('../grammar.json')
+
+// The index of the grammar's entities and terminal symbols, built in-process from a separate copy of the grammar because `EntityIndex.fromGrammar()` modifies the grammar's entities.
+var builtIndex = EntityIndex.fromGrammar(JSON.parse(fs.readFileSync(grammarPath, 'utf8')))
+
+// The directory for the index file, removed once every check finishes.
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aang-entity-index-'))
+var indexPath = path.join(tmpDir, 'entityIndex.json')
+
+var buildIndex = childProcess.spawnSync(process.execPath, [ require.resolve('../db/buildEntityIndex'), '--grammar=' + grammarPath, '--output=' + indexPath ], { encoding: 'utf8' })
+if (buildIndex.status !== 0) {
+	util.logError('Failed to build the entity index:')
+	util.log(buildIndex.stdout + buildIndex.stderr)
+	fs.rmSync(tmpDir, { recursive: true })
+	process.exit(1)
+}
+
+var indexFile = JSON.parse(fs.readFileSync(indexPath, 'utf8'))
+var index = EntityIndex.load(indexPath)
+
+/**
+ * The checks of the entity index, each with the function that returns an
+ * error message if the index is incorrect, else `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Index the entities and terminal symbols of the grammar.',
+		check: function () {
+			var expectedOutput = 'Indexed ' + builtIndex.entities.length + ' entities and ' + builtIndex.terminalSymbols.length + ' terminal symbols'
+			if (buildIndex.stdout.indexOf(expectedOutput) === -1) {
+				return 'Expected `buildEntityIndex` to print "' + expectedOutput + '", but received: ' + util.stylize(buildIndex.stdout)
+			}
+
+			if (indexFile.version !== EntityIndex.VERSION) {
+				return 'Expected index file version ' + EntityIndex.VERSION + ', but received: ' + util.stylize(indexFile.version)
+			}
+		},
+	},
+	{
+		description: 'Restore the index the file saves.',
+		check: function () {
+			if (!util.arraysEqual(index.tokens, builtIndex.tokens) || !util.arraysEqual(index.terminalSymbols, builtIndex.terminalSymbols) || index.entities.length !== builtIndex.entities.length) {
+				return 'Expected the restored index to have the same tokens, terminal symbols, and entities as the built index'
+			}
+
+			// "Marvin Minsky" is indexed by both "marvin" and "minsky".
+			var marvinEntities = index.lookup('marvin', '{user}')
+			var minskyEntities = index.lookup('minsky', '{user}')
+			if (!marvinEntities || !minskyEntities || marvinEntities[0] !== minskyEntities[0]) {
+				return 'Expected the tokens of a multi-token entity to map to the same entity object'
+			}
+		},
+	},
+	{
+		description: 'Look up the entities that contain a token.',
+		check: function () {
+			return testUtil.checkValue('lookup(\'china\')', getTexts(index.lookup('china')), [ 'Beijing, China', 'China', 'Shanghai, China' ])
+				|| testUtil.checkValue('lookup(\'china\', \'{country}\')', getTexts(index.lookup('china', '{country}')), [ 'China' ])
+				|| testUtil.checkValue('lookup(\'china\', \'{language}\')', index.lookup('china', '{language}'), undefined)
+		},
+	},
+	{
+		description: 'Look up the entity tokens that begin with a prefix.',
+		check: function () {
+			return testUtil.checkValue('prefixLookup(\'java\')', index.prefixLookup('java'), [ 'javascript' ])
+				|| testUtil.checkValue('prefixLookup(\'c\', \'{region}\')', index.prefixLookup('c', '{region}'), [ 'ca', 'california' ])
+		},
+	},
+	{
+		description: 'Look up the tokens similar to a misspelled token by character n-grams.',
+		check: function () {
+			var matches = index.ngramLookup('javascrpt')
+			return testUtil.checkValue('ngramLookup(\'javascrpt\')[0].word', matches[0] && matches[0].word, 'javascript')
+		},
+	},
+	{
+		description: 'Search for an entity by a misspelled name.',
+		check: function () {
+			return checkTopResult('javascrpt', undefined, 'JavaScript', '{language}')
+		},
+	},
+	{
+		description: 'Search for an entity by part of its name.',
+		check: function () {
+			return checkTopResult('john von', undefined, 'John von Neumann', '{user}')
+		},
+	},
+	{
+		description: 'Search for a terminal symbol.',
+		check: function () {
+			return checkTopResult('repo', undefined, 'repo', undefined)
+		},
+	},
+	{
+		description: 'Search for the entities of a category.',
+		check: function () {
+			var results = index.search('cali', { category: '{region}' })
+			var otherCategory = results.some(function (result) {
+				return result.category !== '{region}'
+			})
+
+			if (otherCategory) {
+				return 'Expected only results of the category \'{region}\''
+			}
+
+			return checkTopResult('cali', { category: '{region}' }, 'California', '{region}')
+		},
+	},
+	{
+		description: 'Recognize entities in input with the restored index.',
+		check: function () {
+			var parser = new Parser(new StateTable(require(grammarPath), { entityIndex: index }))
+			var topTree = parser.parse('repos liked by john von neumann', 1).trees[0]
+			return testUtil.checkValue('the top result of "repos liked by john von neumann"', topTree && [ topTree.text, topTree.semanticStr ], [ 'repos liked by John von Neumann', 'repositories-liked(3)' ])
+		},
+	},
+]
+
+// Remove the temporary files once every check finishes, even if a check throws an exception.
+testUtil.runChecks(checks, function () {
+	fs.rmSync(tmpDir, { recursive: true })
+})
+
+/**
+ * Checks the top result of searching the index for `query` has the text,
+ * `expectedText`, and entity category, `expectedCategory`.
+ *
+ * @private
+ * @static
+ * @param {string} query The text to search for.
+ * @param {Object} [options] The `EntityIndex.prototype.search()` options
+ * object.
+ * @param {string} expectedText The expected text of the top result.
+ * @param {string} [expectedCategory] The expected entity category of the top
+ * result, if an entity.
+ * @returns {string|undefined} Returns an error message if the top result is
+ * incorrect, else `undefined`.
+ */
+function checkTopResult(query, options, expectedText, expectedCategory) {
+	var topResult = index.search(query, options)[0]
+	return testUtil.checkValue('the top search result for "' + query + '"', topResult && [ topResult.text, topResult.category ], [ expectedText, expectedCategory ])
+}
+
+/**
+ * Gets the sorted display texts of `entities`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} [entities] The entities.
+ * @returns {string[]|undefined} Returns the sorted display texts, or
+ * `undefined` if `entities` is `undefined`.
+ */
+function getTexts(entities) {
+	return entities && entities.map(function (entity) {
+		return entity.text
+	}).sort()
+}
\ No newline at end of file
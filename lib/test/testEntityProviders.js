@@ -0,0 +1,199 @@
+/**
+ * Usage
+ *   node testEntityProviders [options]
+ *
+ * Description
+ *   Builds the grammar with the bundled gist grammar spec, with the gist category's entities
+ *   supplied at runtime instead of built into the grammar, and checks `Parser` matches, completes,
+ *   and corrects the entities that `MemoryEntityProvider` and `FileEntityProvider` supply, including
+ *   after replacing them.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var childProcess = require('child_process')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Builds the grammar with the bundled gist grammar spec, with the gist category\'s entities supplied at runtime instead of built into the grammar, and checks `Parser` matches, completes, and corrects the entities that `MemoryEntityProvider` and `FileEntityProvider` supply, including after replacing them.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+var MemoryEntityProvider = require('../parse/MemoryEntityProvider')
+var FileEntityProvider = require('../parse/FileEntityProvider')
+
+// The directory for the grammar and entity files, removed once every check finishes.
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aang-entity-providers-'))
+
+// Build the grammar with the gist category of the bundled grammar spec, with its entities removed for entity providers to supply at runtime.
+var spec = require('../grammar/specs/gist.json')
+var gistCategorySpec = spec.categories[0]
+delete gistCategorySpec.entities
+gistCategorySpec.runtimeEntities = true
+
+var specPath = path.join(tmpDir, 'gist.json')
+var grammarPath = path.join(tmpDir, 'grammar.json')
+fs.writeFileSync(specPath, JSON.stringify(spec))
+
+var build = childProcess.spawnSync(process.execPath, [ require.resolve('../grammar/buildGrammar'), '--spec=' + specPath, '--output=' + grammarPath, '--quiet' ], { encoding: 'utf8' })
+if (build.status !== 0) {
+	util.logError('Failed to build the grammar with runtime entities:')
+	util.log(build.stdout + build.stderr)
+	fs.rmSync(tmpDir, { recursive: true })
+	process.exit(1)
+}
+
+var stateTable = new StateTable(require(grammarPath))
+
+// The gist spec's entities, which the providers supply.
+var gistEntities = [
+	{ id: 'dotfiles', display: 'dotfiles', names: [ 'dotfiles', 'dots' ] },
+	{ id: 'vimrc', display: 'vimrc' },
+]
+
+var memoryProvider = new MemoryEntityProvider({ '{gist}': gistEntities })
+var memoryParser = new Parser(stateTable, { entityProviders: [ memoryProvider ] })
+
+var entityFilePath = path.join(tmpDir, 'entities.json')
+fs.writeFileSync(entityFilePath, JSON.stringify({ '{gist}': gistEntities }))
+var fileProvider = new FileEntityProvider(entityFilePath)
+var fileParser = new Parser(stateTable, { entityProviders: [ fileProvider ] })
+
+/**
+ * The checks of the entity providers, run in order, each with the function
+ * that returns an error message if the parse results are incorrect, else
+ * `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Exclude the entities of a runtime category without entity providers.',
+		check: function () {
+			return checkLacksSemantic(new Parser(stateTable), 'people who like vimrc', 'gist-likers(vimrc)')
+		},
+	},
+	{
+		description: 'Look up an entity by name.',
+		check: function () {
+			return checkTopTree(memoryParser, 'people who like vimrc', 'people who like vimrc', 'gist-likers(vimrc)')
+		},
+	},
+	{
+		description: 'Substitute the display text for an entity\'s other names.',
+		check: function () {
+			return checkTopTree(memoryParser, 'people who like dots', 'people who like dotfiles', 'gist-likers(dotfiles)')
+		},
+	},
+	{
+		description: 'Complete a partially typed entity name.',
+		check: function () {
+			return checkTopTree(memoryParser, 'people who like vim', 'people who like vimrc', 'gist-likers(vimrc)', { complete: true })
+		},
+	},
+	{
+		description: 'Correct a misspelled entity name.',
+		check: function () {
+			return checkTopTree(memoryParser, 'people who like vimrx', 'people who like vimrc', 'gist-likers(vimrc)')
+		},
+	},
+	{
+		description: 'Replace the entities of a category.',
+		check: function () {
+			memoryProvider.setEntities('{gist}', [ { id: 'tmux-conf', display: 'tmux conf' } ])
+
+			return checkTopTree(memoryParser, 'people who like tmux conf', 'people who like tmux conf', 'gist-likers(tmux-conf)')
+				|| checkLacksSemantic(memoryParser, 'people who like vimrc', 'gist-likers(vimrc)')
+		},
+	},
+	{
+		description: 'Load entities from a file.',
+		check: function () {
+			return checkTopTree(fileParser, 'people who like dots', 'people who like dotfiles', 'gist-likers(dotfiles)')
+		},
+	},
+	{
+		description: 'Reload entities after the file changes.',
+		check: function () {
+			fs.writeFileSync(entityFilePath, JSON.stringify({ '{gist}': [ { id: 'zshrc', display: 'zshrc' } ] }))
+			fileProvider.reload()
+
+			return checkTopTree(fileParser, 'people who like zshrc', 'people who like zshrc', 'gist-likers(zshrc)')
+				|| checkLacksSemantic(fileParser, 'people who like dots', 'gist-likers(dotfiles)')
+		},
+	},
+]
+
+// Remove the temporary files once every check finishes, even if a check throws an exception.
+testUtil.runChecks(checks, function () {
+	fs.rmSync(tmpDir, { recursive: true })
+})
+
+/**
+ * Checks the top parse tree of `query` has the display text, `expectedText`,
+ * and semantic, `expectedSemantic`.
+ *
+ * @private
+ * @static
+ * @param {Parser} parser The parser with which to parse `query`.
+ * @param {string} query The query to parse.
+ * @param {string} expectedText The expected display text of the top tree.
+ * @param {string} expectedSemantic The expected semantic of the top tree.
+ * @param {Object} [options] The `Parser.prototype.parse()` options object.
+ * @returns {string|undefined} Returns an error message if the top tree is
+ * incorrect, else `undefined`.
+ */
+function checkTopTree(parser, query, expectedText, expectedSemantic, options) {
+	var trees = parser.parse(query, 1, options).trees
+	var topTree = trees && trees[0]
+	if (!topTree || topTree.text !== expectedText || topTree.semanticStr !== expectedSemantic) {
+		return 'Expected top result "' + expectedText + '" with `' + expectedSemantic + '` for ' + util.stylize(query) + ', but received: ' + (topTree ? util.stylize(topTree.text) + ' `' + topTree.semanticStr + '`' : 'no results')
+	}
+}
+
+/**
+ * Checks no parse tree of `query` within the 10-best has the semantic,
+ * `semanticStr`.
+ *
+ * @private
+ * @static
+ * @param {Parser} parser The parser with which to parse `query`.
+ * @param {string} query The query to parse.
+ * @param {string} semanticStr The semantic the parse trees must lack.
+ * @returns {string|undefined} Returns an error message if a tree has
+ * `semanticStr`, else `undefined`.
+ */
+function checkLacksSemantic(parser, query, semanticStr) {
+	var trees = parser.parse(query, 10).trees || []
+	var hasSemantic = trees.some(function (tree) {
+		return tree.semanticStr === semanticStr
+	})
+
+	if (hasSemantic) {
+		return 'Expected no result with `' + semanticStr + '` for ' + util.stylize(query)
+	}
+}
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Usage
+ *   node testExecutor [options]
+ *
+ * Description
+ *   Executes semantics against the reference dataset and checks `Executor` returns the records,
+ *   numbers, and answers derived by hand from the dataset, resolves relative dates from its
+ *   reference date, and rejects ill-formed semantics and handlers.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Executes semantics against the reference dataset and checks `Executor` returns the records, numbers, and answers derived by hand from the dataset, resolves relative dates from its reference date, and rejects ill-formed semantics and handlers.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var Executor = require('../execute/Executor')
+var semantic = require('../grammar/semantic')
+
+var dataset = require('../execute/dataset.json')
+var entitySets = require('../grammar.json').entitySets
+
+var executor = createExecutor()
+
+// The entity ids of the users and languages the semantics reference, which the grammar assigns.
+var danny = getEntityId('danny')
+var aang = getEntityId('aang')
+var python = getEntityId('python')
+var ruby = getEntityId('ruby')
+
+/**
+ * The checks of the executor, each with the function that returns an error
+ * message if the executor is incorrect, else `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Execute a semantic and its string representation.',
+		check: function () {
+			var semanticStr = 'repositories-liked(me)'
+
+			return checkRecordIds(semanticStr, [ 'd3', 'node', 'smalltalk' ])
+				|| testUtil.checkValue('the records of the parsed semantic', executor.execute(semantic.stringToObject(semanticStr)), executor.execute(semanticStr))
+		},
+	},
+	{
+		description: 'Evaluate entity arguments to the records with their names.',
+		check: function () {
+			return checkRecordIds('followers(' + danny + ')', [ 'aang', 'ada', 'grace', 'john' ])
+				|| checkRecordIds('repositories-created(' + aang + ')', [ 'd3' ])
+		},
+	},
+	{
+		description: 'Evaluate `intersect()`, `union()`, and `not()`.',
+		check: function () {
+			return checkRecordIds('intersect(followers(me),users-followed(me))', [ 'danny' ])
+				|| checkRecordIds('union(followers(me),users-followed(me))', [ 'aang', 'alan', 'danny', 'elizabeth', 'grace', 'marvin' ])
+				|| checkRecordIds('not(users-gender(male))', [ 'ada', 'elizabeth', 'grace' ])
+		},
+	},
+	{
+		description: 'Order records with `order-by()`, and limit them with `limit()` and `nth()`.',
+		check: function () {
+			return testUtil.checkValue('the ordered records', getIds(executor.execute('intersect(limit(2),order-by(repositories-created-date(asc)),repositories-created(me))')), [ 'analytical-engine', 'notes' ])
+				|| testUtil.checkValue('the nth record', getIds(executor.execute('intersect(nth(3),order-by(repositories-created-date(asc)),repositories-created(me))')), [ 'node-fork' ])
+				|| checkExecuteThrows('intersect(limit(2),repositories-created(me))', 'Ill-formed semantic')
+		},
+	},
+	{
+		description: 'Evaluate `count-of()`, `sum-of()`, and `avg-of()` to numbers.',
+		check: function () {
+			return testUtil.checkValue('the count of my followers', executor.execute('count-of(followers(me))'), 3)
+				|| testUtil.checkValue('the total size of my repos', executor.execute('sum-of(repositories-size(repositories-created(me)))'), 120432)
+				|| testUtil.checkValue('the average comments of my issues', executor.execute('avg-of(issues-comment-count(issues-opened(me)))'), 1.5)
+				|| testUtil.checkValue('the total size of no repos', executor.execute('sum-of(repositories-size(intersect(repositories-created(' + aang + '),repositories-created(me))))'), null)
+		},
+	},
+	{
+		description: 'Answer `member()` and `exists()` questions.',
+		check: function () {
+			return testUtil.checkValue('whether Danny follows me', executor.execute('member(' + danny + ',followers(me))'), true)
+				|| testUtil.checkValue('whether Aang follows me', executor.execute('member(' + aang + ',followers(me))'), false)
+				|| testUtil.checkValue('whether I created a Python repo', executor.execute('exists(intersect(repositories-created(me),repositories-language(' + python + ')))'), true)
+				|| testUtil.checkValue('whether I created a Ruby repo', executor.execute('exists(intersect(repositories-created(me),repositories-language(' + ruby + ')))'), false)
+		},
+	},
+	{
+		description: 'Resolve relative dates from the reference date.',
+		check: function () {
+			var semanticStr = 'repositories-created-date(date-since(days-ago(3)))'
+
+			return checkRecordIds(semanticStr, [ 'node-fork' ])
+				|| testUtil.checkValue('the records a month after the dataset\'s reference date', getIds(createExecutor({ referenceDate: new Date(Date.UTC(2016, 6, 15)) }).execute(semanticStr)), [])
+		},
+	},
+	{
+		description: 'Override a handler with `Executor.prototype.addHandler()`.',
+		check: function () {
+			var customExecutor = createExecutor().addHandler('repositories-liked', {
+				category: 'repositories',
+				exec: function () {
+					return [ this.getRecord('repositories', 'lisp') ]
+				},
+			})
+
+			return testUtil.checkValue('the records of the overridden handler', getIds(customExecutor.execute('repositories-liked(me)')), [ 'lisp' ])
+				|| checkRecordIds('repositories-liked(me)', [ 'd3', 'node', 'smalltalk' ])
+		},
+	},
+	{
+		description: 'Reject ill-formed handlers and options.',
+		check: function () {
+			return checkThrows(function () {
+				createExecutor().addHandler('repositories-liked', { category: 'repos', exec: function () {} })
+			}, 'Ill-formed semantic handler')
+				|| checkThrows(function () {
+					new Executor({ dataset: {} })
+				}, 'Ill-formed Executor')
+		},
+	},
+	{
+		description: 'Reject semantics of unrecognized functions and mismatched categories.',
+		check: function () {
+			// Build the semantic tree because `semantic.stringToObject()` rejects unrecognized functions.
+			var unrecognizedSemantic = [ { semantic: { name: 'users-unrecognized' }, children: semantic.stringToObject('me') } ]
+
+			return checkThrows(function () {
+				executor.execute(unrecognizedSemantic)
+			}, 'Unrecognized semantic function')
+				|| checkExecuteThrows('intersect(followers(me),repositories-liked(me))', 'Ill-formed semantic')
+				|| checkExecuteThrows('repositories-created(' + python + ')', 'Ill-formed semantic')
+		},
+	},
+]
+
+testUtil.runChecks(checks)
+
+/**
+ * Creates an `Executor` for the reference dataset and the grammar's entities.
+ *
+ * @private
+ * @static
+ * @param {Object} [options] The `Executor()` options object to merge.
+ * @returns {Executor} Returns the new `Executor`.
+ */
+function createExecutor(options) {
+	return new Executor(Object.assign({
+		dataset: dataset,
+		entitySets: entitySets,
+	}, options))
+}
+
+/**
+ * Gets the id of the entity the grammar defines with the token `token`.
+ *
+ * @private
+ * @static
+ * @param {string} token The entity token.
+ * @returns {string} Returns the entity id.
+ */
+function getEntityId(token) {
+	return entitySets[token][0].id
+}
+
+/**
+ * Gets the `id`s of `records`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} records The records to map.
+ * @returns {string[]} Returns the record `id`s.
+ */
+function getIds(records) {
+	return records.map(function (record) {
+		return record.id
+	})
+}
+
+/**
+ * Checks the records `executor` returns for `semanticStr` have the `id`s,
+ * `expectedIds`, irrespective of order.
+ *
+ * @private
+ * @static
+ * @param {string} semanticStr The semantic to execute.
+ * @param {string[]} expectedIds The expected record `id`s.
+ * @returns {string|undefined} Returns an error message if the records are
+ * incorrect, else `undefined`.
+ */
+function checkRecordIds(semanticStr, expectedIds) {
+	return testUtil.checkValue('the records of ' + util.stylize(semanticStr), getIds(executor.execute(semanticStr)).sort(), expectedIds.slice().sort())
+}
+
+/**
+ * Checks `executor` throws an exception with the message, `expectedMessage`,
+ * for `semanticStr`.
+ *
+ * @private
+ * @static
+ * @param {string} semanticStr The semantic to execute.
+ * @param {string} expectedMessage The expected error message.
+ * @returns {string|undefined} Returns an error message if `executor` does
+ * not throw the exception, else `undefined`.
+ */
+function checkExecuteThrows(semanticStr, expectedMessage) {
+	return checkThrows(function () {
+		executor.execute(semanticStr)
+	}, expectedMessage)
+}
+
+/**
+ * Checks `func` throws an exception with the message, `expectedMessage`.
+ *
+ * @private
+ * @static
+ * @param {Function} func The function to invoke.
+ * @param {string} expectedMessage The expected error message.
+ * @returns {string|undefined} Returns an error message if `func` does not
+ * throw the exception, else `undefined`.
+ */
+function checkThrows(func, expectedMessage) {
+	try {
+		func()
+	} catch (e) {
+		return testUtil.checkValue('the error message', e.message, expectedMessage)
+	}
+
+	return 'Expected an exception with the message: ' + util.stylize(expectedMessage)
+}
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * Usage
+ *   node testParserPool [options]
+ *
+ * Description
+ *   Starts `ParserPool` instances of one worker and checks they parse queries with dialogue
+ *   context, reject queries once the queue is full, replace a worker that crashes, and settle every
+ *   pending query when closed.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Starts `ParserPool` instances of one worker and checks they parse queries with dialogue context, reject queries once the queue is full, replace a worker that crashes, and settle every pending query when closed.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var ParserPool = require('../parse/ParserPool')
+
+// The pools the checks start, closed once every check finishes.
+var pools = []
+
+/**
+ * The checks of the parser pool, each with the function that returns a
+ * promise for an error message if the pool is incorrect, else `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Parse a query.',
+		check: function () {
+			var pool = createPool()
+
+			return pool.ready().then(function () {
+				return pool.parse('repos I like', 1)
+			}).then(function (parseResults) {
+				return checkTopTree(parseResults, 'repos I like', 'repositories-liked(me)')
+			})
+		},
+	},
+	{
+		description: 'Parse a query with the dialogue context of previous queries.',
+		check: function () {
+			var pool = createPool()
+
+			return pool.parse('those he likes', 1, { contextQueries: [ 'repos Danny created' ] }).then(function (parseResults) {
+				return checkTopTree(parseResults, 'those he likes', 'intersect(repositories-created(0),repositories-liked(0))')
+			})
+		},
+	},
+	{
+		description: 'Reject a query once the queue holds `maxQueueLength` queries.',
+		check: function () {
+			var pool = createPool({ maxQueueLength: 1 })
+
+			// The queue holds every query until the worker loads the grammar.
+			var queuedParse = pool.parse('repos I like', 1)
+
+			return settle(pool.parse('people I follow', 1)).then(function (result) {
+				return checkRejection('the query beyond `maxQueueLength`', result, 'Parser pool queue is full')
+					|| settle(queuedParse).then(function (queuedResult) {
+						return queuedResult.error && 'Expected the queued query to parse, but received: ' + queuedResult.error.message
+					})
+			})
+		},
+	},
+	{
+		description: 'Replace a worker that crashes, and reject its query.',
+		check: function () {
+			var pool = createPool()
+
+			return pool.ready().then(function () {
+				var crashedWorker = pool.workers[0]
+				var crashedParse = settle(pool.parse('repos I like', 1))
+				crashedWorker.worker.terminate()
+
+				return crashedParse.then(function (result) {
+					return checkRejection('the crashed worker\'s query', result, 'Parser worker exited with code 1')
+						|| pool.parse('people I follow', 1).then(function (parseResults) {
+							return testUtil.checkValue('the number of workers', pool.workers.length, 1)
+								|| testUtil.checkValue('whether the crashed worker was replaced', pool.workers[0] !== crashedWorker, true)
+								|| checkTopTree(parseResults, 'people I follow', 'users-followed(me)')
+						})
+				})
+			})
+		},
+	},
+	{
+		description: 'Reject the queued queries and new queries when closed.',
+		check: function () {
+			var pool = createPool()
+
+			var queuedParses = [ 'repos I like', 'people I follow' ].map(function (query) {
+				return settle(pool.parse(query, 1))
+			})
+
+			return pool.close().then(function () {
+				return Promise.all(queuedParses.concat(settle(pool.ready()), settle(pool.parse('repos I like', 1))))
+			}).then(function (results) {
+				for (var r = 0, resultsLen = results.length; r < resultsLen; ++r) {
+					var message = checkRejection('the pending query', results[r], 'Parser pool is closed')
+					if (message) return message
+				}
+			})
+		},
+	},
+	{
+		description: 'Settle the query in progress when closed.',
+		check: function () {
+			var pool = createPool()
+
+			return pool.ready().then(function () {
+				var parse = settle(pool.parse('repos I like', 1))
+
+				return pool.close().then(function () {
+					return parse
+				})
+			}).then(function (result) {
+				// The worker either finishes the query before it exits or rejects it.
+				return result.error ? checkRejection('the query in progress', result, 'Parser pool is closed') : checkTopTree(result.value, 'repos I like', 'repositories-liked(me)')
+			})
+		},
+	},
+]
+
+// Close every pool once every check finishes, even if a check throws an exception.
+testUtil.runChecks(checks, function () {
+	pools.forEach(function (pool) {
+		pool.close()
+	})
+})
+
+/**
+ * Creates a `ParserPool` of one worker, which the checks close when finished.
+ *
+ * @private
+ * @static
+ * @param {Object} [options] The `ParserPool()` options object.
+ * @returns {ParserPool} Returns the new `ParserPool`.
+ */
+function createPool(options) {
+	var pool = new ParserPool(Object.assign({ size: 1 }, options))
+	pools.push(pool)
+	return pool
+}
+
+/**
+ * Gets a promise fulfilled with the outcome of `promise`, as `{ value }` if
+ * resolved or `{ error }` if rejected.
+ *
+ * @private
+ * @static
+ * @param {Promise} promise The promise to settle.
+ * @returns {Promise} Returns the promise for the outcome.
+ */
+function settle(promise) {
+	return promise.then(function (value) {
+		return { value: value }
+	}, function (error) {
+		return { error: error }
+	})
+}
+
+/**
+ * Checks `result`, the outcome `settle()` returns of the promise that
+ * `description` describes, is a rejection with the message,
+ * `expectedMessage`.
+ *
+ * @private
+ * @static
+ * @param {string} description The description of the promise.
+ * @param {Object} result The outcome of the promise.
+ * @param {string} expectedMessage The expected error message.
+ * @returns {string|undefined} Returns an error message if `result` is not the
+ * expected rejection, else `undefined`.
+ */
+function checkRejection(description, result, expectedMessage) {
+	return testUtil.checkValue('the rejection of ' + description, result.error && result.error.message, expectedMessage)
+}
+
+/**
+ * Checks the top parse tree of `parseResults` has the display text,
+ * `expectedText`, and semantic, `expectedSemantic`.
+ *
+ * @private
+ * @static
+ * @param {Object} parseResults The parse results the pool returned.
+ * @param {string} expectedText The expected display text of the top tree.
+ * @param {string} expectedSemantic The expected semantic of the top tree.
+ * @returns {string|undefined} Returns an error message if the top tree is
+ * incorrect, else `undefined`.
+ */
+function checkTopTree(parseResults, expectedText, expectedSemantic) {
+	var topTree = parseResults.trees && parseResults.trees[0]
+	return testUtil.checkValue('the top result', topTree && [ topTree.text, topTree.semanticStr ], [ expectedText, expectedSemantic ])
+}
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * Usage
+ *   node testSQL [options] [<tag> ...]
+ *
+ * Description
+ *   Compiles the expected semantics of the tests in the test suite to SQL with `SQLCompiler`, runs
+ *   the SQL against an in-process SQLite database populated with the reference dataset, and
+ *   checks the rows match the records `Executor` returns for the same semantics and each test's
+ *   expected answer, if any. Checks the order of the rows of semantics with `order-by()`,
+ *   `limit()`, or `nth()`.
+ *
+ *   For each provided <tag>, only checks tests with that tag. If none, uses the entire test
+ *   suite. If <tag> is unrecognized, exits the process.
+ *
+ * Options
+ *   -p, --print-sql  Print the compiled SQL of each semantic.                          [boolean]
+ *   -h, --help       Display this screen.                                              [boolean]
+ */
+
+var util = require('../util/util')
+var fs = require('fs')
+
+var tests = require('./tests.json')
+var testUtil = require('./testUtil')
+
+var yargs = require('yargs')
+var argv = yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options] [<tag> ...]',
+		'',
+		util.colors.bold('Description'),
+		'  Compiles the expected semantics of the tests in the test suite to SQL with `SQLCompiler`, runs the SQL against an in-process SQLite database populated with the reference dataset, and checks the rows match the records `Executor` returns for the same semantics and each test\'s expected answer, if any. Checks the order of the rows of semantics with `order-by()`, `limit()`, or `nth()`.',
+		'',
+		'  For each provided <tag>, only checks tests with that tag. If none, uses the entire test suite. If <tag> is unrecognized, exits the process.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.options({
+		'p': {
+			alias: 'print-sql',
+			description: 'Print the compiled SQL of each semantic.',
+			type: 'boolean',
+		},
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+// Check for ill-formed and duplicate tests in the test suite, and exit process with error code `1` if found.
+require('./validateTests')(require.resolve('./tests.json'))
+
+// For each `<tag>` passed as a command line argument, only check tests with that tag.
+if (argv._.length > 0) {
+	tests = testUtil.filterTestsByTags(tests, argv._)
+}
+
+var Executor = require('../execute/Executor')
+var SQLCompiler = require('../execute/SQLCompiler')
+var datasetToSQL = require('../execute/datasetToSQL')
+var argUtil = require('../execute/argUtil')
+var semantic = require('../grammar/semantic')
+
+var dataset = require('../execute/dataset.json')
+var grammar = require('../grammar.json')
+var entitySets = grammar.entitySets
+
+var executor = new Executor({
+	dataset: dataset,
+	entitySets: entitySets,
+})
+
+var sqlCompiler = new SQLCompiler({
+	semantics: grammar.semantics,
+	tables: grammar.sqlTables,
+	entitySets: entitySets,
+	me: dataset.me,
+	referenceDate: executor.referenceDate,
+})
+
+require('sql.js')().then(function (SQL) {
+	// Create the database from the schema and populate it with the reference dataset.
+	var db = new SQL.Database()
+	db.run(fs.readFileSync(require.resolve('../execute/schema.sql'), 'utf8'))
+	datasetToSQL(dataset).forEach(function (statement) {
+		db.run(statement.sql, statement.params)
+	})
+
+	var semanticsChecked = 0
+	var semanticsFailed = 0
+
+	tests.forEach(function (test) {
+		var semanticStrs = test.semantics.slice()
+		if (test.topResult && semanticStrs.indexOf(test.topResult.semantic) === -1) {
+			semanticStrs.unshift(test.topResult.semantic)
+		}
+
+		semanticStrs.forEach(function (semanticStr) {
+			// Skip the semantics with dates that do not exist relative to the reference date (e.g., "February 29 last year" in a year after a common year), which `pfsearch` discards when parsing with a reference date, and which the test suite's parses without one keep.
+			if (argUtil.hasImpossibleDate(semantic.stringToObject(semanticStr), executor.referenceDate)) {
+				return
+			}
+
+			++semanticsChecked
+
+			var compiled = sqlCompiler.compile(semanticStr)
+			if (argv.printSql) {
+				util.log(util.colors.bold(semanticStr))
+				util.log('  ' + compiled.sql)
+				util.log('  ', compiled.params)
+			}
+
+			// Compare the rows of ordered semantics in order.
+			var isOrdered = isOrderedSemantic(semanticStr)
+			var actual = selectIds(db, compiled, isOrdered)
+			// Aggregate semantics (e.g., `count-of()`) return a number instead of records, and compile to a query that selects the number. Yes/no question semantics (e.g., `member()`) return a boolean, which SQLite represents as 1 or 0.
+			var result = executor.execute(semanticStr)
+			var expected = Array.isArray(result) ? getRecordIds(result, isOrdered) : [ toSQLValue(result) ]
+
+			if (!util.arraysEqual(expected, actual)) {
+				printFailure(test, semanticStr, 'Executor', expected, actual)
+				++semanticsFailed
+			} else if (test.topResult && test.topResult.answer && semanticStr === test.topResult.semantic) {
+				var answer = test.topResult.answer.map(toSQLValue).sort()
+				if (!util.arraysEqual(answer, actual.slice().sort())) {
+					printFailure(test, semanticStr, 'answer', answer, actual)
+					++semanticsFailed
+				}
+			}
+		})
+	})
+
+	db.close()
+
+	util.log()
+	if (semanticsFailed) {
+		util.logError('Failed', semanticsFailed, 'of', semanticsChecked, 'semantics')
+		process.exitCode = 1
+	} else {
+		util.logSuccess('Passed', semanticsChecked, semanticsChecked === 1 ? 'semantic' : 'semantics')
+	}
+	util.log()
+}).catch(function (err) {
+	util.logError(err.stack || err)
+	process.exitCode = 1
+})
+
+/**
+ * Checks if `semanticStr` orders the records it returns, which is if it or the arguments of its root `intersect()` contain `order-by()`, `limit()`, or `nth()`. The records of ordering semantics nested within other semantics (e.g., `repositories-liked(intersect(followers(me),nth(3)))`) are unordered.
+ *
+ * @private
+ * @static
+ * @param {string} semanticStr The semantic string to inspect.
+ * @returns {boolean} Returns `true` if `semanticStr` orders its records, else `false`.
+ */
+function isOrderedSemantic(semanticStr) {
+	var rootIntersect = /^intersect\((.*)\)$/.exec(semanticStr)
+	var args = rootIntersect ? rootIntersect[1] : semanticStr
+	var depth = 0
+
+	for (var i = 0, argsLen = args.length; i < argsLen; ++i) {
+		// Check each argument at the top level.
+		if (depth === 0 && (i === 0 || args[i - 1] === ',') && /^(order-by|limit|nth)\(/.test(args.slice(i))) {
+			return true
+		}
+
+		if (args[i] === '(') {
+			++depth
+		} else if (args[i] === ')') {
+			--depth
+		}
+	}
+
+	return false
+}
+
+/**
+ * Runs the compiled SQL query on `db` and gets the sorted `id`s of the rows, or the single value of an aggregate semantic's query.
+ *
+ * @private
+ * @static
+ * @param {Object} db The `sql.js` database.
+ * @param {Object} compiled The SQL query and parameters returned by `SQLCompiler.prototype.compile()`.
+ * @param {boolean} [isOrdered] Specify keeping the order of the rows instead of sorting the `id`s.
+ * @returns {Array} Returns the row `id`s or value.
+ */
+function selectIds(db, compiled, isOrdered) {
+	var ids = []
+	var statement = db.prepare(compiled.sql)
+	statement.bind(compiled.params)
+	while (statement.step()) {
+		ids.push(statement.get()[0])
+	}
+	statement.free()
+
+	return isOrdered ? ids : ids.sort()
+}
+
+/**
+ * Converts `value`, a record `id` or the value of an aggregate or yes/no question semantic, to the value SQLite returns for it. SQLite represents booleans as 1 and 0.
+ *
+ * @private
+ * @static
+ * @param {string|number|boolean|null} value The value to convert.
+ * @returns {string|number|null} Returns the converted value.
+ */
+function toSQLValue(value) {
+	return typeof value === 'boolean' ? Number(value) : value
+}
+
+/**
+ * Gets the sorted `id`s of `records`.
+ *
+ * @private
+ * @static
+ * @param {Object[]} records The records returned by `Executor.prototype.execute()`.
+ * @param {boolean} [isOrdered] Specify keeping the order of `records` instead of sorting the `id`s.
+ * @returns {string[]} Returns the record `id`s.
+ */
+function getRecordIds(records, isOrdered) {
+	var ids = records.map(function (record) {
+		return record.id
+	})
+
+	return isOrdered ? ids : ids.sort()
+}
+
+/**
+ * Prints an error message for a semantic whose SQL results do not match the expected `id`s.
+ *
+ * @private
+ * @static
+ * @param {Object} test The test with the failed semantic.
+ * @param {string} semanticStr The failed semantic.
+ * @param {string} source The source of the expected `id`s.
+ * @param {string[]} expected The expected row `id`s.
+ * @param {string[]} actual The actual row `id`s.
+ */
+function printFailure(test, semanticStr, source, expected, actual) {
+	util.log('\nQuery:', util.colors.bold(test.query))
+	util.logError('Semantic:', semanticStr)
+	util.log('  Expected (' + source + '):', expected.join(', '))
+	util.log('  Actual (SQL):', actual.join(', '))
+}
@@ -0,0 +1,198 @@
+/**
+ * Usage
+ *   node testServer [options]
+ *
+ * Description
+ *   Starts the HTTP parse service on an ephemeral port, sends requests to its endpoints, and
+ *   checks the status and body of each response. Closes the service once every check finishes.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+var http = require('http')
+var testUtil = require('./testUtil')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Starts the HTTP parse service on an ephemeral port, sends requests to its endpoints, and checks the status and body of each response. Closes the service once every check finishes.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var server = require('../app/server').createServer({ accessLog: false })
+
+/**
+ * The checks of the service, each with the request to send and the function
+ * that returns an error message if the response is incorrect, else
+ * `undefined`. Each function is invoked with two arguments: (status, body).
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Parse a query.',
+		method: 'POST',
+		path: '/v1/parse',
+		body: '{ "query": "repos I like" }',
+		check: function (status, body) {
+			if (status !== 200) return 'Expected status 200'
+
+			var topTree = body.trees && body.trees[0]
+			if (!topTree || topTree.text !== 'repos I like' || topTree.semantic !== 'repositories-liked(me)') {
+				return 'Expected top result "repos I like" with `repositories-liked(me)`'
+			}
+		},
+	},
+	{
+		description: 'Reject a request without a query.',
+		method: 'POST',
+		path: '/v1/parse',
+		body: '{}',
+		check: function (status, body) {
+			return checkError(status, body, 400, '\'query\' must be a non-empty string')
+		},
+	},
+	{
+		description: 'Reject a query that is not a string.',
+		method: 'POST',
+		path: '/v1/parse',
+		body: '{ "query": 3 }',
+		check: function (status, body) {
+			return checkError(status, body, 400, '\'query\' must be a non-empty string')
+		},
+	},
+	{
+		description: 'Reject a request body that is not JSON.',
+		method: 'POST',
+		path: '/v1/parse',
+		body: 'repos I like',
+		check: function (status, body) {
+			return checkError(status, body, 400, 'Request body is not valid JSON')
+		},
+	},
+	{
+		description: 'Report the service status.',
+		method: 'GET',
+		path: '/healthz',
+		check: function (status, body) {
+			if (status !== 200 || body.status !== 'ok') return 'Expected status 200 with `status` "ok"'
+		},
+	},
+]
+
+// Listen on an ephemeral port, run the checks in order, and close the service once every check finishes, even if a check throws an exception.
+server.listen(0, '127.0.0.1', function () {
+	testUtil.runChecks(checks.map(function (check) {
+		return {
+			description: check.description,
+			check: function () {
+				return runCheck(check)
+			},
+		}
+	}), function () {
+		server.close()
+	})
+})
+
+/**
+ * Sends the request of `check` to the service and checks the response.
+ *
+ * @private
+ * @static
+ * @param {Object} check The check to run.
+ * @returns {Promise} Returns the promise for an error message, with the
+ * request and response, if the response is incorrect, else `undefined`.
+ */
+function runCheck(check) {
+	return sendRequest(check.method, check.path, check.body).then(function (res) {
+		var message = check.check(res.status, res.body)
+		if (message) {
+			return message + ':\n  ' + [ check.method, check.path, check.body || '' ].join(' ') + '\n  ' + res.status + ' ' + util.stylize(res.body)
+		}
+	})
+}
+
+/**
+ * Checks `status` and `body` are of an error response with the status,
+ * `expectedStatus`, and message, `expectedMessage`.
+ *
+ * @private
+ * @static
+ * @param {number} status The response status.
+ * @param {Object} body The response body.
+ * @param {number} expectedStatus The expected status.
+ * @param {string} expectedMessage The expected error message.
+ * @returns {string|undefined} Returns an error message if the response is
+ * incorrect, else `undefined`.
+ */
+function checkError(status, body, expectedStatus, expectedMessage) {
+	if (status !== expectedStatus || !body.error || body.error.message !== expectedMessage) {
+		return 'Expected status ' + expectedStatus + ' with error "' + expectedMessage + '"'
+	}
+}
+
+/**
+ * Sends a request to the service and parses the JSON response body.
+ *
+ * Closes the connection after the response, instead of keeping it alive,
+ * to enable `server.close()` to finish.
+ *
+ * @private
+ * @static
+ * @param {string} method The request method.
+ * @param {string} path The request path.
+ * @param {string} [body] The request body.
+ * @returns {Promise} Returns the promise for the response `status` and
+ * parsed `body`.
+ */
+function sendRequest(method, path, body) {
+	return new Promise(function (resolve, reject) {
+		var req = http.request({
+			host: '127.0.0.1',
+			port: server.address().port,
+			method: method,
+			path: path,
+			headers: {
+				'Content-Type': 'application/json',
+				'Connection': 'close',
+			},
+		}, function (res) {
+			var chunks = []
+
+			res.on('data', function (chunk) {
+				chunks.push(chunk)
+			})
+
+			res.on('end', function () {
+				try {
+					resolve({
+						status: res.statusCode,
+						body: JSON.parse(Buffer.concat(chunks).toString('utf8')),
+					})
+				} catch (e) {
+					reject(e)
+				}
+			})
+		})
+
+		req.on('error', reject)
+		req.end(body)
+	})
+}
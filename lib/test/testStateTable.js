@@ -0,0 +1,203 @@
+/**
+ * Usage
+ *   node testStateTable [options]
+ *
+ * Description
+ *   Checks a `StateTable` restored from its state cache is identical to the `StateTable` generated
+ *   from the grammar, that `StateTable.fromStateCache()` regenerates the states and rewrites the
+ *   cache if the cache is of another grammar or version, and that a failed write of the cache
+ *   leaves the previous cache in place.
+ *
+ * Options
+ *   -h, --help  Display this screen.                                                    [boolean]
+ */
+
+var util = require('../util/util')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+var yargs = require('yargs')
+yargs
+	.usage([
+		util.colors.bold('Usage'),
+		'  node $0 [options]',
+		'',
+		util.colors.bold('Description'),
+		'  Checks a `StateTable` restored from its state cache is identical to the `StateTable` generated from the grammar, that `StateTable.fromStateCache()` regenerates the states and rewrites the cache if the cache is of another grammar or version, and that a failed write of the cache leaves the previous cache in place.',
+	].join('\n'))
+	.updateStrings({
+		'Options:': util.colors.bold('Options'),
+	})
+	.help('h', 'Display this screen.').alias('h', 'help')
+	// Fail on unrecognized arguments.
+	.strict()
+	.wrap(Math.min(yargs.terminalWidth(), 100))
+	.argv
+
+// Modify stack trace format to stylize output when printing.
+util.prettifyStackTrace()
+
+var testUtil = require('./testUtil')
+var StateTable = require('../parse/StateTable')
+var Parser = require('../parse/Parser')
+
+var grammar = require('../grammar.json')
+var generatedStateTable = new StateTable(grammar)
+var generatedStateCache = generatedStateTable.toStateCache()
+
+// The directory for the state cache files, removed once every check finishes.
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aang-state-table-'))
+
+// The queries with which to compare the parse results of generated and restored state tables.
+var queries = [
+	'repos I like',
+	'people who follow me and Danny follows',
+	'repos created before 2015 with 3 stars',
+	'repositries liked by my followers',
+]
+
+/**
+ * The checks of the state cache, each with the function that returns an
+ * error message if the state table is incorrect, else `undefined`.
+ *
+ * @private
+ * @type {Object[]}
+ */
+var checks = [
+	{
+		description: 'Restore the states the state cache saves.',
+		check: function () {
+			var stateCachePath = path.join(tmpDir, 'stateTable.json')
+			generatedStateTable.saveStateCache(stateCachePath)
+			var restoredStateTable = StateTable.fromStateCache(grammar, stateCachePath)
+
+			return testUtil.checkValue('`isRestoredFromStateCache`', restoredStateTable.isRestoredFromStateCache, true)
+				|| testUtil.checkValue('the number of restored states', restoredStateTable.states.length, generatedStateTable.states.length)
+				|| checkStatesEqual(restoredStateTable)
+				|| checkParseResultsEqual(restoredStateTable)
+		},
+	},
+	{
+		description: 'Regenerate the states and rewrite the state cache of another grammar.',
+		check: function () {
+			return checkRegeneratesStates('stateTable-stale-grammar.json', Object.assign({}, generatedStateCache, { grammarHash: 'stale' }))
+		},
+	},
+	{
+		description: 'Regenerate the states and rewrite the state cache of another version.',
+		check: function () {
+			return checkRegeneratesStates('stateTable-stale-version.json', Object.assign({}, generatedStateCache, { version: StateTable.STATE_CACHE_VERSION + 1 }))
+		},
+	},
+	{
+		description: 'Leave the previous state cache in place if writing the temporary file fails.',
+		check: function () {
+			var stateCachePath = path.join(tmpDir, 'stateTable-failed-write.json')
+			var staleStateCache = Object.assign({}, generatedStateCache, { grammarHash: 'stale' })
+			var staleStateCacheJSON = JSON.stringify(staleStateCache)
+			fs.writeFileSync(stateCachePath, staleStateCacheJSON)
+
+			// Occupy the path of the temporary file with a directory to fail the write.
+			var tempFilePath = stateCachePath + '.' + process.pid + '.tmp'
+			fs.mkdirSync(tempFilePath)
+
+			try {
+				generatedStateTable.saveStateCache(stateCachePath)
+				return 'Expected an exception for the failed write of the temporary file'
+			} catch (e) {
+				// Expected.
+			}
+
+			// `StateTable.fromStateCache()` logs a warning instead of throwing an exception for the failed write.
+			var stateTable = StateTable.fromStateCache(grammar, stateCachePath)
+
+			return testUtil.checkValue('`isRestoredFromStateCache`', stateTable.isRestoredFromStateCache, false)
+				|| checkStatesEqual(stateTable)
+				|| testUtil.checkValue('whether the state cache file is unchanged', fs.readFileSync(stateCachePath, 'utf8') === staleStateCacheJSON, true)
+		},
+	},
+]
+
+// Remove the state cache files once every check finishes, even if a check throws an exception.
+testUtil.runChecks(checks, function () {
+	fs.rmSync(tmpDir, { recursive: true })
+})
+
+/**
+ * Checks `StateTable.fromStateCache()` regenerates the states instead of
+ * restoring them from `staleStateCache`, and rewrites the cache at
+ * `fileName` with the current version and grammar.
+ *
+ * @private
+ * @static
+ * @param {string} fileName The name of the state cache file to write in `tmpDir`.
+ * @param {Object} staleStateCache The state cache of another grammar or version.
+ * @returns {string|undefined} Returns an error message if the states are
+ * restored or the cache is not rewritten, else `undefined`.
+ */
+function checkRegeneratesStates(fileName, staleStateCache) {
+	var stateCachePath = path.join(tmpDir, fileName)
+	fs.writeFileSync(stateCachePath, JSON.stringify(staleStateCache))
+
+	var stateTable = StateTable.fromStateCache(grammar, stateCachePath)
+	var rewrittenStateCache = StateTable.loadStateCache(stateCachePath)
+
+	return testUtil.checkValue('`isRestoredFromStateCache`', stateTable.isRestoredFromStateCache, false)
+		|| checkStatesEqual(stateTable)
+		|| testUtil.checkValue('the rewritten state cache\'s version and grammar hash', [ rewrittenStateCache.version, rewrittenStateCache.grammarHash ], [ StateTable.STATE_CACHE_VERSION, generatedStateTable.grammarHash ])
+}
+
+/**
+ * Checks the states of `stateTable` are identical to the states of
+ * `generatedStateTable`, comparing their serializations, which reference
+ * every reduction's rule and every shift's state.
+ *
+ * @private
+ * @static
+ * @param {StateTable} stateTable The state table to check.
+ * @returns {string|undefined} Returns an error message if the states differ,
+ * else `undefined`.
+ */
+function checkStatesEqual(stateTable) {
+	if (!util.isDeepEqual(stateTable.serializeStates(), generatedStateCache.states)) {
+		return 'Expected the states to be identical to the states generated from the grammar'
+	}
+}
+
+/**
+ * Checks the parse results of `queries` with `stateTable` are identical to
+ * the parse results with `generatedStateTable`.
+ *
+ * @private
+ * @static
+ * @param {StateTable} stateTable The state table to check.
+ * @returns {string|undefined} Returns an error message if the parse results
+ * differ, else `undefined`.
+ */
+function checkParseResultsEqual(stateTable) {
+	var parser = new Parser(stateTable)
+	var generatedParser = new Parser(generatedStateTable)
+
+	for (var q = 0, queriesLen = queries.length; q < queriesLen; ++q) {
+		var query = queries[q]
+		var message = testUtil.checkValue('the parse results of ' + util.stylize(query), getParseResults(parser, query), getParseResults(generatedParser, query))
+		if (message) return message
+	}
+}
+
+/**
+ * Gets the display text, semantic, and cost of the 10-best parse trees of
+ * `query`.
+ *
+ * @private
+ * @static
+ * @param {Parser} parser The parser with which to parse `query`.
+ * @param {string} query The query to parse.
+ * @returns {Array[]} Returns the display text, semantic, and cost of each tree.
+ */
+function getParseResults(parser, query) {
+	return parser.parse(query, 10).trees.map(function (tree) {
+		return [ tree.text, tree.semanticStr, tree.cost ]
+	})
+}
\ No newline at end of file
@@ -98,6 +98,24 @@ module.exports = {
 			return false
 		},
 	},
+	'typo': {
+		description: 'Indicates the parse matches misspelled input tokens to terminal symbols or entities by edit distance.',
+		appliesToTest: function (test, parseResults) {
+			return parseResults.hasTypos
+		},
+	},
+	'completion': {
+		description: 'Indicates the parse completes the last input token as a prefix of terminal symbols and entity names (i.e., `test.complete`). E.g., "repos I li" -> "repos I like".',
+		appliesToTest: function (test, parseResults) {
+			return test.complete
+		},
+	},
+	'budget-exceeded': {
+		description: 'Indicates the parse exceeds its `ParseBudget` (i.e., `test.budget`), and hence returns only the parse trees found before stopping (or for the first `budget.maxTokens` input tokens) with `parseResults.truncated`.',
+		appliesToTest: function (test, parseResults) {
+			return parseResults.truncated
+		},
+	},
 }
 
 
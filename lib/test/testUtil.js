@@ -5,6 +5,7 @@
 var util = require('../util/util')
 var cliui = require('cliui')
 var testSuiteTags = require('./testTags')
+var DialogueContext = require('../parse/DialogueContext')
 
 
 /**
@@ -33,6 +34,28 @@ exports.mapTreesToSemantics = function (trees) {
 	return semanticStrs
 }
 
+/**
+ * Creates a `DialogueContext` for the previous queries of a test's dialogue, `contextQueries`, by parsing each in order with the context and adding its top parse tree, if any, as a turn.
+ *
+ * @static
+ * @memberOf testUtil
+ * @param {Function} parse The function that parses a query, invoked with three arguments: (query, k, options).
+ * @param {string[]} contextQueries The previous queries of the dialogue.
+ * @returns {DialogueContext} Returns the new `DialogueContext`.
+ */
+exports.createDialogueContext = function (parse, contextQueries) {
+	var context = new DialogueContext()
+
+	contextQueries.forEach(function (contextQuery) {
+		var parseResults = parse(contextQuery, 1, { context: context })
+		if (parseResults.trees && parseResults.trees.length > 0) {
+			context.addTurn(contextQuery, parseResults.trees[0])
+		}
+	})
+
+	return context
+}
+
 /**
  * Gets the test with query `query` in `tests` if exists.
  *
@@ -198,4 +221,64 @@ exports.printTags = function () {
 	}
 
 	util.log(tagsTable.toString())
+}
+
+/**
+ * Runs `checks` in order, and prints each check that fails and the number of checks that pass.
+ *
+ * Each check is an object with a `description` and a `check` function that returns an error message if the check fails, else `undefined`, or a promise for either. A check that throws an exception, or returns a rejected promise, fails without stopping the checks that follow.
+ *
+ * Invokes `cleanUp` once every check finishes, even if a check throws an exception. Sets `process.exitCode` to 1 if a check fails.
+ *
+ * @static
+ * @memberOf testUtil
+ * @param {Object[]} checks The checks to run.
+ * @param {Function} [cleanUp] The function that removes the temporary files and closes the servers of `checks`.
+ * @returns {Promise} Returns the promise resolved once every check finishes and `cleanUp` returns.
+ */
+exports.runChecks = function (checks, cleanUp) {
+	var checksFailed = 0
+
+	return checks.reduce(function (promise, check) {
+		return promise.then(function () {
+			return check.check()
+		}).then(function (message) {
+			if (message) {
+				util.logError(check.description, message)
+				++checksFailed
+			}
+		}, function (err) {
+			util.logError(check.description, 'Threw an exception:')
+			util.log(err.stack || err)
+			++checksFailed
+		})
+	}, Promise.resolve()).then(function () {
+		util.log()
+		if (checksFailed) {
+			util.logError('Failed', checksFailed, 'of', checks.length, 'checks')
+			process.exitCode = 1
+		} else {
+			util.logSuccess('Passed', checks.length, checks.length === 1 ? 'check' : 'checks')
+		}
+		util.log()
+	}).finally(function () {
+		if (cleanUp) cleanUp()
+	})
+}
+
+
+/**
+ * Checks `actual`, the value that `description` describes, deeply equals `expected`, for the functions of the checks `testUtil.runChecks()` runs.
+ *
+ * @static
+ * @memberOf testUtil
+ * @param {string} description The description of `actual`.
+ * @param {*} actual The value to check.
+ * @param {*} expected The expected value.
+ * @returns {string|undefined} Returns an error message if `actual` does not equal `expected`, else `undefined`.
+ */
+exports.checkValue = function (description, actual, expected) {
+	if (!util.isDeepEqual(actual, expected)) {
+		return 'Expected ' + description + ' to be ' + util.stylize(expected) + ', but received: ' + util.stylize(actual)
+	}
 }
\ No newline at end of file
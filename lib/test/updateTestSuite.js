@@ -97,16 +97,28 @@ function updateTests(tests) {
  */
 function createUpdatedTest(existingTest) {
 	// Parse test query and find 60-best parse trees.
-	var parseResults = parse(existingTest.query, 60)
+	var parseResults = parse(existingTest.query, 60, {
+		context: existingTest.context && testUtil.createDialogueContext(parse, existingTest.context),
+		budget: existingTest.budget,
+		complete: existingTest.complete,
+	})
 
 	// Create a new test.
 	var newTest = {
 		// The query to parse.
 		query: existingTest.query,
+		// The optional previous queries of the dialogue.
+		context: existingTest.context,
 		// The test description.
 		description: existingTest.description,
 		// The test tags.
 		tags: undefined,
+		// The optional budget of the parse.
+		budget: existingTest.budget,
+		// Whether to complete the last token of the query.
+		complete: existingTest.complete,
+		// Whether the grammar rejects the query.
+		rejected: existingTest.rejected,
 		// The optional expected top result of the parse.
 		topResult: existingTest.topResult,
 		// The unsorted expected semantics to compare (irrespective of order) to test output.
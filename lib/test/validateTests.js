@@ -1,14 +1,6 @@
-/**
- * Checks for ill-formed and duplicate tests in the test suite. If found, exits process with error code `1`.
- */
-
 var util = require('../util/util')
 
 
-// The file path of the test suite for error reporting.
-var testsFilePath = require.resolve('./tests.json')
-// The test cases, each with a query and expected values for parse results.
-var tests = require(testsFilePath)
 // The tags used in the test suite.
 var testSuiteTagNames = Object.keys(require('./testTags'))
 
@@ -16,10 +8,18 @@ var testSuiteTagNames = Object.keys(require('./testTags'))
 var testSchema = {
 	// The query to parse.
 	query: { type: String, required: true },
+	// The optional previous queries of a dialogue, each parsed in order with a `DialogueContext` to which its top parse tree is added as a turn before parsing `query` with that context.
+	context: { type: Array, arrayType: String },
 	// The test description.
 	description: { type: String, required: true },
 	// The test tags.
 	tags: { type: Array, arrayType: String, allowEmpty: true, required: true },
+	// The optional `ParseBudget` with which to parse `query`, for tests of parses that exceed their budgets.
+	budget: Object,
+	// Specify parsing `query` with `options.complete`, which completes its last token as a prefix, for tests of completions.
+	complete: Boolean,
+	// Specify the parse of `query` finds no parse trees, for tests of input the grammar rejects.
+	rejected: Boolean,
 	// The optional expected top result.
 	topResult: Object,
 	// The unsorted expected semantics to compare (irrespective of order) to test output.
@@ -31,65 +31,94 @@ var testTopResultSchema = {
 	text: { type: String, required: true },
 	// The expected semantic of the parse's top result.
 	semantic: { type: String, required: true },
+	// The optional expected semantic of the parse's top result with its dates resolved to `date-interval(start,end)` relative to the reference dataset's `referenceDate`; e.g., `repositories-created-date(date-interval(2016-06-12,*))`.
+	resolvedSemantic: String,
+	// The optional expected `segments`, `entities`, and `edits` of the structured representation of the parse's top result (see `structureParseTree()`), each compared exactly.
+	structured: { type: Object, schema: {
+		segments: { type: Array, arrayType: Object, required: true },
+		entities: { type: Array, arrayType: Object, allowEmpty: true, required: true },
+		edits: { type: Array, arrayType: Object, allowEmpty: true, required: true },
+	} },
+	// The optional expected edits with which the parse's top result corrects the query (see `explainEdits()`), compared exactly.
+	explanation: { type: Array, arrayType: Object, allowEmpty: true },
+	// The optional expected `id`s of the records the top result's semantic returns when executed against the reference dataset, irrespective of order, or the number or boolean an aggregate (e.g., `count-of()`) or yes/no question (e.g., `member()`) semantic returns as the only element.
+	answer: { type: Array, arrayType: [ String, Number, Boolean ], allowEmpty: true },
 }
 
 
-// Check for ill-formed and duplicate tests.
-for (var t = 0, testsLen = tests.length; t < testsLen; ++t) {
-	var test = tests[t]
-	var testQuery = test.query
+/**
+ * Checks for ill-formed and duplicate tests in the test suite at `testsFilePath`. If found, exits process with error code `1`.
+ *
+ * @param {string} testsFilePath The file path of the test suite, each locale of which has its own test suite.
+ */
+module.exports = function (testsFilePath) {
+	// The test cases, each with a query and expected values for parse results.
+	var tests = require(testsFilePath)
 
-	// Surround test query with quotation marks so that `test` can be found in `testsFilePath`.
-	var testQueryQuoted = '"query": "' + testQuery + '"'
+	// Check for ill-formed and duplicate tests.
+	for (var t = 0, testsLen = tests.length; t < testsLen; ++t) {
+		var test = tests[t]
+		var testQuery = test.query
 
-	if (util.illFormedOpts(testSchema, test) || (test.topResult && util.illFormedOpts(testTopResultSchema, test.topResult))) {
-		util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted))
-		process.exit(1)
-	}
+		// Surround test query with quotation marks so that `test` can be found in `testsFilePath`.
+		var testQueryQuoted = '"query": "' + testQuery + '"'
 
-	// Check for duplicate tests.
-	for (var a = t + 1; a < testsLen; ++a) {
-		if (testQuery === tests[a].query) {
-			util.logError('Duplicate test:', util.stylize(testQuery))
-			util.pathAndLineNumbersOf(testsFilePath, testQueryQuoted).forEach(function (path) {
-				util.log('  ' + path)
-			})
+		if (util.illFormedOpts(testSchema, test) || (test.topResult && util.illFormedOpts(testTopResultSchema, test.topResult))) {
+			util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted))
 			process.exit(1)
 		}
-	}
 
-	// Check for unrecognized and duplicate test tags.
-	var testTags = test.tags
-	for (var i = 0, testTagsLen = testTags.length; i < testTagsLen; ++i) {
-		var tagName = testTags[i]
-		if (testSuiteTagNames.indexOf(tagName) === -1) {
-			util.logError('Unrecognized test tag:', util.stylize(tagName))
-			util.log('  ', testTags)
-			util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'tags'))
+		// Check tests of input the grammar rejects lack expected parse results.
+		if (test.rejected && (test.topResult || test.semantics.length > 0)) {
+			util.logError('Test of rejected input has expected parse results:', util.stylize(testQuery))
+			util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted))
 			process.exit(1)
 		}
 
-		if (testTags.lastIndexOf(tagName) !== i) {
-			util.logError('Duplicate test tag:', util.stylize(tagName))
-			util.log('  ', testTags)
-			util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'tags'))
-			process.exit(1)
+		// Check for duplicate tests.
+		for (var a = t + 1; a < testsLen; ++a) {
+			if (testQuery === tests[a].query) {
+				util.logError('Duplicate test:', util.stylize(testQuery))
+				util.pathAndLineNumbersOf(testsFilePath, testQueryQuoted).forEach(function (path) {
+					util.log('  ' + path)
+				})
+				process.exit(1)
+			}
 		}
-	}
 
-	// Check for descriptions with incorrect style.
-	var description = test.description
-	if (description) {
-		if (description.indexOf('Check ') !== 0) {
-			util.logError('Description does not start with "Check ...":', util.stylize(description))
-			util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'description'))
-			process.exit(1)
+		// Check for unrecognized and duplicate test tags.
+		var testTags = test.tags
+		for (var i = 0, testTagsLen = testTags.length; i < testTagsLen; ++i) {
+			var tagName = testTags[i]
+			if (testSuiteTagNames.indexOf(tagName) === -1) {
+				util.logError('Unrecognized test tag:', util.stylize(tagName))
+				util.log('  ', testTags)
+				util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'tags'))
+				process.exit(1)
+			}
+
+			if (testTags.lastIndexOf(tagName) !== i) {
+				util.logError('Duplicate test tag:', util.stylize(tagName))
+				util.log('  ', testTags)
+				util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'tags'))
+				process.exit(1)
+			}
 		}
 
-		if (description[description.length - 1] !== '.') {
-			util.logError('Description does not end with a period:', util.stylize(description))
-			util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'description'))
-			process.exit(1)
+		// Check for descriptions with incorrect style.
+		var description = test.description
+		if (description) {
+			if (description.indexOf('Check ') !== 0) {
+				util.logError('Description does not start with "Check ...":', util.stylize(description))
+				util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'description'))
+				process.exit(1)
+			}
+
+			if (description[description.length - 1] !== '.') {
+				util.logError('Description does not end with a period:', util.stylize(description))
+				util.log('  ' + util.firstPathAndLineNumberOf(testsFilePath, testQueryQuoted, 'description'))
+				process.exit(1)
+			}
 		}
 	}
 }
\ No newline at end of file